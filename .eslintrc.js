@@ -0,0 +1,21 @@
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    commonjs: true,
+    es2022: true
+  },
+  parserOptions: {
+    ecmaVersion: 2022
+  },
+  extends: 'eslint:recommended',
+  rules: {
+    'no-unused-vars': ['error', { argsIgnorePattern: '^(req|res|next)$', ignoreRestSiblings: true }]
+  },
+  overrides: [
+    {
+      files: ['tests/**/*.js'],
+      env: { jest: true }
+    }
+  ]
+};
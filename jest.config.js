@@ -0,0 +1,7 @@
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/tests'],
+  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+  collectCoverageFrom: ['src/**/*.js', '!src/server.js'],
+  coverageDirectory: 'coverage'
+};
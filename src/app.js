@@ -0,0 +1,49 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const routes = require('./routes');
+const errorHandler = require('./middlewares/errorHandler');
+
+const app = express();
+
+app.use(helmet());
+app.use(cors({ origin: process.env.CORS_ORIGIN || '*' }));
+// Callback signatures and idempotency fingerprints are checked against the exact bytes received
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({ extended: true }));
+
+// Slow down credential guessing on the authentication endpoints
+app.use('/api/auth', rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many requests, please try again later' }
+}));
+
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'API is running',
+    data: { uptime: process.uptime(), timestamp: new Date().toISOString() }
+  });
+});
+
+app.use('/api', routes);
+
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    message: `Route not found: ${req.method} ${req.originalUrl}`
+  });
+});
+
+app.use(errorHandler);
+
+module.exports = { app };
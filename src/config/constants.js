@@ -0,0 +1,116 @@
+// Platform roles
+const ROLES = {
+  PARTICULIER: 'PARTICULIER',
+  ADMIN: 'ADMIN'
+};
+
+// Identity verification states of a user
+const KYC_STATUS = {
+  PENDING: 'PENDING',
+  VERIFIED: 'VERIFIED',
+  REJECTED: 'REJECTED'
+};
+
+const PASSWORD = {
+  MIN_LENGTH: 8,
+  MAX_LENGTH: 128
+};
+
+const JWT = {
+  ACCESS_EXPIRES_IN: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+};
+
+// Failed logins allowed before the account is locked, and for how long
+const LOGIN = {
+  MAX_ATTEMPTS: 5,
+  LOCK_TIME: 2 * 60 * 60 * 1000
+};
+
+const RELIABILITY = {
+  MIN_SCORE: 0,
+  MAX_SCORE: 100,
+  DEFAULT_SCORE: 50
+};
+
+const MESSAGING = {
+  MAX_MESSAGE_LENGTH: 2000,
+  TYPES: {
+    TEXT: 'TEXT',
+    AUDIO: 'AUDIO',
+    IMAGE: 'IMAGE',
+    FILE: 'FILE'
+  },
+  PRIORITIES: {
+    LOW: 'LOW',
+    NORMAL: 'NORMAL',
+    HIGH: 'HIGH',
+    URGENT: 'URGENT'
+  },
+  STATUS: {
+    SENT: 'SENT',
+    DELIVERED: 'DELIVERED',
+    READ: 'READ'
+  },
+  ALLOWED_FILE_TYPES: [
+    'image/jpeg',
+    'image/png',
+    'audio/mpeg',
+    'audio/wav',
+    'audio/ogg',
+    'application/pdf'
+  ],
+  MAX_FILE_SIZE: 10 * 1024 * 1024
+};
+
+const TICKETS = {
+  CATEGORIES: {
+    PAYMENT: 'PAYMENT',
+    GROUP: 'GROUP',
+    ACCOUNT: 'ACCOUNT',
+    KYC: 'KYC',
+    TECHNICAL: 'TECHNICAL',
+    OTHER: 'OTHER'
+  },
+  TYPES: {
+    SUPPORT: 'SUPPORT',
+    DISPUTE: 'DISPUTE',
+    COMPLAINT: 'COMPLAINT',
+    SUGGESTION: 'SUGGESTION'
+  },
+  PRIORITIES: {
+    LOW: 'LOW',
+    MEDIUM: 'MEDIUM',
+    HIGH: 'HIGH',
+    URGENT: 'URGENT'
+  },
+  STATUS: {
+    OPEN: 'OPEN',
+    IN_PROGRESS: 'IN_PROGRESS',
+    RESOLVED: 'RESOLVED',
+    CLOSED: 'CLOSED'
+  },
+  MAX_TITLE_LENGTH: 200,
+  MAX_DESCRIPTION_LENGTH: 5000,
+  ALLOWED_ATTACHMENT_TYPES: [
+    'image/jpeg',
+    'image/png',
+    'application/pdf'
+  ],
+  MAX_ATTACHMENT_SIZE: 5 * 1024 * 1024
+};
+
+// Currencies payments can be made in
+const CURRENCIES = ['XOF', 'XAF', 'MAD', 'EUR', 'USD'];
+
+module.exports = {
+  ROLES,
+  KYC_STATUS,
+  PASSWORD,
+  JWT,
+  LOGIN,
+  RELIABILITY,
+  MESSAGING,
+  TICKETS,
+  CURRENCIES
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+/**
+ * Connect to MongoDB using MONGODB_URI
+ * @returns {Promise<Object>} - Mongoose connection
+ */
+const connectDatabase = async () => {
+  const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/tirelire';
+
+  await mongoose.connect(uri);
+  logger.info('Connected to MongoDB');
+
+  mongoose.connection.on('error', (error) => {
+    logger.error('MongoDB connection error:', error);
+  });
+
+  return mongoose.connection;
+};
+
+/**
+ * Close the MongoDB connection
+ * @returns {Promise<void>}
+ */
+const disconnectDatabase = () => mongoose.disconnect();
+
+module.exports = {
+  connectDatabase,
+  disconnectDatabase
+};
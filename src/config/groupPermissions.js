@@ -0,0 +1,49 @@
+// Roles a member can hold inside a group
+const GROUP_ROLES = {
+  ADMIN: 'ADMIN',
+  TREASURER: 'TREASURER',
+  MODERATOR: 'MODERATOR',
+  MEMBER: 'MEMBER'
+};
+
+// Actions restricted to some group roles
+const GROUP_PERMISSIONS = {
+  UPDATE_SETTINGS: 'UPDATE_SETTINGS',
+  MANAGE_STATUS: 'MANAGE_STATUS',
+  MANAGE_ROLES: 'MANAGE_ROLES',
+  APPROVE_JOINS: 'APPROVE_JOINS',
+  MANAGE_INVITATIONS: 'MANAGE_INVITATIONS',
+  MODERATE_CHAT: 'MODERATE_CHAT',
+  VERIFY_PAYMENTS: 'VERIFY_PAYMENTS',
+  REFUND_PAYMENTS: 'REFUND_PAYMENTS',
+  MANAGE_SCHEDULE: 'MANAGE_SCHEDULE',
+  MANAGE_PAYOUTS: 'MANAGE_PAYOUTS',
+  MANAGE_AUCTIONS: 'MANAGE_AUCTIONS',
+  APPROVE_SWAPS: 'APPROVE_SWAPS',
+  MANAGE_PENALTIES: 'MANAGE_PENALTIES',
+  VIEW_STATEMENTS: 'VIEW_STATEMENTS'
+};
+
+// Permission matrix; the group creator always acts as ADMIN
+const ROLE_PERMISSIONS = {
+  ADMIN: Object.values(GROUP_PERMISSIONS),
+  TREASURER: [
+    GROUP_PERMISSIONS.VERIFY_PAYMENTS,
+    GROUP_PERMISSIONS.REFUND_PAYMENTS,
+    GROUP_PERMISSIONS.MANAGE_PAYOUTS,
+    GROUP_PERMISSIONS.MANAGE_AUCTIONS,
+    GROUP_PERMISSIONS.VIEW_STATEMENTS
+  ],
+  MODERATOR: [
+    GROUP_PERMISSIONS.MODERATE_CHAT,
+    GROUP_PERMISSIONS.APPROVE_JOINS,
+    GROUP_PERMISSIONS.MANAGE_INVITATIONS
+  ],
+  MEMBER: []
+};
+
+module.exports = {
+  GROUP_ROLES,
+  GROUP_PERMISSIONS,
+  ROLE_PERMISSIONS
+};
@@ -0,0 +1,10 @@
+const constants = require('./constants');
+
+// Secrets fall back to development values; production must set them in the environment
+module.exports = {
+  accessSecret: process.env.JWT_ACCESS_SECRET || 'dev-access-secret',
+  refreshSecret: process.env.JWT_REFRESH_SECRET || 'dev-refresh-secret',
+  accessExpiresIn: constants.JWT.ACCESS_EXPIRES_IN,
+  refreshExpiresIn: constants.JWT.REFRESH_EXPIRES_IN,
+  issuer: process.env.JWT_ISSUER || 'tirelire-api'
+};
@@ -1,2 +1,53 @@
-const multer = require("multer");
+const multer = require('multer');
+const path = require('path');
+const crypto = require('crypto');
 
+// Uploads are written to disk and referenced by path from the documents that use them
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads';
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Accepted files, by extension, with the MIME types clients send for them
+const ALLOWED_TYPES = {
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.pdf': ['application/pdf']
+};
+
+// Bank statements, only accepted by the reconciliation import; browsers and banks label these
+// inconsistently
+const STATEMENT_TYPES = {
+  '.csv': ['text/csv', 'text/plain', 'application/vnd.ms-excel'],
+  '.ofx': ['application/x-ofx', 'application/ofx', 'text/plain', 'application/octet-stream'],
+  '.xml': ['application/xml', 'text/xml']
+};
+
+const storage = multer.diskStorage({
+  destination: UPLOAD_DIR,
+  filename: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`);
+  }
+});
+
+/**
+ * Build an uploader that only keeps the given file types
+ * @param {Object} allowedTypes - MIME types accepted for each extension
+ * @returns {Object} - multer instance
+ */
+const createUpload = (allowedTypes) => multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const mimeTypes = allowedTypes[path.extname(file.originalname).toLowerCase()];
+    if (!mimeTypes || !mimeTypes.includes(file.mimetype)) {
+      const error = new Error(`File type not allowed: ${file.originalname}`);
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+  limits: { fileSize: MAX_FILE_SIZE }
+});
+
+module.exports = createUpload(ALLOWED_TYPES);
+module.exports.statementUpload = createUpload(STATEMENT_TYPES);
@@ -0,0 +1,32 @@
+// Channels a notification can be delivered on
+const NOTIFICATION_CHANNELS = {
+  IN_APP: 'IN_APP',
+  EMAIL: 'EMAIL',
+  SMS: 'SMS',
+  PUSH: 'PUSH'
+};
+
+// Events a user can be notified of, with the channels used until the user sets their own
+const NOTIFICATION_EVENTS = {
+  JOIN_REQUEST_APPROVED: [NOTIFICATION_CHANNELS.IN_APP],
+  JOIN_REQUEST_REJECTED: [NOTIFICATION_CHANNELS.IN_APP],
+  GROUP_INVITATION_RECEIVED: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  OWNERSHIP_TRANSFER_REQUESTED: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  OWNERSHIP_TRANSFER_ACCEPTED: [NOTIFICATION_CHANNELS.IN_APP],
+  OWNERSHIP_TRANSFER_DECLINED: [NOTIFICATION_CHANNELS.IN_APP],
+  CONTRIBUTION_REMINDER: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  GROUP_MEMBER_JOINED: [NOTIFICATION_CHANNELS.IN_APP],
+  CONTRIBUTION_PENALTY: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  CONTRIBUTION_CANCELLED: [NOTIFICATION_CHANNELS.IN_APP],
+  PAYMENT_VERIFIED: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  PAYMENT_REJECTED: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  KYC_VERIFIED: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  KYC_REJECTED: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  TICKET_RESPONSE: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  TICKET_CLOSED: [NOTIFICATION_CHANNELS.IN_APP]
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS
+};
@@ -0,0 +1,48 @@
+const { Server } = require('socket.io');
+const AuthService = require('../services/AuthService');
+const Group = require('../models/Group');
+const logger = require('../utils/logger');
+
+/**
+ * Create the socket.io server used for live messages and notifications
+ * Clients authenticate with their access token in the handshake (`auth.token`); each socket joins
+ * the `user:<id>` room of its user and the `group:<id>` rooms of the groups the user belongs to.
+ * @param {Object} httpServer - HTTP server the API listens on
+ * @returns {Object} - socket.io server
+ */
+const createSocketServer = (httpServer) => {
+  const io = new Server(httpServer, {
+    cors: { origin: process.env.CORS_ORIGIN || '*' }
+  });
+
+  io.use((socket, next) => {
+    try {
+      const decoded = AuthService.verifyAccessToken(socket.handshake.auth && socket.handshake.auth.token);
+      socket.data.userId = decoded.sub;
+      next();
+    } catch (error) {
+      next(new Error('Authentication failed'));
+    }
+  });
+
+  io.on('connection', async (socket) => {
+    const { userId } = socket.data;
+    socket.join(`user:${userId}`);
+
+    try {
+      const groups = await Group.find({
+        members: { $elemMatch: { user: userId, status: 'ACTIVE' } },
+        isActive: true
+      }).select('_id');
+      groups.forEach(group => socket.join(`group:${group._id}`));
+    } catch (error) {
+      logger.warn(`Could not join the group rooms of user: ${userId}`, { error: error.message });
+    }
+  });
+
+  return io;
+};
+
+module.exports = {
+  createSocketServer
+};
@@ -0,0 +1,20 @@
+// Events integrators can subscribe to; "*" subscribes an endpoint to all of them
+const WEBHOOK_EVENTS = {
+  PAYMENT_VERIFIED: 'payment.verified',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  CONTRIBUTION_PAID: 'contribution.paid',
+  CONTRIBUTION_OVERDUE: 'contribution.overdue',
+  PAYOUT_COMPLETED: 'payout.completed',
+  KYC_VERIFIED: 'kyc.verified',
+  KYC_REJECTED: 'kyc.rejected',
+  GROUP_STARTED: 'group.started',
+  GROUP_COMPLETED: 'group.completed',
+  GROUP_CANCELLED: 'group.cancelled'
+};
+
+const ALL_EVENTS = '*';
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  ALL_EVENTS
+};
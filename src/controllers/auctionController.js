@@ -0,0 +1,83 @@
+const AuctionService = require('../services/AuctionService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors AuctionService raises
+const AUCTION_ERRORS = {
+  'Group not found': 404,
+  'Cycle not found in payout schedule': 404,
+  'Access denied to this group': 403,
+  'User is not a member of this group': 403,
+  'You are not allowed to manage auctions in this group': 403,
+  'Members who already received the pot cannot bid': 403
+};
+
+/**
+ * Give a AuctionService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = AUCTION_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class AuctionController {
+  /**
+   * Place or raise a bid for a cycle
+   * @route POST /api/groups/:id/cycles/:cycleNumber/bids
+   */
+  static async placeBid(req, res, next) {
+    try {
+      const result = await AuctionService.placeBid(
+        req.params.id,
+        parseInt(req.params.cycleNumber),
+        req.body,
+        req.user.id
+      );
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get the bids of a cycle
+   * @route GET /api/groups/:id/cycles/:cycleNumber/bids
+   */
+  static async getBids(req, res, next) {
+    try {
+      const result = await AuctionService.getBids(req.params.id, parseInt(req.params.cycleNumber), req.user.id);
+      return responseHandler.success(res, 'Bids retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Close bidding on a cycle
+   * @route PUT /api/groups/:id/cycles/:cycleNumber/bids/close
+   */
+  static async closeBidding(req, res, next) {
+    try {
+      const result = await AuctionService.closeBidding(req.params.id, parseInt(req.params.cycleNumber), req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Pick the winner of a cycle's auction
+   * @route PUT /api/groups/:id/cycles/:cycleNumber/bids/winner
+   */
+  static async pickWinner(req, res, next) {
+    try {
+      const result = await AuctionService.pickWinner(req.params.id, parseInt(req.params.cycleNumber), req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = AuctionController;
@@ -0,0 +1,162 @@
+const AuthService = require('../services/AuthService');
+const TokenService = require('../services/TokenService');
+const responseHandler = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+class AuthController {
+  /**
+   * Register a new user
+   * @route POST /api/auth/register
+   */
+  static async register(req, res) {
+    try {
+      const user = await AuthService.register(req.body);
+      return responseHandler.success(res, 'User registered successfully', { user }, 201);
+    } catch (error) {
+      logger.error('Registration error:', error);
+      return responseHandler.error(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Log a user in
+   * @route POST /api/auth/login
+   */
+  static async login(req, res) {
+    try {
+      const result = await AuthService.login({ ...req.body, deviceInfo: req.deviceInfo });
+      return responseHandler.success(res, 'Login successful', result);
+    } catch (error) {
+      logger.error('Login error:', error);
+      return responseHandler.error(res, error.message, 401);
+    }
+  }
+
+  /**
+   * Issue a new access token
+   * @route POST /api/auth/refresh
+   */
+  static async refreshToken(req, res) {
+    try {
+      const result = await AuthService.refreshAccessToken(req.body);
+      return responseHandler.success(res, 'Token refreshed successfully', result);
+    } catch (error) {
+      logger.error('Token refresh error:', error);
+      return responseHandler.error(res, error.message, 401);
+    }
+  }
+
+  /**
+   * Log the current user out
+   * @route POST /api/auth/logout
+   */
+  static async logout(req, res) {
+    try {
+      await AuthService.logout(req.body);
+      return responseHandler.success(res, 'Logout successful');
+    } catch (error) {
+      logger.error('Logout error:', error);
+      return responseHandler.error(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Get the profile of the current user
+   * @route GET /api/auth/profile
+   */
+  static async getProfile(req, res) {
+    try {
+      const user = await AuthService.getUserProfile(req.user.id);
+      return responseHandler.success(res, 'Profile retrieved successfully', { user });
+    } catch (error) {
+      logger.error('Get profile error:', error);
+      return responseHandler.error(res, error.message, 404);
+    }
+  }
+
+  /**
+   * Update the profile of the current user
+   * @route PUT /api/auth/profile
+   */
+  static async updateProfile(req, res) {
+    try {
+      const user = await AuthService.updateUserProfile(req.user.id, req.body);
+      return responseHandler.success(res, 'Profile updated successfully', { user });
+    } catch (error) {
+      logger.error('Update profile error:', error);
+      return responseHandler.error(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Change the password of the current user
+   * @route PUT /api/auth/change-password
+   */
+  static async changePassword(req, res) {
+    try {
+      await AuthService.changePassword(req.user.id, req.body);
+      return responseHandler.success(res, 'Password changed successfully');
+    } catch (error) {
+      logger.error('Change password error:', error);
+      return responseHandler.error(res, error.message, 400);
+    }
+  }
+
+  /**
+   * List the open sessions of the current user
+   * @route GET /api/auth/sessions
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = await TokenService.getUserActiveTokens(req.user.id);
+      return responseHandler.success(res, 'Sessions retrieved successfully', { sessions });
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      return responseHandler.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Close every session of the current user
+   * @route POST /api/auth/revoke-all-sessions
+   */
+  static async revokeAllSessions(req, res) {
+    try {
+      const result = await TokenService.revokeAllUserTokens(req.user.id, req.user.id, 'logout');
+      return responseHandler.success(res, 'All sessions revoked successfully', result);
+    } catch (error) {
+      logger.error('Revoke sessions error:', error);
+      return responseHandler.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Close every session of a user (admin)
+   * @route POST /api/auth/admin/force-logout/:userId
+   */
+  static async forceLogoutUser(req, res) {
+    try {
+      const result = await TokenService.forceLogoutAllDevices(req.params.userId, req.user.id);
+      return responseHandler.success(res, 'User logged out from all devices', result);
+    } catch (error) {
+      logger.error('Force logout error:', error);
+      return responseHandler.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get session statistics of a user (admin)
+   * @route GET /api/auth/admin/token-stats
+   */
+  static async getTokenStats(req, res) {
+    try {
+      const stats = await TokenService.getTokenStats(req.query.userId || req.user.id);
+      return responseHandler.success(res, 'Token statistics retrieved successfully', { stats });
+    } catch (error) {
+      logger.error('Token statistics error:', error);
+      return responseHandler.error(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = AuthController;
@@ -0,0 +1,186 @@
+const ContributionService = require('../services/ContributionService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors ContributionService raises
+const CONTRIBUTION_ERRORS = {
+  'Contribution not found': 404,
+  'Group not found': 404,
+  'Payment not found': 404,
+  'Access denied to this contribution': 403,
+  'Payment has already been applied': 409,
+  'Payment has already been applied to this contribution': 409,
+  'User is not a member of this group': 403,
+  'You are not allowed to manage this contribution': 403,
+  'Only group admins can generate contributions': 403
+};
+
+/**
+ * Give a ContributionService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = CONTRIBUTION_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class ContributionController {
+  /**
+   * Create a contribution
+   * @route POST /api/contributions
+   */
+  static async createContribution(req, res, next) {
+    try {
+      const result = await ContributionService.createContribution(req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List the contributions of the current user
+   * @route GET /api/contributions
+   */
+  static async getUserContributions(req, res, next) {
+    try {
+      const { groupId, status, page, limit } = req.query;
+      const result = await ContributionService.getUserContributions(req.user.id, {
+        groupId,
+        status,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+      return responseHandler.success(res, 'Contributions retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List the contributions of a group
+   * @route GET /api/contributions/group/:groupId
+   */
+  static async getGroupContributions(req, res, next) {
+    try {
+      const { status, userId, page, limit } = req.query;
+      const result = await ContributionService.getGroupContributions(req.params.groupId, {
+        status,
+        userId,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+      return responseHandler.success(res, 'Group contributions retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get a contribution
+   * @route GET /api/contributions/:id
+   */
+  static async getContributionById(req, res, next) {
+    try {
+      const result = await ContributionService.getContributionById(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Contribution retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Update a contribution
+   * @route PUT /api/contributions/:id
+   */
+  static async updateContribution(req, res, next) {
+    try {
+      const result = await ContributionService.updateContribution(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Settle a contribution with a payment
+   * @route PUT /api/contributions/:id/pay
+   */
+  static async markAsPaid(req, res, next) {
+    try {
+      const result = await ContributionService.markAsPaid(req.params.id, req.body.paymentId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Add a penalty to a contribution
+   * @route POST /api/contributions/:id/penalty
+   */
+  static async addPenalty(req, res, next) {
+    try {
+      const { penaltyAmount, penaltyReason } = req.body;
+      const result = await ContributionService.addPenalty(req.params.id, penaltyAmount, penaltyReason, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Cancel a contribution
+   * @route PUT /api/contributions/:id/cancel
+   */
+  static async cancelContribution(req, res, next) {
+    try {
+      const result = await ContributionService.cancelContribution(req.params.id, req.body.reason, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List overdue contributions
+   * @route GET /api/contributions/overdue
+   */
+  static async getOverdueContributions(req, res, next) {
+    try {
+      const result = await ContributionService.getOverdueContributions(req.query.groupId);
+      return responseHandler.success(res, 'Overdue contributions retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get the contribution statistics of a group
+   * @route GET /api/contributions/group/:groupId/statistics
+   */
+  static async getContributionStatistics(req, res, next) {
+    try {
+      const result = await ContributionService.getContributionStatistics(req.params.groupId);
+      return responseHandler.success(res, 'Contribution statistics retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Generate the contributions of a group over a period
+   * @route POST /api/contributions/group/:groupId/generate
+   */
+  static async generateContributions(req, res, next) {
+    try {
+      const { startDate, endDate } = req.body;
+      const result = await ContributionService.generateContributions(req.params.groupId, startDate, endDate, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = ContributionController;
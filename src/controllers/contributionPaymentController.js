@@ -0,0 +1,51 @@
+const ContributionPaymentService = require('../services/ContributionPaymentService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors ContributionPaymentService raises
+const CONTRIBUTION_PAYMENT_ERRORS = {
+  'Contribution not found': 404,
+  'Payment not found': 404,
+  'Access denied to this contribution': 403,
+  'Payment has already been applied': 409,
+  'Payment has already been applied to this contribution': 409
+};
+
+/**
+ * Give a ContributionPaymentService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = CONTRIBUTION_PAYMENT_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class ContributionPaymentController {
+  /**
+   * List the payments of a contribution with its remaining balance
+   * @route GET /api/contributions/:id/payments
+   */
+  static async getPayments(req, res, next) {
+    try {
+      const result = await ContributionPaymentService.getPayments(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Contribution payments retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Apply a succeeded payment to a contribution
+   * @route POST /api/contributions/:id/payments
+   */
+  static async applyPayment(req, res, next) {
+    try {
+      const result = await ContributionPaymentService.applyPayment(req.params.id, req.body.paymentId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = ContributionPaymentController;
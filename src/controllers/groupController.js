@@ -0,0 +1,160 @@
+const GroupService = require('../services/GroupService');
+const responseHandler = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+// HTTP status and error code of the errors GroupService raises
+const GROUP_ERRORS = {
+  'Group not found': { statusCode: 404, code: 'GROUP_NOT_FOUND' },
+  'Access denied to this group': { statusCode: 403, code: 'ACCESS_DENIED' },
+  'Only group admins can update the group': { statusCode: 403, code: 'INSUFFICIENT_PERMISSIONS' },
+  'Only the group creator can delete the group': { statusCode: 403, code: 'INSUFFICIENT_PERMISSIONS' },
+  'User is already a member of this group': { statusCode: 400, code: 'ALREADY_MEMBER' },
+  'KYC verification required to join this group': { statusCode: 400, code: 'KYC_REQUIRED' },
+  'Group has reached maximum number of members': { statusCode: 400, code: 'GROUP_FULL' },
+  'User is not a member of this group': { statusCode: 400, code: 'NOT_MEMBER' },
+  'Group creator cannot leave the group': { statusCode: 400, code: 'CREATOR_CANNOT_LEAVE' },
+  'You have received the pot and must pay your remaining contributions before leaving': { statusCode: 400, code: 'OUTSTANDING_OBLIGATIONS' },
+  'You must pay your due contributions before leaving the group': { statusCode: 400, code: 'OUTSTANDING_OBLIGATIONS' },
+  'You cannot leave the group while your payout is due': { statusCode: 409, code: 'PAYOUT_DUE' },
+  'Payout schedule has changed, please try again': { statusCode: 409, code: 'SCHEDULE_CONFLICT' },
+  'Start date must be in the future': { statusCode: 400, code: 'INVALID_START_DATE' },
+  'Group status was changed by another request': { statusCode: 409, code: 'STATUS_CONFLICT' }
+};
+
+/**
+ * Send the error response matching a GroupService error
+ */
+const sendGroupError = (res, error) => {
+  const { statusCode, code } = GROUP_ERRORS[error.message] || { statusCode: 400, code: null };
+  return responseHandler.error(res, error.message, statusCode, null, code);
+};
+
+class GroupController {
+  /**
+   * Create a group
+   * @route POST /api/groups
+   */
+  static async createGroup(req, res) {
+    try {
+      const result = await GroupService.createGroup(req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      logger.error('Create group error:', error);
+      return sendGroupError(res, error);
+    }
+  }
+
+  /**
+   * Get a group
+   * @route GET /api/groups/:id
+   */
+  static async getGroupById(req, res) {
+    try {
+      const result = await GroupService.getGroupById(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Group retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Get group error:', error);
+      return sendGroupError(res, error);
+    }
+  }
+
+  /**
+   * List the groups of the current user
+   * @route GET /api/groups
+   */
+  static async getUserGroups(req, res) {
+    try {
+      const result = await GroupService.getUserGroups(req.user.id, req.query);
+      return responseHandler.success(res, 'Groups retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Get user groups error:', error);
+      return sendGroupError(res, error);
+    }
+  }
+
+  /**
+   * List public groups
+   * @route GET /api/groups/public
+   */
+  static async getPublicGroups(req, res) {
+    try {
+      const result = await GroupService.getPublicGroups(req.query);
+      return responseHandler.success(res, 'Public groups retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Get public groups error:', error);
+      return sendGroupError(res, error);
+    }
+  }
+
+  /**
+   * Join a group
+   * @route POST /api/groups/:id/join
+   */
+  static async joinGroup(req, res) {
+    try {
+      const result = await GroupService.joinGroup(req.params.id, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      logger.error('Join group error:', error);
+      return sendGroupError(res, error);
+    }
+  }
+
+  /**
+   * Leave a group
+   * @route POST /api/groups/:id/leave
+   */
+  static async leaveGroup(req, res) {
+    try {
+      const result = await GroupService.leaveGroup(req.params.id, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      logger.error('Leave group error:', error);
+      return sendGroupError(res, error);
+    }
+  }
+
+  /**
+   * Update a group
+   * @route PUT /api/groups/:id
+   */
+  static async updateGroup(req, res) {
+    try {
+      const result = await GroupService.updateGroup(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      logger.error('Update group error:', error);
+      return sendGroupError(res, error);
+    }
+  }
+
+  /**
+   * Delete a group
+   * @route DELETE /api/groups/:id
+   */
+  static async deleteGroup(req, res) {
+    try {
+      const result = await GroupService.deleteGroup(req.params.id, req.user.id);
+      return responseHandler.success(res, result.message);
+    } catch (error) {
+      logger.error('Delete group error:', error);
+      return sendGroupError(res, error);
+    }
+  }
+
+  /**
+   * List the members of a group
+   * @route GET /api/groups/:id/members
+   */
+  static async getGroupMembers(req, res) {
+    try {
+      const result = await GroupService.getGroupMembers(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Group members retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Get group members error:', error);
+      return sendGroupError(res, error);
+    }
+  }
+}
+
+module.exports = GroupController;
@@ -0,0 +1,56 @@
+const GroupRoleService = require('../services/GroupRoleService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors GroupRoleService raises
+const GROUP_ROLE_ERRORS = {
+  'Group not found': 404,
+  'User is not a member of this group': 404,
+  'Access denied to this group': 403,
+  'You are not allowed to manage roles in this group': 403,
+  'Cannot change the role of the group creator': 403
+};
+
+/**
+ * Give a GroupRoleService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = GROUP_ROLE_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class GroupRoleController {
+  /**
+   * Get member roles and own permissions in a group
+   * @route GET /api/groups/:id/roles
+   */
+  static async getRoles(req, res, next) {
+    try {
+      const result = await GroupRoleService.getRoles(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Group roles retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Assign a group role to a member
+   * @route PUT /api/groups/:id/roles/:memberId
+   */
+  static async assignRole(req, res, next) {
+    try {
+      const result = await GroupRoleService.assignRole(
+        req.params.id,
+        req.params.memberId,
+        req.body.role,
+        req.user.id
+      );
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = GroupRoleController;
@@ -0,0 +1,50 @@
+const GroupLifecycleService = require('../services/GroupLifecycleService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors GroupLifecycleService raises
+const GROUP_STATUS_ERRORS = {
+  'Group not found': 404,
+  'Access denied to this group': 403,
+  'You are not allowed to change the status of this group': 403,
+  'Group status was changed by another request': 409
+};
+
+/**
+ * Give a GroupLifecycleService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = GROUP_STATUS_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class GroupStatusController {
+  /**
+   * Change the status of a group
+   * @route PUT /api/groups/:id/status
+   */
+  static async changeStatus(req, res, next) {
+    try {
+      const result = await GroupLifecycleService.changeStatus(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get the current status and status history of a group
+   * @route GET /api/groups/:id/status
+   */
+  static async getStatusHistory(req, res, next) {
+    try {
+      const result = await GroupLifecycleService.getStatusHistory(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Group status retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = GroupStatusController;
@@ -0,0 +1,134 @@
+const InvitationService = require('../services/InvitationService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors InvitationService raises
+const INVITATION_ERRORS = {
+  'Group not found': 404,
+  'Invitation not found': 404,
+  'User not found': 404,
+  'This invitation is not addressed to you': 403,
+  'You are not allowed to manage invitations in this group': 403,
+  'This person already has a pending invitation': 409
+};
+
+/**
+ * Give a InvitationService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = INVITATION_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class InvitationController {
+  /**
+   * Create an invite code for a group
+   * @route POST /api/groups/:id/invitations/codes
+   */
+  static async createInviteCode(req, res, next) {
+    try {
+      const result = await InvitationService.createInviteCode(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Invite a user to a group by email or phone
+   * @route POST /api/groups/:id/invitations
+   */
+  static async inviteUser(req, res, next) {
+    try {
+      const result = await InvitationService.inviteUser(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List invitations of a group
+   * @route GET /api/groups/:id/invitations
+   */
+  static async getGroupInvitations(req, res, next) {
+    try {
+      const result = await InvitationService.getGroupInvitations(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Invitations retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Revoke an invitation
+   * @route PUT /api/groups/:id/invitations/:invitationId/revoke
+   */
+  static async revokeInvitation(req, res, next) {
+    try {
+      const result = await InvitationService.revokeInvitation(
+        req.params.id,
+        req.params.invitationId,
+        req.user.id
+      );
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Join a group with an invite code
+   * @route POST /api/groups/join-by-code
+   */
+  static async joinByCode(req, res, next) {
+    try {
+      const result = await InvitationService.joinByCode(req.body.code, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List pending invitations of the current user
+   * @route GET /api/invitations
+   */
+  static async getUserInvitations(req, res, next) {
+    try {
+      const result = await InvitationService.getUserInvitations(req.user.id);
+      return responseHandler.success(res, 'Invitations retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Accept an invitation
+   * @route PUT /api/invitations/:invitationId/accept
+   */
+  static async acceptInvitation(req, res, next) {
+    try {
+      const result = await InvitationService.acceptInvitation(req.params.invitationId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Decline an invitation
+   * @route PUT /api/invitations/:invitationId/decline
+   */
+  static async declineInvitation(req, res, next) {
+    try {
+      const result = await InvitationService.declineInvitation(req.params.invitationId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = InvitationController;
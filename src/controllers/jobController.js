@@ -0,0 +1,53 @@
+const JobRunService = require('../services/JobRunService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors JobRunService raises
+const JOB_ERRORS = {
+  'Job not found': 404
+};
+
+/**
+ * Give a JobRunService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = JOB_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class JobController {
+  /**
+   * List background jobs with their latest run and failure
+   * @route GET /api/admin/jobs
+   */
+  static async getJobs(req, res, next) {
+    try {
+      const result = await JobRunService.getJobs();
+      return responseHandler.success(res, 'Jobs retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List job runs
+   * @route GET /api/admin/jobs/runs
+   */
+  static async getJobRuns(req, res, next) {
+    try {
+      const { job, status, page, limit } = req.query;
+      const result = await JobRunService.getJobRuns({
+        job,
+        status,
+        page: page ? parseInt(page) : undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      return responseHandler.success(res, 'Job runs retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = JobController;
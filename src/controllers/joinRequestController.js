@@ -0,0 +1,82 @@
+const JoinRequestService = require('../services/JoinRequestService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors JoinRequestService raises
+const JOIN_REQUEST_ERRORS = {
+  'Group not found': 404,
+  'Join request not found': 404,
+  'You are not allowed to review join requests in this group': 403,
+  'You already have a pending request for this group': 409,
+  'Join request has already been reviewed': 409
+};
+
+/**
+ * Give a JoinRequestService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = JOIN_REQUEST_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class JoinRequestController {
+  /**
+   * Request to join a private group
+   * @route POST /api/groups/:id/join-requests
+   */
+  static async requestToJoin(req, res, next) {
+    try {
+      const result = await JoinRequestService.requestToJoin(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List pending join requests of a group
+   * @route GET /api/groups/:id/join-requests
+   */
+  static async getPendingRequests(req, res, next) {
+    try {
+      const result = await JoinRequestService.getPendingRequests(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Join requests retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Approve a join request
+   * @route PUT /api/groups/:id/join-requests/:requestId/approve
+   */
+  static async approveRequest(req, res, next) {
+    try {
+      const result = await JoinRequestService.approveRequest(req.params.id, req.params.requestId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Reject a join request
+   * @route PUT /api/groups/:id/join-requests/:requestId/reject
+   */
+  static async rejectRequest(req, res, next) {
+    try {
+      const result = await JoinRequestService.rejectRequest(
+        req.params.id,
+        req.params.requestId,
+        req.body.reason,
+        req.user.id
+      );
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = JoinRequestController;
@@ -0,0 +1,98 @@
+const KYCService = require('../services/KYCService');
+const responseHandler = require('../utils/responseHandler');
+const constants = require('../config/constants');
+const logger = require('../utils/logger');
+
+class KYCController {
+  /**
+   * Submit identity documents for review
+   * @route POST /api/kyc/submit
+   */
+  static async submitKYCDocuments(req, res) {
+    try {
+      const user = await KYCService.submitKYCDocuments(req.user.id, req.body, req.files);
+      return responseHandler.success(res, 'KYC documents submitted successfully', { kyc: user.kyc });
+    } catch (error) {
+      logger.error('KYC submission error:', error);
+      return responseHandler.error(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Get the KYC state of the current user
+   * @route GET /api/kyc/status
+   */
+  static async getKYCStatus(req, res) {
+    try {
+      const kyc = await KYCService.getKYCStatus(req.user.id);
+      return responseHandler.success(res, 'KYC status retrieved successfully', { kyc });
+    } catch (error) {
+      logger.error('Get KYC status error:', error);
+      return responseHandler.error(res, error.message, 404);
+    }
+  }
+
+  /**
+   * Record a review decision on a submission (admin)
+   * @route POST /api/kyc/verify
+   * @route POST /api/kyc/verify/:userId
+   */
+  static async verifyKYC(req, res) {
+    try {
+      const { userId: bodyUserId, ...verification } = req.body;
+      const user = await KYCService.verifyKYC(req.params.userId || bodyUserId, verification);
+      return responseHandler.success(res, 'KYC verification completed', { user: { _id: user._id, kyc: user.kyc } });
+    } catch (error) {
+      logger.error('KYC verification error:', error);
+      return responseHandler.error(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Reject a submission (admin)
+   * @route POST /api/kyc/reject/:userId
+   */
+  static async rejectKYC(req, res) {
+    try {
+      const { userId: bodyUserId, ...rejection } = req.body;
+      const user = await KYCService.verifyKYC(req.params.userId || bodyUserId, {
+        ...rejection,
+        status: constants.KYC_STATUS.REJECTED
+      });
+      return responseHandler.success(res, 'KYC rejected', { user: { _id: user._id, kyc: user.kyc } });
+    } catch (error) {
+      logger.error('KYC rejection error:', error);
+      return responseHandler.error(res, error.message, 400);
+    }
+  }
+
+  /**
+   * List the users waiting for a review (admin)
+   * @route GET /api/kyc/pending
+   */
+  static async getPendingKYC(req, res) {
+    try {
+      const pendingKYC = await KYCService.getPendingKYC();
+      return responseHandler.success(res, 'Pending KYC requests retrieved successfully', { pendingKYC });
+    } catch (error) {
+      logger.error('Get pending KYC error:', error);
+      return responseHandler.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * List every submission (admin)
+   * @route GET /api/kyc/requests
+   */
+  static async getAllKYCRequests(req, res) {
+    try {
+      const kycRequests = await KYCService.getAllKYCRequests({ status: req.query && req.query.status });
+      return responseHandler.success(res, 'KYC requests retrieved successfully', { kycRequests });
+    } catch (error) {
+      logger.error('Get KYC requests error:', error);
+      return responseHandler.error(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = KYCController;
@@ -0,0 +1,41 @@
+const LedgerService = require('../services/LedgerService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors LedgerService raises
+const LEDGER_ERRORS = {
+  'Group not found': 404,
+  'Access denied to this group': 403
+};
+
+/**
+ * Give a LedgerService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = LEDGER_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class LedgerController {
+  /**
+   * Get the journal and balances of a group
+   * @route GET /api/groups/:id/ledger
+   */
+  static async getLedger(req, res, next) {
+    try {
+      const { memberId, type, page, limit } = req.query;
+      const result = await LedgerService.getLedger(req.params.id, req.user.id, {
+        memberId,
+        type,
+        page: page ? parseInt(page) : undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      return responseHandler.success(res, 'Ledger retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = LedgerController;
@@ -0,0 +1,143 @@
+const MessageService = require('../services/MessageService');
+const responseHandler = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+// HTTP status of the errors MessageService raises
+const MESSAGE_ERRORS = {
+  'Message not found': 404,
+  'Recipient not found': 404,
+  'Group not found': 404,
+  'User is not a member of this group': 403,
+  'Only the sender can delete this message': 403,
+  'Only the recipient can mark this message as read': 403
+};
+
+/**
+ * Send the error response matching a MessageService error
+ */
+const sendMessageError = (res, error) =>
+  responseHandler.error(res, error.message, MESSAGE_ERRORS[error.message] || 400);
+
+class MessageController {
+  /**
+   * Send a direct message
+   * @route POST /api/messages
+   */
+  static async sendMessage(req, res) {
+    try {
+      const result = await MessageService.sendMessage({
+        ...req.body,
+        senderId: req.user.id
+      });
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      logger.error('Send message error:', error);
+      return sendMessageError(res, error);
+    }
+  }
+
+  /**
+   * Send a message to a group
+   * @route POST /api/messages/group/:groupId
+   */
+  static async sendGroupMessage(req, res) {
+    try {
+      const result = await MessageService.sendGroupMessage({
+        ...req.body,
+        groupId: req.params.groupId,
+        senderId: req.user.id
+      });
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      logger.error('Send group message error:', error);
+      return sendMessageError(res, error);
+    }
+  }
+
+  /**
+   * Get the conversation with another user
+   * @route GET /api/messages/conversation/:userId
+   */
+  static async getConversation(req, res) {
+    try {
+      const result = await MessageService.getConversation(req.user.id, req.params.userId);
+      return responseHandler.success(res, 'Conversation retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Get conversation error:', error);
+      return sendMessageError(res, error);
+    }
+  }
+
+  /**
+   * Get the messages of a group
+   * @route GET /api/messages/group/:groupId
+   */
+  static async getGroupMessages(req, res) {
+    try {
+      const result = await MessageService.getGroupMessages(req.params.groupId, req.user.id);
+      return responseHandler.success(res, 'Group messages retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Get group messages error:', error);
+      return sendMessageError(res, error);
+    }
+  }
+
+  /**
+   * Mark a message as read
+   * @route PUT /api/messages/:messageId/read
+   */
+  static async markAsRead(req, res) {
+    try {
+      const result = await MessageService.markAsRead(req.params.messageId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      logger.error('Mark message as read error:', error);
+      return sendMessageError(res, error);
+    }
+  }
+
+  /**
+   * Delete a message
+   * @route DELETE /api/messages/:messageId
+   */
+  static async deleteMessage(req, res) {
+    try {
+      const result = await MessageService.deleteMessage(req.params.messageId, req.user.id);
+      return responseHandler.success(res, result.message);
+    } catch (error) {
+      logger.error('Delete message error:', error);
+      return sendMessageError(res, error);
+    }
+  }
+
+  /**
+   * Count the unread messages of the current user
+   * @route GET /api/messages/unread-count
+   */
+  static async getUnreadCount(req, res) {
+    try {
+      const result = await MessageService.getUnreadCount(req.user.id);
+      return responseHandler.success(res, 'Unread count retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Get unread count error:', error);
+      return sendMessageError(res, error);
+    }
+  }
+
+  /**
+   * Search the messages of the current user
+   * @route GET /api/messages/search
+   */
+  static async searchMessages(req, res) {
+    try {
+      const { query, ...filters } = req.query;
+      const result = await MessageService.searchMessages(req.user.id, query, filters);
+      return responseHandler.success(res, 'Messages retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Search messages error:', error);
+      return sendMessageError(res, error);
+    }
+  }
+}
+
+module.exports = MessageController;
@@ -0,0 +1,82 @@
+const MobileMoneyService = require('../services/MobileMoneyService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors MobileMoneyService raises
+const MOBILE_MONEY_ERRORS = {
+  'Contribution not found': 404,
+  'Payment not found': 404,
+  'Mobile money provider not found': 404,
+  'Invalid callback signature': 401,
+  'Access denied to this payment': 403,
+  'Access denied to this contribution': 403,
+  'Only the member who owes a contribution can pay it': 403,
+  'The remaining balance of this contribution is already awaiting confirmation': 409
+};
+
+/**
+ * Give a MobileMoneyService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = MOBILE_MONEY_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class MobileMoneyController {
+  /**
+   * List the mobile money providers
+   * @route GET /api/payments/mobile-money/providers
+   */
+  static async getProviders(req, res, next) {
+    try {
+      const result = MobileMoneyService.getProviders();
+      return responseHandler.success(res, 'Mobile money providers retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Start a mobile money payment of a contribution
+   * @route POST /api/payments/mobile-money
+   */
+  static async initiatePayment(req, res, next) {
+    try {
+      const result = await MobileMoneyService.initiatePayment(req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get the status of a mobile money payment
+   * @route GET /api/payments/mobile-money/:paymentId
+   */
+  static async getPaymentStatus(req, res, next) {
+    try {
+      const result = await MobileMoneyService.getPaymentStatus(req.params.paymentId, req.user.id);
+      return responseHandler.success(res, 'Payment status retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Receive an operator callback
+   * The signature covers the raw body, kept by the JSON parser as req.rawBody.
+   * @route POST /api/payments/mobile-money/callbacks/:provider
+   */
+  static async handleCallback(req, res, next) {
+    try {
+      const rawBody = req.rawBody ? req.rawBody.toString() : JSON.stringify(req.body);
+      const result = await MobileMoneyService.handleCallback(req.params.provider, rawBody, req.headers);
+      return responseHandler.success(res, result.message, { paymentId: result.data.payment._id });
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = MobileMoneyController;
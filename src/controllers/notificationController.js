@@ -0,0 +1,79 @@
+const NotificationService = require('../services/NotificationService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors NotificationService raises
+const NOTIFICATION_ERRORS = {
+  'Notification not found': 404,
+  'User not found': 404
+};
+
+/**
+ * Give a NotificationService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = NOTIFICATION_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class NotificationController {
+  /**
+   * Get the notifications of the current user
+   * @route GET /api/notifications
+   */
+  static async getNotifications(req, res, next) {
+    try {
+      const { unreadOnly, page, limit } = req.query;
+      const result = await NotificationService.getNotifications(req.user.id, {
+        unreadOnly: unreadOnly === 'true',
+        page: page ? parseInt(page) : undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      return responseHandler.success(res, 'Notifications retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * @route PUT /api/notifications/:notificationId/read
+   */
+  static async markAsRead(req, res, next) {
+    try {
+      const result = await NotificationService.markAsRead(req.params.notificationId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Mark every notification of the current user as read
+   * @route PUT /api/notifications/read-all
+   */
+  static async markAllAsRead(req, res, next) {
+    try {
+      const result = await NotificationService.markAllAsRead(req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Delete a notification
+   * @route DELETE /api/notifications/:notificationId
+   */
+  static async deleteNotification(req, res, next) {
+    try {
+      const result = await NotificationService.deleteNotification(req.params.notificationId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = NotificationController;
@@ -0,0 +1,47 @@
+const NotificationPreferenceService = require('../services/NotificationPreferenceService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors NotificationPreferenceService raises
+const NOTIFICATION_PREFERENCE_ERRORS = {
+  'User not found': 404
+};
+
+/**
+ * Give a NotificationPreferenceService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = NOTIFICATION_PREFERENCE_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class NotificationPreferenceController {
+  /**
+   * Get the notification preferences of the current user
+   * @route GET /api/users/me/notification-preferences
+   */
+  static async getPreferences(req, res, next) {
+    try {
+      const result = await NotificationPreferenceService.getPreferences(req.user.id);
+      return responseHandler.success(res, 'Notification preferences retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Replace the notification preferences of the current user
+   * @route PUT /api/users/me/notification-preferences
+   */
+  static async updatePreferences(req, res, next) {
+    try {
+      const result = await NotificationPreferenceService.updatePreferences(req.user.id, req.body);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = NotificationPreferenceController;
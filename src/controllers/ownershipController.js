@@ -0,0 +1,95 @@
+const OwnershipTransferService = require('../services/OwnershipTransferService');
+const MemberObligationService = require('../services/MemberObligationService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors OwnershipTransferService and MemberObligationService raise
+const OWNERSHIP_ERRORS = {
+  'Group not found': 404,
+  'Ownership transfer not found': 404,
+  'User is not a member of this group': 403,
+  'Only the group creator can transfer ownership': 403,
+  'Only the group creator can cancel this transfer': 403,
+  'Only the designated member can accept this transfer': 403,
+  'Only the designated member can decline this transfer': 403,
+  'An ownership transfer is already pending for this group': 409,
+  'Group ownership changed since the transfer was requested': 409
+};
+
+/**
+ * Give a service error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = OWNERSHIP_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class OwnershipController {
+  /**
+   * Offer the ownership of a group to another member
+   * @route POST /api/groups/:id/transfer-ownership
+   */
+  static async requestTransfer(req, res, next) {
+    try {
+      const result = await OwnershipTransferService.requestTransfer(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Accept an ownership transfer
+   * @route PUT /api/groups/:id/transfer-ownership/:transferId/accept
+   */
+  static async acceptTransfer(req, res, next) {
+    try {
+      const result = await OwnershipTransferService.acceptTransfer(req.params.id, req.params.transferId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Decline an ownership transfer
+   * @route PUT /api/groups/:id/transfer-ownership/:transferId/decline
+   */
+  static async declineTransfer(req, res, next) {
+    try {
+      const result = await OwnershipTransferService.declineTransfer(req.params.id, req.params.transferId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Cancel an ownership transfer
+   * @route PUT /api/groups/:id/transfer-ownership/:transferId/cancel
+   */
+  static async cancelTransfer(req, res, next) {
+    try {
+      const result = await OwnershipTransferService.cancelTransfer(req.params.id, req.params.transferId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get what the current member still owes the group
+   * @route GET /api/groups/:id/obligations
+   */
+  static async getObligations(req, res, next) {
+    try {
+      const result = await MemberObligationService.getObligations(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Obligations retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = OwnershipController;
@@ -0,0 +1,117 @@
+const PaymentService = require('../services/PaymentService');
+const responseHandler = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+const { ROLES } = require('../config/constants');
+
+// HTTP status of the errors PaymentService raises
+const PAYMENT_ERRORS = {
+  'Payment not found': 404,
+  'Contribution not found': 404,
+  'User not found': 404,
+  'Forbidden': 403,
+  'Only the member who owes a contribution can pay it': 403,
+  'Stripe is not configured': 503
+};
+
+/**
+ * Send the error response matching a PaymentService error
+ */
+const sendPaymentError = (res, error) =>
+  responseHandler.error(res, error.message, PAYMENT_ERRORS[error.message] || 400);
+
+class PaymentController {
+  /**
+   * Declare a bank transfer, with an optional proof of transfer
+   * @route POST /api/payments/bank-transfer
+   */
+  static async createBankTransferPayment(req, res) {
+    try {
+      const payment = await PaymentService.createBankTransferPayment({
+        ...req.body,
+        bankProofUrl: req.file ? req.file.path : req.body.bankProofUrl,
+        userId: req.user.id
+      });
+      return responseHandler.success(res, 'Bank transfer payment created successfully', { payment }, 201);
+    } catch (error) {
+      logger.error('Create bank transfer payment error:', error);
+      return sendPaymentError(res, error);
+    }
+  }
+
+  /**
+   * Start a card payment through a Stripe payment intent
+   * @route POST /api/payments/stripe
+   */
+  static async createStripePaymentIntent(req, res) {
+    try {
+      const result = await PaymentService.createStripePaymentIntent({
+        ...req.body,
+        userId: req.user.id
+      });
+      return responseHandler.success(res, 'Stripe payment intent created successfully', result, 201);
+    } catch (error) {
+      logger.error('Create Stripe payment intent error:', error);
+      return sendPaymentError(res, error);
+    }
+  }
+
+  /**
+   * List the payments of the current user
+   * @route GET /api/payments
+   */
+  static async getUserPayments(req, res) {
+    try {
+      const result = await PaymentService.getUserPayments(req.user.id);
+      return responseHandler.success(res, 'Payments retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Get user payments error:', error);
+      return sendPaymentError(res, error);
+    }
+  }
+
+  /**
+   * Get a payment
+   * @route GET /api/payments/:id
+   */
+  static async getPaymentById(req, res) {
+    try {
+      const payment = await PaymentService.getPaymentById({
+        paymentId: req.params.id,
+        userId: req.user.id,
+        isAdmin: req.user.role === ROLES.ADMIN
+      });
+      return responseHandler.success(res, 'Payment retrieved successfully', { payment });
+    } catch (error) {
+      logger.error('Get payment error:', error);
+      return sendPaymentError(res, error);
+    }
+  }
+
+  /**
+   * Verify or reject a declared bank transfer
+   * @route PUT /api/payments/:id/verify
+   */
+  static async verifyPayment(req, res) {
+    try {
+      const { status, verificationNotes } = req.body;
+      const payment = status === 'REJECTED'
+        ? await PaymentService.rejectBankTransfer({
+          paymentId: req.params.id,
+          adminUserId: req.user.id,
+          reason: verificationNotes
+        })
+        : await PaymentService.verifyBankTransfer({
+          paymentId: req.params.id,
+          adminUserId: req.user.id,
+          notes: verificationNotes
+        });
+      const message = status === 'REJECTED' ? 'Payment rejected' : 'Payment verified successfully';
+      return responseHandler.success(res, message, { payment });
+    } catch (error) {
+      logger.error('Verify payment error:', error);
+      return sendPaymentError(res, error);
+    }
+  }
+}
+
+module.exports = PaymentController;
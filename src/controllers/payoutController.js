@@ -0,0 +1,115 @@
+const PayoutService = require('../services/PayoutService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors PayoutService raises
+const PAYOUT_ERRORS = {
+  'Group not found': 404,
+  'Payout not found': 404,
+  'Payout schedule not found': 404,
+  'Cycle not found in payout schedule': 404,
+  'Access denied to this group': 403,
+  'You are not allowed to manage payouts in this group': 403,
+  'A payout already exists for this cycle': 409
+};
+
+/**
+ * Give a PayoutService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = PAYOUT_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class PayoutController {
+  /**
+   * Create the payout of a cycle
+   * @route POST /api/groups/:id/payouts
+   */
+  static async createPayout(req, res, next) {
+    try {
+      const result = await PayoutService.createPayout(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List payouts of a group
+   * @route GET /api/groups/:id/payouts
+   */
+  static async getGroupPayouts(req, res, next) {
+    try {
+      const { status, page, limit } = req.query;
+      const result = await PayoutService.getGroupPayouts(req.params.id, req.user.id, {
+        status,
+        page: page ? parseInt(page) : undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      return responseHandler.success(res, 'Payouts retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get a payout
+   * @route GET /api/groups/:id/payouts/:payoutId
+   */
+  static async getPayoutById(req, res, next) {
+    try {
+      const result = await PayoutService.getPayoutById(req.params.id, req.params.payoutId, req.user.id);
+      return responseHandler.success(res, 'Payout retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Approve a payout
+   * @route PUT /api/groups/:id/payouts/:payoutId/approve
+   */
+  static async approvePayout(req, res, next) {
+    try {
+      const result = await PayoutService.approvePayout(req.params.id, req.params.payoutId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Confirm a payout disbursement with its proof
+   * @route PUT /api/groups/:id/payouts/:payoutId/confirm
+   */
+  static async confirmPayout(req, res, next) {
+    try {
+      const result = await PayoutService.confirmPayout(
+        req.params.id,
+        req.params.payoutId,
+        { proofUrl: req.file ? req.file.path : undefined },
+        req.user.id
+      );
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Reconcile a cycle's inflow against its payout
+   * @route GET /api/groups/:id/payouts/reconciliation/:cycleNumber
+   */
+  static async getCycleReconciliation(req, res, next) {
+    try {
+      const result = await PayoutService.getCycleReconciliation(req.params.id, req.params.cycleNumber, req.user.id);
+      return responseHandler.success(res, 'Cycle reconciliation retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = PayoutController;
@@ -0,0 +1,84 @@
+const PenaltyService = require('../services/PenaltyService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors PenaltyService raises
+const PENALTY_ERRORS = {
+  'Group not found': 404,
+  'Penalty not found': 404,
+  'Access denied to this group': 403,
+  'You are not allowed to manage penalties in this group': 403,
+  'You are not allowed to update the settings of this group': 403,
+  'Penalty has already been reversed': 409
+};
+
+/**
+ * Give a PenaltyService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = PENALTY_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class PenaltyController {
+  /**
+   * List penalties of a group
+   * @route GET /api/groups/:id/penalties
+   */
+  static async getPenalties(req, res, next) {
+    try {
+      const { contributionId, status } = req.query;
+      const result = await PenaltyService.getPenalties(req.params.id, req.user.id, { contributionId, status });
+      return responseHandler.success(res, 'Penalties retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Reverse a penalty
+   * @route PUT /api/groups/:id/penalties/:penaltyId/reverse
+   */
+  static async reversePenalty(req, res, next) {
+    try {
+      const result = await PenaltyService.reversePenalty(
+        req.params.id,
+        req.params.penaltyId,
+        req.body.reason,
+        req.user.id
+      );
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get the penalty policy of a group
+   * @route GET /api/groups/:id/penalties/policy
+   */
+  static async getPolicy(req, res, next) {
+    try {
+      const result = await PenaltyService.getPolicy(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Penalty policy retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Replace the penalty policy of a group
+   * @route PUT /api/groups/:id/penalties/policy
+   */
+  static async updatePolicy(req, res, next) {
+    try {
+      const result = await PenaltyService.updatePolicy(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = PenaltyController;
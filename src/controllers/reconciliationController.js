@@ -0,0 +1,102 @@
+const BankReconciliationService = require('../services/BankReconciliationService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors BankReconciliationService raises
+const RECONCILIATION_ERRORS = {
+  'Statement import not found': 404,
+  'Statement line not found': 404,
+  'Payment not found': 404,
+  'This statement has already been imported': 409,
+  'Statement line has already been resolved': 409
+};
+
+/**
+ * Give a BankReconciliationService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = RECONCILIATION_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class ReconciliationController {
+  /**
+   * Import a bank statement (CSV, OFX or CAMT.053) and propose matches
+   * @route POST /api/admin/reconciliation/imports
+   */
+  static async importStatement(req, res, next) {
+    try {
+      const result = await BankReconciliationService.importStatement(
+        req.file ? { path: req.file.path, originalName: req.file.originalname } : undefined,
+        req.user.id
+      );
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List statement imports
+   * @route GET /api/admin/reconciliation/imports
+   */
+  static async getImports(req, res, next) {
+    try {
+      const { page, limit } = req.query;
+      const result = await BankReconciliationService.getImports({
+        page: page ? parseInt(page) : undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      return responseHandler.success(res, 'Statement imports retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get a statement import with its lines
+   * @route GET /api/admin/reconciliation/imports/:importId
+   */
+  static async getImport(req, res, next) {
+    try {
+      const result = await BankReconciliationService.getImport(req.params.importId);
+      return responseHandler.success(res, 'Statement import retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Confirm the match of a statement line and verify the payment
+   * @route PUT /api/admin/reconciliation/imports/:importId/lines/:lineId/confirm
+   */
+  static async confirmMatch(req, res, next) {
+    try {
+      const result = await BankReconciliationService.confirmMatch(
+        req.params.importId,
+        req.params.lineId,
+        req.body.paymentId,
+        req.user.id
+      );
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Reject the proposal of a statement line
+   * @route PUT /api/admin/reconciliation/imports/:importId/lines/:lineId/reject
+   */
+  static async rejectMatch(req, res, next) {
+    try {
+      const result = await BankReconciliationService.rejectMatch(req.params.importId, req.params.lineId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = ReconciliationController;
@@ -0,0 +1,49 @@
+const RefundService = require('../services/RefundService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors RefundService raises
+const REFUND_ERRORS = {
+  'Payment not found': 404,
+  'You are not allowed to refund this payment': 403,
+  'Payment has changed, please try again': 409
+};
+
+/**
+ * Give a RefundService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = REFUND_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class RefundController {
+  /**
+   * Refund or reverse a verified payment
+   * @route POST /api/payments/:id/refund
+   */
+  static async refundPayment(req, res, next) {
+    try {
+      const result = await RefundService.refundPayment(req.params.id, req.body, req.user);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List the refunds and reversals of a payment
+   * @route GET /api/payments/:id/refunds
+   */
+  static async getRefunds(req, res, next) {
+    try {
+      const result = await RefundService.getRefunds(req.params.id, req.user);
+      return responseHandler.success(res, 'Payment refunds retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = RefundController;
@@ -0,0 +1,52 @@
+const ReminderService = require('../services/ReminderService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors ReminderService raises
+const REMINDER_ERRORS = {
+  'Group not found': 404,
+  'You are not allowed to manage reminders in this group': 403
+};
+
+/**
+ * Give a ReminderService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = REMINDER_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class ReminderController {
+  /**
+   * Get the reminder schedule and the reminders sent in a group
+   * @route GET /api/groups/:id/reminders
+   */
+  static async getReminders(req, res, next) {
+    try {
+      const { page, limit } = req.query;
+      const result = await ReminderService.getReminders(req.params.id, req.user.id, {
+        page: page ? parseInt(page) : undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      return responseHandler.success(res, 'Reminders retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Replace the reminder schedule of a group
+   * @route PUT /api/groups/:id/reminders/schedule
+   */
+  static async updateSchedule(req, res, next) {
+    try {
+      const result = await ReminderService.updateSchedule(req.params.id, req.body.offsets, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = ReminderController;
@@ -0,0 +1,50 @@
+const PayoutScheduleService = require('../services/PayoutScheduleService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors PayoutScheduleService raises
+const SCHEDULE_ERRORS = {
+  'Group not found': 404,
+  'Payout schedule not found': 404,
+  'Access denied to this group': 403,
+  'You are not allowed to manage the payout schedule of this group': 403
+};
+
+/**
+ * Give a PayoutScheduleService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = SCHEDULE_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class ScheduleController {
+  /**
+   * Generate the payout rotation of a group
+   * @route POST /api/groups/:id/schedule
+   */
+  static async generateSchedule(req, res, next) {
+    try {
+      const result = await PayoutScheduleService.generateSchedule(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get the payout schedule of a group
+   * @route GET /api/groups/:id/schedule
+   */
+  static async getSchedule(req, res, next) {
+    try {
+      const result = await PayoutScheduleService.getSchedule(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Payout schedule retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = ScheduleController;
@@ -0,0 +1,54 @@
+const StatementService = require('../services/StatementService');
+const { toCsv, toPdf } = require('../utils/statementRenderer');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors StatementService raises
+const STATEMENT_ERRORS = {
+  'Group not found': 404,
+  'You are not allowed to view the statements of this group': 403
+};
+
+/**
+ * Give a StatementService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = STATEMENT_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class StatementController {
+  /**
+   * Get the treasury statement of a group as JSON, CSV or PDF
+   * @route GET /api/groups/:id/statements
+   */
+  static async getStatement(req, res, next) {
+    try {
+      const { from, to, format = 'json' } = req.query;
+      const result = await StatementService.buildStatement(req.params.id, req.user.id, { from, to });
+      const { statement } = result.data;
+
+      if (format === 'json') {
+        return responseHandler.success(res, 'Statement retrieved successfully', result.data);
+      }
+
+      const filename = `statement-${req.params.id}-${statement.period.from.toISOString().slice(0, 10)}` +
+        `-${statement.period.to.toISOString().slice(0, 10)}.${format}`;
+
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        return res.send(toCsv(statement));
+      }
+
+      res.setHeader('Content-Type', 'application/pdf');
+      return res.send(await toPdf(statement));
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = StatementController;
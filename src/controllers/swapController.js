@@ -0,0 +1,128 @@
+const SwapService = require('../services/SwapService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors SwapService raises
+const SWAP_ERRORS = {
+  'Group not found': 404,
+  'Swap request not found': 404,
+  'Payout schedule not found': 404,
+  'Access denied to this group': 403,
+  'Only the requested member can respond to this swap': 403,
+  'Only the requester can cancel this swap request': 403,
+  'You are not allowed to review swap requests in this group': 403,
+  'One of these members already has an open swap request': 409,
+  'Swap request has already been answered': 409,
+  'Payout rotation changed since the swap was proposed': 409
+};
+
+/**
+ * Give a SwapService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = SWAP_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class SwapController {
+  /**
+   * Propose a turn swap with another member
+   * @route POST /api/groups/:id/swaps
+   */
+  static async proposeSwap(req, res, next) {
+    try {
+      const result = await SwapService.proposeSwap(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List swap requests of a group
+   * @route GET /api/groups/:id/swaps
+   */
+  static async getGroupSwaps(req, res, next) {
+    try {
+      const result = await SwapService.getGroupSwaps(req.params.id, req.user.id, {
+        status: req.query.status
+      });
+      return responseHandler.success(res, 'Swap requests retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Accept a swap request
+   * @route PUT /api/groups/:id/swaps/:swapId/accept
+   */
+  static async acceptSwap(req, res, next) {
+    try {
+      const result = await SwapService.acceptSwap(req.params.id, req.params.swapId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Decline a swap request
+   * @route PUT /api/groups/:id/swaps/:swapId/decline
+   */
+  static async declineSwap(req, res, next) {
+    try {
+      const result = await SwapService.declineSwap(req.params.id, req.params.swapId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Approve a swap request
+   * @route PUT /api/groups/:id/swaps/:swapId/approve
+   */
+  static async approveSwap(req, res, next) {
+    try {
+      const result = await SwapService.approveSwap(req.params.id, req.params.swapId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Reject a swap request
+   * @route PUT /api/groups/:id/swaps/:swapId/reject
+   */
+  static async rejectSwap(req, res, next) {
+    try {
+      const result = await SwapService.rejectSwap(
+        req.params.id,
+        req.params.swapId,
+        req.body.reason,
+        req.user.id
+      );
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Cancel a swap request
+   * @route PUT /api/groups/:id/swaps/:swapId/cancel
+   */
+  static async cancelSwap(req, res, next) {
+    try {
+      const result = await SwapService.cancelSwap(req.params.id, req.params.swapId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = SwapController;
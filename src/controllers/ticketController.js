@@ -0,0 +1,172 @@
+const TicketService = require('../services/TicketService');
+const responseHandler = require('../utils/responseHandler');
+const { ROLES } = require('../config/constants');
+
+// HTTP status of the errors TicketService raises
+const TICKET_ERRORS = {
+  'Ticket not found': 404,
+  'Creator not found': 404,
+  'Admin not found': 404,
+  'Access denied to this ticket': 403
+};
+
+/**
+ * Give a TicketService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = TICKET_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class TicketController {
+  /**
+   * Open a support ticket
+   * @route POST /api/tickets
+   */
+  static async createTicket(req, res, next) {
+    try {
+      const result = await TicketService.createTicket(req.body, req.user.id);
+      return responseHandler.success(res, 'Ticket created successfully', result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List the tickets of the current user
+   * @route GET /api/tickets
+   */
+  static async getUserTickets(req, res, next) {
+    try {
+      const result = await TicketService.getUserTickets(req.user.id, req.query);
+      return responseHandler.success(res, 'Tickets retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List all tickets
+   * @route GET /api/tickets/all
+   */
+  static async getAllTickets(req, res, next) {
+    try {
+      const result = await TicketService.getAllTickets(req.query);
+      return responseHandler.success(res, 'All tickets retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get a ticket
+   * @route GET /api/tickets/:id
+   */
+  static async getTicketById(req, res, next) {
+    try {
+      const result = await TicketService.getTicketById(req.params.id, req.user.id);
+      return responseHandler.success(res, 'Ticket retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Update a ticket
+   * @route PUT /api/tickets/:id
+   */
+  static async updateTicket(req, res, next) {
+    try {
+      const result = await TicketService.updateTicket(req.params.id, req.body, req.user.id);
+      return responseHandler.success(res, 'Ticket updated successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Assign a ticket to an admin
+   * @route PUT /api/tickets/:id/assign
+   */
+  static async assignTicket(req, res, next) {
+    try {
+      const result = await TicketService.assignTicket(req.params.id, req.body.assignedTo, req.user.id);
+      return responseHandler.success(res, 'Ticket assigned successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Answer a ticket; internal notes are reserved to admins
+   * @route POST /api/tickets/:id/responses
+   */
+  static async addResponse(req, res, next) {
+    try {
+      await TicketService.getTicketById(req.params.id, req.user.id);
+      const result = await TicketService.addResponse(req.params.id, {
+        ...req.body,
+        isInternal: req.user.role === ROLES.ADMIN && Boolean(req.body.isInternal),
+        responderId: req.user.id
+      });
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Close a ticket; its creator or an admin can close it
+   * @route PUT /api/tickets/:id/close
+   */
+  static async closeTicket(req, res, next) {
+    try {
+      const result = await TicketService.closeTicket(req.params.id, req.user.id, req.body.resolution);
+      return responseHandler.success(res, 'Ticket closed successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Let only the creator of the ticket and the admins through
+   */
+  static async checkAccess(req, res, next) {
+    try {
+      await TicketService.getTicketById(req.params.id, req.user.id);
+      next();
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Get the ticket statistics
+   * @route GET /api/tickets/statistics
+   */
+  static async getTicketStatistics(req, res, next) {
+    try {
+      const result = await TicketService.getTicketStatistics();
+      return responseHandler.success(res, 'Ticket statistics retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List the tickets left open for too long
+   * @route GET /api/tickets/overdue
+   */
+  static async getOverdueTickets(req, res, next) {
+    try {
+      const result = await TicketService.getOverdueTickets();
+      return responseHandler.success(res, 'Overdue tickets retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = TicketController;
@@ -0,0 +1,90 @@
+const UserService = require('../services/UserService');
+const responseHandler = require('../utils/responseHandler');
+const constants = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Whether the current user may read the account given in the route
+ */
+const canReadUser = (req) => req.user.role === constants.ROLES.ADMIN || req.user.id === req.params.userId;
+
+class UserController {
+  /**
+   * List users (admin)
+   * @route GET /api/users
+   */
+  static async getUsers(req, res) {
+    try {
+      const { role, kycStatus, search, page, limit } = req.query;
+      const result = await UserService.getUsers({ role, kycStatus, search }, { page, limit });
+      return responseHandler.success(res, 'Users retrieved successfully', result);
+    } catch (error) {
+      logger.error('Get users error:', error);
+      return responseHandler.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get a user (admin, or the user themselves)
+   * @route GET /api/users/:userId
+   */
+  static async getUserById(req, res) {
+    try {
+      if (!canReadUser(req)) {
+        return responseHandler.error(res, 'Access denied', 403);
+      }
+      const user = await UserService.getUserById(req.params.userId);
+      return responseHandler.success(res, 'User retrieved successfully', { user });
+    } catch (error) {
+      logger.error('Get user error:', error);
+      return responseHandler.error(res, error.message, 404);
+    }
+  }
+
+  /**
+   * Update a user (admin)
+   * @route PUT /api/users/:userId
+   */
+  static async updateUser(req, res) {
+    try {
+      const user = await UserService.updateUser(req.params.userId, req.body);
+      return responseHandler.success(res, 'User updated successfully', { user });
+    } catch (error) {
+      logger.error('Update user error:', error);
+      return responseHandler.error(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Delete a user (admin)
+   * @route DELETE /api/users/:userId
+   */
+  static async deleteUser(req, res) {
+    try {
+      await UserService.deleteUser(req.params.userId, req.user.id);
+      return responseHandler.success(res, 'User deleted successfully');
+    } catch (error) {
+      logger.error('Delete user error:', error);
+      return responseHandler.error(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Get the reliability score history of a user (admin, or the user themselves)
+   * @route GET /api/users/:userId/reliability
+   */
+  static async getReliability(req, res) {
+    try {
+      if (!canReadUser(req)) {
+        return responseHandler.error(res, 'Access denied', 403);
+      }
+      const reliability = await UserService.getReliability(req.params.userId);
+      return responseHandler.success(res, 'Reliability score retrieved successfully', reliability);
+    } catch (error) {
+      logger.error('Get reliability error:', error);
+      return responseHandler.error(res, error.message, 404);
+    }
+  }
+}
+
+module.exports = UserController;
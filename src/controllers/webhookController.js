@@ -0,0 +1,120 @@
+const WebhookService = require('../services/WebhookService');
+const responseHandler = require('../utils/responseHandler');
+
+// HTTP status of the errors WebhookService raises
+const WEBHOOK_ERRORS = {
+  'Webhook endpoint not found': 404,
+  'Webhook delivery not found': 404
+};
+
+/**
+ * Give a WebhookService error its HTTP status before handing it to the error handler
+ */
+const withStatus = (error) => {
+  if (!error.statusCode && error.message) {
+    error.statusCode = WEBHOOK_ERRORS[error.message] || 400;
+  }
+  return error;
+};
+
+class WebhookController {
+  /**
+   * List webhook endpoints
+   * @route GET /api/admin/webhooks
+   */
+  static async getEndpoints(req, res, next) {
+    try {
+      const result = await WebhookService.getEndpoints();
+      return responseHandler.success(res, 'Webhook endpoints retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Create a webhook endpoint
+   * @route POST /api/admin/webhooks
+   */
+  static async createEndpoint(req, res, next) {
+    try {
+      const result = await WebhookService.createEndpoint(req.body, req.user.id);
+      return responseHandler.success(res, result.message, result.data, 201);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Update a webhook endpoint
+   * @route PUT /api/admin/webhooks/:endpointId
+   */
+  static async updateEndpoint(req, res, next) {
+    try {
+      const result = await WebhookService.updateEndpoint(req.params.endpointId, req.body);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Delete a webhook endpoint
+   * @route DELETE /api/admin/webhooks/:endpointId
+   */
+  static async deleteEndpoint(req, res, next) {
+    try {
+      const result = await WebhookService.deleteEndpoint(req.params.endpointId);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Replace the signing secret of a webhook endpoint
+   * @route PUT /api/admin/webhooks/:endpointId/rotate-secret
+   */
+  static async rotateSecret(req, res, next) {
+    try {
+      const result = await WebhookService.rotateSecret(req.params.endpointId);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * List webhook deliveries
+   * @route GET /api/admin/webhooks/deliveries
+   */
+  static async getDeliveries(req, res, next) {
+    try {
+      const { endpointId, event, status, page, limit } = req.query;
+      const result = await WebhookService.getDeliveries({
+        endpointId,
+        event,
+        status,
+        page: page ? parseInt(page) : undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      return responseHandler.success(res, 'Webhook deliveries retrieved successfully', result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+
+  /**
+   * Send a webhook delivery again
+   * @route PUT /api/admin/webhooks/deliveries/:deliveryId/redeliver
+   */
+  static async redeliver(req, res, next) {
+    try {
+      const result = await WebhookService.redeliver(req.params.deliveryId, req.user.id);
+      return responseHandler.success(res, result.message, result.data);
+    } catch (error) {
+      next(withStatus(error));
+    }
+  }
+}
+
+module.exports = WebhookController;
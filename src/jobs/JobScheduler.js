@@ -0,0 +1,115 @@
+const JobRun = require('../models/JobRun');
+const logger = require('../utils/logger');
+
+const jobs = new Map();
+const timers = new Map();
+
+/**
+ * Key of the period a run belongs to, e.g. generate-contributions:2025-01-01T10:00:00.000Z
+ * @param {Object} job - Registered job
+ * @param {Date} now - Reference date
+ * @returns {string} - Run key
+ */
+const getRunKey = (job, now) => {
+  const periodStart = Math.floor(now.getTime() / job.intervalMs) * job.intervalMs;
+  return `${job.name}:${new Date(periodStart).toISOString()}`;
+};
+
+class JobScheduler {
+  /**
+   * Register a recurring job
+   * @param {Object} job - Job definition (name, intervalMs, handler)
+   */
+  static register(job) {
+    if (jobs.has(job.name)) {
+      throw new Error(`Job already registered: ${job.name}`);
+    }
+
+    jobs.set(job.name, job);
+  }
+
+  /**
+   * Get the registered jobs
+   * @returns {Array} - Job names and intervals
+   */
+  static getJobs() {
+    return [...jobs.values()].map(({ name, intervalMs }) => ({ name, intervalMs }));
+  }
+
+  /**
+   * Run a job once for the current period
+   * The run is claimed through the unique key of JobRun, so a period that already ran (before a
+   * restart or on another instance) is skipped.
+   * @param {string} name - Job name
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object|null>} - Finished run, or null if the period was already claimed
+   */
+  static async run(name, now = new Date()) {
+    const job = jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    let run;
+    try {
+      run = await JobRun.create({ job: name, key: getRunKey(job, now), startedAt: now });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const { data } = await job.handler(now);
+
+      const failures = (data && data.failures) || [];
+      const error = failures.length > 0
+        ? new Error(`${failures.length} item(s) failed`)
+        : null;
+
+      await run.finish(error, data);
+    } catch (error) {
+      logger.error(`Job failed: ${name}`, error);
+      await run.finish(error);
+    }
+
+    return run;
+  }
+
+  /**
+   * Start running every registered job on its interval
+   */
+  static start() {
+    for (const job of jobs.values()) {
+      if (timers.has(job.name)) {
+        continue;
+      }
+
+      const tick = () => this.run(job.name).catch(error => {
+        logger.error(`Could not run job: ${job.name}`, error);
+      });
+
+      // Do not keep the process alive just for the scheduler
+      const timer = setInterval(tick, job.intervalMs);
+      timer.unref();
+      timers.set(job.name, timer);
+
+      tick();
+    }
+
+    logger.info(`Job scheduler started with ${jobs.size} job(s)`);
+  }
+
+  /**
+   * Stop every running job timer
+   */
+  static stop() {
+    for (const timer of timers.values()) {
+      clearInterval(timer);
+    }
+    timers.clear();
+  }
+}
+
+module.exports = JobScheduler;
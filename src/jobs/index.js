@@ -0,0 +1,64 @@
+const JobScheduler = require('./JobScheduler');
+const ContributionSchedulerService = require('../services/ContributionSchedulerService');
+const GroupLifecycleService = require('../services/GroupLifecycleService');
+const PenaltyService = require('../services/PenaltyService');
+const ReminderService = require('../services/ReminderService');
+const NotificationService = require('../services/NotificationService');
+const WebhookService = require('../services/WebhookService');
+const MobileMoneyService = require('../services/MobileMoneyService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+JobScheduler.register({
+  name: 'generate-contributions',
+  intervalMs: HOUR,
+  handler: now => ContributionSchedulerService.generateDueContributions(now)
+});
+
+JobScheduler.register({
+  name: 'mark-overdue-contributions',
+  intervalMs: HOUR,
+  handler: now => ContributionSchedulerService.markOverdueContributions(now)
+});
+
+JobScheduler.register({
+  name: 'start-due-groups',
+  intervalMs: HOUR,
+  handler: now => GroupLifecycleService.startDueGroups(now)
+});
+
+JobScheduler.register({
+  name: 'apply-late-penalties',
+  intervalMs: HOUR,
+  handler: now => PenaltyService.applyDuePenalties(now)
+});
+
+JobScheduler.register({
+  name: 'send-contribution-reminders',
+  intervalMs: HOUR,
+  handler: now => ReminderService.sendDueReminders(now)
+});
+
+// Hourly so digests go out at the hour each user chose
+JobScheduler.register({
+  name: 'deliver-deferred-notifications',
+  intervalMs: HOUR,
+  handler: now => NotificationService.deliverDeferred(now)
+});
+
+// Every minute so webhook retries follow their backoff closely
+JobScheduler.register({
+  name: 'deliver-webhooks',
+  intervalMs: MINUTE,
+  handler: now => WebhookService.deliverDue(now)
+});
+
+// Catches mobile money payments whose operator callback never arrived
+JobScheduler.register({
+  name: 'poll-mobile-money-payments',
+  intervalMs: 5 * MINUTE,
+  handler: now => MobileMoneyService.pollPendingPayments(now)
+});
+
+module.exports = JobScheduler;
@@ -0,0 +1,84 @@
+module.exports = {
+  direction: 'rtl',
+  email: {
+    greeting: 'مرحباً {{firstName}}،',
+    footer: 'يمكنك اختيار الإشعارات التي تتلقاها من إعدادات الإشعارات في Tirelire.',
+    digestSubject: 'ملخص Tirelire الخاص بك: {{count}} إشعار'
+  },
+  notifications: {
+    JOIN_REQUEST_APPROVED: {
+      title: 'تم قبول طلب الانضمام',
+      message: 'تم قبول طلبك للانضمام إلى {{groupName}}.'
+    },
+    JOIN_REQUEST_REJECTED: {
+      title: 'تم رفض طلب الانضمام',
+      message: 'تم رفض طلبك للانضمام إلى {{groupName}}.'
+    },
+    GROUP_INVITATION_RECEIVED: {
+      title: 'دعوة إلى مجموعة',
+      message: 'تمت دعوتك للانضمام إلى {{groupName}}.'
+    },
+    OWNERSHIP_TRANSFER_REQUESTED: {
+      title: 'عرض ملكية المجموعة',
+      message: 'طُلب منك تولي إدارة {{groupName}}.'
+    },
+    OWNERSHIP_TRANSFER_ACCEPTED: {
+      title: 'تم نقل ملكية المجموعة',
+      message: 'تم نقل ملكية {{groupName}}. يمكنك الآن مغادرة المجموعة.'
+    },
+    OWNERSHIP_TRANSFER_DECLINED: {
+      title: 'تم رفض نقل الملكية',
+      message: 'تم رفض طلب نقل الملكية الخاص بك.'
+    },
+    GROUP_MEMBER_JOINED: {
+      title: 'عضو جديد',
+      message: 'انضم عضو جديد إلى {{groupName}}.'
+    },
+    CONTRIBUTION_PENALTY: {
+      title: 'تمت إضافة غرامة',
+      message: 'تمت إضافة غرامة بمبلغ {{amount}} {{currency}} إلى مساهمتك في {{groupName}}.'
+    },
+    CONTRIBUTION_CANCELLED: {
+      title: 'تم إلغاء المساهمة',
+      message: 'تم إلغاء مساهمتك بمبلغ {{amount}} {{currency}} في {{groupName}}.'
+    },
+    PAYMENT_VERIFIED: {
+      title: 'تم تأكيد الدفع',
+      message: 'تم استلام تحويلك البنكي بمبلغ {{amount}} {{currency}}.'
+    },
+    PAYMENT_REJECTED: {
+      title: 'تم رفض الدفع',
+      message: 'تعذر تأكيد تحويلك البنكي بمبلغ {{amount}} {{currency}}.'
+    },
+    KYC_VERIFIED: {
+      title: 'تم التحقق من الهوية',
+      message: 'تم التحقق من وثائق هويتك.'
+    },
+    KYC_REJECTED: {
+      title: 'تم رفض التحقق من الهوية',
+      message: 'تعذر التحقق من وثائق هويتك. يرجى إرسالها مرة أخرى.'
+    },
+    TICKET_RESPONSE: {
+      title: 'رد جديد على تذكرتك',
+      message: 'رد فريق الدعم على تذكرتك "{{title}}".'
+    },
+    TICKET_CLOSED: {
+      title: 'تم إغلاق التذكرة',
+      message: 'تم إغلاق تذكرتك "{{title}}".'
+    },
+    CONTRIBUTION_REMINDER: {
+      before: {
+        title: 'تذكير بالمساهمة',
+        message: 'مساهمتك بمبلغ {{amount}} {{currency}} في {{groupName}} مستحقة خلال {{days}} يوم ({{dueDate}}).'
+      },
+      today: {
+        title: 'تذكير بالمساهمة',
+        message: 'مساهمتك بمبلغ {{amount}} {{currency}} في {{groupName}} مستحقة اليوم ({{dueDate}}).'
+      },
+      overdue: {
+        title: 'مساهمة متأخرة',
+        message: 'مساهمتك بمبلغ {{amount}} {{currency}} في {{groupName}} متأخرة بـ {{days}} يوم ({{dueDate}}).'
+      }
+    }
+  }
+};
@@ -0,0 +1,84 @@
+module.exports = {
+  direction: 'ltr',
+  email: {
+    greeting: 'Hello {{firstName}},',
+    footer: 'You can choose which notifications you receive in your Tirelire notification settings.',
+    digestSubject: 'Your Tirelire digest: {{count}} notification(s)'
+  },
+  notifications: {
+    JOIN_REQUEST_APPROVED: {
+      title: 'Join request approved',
+      message: 'Your request to join {{groupName}} has been approved.'
+    },
+    JOIN_REQUEST_REJECTED: {
+      title: 'Join request rejected',
+      message: 'Your request to join {{groupName}} has been rejected.'
+    },
+    GROUP_INVITATION_RECEIVED: {
+      title: 'Group invitation',
+      message: 'You have been invited to join {{groupName}}.'
+    },
+    OWNERSHIP_TRANSFER_REQUESTED: {
+      title: 'Group ownership offered',
+      message: 'You have been asked to take over {{groupName}}.'
+    },
+    OWNERSHIP_TRANSFER_ACCEPTED: {
+      title: 'Group ownership transferred',
+      message: 'Ownership of {{groupName}} has been transferred. You can now leave the group.'
+    },
+    OWNERSHIP_TRANSFER_DECLINED: {
+      title: 'Group ownership declined',
+      message: 'Your ownership transfer request has been declined.'
+    },
+    GROUP_MEMBER_JOINED: {
+      title: 'New member',
+      message: 'A new member joined {{groupName}}.'
+    },
+    CONTRIBUTION_PENALTY: {
+      title: 'Penalty added',
+      message: 'A penalty of {{amount}} {{currency}} was added to your contribution to {{groupName}}.'
+    },
+    CONTRIBUTION_CANCELLED: {
+      title: 'Contribution cancelled',
+      message: 'Your contribution of {{amount}} {{currency}} to {{groupName}} has been cancelled.'
+    },
+    PAYMENT_VERIFIED: {
+      title: 'Payment confirmed',
+      message: 'Your bank transfer of {{amount}} {{currency}} has been received.'
+    },
+    PAYMENT_REJECTED: {
+      title: 'Payment rejected',
+      message: 'Your bank transfer of {{amount}} {{currency}} could not be confirmed.'
+    },
+    KYC_VERIFIED: {
+      title: 'Identity verified',
+      message: 'Your identity documents have been verified.'
+    },
+    KYC_REJECTED: {
+      title: 'Identity verification rejected',
+      message: 'Your identity documents could not be verified. Please submit them again.'
+    },
+    TICKET_RESPONSE: {
+      title: 'New reply to your ticket',
+      message: 'Support replied to your ticket "{{title}}".'
+    },
+    TICKET_CLOSED: {
+      title: 'Ticket closed',
+      message: 'Your ticket "{{title}}" has been closed.'
+    },
+    CONTRIBUTION_REMINDER: {
+      before: {
+        title: 'Contribution reminder',
+        message: 'Your contribution of {{amount}} {{currency}} to {{groupName}} is due in {{days}} day(s) ({{dueDate}}).'
+      },
+      today: {
+        title: 'Contribution reminder',
+        message: 'Your contribution of {{amount}} {{currency}} to {{groupName}} is due today ({{dueDate}}).'
+      },
+      overdue: {
+        title: 'Contribution overdue',
+        message: 'Your contribution of {{amount}} {{currency}} to {{groupName}} is {{days}} day(s) overdue ({{dueDate}}).'
+      }
+    }
+  }
+};
@@ -0,0 +1,84 @@
+module.exports = {
+  direction: 'ltr',
+  email: {
+    greeting: 'Bonjour {{firstName}},',
+    footer: 'Vous pouvez choisir les notifications que vous recevez dans vos paramètres de notification Tirelire.',
+    digestSubject: 'Votre récapitulatif Tirelire : {{count}} notification(s)'
+  },
+  notifications: {
+    JOIN_REQUEST_APPROVED: {
+      title: 'Demande d\'adhésion acceptée',
+      message: 'Votre demande pour rejoindre {{groupName}} a été acceptée.'
+    },
+    JOIN_REQUEST_REJECTED: {
+      title: 'Demande d\'adhésion refusée',
+      message: 'Votre demande pour rejoindre {{groupName}} a été refusée.'
+    },
+    GROUP_INVITATION_RECEIVED: {
+      title: 'Invitation à un groupe',
+      message: 'Vous êtes invité à rejoindre {{groupName}}.'
+    },
+    OWNERSHIP_TRANSFER_REQUESTED: {
+      title: 'Propriété du groupe proposée',
+      message: 'On vous propose de reprendre le groupe {{groupName}}.'
+    },
+    OWNERSHIP_TRANSFER_ACCEPTED: {
+      title: 'Propriété du groupe transférée',
+      message: 'La propriété de {{groupName}} a été transférée. Vous pouvez maintenant quitter le groupe.'
+    },
+    OWNERSHIP_TRANSFER_DECLINED: {
+      title: 'Transfert de propriété refusé',
+      message: 'Votre demande de transfert de propriété a été refusée.'
+    },
+    GROUP_MEMBER_JOINED: {
+      title: 'Nouveau membre',
+      message: 'Un nouveau membre a rejoint {{groupName}}.'
+    },
+    CONTRIBUTION_PENALTY: {
+      title: 'Pénalité ajoutée',
+      message: 'Une pénalité de {{amount}} {{currency}} a été ajoutée à votre cotisation à la tontine {{groupName}}.'
+    },
+    CONTRIBUTION_CANCELLED: {
+      title: 'Cotisation annulée',
+      message: 'Votre cotisation de {{amount}} {{currency}} à la tontine {{groupName}} a été annulée.'
+    },
+    PAYMENT_VERIFIED: {
+      title: 'Paiement confirmé',
+      message: 'Votre virement de {{amount}} {{currency}} a bien été reçu.'
+    },
+    PAYMENT_REJECTED: {
+      title: 'Paiement refusé',
+      message: 'Votre virement de {{amount}} {{currency}} n\'a pas pu être confirmé.'
+    },
+    KYC_VERIFIED: {
+      title: 'Identité vérifiée',
+      message: 'Vos pièces d\'identité ont été vérifiées.'
+    },
+    KYC_REJECTED: {
+      title: 'Vérification d\'identité refusée',
+      message: 'Vos pièces d\'identité n\'ont pas pu être vérifiées. Merci de les soumettre à nouveau.'
+    },
+    TICKET_RESPONSE: {
+      title: 'Nouvelle réponse à votre ticket',
+      message: 'Le support a répondu à votre ticket « {{title}} ».'
+    },
+    TICKET_CLOSED: {
+      title: 'Ticket clôturé',
+      message: 'Votre ticket « {{title}} » a été clôturé.'
+    },
+    CONTRIBUTION_REMINDER: {
+      before: {
+        title: 'Rappel de cotisation',
+        message: 'Votre cotisation de {{amount}} {{currency}} à la tontine {{groupName}} est due dans {{days}} jour(s) ({{dueDate}}).'
+      },
+      today: {
+        title: 'Rappel de cotisation',
+        message: 'Votre cotisation de {{amount}} {{currency}} à la tontine {{groupName}} est due aujourd\'hui ({{dueDate}}).'
+      },
+      overdue: {
+        title: 'Cotisation en retard',
+        message: 'Votre cotisation de {{amount}} {{currency}} à la tontine {{groupName}} est en retard de {{days}} jour(s) ({{dueDate}}).'
+      }
+    }
+  }
+};
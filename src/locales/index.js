@@ -0,0 +1,34 @@
+const en = require('./en');
+const fr = require('./fr');
+const ar = require('./ar');
+
+const LOCALES = { fr, en, ar };
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// Used when a user has no preferred language or a template is missing in theirs
+const DEFAULT_LOCALE = 'fr';
+
+/**
+ * Pick a supported locale from a language code such as "ar" or "en-GB"
+ * @param {string} language - Preferred language of a user
+ * @returns {string} - Supported locale
+ */
+const resolveLocale = (language) => {
+  const code = (language || '').toLowerCase().split('-')[0];
+  return LOCALES[code] ? code : DEFAULT_LOCALE;
+};
+
+/**
+ * Get the strings of a locale
+ * @param {string} locale - Supported locale
+ * @returns {Object} - Locale strings
+ */
+const getLocale = (locale) => LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  getLocale
+};
@@ -0,0 +1,92 @@
+const User = require('../models/User');
+const AuthService = require('../services/AuthService');
+const logger = require('../utils/logger');
+
+/**
+ * Authenticate the request with the Bearer access token and attach the user to req.user
+ */
+const authMiddleware = async (req, res, next) => {
+  const header = req.headers.authorization;
+
+  if (!header) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access token required'
+    });
+  }
+
+  if (!header.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid authorization header format',
+      code: 'INVALID_HEADER'
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = AuthService.verifyAccessToken(header.slice(7));
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+      code: error.message.toLowerCase().includes('expired') ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    });
+  }
+
+  try {
+    const user = await User.findById(decoded.sub);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated or temporarily locked',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    req.user = {
+      id: user._id.toString(),
+      email: user.email,
+      phone: user.phone,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      reliabilityScore: user.reliabilityScore,
+      kycStatus: user.kyc ? user.kyc.status : undefined,
+      isKycVerified: Boolean(user.isKycVerified)
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Authentication error:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication failed',
+      code: 'AUTH_FAILED'
+    });
+  }
+};
+
+/**
+ * Collect the device details stored with refresh tokens
+ */
+const extractDeviceInfo = (req, res, next) => {
+  req.deviceInfo = {
+    userAgent: req.get ? req.get('User-Agent') : req.headers['user-agent'],
+    ipAddress: req.ip || (req.connection && req.connection.remoteAddress)
+  };
+  next();
+};
+
+module.exports = {
+  authMiddleware,
+  extractDeviceInfo
+};
@@ -0,0 +1,70 @@
+const logger = require('../utils/logger');
+
+/**
+ * Translate a thrown error into an HTTP status and a client-safe message
+ * @param {Error} err - Error raised by a route or a middleware
+ * @returns {Object} - { statusCode, message, errors }
+ */
+const resolveError = (err) => {
+  if (err.statusCode) {
+    return { statusCode: err.statusCode, message: err.message || 'Something went wrong' };
+  }
+
+  if (err.name === 'ValidationError') {
+    const errors = Array.isArray(err.details)
+      ? err.details.map(detail => detail.message)
+      : Object.values(err.errors || {}).map(detail => detail.message);
+    return { statusCode: 400, message: err.message || 'Validation error', errors };
+  }
+
+  if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+    return { statusCode: 401, message: err.message };
+  }
+
+  if (err.code === 11000) {
+    return { statusCode: 400, message: 'Duplicate field value' };
+  }
+
+  if (err.name === 'CastError') {
+    return { statusCode: 400, message: 'Invalid ID format' };
+  }
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return { statusCode: 400, message: 'File size too large' };
+  }
+
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return { statusCode: 400, message: 'Too many files' };
+  }
+
+  return { statusCode: 500, message: 'Internal server error' };
+};
+
+/**
+ * Express error handler, registered last in the middleware chain
+ */
+// eslint-disable-next-line no-unused-vars
+const errorHandler = (err, req, res, next) => {
+  if (!(err instanceof Error)) {
+    logger.error('Non-error value thrown:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+
+  const { statusCode, message, errors } = resolveError(err);
+
+  if (statusCode >= 500) {
+    logger.error(`${req.method} ${req.url} failed:`, err);
+  }
+
+  return res.status(statusCode).json({
+    success: false,
+    message,
+    ...(errors && { errors }),
+    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+  });
+};
+
+module.exports = errorHandler;
@@ -0,0 +1,83 @@
+const Group = require('../models/Group');
+const { getGroupRole, hasGroupPermission } = require('../utils/membershipHelper');
+const logger = require('../utils/logger');
+
+/**
+ * Require a permission inside the group given by req.params.id
+ * Attaches the group and the user's group role to the request.
+ * @param {string} permission - Permission from GROUP_PERMISSIONS
+ * @returns {Function} - Express middleware
+ */
+const requireGroupPermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const group = await Group.findById(req.params.id);
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      if (!hasGroupPermission(group, req.user.id, permission)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient group permissions'
+        });
+      }
+
+      req.group = group;
+      req.groupRole = getGroupRole(group, req.user.id);
+      next();
+    } catch (error) {
+      logger.error('Group permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+/**
+ * Require the user to be an active member of the group given by a route parameter
+ * Attaches the group and the user's group role to the request.
+ * @param {string} paramName - Route parameter holding the group ID
+ * @returns {Function} - Express middleware
+ */
+const requireGroupMembership = (paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const group = await Group.findById(req.params[paramName]);
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const groupRole = getGroupRole(group, req.user.id);
+      if (!groupRole) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to this group'
+        });
+      }
+
+      req.group = group;
+      req.groupRole = groupRole;
+      next();
+    } catch (error) {
+      logger.error('Group membership check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+module.exports = {
+  requireGroupPermission,
+  requireGroupMembership
+};
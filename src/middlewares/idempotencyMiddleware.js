@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+// A request still in progress after this long is assumed to have crashed and its key is released
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Fingerprint a request from its method, path and body
+ * @param {Object} req - Express request
+ * @returns {string} - Hex SHA-256
+ */
+const fingerprintRequest = (req) => {
+  const body = req.rawBody ? req.rawBody.toString() : JSON.stringify(req.body || {});
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${body}`)
+    .digest('hex');
+};
+
+/**
+ * Store the response of a request under its key, or release the key so the request can be retried
+ * Keys are released after server errors, and after any error on unauthenticated routes so that
+ * a forged callback cannot claim the key of the genuine one.
+ * @param {Object} record - IdempotencyKey document
+ * @param {number} statusCode - Response status
+ * @param {*} body - Response body
+ */
+const saveResponse = async (record, statusCode, body) => {
+  try {
+    const releasedFrom = record.scope.startsWith('user:') ? 500 : 400;
+    if (statusCode >= releasedFrom) {
+      await IdempotencyKey.deleteOne({ _id: record._id });
+      return;
+    }
+
+    await IdempotencyKey.updateOne(
+      { _id: record._id },
+      { $set: { status: 'COMPLETED', responseStatus: statusCode, responseBody: body === undefined ? null : body } }
+    );
+  } catch (error) {
+    logger.error(`Error saving idempotent response: ${record.key}`, error);
+  }
+};
+
+/**
+ * Make a route safe to retry with an Idempotency-Key header
+ * The first request with a key runs and its response is stored; later requests with the same
+ * key and body get the stored response back, and the same key with another body is rejected.
+ * Requests without the header are processed normally.
+ * @returns {Function} - Express middleware
+ */
+const idempotent = () => {
+  return async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const scope = req.user ? `user:${req.user.id}` : `route:${req.baseUrl}${req.path}`;
+    const fingerprint = fingerprintRequest(req);
+
+    try {
+      const record = await IdempotencyKey.create({
+        key,
+        scope,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        fingerprint
+      });
+
+      const json = res.json.bind(res);
+      let responseBody;
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+      res.on('finish', () => saveResponse(record, res.statusCode, responseBody));
+
+      return next();
+    } catch (error) {
+      if (error.code !== 11000) {
+        logger.error('Idempotency check error:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+    }
+
+    try {
+      const existing = await IdempotencyKey.findOne({ scope, key });
+      if (!existing) {
+        // Released between our insert and this read, the client can retry right away
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (existing.status === 'IN_PROGRESS') {
+        if (Date.now() - existing.createdAt >= IN_PROGRESS_TIMEOUT_MS) {
+          await IdempotencyKey.deleteOne({ _id: existing._id, status: 'IN_PROGRESS' });
+        }
+
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    } catch (error) {
+      logger.error('Idempotency check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,89 @@
+const KYCService = require('../services/KYCService');
+const constants = require('../config/constants');
+const logger = require('../utils/logger');
+
+const ALLOWED_DOCUMENT_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Only let users whose identity has been verified (KYC) through
+ */
+const requireKYC = async (req, res, next) => {
+  try {
+    const kyc = await KYCService.getKYCStatus(req.user.id);
+
+    if (kyc.status !== constants.KYC_STATUS.VERIFIED) {
+      return res.status(403).json({
+        success: false,
+        message: 'KYC verification required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error checking KYC status:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Only let platform admins review KYC submissions
+ */
+const requireAdminForKYC = (req, res, next) => {
+  if (!req.user || req.user.role !== constants.ROLES.ADMIN) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check the ID card uploaded with a KYC submission
+ */
+const validateKYCDocument = (req, res, next) => {
+  const idCard = req.files && req.files.idCard;
+
+  if (!idCard) {
+    return res.status(400).json({
+      success: false,
+      message: 'KYC document (ID card) is required'
+    });
+  }
+
+  if (Array.isArray(idCard) && idCard.length > 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only one KYC document is allowed'
+    });
+  }
+
+  const file = Array.isArray(idCard) ? idCard[0] : idCard;
+
+  if (!ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only image files (JPEG, PNG) are allowed'
+    });
+  }
+
+  if (file.size > MAX_DOCUMENT_SIZE) {
+    return res.status(400).json({
+      success: false,
+      message: 'File size too large. Maximum 5MB allowed'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireKYC,
+  requireAdminForKYC,
+  validateKYCDocument
+};
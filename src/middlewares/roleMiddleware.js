@@ -0,0 +1,39 @@
+const constants = require('../config/constants');
+
+/**
+ * Only let users holding one of the given platform roles through
+ * @param {string|Array<string>} roles - Allowed role or roles
+ * @param {string} message - Message sent when the role does not match
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (roles, message = 'Insufficient permissions') => {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!allowed.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message
+      });
+    }
+
+    next();
+  };
+};
+
+const requireAdmin = requireRole(constants.ROLES.ADMIN, 'Admin access required');
+
+const requireParticulier = requireRole(constants.ROLES.PARTICULIER, 'Particulier access required');
+
+module.exports = {
+  requireRole,
+  requireAdmin,
+  requireParticulier
+};
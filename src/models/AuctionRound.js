@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const creditSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  applied: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+const auctionRoundSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  cycleNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'CLOSED', 'AWARDED'],
+    default: 'OPEN'
+  },
+  potAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: {
+    type: Date
+  },
+  winningBid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid'
+  },
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  awardedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  awardedAt: {
+    type: Date
+  },
+  // Discount shared among the other members, credited on their next cycle contribution
+  credits: [creditSchema]
+}, {
+  timestamps: true
+});
+
+auctionRoundSchema.index({ group: 1, cycleNumber: 1 }, { unique: true });
+auctionRoundSchema.index({ group: 1, winner: 1 });
+
+// Static method to find the round of a cycle
+auctionRoundSchema.statics.findForCycle = function(groupId, cycleNumber) {
+  return this.findOne({ group: groupId, cycleNumber });
+};
+
+// Static method to check if a member already won a round in the group
+auctionRoundSchema.statics.hasWon = function(groupId, userId) {
+  return this.exists({ group: groupId, winner: userId, status: 'AWARDED' });
+};
+
+module.exports = mongoose.model('AuctionRound', auctionRoundSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const LINE_STATUSES = ['PROPOSED', 'AMBIGUOUS', 'UNMATCHED', 'CONFIRMED', 'REJECTED'];
+
+// Incoming transfer read from the statement and its match to a pending bank transfer payment
+const statementLineSchema = new mongoose.Schema({
+  externalId: {
+    type: String
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: null
+  },
+  reference: {
+    type: String,
+    default: ''
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: LINE_STATUSES,
+    default: 'UNMATCHED'
+  },
+  // Proposed, then confirmed, payment
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Payments that fit equally well when the line is AMBIGUOUS
+  candidates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  // What the proposal is based on: AMOUNT, DATE, REFERENCE
+  matchedOn: [{
+    type: String
+  }],
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+});
+
+const bankStatementImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['CSV', 'OFX', 'CAMT053'],
+    required: true
+  },
+  // SHA-256 of the file, so a statement cannot be imported twice
+  checksum: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lines: [statementLineSchema]
+}, {
+  timestamps: true
+});
+
+bankStatementImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BankStatementImport', bankStatementImportSchema);
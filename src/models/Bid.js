@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const bidSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  cycleNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  bidder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'WON', 'LOST'],
+    default: 'ACTIVE'
+  },
+  placedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One bid per member and cycle, raised by updating it
+bidSchema.index({ group: 1, cycleNumber: 1, bidder: 1 }, { unique: true });
+bidSchema.index({ group: 1, cycleNumber: 1, discount: -1, placedAt: 1 });
+
+// Static method to find the bids of a cycle, best first
+bidSchema.statics.findForCycle = function(groupId, cycleNumber) {
+  return this.find({ group: groupId, cycleNumber }).sort({ discount: -1, placedAt: 1 });
+};
+
+module.exports = mongoose.model('Bid', bidSchema);
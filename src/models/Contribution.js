@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+const contributionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Contributor is required'],
+    index: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: [true, 'Group is required'],
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  // Payout cycle the contribution funds, when the group has a payout schedule
+  cycleNumber: {
+    type: Number,
+    min: 1
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'PARTIALLY_PAID', 'PAID', 'OVERDUE', 'CANCELLED'],
+    default: 'PENDING',
+    index: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Payments applied so far through ContributionPaymentService, and their total
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  amountPaid: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  paidAt: {
+    type: Date
+  },
+  // Penalties charged by PenaltyService, late or set by an admin, and not reversed; owed on top
+  // of the amount
+  penaltyAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Auction discount credits settled on the contribution. They come out of the discount kept
+  // back from the previous payout, so they count as paid without any money changing hands.
+  creditedAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: 500
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+contributionSchema.index({ group: 1, dueDate: 1 });
+// One contribution per member and cycle, so the generation job can upsert them safely
+contributionSchema.index(
+  { group: 1, cycleNumber: 1, user: 1 },
+  { unique: true, partialFilterExpression: { cycleNumber: { $exists: true } } }
+);
+
+// Instance method to record the payment that settled the contribution
+contributionSchema.methods.markAsPaid = function(paymentId) {
+  this.status = 'PAID';
+  this.payment = paymentId;
+  this.paidAt = new Date();
+  return this.save();
+};
+
+// Instance method to cancel the contribution
+contributionSchema.methods.cancel = function(reason) {
+  this.status = 'CANCELLED';
+  this.cancellationReason = reason;
+  this.cancelledAt = new Date();
+  return this.save();
+};
+
+// Static method to find the overdue contributions of a group
+contributionSchema.statics.findOverdue = function(groupId) {
+  const query = {
+    status: { $in: ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'] },
+    dueDate: { $lt: new Date() }
+  };
+  if (groupId) {
+    query.group = groupId;
+  }
+
+  return this.find(query)
+    .populate('user', 'firstName lastName email phone')
+    .sort({ dueDate: 1 });
+};
+
+// Static method to count and sum the contributions of a group by status
+contributionSchema.statics.getStatistics = async function(groupId) {
+  const rows = await this.aggregate([
+    { $match: { group: new mongoose.Types.ObjectId(groupId) } },
+    { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+  ]);
+
+  const statistics = { total: 0, totalAmount: 0, byStatus: {} };
+  for (const row of rows) {
+    statistics.total += row.count;
+    statistics.totalAmount += row.amount;
+    statistics.byStatus[row._id] = { count: row.count, amount: row.amount };
+  }
+
+  return statistics;
+};
+
+module.exports = mongoose.model('Contribution', contributionSchema);
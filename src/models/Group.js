@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const { GROUP_ROLES } = require('../config/groupPermissions');
+const penaltyPolicySchema = require('./schemas/penaltyPolicySchema');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: Object.values(GROUP_ROLES),
+    default: GROUP_ROLES.MEMBER
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'LEFT'],
+    default: 'ACTIVE'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    minlength: 3,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Group creator is required'],
+    index: true
+  },
+  members: [memberSchema],
+  settings: {
+    maxMembers: {
+      type: Number,
+      required: [true, 'Maximum number of members is required'],
+      min: [1, 'A group needs at least one member slot'],
+      max: 100
+    },
+    contributionAmount: {
+      type: Number,
+      required: [true, 'Contribution amount is required'],
+      min: [1, 'Contribution amount must be positive']
+    },
+    // Currency of the contributions and of the payouts
+    currency: {
+      type: String,
+      enum: constants.CURRENCIES,
+      default: 'XOF'
+    },
+    contributionFrequency: {
+      type: String,
+      enum: ['WEEKLY', 'BIWEEKLY', 'MONTHLY', 'QUARTERLY'],
+      required: [true, 'Contribution frequency is required']
+    },
+    // ROTATING pays the pot in schedule order, AUCTION to the member offering the highest discount
+    tontineMode: {
+      type: String,
+      enum: ['ROTATING', 'AUCTION'],
+      default: 'ROTATING'
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+    endDate: {
+      type: Date
+    },
+    isPublic: {
+      type: Boolean,
+      default: true
+    },
+    requiresKyc: {
+      type: Boolean,
+      default: false
+    },
+    minReliabilityScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    penaltyPolicy: {
+      type: penaltyPolicySchema,
+      default: () => ({})
+    },
+    // Days from the due date at which members are reminded (negative: before); empty uses the defaults
+    reminderOffsets: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  // Lifecycle status, changed through GroupLifecycleService; new groups recruit until they start
+  status: {
+    type: String,
+    enum: ['DRAFT', 'RECRUITING', 'ACTIVE', 'SUSPENDED', 'COMPLETED', 'CANCELLED'],
+    default: 'RECRUITING',
+    index: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+groupSchema.index({ 'members.user': 1 });
+groupSchema.index({ 'settings.isPublic': 1, status: 1 });
+
+// ID of a reference, whether it holds an ObjectId or a populated document
+const refId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Virtual for the number of active members
+groupSchema.virtual('totalMembers').get(function() {
+  return (this.members || []).filter(member => member.status === 'ACTIVE').length;
+});
+
+// Instance method to check whether a user is an active member
+groupSchema.methods.isMember = function(userId) {
+  return this.members.some(
+    member => refId(member.user) === userId.toString() && member.status === 'ACTIVE'
+  );
+};
+
+// Instance method to check whether a user administers the group
+groupSchema.methods.isAdmin = function(userId) {
+  return refId(this.creator) === userId.toString();
+};
+
+// Instance method to check whether every member slot is taken
+groupSchema.methods.isFull = function() {
+  return this.totalMembers >= this.settings.maxMembers;
+};
+
+// Instance method to add a member
+groupSchema.methods.addMember = function(userId, role = 'MEMBER') {
+  if (this.isMember(userId)) {
+    throw new Error('User is already a member of this group');
+  }
+
+  if (this.isFull()) {
+    throw new Error('Group has reached maximum number of members');
+  }
+
+  this.members.push({
+    user: userId,
+    role,
+    status: 'ACTIVE',
+    joinedAt: new Date()
+  });
+
+  return this.save();
+};
+
+// Instance method to remove a member
+groupSchema.methods.removeMember = function(userId) {
+  if (refId(this.creator) === userId.toString()) {
+    throw new Error('Cannot remove the group creator');
+  }
+
+  const index = this.members.findIndex(member => refId(member.user) === userId.toString());
+  if (index === -1) {
+    throw new Error('User is not a member of this group');
+  }
+
+  this.members.splice(index, 1);
+
+  return this.save();
+};
+
+// Instance method to change the role of a member; the caller saves the group
+groupSchema.methods.updateMemberRole = function(userId, role) {
+  const member = this.members.find(m => refId(m.user) === userId.toString());
+  if (!member) {
+    throw new Error('User is not a member of this group');
+  }
+
+  member.role = role;
+
+  return this;
+};
+
+// Static method to find the active groups a user belongs to
+groupSchema.statics.findByUser = function(userId) {
+  return this.find({
+    'members.user': userId,
+    isActive: true
+  });
+};
+
+// Static method to find the public groups open to everyone
+groupSchema.statics.findPublicGroups = function() {
+  return this.find({
+    'settings.isPublic': true,
+    isActive: true
+  });
+};
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const groupInvitationSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['CODE', 'DIRECT'],
+    required: true
+  },
+  code: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  inviteeEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  inviteePhone: {
+    type: String,
+    trim: true
+  },
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  usedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'ACCEPTED', 'DECLINED', 'REVOKED'],
+    default: 'ACTIVE'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+groupInvitationSchema.index({ inviteeEmail: 1, status: 1 });
+groupInvitationSchema.index({ inviteePhone: 1, status: 1 });
+
+// Static method to generate a short invite code
+groupInvitationSchema.statics.generateCode = function() {
+  return crypto.randomBytes(5).toString('hex').toUpperCase();
+};
+
+// Static method to find an invitation by its code
+groupInvitationSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: code.toUpperCase(), type: 'CODE' });
+};
+
+// Instance method to check if the invitation can still be used
+groupInvitationSchema.methods.isUsable = function() {
+  return this.status === 'ACTIVE' && this.expiresAt > new Date() && this.uses < this.maxUses;
+};
+
+// Instance method to check if the invitation is addressed to a user
+groupInvitationSchema.methods.isAddressedTo = function(user) {
+  if (this.invitee) {
+    return this.invitee.toString() === user._id.toString();
+  }
+  return (this.inviteeEmail && this.inviteeEmail === user.email) ||
+    (this.inviteePhone && this.inviteePhone === user.phone);
+};
+
+module.exports = mongoose.model('GroupInvitation', groupInvitationSchema);
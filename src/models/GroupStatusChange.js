@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const GROUP_STATUSES = ['DRAFT', 'RECRUITING', 'ACTIVE', 'COMPLETED', 'CANCELLED', 'SUSPENDED'];
+
+const groupStatusChangeSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  fromStatus: {
+    type: String,
+    enum: GROUP_STATUSES,
+    required: true
+  },
+  toStatus: {
+    type: String,
+    enum: GROUP_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  automatic: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+groupStatusChangeSchema.index({ group: 1, createdAt: -1 });
+
+// Static method to get the status history of a group, newest first
+groupStatusChangeSchema.statics.findByGroup = function(groupId) {
+  return this.find({ group: groupId })
+    .populate('changedBy', 'firstName lastName')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('GroupStatusChange', groupStatusChangeSchema);
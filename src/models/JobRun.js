@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Finished runs are kept this long for the admin job history, then removed by MongoDB
+const RUN_RETENTION_DAYS = 90;
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // One run per job and period; the unique index keeps restarted or parallel instances from running it twice
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['RUNNING', 'SUCCEEDED', 'FAILED'],
+    default: 'RUNNING'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    message: String,
+    stack: String
+  }
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+// Runs that never finished have no finishedAt, so they stay until an admin looks into them
+jobRunSchema.index({ finishedAt: 1 }, { expireAfterSeconds: RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to get the most recent run of a job, optionally with a given status
+jobRunSchema.statics.findLatest = function(job, status) {
+  const query = { job };
+  if (status) {
+    query.status = status;
+  }
+  return this.findOne(query).sort({ startedAt: -1 });
+};
+
+// Instance method to record the outcome of the run
+jobRunSchema.methods.finish = function(error, result) {
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+
+  if (error) {
+    this.status = 'FAILED';
+    this.error = { message: error.message, stack: error.stack };
+  } else {
+    this.status = 'SUCCEEDED';
+    this.result = result;
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const joinRequestSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    default: 'PENDING'
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// A user can only have one pending request per group
+joinRequestSchema.index(
+  { group: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+joinRequestSchema.index({ group: 1, status: 1, createdAt: 1 });
+
+// Static method to get the pending queue of a group, oldest first
+joinRequestSchema.statics.findPendingByGroup = function(groupId) {
+  return this.find({ group: groupId, status: 'PENDING' })
+    .populate('user', 'firstName lastName email reliabilityScore isKycVerified')
+    .sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
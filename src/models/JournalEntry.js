@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const journalLineSchema = new mongoose.Schema({
+  // GROUP_POOL holds the money collected by the group, PENALTY_INCOME the penalties it earned,
+  // MEMBER the position of one member towards the group
+  account: {
+    type: String,
+    enum: ['GROUP_POOL', 'PENALTY_INCOME', 'MEMBER'],
+    required: true
+  },
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.account === 'MEMBER';
+    }
+  },
+  debit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  credit: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+const journalEntrySchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['CONTRIBUTION_PAYMENT', 'PAYMENT_REFUND', 'PENALTY', 'PENALTY_REVERSAL', 'PAYOUT'],
+    required: true
+  },
+  // Identifies the event that produced the entry so it is never posted twice
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+journalEntrySchema.index({ group: 1, createdAt: -1 });
+journalEntrySchema.index({ group: 1, 'lines.member': 1 });
+
+// Every entry must balance, which keeps the whole group ledger at zero
+journalEntrySchema.pre('validate', function(next) {
+  const debits = this.lines.reduce((sum, line) => sum + line.debit, 0);
+  const credits = this.lines.reduce((sum, line) => sum + line.credit, 0);
+
+  if (Math.round(debits * 100) !== Math.round(credits * 100)) {
+    return next(new Error('Journal entry debits and credits must balance'));
+  }
+  next();
+});
+
+// Static method to get the balance of every account of a group
+journalEntrySchema.statics.getBalances = function(groupId) {
+  return this.aggregate([
+    { $match: { group: new mongoose.Types.ObjectId(groupId) } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: { account: '$lines.account', member: '$lines.member' },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+
+// One record per KYC submission, kept as the review history of a user's identity checks
+const kycSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  idImagePath: {
+    type: String,
+    required: true
+  },
+  selfieImagePath: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: Object.values(constants.KYC_STATUS),
+    default: constants.KYC_STATUS.PENDING,
+    index: true
+  },
+  faceMatchScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: 500
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the latest submission of a user
+kycSchema.statics.findLatestByUser = function(userId) {
+  return this.findOne({ user: userId }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('KYC', kycSchema);
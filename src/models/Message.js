@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+
+const attachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String
+  },
+  mimeType: {
+    type: String,
+    enum: constants.MESSAGING.ALLOWED_FILE_TYPES
+  },
+  size: {
+    type: Number,
+    max: constants.MESSAGING.MAX_FILE_SIZE
+  }
+}, {
+  _id: false
+});
+
+const messageSchema = new mongoose.Schema({
+  // System messages are posted by the platform and have no sender
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return !this.isSystem;
+    },
+    alias: 'senderId'
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Event a system message reports (e.g. TURN_SWAPPED) and its details
+  action: {
+    type: String
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Set for direct messages
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    alias: 'recipientId'
+  },
+  // Set for group messages
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    alias: 'groupId'
+  },
+  type: {
+    type: String,
+    enum: Object.values(constants.MESSAGING.TYPES),
+    default: constants.MESSAGING.TYPES.TEXT
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: constants.MESSAGING.MAX_MESSAGE_LENGTH
+  },
+  audioUrl: {
+    type: String
+  },
+  attachments: [attachmentSchema],
+  priority: {
+    type: String,
+    enum: Object.values(constants.MESSAGING.PRIORITIES),
+    default: constants.MESSAGING.PRIORITIES.NORMAL
+  },
+  status: {
+    type: String,
+    enum: Object.values(constants.MESSAGING.STATUS),
+    default: constants.MESSAGING.STATUS.SENT
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  readAt: {
+    type: Date
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ sender: 1, recipient: 1, timestamp: -1 });
+messageSchema.index({ group: 1, timestamp: -1 });
+messageSchema.index({ recipient: 1, status: 1 });
+
+// Instance method to mark the message as read by its recipient
+messageSchema.methods.markAsRead = function() {
+  this.status = constants.MESSAGING.STATUS.READ;
+  this.readAt = new Date();
+  return this.save();
+};
+
+// Instance method to delete the message; the record is kept for moderation
+messageSchema.methods.delete = function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Message', messageSchema);
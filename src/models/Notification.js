@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CHANNELS } = require('../config/notificationEvents');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../locales');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Event that produced the notification, e.g. JOIN_REQUEST_APPROVED or CONTRIBUTION_REMINDER
+  type: {
+    type: String,
+    required: true
+  },
+  // Language the title and message were rendered in
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Identifiers the client needs to open the related screen (groupId, contributionId...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Channels chosen by the user; only IN_APP notifications are listed in the notification center
+  channels: [{
+    type: String,
+    enum: Object.values(NOTIFICATION_CHANNELS)
+  }],
+  // Channels held back by quiet hours or the email digest, delivered later by a job
+  deferredChannels: [{
+    type: String,
+    enum: Object.values(NOTIFICATION_CHANNELS)
+  }],
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ deferredChannels: 1 });
+
+// Static method to count the unread notifications of a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, channels: 'IN_APP', readAt: null });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
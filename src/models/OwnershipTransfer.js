@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const ownershipTransferSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'CANCELLED'],
+    default: 'PENDING'
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Only one transfer can be waiting for an answer per group
+ownershipTransferSchema.index(
+  { group: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+
+// Static method to find the pending transfer of a group
+ownershipTransferSchema.statics.findPendingByGroup = function(groupId) {
+  return this.findOne({ group: groupId, status: 'PENDING' });
+};
+
+// Instance method to check if the transfer has expired
+ownershipTransferSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model('OwnershipTransfer', ownershipTransferSchema);
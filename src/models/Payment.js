@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const mobileMoneySchema = require('./schemas/mobileMoneySchema');
+
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Payer is required'],
+    index: true
+  },
+  contribution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contribution',
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+  currency: {
+    type: String,
+    enum: constants.CURRENCIES,
+    default: 'XOF'
+  },
+  method: {
+    type: String,
+    enum: ['BANK_TRANSFER', 'STRIPE', 'MOBILE_MONEY'],
+    required: [true, 'Payment method is required']
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'SUCCEEDED', 'FAILED', 'CANCELLED', 'PARTIALLY_REFUNDED', 'REFUNDED', 'REVERSED'],
+    default: 'PENDING',
+    index: true
+  },
+  // Reference the payer put on the transfer
+  reference: {
+    type: String,
+    trim: true
+  },
+  bankProofUrl: {
+    type: String
+  },
+  stripePaymentIntentId: {
+    type: String,
+    sparse: true
+  },
+  mobileMoney: {
+    type: mobileMoneySchema
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: {
+    type: Date
+  },
+  verificationNotes: {
+    type: String,
+    maxlength: 500
+  },
+  failureReason: {
+    type: String
+  },
+  // Total given back through refunds; a reversal gives back the whole amount
+  refundedAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Set when the payment is credited to its contribution; a payment is only ever applied once
+  appliedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ user: 1, createdAt: -1 });
+// Operator callbacks find their payment by the operator's transaction reference
+paymentSchema.index(
+  { 'mobileMoney.provider': 1, 'mobileMoney.providerReference': 1 },
+  { partialFilterExpression: { method: 'MOBILE_MONEY' } }
+);
+
+module.exports = mongoose.model('Payment', paymentSchema);
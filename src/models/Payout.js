@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  cycleNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  beneficiary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'XOF'
+  },
+  contributions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contribution'
+  }],
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'COMPLETED', 'CANCELLED'],
+    default: 'PENDING',
+    index: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  confirmedAt: {
+    type: Date
+  },
+  proofUrl: {
+    type: String
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Only one live payout per group cycle
+payoutSchema.index(
+  { group: 1, cycleNumber: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['PENDING', 'APPROVED', 'COMPLETED'] } } }
+);
+
+// Static method to find the live payout of a cycle
+payoutSchema.statics.findActiveForCycle = function(groupId, cycleNumber) {
+  return this.findOne({
+    group: groupId,
+    cycleNumber,
+    status: { $in: ['PENDING', 'APPROVED', 'COMPLETED'] }
+  });
+};
+
+// Instance method to approve the payout
+payoutSchema.methods.approve = function(userId) {
+  this.status = 'APPROVED';
+  this.approvedBy = userId;
+  this.approvedAt = new Date();
+  return this.save();
+};
+
+// Instance method to confirm the disbursement
+payoutSchema.methods.confirm = function(userId, proofUrl) {
+  this.status = 'COMPLETED';
+  this.confirmedBy = userId;
+  this.confirmedAt = new Date();
+  this.proofUrl = proofUrl;
+  return this.save();
+};
+
+module.exports = mongoose.model('Payout', payoutSchema);
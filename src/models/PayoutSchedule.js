@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const cycleSchema = new mongoose.Schema({
+  cycleNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  beneficiary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['SCHEDULED', 'DUE', 'PAID_OUT'],
+    default: 'SCHEDULED'
+  },
+  dueAt: {
+    type: Date
+  },
+  paidOutAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+const payoutScheduleSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    unique: true,
+    index: true
+  },
+  method: {
+    type: String,
+    enum: ['JOIN_ORDER', 'RANDOM', 'CUSTOM'],
+    required: true
+  },
+  seed: {
+    type: String
+  },
+  cycles: [cycleSchema],
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find the schedule of a group
+payoutScheduleSchema.statics.findByGroup = function(groupId) {
+  return this.findOne({ group: groupId });
+};
+
+// Instance method to get a cycle by its number
+payoutScheduleSchema.methods.getCycle = function(cycleNumber) {
+  return this.cycles.find(cycle => cycle.cycleNumber === Number(cycleNumber));
+};
+
+// Instance method to get the cycle in which a user receives the pot
+payoutScheduleSchema.methods.getCycleForUser = function(userId) {
+  return this.cycles.find(cycle => cycle.beneficiary.toString() === userId.toString());
+};
+
+// Instance method to check if payouts have started
+payoutScheduleSchema.methods.hasStarted = function() {
+  return this.cycles.some(cycle => cycle.status !== 'SCHEDULED');
+};
+
+module.exports = mongoose.model('PayoutSchedule', payoutScheduleSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const penaltySchema = new mongoose.Schema({
+  contribution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contribution',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['FLAT_FEE', 'DAILY_RATE', 'MANUAL'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  daysLate: {
+    type: Number,
+    min: 0
+  },
+  // Set on the penalties a group admin adds by hand
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['APPLIED', 'REVERSED'],
+    default: 'APPLIED'
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reversedAt: {
+    type: Date
+  },
+  reversalReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// One late penalty item of each kind per contribution; the daily item is updated as the days
+// go by. Manual penalties have no days late, so a contribution can get several of them.
+penaltySchema.index(
+  { contribution: 1, type: 1 },
+  { unique: true, partialFilterExpression: { daysLate: { $exists: true } } }
+);
+penaltySchema.index({ group: 1, user: 1, createdAt: -1 });
+
+// Static method to get the penalty items of a contribution
+penaltySchema.statics.findByContribution = function(contributionId) {
+  return this.find({ contribution: contributionId }).sort({ createdAt: 1 });
+};
+
+// Static method to cancel a penalty as a group admin; resolves to null if it is no longer applied,
+// so two concurrent reversals cannot both succeed
+penaltySchema.statics.claimReversal = function(penaltyId, userId, reason) {
+  return this.findOneAndUpdate(
+    { _id: penaltyId, status: 'APPLIED' },
+    {
+      $set: {
+        status: 'REVERSED',
+        reversedBy: userId,
+        reversedAt: new Date(),
+        reversalReason: reason
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Penalty', penaltySchema);
@@ -64,9 +64,8 @@ refreshTokenSchema.statics.generateToken = function() {
   return crypto.randomBytes(64).toString('hex');
 };
 
-// Static method to create a new refresh token for a user
-refreshTokenSchema.statics.createToken = async function(userId, deviceInfo = {}) {
-  const token = this.generateToken();
+// Static method to create a new refresh token for a user, optionally storing a token issued elsewhere
+refreshTokenSchema.statics.createToken = async function(userId, deviceInfo = {}, token = this.generateToken()) {
   const expiresAt = new Date(Date.now() + this.getTokenExpirationTime());
   
   const refreshToken = new this({
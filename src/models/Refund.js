@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Money given back on a verified payment. A REFUND returns part or all of it to the payer;
+// a REVERSAL cancels a payment that should never have been verified
+const refundSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  contribution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contribution',
+    default: null
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  // Payer of the refunded payment
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['REFUND', 'REVERSAL'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'XOF'
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ payment: 1, createdAt: 1 });
+refundSchema.index({ group: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
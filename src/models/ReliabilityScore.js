@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+
+// One record per change of a user's reliability score
+const reliabilityScoreSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: constants.RELIABILITY.MIN_SCORE,
+    max: constants.RELIABILITY.MAX_SCORE
+  },
+  previousScore: {
+    type: Number
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  factors: {
+    onTimePayments: Number,
+    totalPayments: Number,
+    groupParticipation: Number,
+    accountAge: Number
+  }
+}, {
+  timestamps: true
+});
+
+reliabilityScoreSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to compute a score from payment history, participation and account age
+reliabilityScoreSchema.statics.calculateScore = async function(data) {
+  const { onTimePayments = 0, totalPayments = 0, groupParticipation = 0, accountAge = 0 } = data;
+
+  // Members without history start from the default score
+  const paymentScore = totalPayments > 0
+    ? (onTimePayments / totalPayments) * 70
+    : (constants.RELIABILITY.DEFAULT_SCORE / 100) * 70;
+  const participationScore = Math.min(groupParticipation, 5) * 3;
+  const ageScore = Math.min(accountAge / 365, 1) * 15;
+
+  const score = Math.round(paymentScore + participationScore + ageScore);
+  return Math.max(constants.RELIABILITY.MIN_SCORE, Math.min(constants.RELIABILITY.MAX_SCORE, score));
+};
+
+// Static method to get the score history of a user, latest first
+reliabilityScoreSchema.statics.findByUser = function(userId) {
+  return this.find({ user: userId }).sort({ createdAt: -1 });
+};
+
+// Static method to summarise the score history of a user
+reliabilityScoreSchema.statics.getUserStats = async function(userId) {
+  const history = await this.find({ user: userId }).sort({ createdAt: 1 });
+  if (history.length === 0) {
+    return { currentScore: null, averageScore: null, scoreTrend: 'stable', totalUpdates: 0 };
+  }
+
+  const scores = history.map(entry => entry.score);
+  const currentScore = scores[scores.length - 1];
+  const averageScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  const firstScore = scores[0];
+
+  return {
+    currentScore,
+    averageScore,
+    scoreTrend: currentScore > firstScore ? 'increasing' : currentScore < firstScore ? 'decreasing' : 'stable',
+    totalUpdates: history.length
+  };
+};
+
+module.exports = mongoose.model('ReliabilityScore', reliabilityScoreSchema);
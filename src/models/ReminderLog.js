@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CHANNELS } = require('../config/notificationEvents');
+
+const reminderLogSchema = new mongoose.Schema({
+  contribution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contribution',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Days relative to the due date: negative before, 0 on the day, positive after
+  offsetDays: {
+    type: Number,
+    required: true
+  },
+  channels: [{
+    type: String,
+    enum: Object.values(NOTIFICATION_CHANNELS)
+  }],
+  failedChannels: [{
+    type: String,
+    enum: Object.values(NOTIFICATION_CHANNELS)
+  }],
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// A reminder is sent at most once per contribution and schedule step
+reminderLogSchema.index({ contribution: 1, offsetDays: 1 }, { unique: true });
+reminderLogSchema.index({ group: 1, sentAt: -1 });
+
+module.exports = mongoose.model('ReminderLog', reminderLogSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const swapRequestSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  counterparty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requesterCycle: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  counterpartyCycle: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'APPROVED', 'REJECTED', 'CANCELLED'],
+    default: 'PENDING',
+    index: true
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  respondedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+swapRequestSchema.index({ group: 1, requester: 1, status: 1 });
+swapRequestSchema.index({ group: 1, counterparty: 1, status: 1 });
+
+// Static method to find an open swap involving one of the given members
+swapRequestSchema.statics.findOpenForMembers = function(groupId, userIds) {
+  return this.findOne({
+    group: groupId,
+    status: { $in: ['PENDING', 'ACCEPTED'] },
+    $or: [
+      { requester: { $in: userIds } },
+      { counterparty: { $in: userIds } }
+    ]
+  });
+};
+
+// Instance method to check if the swap is still open
+swapRequestSchema.methods.isOpen = function() {
+  return ['PENDING', 'ACCEPTED'].includes(this.status);
+};
+
+module.exports = mongoose.model('SwapRequest', swapRequestSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+
+const attachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String
+  },
+  mimeType: {
+    type: String,
+    enum: constants.TICKETS.ALLOWED_ATTACHMENT_TYPES
+  },
+  size: {
+    type: Number,
+    max: constants.TICKETS.MAX_ATTACHMENT_SIZE
+  }
+}, {
+  _id: false
+});
+
+const responseSchema = new mongoose.Schema({
+  responder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    alias: 'responderId'
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: constants.TICKETS.MAX_DESCRIPTION_LENGTH
+  },
+  // Internal notes are only shown to admins
+  isInternal: {
+    type: Boolean,
+    default: false
+  },
+  attachments: [attachmentSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ticketSchema = new mongoose.Schema({
+  ticketNumber: {
+    type: String,
+    unique: true
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    alias: 'creatorId',
+    index: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: constants.TICKETS.MAX_TITLE_LENGTH
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: constants.TICKETS.MAX_DESCRIPTION_LENGTH
+  },
+  category: {
+    type: String,
+    enum: Object.values(constants.TICKETS.CATEGORIES),
+    required: [true, 'Category is required']
+  },
+  type: {
+    type: String,
+    enum: Object.values(constants.TICKETS.TYPES),
+    default: constants.TICKETS.TYPES.SUPPORT
+  },
+  priority: {
+    type: String,
+    enum: Object.values(constants.TICKETS.PRIORITIES),
+    default: constants.TICKETS.PRIORITIES.MEDIUM
+  },
+  status: {
+    type: String,
+    enum: Object.values(constants.TICKETS.STATUS),
+    default: constants.TICKETS.STATUS.OPEN,
+    index: true
+  },
+  attachments: [attachmentSchema],
+  responses: [responseSchema],
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: {
+    type: String,
+    maxlength: constants.TICKETS.MAX_DESCRIPTION_LENGTH
+  },
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ticketSchema.index({ title: 'text', description: 'text' });
+
+// Give new tickets a readable number
+ticketSchema.pre('save', function(next) {
+  if (!this.ticketNumber) {
+    this.ticketNumber = `TKT-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+  }
+  next();
+});
+
+// Instance method to add an answer to the ticket
+ticketSchema.methods.addResponse = function(responseData) {
+  this.responses.push({
+    responder: responseData.responderId || responseData.responder,
+    content: responseData.content,
+    isInternal: Boolean(responseData.isInternal),
+    attachments: responseData.attachments || []
+  });
+  return this.save();
+};
+
+// Instance method to close the ticket
+ticketSchema.methods.close = function(resolution) {
+  this.status = constants.TICKETS.STATUS.CLOSED;
+  this.resolution = resolution;
+  this.closedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Ticket', ticketSchema);
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const constants = require('../config/constants');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../locales');
+const notificationPreferencesSchema = require('./schemas/notificationPreferencesSchema');
+
+const userSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    minlength: 2,
+    maxlength: 50
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    minlength: 2,
+    maxlength: 50
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    unique: true,
+    sparse: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true,
+    match: [/^\+?[1-9]\d{1,14}$/, 'Please provide a valid phone number']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: constants.PASSWORD.MIN_LENGTH
+  },
+  nationalId: {
+    type: String,
+    required: [true, 'National ID is required'],
+    unique: true,
+    trim: true,
+    match: [/^[A-Z0-9]{8,20}$/, 'National ID must be 8-20 alphanumeric characters']
+  },
+  dateOfBirth: {
+    type: Date
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: Object.values(constants.ROLES),
+    default: constants.ROLES.PARTICULIER
+  },
+  kyc: {
+    status: {
+      type: String,
+      enum: Object.values(constants.KYC_STATUS),
+      default: constants.KYC_STATUS.PENDING
+    },
+    idImagePath: {
+      type: String
+    },
+    selfieImagePath: {
+      type: String
+    },
+    submittedAt: {
+      type: Date
+    },
+    verifiedAt: {
+      type: Date
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    faceMatchScore: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: 500
+    }
+  },
+  reliabilityScore: {
+    type: Number,
+    min: constants.RELIABILITY.MIN_SCORE,
+    max: constants.RELIABILITY.MAX_SCORE,
+    default: constants.RELIABILITY.DEFAULT_SCORE
+  },
+  // Language notifications are rendered in
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE
+  },
+  // Unset until the user changes them; NotificationPreferenceService fills in the defaults
+  notificationPreferences: {
+    type: notificationPreferencesSchema
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  lockUntil: {
+    type: Date,
+    alias: 'lockedUntil'
+  },
+  lastLogin: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual telling whether the account can be used, i.e. is not under a running lock
+userSchema.virtual('isActive').get(function() {
+  return !(this.isLocked && this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Virtual telling whether the identity of the user has been verified
+userSchema.virtual('isKycVerified').get(function() {
+  return Boolean(this.kyc) && this.kyc.status === constants.KYC_STATUS.VERIFIED;
+});
+
+// Pre-save middleware to hash the password
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, 12);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to check a password against the stored hash
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to count a failed login and lock the account after too many
+userSchema.methods.incrementLoginAttempts = function() {
+  this.loginAttempts = (this.loginAttempts || 0) + 1;
+
+  if (this.loginAttempts >= constants.LOGIN.MAX_ATTEMPTS) {
+    this.isLocked = true;
+    this.lockUntil = new Date(Date.now() + constants.LOGIN.LOCK_TIME);
+  }
+
+  return this;
+};
+
+// Instance method to clear failed logins and unlock the account
+userSchema.methods.resetLoginAttempts = function() {
+  this.loginAttempts = 0;
+  this.isLocked = false;
+  this.lockUntil = undefined;
+
+  return this;
+};
+
+// Instance method to get the full name
+userSchema.methods.getFullName = function() {
+  return `${this.firstName} ${this.lastName}`;
+};
+
+// Instance method to get the initials
+userSchema.methods.getInitials = function() {
+  return `${(this.firstName || '').charAt(0)}${(this.lastName || '').charAt(0)}`.toUpperCase();
+};
+
+// Hide credentials and identity documents from API responses
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.password;
+  delete user.nationalId;
+  delete user.kyc;
+  return user;
+};
+
+// Static method to find a user by email
+userSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email });
+};
+
+// Static method to find a user by phone
+userSchema.statics.findByPhone = function(phone) {
+  return this.findOne({ phone });
+};
+
+// Static method to find a user by national ID
+userSchema.statics.findByNationalId = function(nationalId) {
+  return this.findOne({ nationalId });
+};
+
+// Static method to find a user by email or phone, as typed on the login form
+userSchema.statics.findByEmailOrPhone = function(identifier) {
+  return this.findOne({
+    $or: [{ email: String(identifier).toLowerCase() }, { phone: identifier }]
+  });
+};
+
+module.exports = mongoose.model('User', userSchema);
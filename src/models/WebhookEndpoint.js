@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS, ALL_EVENTS } = require('../config/webhookEvents');
+
+const webhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: [...Object.values(WEBHOOK_EVENTS), ALL_EVENTS]
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'An endpoint must subscribe to at least one event'
+    }
+  },
+  // Signing key shared with the integrator; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookEndpointSchema.index({ isActive: 1, events: 1 });
+
+// Static method to generate a signing secret
+webhookEndpointSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// Static method to find the active endpoints subscribed to an event
+webhookEndpointSchema.statics.findSubscribed = function(event) {
+  return this.find({ isActive: true, events: { $in: [event, ALL_EVENTS] } }).select('+secret');
+};
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
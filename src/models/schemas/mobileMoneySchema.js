@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { PROVIDER_NAMES } = require('../../paymentProviders');
+
+// Mobile money details of a payment, embedded in Payment.mobileMoney
+const mobileMoneySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: PROVIDER_NAMES,
+    required: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  // Transaction reference given by the operator, used to match callbacks
+  providerReference: {
+    type: String,
+    default: null
+  },
+  // What the payer has to do to confirm, e.g. a USSD code or a checkout link
+  instructions: {
+    type: String,
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+module.exports = mobileMoneySchema;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CHANNELS } = require('../../config/notificationEvents');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Notification preferences of a user, embedded in User.notificationPreferences
+const notificationPreferencesSchema = new mongoose.Schema({
+  // Channels per event type; an empty list turns the event off. Unlisted events use their defaults
+  channels: {
+    type: mongoose.Schema.Types.Map,
+    of: [{
+      type: String,
+      enum: Object.values(NOTIFICATION_CHANNELS)
+    }],
+    default: {}
+  },
+  // Email and SMS are held and nothing is pushed live during quiet hours
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: TIME_PATTERN,
+      default: '22:00'
+    },
+    end: {
+      type: String,
+      match: TIME_PATTERN,
+      default: '07:00'
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+  // Emails are grouped into one message sent daily at the given local hour
+  digest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 8
+    }
+  }
+}, {
+  _id: false
+});
+
+module.exports = notificationPreferencesSchema;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Late-penalty policy of a group, embedded in Group.settings.penaltyPolicy
+const penaltyPolicySchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Charged once as soon as the grace period is over
+  flatFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Percentage of the contribution amount charged per day late
+  dailyRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  gracePeriodDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Maximum automatic penalty per contribution; no cap when unset
+  maxPenalty: {
+    type: Number,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+module.exports = penaltyPolicySchema;
@@ -0,0 +1,70 @@
+const MobileMoneyProvider = require('./MobileMoneyProvider');
+const { postJson, getJson } = require('../utils/httpClient');
+
+/**
+ * Collects payments through an operator's HTTP API (Orange Money, Wave, M-Pesa)
+ * Each operator is reached through a gateway exposing POST /payments and GET /payments/:reference.
+ */
+class MobileMoneyGatewayProvider extends MobileMoneyProvider {
+  // options: name, url, apiKey, callbackSecret, currencies
+
+  /**
+   * Ask the operator to collect a payment from a phone number
+   * @param {Object} request - reference, amount, currency, phoneNumber, callbackUrl
+   * @returns {Promise<Object>} - providerReference, status and payer instructions
+   */
+  async initiate(request) {
+    const response = await postJson(
+      `${this.getUrl()}/payments`,
+      {
+        reference: request.reference,
+        amount: request.amount,
+        currency: request.currency,
+        phoneNumber: request.phoneNumber,
+        callbackUrl: request.callbackUrl
+      },
+      this.getHeaders()
+    );
+
+    return {
+      ...this.parseTransaction(response || {}),
+      instructions: (response && response.instructions) || null
+    };
+  }
+
+  /**
+   * Get the current status of a payment from the operator
+   * @param {string} providerReference - Operator transaction reference
+   * @returns {Promise<Object>} - providerReference, status and failureReason
+   */
+  async getStatus(providerReference) {
+    const response = await getJson(
+      `${this.getUrl()}/payments/${encodeURIComponent(providerReference)}`,
+      this.getHeaders()
+    );
+
+    return this.parseTransaction({ reference: providerReference, ...response });
+  }
+
+  /**
+   * Get the gateway base URL
+   * @returns {string} - URL without trailing slash
+   */
+  getUrl() {
+    if (!this.options.url) {
+      throw new Error(`${this.name} is not configured`);
+    }
+
+    return this.options.url.replace(/\/+$/, '');
+  }
+
+  /**
+   * Get the authentication headers of the gateway
+   * @returns {Object} - Headers
+   */
+  getHeaders() {
+    return this.options.apiKey ? { Authorization: `Bearer ${this.options.apiKey}` } : {};
+  }
+}
+
+module.exports = MobileMoneyGatewayProvider;
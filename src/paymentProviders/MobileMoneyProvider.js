@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-signature';
+
+// Operator statuses mapped to the payment statuses; anything else is still pending
+const SUCCEEDED_STATUSES = ['SUCCEEDED', 'SUCCESS', 'SUCCESSFUL', 'COMPLETED', 'PAID'];
+const FAILED_STATUSES = ['FAILED', 'CANCELLED', 'CANCELED', 'EXPIRED', 'REJECTED', 'DECLINED'];
+
+/**
+ * Base class of the mobile money adapters
+ * An adapter implements initiate(request) and getStatus(providerReference). Operators confirm
+ * payments by calling back with a JSON body signed with HMAC-SHA256 in the X-Signature header.
+ */
+class MobileMoneyProvider {
+  /**
+   * @param {Object} options - name, callbackSecret, currencies
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.name = options.name;
+    this.currencies = options.currencies || ['XOF'];
+  }
+
+  /**
+   * Ask the operator to collect a payment from a phone number
+   * @param {Object} request - reference, amount, currency, phoneNumber, callbackUrl
+   * @returns {Promise<Object>} - providerReference, status and payer instructions
+   */
+  async initiate() {
+    throw new Error(`${this.name} does not implement initiate`);
+  }
+
+  /**
+   * Get the current status of a payment from the operator
+   * @param {string} providerReference - Operator transaction reference
+   * @returns {Promise<Object>} - providerReference, status and failureReason
+   */
+  async getStatus() {
+    throw new Error(`${this.name} does not implement getStatus`);
+  }
+
+  /**
+   * Check whether the adapter can collect a currency
+   * @param {string} currency - Currency code
+   * @returns {boolean}
+   */
+  supportsCurrency(currency) {
+    return this.currencies.includes(currency);
+  }
+
+  /**
+   * Sign a callback body
+   * @param {string} body - Raw callback body
+   * @returns {string} - Hex HMAC-SHA256 of the body
+   */
+  sign(body) {
+    if (!this.options.callbackSecret) {
+      throw new Error(`${this.name} callback secret is not configured`);
+    }
+
+    return crypto.createHmac('sha256', this.options.callbackSecret).update(body).digest('hex');
+  }
+
+  /**
+   * Verify and parse an operator callback
+   * @param {string} rawBody - Raw callback body, as received
+   * @param {Object} headers - Request headers
+   * @returns {Object} - providerReference, status and failureReason
+   */
+  verifyCallback(rawBody, headers = {}) {
+    const signature = headers[SIGNATURE_HEADER] || headers['X-Signature'] || '';
+    const expected = this.sign(rawBody);
+
+    const valid = signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+      throw new Error('Invalid callback signature');
+    }
+
+    const body = JSON.parse(rawBody);
+    return this.parseTransaction(body);
+  }
+
+  /**
+   * Read an operator transaction into the common shape
+   * @param {Object} transaction - Operator transaction
+   * @returns {Object} - providerReference, status and failureReason
+   */
+  parseTransaction(transaction) {
+    const providerReference = transaction.providerReference || transaction.reference || transaction.id;
+    if (!providerReference) {
+      throw new Error('Transaction reference is missing');
+    }
+
+    return {
+      providerReference: String(providerReference),
+      status: MobileMoneyProvider.normalizeStatus(transaction.status),
+      failureReason: transaction.failureReason || transaction.reason || null
+    };
+  }
+
+  /**
+   * Map an operator status to PENDING, SUCCEEDED or FAILED
+   * @param {string} status - Operator status
+   * @returns {string} - Payment status
+   */
+  static normalizeStatus(status) {
+    const value = String(status || '').toUpperCase();
+
+    if (SUCCEEDED_STATUSES.includes(value)) {
+      return 'SUCCEEDED';
+    }
+
+    if (FAILED_STATUSES.includes(value)) {
+      return 'FAILED';
+    }
+
+    return 'PENDING';
+  }
+}
+
+MobileMoneyProvider.SIGNATURE_HEADER = SIGNATURE_HEADER;
+
+module.exports = MobileMoneyProvider;
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const MobileMoneyProvider = require('./MobileMoneyProvider');
+
+/**
+ * Simulates a mobile money operator in memory
+ * Payments stay pending until settle() is called, which returns the signed callback the
+ * operator would send, so the whole flow can run without a real operator.
+ */
+class SimulatorProvider extends MobileMoneyProvider {
+  /**
+   * @param {Object} options - callbackSecret, currencies
+   */
+  constructor(options = {}) {
+    super({ name: 'simulator', ...options });
+    this.transactions = new Map();
+  }
+
+  /**
+   * Record a pending payment
+   * @param {Object} request - reference, amount, currency, phoneNumber, callbackUrl
+   * @returns {Promise<Object>} - providerReference, status and payer instructions
+   */
+  async initiate(request) {
+    const providerReference = `SIM-${crypto.randomUUID()}`;
+
+    this.transactions.set(providerReference, {
+      providerReference,
+      reference: request.reference,
+      amount: request.amount,
+      currency: request.currency,
+      phoneNumber: request.phoneNumber,
+      status: 'PENDING',
+      failureReason: null
+    });
+
+    return {
+      providerReference,
+      status: 'PENDING',
+      failureReason: null,
+      instructions: `Confirm the payment of ${request.amount} ${request.currency} on ${request.phoneNumber}`
+    };
+  }
+
+  /**
+   * Get the status of a simulated payment
+   * @param {string} providerReference - Simulator transaction reference
+   * @returns {Promise<Object>} - providerReference, status and failureReason
+   */
+  async getStatus(providerReference) {
+    return this.parseTransaction(this.getTransaction(providerReference));
+  }
+
+  /**
+   * Settle a simulated payment as the payer would by confirming or declining it
+   * @param {string} providerReference - Simulator transaction reference
+   * @param {string} status - SUCCEEDED or FAILED
+   * @param {string} failureReason - Reason of a failed payment
+   * @returns {Object} - Signed callback: rawBody and headers
+   */
+  settle(providerReference, status = 'SUCCEEDED', failureReason = null) {
+    const transaction = this.getTransaction(providerReference);
+    transaction.status = status;
+    transaction.failureReason = status === 'FAILED' ? failureReason || 'Declined by payer' : null;
+
+    const rawBody = JSON.stringify(transaction);
+    return {
+      rawBody,
+      headers: { [MobileMoneyProvider.SIGNATURE_HEADER]: this.sign(rawBody) }
+    };
+  }
+
+  /**
+   * Get a simulated payment
+   * @param {string} providerReference - Simulator transaction reference
+   * @returns {Object} - Transaction
+   */
+  getTransaction(providerReference) {
+    const transaction = this.transactions.get(providerReference);
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Forget every simulated payment
+   */
+  clear() {
+    this.transactions.clear();
+  }
+}
+
+module.exports = SimulatorProvider;
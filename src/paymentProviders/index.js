@@ -0,0 +1,89 @@
+const MobileMoneyGatewayProvider = require('./MobileMoneyGatewayProvider');
+const SimulatorProvider = require('./SimulatorProvider');
+
+/**
+ * Build the gateway adapter of an operator from its environment variables
+ * @param {string} name - Provider name
+ * @param {string} prefix - Environment variable prefix
+ * @returns {MobileMoneyGatewayProvider} - Adapter
+ */
+const gateway = (name, prefix) => new MobileMoneyGatewayProvider({
+  name,
+  url: process.env[`${prefix}_URL`],
+  apiKey: process.env[`${prefix}_API_KEY`],
+  callbackSecret: process.env[`${prefix}_CALLBACK_SECRET`],
+  currencies: (process.env[`${prefix}_CURRENCIES`] || 'XOF').split(',')
+});
+
+// Every adapter extends MobileMoneyProvider
+const PROVIDERS = {
+  'orange-money': () => gateway('orange-money', 'ORANGE_MONEY'),
+  wave: () => gateway('wave', 'WAVE'),
+  mpesa: () => gateway('mpesa', 'MPESA'),
+  simulator: () => {
+    // Anyone holding the secret can settle simulated payments, so there is no default
+    if (!process.env.MOBILE_MONEY_SIMULATOR_SECRET) {
+      throw new Error('MOBILE_MONEY_SIMULATOR_SECRET is required to run the simulator');
+    }
+    return new SimulatorProvider({ callbackSecret: process.env.MOBILE_MONEY_SIMULATOR_SECRET });
+  }
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+const instances = new Map();
+
+/**
+ * Check whether a provider can be used
+ * The simulator is off unless MOBILE_MONEY_SIMULATOR=true, whatever the environment.
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+const isEnabled = (name) => {
+  if (!PROVIDERS[name]) {
+    return false;
+  }
+
+  if (name === 'simulator') {
+    return process.env.MOBILE_MONEY_SIMULATOR === 'true';
+  }
+
+  return true;
+};
+
+/**
+ * Get a provider by name, creating it on first use
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider
+ */
+const getProvider = (name) => {
+  if (!isEnabled(name)) {
+    throw new Error(`Unsupported mobile money provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, PROVIDERS[name]());
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * List the providers members can pay with
+ * @returns {Array<string>} - Provider names
+ */
+const getProviderNames = () => PROVIDER_NAMES.filter(isEnabled);
+
+/**
+ * Drop the created providers so configuration changes are picked up
+ */
+const resetProviders = () => {
+  instances.clear();
+};
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  getProviderNames,
+  resetProviders
+};
@@ -0,0 +1,16 @@
+const express = require('express');
+const JobController = require('../controllers/jobController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireAdmin } = require('../middlewares/roleMiddleware');
+const jobValidation = require('../validators/jobValidator');
+
+// Mounted on /api/admin/jobs
+const router = express.Router();
+
+router.use(authMiddleware);
+router.use(requireAdmin);
+
+router.get('/', JobController.getJobs);
+router.get('/runs', jobValidation.listJobRuns, JobController.getJobRuns);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const ReconciliationController = require('../controllers/reconciliationController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireAdmin } = require('../middlewares/roleMiddleware');
+const reconciliationValidation = require('../validators/reconciliationValidator');
+const { statementUpload } = require('../config/multer');
+
+// Mounted on /api/admin/reconciliation
+const router = express.Router();
+
+router.use(authMiddleware);
+router.use(requireAdmin);
+
+router.get('/imports', reconciliationValidation.listImports, ReconciliationController.getImports);
+router.post('/imports', statementUpload.single('statement'), ReconciliationController.importStatement);
+router.get('/imports/:importId', ReconciliationController.getImport);
+router.put('/imports/:importId/lines/:lineId/confirm', reconciliationValidation.confirmMatch, ReconciliationController.confirmMatch);
+router.put('/imports/:importId/lines/:lineId/reject', ReconciliationController.rejectMatch);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const WebhookController = require('../controllers/webhookController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireAdmin } = require('../middlewares/roleMiddleware');
+const webhookValidation = require('../validators/webhookValidator');
+
+// Mounted on /api/admin/webhooks
+const router = express.Router();
+
+router.use(authMiddleware);
+router.use(requireAdmin);
+
+router.get('/', WebhookController.getEndpoints);
+router.post('/', webhookValidation.createEndpoint, WebhookController.createEndpoint);
+router.get('/deliveries', webhookValidation.listDeliveries, WebhookController.getDeliveries);
+router.put('/deliveries/:deliveryId/redeliver', WebhookController.redeliver);
+router.put('/:endpointId', webhookValidation.updateEndpoint, WebhookController.updateEndpoint);
+router.delete('/:endpointId', WebhookController.deleteEndpoint);
+router.put('/:endpointId/rotate-secret', WebhookController.rotateSecret);
+
+module.exports = router;
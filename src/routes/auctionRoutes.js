@@ -0,0 +1,20 @@
+const express = require('express');
+const AuctionController = require('../controllers/auctionController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const auctionValidation = require('../validators/auctionValidator');
+
+// Mounted on /api/groups/:id/cycles/:cycleNumber
+const router = express.Router({ mergeParams: true });
+const canManageAuctions = requireGroupPermission(GROUP_PERMISSIONS.MANAGE_AUCTIONS);
+
+router.use(authMiddleware);
+router.use(auctionValidation.cycleParams);
+
+router.get('/bids', AuctionController.getBids);
+router.post('/bids', auctionValidation.placeBid, AuctionController.placeBid);
+router.put('/bids/close', canManageAuctions, AuctionController.closeBidding);
+router.put('/bids/winner', canManageAuctions, AuctionController.pickWinner);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const AuthController = require('../controllers/authController');
+const { authMiddleware, extractDeviceInfo } = require('../middlewares/authMiddleware');
+const { requireAdmin } = require('../middlewares/roleMiddleware');
+const {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  changePasswordSchema,
+  updateProfileSchema,
+  validate
+} = require('../validators/authValidator');
+
+// Mounted on /api/auth
+const router = express.Router();
+
+router.post('/register', validate(registerSchema), AuthController.register);
+router.post('/login', extractDeviceInfo, validate(loginSchema), AuthController.login);
+router.post('/refresh', extractDeviceInfo, validate(refreshTokenSchema), AuthController.refreshToken);
+
+router.use(authMiddleware);
+
+router.post('/logout', validate(refreshTokenSchema), AuthController.logout);
+router.get('/profile', AuthController.getProfile);
+router.put('/profile', validate(updateProfileSchema), AuthController.updateProfile);
+router.post('/change-password', validate(changePasswordSchema), AuthController.changePassword);
+router.get('/sessions', AuthController.getSessions);
+router.post('/revoke-all-sessions', AuthController.revokeAllSessions);
+
+router.post('/admin/force-logout/:userId', requireAdmin, AuthController.forceLogoutUser);
+router.get('/admin/token-stats', requireAdmin, AuthController.getTokenStats);
+
+module.exports = router;
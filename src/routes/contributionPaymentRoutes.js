@@ -0,0 +1,14 @@
+const express = require('express');
+const ContributionPaymentController = require('../controllers/contributionPaymentController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const contributionPaymentValidation = require('../validators/contributionPaymentValidator');
+
+// Mounted on /api/contributions/:id/payments
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+
+router.get('/', ContributionPaymentController.getPayments);
+router.post('/', contributionPaymentValidation.applyPayment, ContributionPaymentController.applyPayment);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const ContributionController = require('../controllers/contributionController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireAdmin } = require('../middlewares/roleMiddleware');
+const { requireGroupMembership } = require('../middlewares/groupRoleMiddleware');
+const contributionValidation = require('../validators/contributionValidator');
+
+// Mounted on /api/contributions
+const router = express.Router();
+const isGroupMember = requireGroupMembership('groupId');
+
+router.use(authMiddleware);
+
+router.post('/', contributionValidation.createContribution, ContributionController.createContribution);
+router.get('/', ContributionController.getUserContributions);
+router.get('/overdue', requireAdmin, ContributionController.getOverdueContributions);
+router.get('/group/:groupId', isGroupMember, ContributionController.getGroupContributions);
+router.get('/group/:groupId/statistics', isGroupMember, ContributionController.getContributionStatistics);
+router.post('/group/:groupId/generate', contributionValidation.generateContributions, ContributionController.generateContributions);
+router.get('/:id', ContributionController.getContributionById);
+router.put('/:id', contributionValidation.updateContribution, ContributionController.updateContribution);
+router.put('/:id/pay', contributionValidation.markAsPaid, ContributionController.markAsPaid);
+router.post('/:id/penalty', contributionValidation.addPenalty, ContributionController.addPenalty);
+router.put('/:id/cancel', contributionValidation.cancelContribution, ContributionController.cancelContribution);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const InvitationController = require('../controllers/invitationController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const invitationValidation = require('../validators/invitationValidator');
+
+// Mounted on /api/groups/:id/invitations
+const router = express.Router({ mergeParams: true });
+const canManageInvitations = requireGroupPermission(GROUP_PERMISSIONS.MANAGE_INVITATIONS);
+
+router.use(authMiddleware);
+
+router.get('/', canManageInvitations, InvitationController.getGroupInvitations);
+router.post('/', canManageInvitations, invitationValidation.inviteUser, InvitationController.inviteUser);
+router.post('/codes', canManageInvitations, invitationValidation.createInviteCode, InvitationController.createInviteCode);
+router.put('/:invitationId/revoke', canManageInvitations, InvitationController.revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const GroupRoleController = require('../controllers/groupRoleController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const groupRoleValidation = require('../validators/groupRoleValidator');
+
+// Mounted on /api/groups/:id/roles
+const router = express.Router({ mergeParams: true });
+const canManageRoles = requireGroupPermission(GROUP_PERMISSIONS.MANAGE_ROLES);
+
+router.use(authMiddleware);
+
+router.get('/', GroupRoleController.getRoles);
+router.put('/:memberId', canManageRoles, groupRoleValidation.assignRole, GroupRoleController.assignRole);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const GroupController = require('../controllers/groupController');
+const InvitationController = require('../controllers/invitationController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const groupValidation = require('../validators/groupValidator');
+const invitationValidation = require('../validators/invitationValidator');
+
+// Mounted on /api/groups
+// Authentication is applied per route: the group sub-routers mounted on /api/groups/:id
+// authenticate their own requests, which must not go through it twice.
+const router = express.Router();
+
+router.get('/public', groupValidation.listGroups, GroupController.getPublicGroups);
+router.post('/join-by-code', authMiddleware, invitationValidation.joinByCode, InvitationController.joinByCode);
+
+router.post('/', authMiddleware, groupValidation.createGroup, GroupController.createGroup);
+router.get('/', authMiddleware, groupValidation.listGroups, GroupController.getUserGroups);
+router.get('/:id', authMiddleware, GroupController.getGroupById);
+router.put('/:id', authMiddleware, groupValidation.updateGroup, GroupController.updateGroup);
+router.delete('/:id', authMiddleware, GroupController.deleteGroup);
+router.post('/:id/join', authMiddleware, GroupController.joinGroup);
+router.post('/:id/leave', authMiddleware, GroupController.leaveGroup);
+router.get('/:id/members', authMiddleware, GroupController.getGroupMembers);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const GroupStatusController = require('../controllers/groupStatusController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const groupStatusValidation = require('../validators/groupStatusValidator');
+
+// Mounted on /api/groups/:id/status
+const router = express.Router({ mergeParams: true });
+const canManageStatus = requireGroupPermission(GROUP_PERMISSIONS.MANAGE_STATUS);
+
+router.use(authMiddleware);
+
+router.get('/', GroupStatusController.getStatusHistory);
+router.put('/', canManageStatus, groupStatusValidation.changeStatus, GroupStatusController.changeStatus);
+
+module.exports = router;
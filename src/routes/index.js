@@ -0,0 +1,74 @@
+const express = require('express');
+const authRoutes = require('./authRoutes');
+const userRoutes = require('./userRoutes');
+const notificationPreferenceRoutes = require('./notificationPreferenceRoutes');
+const kycRoutes = require('./kycRoutes');
+const groupRoutes = require('./groupRoutes');
+const scheduleRoutes = require('./scheduleRoutes');
+const payoutRoutes = require('./payoutRoutes');
+const auctionRoutes = require('./auctionRoutes');
+const swapRoutes = require('./swapRoutes');
+const groupStatusRoutes = require('./groupStatusRoutes');
+const groupInvitationRoutes = require('./groupInvitationRoutes');
+const invitationRoutes = require('./invitationRoutes');
+const joinRequestRoutes = require('./joinRequestRoutes');
+const groupRoleRoutes = require('./groupRoleRoutes');
+const ownershipRoutes = require('./ownershipRoutes');
+const penaltyRoutes = require('./penaltyRoutes');
+const ledgerRoutes = require('./ledgerRoutes');
+const statementRoutes = require('./statementRoutes');
+const reminderRoutes = require('./reminderRoutes');
+const contributionPaymentRoutes = require('./contributionPaymentRoutes');
+const contributionRoutes = require('./contributionRoutes');
+const mobileMoneyRoutes = require('./mobileMoneyRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const refundRoutes = require('./refundRoutes');
+const messageRoutes = require('./messageRoutes');
+const ticketRoutes = require('./ticketRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const adminJobRoutes = require('./adminJobRoutes');
+const adminWebhookRoutes = require('./adminWebhookRoutes');
+const adminReconciliationRoutes = require('./adminReconciliationRoutes');
+
+// Mounted on /api
+// Sub-routers of a resource are mounted before the router of the resource itself when their
+// paths could be taken for one of its routes.
+const router = express.Router();
+
+router.use('/auth', authRoutes);
+router.use('/users/me/notification-preferences', notificationPreferenceRoutes);
+router.use('/users', userRoutes);
+router.use('/kyc', kycRoutes);
+
+router.use('/groups', groupRoutes);
+router.use('/groups/:id/schedule', scheduleRoutes);
+router.use('/groups/:id/payouts', payoutRoutes);
+router.use('/groups/:id/cycles/:cycleNumber', auctionRoutes);
+router.use('/groups/:id/swaps', swapRoutes);
+router.use('/groups/:id/status', groupStatusRoutes);
+router.use('/groups/:id/invitations', groupInvitationRoutes);
+router.use('/groups/:id/join-requests', joinRequestRoutes);
+router.use('/groups/:id/roles', groupRoleRoutes);
+router.use('/groups/:id/penalties', penaltyRoutes);
+router.use('/groups/:id/ledger', ledgerRoutes);
+router.use('/groups/:id/statements', statementRoutes);
+router.use('/groups/:id/reminders', reminderRoutes);
+// Authenticates every request it sees, so it comes after the other /groups/:id routers
+router.use('/groups/:id', ownershipRoutes);
+
+router.use('/invitations', invitationRoutes);
+router.use('/contributions/:id/payments', contributionPaymentRoutes);
+router.use('/contributions', contributionRoutes);
+router.use('/payments/mobile-money', mobileMoneyRoutes);
+router.use('/payments', paymentRoutes);
+// Authenticates every request it sees, so it comes after paymentRoutes
+router.use('/payments/:id', refundRoutes);
+router.use('/messages', messageRoutes);
+router.use('/tickets', ticketRoutes);
+router.use('/notifications', notificationRoutes);
+
+router.use('/admin/jobs', adminJobRoutes);
+router.use('/admin/webhooks', adminWebhookRoutes);
+router.use('/admin/reconciliation', adminReconciliationRoutes);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const InvitationController = require('../controllers/invitationController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+
+// Mounted on /api/invitations
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', InvitationController.getUserInvitations);
+router.put('/:invitationId/accept', InvitationController.acceptInvitation);
+router.put('/:invitationId/decline', InvitationController.declineInvitation);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const JoinRequestController = require('../controllers/joinRequestController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const joinRequestValidation = require('../validators/joinRequestValidator');
+
+// Mounted on /api/groups/:id/join-requests
+const router = express.Router({ mergeParams: true });
+const canApproveJoins = requireGroupPermission(GROUP_PERMISSIONS.APPROVE_JOINS);
+
+router.use(authMiddleware);
+
+router.get('/', canApproveJoins, JoinRequestController.getPendingRequests);
+router.post('/', joinRequestValidation.requestToJoin, JoinRequestController.requestToJoin);
+router.put('/:requestId/approve', canApproveJoins, JoinRequestController.approveRequest);
+router.put('/:requestId/reject', canApproveJoins, joinRequestValidation.rejectRequest, JoinRequestController.rejectRequest);
+
+module.exports = router;
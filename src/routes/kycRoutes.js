@@ -0,0 +1,34 @@
+const express = require('express');
+const KYCController = require('../controllers/kycController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireAdminForKYC } = require('../middlewares/kycMiddleware');
+const kycValidation = require('../validators/kycValidator');
+const upload = require('../config/multer');
+
+// Mounted on /api/kyc
+const router = express.Router();
+const uploadDocuments = upload.fields([
+  { name: 'idCard', maxCount: 1 },
+  { name: 'selfie', maxCount: 1 }
+]);
+
+/**
+ * Record the admin making the request as the reviewer of the submission
+ */
+const reviewerFromUser = (req, res, next) => {
+  req.body = { ...req.body, verifiedBy: req.user.id };
+  next();
+};
+
+router.use(authMiddleware);
+
+router.post('/submit', uploadDocuments, kycValidation.submitKYC, KYCController.submitKYCDocuments);
+router.get('/status', KYCController.getKYCStatus);
+
+router.get('/pending', requireAdminForKYC, KYCController.getPendingKYC);
+router.get('/requests', requireAdminForKYC, kycValidation.listRequests, KYCController.getAllKYCRequests);
+router.post('/verify', requireAdminForKYC, kycValidation.verifyKYC, reviewerFromUser, KYCController.verifyKYC);
+router.post('/verify/:userId', requireAdminForKYC, kycValidation.verifyKYC, reviewerFromUser, KYCController.verifyKYC);
+router.post('/reject/:userId', requireAdminForKYC, kycValidation.rejectKYC, reviewerFromUser, KYCController.rejectKYC);
+
+module.exports = router;
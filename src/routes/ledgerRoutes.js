@@ -0,0 +1,13 @@
+const express = require('express');
+const LedgerController = require('../controllers/ledgerController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const ledgerValidation = require('../validators/ledgerValidator');
+
+// Mounted on /api/groups/:id/ledger
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+
+router.get('/', ledgerValidation.getLedger, LedgerController.getLedger);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const MessageController = require('../controllers/messageController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const messageValidation = require('../validators/messageValidator');
+
+// Mounted on /api/messages
+const router = express.Router();
+
+/**
+ * Take the group of a group message from the route, so it is validated like any other message
+ */
+const groupFromRoute = (req, res, next) => {
+  req.body = { ...req.body, groupId: req.params.groupId };
+  next();
+};
+
+router.use(authMiddleware);
+
+router.post('/', messageValidation.sendMessage, MessageController.sendMessage);
+router.get('/unread-count', MessageController.getUnreadCount);
+router.get('/search', messageValidation.searchMessages, MessageController.searchMessages);
+router.get('/conversation/:userId', MessageController.getConversation);
+router.get('/group/:groupId', MessageController.getGroupMessages);
+router.post('/group/:groupId', groupFromRoute, messageValidation.sendMessage, MessageController.sendGroupMessage);
+router.put('/:messageId/read', MessageController.markAsRead);
+router.delete('/:messageId', MessageController.deleteMessage);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const MobileMoneyController = require('../controllers/mobileMoneyController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
+const mobileMoneyValidation = require('../validators/mobileMoneyValidator');
+
+// Mounted on /api/payments/mobile-money
+const router = express.Router();
+
+// Operators are authenticated by the callback signature
+router.post('/callbacks/:provider', idempotent(), MobileMoneyController.handleCallback);
+
+router.use(authMiddleware);
+
+router.get('/providers', MobileMoneyController.getProviders);
+router.post('/', idempotent(), mobileMoneyValidation.initiatePayment, MobileMoneyController.initiatePayment);
+router.get('/:paymentId', MobileMoneyController.getPaymentStatus);
+
+module.exports = router;
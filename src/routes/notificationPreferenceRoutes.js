@@ -0,0 +1,14 @@
+const express = require('express');
+const NotificationPreferenceController = require('../controllers/notificationPreferenceController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const notificationPreferenceValidation = require('../validators/notificationPreferenceValidator');
+
+// Mounted on /api/users/me/notification-preferences
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', NotificationPreferenceController.getPreferences);
+router.put('/', notificationPreferenceValidation.updatePreferences, NotificationPreferenceController.updatePreferences);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const NotificationController = require('../controllers/notificationController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const notificationValidation = require('../validators/notificationValidator');
+
+// Mounted on /api/notifications
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', notificationValidation.listNotifications, NotificationController.getNotifications);
+router.put('/read-all', NotificationController.markAllAsRead);
+router.put('/:notificationId/read', NotificationController.markAsRead);
+router.delete('/:notificationId', NotificationController.deleteNotification);
+
+module.exports = router;
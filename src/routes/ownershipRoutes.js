@@ -0,0 +1,17 @@
+const express = require('express');
+const OwnershipController = require('../controllers/ownershipController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const ownershipValidation = require('../validators/ownershipValidator');
+
+// Mounted on /api/groups/:id
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+
+router.get('/obligations', OwnershipController.getObligations);
+router.post('/transfer-ownership', ownershipValidation.requestTransfer, OwnershipController.requestTransfer);
+router.put('/transfer-ownership/:transferId/accept', OwnershipController.acceptTransfer);
+router.put('/transfer-ownership/:transferId/decline', OwnershipController.declineTransfer);
+router.put('/transfer-ownership/:transferId/cancel', OwnershipController.cancelTransfer);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const PaymentController = require('../controllers/paymentController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireAdmin } = require('../middlewares/roleMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
+const paymentValidation = require('../validators/paymentValidator');
+const upload = require('../config/multer');
+
+// Mounted on /api/payments
+// Authentication is applied per route: the payment sub-routers mounted on /api/payments/:id
+// authenticate their own requests, which must not go through it twice.
+const router = express.Router();
+
+router.get('/', authMiddleware, PaymentController.getUserPayments);
+// The form is parsed before idempotent() so the fingerprint covers its fields
+router.post('/bank-transfer', authMiddleware, upload.single('proof'), idempotent(), paymentValidation.createBankTransfer, PaymentController.createBankTransferPayment);
+router.post('/stripe', authMiddleware, idempotent(), paymentValidation.createStripeIntent, PaymentController.createStripePaymentIntent);
+router.get('/:id', authMiddleware, PaymentController.getPaymentById);
+router.put('/:id/verify', authMiddleware, requireAdmin, paymentValidation.verifyPayment, PaymentController.verifyPayment);
+
+module.exports = router;
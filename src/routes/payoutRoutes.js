@@ -0,0 +1,22 @@
+const express = require('express');
+const PayoutController = require('../controllers/payoutController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const payoutValidation = require('../validators/payoutValidator');
+const upload = require('../config/multer');
+
+// Mounted on /api/groups/:id/payouts
+const router = express.Router({ mergeParams: true });
+const canManagePayouts = requireGroupPermission(GROUP_PERMISSIONS.MANAGE_PAYOUTS);
+
+router.use(authMiddleware);
+
+router.get('/', payoutValidation.listPayouts, PayoutController.getGroupPayouts);
+router.post('/', canManagePayouts, payoutValidation.createPayout, PayoutController.createPayout);
+router.get('/reconciliation/:cycleNumber', PayoutController.getCycleReconciliation);
+router.get('/:payoutId', PayoutController.getPayoutById);
+router.put('/:payoutId/approve', canManagePayouts, PayoutController.approvePayout);
+router.put('/:payoutId/confirm', canManagePayouts, upload.single('proof'), PayoutController.confirmPayout);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const PenaltyController = require('../controllers/penaltyController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const penaltyValidation = require('../validators/penaltyValidator');
+
+// Mounted on /api/groups/:id/penalties
+const router = express.Router({ mergeParams: true });
+const canManagePenalties = requireGroupPermission(GROUP_PERMISSIONS.MANAGE_PENALTIES);
+const canUpdateSettings = requireGroupPermission(GROUP_PERMISSIONS.UPDATE_SETTINGS);
+
+router.use(authMiddleware);
+
+router.get('/', penaltyValidation.listPenalties, PenaltyController.getPenalties);
+router.get('/policy', PenaltyController.getPolicy);
+router.put('/policy', canUpdateSettings, penaltyValidation.updatePolicy, PenaltyController.updatePolicy);
+router.put('/:penaltyId/reverse', canManagePenalties, penaltyValidation.reversePenalty, PenaltyController.reversePenalty);
+
+module.exports = router;
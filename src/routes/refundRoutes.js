@@ -0,0 +1,15 @@
+const express = require('express');
+const RefundController = require('../controllers/refundController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
+const refundValidation = require('../validators/refundValidator');
+
+// Mounted on /api/payments/:id
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+
+router.post('/refund', idempotent(), refundValidation.refundPayment, RefundController.refundPayment);
+router.get('/refunds', RefundController.getRefunds);
+
+module.exports = router;
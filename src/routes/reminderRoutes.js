@@ -0,0 +1,18 @@
+const express = require('express');
+const ReminderController = require('../controllers/reminderController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const reminderValidation = require('../validators/reminderValidator');
+
+// Mounted on /api/groups/:id/reminders
+const router = express.Router({ mergeParams: true });
+const canUpdateSettings = requireGroupPermission(GROUP_PERMISSIONS.UPDATE_SETTINGS);
+
+router.use(authMiddleware);
+router.use(canUpdateSettings);
+
+router.get('/', ReminderController.getReminders);
+router.put('/schedule', reminderValidation.updateSchedule, ReminderController.updateSchedule);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const ScheduleController = require('../controllers/scheduleController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const scheduleValidation = require('../validators/scheduleValidator');
+
+// Mounted on /api/groups/:id/schedule
+const router = express.Router({ mergeParams: true });
+const canManageSchedule = requireGroupPermission(GROUP_PERMISSIONS.MANAGE_SCHEDULE);
+
+router.use(authMiddleware);
+
+router.get('/', ScheduleController.getSchedule);
+router.post('/', canManageSchedule, scheduleValidation.generateSchedule, ScheduleController.generateSchedule);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const StatementController = require('../controllers/statementController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const statementValidation = require('../validators/statementValidator');
+
+// Mounted on /api/groups/:id/statements
+const router = express.Router({ mergeParams: true });
+const canViewStatements = requireGroupPermission(GROUP_PERMISSIONS.VIEW_STATEMENTS);
+
+router.use(authMiddleware);
+
+router.get('/', canViewStatements, statementValidation.getStatement, StatementController.getStatement);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const SwapController = require('../controllers/swapController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireGroupPermission } = require('../middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const swapValidation = require('../validators/swapValidator');
+
+// Mounted on /api/groups/:id/swaps
+const router = express.Router({ mergeParams: true });
+const canApproveSwaps = requireGroupPermission(GROUP_PERMISSIONS.APPROVE_SWAPS);
+
+router.use(authMiddleware);
+
+router.get('/', swapValidation.listSwaps, SwapController.getGroupSwaps);
+router.post('/', swapValidation.proposeSwap, SwapController.proposeSwap);
+router.put('/:swapId/accept', SwapController.acceptSwap);
+router.put('/:swapId/decline', SwapController.declineSwap);
+router.put('/:swapId/approve', canApproveSwaps, SwapController.approveSwap);
+router.put('/:swapId/reject', canApproveSwaps, swapValidation.rejectSwap, SwapController.rejectSwap);
+router.put('/:swapId/cancel', SwapController.cancelSwap);
+
+module.exports = router;
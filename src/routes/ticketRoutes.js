@@ -0,0 +1,24 @@
+const express = require('express');
+const TicketController = require('../controllers/ticketController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireAdmin } = require('../middlewares/roleMiddleware');
+const ticketValidation = require('../validators/ticketValidator');
+
+// Mounted on /api/tickets
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.post('/', ticketValidation.createTicket, TicketController.createTicket);
+router.get('/', ticketValidation.listTickets, TicketController.getUserTickets);
+router.get('/all', requireAdmin, ticketValidation.listTickets, TicketController.getAllTickets);
+router.get('/statistics', requireAdmin, TicketController.getTicketStatistics);
+router.get('/overdue', requireAdmin, TicketController.getOverdueTickets);
+router.get('/:id', TicketController.getTicketById);
+router.put('/:id', ticketValidation.updateTicket, TicketController.updateTicket);
+router.put('/:id/status', requireAdmin, ticketValidation.updateStatus, TicketController.updateTicket);
+router.put('/:id/assign', requireAdmin, ticketValidation.assignTicket, TicketController.assignTicket);
+router.post('/:id/responses', ticketValidation.addComment, TicketController.addResponse);
+router.put('/:id/close', ticketValidation.closeTicket, TicketController.checkAccess, TicketController.closeTicket);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const UserController = require('../controllers/userController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { requireAdmin } = require('../middlewares/roleMiddleware');
+const userValidation = require('../validators/userValidator');
+
+// Mounted on /api/users
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', requireAdmin, userValidation.listUsers, UserController.getUsers);
+router.get('/:userId', UserController.getUserById);
+router.get('/:userId/reliability', UserController.getReliability);
+router.put('/:userId', requireAdmin, userValidation.updateUser, UserController.updateUser);
+router.delete('/:userId', requireAdmin, UserController.deleteUser);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+require('dotenv').config();
+
+const http = require('http');
+const { app } = require('./app');
+const { connectDatabase, disconnectDatabase } = require('./config/database');
+const { createSocketServer } = require('./config/socket');
+const MessageService = require('./services/MessageService');
+const NotificationService = require('./services/NotificationService');
+const JobScheduler = require('./jobs');
+const logger = require('./utils/logger');
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+
+/**
+ * Connect to the database, then serve the API and the live socket server
+ */
+const start = async () => {
+  await connectDatabase();
+
+  const server = http.createServer(app);
+  const io = createSocketServer(server);
+  MessageService.setSocketServer(io);
+  NotificationService.setSocketServer(io);
+
+  server.listen(PORT, () => {
+    logger.info(`Server listening on port ${PORT}`);
+  });
+
+  JobScheduler.start();
+
+  const shutdown = (signal) => {
+    logger.info(`${signal} received, shutting down`);
+    JobScheduler.stop();
+    // Closing the socket server also closes the HTTP server
+    io.close(async () => {
+      await disconnectDatabase();
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+start().catch((error) => {
+  logger.error('Server failed to start:', error);
+  process.exit(1);
+});
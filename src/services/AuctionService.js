@@ -0,0 +1,328 @@
+const AuctionRound = require('../models/AuctionRound');
+const Bid = require('../models/Bid');
+const PayoutSchedule = require('../models/PayoutSchedule');
+const Group = require('../models/Group');
+const ContributionPaymentService = require('./ContributionPaymentService');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const logger = require('../utils/logger');
+
+/**
+ * Share a discount between members in whole currency units
+ * @param {number} discount - Discount to share
+ * @param {Array<string>} userIds - Receiving members
+ * @returns {Array<Object>} - Credits per member
+ */
+const splitDiscount = (discount, userIds) => {
+  const share = Math.floor(discount / userIds.length);
+  const remainder = discount - share * userIds.length;
+
+  return userIds.map((user, index) => ({
+    user,
+    amount: share + (index < remainder ? 1 : 0),
+    applied: false
+  }));
+};
+
+class AuctionService {
+  /**
+   * Place or raise a bid for a cycle's pot
+   * @param {string} groupId - Group ID
+   * @param {number} cycleNumber - Cycle number
+   * @param {Object} bidData - Bid data (discount)
+   * @param {string} userId - Bidding member ID
+   * @returns {Promise<Object>} - Bid
+   */
+  static async placeBid(groupId, cycleNumber, bidData, userId) {
+    try {
+      const { discount } = bidData;
+
+      const group = await this.getAuctionGroup(groupId);
+
+      if (!group.isMember(userId)) {
+        throw new Error('User is not a member of this group');
+      }
+
+      const schedule = await PayoutSchedule.findByGroup(groupId);
+      const cycle = schedule && schedule.getCycle(cycleNumber);
+      if (!cycle) {
+        throw new Error('Cycle not found in payout schedule');
+      }
+
+      if (cycle.status !== 'SCHEDULED') {
+        throw new Error('Bidding is closed for this cycle');
+      }
+
+      const ownCycle = schedule.getCycleForUser(userId);
+      const alreadyServed = ownCycle && ownCycle.status !== 'SCHEDULED';
+      if (alreadyServed || await AuctionRound.hasWon(groupId, userId)) {
+        throw new Error('Members who already received the pot cannot bid');
+      }
+
+      const activeMembers = group.members.filter(member => member.status === 'ACTIVE');
+      const potAmount = group.settings.contributionAmount * activeMembers.length;
+
+      if (discount >= potAmount) {
+        throw new Error('Discount must be lower than the pot amount');
+      }
+
+      const round = await AuctionRound.findOneAndUpdate(
+        { group: groupId, cycleNumber },
+        { $setOnInsert: { potAmount, status: 'OPEN' } },
+        { new: true, upsert: true }
+      );
+
+      if (round.status !== 'OPEN') {
+        throw new Error('Bidding is closed for this cycle');
+      }
+
+      const bid = await Bid.findOneAndUpdate(
+        { group: groupId, cycleNumber, bidder: userId },
+        { discount, status: 'ACTIVE', placedAt: new Date() },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      logger.info(`Bid placed for group: ${groupId}`, { cycleNumber, bidder: userId, discount });
+
+      return {
+        success: true,
+        message: 'Bid placed successfully',
+        data: { bid }
+      };
+    } catch (error) {
+      logger.error('Error placing bid:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the bidding round of a cycle
+   * Bids stay sealed for regular members until the round is closed.
+   * @param {string} groupId - Group ID
+   * @param {number} cycleNumber - Cycle number
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Round and bids
+   */
+  static async getBids(groupId, cycleNumber, userId) {
+    try {
+      const group = await this.getAuctionGroup(groupId);
+
+      if (!group.isMember(userId) && group.creator.toString() !== userId) {
+        throw new Error('Access denied to this group');
+      }
+
+      const round = await AuctionRound.findForCycle(groupId, cycleNumber);
+      if (!round) {
+        return {
+          success: true,
+          data: { round: null, bids: [] }
+        };
+      }
+
+      let bids = await Bid.findForCycle(groupId, cycleNumber)
+        .populate('bidder', 'firstName lastName');
+
+      if (round.status === 'OPEN' && !hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_AUCTIONS)) {
+        bids = bids.filter(bid => (bid.bidder._id || bid.bidder).toString() === userId);
+      }
+
+      return {
+        success: true,
+        data: { round, bids }
+      };
+    } catch (error) {
+      logger.error('Error getting bids:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close bidding on a cycle
+   * @param {string} groupId - Group ID
+   * @param {number} cycleNumber - Cycle number
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Closed round
+   */
+  static async closeBidding(groupId, cycleNumber, userId) {
+    try {
+      const group = await this.getAuctionGroup(groupId);
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_AUCTIONS)) {
+        throw new Error('You are not allowed to manage auctions in this group');
+      }
+
+      const round = await AuctionRound.findOneAndUpdate(
+        { group: groupId, cycleNumber, status: 'OPEN' },
+        { status: 'CLOSED', closedBy: userId, closedAt: new Date() },
+        { new: true }
+      );
+
+      if (!round) {
+        throw new Error('No open bidding for this cycle');
+      }
+
+      logger.info(`Bidding closed for group: ${groupId}`, { cycleNumber, closedBy: userId });
+
+      return {
+        success: true,
+        message: 'Bidding closed successfully',
+        data: { round }
+      };
+    } catch (error) {
+      logger.error('Error closing bidding:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Award the pot to the highest discount (earliest bid wins ties)
+   * @param {string} groupId - Group ID
+   * @param {number} cycleNumber - Cycle number
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Awarded round
+   */
+  static async pickWinner(groupId, cycleNumber, userId) {
+    try {
+      const group = await this.getAuctionGroup(groupId);
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_AUCTIONS)) {
+        throw new Error('You are not allowed to manage auctions in this group');
+      }
+
+      const round = await AuctionRound.findForCycle(groupId, cycleNumber);
+      if (!round || round.status !== 'CLOSED') {
+        throw new Error('Bidding must be closed before picking a winner');
+      }
+
+      const bids = await Bid.findForCycle(groupId, cycleNumber);
+      if (bids.length === 0) {
+        throw new Error('No bids were placed for this cycle');
+      }
+
+      const [winningBid] = bids;
+      const winnerId = winningBid.bidder.toString();
+
+      await Bid.updateOne({ _id: winningBid._id }, { status: 'WON' });
+      await Bid.updateMany(
+        { group: groupId, cycleNumber, _id: { $ne: winningBid._id } },
+        { status: 'LOST' }
+      );
+
+      // The winner takes this cycle; whoever held it takes the winner's former turn
+      const schedule = await PayoutSchedule.findByGroup(groupId);
+      const cycle = schedule.getCycle(cycleNumber);
+      const winnerCycle = schedule.getCycleForUser(winnerId);
+      if (winnerCycle && winnerCycle.cycleNumber !== cycle.cycleNumber) {
+        winnerCycle.beneficiary = cycle.beneficiary;
+      }
+      cycle.beneficiary = winnerId;
+      await schedule.save();
+
+      const otherMembers = group.members
+        .filter(member => member.status === 'ACTIVE' && member.user.toString() !== winnerId)
+        .map(member => member.user.toString());
+
+      round.status = 'AWARDED';
+      round.winningBid = winningBid._id;
+      round.winner = winnerId;
+      round.discount = winningBid.discount;
+      round.awardedBy = userId;
+      round.awardedAt = new Date();
+      round.credits = splitDiscount(winningBid.discount, otherMembers);
+      await round.save();
+
+      // Next cycle contributions may already exist: credit them right away
+      await this.applyDiscountCredits(groupId, Number(cycleNumber) + 1);
+
+      logger.info(`Auction awarded for group: ${groupId}`, {
+        cycleNumber,
+        winner: winnerId,
+        discount: winningBid.discount
+      });
+
+      return {
+        success: true,
+        message: 'Auction winner selected successfully',
+        data: { round, winningBid }
+      };
+    } catch (error) {
+      logger.error('Error picking auction winner:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the discount credits won in the previous cycle's auction to the unpaid
+   * contributions of a cycle
+   * Called when the winner is picked and whenever contributions are generated, so a credit
+   * is applied once its contribution exists. Each credit is claimed on the round before it is
+   * settled on the contribution, and released if there is nothing to settle yet. The amount of
+   * the contribution is left as it is, so the next beneficiary still receives the whole pot.
+   * @param {string} groupId - Group ID
+   * @param {number} cycleNumber - Cycle the contributions belong to
+   * @returns {Promise<number>} - Number of credits applied
+   */
+  static async applyDiscountCredits(groupId, cycleNumber) {
+    try {
+      const round = await AuctionRound.findForCycle(groupId, Number(cycleNumber) - 1);
+      if (!round || round.status !== 'AWARDED') {
+        return 0;
+      }
+
+      let applied = 0;
+      for (const credit of round.credits.filter(item => !item.applied)) {
+        const claim = await AuctionRound.updateOne(
+          { _id: round._id, credits: { $elemMatch: { user: credit.user, applied: false } } },
+          { $set: { 'credits.$.applied': true } }
+        );
+        if (claim.modifiedCount === 0) {
+          continue;
+        }
+
+        const contribution = await ContributionPaymentService.applyCredit(
+          { group: groupId, cycleNumber: Number(cycleNumber), user: credit.user },
+          credit.amount
+        );
+
+        if (!contribution) {
+          await AuctionRound.updateOne(
+            { _id: round._id, 'credits.user': credit.user },
+            { $set: { 'credits.$.applied': false } }
+          );
+          continue;
+        }
+
+        applied++;
+      }
+
+      if (applied > 0) {
+        logger.info(`Auction discount credits applied for group: ${groupId}`, { cycleNumber, applied });
+      }
+
+      return applied;
+    } catch (error) {
+      logger.error('Error applying auction discount credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a group running in auction mode
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object>} - Group
+   */
+  static async getAuctionGroup(groupId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (group.settings.tontineMode !== 'AUCTION') {
+      throw new Error('Group does not run in auction mode');
+    }
+
+    return group;
+  }
+}
+
+module.exports = AuctionService;
@@ -0,0 +1,302 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const jwtConfig = require('../config/jwt');
+const constants = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Profile fields a user may change on their own account
+const UPDATABLE_PROFILE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'dateOfBirth', 'address', 'city', 'country', 'preferredLanguage'];
+
+class AuthService {
+  /**
+   * Hash a plain text password
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} - Password hash
+   */
+  static async hashPassword(password) {
+    if (typeof password !== 'string' || password.length === 0) {
+      throw new Error('Password is required');
+    }
+    return bcrypt.hash(password, 12);
+  }
+
+  /**
+   * Compare a plain text password with a hash
+   * @param {string} password - Plain text password
+   * @param {string} hashedPassword - Stored hash
+   * @returns {Promise<boolean>} - Whether they match
+   */
+  static async comparePassword(password, hashedPassword) {
+    return bcrypt.compare(password, hashedPassword);
+  }
+
+  /**
+   * Sign a short-lived access token for a user
+   * @param {Object} user - User document
+   * @returns {string} - Signed JWT
+   */
+  static generateAccessToken(user) {
+    return jwt.sign(
+      {
+        sub: user._id.toString(),
+        email: user.email,
+        role: user.role,
+        reliabilityScore: user.reliabilityScore,
+        kycStatus: user.kyc ? user.kyc.status : constants.KYC_STATUS.PENDING
+      },
+      jwtConfig.accessSecret,
+      { expiresIn: jwtConfig.accessExpiresIn, issuer: jwtConfig.issuer }
+    );
+  }
+
+  /**
+   * Sign a long-lived refresh token for a user
+   * @param {Object} user - User document
+   * @returns {string} - Signed JWT
+   */
+  static generateRefreshToken(user) {
+    return jwt.sign(
+      { sub: user._id.toString(), type: 'refresh' },
+      jwtConfig.refreshSecret,
+      { expiresIn: jwtConfig.refreshExpiresIn, issuer: jwtConfig.issuer }
+    );
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - Access token
+   * @returns {Object} - Decoded payload
+   */
+  static verifyAccessToken(token) {
+    return jwt.verify(token, jwtConfig.accessSecret, { issuer: jwtConfig.issuer });
+  }
+
+  /**
+   * Verify a refresh token
+   * @param {string} token - Refresh token
+   * @returns {Object} - Decoded payload
+   */
+  static verifyRefreshToken(token) {
+    return jwt.verify(token, jwtConfig.refreshSecret, { issuer: jwtConfig.issuer });
+  }
+
+  /**
+   * Register a new user
+   * @param {Object} userData - Registration data
+   * @returns {Promise<Object>} - Created user
+   */
+  static async register(userData) {
+    const { confirmPassword, ...data } = userData;
+
+    const identifiers = [{ nationalId: data.nationalId }];
+    if (data.email) identifiers.push({ email: data.email.toLowerCase() });
+    if (data.phone) identifiers.push({ phone: data.phone });
+
+    const existingUser = await User.findOne({ $or: identifiers });
+    if (existingUser) {
+      if (data.email && existingUser.email === data.email.toLowerCase()) {
+        throw new Error('Email already registered');
+      }
+      if (data.phone && existingUser.phone === data.phone) {
+        throw new Error('Phone number already registered');
+      }
+      throw new Error('National ID already registered');
+    }
+
+    const user = new User({
+      ...data,
+      role: constants.ROLES.PARTICULIER
+    });
+    const savedUser = await user.save();
+
+    logger.info(`User registered: ${savedUser._id}`);
+
+    return savedUser;
+  }
+
+  /**
+   * Log a user in with their email or phone number
+   * Also takes the login form as a whole ({ identifier, password, deviceInfo }).
+   * @param {string|Object} identifier - Email or phone number, or the login form
+   * @param {string} password - Plain text password
+   * @param {Object} deviceInfo - Device the session is opened from
+   * @returns {Promise<Object>} - { user, accessToken, refreshToken }
+   */
+  static async login(identifier, password, deviceInfo = {}) {
+    if (identifier && typeof identifier === 'object') {
+      const form = identifier;
+      return this.login(form.identifier, form.password, form.deviceInfo);
+    }
+
+    const user = await User.findByEmailOrPhone(identifier);
+    if (!user) {
+      throw new Error('Invalid credentials');
+    }
+
+    if (!user.isActive) {
+      throw new Error('Account is temporarily locked');
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      user.incrementLoginAttempts();
+      await user.updateOne({
+        loginAttempts: user.loginAttempts,
+        isLocked: user.isLocked,
+        lockUntil: user.lockUntil
+      });
+      throw new Error('Invalid credentials');
+    }
+
+    user.resetLoginAttempts();
+    user.lastLogin = new Date();
+    await user.updateOne({
+      $set: { loginAttempts: 0, isLocked: false, lastLogin: user.lastLogin },
+      $unset: { lockUntil: 1 }
+    });
+
+    const accessToken = this.generateAccessToken(user);
+    const refreshToken = this.generateRefreshToken(user);
+    await RefreshToken.createToken(user._id, deviceInfo, refreshToken);
+
+    logger.info(`User logged in: ${user._id}`);
+
+    return { user, accessToken, refreshToken };
+  }
+
+  /**
+   * Issue a new access token from a stored refresh token
+   * @param {string|Object} refreshToken - Refresh token, or the refresh form ({ refreshToken })
+   * @returns {Promise<Object>} - { accessToken }
+   */
+  static async refreshAccessToken(refreshToken) {
+    if (refreshToken && typeof refreshToken === 'object') {
+      return this.refreshAccessToken(refreshToken.refreshToken);
+    }
+
+    const tokenDoc = await RefreshToken.findValidToken(refreshToken);
+    if (!tokenDoc) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    let decoded;
+    try {
+      decoded = this.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(decoded.sub);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.isActive) {
+      throw new Error('Account is temporarily locked');
+    }
+
+    return { accessToken: this.generateAccessToken(user) };
+  }
+
+  /**
+   * Log a user out, revoking one refresh token or all of them
+   * The logout form ({ refreshToken }) closes the session of its token, on behalf of the token's user.
+   * @param {string|Object|null} refreshToken - Token of the session to close, null for every session, or the logout form
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - True once revoked
+   */
+  static async logout(refreshToken, userId) {
+    if (refreshToken && typeof refreshToken === 'object') {
+      const tokenDoc = refreshToken.refreshToken && await RefreshToken.findValidToken(refreshToken.refreshToken);
+      if (!tokenDoc) {
+        throw new Error('Invalid or expired refresh token');
+      }
+      return this.logout(tokenDoc.token, (tokenDoc.userId._id || tokenDoc.userId).toString());
+    }
+
+    if (refreshToken) {
+      await RefreshToken.revokeToken(refreshToken, userId, 'logout');
+    } else {
+      await RefreshToken.revokeAllUserTokens(userId, userId, 'logout');
+    }
+
+    logger.info(`User logged out: ${userId}`);
+
+    return true;
+  }
+
+  /**
+   * Get the profile of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - User without credentials
+   */
+  static async getUserProfile(userId) {
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Update the profile of a user
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Profile fields to change
+   * @returns {Promise<Object>} - Updated user
+   */
+  static async updateUserProfile(userId, updateData) {
+    const update = {};
+    for (const field of UPDATABLE_PROFILE_FIELDS) {
+      if (updateData[field] !== undefined) {
+        update[field] = updateData[field];
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Change the password of a user and close their other sessions
+   * @param {string} userId - User ID
+   * @param {string|Object} currentPassword - Current password, or the form ({ currentPassword, newPassword })
+   * @param {string} newPassword - New password
+   * @returns {Promise<boolean>} - True once changed
+   */
+  static async changePassword(userId, currentPassword, newPassword) {
+    if (currentPassword && typeof currentPassword === 'object') {
+      const form = currentPassword;
+      return this.changePassword(userId, form.currentPassword, form.newPassword);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      throw new Error('Current password is incorrect');
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await RefreshToken.revokeAllUserTokens(userId, userId, 'security');
+
+    logger.info(`Password changed for user: ${userId}`);
+
+    return true;
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const BankStatementImport = require('../models/BankStatementImport');
+const Payment = require('../models/Payment');
+const PaymentService = require('./PaymentService');
+const { detectFormat, parseStatement } = require('../utils/bankStatementParser');
+const { getContributionReference, findPaymentReferences } = require('../utils/paymentReference');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A transfer is booked up to 10 days after the member declared it, or on the day before for late declarations
+const WINDOW_BEFORE_MS = 10 * DAY;
+const WINDOW_AFTER_MS = 1 * DAY;
+
+const AMOUNT_TOLERANCE = 0.01;
+
+const LINE_STATUSES = ['PROPOSED', 'AMBIGUOUS', 'UNMATCHED', 'CONFIRMED', 'REJECTED'];
+
+const normalizeReference = (text) => String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Count the lines of an import by status
+ * @param {Array} lines - Statement lines
+ * @returns {Object} - Count per status
+ */
+const summarize = (lines) => {
+  const summary = Object.fromEntries(LINE_STATUSES.map(status => [status, 0]));
+  for (const line of lines) {
+    summary[line.status] += 1;
+  }
+  return summary;
+};
+
+class BankReconciliationService {
+  /**
+   * Import a bank statement and propose a pending bank transfer for each incoming transfer
+   * Nothing is verified here: every proposal waits for an admin to confirm it.
+   * @param {Object} file - Uploaded statement (path, originalName)
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Object>} - Import with its lines and summary
+   */
+  static async importStatement(file, userId) {
+    try {
+      if (!file || !file.path) {
+        throw new Error('Statement file is required');
+      }
+
+      const content = await fs.promises.readFile(file.path, 'utf8');
+      const checksum = crypto.createHash('sha256').update(content).digest('hex');
+
+      if (await BankStatementImport.exists({ checksum })) {
+        throw new Error('This statement has already been imported');
+      }
+
+      const format = detectFormat(file.originalName, content);
+      const credits = parseStatement(content, format).filter(line => line.amount > 0);
+      if (credits.length === 0) {
+        throw new Error('The statement has no incoming transfers');
+      }
+
+      const payments = await this.findPendingTransfers(credits);
+      const lines = this.matchLines(credits, payments);
+
+      const statementImport = await BankStatementImport.create({
+        fileName: file.originalName,
+        format,
+        checksum,
+        importedBy: userId,
+        lines
+      });
+
+      const summary = summarize(statementImport.lines);
+
+      logger.info(`Bank statement imported: ${statementImport._id}`, { format, ...summary });
+
+      return {
+        success: true,
+        message: 'Bank statement imported successfully',
+        data: {
+          import: statementImport,
+          summary
+        }
+      };
+    } catch (error) {
+      logger.error('Error importing bank statement:', error);
+      throw error;
+    } finally {
+      if (file && file.path) {
+        await fs.promises.unlink(file.path).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Load the pending bank transfers that could be paid by the statement lines
+   * @param {Array} lines - Incoming statement lines
+   * @returns {Promise<Array>} - Pending bank transfer payments
+   */
+  static findPendingTransfers(lines) {
+    const dates = lines.map(line => line.date.getTime());
+
+    return Payment.find({
+      method: 'BANK_TRANSFER',
+      status: 'PENDING',
+      createdAt: {
+        $gte: new Date(Math.min(...dates) - WINDOW_BEFORE_MS),
+        $lte: new Date(Math.max(...dates) + WINDOW_AFTER_MS)
+      }
+    })
+      .select('user contribution amount currency reference createdAt')
+      .populate('contribution', 'group cycleNumber user');
+  }
+
+  /**
+   * Match statement lines to pending payments
+   * A payment fits a line when the amount and currency are the same and it was declared in the
+   * date window. Lines quoting the reference of a contribution or payment are matched first; a
+   * line without one is only proposed when a single payment fits it. Each payment is proposed once.
+   * @param {Array} lines - Incoming statement lines
+   * @param {Array} payments - Pending bank transfer payments
+   * @returns {Array} - Lines with status, payment, candidates and matchedOn
+   */
+  static matchLines(lines, payments) {
+    const claimed = new Set();
+
+    const fits = (line, payment) =>
+      Math.abs(payment.amount - line.amount) < AMOUNT_TOLERANCE &&
+      (!line.currency || !payment.currency || line.currency === payment.currency) &&
+      payment.createdAt >= new Date(line.date.getTime() - WINDOW_BEFORE_MS) &&
+      payment.createdAt <= new Date(line.date.getTime() + WINDOW_AFTER_MS);
+
+    // Contribution references are checked with their check character; other references are compared as text
+    const quotes = (line, payment) => {
+      const text = `${line.reference} ${line.description}`;
+      if (payment.contribution && payment.contribution.cycleNumber &&
+        findPaymentReferences(text).includes(getContributionReference(payment.contribution))) {
+        return true;
+      }
+
+      return [payment.reference, payment._id]
+        .map(normalizeReference)
+        .some(reference => reference && normalizeReference(text).includes(reference));
+    };
+
+    const results = lines.map(line => ({
+      ...line,
+      status: 'UNMATCHED',
+      payment: null,
+      candidates: [],
+      matchedOn: []
+    }));
+
+    // First pass: the line quotes the reference of exactly one fitting payment
+    for (const line of results) {
+      const quoted = payments.filter(payment => fits(line, payment) && quotes(line, payment));
+      if (quoted.length === 1 && !claimed.has(quoted[0]._id.toString())) {
+        claimed.add(quoted[0]._id.toString());
+        Object.assign(line, { status: 'PROPOSED', payment: quoted[0]._id, matchedOn: ['AMOUNT', 'DATE', 'REFERENCE'] });
+      }
+    }
+
+    // Second pass: amount and date only, among the payments nobody quoted
+    for (const line of results) {
+      if (line.status !== 'UNMATCHED') {
+        continue;
+      }
+
+      const candidates = payments.filter(payment => !claimed.has(payment._id.toString()) && fits(line, payment));
+      if (candidates.length === 1) {
+        claimed.add(candidates[0]._id.toString());
+        Object.assign(line, { status: 'PROPOSED', payment: candidates[0]._id, matchedOn: ['AMOUNT', 'DATE'] });
+      } else if (candidates.length > 1) {
+        Object.assign(line, { status: 'AMBIGUOUS', candidates: candidates.map(payment => payment._id) });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * List statement imports, newest first
+   * @param {Object} filters - Filters (page, limit)
+   * @returns {Promise<Object>} - Imports with their summary and pagination
+   */
+  static async getImports(filters = {}) {
+    try {
+      const page = filters.page || 1;
+      const limit = filters.limit || 20;
+
+      const [imports, total] = await Promise.all([
+        BankStatementImport.find()
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('importedBy', 'firstName lastName'),
+        BankStatementImport.countDocuments()
+      ]);
+
+      return {
+        success: true,
+        data: {
+          imports: imports.map(statementImport => ({
+            _id: statementImport._id,
+            fileName: statementImport.fileName,
+            format: statementImport.format,
+            importedBy: statementImport.importedBy,
+            createdAt: statementImport.createdAt,
+            summary: summarize(statementImport.lines)
+          })),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting bank statement imports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a statement import with its lines and proposed payments
+   * @param {string} importId - Import ID
+   * @returns {Promise<Object>} - Import and summary
+   */
+  static async getImport(importId) {
+    try {
+      const statementImport = await BankStatementImport.findById(importId)
+        .populate('lines.payment lines.candidates', 'user contribution amount currency reference status createdAt');
+      if (!statementImport) {
+        throw new Error('Statement import not found');
+      }
+
+      return {
+        success: true,
+        data: {
+          import: statementImport,
+          summary: summarize(statementImport.lines)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting bank statement import:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm the match of a statement line and verify the payment
+   * The proposed payment is used unless another one is given, e.g. a candidate of an ambiguous
+   * line or a payment found by hand for an unmatched one.
+   * @param {string} importId - Import ID
+   * @param {string} lineId - Statement line ID
+   * @param {string} paymentId - Payment to confirm, defaults to the proposed one
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Object>} - Confirmed line
+   */
+  static async confirmMatch(importId, lineId, paymentId, userId) {
+    try {
+      const line = await this.getLine(importId, lineId);
+
+      if (!['PROPOSED', 'AMBIGUOUS', 'UNMATCHED'].includes(line.status)) {
+        throw new Error('Statement line has already been resolved');
+      }
+
+      const selectedId = paymentId || (line.payment && line.payment.toString());
+      if (!selectedId) {
+        throw new Error('Payment ID is required for a line without a proposal');
+      }
+
+      const payment = await Payment.findById(selectedId);
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.method !== 'BANK_TRANSFER' || payment.status !== 'PENDING') {
+        throw new Error('Only pending bank transfers can be matched');
+      }
+
+      if (Math.abs(payment.amount - line.amount) >= AMOUNT_TOLERANCE) {
+        throw new Error('Payment amount does not match the statement line');
+      }
+
+      // Claim the line first so two admins cannot confirm it at the same time
+      const claimed = await BankStatementImport.findOneAndUpdate(
+        {
+          _id: importId,
+          lines: { $elemMatch: { _id: lineId, status: line.status } }
+        },
+        {
+          $set: {
+            'lines.$.status': 'CONFIRMED',
+            'lines.$.payment': payment._id,
+            'lines.$.resolvedBy': userId,
+            'lines.$.resolvedAt': new Date()
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        throw new Error('Statement line has already been resolved');
+      }
+
+      try {
+        await PaymentService.verifyBankTransfer({ paymentId: payment._id, adminUserId: userId });
+      } catch (error) {
+        await BankStatementImport.updateOne(
+          { _id: importId, 'lines._id': lineId },
+          {
+            $set: {
+              'lines.$.status': line.status,
+              'lines.$.payment': line.payment || null,
+              'lines.$.resolvedBy': null,
+              'lines.$.resolvedAt': null
+            }
+          }
+        );
+        throw error;
+      }
+
+      logger.info(`Statement line confirmed: ${lineId}`, { importId, paymentId: payment._id, confirmedBy: userId });
+
+      return {
+        success: true,
+        message: 'Bank transfer verified from statement',
+        data: { line: claimed.lines.id(lineId) }
+      };
+    } catch (error) {
+      logger.error('Error confirming statement match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject the proposal of a statement line
+   * The line stays flagged so the transfer can be followed up by hand.
+   * @param {string} importId - Import ID
+   * @param {string} lineId - Statement line ID
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Object>} - Rejected line
+   */
+  static async rejectMatch(importId, lineId, userId) {
+    try {
+      const updated = await BankStatementImport.findOneAndUpdate(
+        {
+          _id: importId,
+          lines: { $elemMatch: { _id: lineId, status: { $in: ['PROPOSED', 'AMBIGUOUS'] } } }
+        },
+        {
+          $set: {
+            'lines.$.status': 'REJECTED',
+            'lines.$.resolvedBy': userId,
+            'lines.$.resolvedAt': new Date()
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        await this.getLine(importId, lineId);
+        throw new Error('Only proposed or ambiguous matches can be rejected');
+      }
+
+      return {
+        success: true,
+        message: 'Statement match rejected',
+        data: { line: updated.lines.id(lineId) }
+      };
+    } catch (error) {
+      logger.error('Error rejecting statement match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a line of a statement import
+   * @param {string} importId - Import ID
+   * @param {string} lineId - Statement line ID
+   * @returns {Promise<Object>} - Statement line
+   */
+  static async getLine(importId, lineId) {
+    const statementImport = await BankStatementImport.findById(importId);
+    if (!statementImport) {
+      throw new Error('Statement import not found');
+    }
+
+    const line = statementImport.lines.id(lineId);
+    if (!line) {
+      throw new Error('Statement line not found');
+    }
+
+    return line;
+  }
+}
+
+module.exports = BankReconciliationService;
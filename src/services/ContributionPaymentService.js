@@ -0,0 +1,300 @@
+const Contribution = require('../models/Contribution');
+const Payment = require('../models/Payment');
+const Group = require('../models/Group');
+const LedgerService = require('./LedgerService');
+const PayoutScheduleService = require('./PayoutScheduleService');
+const WebhookService = require('./WebhookService');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const { getContributionReference, parsePaymentReference } = require('../utils/paymentReference');
+const { AMOUNT_DUE } = require('../utils/contributionBalance');
+const logger = require('../utils/logger');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class ContributionPaymentService {
+  /**
+   * Work out how much of a contribution has been paid
+   * The amount due includes the late penalties charged on the contribution, less the auction
+   * credits settled on it.
+   * @param {Object} contribution - Contribution document
+   * @returns {Object} - Amount due, penalties, credits, amount paid and remaining balance
+   */
+  static getBalance(contribution) {
+    const penaltyAmount = contribution.penaltyAmount || 0;
+    const creditedAmount = contribution.creditedAmount || 0;
+    const amountDue = roundAmount(contribution.amount + penaltyAmount - creditedAmount);
+    const amountPaid = contribution.amountPaid || 0;
+
+    return {
+      amountDue,
+      penaltyAmount,
+      creditedAmount,
+      amountPaid,
+      remaining: roundAmount(Math.max(amountDue - amountPaid, 0))
+    };
+  }
+
+  /**
+   * Check the reference a member put on a bank transfer for a contribution
+   * Called by PaymentService.createBankTransferPayment before the payment is stored.
+   * @param {Object} contribution - Contribution document
+   * @param {string} reference - Reference as typed by the member
+   * @returns {string} - Reference in its canonical form
+   */
+  static assertPaymentReference(contribution, reference) {
+    const parsed = parsePaymentReference(reference);
+    if (!parsed) {
+      throw new Error('Payment reference is invalid, please check it');
+    }
+
+    if (parsed !== getContributionReference(contribution)) {
+      throw new Error('Payment reference does not belong to this contribution');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Apply a succeeded payment to a contribution
+   * A contribution can be settled over several payments: it is PARTIALLY_PAID until the
+   * payments cover the amount due, late penalties included, then PAID. Used by
+   * ContributionService.markAsPaid and by the payment services once a payment succeeds.
+   * The payment must come from the contributor and is claimed before the contribution is
+   * credited, so it can only ever be applied once.
+   * @param {string} contributionId - Contribution ID
+   * @param {string} paymentId - Payment ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Updated contribution and balance
+   */
+  static async applyPayment(contributionId, paymentId, userId) {
+    try {
+      const contribution = await Contribution.findById(contributionId);
+      if (!contribution) {
+        throw new Error('Contribution not found');
+      }
+
+      await this.assertCanManage(contribution, userId);
+
+      if (['PAID', 'CANCELLED'].includes(contribution.status)) {
+        throw new Error('Contribution is not awaiting payment');
+      }
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.status !== 'SUCCEEDED') {
+        throw new Error('Only succeeded payments can be applied to a contribution');
+      }
+
+      if (payment.user.toString() !== contribution.user.toString()) {
+        throw new Error('Payment does not belong to the contributor');
+      }
+
+      if (payment.contribution && payment.contribution.toString() !== contribution._id.toString()) {
+        throw new Error('Payment belongs to another contribution');
+      }
+
+      const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, contribution: { $in: [null, contribution._id] }, appliedAt: null },
+        { $set: { contribution: contribution._id, appliedAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) {
+        throw new Error('Payment has already been applied');
+      }
+
+      let updated;
+      try {
+        // Everything is re-checked in the filter so concurrent payments cannot double count or overpay
+        updated = await Contribution.findOneAndUpdate(
+          {
+            _id: contribution._id,
+            status: { $nin: ['PAID', 'CANCELLED'] },
+            payments: { $ne: payment._id },
+            $expr: {
+              $lte: [{ $add: [{ $ifNull: ['$amountPaid', 0] }, payment.amount] }, AMOUNT_DUE]
+            }
+          },
+          [
+            {
+              $set: {
+                amountPaid: { $add: [{ $ifNull: ['$amountPaid', 0] }, payment.amount] },
+                payments: { $concatArrays: [{ $ifNull: ['$payments', []] }, [payment._id]] }
+              }
+            },
+            {
+              $set: {
+                status: { $cond: [{ $gte: ['$amountPaid', AMOUNT_DUE] }, 'PAID', 'PARTIALLY_PAID'] },
+                paidAt: { $cond: [{ $gte: ['$amountPaid', AMOUNT_DUE] }, '$$NOW', '$paidAt'] }
+              }
+            }
+          ],
+          { new: true }
+        );
+      } catch (error) {
+        await this.releasePayment(payment, claimed);
+        throw error;
+      }
+
+      if (!updated) {
+        await this.releasePayment(payment, claimed);
+        const alreadyApplied = (contribution.payments || []).some(id => id.toString() === payment._id.toString());
+        throw new Error(alreadyApplied
+          ? 'Payment has already been applied to this contribution'
+          : 'Payment exceeds the remaining balance of this contribution');
+      }
+
+      await LedgerService.recordContributionPayment(updated, payment, userId);
+
+      if (updated.status === 'PAID') {
+        await this.completeContribution(updated);
+      }
+
+      logger.info(`Payment applied to contribution: ${contributionId}`, {
+        paymentId,
+        amount: payment.amount,
+        status: updated.status
+      });
+
+      return {
+        success: true,
+        message: updated.status === 'PAID'
+          ? 'Contribution paid in full'
+          : 'Partial payment recorded successfully',
+        data: {
+          contribution: updated,
+          balance: this.getBalance(updated)
+        }
+      };
+    } catch (error) {
+      logger.error('Error applying payment to contribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Settle part of an unpaid contribution with an auction discount credit
+   * The credit is capped at what the contribution still owes and kept apart from its amount,
+   * so the pot of the cycle stays whole. No journal entry is posted: the money was kept in the
+   * group pool when the previous payout was reduced by the discount.
+   * @param {Object} filter - Contribution filter (group, cycleNumber, user)
+   * @param {number} amount - Credit amount
+   * @returns {Promise<Object|null>} - Updated contribution, or null if none is awaiting payment
+   */
+  static async applyCredit(filter, amount) {
+    try {
+      const outstanding = { $max: [{ $subtract: [AMOUNT_DUE, { $ifNull: ['$amountPaid', 0] }] }, 0] };
+
+      const updated = await Contribution.findOneAndUpdate(
+        { ...filter, status: { $in: ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'] } },
+        [
+          {
+            $set: {
+              creditedAmount: { $add: [{ $ifNull: ['$creditedAmount', 0] }, { $min: [amount, outstanding] }] }
+            }
+          },
+          {
+            $set: {
+              status: { $cond: [{ $gte: [{ $ifNull: ['$amountPaid', 0] }, AMOUNT_DUE] }, 'PAID', '$status'] },
+              paidAt: { $cond: [{ $gte: [{ $ifNull: ['$amountPaid', 0] }, AMOUNT_DUE] }, '$$NOW', '$paidAt'] }
+            }
+          }
+        ],
+        { new: true }
+      );
+
+      if (updated && updated.status === 'PAID') {
+        await this.completeContribution(updated);
+      }
+
+      return updated;
+    } catch (error) {
+      logger.error('Error applying credit to contribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Follow up on a contribution that has just been paid in full
+   * The payout of the cycle becomes due once every contribution to it is paid.
+   * @param {Object} contribution - Paid contribution
+   */
+  static async completeContribution(contribution) {
+    if (contribution.cycleNumber) {
+      await PayoutScheduleService.refreshCycleStatus(contribution.group, contribution.cycleNumber);
+    }
+
+    await WebhookService.emit(WEBHOOK_EVENTS.CONTRIBUTION_PAID, {
+      contributionId: contribution._id,
+      groupId: contribution.group,
+      userId: contribution.user,
+      cycleNumber: contribution.cycleNumber,
+      amount: contribution.amount,
+      paidAt: contribution.paidAt
+    });
+  }
+
+  /**
+   * Give back a payment claimed by applyPayment when the contribution could not be credited
+   * @param {Object} payment - Payment as it was before the claim
+   * @param {Object} claimed - Payment as returned by the claim
+   */
+  static async releasePayment(payment, claimed) {
+    await Payment.updateOne(
+      { _id: payment._id, appliedAt: claimed.appliedAt },
+      { $set: { contribution: payment.contribution || null, appliedAt: null } }
+    );
+  }
+
+  /**
+   * Get the payments applied to a contribution, its remaining balance and payment reference
+   * @param {string} contributionId - Contribution ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Payments and balance
+   */
+  static async getPayments(contributionId, userId) {
+    try {
+      const contribution = await Contribution.findById(contributionId)
+        .populate('payments', 'amount currency method status createdAt');
+      if (!contribution) {
+        throw new Error('Contribution not found');
+      }
+
+      await this.assertCanManage(contribution, userId);
+
+      return {
+        success: true,
+        data: {
+          payments: contribution.payments || [],
+          balance: this.getBalance(contribution),
+          paymentReference: getContributionReference(contribution)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting contribution payments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure a user is the payer of a contribution or can verify payments in its group
+   * @param {Object} contribution - Contribution document
+   * @param {string} userId - Requesting user ID
+   */
+  static async assertCanManage(contribution, userId) {
+    if (contribution.user.toString() === userId) {
+      return;
+    }
+
+    const group = await Group.findById(contribution.group);
+    if (!group || !hasGroupPermission(group, userId, GROUP_PERMISSIONS.VERIFY_PAYMENTS)) {
+      throw new Error('Access denied to this contribution');
+    }
+  }
+}
+
+module.exports = ContributionPaymentService;
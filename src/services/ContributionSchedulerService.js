@@ -0,0 +1,178 @@
+const Group = require('../models/Group');
+const Contribution = require('../models/Contribution');
+const PayoutSchedule = require('../models/PayoutSchedule');
+const AuctionService = require('./AuctionService');
+const WebhookService = require('./WebhookService');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+const { getCycleDueDate } = require('../utils/cycleHelper');
+const logger = require('../utils/logger');
+
+// Contributions are created this long before their due date so members can plan the payment
+const GENERATION_LEAD_DAYS = 3;
+// Unpaid contributions that become OVERDUE once their due date has passed, partly paid ones included
+const OVERDUE_CANDIDATE_STATUSES = ['PENDING', 'PARTIALLY_PAID'];
+
+class ContributionSchedulerService {
+  /**
+   * Create the contributions of every cycle that is (nearly) due in the active groups
+   * Cycles missed while the server was down are caught up on the next run.
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Number of created contributions and per-group failures
+   */
+  static async generateDueContributions(now = new Date()) {
+    try {
+      const horizon = new Date(now.getTime() + GENERATION_LEAD_DAYS * 24 * 60 * 60 * 1000);
+
+      const groups = await Group.find({
+        status: 'ACTIVE',
+        isActive: true,
+        'settings.startDate': { $lte: horizon }
+      });
+
+      let created = 0;
+      const failures = [];
+
+      for (const group of groups) {
+        try {
+          created += await this.generateGroupContributions(group, horizon);
+        } catch (error) {
+          // One broken group must not block the others
+          logger.warn(`Could not generate contributions for group: ${group._id}`, { error: error.message });
+          failures.push({ group: group._id, error: error.message });
+        }
+      }
+
+      if (created > 0) {
+        logger.info(`Generated ${created} contribution(s)`, { groups: groups.length });
+      }
+
+      return {
+        success: true,
+        data: {
+          groups: groups.length,
+          created,
+          failures
+        }
+      };
+    } catch (error) {
+      logger.error('Error generating due contributions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Flag the pending and partly paid contributions whose due date has passed as OVERDUE
+   * Each contribution is moved with a conditional update, so contribution.overdue is emitted
+   * once even if two workers run the job.
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Number of flagged contributions
+   */
+  static async markOverdueContributions(now = new Date()) {
+    try {
+      const due = await Contribution.find({
+        status: { $in: OVERDUE_CANDIDATE_STATUSES },
+        dueDate: { $lt: now }
+      }).select('_id');
+
+      let flagged = 0;
+
+      for (const { _id } of due) {
+        const contribution = await Contribution.findOneAndUpdate(
+          { _id, status: { $in: OVERDUE_CANDIDATE_STATUSES }, dueDate: { $lt: now } },
+          { $set: { status: 'OVERDUE' } },
+          { new: true }
+        );
+        if (!contribution) {
+          continue;
+        }
+
+        flagged++;
+        await WebhookService.emit(WEBHOOK_EVENTS.CONTRIBUTION_OVERDUE, {
+          contributionId: contribution._id,
+          groupId: contribution.group,
+          userId: contribution.user,
+          cycleNumber: contribution.cycleNumber,
+          amount: contribution.amount,
+          amountPaid: contribution.amountPaid || 0,
+          dueDate: contribution.dueDate
+        });
+      }
+
+      return {
+        success: true,
+        data: { flagged }
+      };
+    } catch (error) {
+      logger.error('Error marking overdue contributions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the missing contributions of a group up to a date
+   * Each contribution is keyed on group, cycle and member, so running twice creates nothing new.
+   * In auction groups, the discount credits won in the previous cycle are applied to the
+   * contributions just created.
+   * @param {Object} group - Group document
+   * @param {Date} horizon - Latest due date to generate
+   * @returns {Promise<number>} - Number of created contributions
+   */
+  static async generateGroupContributions(group, horizon) {
+    const members = group.members
+      .filter(member => member.status === 'ACTIVE')
+      .map(member => member.user);
+
+    const schedule = await PayoutSchedule.findByGroup(group._id);
+    const totalCycles = schedule ? schedule.cycles.length : members.length;
+
+    const operations = [];
+
+    for (let cycleNumber = 1; cycleNumber <= totalCycles; cycleNumber++) {
+      const dueDate = getCycleDueDate(group.settings, cycleNumber);
+      if (dueDate > horizon) {
+        break;
+      }
+
+      for (const user of members) {
+        operations.push({
+          updateOne: {
+            filter: { group: group._id, cycleNumber, user },
+            update: {
+              $setOnInsert: {
+                group: group._id,
+                user,
+                cycleNumber,
+                amount: group.settings.contributionAmount,
+                amountPaid: 0,
+                dueDate,
+                status: 'PENDING',
+                description: `Contribution for cycle ${cycleNumber}`
+              }
+            },
+            upsert: true
+          }
+        });
+      }
+    }
+
+    if (operations.length === 0) {
+      return 0;
+    }
+
+    const result = await Contribution.bulkWrite(operations, { ordered: false });
+
+    if (group.settings.tontineMode === 'AUCTION' && result.upsertedCount > 0) {
+      // upsertedIds is keyed by the index of the operation that created the contribution
+      const createdCycles = new Set(
+        Object.keys(result.upsertedIds || {}).map(index => operations[index].updateOne.filter.cycleNumber)
+      );
+      for (const cycleNumber of createdCycles) {
+        await AuctionService.applyDiscountCredits(group._id, cycleNumber);
+      }
+    }
+
+    return result.upsertedCount;
+  }
+}
+
+module.exports = ContributionSchedulerService;
@@ -0,0 +1,516 @@
+const Contribution = require('../models/Contribution');
+const Group = require('../models/Group');
+const ContributionPaymentService = require('./ContributionPaymentService');
+const NotificationService = require('./NotificationService');
+const AuctionService = require('./AuctionService');
+const PenaltyService = require('./PenaltyService');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { getCycleDueDate } = require('../utils/cycleHelper');
+const { getContributionReference } = require('../utils/paymentReference');
+const logger = require('../utils/logger');
+
+/**
+ * Read the page and page size from query filters
+ * @param {Object} filters - { page, limit }
+ * @returns {Object} - { page, limit, skip }
+ */
+const paginate = (filters) => {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Group members are stored as { user, status } entries
+const memberId = (member) => (member && member.user ? member.user : member);
+
+class ContributionService {
+  /**
+   * Create a contribution for a member of a group
+   * @param {Object} contributionData - { groupId, amount, dueDate, description }
+   * @param {string} userId - Contributing user
+   * @returns {Promise<Object>} - Created contribution
+   */
+  static async createContribution(contributionData, userId) {
+    try {
+      const group = await Group.findById(contributionData.groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!group.isMember(userId)) {
+        throw new Error('User is not a member of this group');
+      }
+
+      const dueDate = new Date(contributionData.dueDate);
+      if (!(dueDate > new Date())) {
+        throw new Error('Due date must be in the future');
+      }
+
+      const contribution = new Contribution({
+        user: userId,
+        group: contributionData.groupId,
+        amount: contributionData.amount,
+        dueDate,
+        description: contributionData.description
+      });
+
+      await contribution.save();
+
+      logger.info(`Contribution created: ${contribution._id} for user ${userId}`);
+
+      return {
+        success: true,
+        message: 'Contribution created successfully',
+        data: { contribution }
+      };
+    } catch (error) {
+      logger.error('Error creating contribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the contributions of a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - { groupId, status, page, limit }
+   * @returns {Promise<Object>} - { contributions, pagination }
+   */
+  static async getUserContributions(userId, filters = {}) {
+    try {
+      const { page, limit, skip } = paginate(filters);
+      const query = { user: userId };
+      if (filters.groupId) query.group = filters.groupId;
+      if (filters.status) query.status = filters.status;
+
+      const contributions = await Contribution.find(query)
+        .populate('group', 'name')
+        .populate('payment', 'amount status method')
+        .sort({ dueDate: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Contribution.countDocuments(query);
+
+      return {
+        success: true,
+        data: {
+          contributions,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting user contributions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the contributions of a group
+   * @param {string} groupId - Group ID
+   * @param {Object} filters - { status, userId, page, limit }
+   * @returns {Promise<Object>} - { contributions, pagination }
+   */
+  static async getGroupContributions(groupId, filters = {}) {
+    try {
+      const { page, limit, skip } = paginate(filters);
+      const query = { group: groupId };
+      if (filters.status) query.status = filters.status;
+      if (filters.userId) query.user = filters.userId;
+
+      const contributions = await Contribution.find(query)
+        .populate('user', 'firstName lastName email')
+        .populate('payment', 'amount status method')
+        .sort({ dueDate: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Contribution.countDocuments(query);
+
+      return {
+        success: true,
+        data: {
+          contributions,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting group contributions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a contribution
+   * @param {string} contributionId - Contribution ID
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Object>} - Contribution
+   */
+  static async getContributionById(contributionId, userId) {
+    try {
+      const contribution = await Contribution.findById(contributionId)
+        .populate('user', 'firstName lastName email')
+        .populate('group', 'name creator members')
+        .populate('payment', 'amount status method');
+
+      if (!contribution) {
+        throw new Error('Contribution not found');
+      }
+
+      const ownerId = memberId(contribution.user);
+      const group = contribution.group;
+      const isOwner = ownerId && ownerId.toString() === userId.toString();
+      const isTreasurer = group && hasGroupPermission(group, userId, GROUP_PERMISSIONS.VERIFY_PAYMENTS);
+      if (!isOwner && !isTreasurer) {
+        throw new Error('Access denied to this contribution');
+      }
+
+      return {
+        success: true,
+        data: {
+          contribution,
+          balance: ContributionPaymentService.getBalance(contribution),
+          paymentReference: getContributionReference(contribution)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting contribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the description or due date of an unpaid contribution
+   * @param {string} contributionId - Contribution ID
+   * @param {Object} updateData - { description, dueDate }
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Object>} - Updated contribution
+   */
+  static async updateContribution(contributionId, updateData, userId) {
+    try {
+      const contribution = await Contribution.findById(contributionId);
+      if (!contribution) {
+        throw new Error('Contribution not found');
+      }
+
+      await this.assertCanManage(contribution, userId);
+
+      if (['PAID', 'CANCELLED'].includes(contribution.status)) {
+        throw new Error('Only unpaid contributions can be updated');
+      }
+
+      const update = {};
+      if (updateData.description !== undefined) update.description = updateData.description;
+      if (updateData.dueDate !== undefined) update.dueDate = new Date(updateData.dueDate);
+
+      const updatedContribution = await Contribution.findByIdAndUpdate(
+        contributionId,
+        { $set: update },
+        { new: true, runValidators: true }
+      )
+        .populate('user', 'firstName lastName email')
+        .populate('group', 'name')
+        .populate('payment', 'amount status method');
+
+      logger.info(`Contribution updated: ${contributionId} by user ${userId}`);
+
+      return {
+        success: true,
+        message: 'Contribution updated successfully',
+        data: { contribution: updatedContribution }
+      };
+    } catch (error) {
+      logger.error('Error updating contribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a payment to a contribution
+   * Kept for the PUT /pay route; the payment may settle the contribution or only part of it.
+   * @param {string} contributionId - Contribution ID
+   * @param {string} paymentId - Succeeded payment
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Object>} - Updated contribution and balance
+   */
+  static async markAsPaid(contributionId, paymentId, userId) {
+    try {
+      const result = await ContributionPaymentService.applyPayment(contributionId, paymentId, userId);
+
+      logger.info(`Payment ${paymentId} applied to contribution ${contributionId} by user ${userId}`);
+
+      return {
+        success: true,
+        message: result.message,
+        data: result.data
+      };
+    } catch (error) {
+      logger.error('Error marking contribution as paid:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a penalty to a contribution; it is owed and reversed like the late penalties
+   * @param {string} contributionId - Contribution ID
+   * @param {number} penaltyAmount - Penalty amount
+   * @param {string} penaltyReason - Why the penalty is applied
+   * @param {string} userId - Requesting user, needs the MANAGE_PENALTIES permission
+   * @returns {Promise<Object>} - Updated contribution and penalty item
+   */
+  static async addPenalty(contributionId, penaltyAmount, penaltyReason, userId) {
+    try {
+      const contribution = await Contribution.findById(contributionId);
+      if (!contribution) {
+        throw new Error('Contribution not found');
+      }
+
+      const group = await this.assertGroupPermission(contribution, userId, GROUP_PERMISSIONS.MANAGE_PENALTIES);
+
+      if (['PAID', 'CANCELLED'].includes(contribution.status)) {
+        throw new Error('Penalties can only be added to unpaid contributions');
+      }
+
+      const penalty = await PenaltyService.addManualPenalty(contribution, penaltyAmount, penaltyReason, userId);
+      const updated = await Contribution.findById(contributionId);
+
+      logger.info(`Penalty of ${penaltyAmount} added to contribution ${contributionId} by user ${userId}`);
+
+      await this.notifyContributor(contribution, group, {
+        type: 'CONTRIBUTION_PENALTY',
+        amount: penaltyAmount,
+        data: { reason: penaltyReason }
+      });
+
+      return {
+        success: true,
+        message: 'Penalty added successfully',
+        data: { contribution: updated, penalty }
+      };
+    } catch (error) {
+      logger.error('Error adding penalty:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a contribution
+   * @param {string} contributionId - Contribution ID
+   * @param {string} reason - Cancellation reason
+   * @param {string} userId - Requesting user, needs the VERIFY_PAYMENTS permission
+   * @returns {Promise<Object>} - Cancelled contribution
+   */
+  static async cancelContribution(contributionId, reason, userId) {
+    try {
+      const contribution = await Contribution.findById(contributionId);
+      if (!contribution) {
+        throw new Error('Contribution not found');
+      }
+
+      const group = await this.assertGroupPermission(contribution, userId, GROUP_PERMISSIONS.VERIFY_PAYMENTS);
+
+      if (contribution.status === 'PAID') {
+        throw new Error('Paid contributions cannot be cancelled');
+      }
+
+      await contribution.cancel(reason);
+
+      logger.info(`Contribution cancelled: ${contributionId} by user ${userId}`);
+
+      await this.notifyContributor(contribution, group, {
+        type: 'CONTRIBUTION_CANCELLED',
+        amount: contribution.amount,
+        data: { reason }
+      });
+
+      return {
+        success: true,
+        message: 'Contribution cancelled successfully',
+        data: { contribution }
+      };
+    } catch (error) {
+      logger.error('Error cancelling contribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the contributions past their due date
+   * @param {string} [groupId] - Restrict to one group
+   * @returns {Promise<Object>} - { contributions, total }
+   */
+  static async getOverdueContributions(groupId) {
+    try {
+      const contributions = await Contribution.findOverdue(groupId);
+
+      return {
+        success: true,
+        data: {
+          contributions,
+          total: contributions.length
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting overdue contributions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count and sum the contributions of a group by status
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object>} - { statistics }
+   */
+  static async getContributionStatistics(groupId) {
+    try {
+      const statistics = await Contribution.getStatistics(groupId);
+
+      return {
+        success: true,
+        data: { statistics }
+      };
+    } catch (error) {
+      logger.error('Error getting contribution statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the contributions of every active member for each payout cycle due between two dates
+   * Cycles follow the group start date and frequency, as in the automatic generation, and
+   * contributions that already exist for a cycle are left as they are.
+   * @param {string} groupId - Group ID
+   * @param {Date} startDate - First due date
+   * @param {Date} endDate - Last possible due date
+   * @param {string} userId - Requesting user, needs the MANAGE_SCHEDULE permission
+   * @returns {Promise<Object>} - Created contributions
+   */
+  static async generateContributions(groupId, startDate, endDate, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_SCHEDULE)) {
+        throw new Error('Only group admins can generate contributions');
+      }
+
+      const from = new Date(startDate);
+      const to = new Date(endDate);
+      if (!(to > from)) {
+        throw new Error('End date must be after start date');
+      }
+
+      const members = group.members.filter(member => !member.status || member.status === 'ACTIVE');
+      const { contributionAmount } = group.settings;
+
+      const cycles = [];
+      for (let cycleNumber = 1; ; cycleNumber++) {
+        const dueDate = getCycleDueDate(group.settings, cycleNumber);
+        if (dueDate > to) {
+          break;
+        }
+        if (dueDate >= from) {
+          cycles.push({ cycleNumber, dueDate });
+        }
+      }
+
+      const existing = await Contribution.find(
+        { group: groupId, cycleNumber: { $in: cycles.map(cycle => cycle.cycleNumber) } },
+        'user cycleNumber'
+      );
+      const taken = new Set(existing.map(contribution => `${contribution.cycleNumber}:${contribution.user}`));
+
+      const documents = [];
+      for (const { cycleNumber, dueDate } of cycles) {
+        for (const member of members) {
+          const user = memberId(member);
+          if (taken.has(`${cycleNumber}:${user}`)) {
+            continue;
+          }
+
+          documents.push({
+            user,
+            group: groupId,
+            cycleNumber,
+            amount: contributionAmount,
+            dueDate,
+            description: `Contribution for cycle ${cycleNumber}`
+          });
+        }
+      }
+
+      const contributions = documents.length > 0 ? await Contribution.insertMany(documents) : [];
+
+      if (group.settings.tontineMode === 'AUCTION') {
+        for (const cycleNumber of new Set(documents.map(document => document.cycleNumber))) {
+          await AuctionService.applyDiscountCredits(groupId, cycleNumber);
+        }
+      }
+
+      logger.info(`Generated ${contributions.length} contribution(s) for group ${groupId} by user ${userId}`);
+
+      return {
+        success: true,
+        message: 'Contributions generated successfully',
+        data: { contributions }
+      };
+    } catch (error) {
+      logger.error('Error generating contributions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a user may act on a contribution: its contributor or a treasurer of its group
+   * @param {Object} contribution - Contribution document
+   * @param {string} userId - Requesting user
+   */
+  static async assertCanManage(contribution, userId) {
+    if (contribution.user.toString() === userId.toString()) {
+      return;
+    }
+
+    await this.assertGroupPermission(contribution, userId, GROUP_PERMISSIONS.VERIFY_PAYMENTS);
+  }
+
+  /**
+   * Check that a user's role in the group of a contribution grants a permission
+   * @param {Object} contribution - Contribution document
+   * @param {string} userId - Requesting user
+   * @param {string} permission - Permission from GROUP_PERMISSIONS
+   * @returns {Promise<Object>} - Group of the contribution
+   */
+  static async assertGroupPermission(contribution, userId, permission) {
+    const group = await Group.findById(contribution.group);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!hasGroupPermission(group, userId, permission)) {
+      throw new Error('You are not allowed to manage this contribution');
+    }
+
+    return group;
+  }
+
+  /**
+   * Tell the contributor that an admin changed their contribution
+   * The change is saved by then, so a failed notification is only logged.
+   * @param {Object} contribution - Contribution document
+   * @param {Object} group - Group of the contribution
+   * @param {Object} event - { type, amount, data }
+   */
+  static async notifyContributor(contribution, group, { type, amount, data }) {
+    try {
+      await NotificationService.notifyUser(contribution.user.toString(), {
+        type,
+        params: { amount, currency: group.settings.currency || 'XOF', groupName: group.name },
+        data: { groupId: group._id, contributionId: contribution._id, ...data }
+      });
+    } catch (error) {
+      logger.warn(`Could not notify contributor: ${contribution._id}`, { error: error.message });
+    }
+  }
+}
+
+module.exports = ContributionService;
@@ -0,0 +1,246 @@
+const Group = require('../models/Group');
+const GroupStatusChange = require('../models/GroupStatusChange');
+const PayoutSchedule = require('../models/PayoutSchedule');
+const WebhookService = require('./WebhookService');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+const logger = require('../utils/logger');
+
+// Allowed moves between group statuses; COMPLETED and CANCELLED are final
+const TRANSITIONS = {
+  DRAFT: ['RECRUITING', 'CANCELLED'],
+  RECRUITING: ['DRAFT', 'ACTIVE', 'CANCELLED'],
+  ACTIVE: ['COMPLETED', 'SUSPENDED', 'CANCELLED'],
+  SUSPENDED: ['ACTIVE', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: []
+};
+
+// Webhook event emitted when a group enters a status; resuming a suspended group is not a start
+const STATUS_EVENTS = {
+  ACTIVE: WEBHOOK_EVENTS.GROUP_STARTED,
+  COMPLETED: WEBHOOK_EVENTS.GROUP_COMPLETED,
+  CANCELLED: WEBHOOK_EVENTS.GROUP_CANCELLED
+};
+
+// Transitions that must be explained in the audit trail
+const REASON_REQUIRED = ['SUSPENDED', 'CANCELLED'];
+
+const countActiveMembers = (group) =>
+  group.members.filter(member => member.status === 'ACTIVE').length;
+
+class GroupLifecycleService {
+  /**
+   * Check whether a group can move from one status to another
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Target status
+   * @returns {boolean} - True if the transition is allowed
+   */
+  static canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Change the status of a group as one of its admins
+   * @param {string} groupId - Group ID
+   * @param {Object} transitionData - Transition data (status, reason)
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Updated group and audit entry
+   */
+  static async changeStatus(groupId, transitionData, userId) {
+    try {
+      const { status, reason } = transitionData;
+
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_STATUS)) {
+        throw new Error('You are not allowed to change the status of this group');
+      }
+
+      if (REASON_REQUIRED.includes(status) && !reason) {
+        throw new Error('A reason is required for this status change');
+      }
+
+      await this.assertTransitionReady(group, status);
+
+      const result = await this.applyTransition(group, status, {
+        changedBy: userId,
+        reason
+      });
+
+      return {
+        success: true,
+        message: 'Group status updated successfully',
+        data: result
+      };
+    } catch (error) {
+      logger.error('Error changing group status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start recruiting groups whose start date has been reached and that are full
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - IDs of the groups that were started
+   */
+  static async startDueGroups(now = new Date()) {
+    try {
+      const groups = await Group.find({
+        status: 'RECRUITING',
+        isActive: true,
+        'settings.startDate': { $lte: now }
+      });
+
+      const started = [];
+
+      for (const group of groups) {
+        if (countActiveMembers(group) < group.settings.maxMembers) {
+          continue;
+        }
+
+        try {
+          await this.applyTransition(group, 'ACTIVE', {
+            automatic: true,
+            reason: 'Start date reached with all member slots filled'
+          });
+          started.push(group._id);
+        } catch (error) {
+          // Another instance may have moved the group first; keep going with the others
+          logger.warn(`Could not start group: ${group._id}`, { error: error.message });
+        }
+      }
+
+      if (started.length > 0) {
+        logger.info(`Started ${started.length} due group(s)`, { groups: started });
+      }
+
+      return {
+        success: true,
+        data: { started }
+      };
+    } catch (error) {
+      logger.error('Error starting due groups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status history of a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Current status and audit trail
+   */
+  static async getStatusHistory(groupId, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!group.isMember(userId) && group.creator.toString() !== userId) {
+        throw new Error('Access denied to this group');
+      }
+
+      const history = await GroupStatusChange.findByGroup(groupId);
+
+      return {
+        success: true,
+        data: {
+          status: group.status,
+          allowedTransitions: TRANSITIONS[group.status] || [],
+          history
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting group status history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the preconditions of a manual transition
+   * @param {Object} group - Group document
+   * @param {string} toStatus - Target status
+   */
+  static async assertTransitionReady(group, toStatus) {
+    if (!this.canTransition(group.status, toStatus)) {
+      throw new Error(`Cannot change group status from ${group.status} to ${toStatus}`);
+    }
+
+    if (group.status === 'RECRUITING' && toStatus === 'ACTIVE' && countActiveMembers(group) < 2) {
+      throw new Error('At least two active members are required to start the group');
+    }
+
+    if (toStatus === 'COMPLETED') {
+      const schedule = await PayoutSchedule.findByGroup(group._id);
+      const pending = !schedule || schedule.cycles.some(cycle => cycle.status !== 'PAID_OUT');
+      if (pending) {
+        throw new Error('Group cannot be completed before every cycle has been paid out');
+      }
+    }
+  }
+
+  /**
+   * Move a group to a new status and record it in the audit trail
+   * The update only matches while the group still has the status it was read with.
+   * @param {Object} group - Group document
+   * @param {string} toStatus - Target status
+   * @param {Object} audit - Audit data (changedBy, automatic, reason)
+   * @returns {Promise<Object>} - Updated group and audit entry
+   */
+  static async applyTransition(group, toStatus, audit) {
+    if (!this.canTransition(group.status, toStatus)) {
+      throw new Error(`Cannot change group status from ${group.status} to ${toStatus}`);
+    }
+
+    const update = { status: toStatus };
+    if (toStatus === 'CANCELLED') {
+      update.isActive = false;
+    }
+
+    const updatedGroup = await Group.findOneAndUpdate(
+      { _id: group._id, status: group.status },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!updatedGroup) {
+      throw new Error('Group status was changed by another request');
+    }
+
+    const change = await GroupStatusChange.create({
+      group: group._id,
+      fromStatus: group.status,
+      toStatus,
+      changedBy: audit.changedBy,
+      automatic: Boolean(audit.automatic),
+      reason: audit.reason
+    });
+
+    const resumed = group.status === 'SUSPENDED' && toStatus === 'ACTIVE';
+    if (STATUS_EVENTS[toStatus] && !resumed) {
+      await WebhookService.emit(STATUS_EVENTS[toStatus], {
+        groupId: group._id,
+        name: group.name,
+        fromStatus: group.status,
+        toStatus,
+        changedAt: change.createdAt
+      });
+    }
+
+    logger.info(`Group status changed: ${group._id}`, {
+      from: group.status,
+      to: toStatus,
+      changedBy: audit.changedBy || 'system'
+    });
+
+    return { group: updatedGroup, change };
+  }
+}
+
+module.exports = GroupLifecycleService;
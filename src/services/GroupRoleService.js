@@ -0,0 +1,95 @@
+const Group = require('../models/Group');
+const { getGroupRole, hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS, ROLE_PERMISSIONS } = require('../config/groupPermissions');
+const logger = require('../utils/logger');
+
+class GroupRoleService {
+  /**
+   * Get the member roles of a group and the permissions of the requesting user
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Roles, permission matrix and own permissions
+   */
+  static async getRoles(groupId, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      const myRole = getGroupRole(group, userId);
+      if (!myRole) {
+        throw new Error('Access denied to this group');
+      }
+
+      const members = group.members
+        .filter(member => member.status === 'ACTIVE')
+        .map(member => ({
+          user: member.user,
+          role: getGroupRole(group, member.user)
+        }));
+
+      return {
+        success: true,
+        data: {
+          myRole,
+          myPermissions: ROLE_PERMISSIONS[myRole] || [],
+          matrix: ROLE_PERMISSIONS,
+          members
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting group roles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a group role to a member
+   * @param {string} groupId - Group ID
+   * @param {string} memberId - User ID of the member
+   * @param {string} role - New group role
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Member and assigned role
+   */
+  static async assignRole(groupId, memberId, role, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_ROLES)) {
+        throw new Error('You are not allowed to manage roles in this group');
+      }
+
+      if (group.creator.toString() === memberId) {
+        throw new Error('Cannot change the role of the group creator');
+      }
+
+      if (!getGroupRole(group, memberId)) {
+        throw new Error('User is not a member of this group');
+      }
+
+      group.updateMemberRole(memberId, role);
+      await group.save();
+
+      logger.info(`Group role assigned in group: ${groupId}`, {
+        memberId,
+        role,
+        assignedBy: userId
+      });
+
+      return {
+        success: true,
+        message: 'Member role updated successfully',
+        data: { member: memberId, role }
+      };
+    } catch (error) {
+      logger.error('Error assigning group role:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = GroupRoleService;
@@ -0,0 +1,382 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const MemberObligationService = require('./MemberObligationService');
+const GroupLifecycleService = require('./GroupLifecycleService');
+const PayoutScheduleService = require('./PayoutScheduleService');
+const NotificationService = require('./NotificationService');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const { assertCanJoin, hasGroupPermission, JOINABLE_STATUSES } = require('../utils/membershipHelper');
+const logger = require('../utils/logger');
+
+// Settings an admin can change at any time
+const EDITABLE_SETTINGS = ['maxMembers', 'endDate', 'isPublic', 'requiresKyc', 'minReliabilityScore'];
+// Settings that define the contribution terms and are frozen once the group has started
+const CONTRIBUTION_TERMS = ['contributionAmount', 'contributionFrequency', 'currency', 'tontineMode', 'startDate'];
+
+/**
+ * Read the page and page size from query filters
+ * @param {Object} filters - { page, limit }
+ * @returns {Object} - { page, limit, skip }
+ */
+const paginate = (filters) => {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+class GroupService {
+  /**
+   * Create a group with its creator as first member and admin
+   * @param {Object} groupData - Group name, description and settings
+   * @param {string} creatorId - User creating the group
+   * @returns {Promise<Object>} - Created group
+   */
+  static async createGroup(groupData, creatorId) {
+    const creator = await User.findById(creatorId);
+    if (!creator) {
+      throw new Error('Creator not found');
+    }
+
+    if (!creator.isActive) {
+      throw new Error('Creator account is not active');
+    }
+
+    const startDate = new Date(groupData.startDate);
+    if (!(startDate > new Date())) {
+      throw new Error('Start date must be in the future');
+    }
+
+    const endDate = groupData.endDate ? new Date(groupData.endDate) : undefined;
+    if (endDate && endDate <= startDate) {
+      throw new Error('End date must be after start date');
+    }
+
+    const group = new Group({
+      name: groupData.name,
+      description: groupData.description,
+      creator: creatorId,
+      members: [{
+        user: creatorId,
+        role: 'ADMIN',
+        status: 'ACTIVE',
+        joinedAt: new Date()
+      }],
+      settings: {
+        maxMembers: groupData.maxMembers,
+        contributionAmount: groupData.contributionAmount,
+        contributionFrequency: groupData.contributionFrequency,
+        currency: groupData.currency,
+        tontineMode: groupData.tontineMode,
+        startDate,
+        endDate,
+        isPublic: groupData.isPublic,
+        requiresKyc: groupData.requiresKyc,
+        minReliabilityScore: groupData.minReliabilityScore
+      }
+    });
+
+    await group.save();
+
+    logger.info(`Group created: ${group._id} by user ${creatorId}`);
+
+    return {
+      success: true,
+      message: 'Group created successfully',
+      data: group
+    };
+  }
+
+  /**
+   * Get a group; private groups are only visible to their members
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Object>} - Group
+   */
+  static async getGroupById(groupId, userId) {
+    const group = await Group.findById(groupId)
+      .populate('creator', 'firstName lastName email')
+      .populate('members.user', 'firstName lastName email reliabilityScore');
+
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!group.isActive) {
+      throw new Error('Group is not active');
+    }
+
+    if (!group.settings.isPublic && !group.isMember(userId) && !group.isAdmin(userId)) {
+      throw new Error('Access denied to this group');
+    }
+
+    return {
+      success: true,
+      data: group
+    };
+  }
+
+  /**
+   * List the groups a user is an active member of
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status, page, limit }
+   * @returns {Promise<Object>} - { groups, pagination }
+   */
+  static async getUserGroups(userId, filters = {}) {
+    const { page, limit, skip } = paginate(filters);
+    const query = {
+      members: { $elemMatch: { user: userId, status: 'ACTIVE' } },
+      isActive: true
+    };
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    const groups = await Group.find(query)
+      .populate('creator', 'firstName lastName')
+      .populate('members.user', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await Group.countDocuments(query);
+
+    return {
+      success: true,
+      data: {
+        groups,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    };
+  }
+
+  /**
+   * List the public groups open to new members
+   * @param {Object} filters - { minReliabilityScore, maxContributionAmount, page, limit }
+   * @returns {Promise<Object>} - { groups, pagination }
+   */
+  static async getPublicGroups(filters = {}) {
+    const { page, limit, skip } = paginate(filters);
+    const query = {
+      'settings.isPublic': true,
+      isActive: true,
+      status: { $in: JOINABLE_STATUSES }
+    };
+    // A member's score only qualifies them for groups that require at most that score
+    if (filters.minReliabilityScore !== undefined) {
+      query['settings.minReliabilityScore'] = { $lte: Number(filters.minReliabilityScore) };
+    }
+    if (filters.maxContributionAmount !== undefined) {
+      query['settings.contributionAmount'] = { $lte: Number(filters.maxContributionAmount) };
+    }
+
+    const groups = await Group.find(query)
+      .populate('creator', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await Group.countDocuments(query);
+
+    return {
+      success: true,
+      data: {
+        groups,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    };
+  }
+
+  /**
+   * Update the name, description or settings of a group
+   * @param {string} groupId - Group ID
+   * @param {Object} updateData - Fields to change
+   * @param {string} userId - Requesting user, needs the UPDATE_SETTINGS permission
+   * @returns {Promise<Object>} - Updated group
+   */
+  static async updateGroup(groupId, updateData, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.UPDATE_SETTINGS)) {
+      throw new Error('Only group admins can update the group');
+    }
+
+    const update = {};
+    if (updateData.name !== undefined) update.name = updateData.name;
+    if (updateData.description !== undefined) update.description = updateData.description;
+
+    for (const field of EDITABLE_SETTINGS) {
+      if (updateData[field] !== undefined) {
+        update[`settings.${field}`] = updateData[field];
+      }
+    }
+
+    const changesTerms = CONTRIBUTION_TERMS.some(field => updateData[field] !== undefined);
+    if (changesTerms) {
+      if (group.settings.startDate <= new Date()) {
+        throw new Error('Contribution terms cannot change once the group has started');
+      }
+      for (const field of CONTRIBUTION_TERMS) {
+        if (updateData[field] !== undefined) {
+          update[`settings.${field}`] = updateData[field];
+        }
+      }
+    }
+
+    const startDate = new Date(update['settings.startDate'] || group.settings.startDate);
+    const endDate = update['settings.endDate'] || group.settings.endDate;
+    if (endDate && new Date(endDate) <= startDate) {
+      throw new Error('End date must be after start date');
+    }
+
+    if (update['settings.maxMembers'] !== undefined && update['settings.maxMembers'] < group.totalMembers) {
+      throw new Error('Maximum members cannot be lower than the current number of members');
+    }
+
+    const updatedGroup = await Group.findByIdAndUpdate(
+      groupId,
+      { $set: update },
+      { new: true, runValidators: true }
+    )
+      .populate('creator', 'firstName lastName email')
+      .populate('members.user', 'firstName lastName email');
+
+    logger.info(`Group updated: ${groupId} by user ${userId}`);
+
+    return {
+      success: true,
+      message: 'Group updated successfully',
+      data: updatedGroup
+    };
+  }
+
+  /**
+   * Join a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Joining user
+   * @returns {Promise<Object>} - Group
+   */
+  static async joinGroup(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    await assertCanJoin(group, userId);
+    await group.addMember(userId);
+
+    logger.info(`User ${userId} joined group ${groupId}`);
+
+    // The member has joined either way; a failed notification is only logged
+    try {
+      await NotificationService.notifyUser(group.creator.toString(), {
+        type: 'GROUP_MEMBER_JOINED',
+        params: { groupName: group.name },
+        data: { groupId, memberId: userId }
+      });
+    } catch (error) {
+      logger.warn(`Could not notify group creator of new member: ${groupId}`, { error: error.message });
+    }
+
+    return {
+      success: true,
+      message: 'Successfully joined the group',
+      data: group
+    };
+  }
+
+  /**
+   * Leave a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Leaving user
+   * @returns {Promise<Object>} - Result
+   */
+  static async leaveGroup(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!group.isMember(userId)) {
+      throw new Error('User is not a member of this group');
+    }
+
+    if (group.creator.toString() === userId.toString()) {
+      throw new Error('Group creator cannot leave the group');
+    }
+
+    await MemberObligationService.assertCanLeave(groupId, userId);
+    await PayoutScheduleService.removeBeneficiary(groupId, userId);
+
+    await group.removeMember(userId);
+    await MemberObligationService.releaseFutureContributions(groupId, userId);
+
+    logger.info(`User ${userId} left group ${groupId}`);
+
+    return {
+      success: true,
+      message: 'Successfully left the group'
+    };
+  }
+
+  /**
+   * Delete a group; the group is deactivated and cancelled, its history is kept
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user, must be the creator
+   * @returns {Promise<Object>} - Result
+   */
+  static async deleteGroup(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (group.creator.toString() !== userId.toString()) {
+      throw new Error('Only the group creator can delete the group');
+    }
+
+    // Deleting cancels the group, with the same transition rules, audit trail and webhook as a
+    // status change
+    await GroupLifecycleService.changeStatus(
+      groupId,
+      { status: 'CANCELLED', reason: 'Group deleted by its creator' },
+      userId
+    );
+
+    logger.info(`Group deleted: ${groupId} by user ${userId}`);
+
+    return {
+      success: true,
+      message: 'Group deleted successfully'
+    };
+  }
+
+  /**
+   * List the members of a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user, must belong to the group
+   * @returns {Promise<Object>} - { members, totalMembers }
+   */
+  static async getGroupMembers(groupId, userId) {
+    const group = await Group.findById(groupId)
+      .populate('members.user', 'firstName lastName email reliabilityScore');
+
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!group.isMember(userId) && group.creator.toString() !== userId.toString()) {
+      throw new Error('Access denied to this group');
+    }
+
+    return {
+      success: true,
+      data: {
+        members: group.members,
+        totalMembers: group.totalMembers
+      }
+    };
+  }
+}
+
+module.exports = GroupService;
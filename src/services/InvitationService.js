@@ -0,0 +1,407 @@
+const GroupInvitation = require('../models/GroupInvitation');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { assertCanJoin, hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const NotificationService = require('./NotificationService');
+const logger = require('../utils/logger');
+
+const DEFAULT_EXPIRY_HOURS = 7 * 24;
+
+const buildInviteLink = (code) =>
+  `${process.env.CLIENT_URL || 'http://localhost:3000'}/groups/join/${code}`;
+
+const expiryFromNow = (hours = DEFAULT_EXPIRY_HOURS) =>
+  new Date(Date.now() + hours * 60 * 60 * 1000);
+
+class InvitationService {
+  /**
+   * Create a shareable invite code for a group
+   * @param {string} groupId - Group ID
+   * @param {Object} codeData - Code data (maxUses, expiresInHours)
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Invitation with its code and link
+   */
+  static async createInviteCode(groupId, codeData, userId) {
+    try {
+      const { maxUses = 1, expiresInHours } = codeData;
+
+      await this.getManagedGroup(groupId, userId);
+
+      const invitation = await GroupInvitation.create({
+        group: groupId,
+        type: 'CODE',
+        code: GroupInvitation.generateCode(),
+        invitedBy: userId,
+        maxUses,
+        expiresAt: expiryFromNow(expiresInHours)
+      });
+
+      logger.info(`Invite code created for group: ${groupId}`, {
+        invitationId: invitation._id,
+        maxUses
+      });
+
+      return {
+        success: true,
+        message: 'Invite code created successfully',
+        data: {
+          invitation,
+          link: buildInviteLink(invitation.code)
+        }
+      };
+    } catch (error) {
+      logger.error('Error creating invite code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invite a specific person to a group by email or phone
+   * @param {string} groupId - Group ID
+   * @param {Object} inviteData - Invite data (email, phone, expiresInHours)
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Invitation
+   */
+  static async inviteUser(groupId, inviteData, userId) {
+    try {
+      const { email, phone, expiresInHours } = inviteData;
+
+      const group = await this.getManagedGroup(groupId, userId);
+
+      const contact = [];
+      if (email) contact.push({ email: email.toLowerCase() });
+      if (phone) contact.push({ phone });
+
+      const invitee = await User.findOne({ $or: contact });
+      if (invitee && group.isMember(invitee._id.toString())) {
+        throw new Error('User is already a member of this group');
+      }
+
+      const pendingQuery = {
+        group: groupId,
+        type: 'DIRECT',
+        status: 'ACTIVE',
+        expiresAt: { $gt: new Date() },
+        $or: [
+          ...(invitee ? [{ invitee: invitee._id }] : []),
+          ...(email ? [{ inviteeEmail: email.toLowerCase() }] : []),
+          ...(phone ? [{ inviteePhone: phone }] : [])
+        ]
+      };
+
+      const pending = await GroupInvitation.findOne(pendingQuery);
+      if (pending) {
+        throw new Error('This person already has a pending invitation');
+      }
+
+      const invitation = await GroupInvitation.create({
+        group: groupId,
+        type: 'DIRECT',
+        invitedBy: userId,
+        invitee: invitee ? invitee._id : undefined,
+        inviteeEmail: email,
+        inviteePhone: phone,
+        maxUses: 1,
+        expiresAt: expiryFromNow(expiresInHours)
+      });
+
+      // Invitees without an account find the invitation once they sign up with this contact
+      if (invitee) {
+        try {
+          await NotificationService.notifyUser(invitee._id.toString(), {
+            type: 'GROUP_INVITATION_RECEIVED',
+            params: { groupName: group.name },
+            data: { groupId, invitationId: invitation._id }
+          });
+        } catch (error) {
+          logger.warn(`Could not notify group invitation: ${invitation._id}`, { error: error.message });
+        }
+      }
+
+      logger.info(`User invited to group: ${groupId}`, {
+        invitationId: invitation._id,
+        invitedBy: userId
+      });
+
+      return {
+        success: true,
+        message: 'Invitation sent successfully',
+        data: { invitation }
+      };
+    } catch (error) {
+      logger.error('Error inviting user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Join a group with an invite code
+   * @param {string} code - Invite code
+   * @param {string} userId - Joining user ID
+   * @returns {Promise<Object>} - Joined group
+   */
+  static async joinByCode(code, userId) {
+    try {
+      const invitation = await GroupInvitation.findByCode(code);
+      if (!invitation || !invitation.isUsable()) {
+        throw new Error('Invitation is invalid or has expired');
+      }
+
+      const group = await this.redeem(invitation, userId);
+
+      return {
+        success: true,
+        message: 'Successfully joined the group',
+        data: { group }
+      };
+    } catch (error) {
+      logger.error('Error joining group by code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a direct invitation
+   * @param {string} invitationId - Invitation ID
+   * @param {string} userId - Invited user ID
+   * @returns {Promise<Object>} - Joined group
+   */
+  static async acceptInvitation(invitationId, userId) {
+    try {
+      const invitation = await this.getDirectInvitation(invitationId, userId);
+
+      const group = await this.redeem(invitation, userId);
+
+      return {
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: { group }
+      };
+    } catch (error) {
+      logger.error('Error accepting invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a direct invitation
+   * @param {string} invitationId - Invitation ID
+   * @param {string} userId - Invited user ID
+   * @returns {Promise<Object>} - Declined invitation
+   */
+  static async declineInvitation(invitationId, userId) {
+    try {
+      const invitation = await this.getDirectInvitation(invitationId, userId);
+
+      invitation.status = 'DECLINED';
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      return {
+        success: true,
+        message: 'Invitation declined successfully',
+        data: { invitation }
+      };
+    } catch (error) {
+      logger.error('Error declining invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an invitation of a group
+   * @param {string} groupId - Group ID
+   * @param {string} invitationId - Invitation ID
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Revoked invitation
+   */
+  static async revokeInvitation(groupId, invitationId, userId) {
+    try {
+      await this.getManagedGroup(groupId, userId);
+
+      const invitation = await GroupInvitation.findOne({ _id: invitationId, group: groupId });
+      if (!invitation) {
+        throw new Error('Invitation not found');
+      }
+
+      if (invitation.status !== 'ACTIVE') {
+        throw new Error('Only active invitations can be revoked');
+      }
+
+      invitation.status = 'REVOKED';
+      await invitation.save();
+
+      return {
+        success: true,
+        message: 'Invitation revoked successfully',
+        data: { invitation }
+      };
+    } catch (error) {
+      logger.error('Error revoking invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List invitations of a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Invitations
+   */
+  static async getGroupInvitations(groupId, userId) {
+    try {
+      await this.getManagedGroup(groupId, userId);
+
+      const invitations = await GroupInvitation.find({ group: groupId })
+        .populate('invitee', 'firstName lastName email')
+        .sort({ createdAt: -1 });
+
+      return {
+        success: true,
+        data: { invitations }
+      };
+    } catch (error) {
+      logger.error('Error getting group invitations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the pending direct invitations of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Invitations
+   */
+  static async getUserInvitations(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const invitations = await GroupInvitation.find({
+        type: 'DIRECT',
+        status: 'ACTIVE',
+        expiresAt: { $gt: new Date() },
+        // A user without email or phone must not match the invitations that lack one too
+        $or: [
+          { invitee: userId },
+          ...(user.email ? [{ inviteeEmail: user.email }] : []),
+          ...(user.phone ? [{ inviteePhone: user.phone }] : [])
+        ]
+      })
+        .populate('group', 'name description settings.contributionAmount settings.contributionFrequency')
+        .populate('invitedBy', 'firstName lastName')
+        .sort({ createdAt: -1 });
+
+      return {
+        success: true,
+        data: { invitations }
+      };
+    } catch (error) {
+      logger.error('Error getting user invitations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Use an invitation to add a user to its group
+   * The use is claimed atomically before joining and released if joining fails.
+   * @param {Object} invitation - Invitation document
+   * @param {string} userId - Joining user ID
+   * @returns {Promise<Object>} - Joined group
+   */
+  static async redeem(invitation, userId) {
+    const group = await Group.findById(invitation.group);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    await assertCanJoin(group, userId);
+
+    const claimUpdate = {
+      $inc: { uses: 1 },
+      $push: { usedBy: { user: userId, usedAt: new Date() } }
+    };
+    if (invitation.type === 'DIRECT') {
+      claimUpdate.$set = { status: 'ACCEPTED', respondedAt: new Date() };
+    }
+
+    const claimed = await GroupInvitation.findOneAndUpdate(
+      {
+        _id: invitation._id,
+        status: 'ACTIVE',
+        expiresAt: { $gt: new Date() },
+        uses: { $lt: invitation.maxUses }
+      },
+      claimUpdate,
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new Error('Invitation is invalid or has expired');
+    }
+
+    try {
+      await group.addMember(userId);
+    } catch (error) {
+      await GroupInvitation.updateOne(
+        { _id: invitation._id },
+        { $inc: { uses: -1 }, $pull: { usedBy: { user: userId } }, $set: { status: 'ACTIVE' } }
+      );
+      throw error;
+    }
+
+    logger.info(`User joined group by invitation: ${group._id}`, {
+      invitationId: invitation._id,
+      userId
+    });
+
+    return group;
+  }
+
+  /**
+   * Load an active direct invitation addressed to the user
+   * @param {string} invitationId - Invitation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Invitation
+   */
+  static async getDirectInvitation(invitationId, userId) {
+    const invitation = await GroupInvitation.findOne({ _id: invitationId, type: 'DIRECT' });
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !invitation.isAddressedTo(user)) {
+      throw new Error('This invitation is not addressed to you');
+    }
+
+    if (!invitation.isUsable()) {
+      throw new Error('Invitation is invalid or has expired');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Load a group in which the user may manage invitations
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Group
+   */
+  static async getManagedGroup(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_INVITATIONS)) {
+      throw new Error('You are not allowed to manage invitations in this group');
+    }
+
+    return group;
+  }
+}
+
+module.exports = InvitationService;
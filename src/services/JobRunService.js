@@ -0,0 +1,74 @@
+const JobRun = require('../models/JobRun');
+const JobScheduler = require('../jobs');
+const logger = require('../utils/logger');
+
+class JobRunService {
+  /**
+   * Get the registered jobs with their latest run and latest failure
+   * @returns {Promise<Object>} - Jobs overview
+   */
+  static async getJobs() {
+    try {
+      const jobs = await Promise.all(JobScheduler.getJobs().map(async job => ({
+        ...job,
+        lastRun: await JobRun.findLatest(job.name),
+        lastFailure: await JobRun.findLatest(job.name, 'FAILED')
+      })));
+
+      return {
+        success: true,
+        data: { jobs }
+      };
+    } catch (error) {
+      logger.error('Error getting jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List job runs, newest first
+   * @param {Object} filters - Filters (job, status, page, limit)
+   * @returns {Promise<Object>} - Job runs with pagination
+   */
+  static async getJobRuns(filters = {}) {
+    try {
+      const { job, status, page = 1, limit = 20 } = filters;
+
+      const query = {};
+      if (job) {
+        if (!JobScheduler.getJobs().some(registered => registered.name === job)) {
+          throw new Error('Job not found');
+        }
+        query.job = job;
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const runs = await JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      const total = await JobRun.countDocuments(query);
+
+      return {
+        success: true,
+        data: {
+          runs,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting job runs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = JobRunService;
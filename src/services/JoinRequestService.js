@@ -0,0 +1,219 @@
+const JoinRequest = require('../models/JoinRequest');
+const Group = require('../models/Group');
+const NotificationService = require('./NotificationService');
+const { assertCanJoin, hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const logger = require('../utils/logger');
+
+class JoinRequestService {
+  /**
+   * Ask to join a private group
+   * @param {string} groupId - Group ID
+   * @param {Object} requestData - Request data (message)
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Join request
+   */
+  static async requestToJoin(groupId, requestData, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (group.settings.isPublic) {
+        throw new Error('Public groups can be joined directly');
+      }
+
+      await assertCanJoin(group, userId);
+
+      const existing = await JoinRequest.findOne({ group: groupId, user: userId, status: 'PENDING' });
+      if (existing) {
+        throw new Error('You already have a pending request for this group');
+      }
+
+      const joinRequest = await JoinRequest.create({
+        group: groupId,
+        user: userId,
+        message: requestData.message
+      });
+
+      logger.info(`Join request created for group: ${groupId}`, {
+        requestId: joinRequest._id,
+        userId
+      });
+
+      return {
+        success: true,
+        message: 'Join request sent successfully',
+        data: { joinRequest }
+      };
+    } catch (error) {
+      logger.error('Error requesting to join group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List pending join requests of a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Pending join requests
+   */
+  static async getPendingRequests(groupId, userId) {
+    try {
+      await this.getManagedGroup(groupId, userId);
+
+      const joinRequests = await JoinRequest.findPendingByGroup(groupId);
+
+      return {
+        success: true,
+        data: { joinRequests }
+      };
+    } catch (error) {
+      logger.error('Error getting join requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a join request and add the requester to the group
+   * @param {string} groupId - Group ID
+   * @param {string} requestId - Join request ID
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Approved join request
+   */
+  static async approveRequest(groupId, requestId, userId) {
+    try {
+      const group = await this.getManagedGroup(groupId, userId);
+      const pending = await this.getPendingRequest(groupId, requestId);
+      const requesterId = pending.user.toString();
+
+      // Eligibility is checked again: the group may have filled up since the request
+      await assertCanJoin(group, requesterId);
+
+      const joinRequest = await JoinRequest.findOneAndUpdate(
+        { _id: requestId, status: 'PENDING' },
+        { $set: { status: 'APPROVED', reviewedBy: userId, reviewedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!joinRequest) {
+        throw new Error('Join request has already been reviewed');
+      }
+
+      try {
+        await group.addMember(requesterId);
+      } catch (error) {
+        await JoinRequest.updateOne(
+          { _id: requestId },
+          { $set: { status: 'PENDING' }, $unset: { reviewedBy: '', reviewedAt: '' } }
+        );
+        throw error;
+      }
+
+      // The member has joined either way; a failed notification is only logged
+      try {
+        await NotificationService.notifyUser(requesterId, {
+          type: 'JOIN_REQUEST_APPROVED',
+          params: { groupName: group.name },
+          data: { groupId, requestId }
+        });
+      } catch (error) {
+        logger.warn(`Could not notify join request approval: ${requestId}`, { error: error.message });
+      }
+
+      logger.info(`Join request approved: ${requestId}`, { approvedBy: userId });
+
+      return {
+        success: true,
+        message: 'Join request approved successfully',
+        data: { joinRequest }
+      };
+    } catch (error) {
+      logger.error('Error approving join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a join request
+   * @param {string} groupId - Group ID
+   * @param {string} requestId - Join request ID
+   * @param {string} reason - Rejection reason
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Rejected join request
+   */
+  static async rejectRequest(groupId, requestId, reason, userId) {
+    try {
+      const group = await this.getManagedGroup(groupId, userId);
+      const joinRequest = await this.getPendingRequest(groupId, requestId);
+
+      joinRequest.status = 'REJECTED';
+      joinRequest.rejectionReason = reason;
+      joinRequest.reviewedBy = userId;
+      joinRequest.reviewedAt = new Date();
+      await joinRequest.save();
+
+      try {
+        await NotificationService.notifyUser(joinRequest.user.toString(), {
+          type: 'JOIN_REQUEST_REJECTED',
+          params: { groupName: group.name },
+          data: { groupId, requestId, reason }
+        });
+      } catch (error) {
+        logger.warn(`Could not notify join request rejection: ${requestId}`, { error: error.message });
+      }
+
+      logger.info(`Join request rejected: ${requestId}`, { rejectedBy: userId });
+
+      return {
+        success: true,
+        message: 'Join request rejected successfully',
+        data: { joinRequest }
+      };
+    } catch (error) {
+      logger.error('Error rejecting join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a pending join request of a group
+   * @param {string} groupId - Group ID
+   * @param {string} requestId - Join request ID
+   * @returns {Promise<Object>} - Join request
+   */
+  static async getPendingRequest(groupId, requestId) {
+    const joinRequest = await JoinRequest.findOne({ _id: requestId, group: groupId });
+    if (!joinRequest) {
+      throw new Error('Join request not found');
+    }
+
+    if (joinRequest.status !== 'PENDING') {
+      throw new Error('Join request has already been reviewed');
+    }
+
+    return joinRequest;
+  }
+
+  /**
+   * Load a group in which the user may review join requests
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Group
+   */
+  static async getManagedGroup(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.APPROVE_JOINS)) {
+      throw new Error('You are not allowed to review join requests in this group');
+    }
+
+    return group;
+  }
+}
+
+module.exports = JoinRequestService;
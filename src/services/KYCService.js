@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const KYC = require('../models/KYC');
+const constants = require('../config/constants');
+const NotificationService = require('./NotificationService');
+const WebhookService = require('./WebhookService');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+const logger = require('../utils/logger');
+
+// Decisions an admin can take on a submission
+const REVIEW_STATUSES = [constants.KYC_STATUS.VERIFIED, constants.KYC_STATUS.REJECTED];
+
+/**
+ * Path of an uploaded multer file, whether the field holds one file or an array
+ * @param {Object|Array} field - Multer field
+ * @returns {string|undefined} - Stored path
+ */
+const uploadedPath = (field) => {
+  const file = Array.isArray(field) ? field[0] : field;
+  return file ? file.path : undefined;
+};
+
+class KYCService {
+  /**
+   * Submit identity documents for review
+   * @param {string} userId - User ID
+   * @param {Object} kycData - { idImagePath, selfieImagePath }
+   * @param {Object} files - Uploaded files (idCard, selfie), taking precedence over the paths
+   * @returns {Promise<Object>} - Updated user
+   */
+  static async submitKYCDocuments(userId, kycData = {}, files = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.kyc && user.kyc.status === constants.KYC_STATUS.VERIFIED) {
+      throw new Error('KYC is already verified');
+    }
+
+    const idImagePath = uploadedPath(files && files.idCard) || kycData.idImagePath;
+    const selfieImagePath = uploadedPath(files && files.selfie) || kycData.selfieImagePath;
+
+    user.kyc = {
+      status: constants.KYC_STATUS.PENDING,
+      idImagePath,
+      selfieImagePath,
+      submittedAt: new Date()
+    };
+    await user.save();
+
+    await KYC.create({
+      user: userId,
+      idImagePath,
+      selfieImagePath,
+      status: constants.KYC_STATUS.PENDING
+    });
+
+    logger.info(`KYC documents submitted by user: ${userId}`);
+
+    return user;
+  }
+
+  /**
+   * Record the review decision on the pending submission of a user
+   * @param {string} userId - User ID
+   * @param {Object} verificationData - { status, faceMatchScore, rejectionReason, verifiedBy }
+   * @returns {Promise<Object>} - Updated user
+   */
+  static async verifyKYC(userId, verificationData) {
+    const { status, faceMatchScore, rejectionReason, verifiedBy } = verificationData;
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new Error('KYC status must be VERIFIED or REJECTED');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const reviewedAt = new Date();
+    user.kyc = {
+      ...(user.kyc && typeof user.kyc.toObject === 'function' ? user.kyc.toObject() : user.kyc),
+      status,
+      faceMatchScore,
+      verifiedBy,
+      verifiedAt: reviewedAt,
+      rejectionReason: status === constants.KYC_STATUS.REJECTED ? rejectionReason : undefined
+    };
+    await user.save();
+
+    await KYC.findOneAndUpdate(
+      { user: userId, status: constants.KYC_STATUS.PENDING },
+      {
+        $set: {
+          status,
+          faceMatchScore,
+          rejectionReason: user.kyc.rejectionReason,
+          reviewedBy: verifiedBy,
+          reviewedAt
+        }
+      },
+      { sort: { createdAt: -1 } }
+    );
+
+    logger.info(`KYC ${status.toLowerCase()} for user: ${userId}`);
+
+    await WebhookService.emit(
+      status === constants.KYC_STATUS.VERIFIED ? WEBHOOK_EVENTS.KYC_VERIFIED : WEBHOOK_EVENTS.KYC_REJECTED,
+      {
+        userId,
+        status,
+        rejectionReason: user.kyc.rejectionReason,
+        reviewedAt
+      }
+    );
+
+    // The review is recorded either way; a failed notification is only logged
+    try {
+      await NotificationService.notifyUser(userId.toString(), {
+        type: status === constants.KYC_STATUS.VERIFIED ? 'KYC_VERIFIED' : 'KYC_REJECTED',
+        data: { reason: user.kyc.rejectionReason }
+      });
+    } catch (error) {
+      logger.warn(`Could not notify KYC review: ${userId}`, { error: error.message });
+    }
+
+    return user;
+  }
+
+  /**
+   * Get the KYC state of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - KYC subdocument
+   */
+  static async getKYCStatus(userId) {
+    const user = await User.findById(userId).select('kyc');
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user.kyc;
+  }
+
+  /**
+   * List the users waiting for a KYC review, oldest submission first
+   * @returns {Promise<Array>} - Users
+   */
+  static async getPendingKYC() {
+    return User.find({
+      'kyc.status': constants.KYC_STATUS.PENDING,
+      'kyc.submittedAt': { $exists: true }
+    })
+      .select('firstName lastName email phone kyc')
+      .sort({ 'kyc.submittedAt': 1 });
+  }
+
+  /**
+   * List every KYC submission
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>} - Submissions
+   */
+  static async getAllKYCRequests(filters = {}) {
+    const query = {};
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    return KYC.find(query)
+      .populate('user', 'firstName lastName email phone')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+  }
+}
+
+module.exports = KYCService;
@@ -0,0 +1,244 @@
+const JournalEntry = require('../models/JournalEntry');
+const Group = require('../models/Group');
+const { getGroupRole } = require('../utils/membershipHelper');
+const logger = require('../utils/logger');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const memberLine = (member, side, amount) => ({ account: 'MEMBER', member, [side]: amount });
+const accountLine = (account, side, amount) => ({ account, [side]: amount });
+
+class LedgerService {
+  /**
+   * Post a balanced journal entry
+   * Posting the same key twice returns the entry that already exists.
+   * @param {Object} entry - Entry data (group, type, key, description, lines, postedBy)
+   * @returns {Promise<Object>} - Journal entry
+   */
+  static async postEntry(entry) {
+    try {
+      return await JournalEntry.create(entry);
+    } catch (error) {
+      if (error.code === 11000) {
+        return JournalEntry.findOne({ key: entry.key });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record money paid by a member towards a contribution
+   * @param {Object} contribution - Contribution document
+   * @param {Object} payment - Payment document
+   * @param {string} userId - User ID who applied the payment
+   * @returns {Promise<Object>} - Journal entry
+   */
+  static recordContributionPayment(contribution, payment, userId) {
+    return this.postEntry({
+      group: contribution.group,
+      type: 'CONTRIBUTION_PAYMENT',
+      key: `payment:${payment._id}`,
+      description: `Contribution payment for cycle ${contribution.cycleNumber}`,
+      lines: [
+        accountLine('GROUP_POOL', 'debit', payment.amount),
+        memberLine(contribution.user, 'credit', payment.amount)
+      ],
+      postedBy: userId
+    });
+  }
+
+  /**
+   * Record money given back to a member by a refund or reversal of their payment
+   * @param {Object} refund - Refund document
+   * @param {string} userId - User ID who refunded the payment
+   * @returns {Promise<Object>} - Journal entry
+   */
+  static recordPaymentRefund(refund, userId) {
+    return this.postEntry({
+      group: refund.group,
+      type: 'PAYMENT_REFUND',
+      key: `refund:${refund._id}`,
+      description: `${refund.type === 'REVERSAL' ? 'Payment reversal' : 'Payment refund'}: ${refund.reason}`,
+      lines: [
+        memberLine(refund.user, 'debit', refund.amount),
+        accountLine('GROUP_POOL', 'credit', refund.amount)
+      ],
+      postedBy: userId
+    });
+  }
+
+  /**
+   * Record a penalty charged to a member, or a decrease of it when the amount is negative
+   * @param {Object} charge - Charge data (group, member, contribution, type, daysLate, amount, total)
+   * @returns {Promise<Object>} - Journal entry
+   */
+  static recordPenaltyCharge(charge) {
+    const amount = roundAmount(Math.abs(charge.amount));
+    const [memberSide, incomeSide] = charge.amount > 0 ? ['debit', 'credit'] : ['credit', 'debit'];
+
+    return this.postEntry({
+      group: charge.group,
+      type: 'PENALTY',
+      key: `penalty:${charge.contribution}:${charge.type}:${charge.daysLate}:${charge.total}`,
+      description: `Late penalty (${charge.type}) after ${charge.daysLate} day(s)`,
+      lines: [
+        memberLine(charge.member, memberSide, amount),
+        accountLine('PENALTY_INCOME', incomeSide, amount)
+      ]
+    });
+  }
+
+  /**
+   * Record a penalty a group admin added by hand
+   * @param {Object} penalty - Manual penalty document
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Journal entry
+   */
+  static recordManualPenalty(penalty, userId) {
+    return this.postEntry({
+      group: penalty.group,
+      type: 'PENALTY',
+      key: `penalty:${penalty._id}`,
+      description: `Penalty: ${penalty.reason}`,
+      lines: [
+        memberLine(penalty.user, 'debit', penalty.amount),
+        accountLine('PENALTY_INCOME', 'credit', penalty.amount)
+      ],
+      postedBy: userId
+    });
+  }
+
+  /**
+   * Record the reversal of a penalty item
+   * @param {Object} penalty - Reversed penalty document
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Journal entry
+   */
+  static recordPenaltyReversal(penalty, userId) {
+    return this.postEntry({
+      group: penalty.group,
+      type: 'PENALTY_REVERSAL',
+      key: `penalty-reversal:${penalty._id}`,
+      description: penalty.reversalReason,
+      lines: [
+        accountLine('PENALTY_INCOME', 'debit', penalty.amount),
+        memberLine(penalty.user, 'credit', penalty.amount)
+      ],
+      postedBy: userId
+    });
+  }
+
+  /**
+   * Record the pot paid out to the beneficiary of a cycle
+   * @param {Object} payout - Confirmed payout document
+   * @param {string} userId - User ID who confirmed the payout
+   * @returns {Promise<Object>} - Journal entry
+   */
+  static recordPayout(payout, userId) {
+    return this.postEntry({
+      group: payout.group,
+      type: 'PAYOUT',
+      key: `payout:${payout._id}`,
+      description: `Payout for cycle ${payout.cycleNumber}`,
+      lines: [
+        memberLine(payout.beneficiary, 'debit', payout.amount),
+        accountLine('GROUP_POOL', 'credit', payout.amount)
+      ],
+      postedBy: userId
+    });
+  }
+
+  /**
+   * Get the account balances of a group
+   * Member balances are credits minus debits: positive when the member has put in more than
+   * they received. The sum of all accounts is always zero.
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object>} - Pool, penalty income, member balances and control total
+   */
+  static async getBalances(groupId) {
+    const accounts = await JournalEntry.getBalances(groupId);
+
+    const balances = {
+      pool: 0,
+      penaltyIncome: 0,
+      members: [],
+      total: 0
+    };
+
+    for (const { _id, debit, credit } of accounts) {
+      if (_id.account === 'GROUP_POOL') {
+        balances.pool = roundAmount(debit - credit);
+      } else if (_id.account === 'PENALTY_INCOME') {
+        balances.penaltyIncome = roundAmount(credit - debit);
+      } else {
+        balances.members.push({ member: _id.member, balance: roundAmount(credit - debit) });
+      }
+      balances.total += debit - credit;
+    }
+
+    balances.total = roundAmount(balances.total);
+
+    return balances;
+  }
+
+  /**
+   * Get the journal and balances of a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {Object} filters - Filters (memberId, type, page, limit)
+   * @returns {Promise<Object>} - Journal entries, balances and pagination
+   */
+  static async getLedger(groupId, userId, filters = {}) {
+    try {
+      const { memberId, type, page = 1, limit = 20 } = filters;
+
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!getGroupRole(group, userId)) {
+        throw new Error('Access denied to this group');
+      }
+
+      const query = { group: groupId };
+      if (memberId) {
+        query['lines.member'] = memberId;
+      }
+      if (type) {
+        query.type = type;
+      }
+
+      const entries = await JournalEntry.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      const total = await JournalEntry.countDocuments(query);
+      const balances = await this.getBalances(groupId);
+
+      if (balances.total !== 0) {
+        logger.warn(`Ledger of group ${groupId} does not reconcile`, { total: balances.total });
+      }
+
+      return {
+        success: true,
+        data: {
+          entries,
+          balances,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting group ledger:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LedgerService;
@@ -0,0 +1,171 @@
+const Group = require('../models/Group');
+const Contribution = require('../models/Contribution');
+const Payout = require('../models/Payout');
+const PayoutSchedule = require('../models/PayoutSchedule');
+const ContributionPaymentService = require('./ContributionPaymentService');
+const PayoutScheduleService = require('./PayoutScheduleService');
+const logger = require('../utils/logger');
+
+class MemberObligationService {
+  /**
+   * Work out what a member still owes a group
+   * Contributions that are overdue or already due must be settled by everyone, with the late
+   * penalties charged on them. A member who
+   * has received the pot also owes every remaining cycle of the payout schedule, including
+   * the cycles whose contributions have not been generated yet.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member ID
+   * @returns {Promise<Object>} - Outstanding obligations
+   */
+  static async computeObligations(groupId, userId) {
+    const now = new Date();
+
+    const payout = await Payout.findOne({
+      group: groupId,
+      beneficiary: userId,
+      status: { $in: ['APPROVED', 'COMPLETED'] }
+    });
+    const hasReceivedPayout = Boolean(payout);
+
+    const query = {
+      group: groupId,
+      user: userId,
+      status: { $nin: ['PAID', 'CANCELLED'] }
+    };
+    if (!hasReceivedPayout) {
+      query.dueDate = { $lte: now };
+    }
+
+    const contributions = await Contribution.find(query).sort({ dueDate: 1 });
+    const contributionsAmount = contributions.reduce(
+      (sum, contribution) => sum + ContributionPaymentService.getBalance(contribution).remaining,
+      0
+    );
+
+    const upcoming = hasReceivedPayout
+      ? await this.computeUpcomingCycles(groupId, userId)
+      : { cycles: 0, amount: 0 };
+
+    return {
+      canLeave: contributions.length === 0 && upcoming.cycles === 0,
+      hasReceivedPayout,
+      payoutCycle: payout ? payout.cycleNumber : null,
+      outstandingAmount: contributionsAmount + upcoming.amount,
+      upcomingCycles: upcoming.cycles,
+      contributions
+    };
+  }
+
+  /**
+   * Count the cycles of the payout schedule a member has no contribution for yet
+   * Contributions are only generated shortly before they are due, so these cycles are
+   * valued at the contribution amount of the group.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member ID
+   * @returns {Promise<Object>} - Number of cycles and amount they represent
+   */
+  static async computeUpcomingCycles(groupId, userId) {
+    const group = await Group.findById(groupId);
+    const schedule = await PayoutSchedule.findByGroup(groupId);
+    if (!group || !schedule) {
+      return { cycles: 0, amount: 0 };
+    }
+
+    const generated = await Contribution.distinct('cycleNumber', { group: groupId, user: userId });
+    const cycles = schedule.cycles
+      .filter(cycle => !generated.some(cycleNumber => Number(cycleNumber) === cycle.cycleNumber))
+      .length;
+
+    return {
+      cycles,
+      amount: cycles * group.settings.contributionAmount
+    };
+  }
+
+  /**
+   * Get the outstanding obligations of the requesting member
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member ID
+   * @returns {Promise<Object>} - Outstanding obligations
+   */
+  static async getObligations(groupId, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!group.isMember(userId)) {
+        throw new Error('User is not a member of this group');
+      }
+
+      const obligations = await this.computeObligations(groupId, userId);
+
+      return {
+        success: true,
+        data: { obligations }
+      };
+    } catch (error) {
+      logger.error('Error getting member obligations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure a member can leave a group without leaving debts behind
+   * Used by GroupService.leaveGroup before removing the member.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member ID
+   */
+  static async assertCanLeave(groupId, userId) {
+    const obligations = await this.computeObligations(groupId, userId);
+
+    if (!obligations.canLeave) {
+      throw new Error(obligations.hasReceivedPayout
+        ? 'You have received the pot and must pay your remaining contributions before leaving'
+        : 'You must pay your due contributions before leaving the group');
+    }
+  }
+
+  /**
+   * Cancel the contributions a departing member would have owed in later cycles
+   * Used by GroupService.leaveGroup once the member has been removed. Advance payments stay on
+   * the cancelled contributions, from where a treasurer can refund them.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member ID
+   * @returns {Promise<number>} - Number of cancelled contributions
+   */
+  static async releaseFutureContributions(groupId, userId) {
+    const releasable = { $in: ['PENDING', 'PARTIALLY_PAID'] };
+    const contributions = await Contribution.find(
+      { group: groupId, user: userId, status: releasable, dueDate: { $gt: new Date() } },
+      'cycleNumber status amountPaid'
+    );
+    if (contributions.length === 0) {
+      return 0;
+    }
+
+    const result = await Contribution.updateMany(
+      { _id: { $in: contributions.map(contribution => contribution._id) }, status: releasable },
+      { $set: { status: 'CANCELLED' } }
+    );
+
+    const prepaid = contributions.filter(contribution => contribution.status === 'PARTIALLY_PAID');
+    if (prepaid.length > 0) {
+      logger.warn(`Cancelled contributions of departing member ${userId} hold advance payments`, {
+        groupId,
+        contributions: prepaid.map(contribution => contribution._id)
+      });
+    }
+
+    // The other members may already have paid these cycles in full
+    const cycleNumbers = [...new Set(contributions.map(contribution => contribution.cycleNumber).filter(Boolean))];
+    for (const cycleNumber of cycleNumbers) {
+      await PayoutScheduleService.refreshCycleStatus(groupId, cycleNumber);
+    }
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = MemberObligationService;
@@ -0,0 +1,383 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const constants = require('../config/constants');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const logger = require('../utils/logger');
+
+const SENDER_FIELDS = 'firstName lastName';
+
+// socket.io server, set once the HTTP server is listening
+let io = null;
+
+/**
+ * Read the page and page size from query options
+ * @param {Object} options - { page, limit }
+ * @returns {Object} - { page, limit, skip }
+ */
+const paginate = (options) => {
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Escape the characters a user query could use to build a regular expression
+ * @param {string} text - User input
+ * @returns {string} - Literal pattern
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class MessageService {
+  /**
+   * Register the socket.io server used to deliver messages live
+   * Sockets join the `user:<id>` room of their user and the `group:<id>` rooms of their groups.
+   * @param {Object} server - socket.io server
+   */
+  static setSocketServer(server) {
+    io = server;
+  }
+
+  /**
+   * Push a stored message to the connected clients of a room
+   * The message is stored either way, so a failed push is only logged.
+   * @param {string} room - socket.io room
+   * @param {Object} message - Message document
+   */
+  static emit(room, message) {
+    if (!io) {
+      return;
+    }
+
+    try {
+      io.to(room).emit('message', typeof message.toJSON === 'function' ? message.toJSON() : message);
+    } catch (error) {
+      logger.warn(`Could not push message to room: ${room}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Send a direct message
+   * @param {Object} messageData - { senderId, recipientId, content, type, audioUrl, attachments }
+   * @returns {Promise<Object>} - Sent message
+   */
+  static async sendMessage(messageData) {
+    try {
+      const sender = await User.findById(messageData.senderId);
+      if (!sender) {
+        throw new Error('Sender not found');
+      }
+
+      const recipient = await User.findById(messageData.recipientId);
+      if (!recipient) {
+        throw new Error('Recipient not found');
+      }
+
+      const message = await Message.create({
+        ...messageData,
+        status: constants.MESSAGING.STATUS.SENT,
+        timestamp: new Date()
+      });
+
+      this.emit(`user:${messageData.recipientId}`, message);
+
+      return {
+        success: true,
+        message: 'Message sent successfully',
+        data: { message }
+      };
+    } catch (error) {
+      logger.error('Error sending message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a message to a group
+   * @param {Object} messageData - { senderId, groupId, content, type, audioUrl, attachments }
+   * @returns {Promise<Object>} - Sent message
+   */
+  static async sendGroupMessage(messageData) {
+    try {
+      const sender = await User.findById(messageData.senderId);
+      if (!sender) {
+        throw new Error('Sender not found');
+      }
+
+      const group = await Group.findById(messageData.groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!group.isMember(messageData.senderId)) {
+        throw new Error('User is not a member of this group');
+      }
+
+      const message = await Message.create({
+        ...messageData,
+        status: constants.MESSAGING.STATUS.SENT,
+        timestamp: new Date()
+      });
+
+      this.emit(`group:${messageData.groupId}`, message);
+
+      return {
+        success: true,
+        message: 'Group message sent successfully',
+        data: { message }
+      };
+    } catch (error) {
+      logger.error('Error sending group message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post a message generated by the platform in a group, e.g. when payout turns are swapped
+   * @param {Object} messageData - { groupId, action, data, content }
+   * @returns {Promise<Object>} - Posted message
+   */
+  static async sendSystemMessage(messageData) {
+    try {
+      const group = await Group.findById(messageData.groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      const message = await Message.create({
+        group: messageData.groupId,
+        isSystem: true,
+        action: messageData.action,
+        data: messageData.data,
+        content: messageData.content,
+        status: constants.MESSAGING.STATUS.SENT,
+        timestamp: new Date()
+      });
+
+      this.emit(`group:${messageData.groupId}`, message);
+
+      return {
+        success: true,
+        message: 'System message sent successfully',
+        data: { message }
+      };
+    } catch (error) {
+      logger.error('Error sending system message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the direct messages exchanged by two users, most recent first
+   * @param {string} userId - Requesting user
+   * @param {string} otherUserId - Other participant
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { messages, pagination }
+   */
+  static async getConversation(userId, otherUserId, options = {}) {
+    try {
+      const { page, limit, skip } = paginate(options);
+      const query = {
+        $or: [
+          { sender: userId, recipient: otherUserId },
+          { sender: otherUserId, recipient: userId }
+        ],
+        isDeleted: false
+      };
+
+      const messages = await Message.find(query)
+        .populate('sender', SENDER_FIELDS)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Message.countDocuments(query);
+
+      return {
+        success: true,
+        data: {
+          messages,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the messages of a group, most recent first
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user, must belong to the group
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { messages, pagination }
+   */
+  static async getGroupMessages(groupId, userId, options = {}) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!group.isMember(userId)) {
+        throw new Error('User is not a member of this group');
+      }
+
+      const { page, limit, skip } = paginate(options);
+      const query = { group: groupId, isDeleted: false };
+
+      const messages = await Message.find(query)
+        .populate('sender', SENDER_FIELDS)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Message.countDocuments(query);
+
+      return {
+        success: true,
+        data: {
+          messages,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting group messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a direct message as read by its recipient
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Requesting user, must be the recipient
+   * @returns {Promise<Object>} - Read message
+   */
+  static async markAsRead(messageId, userId) {
+    try {
+      const message = await Message.findById(messageId);
+      if (!message) {
+        throw new Error('Message not found');
+      }
+
+      if (!message.recipient || message.recipient.toString() !== userId.toString()) {
+        throw new Error('Only the recipient can mark this message as read');
+      }
+
+      await message.markAsRead();
+
+      return {
+        success: true,
+        message: 'Message marked as read',
+        data: { message }
+      };
+    } catch (error) {
+      logger.error('Error marking message as read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a message; the record is kept for moderation
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Requesting user, the sender or a chat moderator of the group
+   * @returns {Promise<Object>} - Result
+   */
+  static async deleteMessage(messageId, userId) {
+    try {
+      const message = await Message.findById(messageId);
+      if (!message) {
+        throw new Error('Message not found');
+      }
+
+      const isSender = Boolean(message.sender) && message.sender.toString() === userId.toString();
+      if (!isSender) {
+        const group = message.group ? await Group.findById(message.group) : null;
+        if (!group || !hasGroupPermission(group, userId, GROUP_PERMISSIONS.MODERATE_CHAT)) {
+          throw new Error('Only the sender can delete this message');
+        }
+      }
+
+      await message.delete();
+
+      return {
+        success: true,
+        message: 'Message deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the unread direct messages of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { count }
+   */
+  static async getUnreadCount(userId) {
+    try {
+      const count = await Message.countDocuments({
+        recipient: userId,
+        status: { $ne: constants.MESSAGING.STATUS.READ },
+        isDeleted: false
+      });
+
+      return {
+        success: true,
+        data: { count }
+      };
+    } catch (error) {
+      logger.error('Error counting unread messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search the messages a user sent or received, directly or in a group
+   * @param {string} userId - Requesting user
+   * @param {string} query - Text to look for
+   * @param {Object} filters - { groupId, type, page, limit }
+   * @returns {Promise<Object>} - { messages, pagination }
+   */
+  static async searchMessages(userId, query, filters = {}) {
+    try {
+      const { page, limit, skip } = paginate(filters);
+      const search = {
+        content: { $regex: escapeRegExp(query), $options: 'i' },
+        isDeleted: false
+      };
+      if (filters.type) search.type = filters.type;
+
+      if (filters.groupId) {
+        const group = await Group.findById(filters.groupId);
+        if (!group || !group.isMember(userId)) {
+          throw new Error('User is not a member of this group');
+        }
+        search.group = filters.groupId;
+      } else {
+        search.$or = [{ sender: userId }, { recipient: userId }];
+      }
+
+      const messages = await Message.find(search)
+        .populate('sender', SENDER_FIELDS)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Message.countDocuments(search);
+
+      return {
+        success: true,
+        data: {
+          messages,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching messages:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MessageService;
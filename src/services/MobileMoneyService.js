@@ -0,0 +1,340 @@
+const Payment = require('../models/Payment');
+const Contribution = require('../models/Contribution');
+const Group = require('../models/Group');
+const ContributionPaymentService = require('./ContributionPaymentService');
+const WebhookService = require('./WebhookService');
+const { getProvider, getProviderNames } = require('../paymentProviders');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+const logger = require('../utils/logger');
+
+// Pending payments are polled once the operator had time to call back, and failed after 30 minutes
+const POLL_DELAY_MS = 2 * 60 * 1000;
+const PENDING_TIMEOUT_MS = 30 * 60 * 1000;
+
+const POLL_BATCH_SIZE = 100;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class MobileMoneyService {
+  /**
+   * List the mobile money providers members can pay with
+   * @returns {Object} - Provider names and currencies
+   */
+  static getProviders() {
+    return {
+      success: true,
+      data: {
+        providers: getProviderNames().map(name => ({
+          name,
+          currencies: getProvider(name).currencies
+        }))
+      }
+    };
+  }
+
+  /**
+   * Start a mobile money payment of a contribution
+   * The operator asks the payer to confirm on their phone; the payment stays PENDING until the
+   * operator calls back or the status is polled.
+   * @param {Object} paymentData - contributionId, provider, phoneNumber and an optional amount
+   * @param {string} userId - Paying user ID
+   * @returns {Promise<Object>} - Pending payment and payer instructions
+   */
+  static async initiatePayment(paymentData, userId) {
+    try {
+      const provider = getProvider(paymentData.provider);
+
+      const contribution = await Contribution.findById(paymentData.contributionId);
+      if (!contribution) {
+        throw new Error('Contribution not found');
+      }
+
+      if (contribution.user.toString() !== userId) {
+        throw new Error('Only the member who owes a contribution can pay it');
+      }
+
+      if (['PAID', 'CANCELLED'].includes(contribution.status)) {
+        throw new Error('Contribution is not awaiting payment');
+      }
+
+      // Payments still awaiting the operator or a treasurer count against the balance, so the
+      // member cannot start a second payment of the same amount meanwhile
+      const pendingPayments = await Payment.find({ contribution: contribution._id, status: 'PENDING' }, 'amount');
+      const pendingAmount = pendingPayments.reduce((sum, pending) => sum + pending.amount, 0);
+      const { remaining } = ContributionPaymentService.getBalance(contribution);
+      const payable = roundAmount(remaining - pendingAmount);
+      if (payable <= 0) {
+        throw new Error('The remaining balance of this contribution is already awaiting confirmation');
+      }
+
+      const amount = paymentData.amount || payable;
+      if (amount > payable) {
+        throw new Error('Payment exceeds the remaining balance of this contribution');
+      }
+
+      const group = await Group.findById(contribution.group);
+      const currency = (group && group.settings.currency) || 'XOF';
+      if (!provider.supportsCurrency(currency)) {
+        throw new Error(`${provider.name} does not support ${currency}`);
+      }
+
+      const payment = await Payment.create({
+        user: userId,
+        contribution: contribution._id,
+        amount,
+        currency,
+        method: 'MOBILE_MONEY',
+        status: 'PENDING',
+        mobileMoney: {
+          provider: provider.name,
+          phoneNumber: paymentData.phoneNumber
+        }
+      });
+
+      let transaction;
+      try {
+        transaction = await provider.initiate({
+          reference: payment._id.toString(),
+          amount,
+          currency,
+          phoneNumber: paymentData.phoneNumber,
+          callbackUrl: this.getCallbackUrl(provider.name)
+        });
+      } catch (error) {
+        payment.status = 'FAILED';
+        payment.failureReason = error.message;
+        await payment.save();
+        throw new Error('Mobile money payment could not be initiated');
+      }
+
+      payment.mobileMoney.providerReference = transaction.providerReference;
+      payment.mobileMoney.instructions = transaction.instructions;
+      await payment.save();
+
+      logger.info(`Mobile money payment initiated: ${payment._id}`, {
+        provider: provider.name,
+        contributionId: contribution._id,
+        amount
+      });
+
+      // Some operators settle instantly and never call back
+      const settled = transaction.status === 'PENDING'
+        ? payment
+        : await this.settlePayment(payment, transaction);
+
+      return {
+        success: true,
+        message: 'Mobile money payment initiated successfully',
+        data: { payment: settled }
+      };
+    } catch (error) {
+      logger.error('Error initiating mobile money payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle an operator callback
+   * Callbacks are verified with the provider's secret; replayed callbacks change nothing.
+   * @param {string} providerName - Provider name
+   * @param {string} rawBody - Raw callback body, as received
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} - Payment
+   */
+  static async handleCallback(providerName, rawBody, headers) {
+    try {
+      if (!getProviderNames().includes(providerName)) {
+        throw new Error('Mobile money provider not found');
+      }
+
+      const provider = getProvider(providerName);
+      const transaction = provider.verifyCallback(rawBody, headers);
+
+      const payment = await Payment.findOne({
+        method: 'MOBILE_MONEY',
+        'mobileMoney.provider': provider.name,
+        'mobileMoney.providerReference': transaction.providerReference
+      });
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      const settled = await this.settlePayment(payment, transaction);
+
+      return {
+        success: true,
+        message: 'Callback processed successfully',
+        data: { payment: settled }
+      };
+    } catch (error) {
+      logger.error('Error handling mobile money callback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status of a mobile money payment, asking the operator while it is pending
+   * @param {string} paymentId - Payment ID
+   * @param {string} userId - Paying user ID
+   * @returns {Promise<Object>} - Payment
+   */
+  static async getPaymentStatus(paymentId, userId) {
+    try {
+      const payment = await Payment.findById(paymentId);
+      if (!payment || payment.method !== 'MOBILE_MONEY') {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.user.toString() !== userId) {
+        throw new Error('Access denied to this payment');
+      }
+
+      if (payment.status !== 'PENDING' || !payment.mobileMoney.providerReference) {
+        return { success: true, data: { payment } };
+      }
+
+      let transaction;
+      try {
+        transaction = await getProvider(payment.mobileMoney.provider)
+          .getStatus(payment.mobileMoney.providerReference);
+      } catch (error) {
+        // The operator being unreachable is not an error for the payer, the payment is still pending
+        logger.warn(`Could not poll mobile money payment: ${paymentId}`, { error: error.message });
+        return { success: true, data: { payment } };
+      }
+
+      return {
+        success: true,
+        data: { payment: await this.settlePayment(payment, transaction) }
+      };
+    } catch (error) {
+      logger.error('Error getting mobile money payment status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Poll the operator for pending payments whose callback did not arrive
+   * Payments still pending after PENDING_TIMEOUT_MS are failed.
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Poll summary
+   */
+  static async pollPendingPayments(now = new Date()) {
+    try {
+      const payments = await Payment.find({
+        method: 'MOBILE_MONEY',
+        status: 'PENDING',
+        'mobileMoney.providerReference': { $ne: null },
+        createdAt: { $lte: new Date(now.getTime() - POLL_DELAY_MS) }
+      })
+        .sort({ createdAt: 1 })
+        .limit(POLL_BATCH_SIZE);
+
+      const summary = { checked: 0, succeeded: 0, failed: 0, failures: [] };
+
+      for (const payment of payments) {
+        try {
+          let transaction = await getProvider(payment.mobileMoney.provider)
+            .getStatus(payment.mobileMoney.providerReference);
+
+          if (transaction.status === 'PENDING' && now - payment.createdAt >= PENDING_TIMEOUT_MS) {
+            transaction = { ...transaction, status: 'FAILED', failureReason: 'Payment was not confirmed in time' };
+          }
+
+          const settled = await this.settlePayment(payment, transaction, now);
+          summary.checked += 1;
+          if (settled.status === 'SUCCEEDED') {
+            summary.succeeded += 1;
+          } else if (settled.status === 'FAILED') {
+            summary.failed += 1;
+          }
+        } catch (error) {
+          logger.error(`Error polling mobile money payment: ${payment._id}`, error);
+          summary.failures.push({ paymentId: payment._id, error: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        data: summary
+      };
+    } catch (error) {
+      logger.error('Error polling pending mobile money payments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the final status of a payment and apply it to its contribution once it succeeds
+   * The status only moves out of PENDING once, so callbacks and polls cannot settle it twice.
+   * @param {Object} payment - Payment document
+   * @param {Object} transaction - Operator status: status, failureReason
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Payment
+   */
+  static async settlePayment(payment, transaction, now = new Date()) {
+    if (transaction.status === 'PENDING') {
+      return payment;
+    }
+
+    const settled = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'PENDING' },
+      {
+        $set: {
+          status: transaction.status,
+          failureReason: transaction.status === 'FAILED' ? transaction.failureReason : null,
+          'mobileMoney.settledAt': now
+        }
+      },
+      { new: true }
+    );
+
+    if (!settled) {
+      return Payment.findById(payment._id);
+    }
+
+    logger.info(`Mobile money payment settled: ${payment._id}`, { status: settled.status });
+
+    if (settled.status !== 'SUCCEEDED') {
+      return settled;
+    }
+
+    await WebhookService.emit(WEBHOOK_EVENTS.PAYMENT_VERIFIED, {
+      paymentId: settled._id,
+      contributionId: settled.contribution,
+      userId: settled.user,
+      amount: settled.amount,
+      currency: settled.currency,
+      method: settled.method,
+      provider: settled.mobileMoney.provider
+    });
+
+    try {
+      await ContributionPaymentService.applyPayment(
+        settled.contribution.toString(),
+        settled._id.toString(),
+        settled.user.toString()
+      );
+    } catch (error) {
+      // The money was collected, so the payment stays SUCCEEDED for a treasurer to sort out
+      logger.error(`Succeeded mobile money payment could not be applied: ${settled._id}`, error);
+    }
+
+    return settled;
+  }
+
+  /**
+   * URL the operator calls back once the payer confirmed or declined
+   * @param {string} providerName - Provider name
+   * @returns {string|null} - Callback URL, or null when API_BASE_URL is not set
+   */
+  static getCallbackUrl(providerName) {
+    if (!process.env.API_BASE_URL) {
+      return null;
+    }
+
+    return `${process.env.API_BASE_URL.replace(/\/+$/, '')}/api/payments/mobile-money/callbacks/${providerName}`;
+  }
+}
+
+module.exports = MobileMoneyService;
@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS } = require('../config/notificationEvents');
+const logger = require('../utils/logger');
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00', timezone: 'UTC' };
+const DEFAULT_DIGEST = { enabled: false, hour: 8 };
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+class NotificationPreferenceService {
+  /**
+   * Fill in the defaults of stored notification preferences
+   * @param {Object} preferences - User.notificationPreferences, possibly unset
+   * @returns {Object} - Plain preferences (channels, quietHours, digest)
+   */
+  static resolve(preferences) {
+    const source = preferences && preferences.toObject ? preferences.toObject() : (preferences || {});
+    const channels = source.channels instanceof Map
+      ? Object.fromEntries(source.channels)
+      : { ...(source.channels || {}) };
+
+    return {
+      channels,
+      quietHours: { ...DEFAULT_QUIET_HOURS, ...(source.quietHours || {}) },
+      digest: { ...DEFAULT_DIGEST, ...(source.digest || {}) }
+    };
+  }
+
+  /**
+   * Get the channels a user wants an event delivered on
+   * @param {Object} preferences - Resolved preferences
+   * @param {string} type - Event type
+   * @returns {Array<string>} - Channels, empty when the user turned the event off
+   */
+  static getChannels(preferences, type) {
+    if (Array.isArray(preferences.channels[type])) {
+      return preferences.channels[type];
+    }
+    return NOTIFICATION_EVENTS[type] || [NOTIFICATION_CHANNELS.IN_APP];
+  }
+
+  /**
+   * Get the local hour and minute in a timezone
+   * @param {Date} date - Reference date
+   * @param {string} timezone - IANA timezone
+   * @returns {Object} - Hour and minute
+   */
+  static getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const value = (type) => parseInt(parts.find(part => part.type === type).value);
+    return { hour: value('hour'), minute: value('minute') };
+  }
+
+  /**
+   * Check whether a date falls within the quiet hours of a user
+   * Quiet hours may span midnight, e.g. 22:00 to 07:00.
+   * @param {Object} preferences - Resolved preferences
+   * @param {Date} now - Reference date
+   * @returns {boolean} - True during quiet hours
+   */
+  static isQuietTime(preferences, now = new Date()) {
+    const { enabled, start, end, timezone } = preferences.quietHours;
+    if (!enabled) {
+      return false;
+    }
+
+    const { hour, minute } = this.getLocalTime(now, timezone);
+    const current = hour * 60 + minute;
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+
+    return from <= to
+      ? current >= from && current < to
+      : current >= from || current < to;
+  }
+
+  /**
+   * Get the notification preferences of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Preferences and the default channels of each event
+   */
+  static async getPreferences(userId) {
+    try {
+      const user = await User.findById(userId).select('notificationPreferences');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return {
+        success: true,
+        data: {
+          preferences: this.resolve(user.notificationPreferences),
+          defaults: NOTIFICATION_EVENTS
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting notification preferences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the notification preferences of a user
+   * @param {string} userId - User ID
+   * @param {Object} preferences - Preferences (channels, quietHours, digest)
+   * @returns {Promise<Object>} - Updated preferences
+   */
+  static async updatePreferences(userId, preferences) {
+    try {
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { notificationPreferences: preferences } },
+        { new: true, runValidators: true }
+      ).select('notificationPreferences');
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      logger.info(`Notification preferences updated for user: ${userId}`);
+
+      return {
+        success: true,
+        message: 'Notification preferences updated successfully',
+        data: { preferences: this.resolve(user.notificationPreferences) }
+      };
+    } catch (error) {
+      logger.error('Error updating notification preferences:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = NotificationPreferenceService;
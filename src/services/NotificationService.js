@@ -0,0 +1,412 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { getTransport } = require('../transports');
+const NotificationPreferenceService = require('./NotificationPreferenceService');
+const { NOTIFICATION_CHANNELS } = require('../config/notificationEvents');
+const { resolveLocale } = require('../locales');
+const { renderNotification, renderEmail, renderDigestSubject } = require('../utils/templateRenderer');
+const logger = require('../utils/logger');
+
+const { IN_APP, EMAIL, SMS, PUSH } = NOTIFICATION_CHANNELS;
+
+const USER_FIELDS = 'firstName email phone preferredLanguage notificationPreferences';
+
+// socket.io server, set once the HTTP server is listening
+let io = null;
+
+class NotificationService {
+  /**
+   * Register the socket.io server used to push notifications live
+   * Sockets must join the `user:<id>` room of their authenticated user.
+   * @param {Object} server - socket.io server
+   */
+  static setSocketServer(server) {
+    io = server;
+  }
+
+  /**
+   * Notify a user on the channels they chose for the event
+   * Title and message are rendered from the template of the event type in the user's preferred
+   * language; types without a template use the title and message given by the caller.
+   * The notification is stored whenever a channel is selected, so the in-app center and the
+   * deferred deliveries can find it. During quiet hours nothing is pushed live and the other
+   * channels are held back; in digest mode emails wait for the daily digest.
+   * @param {string} userId - Recipient user ID
+   * @param {Object} notification - Notification data (type, variant, params, data, or title and message)
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Stored notification and delivered, failed and deferred channels
+   */
+  static async notifyUser(userId, notification, now = new Date()) {
+    try {
+      const user = await User.findById(userId).select(USER_FIELDS);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const preferences = NotificationPreferenceService.resolve(user.notificationPreferences);
+      const channels = NotificationPreferenceService.getChannels(preferences, notification.type);
+
+      if (channels.length === 0) {
+        return { notification: null, delivered: [], failed: [], deferred: [] };
+      }
+
+      const quiet = NotificationPreferenceService.isQuietTime(preferences, now);
+      const deferred = channels.filter(channel =>
+        channel !== IN_APP && (quiet || (channel === EMAIL && preferences.digest.enabled))
+      );
+
+      const locale = resolveLocale(user.preferredLanguage);
+      const { title, message } = renderNotification(locale, notification) || notification;
+
+      const created = await Notification.create({
+        user: userId,
+        type: notification.type,
+        locale,
+        title,
+        message,
+        data: notification.data || {},
+        channels,
+        deferredChannels: deferred
+      });
+
+      const delivered = [];
+      const failed = [];
+
+      if (channels.includes(IN_APP)) {
+        delivered.push(IN_APP);
+        if (!quiet) {
+          this.push(userId, created);
+        }
+      }
+
+      for (const channel of channels.filter(item => item !== IN_APP && !deferred.includes(item))) {
+        const sent = await this.sendExternal(channel, user, created);
+        (sent ? delivered : failed).push(channel);
+      }
+
+      return { notification: created, delivered, failed, deferred };
+    } catch (error) {
+      logger.error('Error notifying user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Push a stored notification to the connected clients of a user
+   * The notification is stored either way, so a failed push is only logged.
+   * @param {string} userId - Recipient user ID
+   * @param {Object} notification - Notification document
+   */
+  static push(userId, notification) {
+    if (!io) {
+      return;
+    }
+
+    try {
+      io.to(`user:${userId}`).emit('notification', notification.toJSON());
+    } catch (error) {
+      logger.warn(`Could not push notification to user: ${userId}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Build the transport message of a notification for a channel
+   * @param {string} channel - EMAIL, SMS or PUSH
+   * @param {Object} user - Recipient (firstName, email, phone)
+   * @param {Object} notification - Notification (title, message, data)
+   * @returns {Object|null} - Message, or null when the user has no address for the channel
+   */
+  static buildMessage(channel, user, notification) {
+    const to = {
+      [EMAIL]: user.email,
+      [SMS]: user.phone,
+      [PUSH]: user._id.toString()
+    }[channel];
+
+    if (!to) {
+      return null;
+    }
+
+    if (channel === EMAIL) {
+      return {
+        channel,
+        to,
+        ...renderEmail(resolveLocale(user.preferredLanguage), {
+          firstName: user.firstName,
+          subject: notification.title,
+          message: notification.message
+        })
+      };
+    }
+
+    return {
+      channel,
+      to,
+      subject: notification.title,
+      text: `${notification.title}: ${notification.message}`,
+      data: notification.data || {}
+    };
+  }
+
+  /**
+   * Deliver a notification through the transport configured for a channel
+   * @param {string} channel - EMAIL, SMS or PUSH
+   * @param {Object} user - Recipient (firstName, email, phone)
+   * @param {Object} notification - Notification (title, message, data)
+   * @returns {Promise<boolean>} - True if the transport accepted the message
+   */
+  static async sendExternal(channel, user, notification) {
+    const message = this.buildMessage(channel, user, notification);
+    if (!message) {
+      return false;
+    }
+
+    try {
+      await getTransport(channel).send(message);
+      return true;
+    } catch (error) {
+      logger.warn(`${channel} notification failed for user: ${user._id}`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Deliver the notifications held back by quiet hours or the email digest
+   * Run by the deliver-deferred-notifications job. Held emails of a user in digest mode are
+   * sent as one message at their digest hour.
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Number of sent messages and per-user failures
+   */
+  static async deliverDeferred(now = new Date()) {
+    try {
+      const pending = await Notification.find({ 'deferredChannels.0': { $exists: true } })
+        .sort({ createdAt: 1 });
+
+      const byUser = new Map();
+      for (const notification of pending) {
+        const key = notification.user.toString();
+        byUser.set(key, [...(byUser.get(key) || []), notification]);
+      }
+
+      let sent = 0;
+      const failures = [];
+
+      for (const [userId, notifications] of byUser) {
+        try {
+          sent += await this.deliverUserDeferred(userId, notifications, now);
+        } catch (error) {
+          logger.warn(`Could not deliver deferred notifications to user: ${userId}`, { error: error.message });
+          failures.push({ user: userId, error: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        data: {
+          users: byUser.size,
+          sent,
+          failures
+        }
+      };
+    } catch (error) {
+      logger.error('Error delivering deferred notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver the held notifications of one user once their quiet hours are over
+   * @param {string} userId - Recipient user ID
+   * @param {Array} notifications - Notifications with deferred channels, oldest first
+   * @param {Date} now - Reference date
+   * @returns {Promise<number>} - Number of sent messages
+   */
+  static async deliverUserDeferred(userId, notifications, now) {
+    const user = await User.findById(userId).select(USER_FIELDS);
+    if (!user) {
+      await Notification.updateMany({ user: userId }, { $set: { deferredChannels: [] } });
+      return 0;
+    }
+
+    const preferences = NotificationPreferenceService.resolve(user.notificationPreferences);
+    if (NotificationPreferenceService.isQuietTime(preferences, now)) {
+      return 0;
+    }
+
+    let sent = 0;
+
+    for (const channel of [SMS, PUSH]) {
+      const held = notifications.filter(notification => notification.deferredChannels.includes(channel));
+      if (held.length === 0) {
+        continue;
+      }
+
+      for (const notification of held) {
+        if (await this.sendExternal(channel, user, notification)) {
+          sent++;
+        }
+      }
+
+      await Notification.updateMany(
+        { _id: { $in: held.map(notification => notification._id) } },
+        { $pull: { deferredChannels: channel } }
+      );
+    }
+
+    let emails = notifications.filter(notification => notification.deferredChannels.includes(EMAIL));
+
+    if (preferences.digest.enabled && emails.length > 0) {
+      const { hour } = NotificationPreferenceService.getLocalTime(now, preferences.quietHours.timezone);
+      if (hour !== preferences.digest.hour) {
+        emails = [];
+      } else {
+        const digest = {
+          title: renderDigestSubject(resolveLocale(user.preferredLanguage), emails.length),
+          message: emails.map(notification => `- ${notification.title}: ${notification.message}`).join('\n')
+        };
+        if (await this.sendExternal(EMAIL, user, digest)) {
+          sent++;
+        }
+      }
+    } else {
+      for (const notification of emails) {
+        if (await this.sendExternal(EMAIL, user, notification)) {
+          sent++;
+        }
+      }
+    }
+
+    if (emails.length > 0) {
+      await Notification.updateMany(
+        { _id: { $in: emails.map(notification => notification._id) } },
+        { $pull: { deferredChannels: EMAIL } }
+      );
+    }
+
+    return sent;
+  }
+
+  /**
+   * Get the notifications of a user, most recent first
+   * @param {string} userId - User ID
+   * @param {Object} filters - Filters (unreadOnly, page, limit)
+   * @returns {Promise<Object>} - Notifications, unread count and pagination
+   */
+  static async getNotifications(userId, filters = {}) {
+    try {
+      const { unreadOnly = false, page = 1, limit = 20 } = filters;
+
+      const query = { user: userId, channels: IN_APP };
+      if (unreadOnly) {
+        query.readAt = null;
+      }
+
+      const notifications = await Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      const total = await Notification.countDocuments(query);
+      const unreadCount = await Notification.countUnread(userId);
+
+      return {
+        success: true,
+        data: {
+          notifications,
+          unreadCount,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} notificationId - Notification ID
+   * @param {string} userId - Recipient user ID
+   * @returns {Promise<Object>} - Updated notification and unread count
+   */
+  static async markAsRead(notificationId, userId) {
+    try {
+      const notification = await Notification.findOne({ _id: notificationId, user: userId });
+      if (!notification) {
+        throw new Error('Notification not found');
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+
+      const unreadCount = await Notification.countUnread(userId);
+
+      return {
+        success: true,
+        message: 'Notification marked as read',
+        data: { notification, unreadCount }
+      };
+    } catch (error) {
+      logger.error('Error marking notification as read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every unread notification of a user as read
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Number of updated notifications
+   */
+  static async markAllAsRead(userId) {
+    try {
+      const result = await Notification.updateMany(
+        { user: userId, channels: IN_APP, readAt: null },
+        { $set: { readAt: new Date() } }
+      );
+
+      return {
+        success: true,
+        message: 'All notifications marked as read',
+        data: { updated: result.modifiedCount, unreadCount: 0 }
+      };
+    } catch (error) {
+      logger.error('Error marking all notifications as read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a notification
+   * @param {string} notificationId - Notification ID
+   * @param {string} userId - Recipient user ID
+   * @returns {Promise<Object>} - Unread count after deletion
+   */
+  static async deleteNotification(notificationId, userId) {
+    try {
+      const notification = await Notification.findOneAndDelete({ _id: notificationId, user: userId });
+      if (!notification) {
+        throw new Error('Notification not found');
+      }
+
+      const unreadCount = await Notification.countUnread(userId);
+
+      return {
+        success: true,
+        message: 'Notification deleted successfully',
+        data: { unreadCount }
+      };
+    } catch (error) {
+      logger.error('Error deleting notification:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = NotificationService;
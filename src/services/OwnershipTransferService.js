@@ -0,0 +1,240 @@
+const OwnershipTransfer = require('../models/OwnershipTransfer');
+const Group = require('../models/Group');
+const NotificationService = require('./NotificationService');
+const { getGroupRole } = require('../utils/membershipHelper');
+const logger = require('../utils/logger');
+
+const TRANSFER_EXPIRY_DAYS = 7;
+
+/**
+ * Notify a party of a transfer; the transfer stands even if the notification fails
+ * @param {string} userId - User to notify
+ * @param {Object} notification - { type, params, data }
+ */
+const notifyParty = async (userId, notification) => {
+  try {
+    await NotificationService.notifyUser(userId, notification);
+  } catch (error) {
+    logger.warn(`Could not notify user of ownership transfer: ${userId}`, { error: error.message });
+  }
+};
+
+class OwnershipTransferService {
+  /**
+   * Offer the ownership of a group to another member
+   * @param {string} groupId - Group ID
+   * @param {Object} transferData - Transfer data (newOwnerId, message)
+   * @param {string} userId - User ID of the current creator
+   * @returns {Promise<Object>} - Ownership transfer
+   */
+  static async requestTransfer(groupId, transferData, userId) {
+    try {
+      const { newOwnerId, message } = transferData;
+
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (group.creator.toString() !== userId) {
+        throw new Error('Only the group creator can transfer ownership');
+      }
+
+      if (newOwnerId === userId) {
+        throw new Error('You already own this group');
+      }
+
+      if (!getGroupRole(group, newOwnerId)) {
+        throw new Error('New owner must be an active member of the group');
+      }
+
+      const pending = await OwnershipTransfer.findPendingByGroup(groupId);
+      if (pending && !pending.isExpired()) {
+        throw new Error('An ownership transfer is already pending for this group');
+      }
+      if (pending) {
+        pending.status = 'CANCELLED';
+        await pending.save();
+      }
+
+      const transfer = await OwnershipTransfer.create({
+        group: groupId,
+        fromUser: userId,
+        toUser: newOwnerId,
+        message,
+        expiresAt: new Date(Date.now() + TRANSFER_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+      });
+
+      await notifyParty(newOwnerId, {
+        type: 'OWNERSHIP_TRANSFER_REQUESTED',
+        params: { groupName: group.name },
+        data: { groupId, transferId: transfer._id }
+      });
+
+      logger.info(`Ownership transfer requested for group: ${groupId}`, {
+        transferId: transfer._id,
+        from: userId,
+        to: newOwnerId
+      });
+
+      return {
+        success: true,
+        message: 'Ownership transfer requested successfully',
+        data: { transfer }
+      };
+    } catch (error) {
+      logger.error('Error requesting ownership transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept the ownership of a group as the designated member
+   * @param {string} groupId - Group ID
+   * @param {string} transferId - Transfer ID
+   * @param {string} userId - User ID of the new owner
+   * @returns {Promise<Object>} - Transfer and updated group
+   */
+  static async acceptTransfer(groupId, transferId, userId) {
+    try {
+      const transfer = await this.getPendingTransfer(groupId, transferId);
+
+      if (transfer.toUser.toString() !== userId) {
+        throw new Error('Only the designated member can accept this transfer');
+      }
+
+      // The creator only changes if nobody else changed it and the new owner is still active
+      const group = await Group.findOneAndUpdate(
+        {
+          _id: groupId,
+          creator: transfer.fromUser,
+          members: { $elemMatch: { user: transfer.toUser, status: 'ACTIVE' } }
+        },
+        {
+          $set: {
+            creator: transfer.toUser,
+            'members.$[newOwner].role': 'ADMIN'
+          }
+        },
+        {
+          arrayFilters: [{ 'newOwner.user': transfer.toUser }],
+          new: true
+        }
+      );
+
+      if (!group) {
+        throw new Error('Group ownership changed since the transfer was requested');
+      }
+
+      transfer.status = 'ACCEPTED';
+      transfer.respondedAt = new Date();
+      await transfer.save();
+
+      await notifyParty(transfer.fromUser.toString(), {
+        type: 'OWNERSHIP_TRANSFER_ACCEPTED',
+        params: { groupName: group.name },
+        data: { groupId, transferId }
+      });
+
+      logger.info(`Ownership transferred for group: ${groupId}`, {
+        transferId,
+        from: transfer.fromUser,
+        to: userId
+      });
+
+      return {
+        success: true,
+        message: 'Ownership transfer accepted successfully',
+        data: { transfer, group }
+      };
+    } catch (error) {
+      logger.error('Error accepting ownership transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decline the ownership of a group as the designated member
+   * @param {string} groupId - Group ID
+   * @param {string} transferId - Transfer ID
+   * @param {string} userId - User ID of the designated member
+   * @returns {Promise<Object>} - Declined transfer
+   */
+  static async declineTransfer(groupId, transferId, userId) {
+    try {
+      const transfer = await this.getPendingTransfer(groupId, transferId);
+
+      if (transfer.toUser.toString() !== userId) {
+        throw new Error('Only the designated member can decline this transfer');
+      }
+
+      transfer.status = 'DECLINED';
+      transfer.respondedAt = new Date();
+      await transfer.save();
+
+      await notifyParty(transfer.fromUser.toString(), {
+        type: 'OWNERSHIP_TRANSFER_DECLINED',
+        data: { groupId, transferId }
+      });
+
+      return {
+        success: true,
+        message: 'Ownership transfer declined successfully',
+        data: { transfer }
+      };
+    } catch (error) {
+      logger.error('Error declining ownership transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a pending transfer as the current creator
+   * @param {string} groupId - Group ID
+   * @param {string} transferId - Transfer ID
+   * @param {string} userId - User ID of the current creator
+   * @returns {Promise<Object>} - Cancelled transfer
+   */
+  static async cancelTransfer(groupId, transferId, userId) {
+    try {
+      const transfer = await this.getPendingTransfer(groupId, transferId);
+
+      if (transfer.fromUser.toString() !== userId) {
+        throw new Error('Only the group creator can cancel this transfer');
+      }
+
+      transfer.status = 'CANCELLED';
+      await transfer.save();
+
+      return {
+        success: true,
+        message: 'Ownership transfer cancelled successfully',
+        data: { transfer }
+      };
+    } catch (error) {
+      logger.error('Error cancelling ownership transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a pending, unexpired transfer of a group
+   * @param {string} groupId - Group ID
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object>} - Ownership transfer
+   */
+  static async getPendingTransfer(groupId, transferId) {
+    const transfer = await OwnershipTransfer.findOne({ _id: transferId, group: groupId });
+    if (!transfer) {
+      throw new Error('Ownership transfer not found');
+    }
+
+    if (transfer.status !== 'PENDING' || transfer.isExpired()) {
+      throw new Error('Ownership transfer is no longer pending');
+    }
+
+    return transfer;
+  }
+}
+
+module.exports = OwnershipTransferService;
@@ -0,0 +1,306 @@
+const Payment = require('../models/Payment');
+const Contribution = require('../models/Contribution');
+const User = require('../models/User');
+const ContributionPaymentService = require('./ContributionPaymentService');
+const NotificationService = require('./NotificationService');
+const WebhookService = require('./WebhookService');
+const constants = require('../config/constants');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+const { post } = require('../utils/httpClient');
+const { getContributionReference } = require('../utils/paymentReference');
+const logger = require('../utils/logger');
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+// Currencies Stripe expects in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['XOF', 'XAF'];
+
+/**
+ * Convert an amount to the smallest unit of its currency, as Stripe expects it
+ * @param {number} amount - Amount in currency units
+ * @param {string} currency - ISO currency code
+ * @returns {number} - Amount in the smallest currency unit
+ */
+const toStripeAmount = (amount, currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency) ? Math.round(amount) : Math.round(amount * 100);
+
+/**
+ * Tell the payer the outcome of the verification of their bank transfer
+ * The decision is saved by then, so a failed notification is only logged.
+ * @param {Object} payment - Payment document
+ * @param {string} type - PAYMENT_VERIFIED or PAYMENT_REJECTED
+ */
+const notifyPayer = async (payment, type) => {
+  try {
+    await NotificationService.notifyUser(payment.user.toString(), {
+      type,
+      params: { amount: payment.amount, currency: payment.currency },
+      data: { paymentId: payment._id, contributionId: payment.contribution, reason: payment.failureReason }
+    });
+  } catch (error) {
+    logger.warn(`Could not notify payer of bank transfer review: ${payment._id}`, { error: error.message });
+  }
+};
+
+/**
+ * Check that a currency is one the platform accepts
+ * @param {string} currency - ISO currency code
+ */
+const assertSupportedCurrency = (currency) => {
+  if (!constants.CURRENCIES.includes(currency)) {
+    throw new Error('Unsupported currency');
+  }
+};
+
+class PaymentService {
+  /**
+   * Record a bank transfer made by a member; it stays PENDING until an admin verifies it
+   * A reference given by the member must be the one of the contribution; without one, the
+   * payment gets the contribution's reference so statements can still be matched to it.
+   * @param {Object} paymentData - { userId, contributionId, amount, currency, reference, bankProofUrl }
+   * @returns {Promise<Object>} - Created payment
+   */
+  static async createBankTransferPayment(paymentData) {
+    const { userId, contributionId, amount, currency = 'XOF', reference, bankProofUrl } = paymentData;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    assertSupportedCurrency(currency);
+
+    if (!(amount > 0)) {
+      throw new Error('Amount must be positive');
+    }
+
+    const contribution = await Contribution.findById(contributionId);
+    if (!contribution) {
+      throw new Error('Contribution not found');
+    }
+
+    if (contribution.user.toString() !== userId.toString()) {
+      throw new Error('Only the member who owes a contribution can pay it');
+    }
+
+    const payment = await Payment.create({
+      user: userId,
+      contribution: contributionId,
+      amount,
+      currency,
+      method: 'BANK_TRANSFER',
+      status: 'PENDING',
+      reference: reference
+        ? ContributionPaymentService.assertPaymentReference(contribution, reference)
+        : getContributionReference(contribution),
+      bankProofUrl
+    });
+
+    logger.info(`Bank transfer payment created: ${payment._id} by user ${userId}`);
+
+    return payment;
+  }
+
+  /**
+   * Create a Stripe payment intent and the matching PENDING payment
+   * @param {Object} paymentData - { userId, contributionId, amount, currency }
+   * @returns {Promise<Object>} - { payment, clientSecret }
+   */
+  static async createStripePaymentIntent(paymentData) {
+    const secretKey = process.env.STRIPE_SECRET_KEY;
+    if (!secretKey) {
+      throw new Error('Stripe is not configured');
+    }
+
+    const { userId, contributionId, amount, currency = 'XOF' } = paymentData;
+
+    assertSupportedCurrency(currency);
+
+    if (!(amount > 0)) {
+      throw new Error('Amount must be positive');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const form = new URLSearchParams({
+      amount: String(toStripeAmount(amount, currency)),
+      currency: currency.toLowerCase(),
+      'metadata[userId]': String(userId)
+    });
+    if (contributionId) {
+      form.append('metadata[contributionId]', String(contributionId));
+    }
+
+    const { text } = await post(`${STRIPE_API_URL}/payment_intents`, form.toString(), {
+      Authorization: `Bearer ${secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    });
+    const intent = JSON.parse(text);
+
+    const payment = await Payment.create({
+      user: userId,
+      contribution: contributionId,
+      amount,
+      currency,
+      method: 'STRIPE',
+      status: 'PENDING',
+      stripePaymentIntentId: intent.id
+    });
+
+    logger.info(`Stripe payment intent created: ${intent.id} for payment ${payment._id}`);
+
+    return {
+      payment,
+      clientSecret: intent.client_secret
+    };
+  }
+
+  /**
+   * List payments, most recent first
+   * @param {Object} options - { userId, status, page, limit }
+   * @returns {Promise<Object>} - { payments, total, page, totalPages }
+   */
+  static async listPayments({ userId, status, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (userId) query.user = userId;
+    if (status) query.status = status;
+
+    const payments = await Payment.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await Payment.countDocuments(query);
+
+    return {
+      payments,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * List all the payments of a user, most recent first
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { payments }
+   */
+  static async getUserPayments(userId) {
+    const payments = await Payment.find({ user: userId }).sort({ createdAt: -1 });
+
+    return {
+      success: true,
+      data: { payments }
+    };
+  }
+
+  /**
+   * Get a payment; members only see their own payments
+   * @param {Object} options - { paymentId, userId, isAdmin }
+   * @returns {Promise<Object>} - Payment
+   */
+  static async getPaymentById({ paymentId, userId, isAdmin = false }) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (!isAdmin && payment.user.toString() !== userId.toString()) {
+      throw new Error('Forbidden');
+    }
+
+    return payment;
+  }
+
+  /**
+   * Confirm that a bank transfer was received
+   * The payment is then applied to its contribution, which posts it to the group ledger.
+   * @param {Object} options - { paymentId, adminUserId, notes }
+   * @returns {Promise<Object>} - Verified payment
+   */
+  static async verifyBankTransfer({ paymentId, adminUserId, notes }) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (payment.method !== 'BANK_TRANSFER') {
+      throw new Error('Not a bank transfer');
+    }
+
+    if (payment.status !== 'PENDING') {
+      throw new Error('Payment is not pending verification');
+    }
+
+    payment.status = 'SUCCEEDED';
+    payment.verifiedBy = adminUserId;
+    payment.verifiedAt = new Date();
+    if (notes) {
+      payment.verificationNotes = notes;
+    }
+    await payment.save();
+
+    logger.info(`Bank transfer verified: ${paymentId} by admin ${adminUserId}`);
+
+    await notifyPayer(payment, 'PAYMENT_VERIFIED');
+
+    await WebhookService.emit(WEBHOOK_EVENTS.PAYMENT_VERIFIED, {
+      paymentId: payment._id,
+      contributionId: payment.contribution,
+      userId: payment.user,
+      amount: payment.amount,
+      currency: payment.currency,
+      method: payment.method
+    });
+
+    if (payment.contribution) {
+      try {
+        await ContributionPaymentService.applyPayment(
+          payment.contribution.toString(),
+          payment._id.toString(),
+          payment.user.toString()
+        );
+      } catch (error) {
+        // The transfer was received, so the payment stays SUCCEEDED for a treasurer to sort out
+        logger.error(`Verified bank transfer could not be applied: ${paymentId}`, error);
+      }
+    }
+
+    return payment;
+  }
+
+  /**
+   * Reject a bank transfer that could not be matched with a received transfer
+   * @param {Object} options - { paymentId, adminUserId, reason }
+   * @returns {Promise<Object>} - Rejected payment
+   */
+  static async rejectBankTransfer({ paymentId, adminUserId, reason }) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (payment.method !== 'BANK_TRANSFER') {
+      throw new Error('Not a bank transfer');
+    }
+
+    if (payment.status !== 'PENDING') {
+      throw new Error('Payment is not pending verification');
+    }
+
+    payment.status = 'FAILED';
+    payment.failureReason = reason;
+    payment.verifiedBy = adminUserId;
+    payment.verifiedAt = new Date();
+    await payment.save();
+
+    logger.info(`Bank transfer rejected: ${paymentId} by admin ${adminUserId}`);
+
+    await notifyPayer(payment, 'PAYMENT_REJECTED');
+
+    return payment;
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const PayoutSchedule = require('../models/PayoutSchedule');
+const Group = require('../models/Group');
+const Contribution = require('../models/Contribution');
+const Payout = require('../models/Payout');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { addPeriods } = require('../utils/cycleHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const logger = require('../utils/logger');
+
+/**
+ * Shuffle a list deterministically from a seed (Fisher-Yates with mulberry32)
+ * @param {Array} items - Items to shuffle
+ * @param {string} seed - Seed string
+ * @returns {Array} - Shuffled copy
+ */
+const seededShuffle = (items, seed) => {
+  let state = crypto.createHash('sha256').update(seed).digest().readUInt32BE(0);
+  const random = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+class PayoutScheduleService {
+  /**
+   * Generate (or regenerate) the payout rotation of a group
+   * @param {string} groupId - Group ID
+   * @param {Object} options - Rotation options (method, order, seed)
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Generated schedule
+   */
+  static async generateSchedule(groupId, options, userId) {
+    try {
+      const { method, order, seed } = options;
+
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_SCHEDULE)) {
+        throw new Error('You are not allowed to manage the payout schedule of this group');
+      }
+
+      const existing = await PayoutSchedule.findByGroup(groupId);
+      if (existing && existing.hasStarted()) {
+        throw new Error('Payout schedule cannot be changed once payouts have started');
+      }
+
+      const activeMembers = group.members
+        .filter(member => member.status === 'ACTIVE')
+        .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt))
+        .map(member => member.user.toString());
+
+      if (activeMembers.length < 2) {
+        throw new Error('At least two active members are required to build a payout schedule');
+      }
+
+      let beneficiaries;
+      let scheduleSeed;
+
+      switch (method) {
+        case 'JOIN_ORDER':
+          beneficiaries = activeMembers;
+          break;
+        case 'RANDOM':
+          scheduleSeed = seed || crypto.randomBytes(16).toString('hex');
+          beneficiaries = seededShuffle(activeMembers, scheduleSeed);
+          break;
+        case 'CUSTOM': {
+          const customOrder = (order || []).map(id => id.toString());
+          const isPermutation = customOrder.length === activeMembers.length &&
+            new Set(customOrder).size === customOrder.length &&
+            customOrder.every(id => activeMembers.includes(id));
+
+          if (!isPermutation) {
+            throw new Error('Custom order must list every active member exactly once');
+          }
+          beneficiaries = customOrder;
+          break;
+        }
+        default:
+          throw new Error('Invalid rotation method');
+      }
+
+      const cycles = beneficiaries.map((beneficiary, index) => ({
+        cycleNumber: index + 1,
+        beneficiary,
+        dueDate: addPeriods(group.settings.startDate, group.settings.contributionFrequency, index),
+        status: 'SCHEDULED'
+      }));
+
+      const schedule = await PayoutSchedule.findOneAndUpdate(
+        { group: groupId },
+        {
+          group: groupId,
+          method,
+          seed: scheduleSeed,
+          cycles,
+          generatedBy: userId,
+          generatedAt: new Date()
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      logger.info(`Payout schedule generated for group: ${groupId}`, {
+        method,
+        cycles: cycles.length,
+        generatedBy: userId
+      });
+
+      return {
+        success: true,
+        message: 'Payout schedule generated successfully',
+        data: { schedule }
+      };
+    } catch (error) {
+      logger.error('Error generating payout schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the payout schedule of a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Schedule
+   */
+  static async getSchedule(groupId, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!group.isMember(userId) && group.creator.toString() !== userId) {
+        throw new Error('Access denied to this group');
+      }
+
+      const schedule = await PayoutSchedule.findByGroup(groupId);
+      if (!schedule) {
+        throw new Error('Payout schedule not found');
+      }
+
+      // Cycles whose due date has passed may have been fully paid since the last read
+      const now = new Date();
+      for (const cycle of schedule.cycles) {
+        if (cycle.status === 'SCHEDULED' && cycle.dueDate <= now) {
+          await this.refreshCycleStatus(groupId, cycle.cycleNumber);
+        }
+      }
+
+      const refreshed = await PayoutSchedule.findByGroup(groupId)
+        .populate('cycles.beneficiary', 'firstName lastName email');
+
+      return {
+        success: true,
+        data: { schedule: refreshed }
+      };
+    } catch (error) {
+      logger.error('Error getting payout schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a departing member out of the payout rotation
+   * The later beneficiaries move up one cycle, so the cycle numbers and due dates stay in a row
+   * and the last scheduled cycle goes away. Contributions already generated for that cycle are
+   * cancelled. Cycles that are due or paid out keep their beneficiary.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Departing member ID
+   * @returns {Promise<Object|null>} - Updated schedule, or null if the member had no cycle left
+   */
+  static async removeBeneficiary(groupId, userId) {
+    const schedule = await PayoutSchedule.findByGroup(groupId);
+    const cycle = schedule && schedule.getCycleForUser(userId);
+    if (!cycle || cycle.status === 'PAID_OUT') {
+      return null;
+    }
+
+    if (cycle.status === 'DUE') {
+      throw new Error('You cannot leave the group while your payout is due');
+    }
+
+    const moving = schedule.cycles
+      .filter(other => other.status === 'SCHEDULED' && other.cycleNumber >= cycle.cycleNumber)
+      .sort((a, b) => a.cycleNumber - b.cycleNumber);
+    const removedCycle = moving[moving.length - 1].cycleNumber;
+    const beneficiaries = new Map(
+      moving.slice(0, -1).map((other, index) => [other.cycleNumber, moving[index + 1].beneficiary])
+    );
+
+    const cycles = schedule.cycles
+      .filter(other => other.cycleNumber !== removedCycle)
+      .map(other => ({
+        cycleNumber: other.cycleNumber,
+        beneficiary: beneficiaries.get(other.cycleNumber) || other.beneficiary,
+        dueDate: other.dueDate,
+        status: other.status,
+        dueAt: other.dueAt,
+        paidOutAt: other.paidOutAt
+      }));
+
+    // The filter on updatedAt keeps a cycle that became due meanwhile from being reassigned
+    const updated = await PayoutSchedule.findOneAndUpdate(
+      { _id: schedule._id, updatedAt: schedule.updatedAt },
+      { $set: { cycles } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new Error('Payout schedule has changed, please try again');
+    }
+
+    await Contribution.updateMany(
+      { group: groupId, cycleNumber: removedCycle, status: 'PENDING' },
+      { $set: { status: 'CANCELLED' } }
+    );
+
+    logger.info(`Beneficiary removed from payout schedule of group: ${groupId}`, {
+      userId,
+      cycleNumber: cycle.cycleNumber,
+      removedCycle
+    });
+
+    return updated;
+  }
+
+  /**
+   * Mark a cycle's payout as due once all its contributions are paid
+   * A due cycle goes back to scheduled when a refund reopens one of its contributions, unless
+   * its payout is already under way.
+   * @param {string} groupId - Group ID
+   * @param {number} cycleNumber - Cycle number
+   * @returns {Promise<boolean>} - Whether the cycle became due
+   */
+  static async refreshCycleStatus(groupId, cycleNumber) {
+    try {
+      const total = await Contribution.countDocuments({
+        group: groupId,
+        cycleNumber,
+        status: { $ne: 'CANCELLED' }
+      });
+
+      if (total === 0) {
+        return false;
+      }
+
+      const unpaid = await Contribution.countDocuments({
+        group: groupId,
+        cycleNumber,
+        status: { $nin: ['PAID', 'CANCELLED'] }
+      });
+
+      if (unpaid > 0) {
+        const payout = await Payout.findActiveForCycle(groupId, cycleNumber);
+        if (!payout) {
+          await PayoutSchedule.updateOne(
+            { group: groupId, cycles: { $elemMatch: { cycleNumber, status: 'DUE' } } },
+            { $set: { 'cycles.$.status': 'SCHEDULED' }, $unset: { 'cycles.$.dueAt': '' } }
+          );
+        }
+        return false;
+      }
+
+      const result = await PayoutSchedule.findOneAndUpdate(
+        { group: groupId, cycles: { $elemMatch: { cycleNumber, status: 'SCHEDULED' } } },
+        { $set: { 'cycles.$.status': 'DUE', 'cycles.$.dueAt': new Date() } },
+        { new: true }
+      );
+
+      if (result) {
+        logger.info(`Payout due for group: ${groupId}`, { cycleNumber });
+      }
+
+      return !!result;
+    } catch (error) {
+      logger.error('Error refreshing payout cycle status:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PayoutScheduleService;
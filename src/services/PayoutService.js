@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const PayoutSchedule = require('../models/PayoutSchedule');
+const AuctionRound = require('../models/AuctionRound');
+const Group = require('../models/Group');
+const Contribution = require('../models/Contribution');
+const LedgerService = require('./LedgerService');
+const WebhookService = require('./WebhookService');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+const logger = require('../utils/logger');
+
+class PayoutService {
+  /**
+   * Create the payout of a cycle for its scheduled beneficiary
+   * @param {string} groupId - Group ID
+   * @param {Object} payoutData - Payout data (cycleNumber, notes)
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Created payout
+   */
+  static async createPayout(groupId, payoutData, userId) {
+    try {
+      const { cycleNumber, notes } = payoutData;
+
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_PAYOUTS)) {
+        throw new Error('You are not allowed to manage payouts in this group');
+      }
+
+      const schedule = await PayoutSchedule.findByGroup(groupId);
+      if (!schedule) {
+        throw new Error('Payout schedule not found');
+      }
+
+      const cycle = schedule.getCycle(cycleNumber);
+      if (!cycle) {
+        throw new Error('Cycle not found in payout schedule');
+      }
+
+      if (cycle.status !== 'DUE') {
+        throw new Error('Payout is not due for this cycle');
+      }
+
+      const existing = await Payout.findActiveForCycle(groupId, cycleNumber);
+      if (existing) {
+        throw new Error('A payout already exists for this cycle');
+      }
+
+      const contributions = await Contribution.find({
+        group: groupId,
+        cycleNumber,
+        status: 'PAID'
+      });
+
+      let amount = contributions.reduce((sum, contribution) => sum + contribution.amount, 0);
+
+      // In auction mode the winner receives the pot minus the discount they bid
+      if (group.settings.tontineMode === 'AUCTION') {
+        const round = await AuctionRound.findForCycle(groupId, cycleNumber);
+        if (!round || round.status !== 'AWARDED') {
+          throw new Error('Auction for this cycle has not been awarded');
+        }
+        amount = Math.max(amount - round.discount, 0);
+      }
+
+      const payout = await Payout.create({
+        group: groupId,
+        cycleNumber,
+        beneficiary: cycle.beneficiary,
+        amount,
+        currency: group.settings.currency || 'XOF',
+        contributions: contributions.map(contribution => contribution._id),
+        requestedBy: userId,
+        notes
+      });
+
+      logger.info(`Payout created for group: ${groupId}`, {
+        payoutId: payout._id,
+        cycleNumber,
+        amount
+      });
+
+      return {
+        success: true,
+        message: 'Payout created successfully',
+        data: { payout }
+      };
+    } catch (error) {
+      logger.error('Error creating payout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending payout
+   * @param {string} groupId - Group ID
+   * @param {string} payoutId - Payout ID
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Approved payout
+   */
+  static async approvePayout(groupId, payoutId, userId) {
+    try {
+      const { payout } = await this.getManagedPayout(groupId, payoutId, userId);
+
+      if (payout.status !== 'PENDING') {
+        throw new Error('Only pending payouts can be approved');
+      }
+
+      await payout.approve(userId);
+
+      logger.info(`Payout approved: ${payoutId}`, { approvedBy: userId });
+
+      return {
+        success: true,
+        message: 'Payout approved successfully',
+        data: { payout }
+      };
+    } catch (error) {
+      logger.error('Error approving payout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm that an approved payout has been disbursed
+   * @param {string} groupId - Group ID
+   * @param {string} payoutId - Payout ID
+   * @param {Object} confirmationData - Confirmation data (proofUrl)
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Completed payout
+   */
+  static async confirmPayout(groupId, payoutId, confirmationData, userId) {
+    try {
+      const { proofUrl } = confirmationData;
+
+      if (!proofUrl) {
+        throw new Error('Disbursement proof is required');
+      }
+
+      const { payout } = await this.getManagedPayout(groupId, payoutId, userId);
+
+      if (payout.status !== 'APPROVED') {
+        throw new Error('Only approved payouts can be confirmed');
+      }
+
+      await payout.confirm(userId, proofUrl);
+
+      await PayoutSchedule.findOneAndUpdate(
+        { group: groupId, cycles: { $elemMatch: { cycleNumber: payout.cycleNumber, status: 'DUE' } } },
+        { $set: { 'cycles.$.status': 'PAID_OUT', 'cycles.$.paidOutAt': payout.confirmedAt } }
+      );
+
+      await LedgerService.recordPayout(payout, userId);
+
+      await WebhookService.emit(WEBHOOK_EVENTS.PAYOUT_COMPLETED, {
+        payoutId: payout._id,
+        groupId: payout.group,
+        beneficiaryId: payout.beneficiary,
+        cycleNumber: payout.cycleNumber,
+        amount: payout.amount,
+        confirmedAt: payout.confirmedAt
+      });
+
+      logger.info(`Payout confirmed: ${payoutId}`, { confirmedBy: userId });
+
+      return {
+        success: true,
+        message: 'Payout confirmed successfully',
+        data: { payout }
+      };
+    } catch (error) {
+      logger.error('Error confirming payout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List payouts of a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {Object} filters - Filters (status, page, limit)
+   * @returns {Promise<Object>} - Paginated payouts
+   */
+  static async getGroupPayouts(groupId, userId, filters = {}) {
+    try {
+      const { status, page = 1, limit = 20 } = filters;
+
+      await this.getAccessibleGroup(groupId, userId);
+
+      const query = { group: groupId };
+      if (status) {
+        query.status = status;
+      }
+
+      const payouts = await Payout.find(query)
+        .populate('beneficiary', 'firstName lastName email')
+        .sort({ cycleNumber: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      const total = await Payout.countDocuments(query);
+
+      return {
+        success: true,
+        data: {
+          payouts,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting group payouts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a payout of a group
+   * @param {string} groupId - Group ID
+   * @param {string} payoutId - Payout ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Payout
+   */
+  static async getPayoutById(groupId, payoutId, userId) {
+    try {
+      await this.getAccessibleGroup(groupId, userId);
+
+      const payout = await Payout.findOne({ _id: payoutId, group: groupId })
+        .populate('beneficiary', 'firstName lastName email')
+        .populate('contributions', 'user amount status paidAt');
+
+      if (!payout) {
+        throw new Error('Payout not found');
+      }
+
+      return {
+        success: true,
+        data: { payout }
+      };
+    } catch (error) {
+      logger.error('Error getting payout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile the money collected for a cycle against the money paid out
+   * @param {string} groupId - Group ID
+   * @param {number} cycleNumber - Cycle number
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Cycle reconciliation
+   */
+  static async getCycleReconciliation(groupId, cycleNumber, userId) {
+    try {
+      await this.getAccessibleGroup(groupId, userId);
+
+      const [inflow] = await Contribution.aggregate([
+        {
+          $match: {
+            group: new mongoose.Types.ObjectId(groupId),
+            cycleNumber: Number(cycleNumber),
+            status: 'PAID'
+          }
+        },
+        { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ]);
+
+      const payout = await Payout.findActiveForCycle(groupId, Number(cycleNumber));
+
+      const collected = inflow ? inflow.total : 0;
+      const disbursed = payout && payout.status === 'COMPLETED' ? payout.amount : 0;
+
+      return {
+        success: true,
+        data: {
+          reconciliation: {
+            cycleNumber: Number(cycleNumber),
+            collected,
+            paidContributions: inflow ? inflow.count : 0,
+            disbursed,
+            payoutStatus: payout ? payout.status : null,
+            balance: collected - disbursed
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error reconciling payout cycle:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a payout the user is allowed to manage
+   * @param {string} groupId - Group ID
+   * @param {string} payoutId - Payout ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Group and payout
+   */
+  static async getManagedPayout(groupId, payoutId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_PAYOUTS)) {
+      throw new Error('You are not allowed to manage payouts in this group');
+    }
+
+    const payout = await Payout.findOne({ _id: payoutId, group: groupId });
+    if (!payout) {
+      throw new Error('Payout not found');
+    }
+
+    return { group, payout };
+  }
+
+  /**
+   * Load a group the user can read
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Group
+   */
+  static async getAccessibleGroup(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!group.isMember(userId) && group.creator.toString() !== userId) {
+      throw new Error('Access denied to this group');
+    }
+
+    return group;
+  }
+}
+
+module.exports = PayoutService;
@@ -0,0 +1,421 @@
+const Penalty = require('../models/Penalty');
+const Group = require('../models/Group');
+const Contribution = require('../models/Contribution');
+const LedgerService = require('./LedgerService');
+const { getGroupRole, hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class PenaltyService {
+  /**
+   * Work out the automatic penalty items of a late contribution
+   * @param {Object} contribution - Contribution document
+   * @param {Object} policy - Group penalty policy
+   * @param {Date} now - Reference date
+   * @returns {Object} - Days late after the grace period and amount of each item
+   */
+  static computeLatePenalty(contribution, policy, now = new Date()) {
+    const daysLate = Math.floor((now - new Date(contribution.dueDate)) / DAY) - (policy.gracePeriodDays || 0);
+
+    if (!policy.enabled || daysLate <= 0) {
+      return { daysLate: 0, flatFee: 0, dailyAmount: 0 };
+    }
+
+    let flatFee = policy.flatFee || 0;
+    let dailyAmount = roundAmount(contribution.amount * (policy.dailyRate || 0) / 100 * daysLate);
+
+    if (policy.maxPenalty !== undefined && policy.maxPenalty !== null) {
+      flatFee = Math.min(flatFee, policy.maxPenalty);
+      dailyAmount = Math.min(dailyAmount, policy.maxPenalty - flatFee);
+    }
+
+    return { daysLate, flatFee, dailyAmount };
+  }
+
+  /**
+   * Apply the late penalties of a group to its overdue contributions
+   * Called by the apply-late-penalties job. Items reversed
+   * by an admin are never charged again. Each charge is added to the penaltyAmount of its
+   * contribution, so members owe it along with the contribution.
+   * @param {Object} group - Group document
+   * @param {Array} contributions - Overdue contributions of the group
+   * @param {Date} now - Reference date
+   * @returns {Promise<number>} - Number of created or updated penalty items
+   */
+  static async applyLatePenalties(group, contributions, now = new Date()) {
+    const policy = group.settings && group.settings.penaltyPolicy;
+    if (!policy || !policy.enabled || contributions.length === 0) {
+      return 0;
+    }
+
+    const existing = await Penalty.find({
+      contribution: { $in: contributions.map(contribution => contribution._id) }
+    });
+    const existingByKey = new Map(existing.map(item => [`${item.contribution}:${item.type}`, item]));
+
+    // New items are inserted in one batch, accrued ones updated one by one: either way a charge
+    // is only posted for a write that went through
+    const inserts = [];
+    const updates = [];
+
+    for (const contribution of contributions) {
+      const { daysLate, flatFee, dailyAmount } = this.computeLatePenalty(contribution, policy, now);
+
+      const items = [
+        { type: 'FLAT_FEE', amount: flatFee },
+        { type: 'DAILY_RATE', amount: dailyAmount }
+      ];
+
+      for (const { type, amount } of items) {
+        if (amount <= 0) {
+          continue;
+        }
+
+        const item = existingByKey.get(`${contribution._id}:${type}`);
+        const charge = {
+          group: group._id,
+          member: contribution.user,
+          contribution: contribution._id,
+          type,
+          daysLate,
+          total: amount
+        };
+
+        if (!item) {
+          inserts.push({
+            operation: {
+              updateOne: {
+                filter: { contribution: contribution._id, type },
+                update: {
+                  $setOnInsert: {
+                    contribution: contribution._id,
+                    group: group._id,
+                    user: contribution.user,
+                    type,
+                    amount,
+                    daysLate
+                  }
+                },
+                upsert: true
+              }
+            },
+            charge: { ...charge, amount }
+          });
+        } else if (item.status === 'APPLIED' && item.amount !== amount) {
+          updates.push({
+            // The previous amount is part of the filter so a concurrent run cannot charge the same accrual
+            filter: { _id: item._id, status: 'APPLIED', amount: item.amount },
+            update: { $set: { amount, daysLate } },
+            charge: { ...charge, amount: roundAmount(amount - item.amount) }
+          });
+        }
+      }
+    }
+
+    let charged = 0;
+
+    if (inserts.length > 0) {
+      let result;
+      let writeError = null;
+      try {
+        result = await Penalty.bulkWrite(inserts.map(insert => insert.operation), { ordered: false });
+      } catch (error) {
+        // Unordered writes report the items that were inserted before the error
+        if (!error.result) {
+          throw error;
+        }
+        result = error.result;
+        writeError = error;
+      }
+
+      // An upsert that matched an item created meanwhile by another run inserts nothing
+      const upsertedIds = result.upsertedIds || {};
+      for (const [index, { charge }] of inserts.entries()) {
+        if (upsertedIds[index]) {
+          await this.recordCharge(charge);
+          charged++;
+        }
+      }
+
+      if (writeError) {
+        throw writeError;
+      }
+    }
+
+    for (const { filter, update, charge } of updates) {
+      const result = await Penalty.updateOne(filter, update);
+      if (result.modifiedCount > 0) {
+        await this.recordCharge(charge);
+        charged++;
+      }
+    }
+
+    return charged;
+  }
+
+  /**
+   * Add a penalty charge to what the contribution owes and post it to the ledger
+   * @param {Object} charge - Penalty charge (group, member, contribution, type, amount, total)
+   */
+  static async recordCharge(charge) {
+    await Contribution.updateOne(
+      { _id: charge.contribution },
+      { $inc: { penaltyAmount: charge.amount } }
+    );
+    await LedgerService.recordPenaltyCharge(charge);
+  }
+
+  /**
+   * Charge a penalty a group admin sets on a contribution
+   * It is owed and reversed like the late penalties; the caller checks the admin's permission.
+   * @param {Object} contribution - Contribution document
+   * @param {number} amount - Penalty amount
+   * @param {string} reason - Why the penalty is applied
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Penalty item
+   */
+  static async addManualPenalty(contribution, amount, reason, userId) {
+    const penalty = await Penalty.create({
+      contribution: contribution._id,
+      group: contribution.group,
+      user: contribution.user,
+      type: 'MANUAL',
+      amount: roundAmount(amount),
+      reason,
+      appliedBy: userId
+    });
+
+    await Contribution.updateOne(
+      { _id: contribution._id },
+      { $inc: { penaltyAmount: penalty.amount } }
+    );
+    await LedgerService.recordManualPenalty(penalty, userId);
+
+    return penalty;
+  }
+
+  /**
+   * Apply late penalties in every active group that has a penalty policy
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Number of charged items and per-group failures
+   */
+  static async applyDuePenalties(now = new Date()) {
+    try {
+      const groups = await Group.find({
+        status: 'ACTIVE',
+        'settings.penaltyPolicy.enabled': true
+      });
+
+      let charged = 0;
+      const failures = [];
+
+      for (const group of groups) {
+        try {
+          const contributions = await Contribution.find({
+            group: group._id,
+            status: { $nin: ['PAID', 'CANCELLED'] },
+            dueDate: { $lt: now }
+          });
+
+          charged += await this.applyLatePenalties(group, contributions, now);
+        } catch (error) {
+          logger.warn(`Could not apply penalties in group: ${group._id}`, { error: error.message });
+          failures.push({ group: group._id, error: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        data: {
+          groups: groups.length,
+          charged,
+          failures
+        }
+      };
+    } catch (error) {
+      logger.error('Error applying due penalties:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the penalties of a group; members only see their own
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {Object} filters - Filters (contributionId, status)
+   * @returns {Promise<Object>} - Penalty items and applied total
+   */
+  static async getPenalties(groupId, userId, filters = {}) {
+    try {
+      const { contributionId, status } = filters;
+
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!getGroupRole(group, userId)) {
+        throw new Error('Access denied to this group');
+      }
+
+      const query = { group: groupId };
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_PENALTIES)) {
+        query.user = userId;
+      }
+      if (contributionId) {
+        query.contribution = contributionId;
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const penalties = await Penalty.find(query)
+        .populate('user', 'firstName lastName')
+        .sort({ createdAt: -1 });
+
+      const total = penalties
+        .filter(penalty => penalty.status === 'APPLIED')
+        .reduce((sum, penalty) => sum + penalty.amount, 0);
+
+      return {
+        success: true,
+        data: {
+          penalties,
+          total: roundAmount(total)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting penalties:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reverse a penalty as a group admin
+   * @param {string} groupId - Group ID
+   * @param {string} penaltyId - Penalty ID
+   * @param {string} reason - Reversal reason
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Reversed penalty
+   */
+  static async reversePenalty(groupId, penaltyId, reason, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.MANAGE_PENALTIES)) {
+        throw new Error('You are not allowed to manage penalties in this group');
+      }
+
+      if (!reason) {
+        throw new Error('A reason is required to reverse a penalty');
+      }
+
+      const penalty = await Penalty.findOne({ _id: penaltyId, group: groupId });
+      if (!penalty) {
+        throw new Error('Penalty not found');
+      }
+
+      if (penalty.status === 'REVERSED') {
+        throw new Error('Penalty has already been reversed');
+      }
+
+      const reversed = await Penalty.claimReversal(penalty._id, userId, reason);
+      if (!reversed) {
+        throw new Error('Penalty has already been reversed');
+      }
+
+      await Contribution.updateOne(
+        { _id: reversed.contribution },
+        { $inc: { penaltyAmount: -reversed.amount } }
+      );
+      await LedgerService.recordPenaltyReversal(reversed, userId);
+
+      logger.info(`Penalty reversed in group: ${groupId}`, {
+        penaltyId,
+        reversedBy: userId
+      });
+
+      return {
+        success: true,
+        message: 'Penalty reversed successfully',
+        data: { penalty: reversed }
+      };
+    } catch (error) {
+      logger.error('Error reversing penalty:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the penalty policy of a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Penalty policy
+   */
+  static async getPolicy(groupId, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!getGroupRole(group, userId)) {
+        throw new Error('Access denied to this group');
+      }
+
+      return {
+        success: true,
+        data: { policy: group.settings.penaltyPolicy || { enabled: false } }
+      };
+    } catch (error) {
+      logger.error('Error getting penalty policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the penalty policy of a group
+   * @param {string} groupId - Group ID
+   * @param {Object} policy - Penalty policy (enabled, flatFee, dailyRate, gracePeriodDays, maxPenalty)
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Updated policy
+   */
+  static async updatePolicy(groupId, policy, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.UPDATE_SETTINGS)) {
+        throw new Error('You are not allowed to update the settings of this group');
+      }
+
+      const updatedGroup = await Group.findByIdAndUpdate(
+        groupId,
+        { $set: { 'settings.penaltyPolicy': policy } },
+        { new: true, runValidators: true }
+      );
+
+      logger.info(`Penalty policy updated for group: ${groupId}`, { updatedBy: userId });
+
+      return {
+        success: true,
+        message: 'Penalty policy updated successfully',
+        data: { policy: updatedGroup.settings.penaltyPolicy }
+      };
+    } catch (error) {
+      logger.error('Error updating penalty policy:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PenaltyService;
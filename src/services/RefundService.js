@@ -0,0 +1,252 @@
+const Payment = require('../models/Payment');
+const Contribution = require('../models/Contribution');
+const Group = require('../models/Group');
+const Refund = require('../models/Refund');
+const LedgerService = require('./LedgerService');
+const PayoutScheduleService = require('./PayoutScheduleService');
+const WebhookService = require('./WebhookService');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const { AMOUNT_DUE } = require('../utils/contributionBalance');
+const logger = require('../utils/logger');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const REFUNDABLE_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED'];
+
+class RefundService {
+  /**
+   * Refund or reverse a verified payment
+   * A refund gives back part or all of the payment; a reversal always undoes all of what is left.
+   * The amount is taken off the linked contribution, which goes back to PARTIALLY_PAID, OVERDUE
+   * or PENDING.
+   * @param {string} paymentId - Payment ID
+   * @param {Object} refundData - type (REFUND or REVERSAL), amount and reason
+   * @param {Object} requester - Requesting user (id, role)
+   * @returns {Promise<Object>} - Refund, payment and contribution
+   */
+  static async refundPayment(paymentId, refundData, requester) {
+    try {
+      const type = refundData.type || 'REFUND';
+
+      if (!refundData.reason) {
+        throw new Error('A reason is required to refund a payment');
+      }
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      const contribution = payment.contribution
+        ? await Contribution.findById(payment.contribution)
+        : null;
+
+      await this.assertCanRefund(contribution, requester);
+
+      if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+        throw new Error('Only verified payments can be refunded');
+      }
+
+      const refundable = roundAmount(payment.amount - (payment.refundedAmount || 0));
+      const amount = type === 'REVERSAL' ? refundable : roundAmount(refundData.amount || refundable);
+
+      if (type === 'REVERSAL' && payment.refundedAmount > 0) {
+        throw new Error('A partly refunded payment cannot be reversed');
+      }
+
+      if (amount <= 0 || amount > refundable) {
+        throw new Error(`Refund amount must be between 0 and ${refundable}`);
+      }
+
+      // The filter re-checks the refundable amount so concurrent refunds cannot exceed the payment
+      const updated = await Payment.findOneAndUpdate(
+        {
+          _id: payment._id,
+          status: { $in: REFUNDABLE_STATUSES },
+          $expr: {
+            $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, '$amount']
+          }
+        },
+        [
+          {
+            $set: {
+              refundedAmount: { $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }
+            }
+          },
+          {
+            $set: {
+              status: type === 'REVERSAL'
+                ? 'REVERSED'
+                : { $cond: [{ $gte: ['$refundedAmount', '$amount'] }, 'REFUNDED', 'PARTIALLY_REFUNDED'] }
+            }
+          }
+        ],
+        { new: true }
+      );
+
+      if (!updated) {
+        throw new Error('Payment has changed, please try again');
+      }
+
+      const refund = await Refund.create({
+        payment: payment._id,
+        contribution: contribution ? contribution._id : null,
+        group: contribution ? contribution.group : null,
+        user: payment.user,
+        type,
+        amount,
+        currency: payment.currency,
+        reason: refundData.reason,
+        initiatedBy: requester.id
+      });
+
+      const updatedContribution = contribution && this.isApplied(contribution, payment)
+        ? await this.takeOffContribution(contribution, amount)
+        : contribution;
+
+      if (refund.group) {
+        await LedgerService.recordPaymentRefund(refund, requester.id);
+      }
+
+      await WebhookService.emit(WEBHOOK_EVENTS.PAYMENT_REFUNDED, {
+        paymentId: payment._id,
+        refundId: refund._id,
+        contributionId: refund.contribution,
+        type,
+        amount,
+        currency: refund.currency,
+        paymentStatus: updated.status
+      });
+
+      logger.info(`Payment ${type === 'REVERSAL' ? 'reversed' : 'refunded'}: ${paymentId}`, {
+        amount,
+        initiatedBy: requester.id
+      });
+
+      return {
+        success: true,
+        message: type === 'REVERSAL' ? 'Payment reversed successfully' : 'Payment refunded successfully',
+        data: {
+          refund,
+          payment: updated,
+          contribution: updatedContribution
+        }
+      };
+    } catch (error) {
+      logger.error('Error refunding payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the refunds and reversals of a payment
+   * @param {string} paymentId - Payment ID
+   * @param {Object} requester - Requesting user (id, role)
+   * @returns {Promise<Object>} - Payment and its refunds, oldest first
+   */
+  static async getRefunds(paymentId, requester) {
+    try {
+      const payment = await Payment.findById(paymentId);
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.user.toString() !== requester.id) {
+        const contribution = payment.contribution
+          ? await Contribution.findById(payment.contribution)
+          : null;
+        await this.assertCanRefund(contribution, requester);
+      }
+
+      const refunds = await Refund.find({ payment: payment._id })
+        .sort({ createdAt: 1 })
+        .populate('initiatedBy', 'firstName lastName');
+
+      return {
+        success: true,
+        data: {
+          payment,
+          refunds,
+          refundable: REFUNDABLE_STATUSES.includes(payment.status)
+            ? roundAmount(payment.amount - (payment.refundedAmount || 0))
+            : 0
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting payment refunds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a refunded amount off a contribution and recompute its status
+   * The contribution stays paid only while it covers its amount, penalties included, less its
+   * auction credits; the payout of its cycle waits again otherwise.
+   * @param {Object} contribution - Contribution document
+   * @param {number} amount - Refunded amount
+   * @returns {Promise<Object>} - Updated contribution
+   */
+  static async takeOffContribution(contribution, amount) {
+    const amountPaid = { $max: [{ $subtract: [{ $ifNull: ['$amountPaid', 0] }, amount] }, 0] };
+
+    const updated = await Contribution.findOneAndUpdate(
+      { _id: contribution._id },
+      [
+        { $set: { amountPaid } },
+        {
+          $set: {
+            status: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ['$status', 'CANCELLED'] }, then: 'CANCELLED' },
+                  { case: { $gte: ['$amountPaid', AMOUNT_DUE] }, then: 'PAID' },
+                  { case: { $gt: ['$amountPaid', 0] }, then: 'PARTIALLY_PAID' },
+                  { case: { $lt: ['$dueDate', '$$NOW'] }, then: 'OVERDUE' }
+                ],
+                default: 'PENDING'
+              }
+            },
+            paidAt: { $cond: [{ $gte: ['$amountPaid', AMOUNT_DUE] }, '$paidAt', null] }
+          }
+        }
+      ],
+      { new: true }
+    );
+
+    if (updated && updated.cycleNumber) {
+      await PayoutScheduleService.refreshCycleStatus(updated.group, updated.cycleNumber);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Check whether a payment was applied to a contribution
+   * @param {Object} contribution - Contribution document
+   * @param {Object} payment - Payment document
+   * @returns {boolean}
+   */
+  static isApplied(contribution, payment) {
+    return (contribution.payments || []).some(id => id.toString() === payment._id.toString());
+  }
+
+  /**
+   * Make sure a user is a platform admin or can refund payments in the group of the contribution
+   * @param {Object} contribution - Contribution of the payment, or null
+   * @param {Object} requester - Requesting user (id, role)
+   */
+  static async assertCanRefund(contribution, requester) {
+    if (requester.role === 'ADMIN') {
+      return;
+    }
+
+    const group = contribution ? await Group.findById(contribution.group) : null;
+    if (!group || !hasGroupPermission(group, requester.id, GROUP_PERMISSIONS.REFUND_PAYMENTS)) {
+      throw new Error('You are not allowed to refund this payment');
+    }
+  }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,82 @@
+const User = require('../models/User');
+const ReliabilityScore = require('../models/ReliabilityScore');
+const constants = require('../config/constants');
+const logger = require('../utils/logger');
+
+class ReliabilityScoreService {
+  /**
+   * Compute the reliability score of a user from their payment and participation history
+   * @param {string} userId - User ID
+   * @param {Object} data - { onTimePayments, totalPayments, groupParticipation, accountAge }
+   * @returns {Promise<Object>} - { score, previousScore }
+   */
+  static async calculateReliabilityScore(userId, data) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const score = await ReliabilityScore.calculateScore(data);
+
+    return { score, previousScore: user.reliabilityScore };
+  }
+
+  /**
+   * Set the reliability score of a user and record the change in their history
+   * @param {string} userId - User ID
+   * @param {number} score - New score
+   * @param {string} reason - Why the score changed
+   * @param {Object} factors - Inputs the score was computed from
+   * @returns {Promise<Object>} - Updated user
+   */
+  static async updateReliabilityScore(userId, score, reason, factors = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const previousScore = user.reliabilityScore;
+    user.reliabilityScore = Math.max(
+      constants.RELIABILITY.MIN_SCORE,
+      Math.min(constants.RELIABILITY.MAX_SCORE, score)
+    );
+    await user.save();
+
+    await ReliabilityScore.create({
+      user: userId,
+      score: user.reliabilityScore,
+      previousScore,
+      reason,
+      factors
+    });
+
+    logger.info(`Reliability score of user ${userId} changed from ${previousScore} to ${user.reliabilityScore}`);
+
+    return user;
+  }
+
+  /**
+   * Get the score history of a user, latest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Score records
+   */
+  static async getReliabilityHistory(userId) {
+    return ReliabilityScore.findByUser(userId);
+  }
+
+  /**
+   * Get score statistics of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { currentScore, averageScore, scoreTrend, totalUpdates }
+   */
+  static async getReliabilityStats(userId) {
+    try {
+      return await ReliabilityScore.getUserStats(userId);
+    } catch (error) {
+      logger.error('Error getting reliability statistics:', error);
+      throw new Error('Failed to get reliability statistics');
+    }
+  }
+}
+
+module.exports = ReliabilityScoreService;
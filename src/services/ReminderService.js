@@ -0,0 +1,259 @@
+const ReminderLog = require('../models/ReminderLog');
+const Group = require('../models/Group');
+const Contribution = require('../models/Contribution');
+const NotificationService = require('./NotificationService');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Used by groups that have not configured their own schedule: 3 days before, on the day, 1 day after
+const DEFAULT_REMINDER_OFFSETS = [-3, 0, 1];
+
+/**
+ * Pick the reminder template for a schedule step
+ * @param {number} offsetDays - Days relative to the due date
+ * @returns {string} - Template variant of CONTRIBUTION_REMINDER
+ */
+const getVariant = (offsetDays) => {
+  if (offsetDays < 0) {
+    return 'before';
+  }
+  return offsetDays === 0 ? 'today' : 'overdue';
+};
+
+class ReminderService {
+  /**
+   * Get the reminder steps of a group, sorted from the earliest
+   * @param {Object} group - Group document
+   * @returns {Array<number>} - Offsets in days relative to the due date
+   */
+  static getOffsets(group) {
+    const offsets = group.settings && group.settings.reminderOffsets;
+    return [...(offsets && offsets.length > 0 ? offsets : DEFAULT_REMINDER_OFFSETS)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Send the contribution reminders that are due in every active group
+   * Only the latest step reached in the last day is sent, so a server that was down does not
+   * flood members with every missed reminder.
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Number of sent reminders and per-group failures
+   */
+  static async sendDueReminders(now = new Date()) {
+    try {
+      const groups = await Group.find({ status: 'ACTIVE', isActive: true });
+
+      let sent = 0;
+      const failures = [];
+
+      for (const group of groups) {
+        try {
+          sent += await this.sendGroupReminders(group, now);
+        } catch (error) {
+          logger.warn(`Could not send reminders in group: ${group._id}`, { error: error.message });
+          failures.push({ group: group._id, error: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        data: {
+          groups: groups.length,
+          sent,
+          failures
+        }
+      };
+    } catch (error) {
+      logger.error('Error sending contribution reminders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the due reminders of one group
+   * @param {Object} group - Group document
+   * @param {Date} now - Reference date
+   * @returns {Promise<number>} - Number of sent reminders
+   */
+  static async sendGroupReminders(group, now) {
+    const offsets = this.getOffsets(group);
+    const earliest = offsets[0];
+    const latest = offsets[offsets.length - 1];
+
+    const contributions = await Contribution.find({
+      group: group._id,
+      status: { $nin: ['PAID', 'CANCELLED'] },
+      dueDate: {
+        $gte: new Date(now.getTime() - (latest + 1) * DAY),
+        $lte: new Date(now.getTime() - earliest * DAY)
+      }
+    });
+
+    let sent = 0;
+
+    for (const contribution of contributions) {
+      const offsetDays = offsets
+        .filter(offset => {
+          const remindAt = new Date(contribution.dueDate).getTime() + offset * DAY;
+          return remindAt <= now.getTime() && now.getTime() - remindAt < DAY;
+        })
+        .pop();
+
+      if (offsetDays === undefined) {
+        continue;
+      }
+
+      if (await this.sendReminder(group, contribution, offsetDays)) {
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send one reminder on the channels the member chose
+   * The log entry is claimed first, so the same reminder is never sent twice. If it reaches
+   * no channel, the entry is dropped again so the next run retries it.
+   * @param {Object} group - Group document
+   * @param {Object} contribution - Contribution document
+   * @param {number} offsetDays - Reminder step
+   * @returns {Promise<boolean>} - False if the reminder had already been sent or could not be sent
+   */
+  static async sendReminder(group, contribution, offsetDays) {
+    let log;
+    try {
+      log = await ReminderLog.create({
+        contribution: contribution._id,
+        group: group._id,
+        user: contribution.user,
+        offsetDays
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+
+    try {
+      const { delivered, failed, deferred } = await NotificationService.notifyUser(contribution.user.toString(), {
+        type: 'CONTRIBUTION_REMINDER',
+        variant: getVariant(offsetDays),
+        params: {
+          amount: contribution.amount,
+          currency: group.settings.currency || 'XOF',
+          groupName: group.name,
+          days: Math.abs(offsetDays),
+          dueDate: new Date(contribution.dueDate).toISOString().slice(0, 10)
+        },
+        data: { groupId: group._id, contributionId: contribution._id, offsetDays }
+      });
+
+      // Deferred channels are delivered after the member's quiet hours or in their digest
+      log.channels = [...delivered, ...deferred];
+      log.failedChannels = failed;
+    } catch (error) {
+      logger.warn(`Reminder failed for contribution: ${contribution._id}`, { error: error.message });
+    }
+
+    if (!log.channels || log.channels.length === 0) {
+      await ReminderLog.deleteOne({ _id: log._id });
+      return false;
+    }
+
+    await log.save();
+
+    return true;
+  }
+
+  /**
+   * Get the reminder schedule of a group and the reminders sent
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID of the group admin
+   * @param {Object} filters - Filters (page, limit)
+   * @returns {Promise<Object>} - Schedule and reminder log
+   */
+  static async getReminders(groupId, userId, filters = {}) {
+    try {
+      const { page = 1, limit = 20 } = filters;
+
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.UPDATE_SETTINGS)) {
+        throw new Error('You are not allowed to manage reminders in this group');
+      }
+
+      const reminders = await ReminderLog.find({ group: groupId })
+        .populate('user', 'firstName lastName')
+        .sort({ sentAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      const total = await ReminderLog.countDocuments({ group: groupId });
+
+      return {
+        success: true,
+        data: {
+          offsets: this.getOffsets(group),
+          reminders,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting reminders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the reminder schedule of a group
+   * @param {string} groupId - Group ID
+   * @param {Array<number>} offsets - Offsets in days relative to the due date
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Updated schedule
+   */
+  static async updateSchedule(groupId, offsets, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.UPDATE_SETTINGS)) {
+        throw new Error('You are not allowed to manage reminders in this group');
+      }
+
+      const reminderOffsets = [...new Set(offsets)].sort((a, b) => a - b);
+
+      await Group.findByIdAndUpdate(
+        groupId,
+        { $set: { 'settings.reminderOffsets': reminderOffsets } },
+        { runValidators: true }
+      );
+
+      logger.info(`Reminder schedule updated for group: ${groupId}`, { reminderOffsets, updatedBy: userId });
+
+      return {
+        success: true,
+        message: 'Reminder schedule updated successfully',
+        data: { offsets: reminderOffsets }
+      };
+    } catch (error) {
+      logger.error('Error updating reminder schedule:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ReminderService;
@@ -0,0 +1,145 @@
+const Group = require('../models/Group');
+const Contribution = require('../models/Contribution');
+const Penalty = require('../models/Penalty');
+const Payout = require('../models/Payout');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const { endOfDay } = require('../utils/dateHelper');
+const logger = require('../utils/logger');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '');
+
+class StatementService {
+  /**
+   * Build the treasury statement of a group, cycle by cycle
+   * Covers the contributions due within the period: who paid what and when, the penalties
+   * charged and the payout of each cycle.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {Object} period - Period (from, to)
+   * @returns {Promise<Object>} - Statement
+   */
+  static async buildStatement(groupId, userId, period = {}) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.VIEW_STATEMENTS)) {
+        throw new Error('You are not allowed to view the statements of this group');
+      }
+
+      const from = period.from ? new Date(period.from) : new Date(group.settings.startDate);
+      // The last day of the period is covered in full
+      const to = period.to ? endOfDay(period.to) : new Date();
+
+      if (from > to) {
+        throw new Error('Statement start date must be before its end date');
+      }
+
+      const contributions = await Contribution.find({
+        group: groupId,
+        dueDate: { $gte: from, $lte: to }
+      })
+        .populate('user', 'firstName lastName')
+        .sort({ cycleNumber: 1, dueDate: 1 });
+
+      const penalties = await Penalty.find({
+        contribution: { $in: contributions.map(contribution => contribution._id) },
+        status: 'APPLIED'
+      });
+
+      const penaltyByContribution = new Map();
+      for (const penalty of penalties) {
+        const key = penalty.contribution.toString();
+        penaltyByContribution.set(key, (penaltyByContribution.get(key) || 0) + penalty.amount);
+      }
+
+      const cycleNumbers = [...new Set(contributions.map(contribution => contribution.cycleNumber))];
+
+      const payouts = await Payout.find({
+        group: groupId,
+        cycleNumber: { $in: cycleNumbers },
+        status: { $ne: 'CANCELLED' }
+      }).populate('beneficiary', 'firstName lastName');
+
+      const payoutByCycle = new Map(payouts.map(payout => [payout.cycleNumber, payout]));
+
+      const cycles = cycleNumbers.map(cycleNumber => {
+        const rows = contributions
+          .filter(contribution => contribution.cycleNumber === cycleNumber)
+          .map(contribution => ({
+            member: fullName(contribution.user),
+            amountDue: contribution.amount,
+            amountPaid: contribution.amountPaid || (contribution.status === 'PAID' ? contribution.amount : 0),
+            paidAt: contribution.paidAt || null,
+            status: contribution.status,
+            penalties: roundAmount(penaltyByContribution.get(contribution._id.toString()) || 0)
+          }));
+
+        const payout = payoutByCycle.get(cycleNumber);
+
+        return {
+          cycleNumber,
+          dueDate: contributions.find(contribution => contribution.cycleNumber === cycleNumber).dueDate,
+          rows,
+          totals: this.sumRows(rows),
+          payout: payout
+            ? {
+              beneficiary: fullName(payout.beneficiary),
+              amount: payout.amount,
+              status: payout.status,
+              confirmedAt: payout.confirmedAt || null
+            }
+            : null
+        };
+      });
+
+      const allRows = cycles.flatMap(cycle => cycle.rows);
+      const paidOut = cycles
+        .filter(cycle => cycle.payout && cycle.payout.status === 'COMPLETED')
+        .reduce((sum, cycle) => sum + cycle.payout.amount, 0);
+
+      return {
+        success: true,
+        data: {
+          statement: {
+            group: {
+              id: group._id,
+              name: group.name,
+              currency: group.settings.currency || 'XOF'
+            },
+            period: { from, to },
+            generatedAt: new Date(),
+            cycles,
+            totals: {
+              ...this.sumRows(allRows),
+              paidOut: roundAmount(paidOut)
+            }
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error building group statement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add up the amounts of statement rows
+   * @param {Array} rows - Statement rows
+   * @returns {Object} - Amount due, collected and penalties
+   */
+  static sumRows(rows) {
+    return {
+      amountDue: roundAmount(rows.reduce((sum, row) => sum + row.amountDue, 0)),
+      collected: roundAmount(rows.reduce((sum, row) => sum + row.amountPaid, 0)),
+      penalties: roundAmount(rows.reduce((sum, row) => sum + row.penalties, 0))
+    };
+  }
+}
+
+module.exports = StatementService;
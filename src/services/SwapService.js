@@ -0,0 +1,373 @@
+const SwapRequest = require('../models/SwapRequest');
+const PayoutSchedule = require('../models/PayoutSchedule');
+const Group = require('../models/Group');
+const MessageService = require('./MessageService');
+const { hasGroupPermission } = require('../utils/membershipHelper');
+const { GROUP_PERMISSIONS } = require('../config/groupPermissions');
+const logger = require('../utils/logger');
+
+class SwapService {
+  /**
+   * Propose to trade payout turns with another member
+   * @param {string} groupId - Group ID
+   * @param {Object} swapData - Swap data (counterpartyId, message)
+   * @param {string} userId - Requesting member ID
+   * @returns {Promise<Object>} - Swap request
+   */
+  static async proposeSwap(groupId, swapData, userId) {
+    try {
+      const { counterpartyId, message } = swapData;
+
+      if (counterpartyId === userId) {
+        throw new Error('Cannot swap turns with yourself');
+      }
+
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!group.isMember(userId) || !group.isMember(counterpartyId)) {
+        throw new Error('Both members must belong to this group');
+      }
+
+      const schedule = await PayoutSchedule.findByGroup(groupId);
+      if (!schedule) {
+        throw new Error('Payout schedule not found');
+      }
+
+      const requesterCycle = schedule.getCycleForUser(userId);
+      const counterpartyCycle = schedule.getCycleForUser(counterpartyId);
+
+      if (!requesterCycle || !counterpartyCycle) {
+        throw new Error('Both members must have a turn in the payout schedule');
+      }
+
+      if (requesterCycle.status !== 'SCHEDULED' || counterpartyCycle.status !== 'SCHEDULED') {
+        throw new Error('Only turns that have not been paid out can be swapped');
+      }
+
+      const openSwap = await SwapRequest.findOpenForMembers(groupId, [userId, counterpartyId]);
+      if (openSwap) {
+        throw new Error('One of these members already has an open swap request');
+      }
+
+      const swap = await SwapRequest.create({
+        group: groupId,
+        requester: userId,
+        counterparty: counterpartyId,
+        requesterCycle: requesterCycle.cycleNumber,
+        counterpartyCycle: counterpartyCycle.cycleNumber,
+        message
+      });
+
+      logger.info(`Swap proposed in group: ${groupId}`, {
+        swapId: swap._id,
+        requester: userId,
+        counterparty: counterpartyId
+      });
+
+      return {
+        success: true,
+        message: 'Swap request created successfully',
+        data: { swap }
+      };
+    } catch (error) {
+      logger.error('Error proposing swap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a swap request as the counterparty
+   * @param {string} groupId - Group ID
+   * @param {string} swapId - Swap request ID
+   * @param {string} userId - Counterparty ID
+   * @returns {Promise<Object>} - Swap request
+   */
+  static async acceptSwap(groupId, swapId, userId) {
+    try {
+      const swap = await this.respond(groupId, swapId, userId, 'ACCEPTED');
+
+      return {
+        success: true,
+        message: 'Swap request accepted successfully',
+        data: { swap }
+      };
+    } catch (error) {
+      logger.error('Error accepting swap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a swap request as the counterparty
+   * @param {string} groupId - Group ID
+   * @param {string} swapId - Swap request ID
+   * @param {string} userId - Counterparty ID
+   * @returns {Promise<Object>} - Swap request
+   */
+  static async declineSwap(groupId, swapId, userId) {
+    try {
+      const swap = await this.respond(groupId, swapId, userId, 'DECLINED');
+
+      return {
+        success: true,
+        message: 'Swap request declined successfully',
+        data: { swap }
+      };
+    } catch (error) {
+      logger.error('Error declining swap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve an accepted swap and exchange the turns in the rotation
+   * @param {string} groupId - Group ID
+   * @param {string} swapId - Swap request ID
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Swap request and updated schedule
+   */
+  static async approveSwap(groupId, swapId, userId) {
+    try {
+      const group = await this.getManagedGroup(groupId, userId);
+
+      const swap = await SwapRequest.findOne({ _id: swapId, group: groupId });
+      if (!swap) {
+        throw new Error('Swap request not found');
+      }
+
+      if (swap.status !== 'ACCEPTED') {
+        throw new Error('Only accepted swap requests can be approved');
+      }
+
+      // Single-document update: both turns move together or not at all
+      const schedule = await PayoutSchedule.findOneAndUpdate(
+        {
+          group: groupId,
+          cycles: {
+            $all: [
+              { $elemMatch: { cycleNumber: swap.requesterCycle, beneficiary: swap.requester, status: 'SCHEDULED' } },
+              { $elemMatch: { cycleNumber: swap.counterpartyCycle, beneficiary: swap.counterparty, status: 'SCHEDULED' } }
+            ]
+          }
+        },
+        {
+          $set: {
+            'cycles.$[requesterTurn].beneficiary': swap.counterparty,
+            'cycles.$[counterpartyTurn].beneficiary': swap.requester
+          }
+        },
+        {
+          arrayFilters: [
+            { 'requesterTurn.cycleNumber': swap.requesterCycle },
+            { 'counterpartyTurn.cycleNumber': swap.counterpartyCycle }
+          ],
+          new: true
+        }
+      );
+
+      if (!schedule) {
+        throw new Error('Payout rotation changed since the swap was proposed');
+      }
+
+      swap.status = 'APPROVED';
+      swap.reviewedBy = userId;
+      swap.reviewedAt = new Date();
+      await swap.save();
+
+      await MessageService.sendSystemMessage({
+        groupId,
+        action: 'TURN_SWAPPED',
+        data: {
+          swapId: swap._id,
+          requester: swap.requester,
+          counterparty: swap.counterparty,
+          requesterCycle: swap.counterpartyCycle,
+          counterpartyCycle: swap.requesterCycle
+        },
+        content: `Payout turns swapped in ${group.name}: cycle ${swap.requesterCycle} and cycle ${swap.counterpartyCycle} have exchanged beneficiaries.`
+      });
+
+      logger.info(`Swap approved in group: ${groupId}`, { swapId, approvedBy: userId });
+
+      return {
+        success: true,
+        message: 'Swap request approved successfully',
+        data: { swap, schedule }
+      };
+    } catch (error) {
+      logger.error('Error approving swap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a swap request as group admin
+   * @param {string} groupId - Group ID
+   * @param {string} swapId - Swap request ID
+   * @param {string} reason - Rejection reason
+   * @param {string} userId - User ID of the group admin
+   * @returns {Promise<Object>} - Swap request
+   */
+  static async rejectSwap(groupId, swapId, reason, userId) {
+    try {
+      await this.getManagedGroup(groupId, userId);
+
+      const swap = await SwapRequest.findOne({ _id: swapId, group: groupId });
+      if (!swap) {
+        throw new Error('Swap request not found');
+      }
+
+      if (!swap.isOpen()) {
+        throw new Error('Swap request is no longer open');
+      }
+
+      swap.status = 'REJECTED';
+      swap.rejectionReason = reason;
+      swap.reviewedBy = userId;
+      swap.reviewedAt = new Date();
+      await swap.save();
+
+      logger.info(`Swap rejected in group: ${groupId}`, { swapId, rejectedBy: userId });
+
+      return {
+        success: true,
+        message: 'Swap request rejected successfully',
+        data: { swap }
+      };
+    } catch (error) {
+      logger.error('Error rejecting swap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a swap request as its requester
+   * @param {string} groupId - Group ID
+   * @param {string} swapId - Swap request ID
+   * @param {string} userId - Requester ID
+   * @returns {Promise<Object>} - Swap request
+   */
+  static async cancelSwap(groupId, swapId, userId) {
+    try {
+      const swap = await SwapRequest.findOne({ _id: swapId, group: groupId });
+      if (!swap) {
+        throw new Error('Swap request not found');
+      }
+
+      if (swap.requester.toString() !== userId) {
+        throw new Error('Only the requester can cancel this swap request');
+      }
+
+      if (!swap.isOpen()) {
+        throw new Error('Swap request is no longer open');
+      }
+
+      swap.status = 'CANCELLED';
+      await swap.save();
+
+      return {
+        success: true,
+        message: 'Swap request cancelled successfully',
+        data: { swap }
+      };
+    } catch (error) {
+      logger.error('Error cancelling swap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List swap requests of a group
+   * Admins see every request, members only those they take part in.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {Object} filters - Filters (status)
+   * @returns {Promise<Object>} - Swap requests
+   */
+  static async getGroupSwaps(groupId, userId, filters = {}) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      if (!group.isMember(userId) && group.creator.toString() !== userId) {
+        throw new Error('Access denied to this group');
+      }
+
+      const query = { group: groupId };
+      if (filters.status) {
+        query.status = filters.status;
+      }
+      if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.APPROVE_SWAPS)) {
+        query.$or = [{ requester: userId }, { counterparty: userId }];
+      }
+
+      const swaps = await SwapRequest.find(query)
+        .populate('requester', 'firstName lastName')
+        .populate('counterparty', 'firstName lastName')
+        .sort({ createdAt: -1 });
+
+      return {
+        success: true,
+        data: { swaps }
+      };
+    } catch (error) {
+      logger.error('Error getting swap requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the counterparty's answer to a pending swap
+   * @param {string} groupId - Group ID
+   * @param {string} swapId - Swap request ID
+   * @param {string} userId - Counterparty ID
+   * @param {string} status - ACCEPTED or DECLINED
+   * @returns {Promise<Object>} - Swap request
+   */
+  static async respond(groupId, swapId, userId, status) {
+    const swap = await SwapRequest.findOne({ _id: swapId, group: groupId });
+    if (!swap) {
+      throw new Error('Swap request not found');
+    }
+
+    if (swap.counterparty.toString() !== userId) {
+      throw new Error('Only the requested member can respond to this swap');
+    }
+
+    if (swap.status !== 'PENDING') {
+      throw new Error('Swap request has already been answered');
+    }
+
+    swap.status = status;
+    swap.respondedAt = new Date();
+    await swap.save();
+
+    return swap;
+  }
+
+  /**
+   * Load a group in which the user may review swap requests
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Group
+   */
+  static async getManagedGroup(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!hasGroupPermission(group, userId, GROUP_PERMISSIONS.APPROVE_SWAPS)) {
+      throw new Error('You are not allowed to review swap requests in this group');
+    }
+
+    return group;
+  }
+}
+
+module.exports = SwapService;
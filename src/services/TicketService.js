@@ -0,0 +1,457 @@
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const constants = require('../config/constants');
+const NotificationService = require('./NotificationService');
+const logger = require('../utils/logger');
+
+const { STATUS } = constants.TICKETS;
+// Fields the creator of a ticket may change
+const EDITABLE_FIELDS = ['title', 'description', 'category', 'priority', 'status'];
+// Open tickets nobody has closed after this many days are reported as overdue
+const OVERDUE_AFTER_DAYS = 3;
+
+/**
+ * Read the page and page size from query filters
+ * @param {Object} filters - { page, limit }
+ * @returns {Object} - { page, limit, skip }
+ */
+const paginate = (filters) => {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Build the query matching the status, category, priority and type filters
+ * @param {Object} filters - Query filters
+ * @returns {Object} - Mongo query
+ */
+const buildQuery = (filters) => {
+  const query = {};
+  for (const field of ['status', 'category', 'priority', 'type']) {
+    if (filters[field]) {
+      query[field] = filters[field];
+    }
+  }
+  return query;
+};
+
+// Populated references hold the document, plain ones the ID
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+class TicketService {
+  /**
+   * Open a support ticket
+   * @param {Object} ticketData - { creatorId, title, description, category, priority, type, groupId }
+   * @param {string} creatorId - Opening user, when not given in ticketData
+   * @returns {Promise<Object>} - Created ticket
+   */
+  static async createTicket(ticketData, creatorId = ticketData.creatorId) {
+    try {
+      const creator = await User.findById(creatorId);
+      if (!creator) {
+        throw new Error('Creator not found');
+      }
+
+      const ticket = await Ticket.create({
+        ...ticketData,
+        creatorId,
+        status: STATUS.OPEN,
+        createdAt: new Date()
+      });
+
+      logger.info(`Ticket created: ${ticket._id} by user ${creatorId}`);
+
+      return {
+        success: true,
+        message: 'Ticket created successfully',
+        data: { ticket }
+      };
+    } catch (error) {
+      logger.error('Error creating ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a ticket; only its creator and the admins can see it
+   * @param {string} ticketId - Ticket ID
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Object>} - Ticket
+   */
+  static async getTicketById(ticketId, userId) {
+    try {
+      const ticket = await Ticket.findById(ticketId)
+        .populate('creator', 'firstName lastName email')
+        .populate('assignedTo', 'firstName lastName email');
+
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      await this.assertCanAccess(ticket, userId);
+
+      return {
+        success: true,
+        data: { ticket }
+      };
+    } catch (error) {
+      logger.error('Error getting ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the tickets opened by a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status, category, priority, type, page, limit }
+   * @returns {Promise<Object>} - { tickets, pagination }
+   */
+  static async getUserTickets(userId, filters = {}) {
+    try {
+      const { page, limit, skip } = paginate(filters);
+      const query = { ...buildQuery(filters), creator: userId };
+
+      const tickets = await Ticket.find(query)
+        .populate('assignedTo', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Ticket.countDocuments(query);
+
+      return {
+        success: true,
+        data: {
+          tickets,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting user tickets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List all tickets, for the support team
+   * @param {Object} filters - { status, category, priority, type, page, limit }
+   * @returns {Promise<Object>} - { tickets, pagination }
+   */
+  static async getAllTickets(filters = {}) {
+    try {
+      const { page, limit, skip } = paginate(filters);
+      const query = buildQuery(filters);
+
+      const tickets = await Ticket.find(query)
+        .populate('creator', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Ticket.countDocuments(query);
+
+      return {
+        success: true,
+        data: {
+          tickets,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting tickets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} updateData - Fields to change
+   * @param {string} userId - Requesting user, its creator or an admin
+   * @returns {Promise<Object>} - Updated ticket
+   */
+  static async updateTicket(ticketId, updateData, userId) {
+    try {
+      const ticket = await Ticket.findById(ticketId).populate('assignedTo', 'firstName lastName');
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      await this.assertCanAccess(ticket, userId);
+
+      if (ticket.status === STATUS.CLOSED) {
+        throw new Error('Closed tickets cannot be updated');
+      }
+
+      for (const field of EDITABLE_FIELDS) {
+        if (updateData[field] !== undefined) {
+          ticket[field] = updateData[field];
+        }
+      }
+      await ticket.save();
+
+      return {
+        success: true,
+        message: 'Ticket updated successfully',
+        data: { ticket }
+      };
+    } catch (error) {
+      logger.error('Error updating ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a ticket to an admin
+   * @param {string} ticketId - Ticket ID
+   * @param {string} adminId - Admin taking the ticket
+   * @param {string} assignedById - Admin assigning the ticket
+   * @returns {Promise<Object>} - Assigned ticket
+   */
+  static async assignTicket(ticketId, adminId, assignedById) {
+    try {
+      const ticket = await Ticket.findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      const admin = await User.findById(adminId);
+      if (!admin) {
+        throw new Error('Admin not found');
+      }
+
+      if (admin.role !== constants.ROLES.ADMIN) {
+        throw new Error('User is not an admin');
+      }
+
+      ticket.assignedTo = adminId;
+      ticket.assignedBy = assignedById;
+      if (ticket.status === STATUS.OPEN) {
+        ticket.status = STATUS.IN_PROGRESS;
+      }
+      await ticket.save();
+
+      logger.info(`Ticket ${ticketId} assigned to ${adminId} by ${assignedById}`);
+
+      return {
+        success: true,
+        message: 'Ticket assigned successfully',
+        data: { ticket }
+      };
+    } catch (error) {
+      logger.error('Error assigning ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Answer a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} responseData - { responderId, content, isInternal, attachments }
+   * @returns {Promise<Object>} - Answered ticket
+   */
+  static async addResponse(ticketId, responseData) {
+    try {
+      const ticket = await Ticket.findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      if (ticket.status === STATUS.CLOSED) {
+        throw new Error('Closed tickets cannot be answered');
+      }
+
+      await ticket.addResponse(responseData);
+
+      // Internal notes stay with the support team
+      if (!responseData.isInternal) {
+        await this.notifyCreator(ticket, responseData.responderId, 'TICKET_RESPONSE');
+      }
+
+      return {
+        success: true,
+        message: 'Response added successfully',
+        data: { ticket }
+      };
+    } catch (error) {
+      logger.error('Error adding ticket response:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a ticket with its resolution
+   * @param {string} ticketId - Ticket ID
+   * @param {string} userId - User closing the ticket
+   * @param {string} resolution - How the issue was resolved
+   * @returns {Promise<Object>} - Closed ticket
+   */
+  static async closeTicket(ticketId, userId, resolution) {
+    try {
+      const ticket = await Ticket.findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      if (ticket.status === STATUS.CLOSED) {
+        throw new Error('Ticket is already closed');
+      }
+
+      await ticket.close(resolution);
+
+      logger.info(`Ticket closed: ${ticketId} by user ${userId}`);
+
+      await this.notifyCreator(ticket, userId, 'TICKET_CLOSED');
+
+      return {
+        success: true,
+        message: 'Ticket closed successfully',
+        data: { ticket }
+      };
+    } catch (error) {
+      logger.error('Error closing ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the tickets by status and measure how long closed tickets took
+   * @returns {Promise<Object>} - { statistics }
+   */
+  static async getTicketStatistics() {
+    try {
+      const [statistics] = await Ticket.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            open: { $sum: { $cond: [{ $eq: ['$status', STATUS.OPEN] }, 1, 0] } },
+            inProgress: { $sum: { $cond: [{ $eq: ['$status', STATUS.IN_PROGRESS] }, 1, 0] } },
+            resolved: { $sum: { $cond: [{ $eq: ['$status', STATUS.RESOLVED] }, 1, 0] } },
+            closed: { $sum: { $cond: [{ $eq: ['$status', STATUS.CLOSED] }, 1, 0] } },
+            // In hours, over the closed tickets only
+            averageResolutionTime: {
+              $avg: {
+                $cond: [
+                  { $ifNull: ['$closedAt', false] },
+                  { $divide: [{ $subtract: ['$closedAt', '$createdAt'] }, 60 * 60 * 1000] },
+                  null
+                ]
+              }
+            }
+          }
+        },
+        { $project: { _id: 0 } }
+      ]);
+
+      return {
+        success: true,
+        data: {
+          statistics: statistics || { total: 0, open: 0, inProgress: 0, resolved: 0, closed: 0, averageResolutionTime: null }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting ticket statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the tickets still open several days after they were created
+   * @returns {Promise<Object>} - { tickets, total }
+   */
+  static async getOverdueTickets() {
+    try {
+      const tickets = await Ticket.find({
+        status: { $in: [STATUS.OPEN, STATUS.IN_PROGRESS] },
+        createdAt: { $lt: new Date(Date.now() - OVERDUE_AFTER_DAYS * 24 * 60 * 60 * 1000) }
+      })
+        .populate('creator', 'firstName lastName email')
+        .sort({ createdAt: 1 });
+
+      return {
+        success: true,
+        data: {
+          tickets,
+          total: tickets.length
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting overdue tickets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search tickets by title and description
+   * @param {string} query - Text to look for
+   * @param {Object} filters - { status, category, priority, type, page, limit }
+   * @returns {Promise<Object>} - { tickets, pagination }
+   */
+  static async searchTickets(query, filters = {}) {
+    try {
+      const { page, limit, skip } = paginate(filters);
+      const search = { ...buildQuery(filters), $text: { $search: query } };
+
+      const tickets = await Ticket.find(search)
+        .populate('creator', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Ticket.countDocuments(search);
+
+      return {
+        success: true,
+        data: {
+          tickets,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching tickets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the creator of a ticket that someone else acted on it
+   * A failed notification is only logged, the ticket has been updated by then.
+   * @param {Object} ticket - Ticket document
+   * @param {string} actorId - User who acted on the ticket
+   * @param {string} type - TICKET_RESPONSE or TICKET_CLOSED
+   */
+  static async notifyCreator(ticket, actorId, type) {
+    const creatorId = refId(ticket.creator);
+    if (!creatorId || creatorId.toString() === String(actorId)) {
+      return;
+    }
+
+    try {
+      await NotificationService.notifyUser(creatorId.toString(), {
+        type,
+        params: { title: ticket.title },
+        data: { ticketId: ticket._id }
+      });
+    } catch (error) {
+      logger.warn(`Could not notify ticket creator: ${ticket._id}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Check that a user may see a ticket: its creator or an admin
+   * @param {Object} ticket - Ticket document
+   * @param {string} userId - Requesting user
+   */
+  static async assertCanAccess(ticket, userId) {
+    const creatorId = refId(ticket.creator);
+    if (creatorId && creatorId.toString() === userId.toString()) {
+      return;
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.role !== constants.ROLES.ADMIN) {
+      throw new Error('Access denied to this ticket');
+    }
+  }
+}
+
+module.exports = TicketService;
@@ -1,5 +1,4 @@
 const RefreshToken = require('../models/RefreshToken');
-const AuthService = require('./AuthService');
 const logger = require('../utils/logger');
 
 class TokenService {
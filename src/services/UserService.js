@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const Group = require('../models/Group');
+const RefreshToken = require('../models/RefreshToken');
+const ReliabilityScoreService = require('./ReliabilityScoreService');
+const constants = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Fields an admin may change on a user account
+const ADMIN_UPDATABLE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'dateOfBirth', 'address', 'city', 'country', 'role'];
+
+class UserService {
+  /**
+   * List users (admin)
+   * @param {Object} filters - { role, kycStatus, search }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} - { users, total, page, totalPages }
+   */
+  static async getUsers(filters = {}, pagination = {}) {
+    const page = Math.max(parseInt(pagination.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(pagination.limit, 10) || 20, 1), 100);
+
+    const query = {};
+    if (filters.role) {
+      query.role = filters.role;
+    }
+    if (filters.kycStatus) {
+      query['kyc.status'] = filters.kycStatus;
+    }
+    if (filters.search) {
+      const pattern = new RegExp(filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    return { users, total, page, totalPages: Math.ceil(total / limit) };
+  }
+
+  /**
+   * Get a user by ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - User without credentials
+   */
+  static async getUserById(userId) {
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Update a user account (admin)
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} - Updated user
+   */
+  static async updateUser(userId, updateData) {
+    const update = {};
+    for (const field of ADMIN_UPDATABLE_FIELDS) {
+      if (updateData[field] !== undefined) {
+        update[field] = updateData[field];
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    logger.info(`User ${userId} updated`, { fields: Object.keys(update) });
+
+    return user;
+  }
+
+  /**
+   * Delete a user account and close its sessions (admin)
+   * A user still taking part in a running group cannot be deleted.
+   * @param {string} userId - User ID
+   * @param {string} adminId - Admin performing the deletion
+   * @returns {Promise<boolean>} - True once deleted
+   */
+  static async deleteUser(userId, adminId) {
+    if (userId.toString() === adminId.toString()) {
+      throw new Error('You cannot delete your own account');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.role === constants.ROLES.ADMIN) {
+      throw new Error('Admin accounts cannot be deleted');
+    }
+
+    const activeGroup = await Group.exists({
+      members: { $elemMatch: { user: userId, status: 'ACTIVE' } },
+      isActive: true
+    });
+    if (activeGroup) {
+      throw new Error('User is still a member of an active group');
+    }
+
+    await RefreshToken.revokeAllUserTokens(userId, adminId, 'manual');
+    await User.findByIdAndDelete(userId);
+
+    logger.info(`User ${userId} deleted by admin ${adminId}`);
+
+    return true;
+  }
+
+  /**
+   * Get the reliability score history and statistics of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { reliabilityScore, history, stats }
+   */
+  static async getReliability(userId) {
+    const user = await this.getUserById(userId);
+    const [history, stats] = await Promise.all([
+      ReliabilityScoreService.getReliabilityHistory(userId),
+      ReliabilityScoreService.getReliabilityStats(userId)
+    ]);
+
+    return { reliabilityScore: user.reliabilityScore, history, stats };
+  }
+}
+
+module.exports = UserService;
@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { post } = require('../utils/httpClient');
+const logger = require('../utils/logger');
+
+// Delivery is attempted up to 8 times, waiting 1, 2, 4 ... 64 minutes between attempts
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 60 * 1000;
+
+// A claimed delivery is not picked up again by another worker for this long
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+const DELIVERY_BATCH_SIZE = 100;
+
+class WebhookService {
+  /**
+   * Queue an event for every endpoint subscribed to it
+   * Called after the change is saved, so a failure is logged and never fails the caller.
+   * @param {string} event - Event name, e.g. payment.verified
+   * @param {Object} data - Event data
+   * @returns {Promise<number>} - Number of queued deliveries
+   */
+  static async emit(event, data) {
+    try {
+      const endpoints = await WebhookEndpoint.findSubscribed(event);
+      if (endpoints.length === 0) {
+        return 0;
+      }
+
+      const payload = {
+        id: `evt_${crypto.randomUUID()}`,
+        event,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+        endpoint: endpoint._id,
+        event,
+        payload
+      })));
+
+      return endpoints.length;
+    } catch (error) {
+      logger.error(`Error queuing webhook event: ${event}`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Sign a webhook body
+   * Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare it with v1.
+   * @param {string} secret - Endpoint secret
+   * @param {number} timestamp - Unix time in seconds
+   * @param {string} body - Raw request body
+   * @returns {string} - Signature header value
+   */
+  static sign(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Delay before the next attempt of a delivery
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  static getRetryDelay(attempts) {
+    return RETRY_BASE_MS * 2 ** (attempts - 1);
+  }
+
+  /**
+   * Post a delivery to its endpoint once and record the outcome
+   * Failed deliveries are retried with exponential backoff until MAX_ATTEMPTS.
+   * @param {Object} delivery - Delivery document
+   * @param {Object} endpoint - Endpoint with its secret, or null if it was deleted
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Updated delivery
+   */
+  static async attemptDelivery(delivery, endpoint, now = new Date()) {
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+
+    if (!endpoint || !endpoint.isActive) {
+      delivery.status = 'FAILED';
+      delivery.lastError = 'Endpoint is deleted or disabled';
+      return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    try {
+      const response = await post(endpoint.url, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Tirelire-Webhooks/1.0',
+        'X-Tirelire-Event': delivery.event,
+        'X-Tirelire-Delivery': delivery._id.toString(),
+        'X-Tirelire-Signature': this.sign(endpoint.secret, timestamp, body)
+      });
+
+      delivery.status = 'SUCCEEDED';
+      delivery.responseStatus = response.status;
+      delivery.deliveredAt = now;
+      delivery.lastError = undefined;
+    } catch (error) {
+      delivery.responseStatus = error.status;
+      delivery.lastError = error.message;
+
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'FAILED';
+      } else {
+        delivery.nextAttemptAt = new Date(now.getTime() + this.getRetryDelay(delivery.attempts));
+      }
+    }
+
+    return delivery.save();
+  }
+
+  /**
+   * Attempt the deliveries that are due
+   * Each delivery is claimed before it is sent, so concurrent workers never send it twice.
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} - Attempt counts by outcome
+   */
+  static async deliverDue(now = new Date()) {
+    try {
+      const due = await WebhookDelivery.find({ status: 'PENDING', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(DELIVERY_BATCH_SIZE)
+        .select('_id');
+
+      const counts = { attempted: 0, succeeded: 0, retrying: 0, failed: 0 };
+
+      for (const { _id } of due) {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { _id, status: 'PENDING', nextAttemptAt: { $lte: now } },
+          { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+          { new: true }
+        );
+        if (!delivery) {
+          continue;
+        }
+
+        const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+        const result = await this.attemptDelivery(delivery, endpoint, now);
+
+        counts.attempted++;
+        if (result.status === 'SUCCEEDED') {
+          counts.succeeded++;
+        } else if (result.status === 'FAILED') {
+          counts.failed++;
+        } else {
+          counts.retrying++;
+        }
+      }
+
+      return {
+        success: true,
+        data: counts
+      };
+    } catch (error) {
+      logger.error('Error delivering webhooks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a webhook endpoint
+   * @param {Object} endpointData - Endpoint data (url, description, events)
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Object>} - Created endpoint and its secret
+   */
+  static async createEndpoint(endpointData, userId) {
+    try {
+      const secret = WebhookEndpoint.generateSecret();
+
+      const endpoint = await WebhookEndpoint.create({
+        url: endpointData.url,
+        description: endpointData.description,
+        events: endpointData.events,
+        secret,
+        createdBy: userId
+      });
+
+      logger.info(`Webhook endpoint created: ${endpoint._id}`, { createdBy: userId });
+
+      return {
+        success: true,
+        message: 'Webhook endpoint created successfully',
+        data: { endpoint, secret }
+      };
+    } catch (error) {
+      logger.error('Error creating webhook endpoint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List webhook endpoints
+   * @returns {Promise<Object>} - Endpoints
+   */
+  static async getEndpoints() {
+    try {
+      const endpoints = await WebhookEndpoint.find().sort({ createdAt: -1 });
+
+      return {
+        success: true,
+        data: { endpoints }
+      };
+    } catch (error) {
+      logger.error('Error getting webhook endpoints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a webhook endpoint
+   * @param {string} endpointId - Endpoint ID
+   * @param {Object} updateData - Fields to update (url, description, events, isActive)
+   * @returns {Promise<Object>} - Updated endpoint
+   */
+  static async updateEndpoint(endpointId, updateData) {
+    try {
+      const endpoint = await WebhookEndpoint.findById(endpointId);
+      if (!endpoint) {
+        throw new Error('Webhook endpoint not found');
+      }
+
+      for (const field of ['url', 'description', 'events', 'isActive']) {
+        if (updateData[field] !== undefined) {
+          endpoint[field] = updateData[field];
+        }
+      }
+      await endpoint.save();
+
+      return {
+        success: true,
+        message: 'Webhook endpoint updated successfully',
+        data: { endpoint }
+      };
+    } catch (error) {
+      logger.error('Error updating webhook endpoint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook endpoint; its pending deliveries are abandoned
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Promise<Object>} - Deletion result
+   */
+  static async deleteEndpoint(endpointId) {
+    try {
+      const endpoint = await WebhookEndpoint.findByIdAndDelete(endpointId);
+      if (!endpoint) {
+        throw new Error('Webhook endpoint not found');
+      }
+
+      await WebhookDelivery.updateMany(
+        { endpoint: endpointId, status: 'PENDING' },
+        { $set: { status: 'FAILED', lastError: 'Endpoint is deleted or disabled' } }
+      );
+
+      logger.info(`Webhook endpoint deleted: ${endpointId}`);
+
+      return {
+        success: true,
+        message: 'Webhook endpoint deleted successfully',
+        data: null
+      };
+    } catch (error) {
+      logger.error('Error deleting webhook endpoint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the signing secret of an endpoint
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Promise<Object>} - New secret
+   */
+  static async rotateSecret(endpointId) {
+    try {
+      const secret = WebhookEndpoint.generateSecret();
+
+      const endpoint = await WebhookEndpoint.findByIdAndUpdate(endpointId, { $set: { secret } }, { new: true });
+      if (!endpoint) {
+        throw new Error('Webhook endpoint not found');
+      }
+
+      logger.info(`Webhook secret rotated: ${endpointId}`);
+
+      return {
+        success: true,
+        message: 'Webhook secret rotated successfully',
+        data: { endpoint, secret }
+      };
+    } catch (error) {
+      logger.error('Error rotating webhook secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List webhook deliveries, newest first
+   * @param {Object} filters - Filters (endpointId, event, status, page, limit)
+   * @returns {Promise<Object>} - Deliveries with pagination
+   */
+  static async getDeliveries(filters = {}) {
+    try {
+      const { endpointId, event, status, page = 1, limit = 20 } = filters;
+
+      const query = {};
+      if (endpointId) {
+        query.endpoint = endpointId;
+      }
+      if (event) {
+        query.event = event;
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const deliveries = await WebhookDelivery.find(query)
+        .populate('endpoint', 'url description')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      const total = await WebhookDelivery.countDocuments(query);
+
+      return {
+        success: true,
+        data: {
+          deliveries,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a past delivery again right away, as a new delivery with the same payload
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Object>} - New delivery
+   */
+  static async redeliver(deliveryId, userId) {
+    try {
+      const original = await WebhookDelivery.findById(deliveryId);
+      if (!original) {
+        throw new Error('Webhook delivery not found');
+      }
+
+      const endpoint = await WebhookEndpoint.findById(original.endpoint).select('+secret');
+      if (!endpoint) {
+        throw new Error('Webhook endpoint not found');
+      }
+
+      // Claimed for the lease period so the delivery job leaves it alone while it is sent here
+      const delivery = await WebhookDelivery.create({
+        endpoint: original.endpoint,
+        event: original.event,
+        payload: original.payload,
+        redeliveryOf: original._id,
+        requestedBy: userId,
+        nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS)
+      });
+
+      await this.attemptDelivery(delivery, endpoint);
+
+      logger.info(`Webhook redelivered: ${deliveryId}`, { deliveryId: delivery._id, requestedBy: userId });
+
+      return {
+        success: true,
+        message: delivery.status === 'SUCCEEDED'
+          ? 'Webhook redelivered successfully'
+          : 'Webhook redelivery failed, it will be retried',
+        data: { delivery }
+      };
+    } catch (error) {
+      logger.error('Error redelivering webhook:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookService;
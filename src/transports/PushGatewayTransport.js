@@ -0,0 +1,34 @@
+const { postJson } = require('../utils/httpClient');
+
+/**
+ * Sends mobile PUSH notifications through a push gateway that knows the devices of each user
+ */
+class PushGatewayTransport {
+  /**
+   * @param {Object} options - url, apiKey
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Send a push notification
+   * @param {Object} message - Message (to: user ID, subject, text, data)
+   * @returns {Promise<Object>} - Gateway message ID
+   */
+  async send(message) {
+    if (!this.options.url) {
+      throw new Error('Push gateway is not configured');
+    }
+
+    const response = await postJson(
+      this.options.url,
+      { user: message.to, title: message.subject, body: message.text, data: message.data || {} },
+      this.options.apiKey ? { Authorization: `Bearer ${this.options.apiKey}` } : {}
+    );
+
+    return { id: response && response.id };
+  }
+}
+
+module.exports = PushGatewayTransport;
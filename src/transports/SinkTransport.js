@@ -0,0 +1,54 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Keeps messages instead of sending them, in memory and optionally as JSON lines in a file
+ * Lets the app run offline and tests inspect what would have been sent.
+ */
+class SinkTransport {
+  /**
+   * @param {Object} options - file
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.messages = [];
+  }
+
+  /**
+   * Record a message
+   * @param {Object} message - Message (channel, to, subject, text, html, data)
+   * @returns {Promise<Object>} - Generated message ID
+   */
+  async send(message) {
+    const record = { id: crypto.randomUUID(), sentAt: new Date().toISOString(), ...message };
+
+    this.messages.push(record);
+
+    if (this.options.file) {
+      await fs.promises.appendFile(this.options.file, `${JSON.stringify(record)}\n`);
+    }
+
+    return { id: record.id };
+  }
+
+  /**
+   * List the recorded messages
+   * @param {Object} filters - Filters (channel, to)
+   * @returns {Array<Object>} - Messages, oldest first
+   */
+  getMessages(filters = {}) {
+    return this.messages.filter(message =>
+      (!filters.channel || message.channel === filters.channel) &&
+      (!filters.to || message.to === filters.to)
+    );
+  }
+
+  /**
+   * Forget the recorded messages
+   */
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = SinkTransport;
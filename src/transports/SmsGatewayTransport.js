@@ -0,0 +1,34 @@
+const { postJson } = require('../utils/httpClient');
+
+/**
+ * Sends SMS messages through an HTTP SMS gateway
+ */
+class SmsGatewayTransport {
+  /**
+   * @param {Object} options - url, apiKey, sender
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Send an SMS
+   * @param {Object} message - Message (to, text)
+   * @returns {Promise<Object>} - Gateway message ID
+   */
+  async send(message) {
+    if (!this.options.url) {
+      throw new Error('SMS gateway is not configured');
+    }
+
+    const response = await postJson(
+      this.options.url,
+      { from: this.options.sender, to: message.to, text: message.text },
+      this.options.apiKey ? { Authorization: `Bearer ${this.options.apiKey}` } : {}
+    );
+
+    return { id: response && response.id };
+  }
+}
+
+module.exports = SmsGatewayTransport;
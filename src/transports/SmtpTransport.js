@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Sends EMAIL messages through an SMTP server with nodemailer
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} options - host, port, secure, user, password, from
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.mailer = null;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - Message (to, subject, text, html)
+   * @returns {Promise<Object>} - Provider message ID
+   */
+  async send(message) {
+    if (!this.options.host) {
+      throw new Error('SMTP is not configured');
+    }
+
+    if (!this.mailer) {
+      this.mailer = nodemailer.createTransport({
+        host: this.options.host,
+        port: this.options.port || 587,
+        secure: this.options.secure || false,
+        auth: this.options.user
+          ? { user: this.options.user, pass: this.options.password }
+          : undefined
+      });
+    }
+
+    const info = await this.mailer.sendMail({
+      from: this.options.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,34 @@
+const { postJson } = require('../utils/httpClient');
+
+/**
+ * Posts messages of any channel as JSON to a URL, for relays such as Zapier or a chat bot
+ */
+class WebhookTransport {
+  /**
+   * @param {Object} options - url, token
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Post a message
+   * @param {Object} message - Message (channel, to, subject, text, data)
+   * @returns {Promise<Object>} - Empty result
+   */
+  async send(message) {
+    if (!this.options.url) {
+      throw new Error('Notification webhook is not configured');
+    }
+
+    await postJson(
+      this.options.url,
+      message,
+      this.options.token ? { Authorization: `Bearer ${this.options.token}` } : {}
+    );
+
+    return {};
+  }
+}
+
+module.exports = WebhookTransport;
@@ -0,0 +1,95 @@
+const SmtpTransport = require('./SmtpTransport');
+const SmsGatewayTransport = require('./SmsGatewayTransport');
+const PushGatewayTransport = require('./PushGatewayTransport');
+const WebhookTransport = require('./WebhookTransport');
+const SinkTransport = require('./SinkTransport');
+
+// Every transport exposes send(message) and resolves with the provider message ID
+const TRANSPORTS = {
+  smtp: () => new SmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: process.env.EMAIL_FROM || 'Tirelire <no-reply@tirelire.app>'
+  }),
+  'sms-gateway': () => new SmsGatewayTransport({
+    url: process.env.SMS_GATEWAY_URL,
+    apiKey: process.env.SMS_GATEWAY_API_KEY,
+    sender: process.env.SMS_SENDER || 'Tirelire'
+  }),
+  'push-gateway': () => new PushGatewayTransport({
+    url: process.env.PUSH_GATEWAY_URL,
+    apiKey: process.env.PUSH_GATEWAY_API_KEY
+  }),
+  webhook: () => new WebhookTransport({
+    url: process.env.NOTIFICATION_WEBHOOK_URL,
+    token: process.env.NOTIFICATION_WEBHOOK_TOKEN
+  }),
+  sink: () => new SinkTransport({
+    file: process.env.NOTIFICATION_SINK_FILE
+  })
+};
+
+// Transport of each channel, overridden with EMAIL_TRANSPORT, SMS_TRANSPORT and PUSH_TRANSPORT
+const DEFAULT_TRANSPORTS = {
+  EMAIL: 'smtp',
+  SMS: 'sms-gateway',
+  PUSH: 'push-gateway'
+};
+
+const instances = new Map();
+
+/**
+ * Get a transport by name, creating it on first use
+ * @param {string} name - Transport name
+ * @returns {Object} - Transport
+ */
+const getTransportByName = (name) => {
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown transport: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, TRANSPORTS[name]());
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * Get the configured transport of a channel
+ * Everything goes to the sink under test unless a transport is configured explicitly.
+ * @param {string} channel - EMAIL, SMS or PUSH
+ * @returns {Object} - Transport
+ */
+const getTransport = (channel) => {
+  if (!DEFAULT_TRANSPORTS[channel]) {
+    throw new Error(`No transport for channel: ${channel}`);
+  }
+
+  const name = process.env[`${channel}_TRANSPORT`] ||
+    (process.env.NODE_ENV === 'test' ? 'sink' : DEFAULT_TRANSPORTS[channel]);
+
+  return getTransportByName(name);
+};
+
+/**
+ * Get the sink transport, to inspect the messages it recorded
+ * @returns {SinkTransport} - Sink
+ */
+const getSink = () => getTransportByName('sink');
+
+/**
+ * Drop the created transports so configuration changes are picked up
+ */
+const resetTransports = () => {
+  instances.clear();
+};
+
+module.exports = {
+  getTransport,
+  getSink,
+  resetTransports
+};
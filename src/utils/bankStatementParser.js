@@ -0,0 +1,271 @@
+const STATEMENT_FORMATS = ['CSV', 'OFX', 'CAMT053'];
+
+// Accepted CSV column names, compared lowercased and without accents
+const CSV_COLUMNS = {
+  date: ['date', 'booking date', 'transaction date', 'value date', 'date operation', 'date valeur'],
+  amount: ['amount', 'montant'],
+  credit: ['credit'],
+  debit: ['debit'],
+  currency: ['currency', 'devise'],
+  reference: ['reference', 'ref', 'payment reference'],
+  description: ['description', 'libelle', 'label', 'details', 'memo', 'narrative'],
+  id: ['id', 'transaction id', 'transaction reference']
+};
+
+const normalizeHeader = (header) => header
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+/**
+ * Parse an amount written as 1234.5, 1 234,50 or 1,234.50
+ * @param {string} value - Amount text
+ * @returns {number} - Amount, NaN when unreadable
+ */
+const parseAmount = (value) => {
+  let text = String(value || '').replace(/[\s\u00a0']/g, '');
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma > lastDot) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  return text ? Number(text) : NaN;
+};
+
+/**
+ * Parse a date written as 2025-01-20, 20/01/2025 or 20250120
+ * @param {string} value - Date text
+ * @returns {Date|null} - Date at midnight UTC, null when unreadable
+ */
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (match) {
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  }
+
+  match = text.match(/^(\d{2})[/.-](\d{2})[/.-](\d{4})/);
+  if (match) {
+    return new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+  }
+
+  return null;
+};
+
+/**
+ * Split a CSV row, keeping delimiters inside quoted fields
+ * @param {string} row - CSV row
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<string>} - Fields
+ */
+const splitCsvRow = (row, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '"') {
+      if (quoted && row[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+};
+
+/**
+ * Parse a CSV statement with a header row
+ * Amounts come from an amount column, or from credit and debit columns.
+ * @param {string} content - File content
+ * @returns {Array<Object>} - Statement lines
+ */
+const parseCsv = (content) => {
+  const rows = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(row => row.trim());
+  if (rows.length < 2) {
+    throw new Error('The statement has no transactions');
+  }
+
+  const delimiter = [';', '\t', ','].find(candidate => rows[0].includes(candidate)) || ',';
+  const headers = splitCsvRow(rows[0], delimiter).map(normalizeHeader);
+  const columnOf = (name) => headers.findIndex(header => CSV_COLUMNS[name].includes(header));
+
+  const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(name => [name, columnOf(name)]));
+  if (columns.date === -1 || (columns.amount === -1 && columns.credit === -1)) {
+    throw new Error('The CSV statement needs a date column and an amount or credit column');
+  }
+
+  return rows.slice(1).map((row, index) => {
+    const fields = splitCsvRow(row, delimiter);
+    const read = (name) => (columns[name] === -1 ? '' : fields[columns[name]] || '');
+
+    const amount = columns.amount !== -1
+      ? parseAmount(read('amount'))
+      : (parseAmount(read('credit')) || 0) - (parseAmount(read('debit')) || 0);
+
+    return {
+      externalId: read('id') || `row-${index + 2}`,
+      date: parseDate(read('date')),
+      amount,
+      currency: read('currency').toUpperCase() || null,
+      reference: read('reference'),
+      description: read('description')
+    };
+  });
+};
+
+/**
+ * Read an OFX field, closed or not (OFX 1.x is SGML and leaves fields open)
+ * @param {string} block - OFX block
+ * @param {string} tag - Field name
+ * @returns {string} - Field value
+ */
+const readOfxField = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+/**
+ * Parse an OFX statement
+ * @param {string} content - File content
+ * @returns {Array<Object>} - Statement lines
+ */
+const parseOfx = (content) => {
+  const currency = readOfxField(content, 'CURDEF').toUpperCase() || null;
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map(block => ({
+    externalId: readOfxField(block, 'FITID'),
+    date: parseDate(readOfxField(block, 'DTPOSTED')),
+    amount: parseAmount(readOfxField(block, 'TRNAMT')),
+    currency,
+    reference: readOfxField(block, 'MEMO'),
+    description: readOfxField(block, 'NAME')
+  }));
+};
+
+/**
+ * Read the text of the first matching element of a CAMT document, ignoring namespace prefixes
+ * @param {string} block - XML fragment
+ * @param {string} tag - Element name
+ * @returns {Object|null} - Element attributes text and content
+ */
+const readXmlElement = (block, tag) => {
+  const match = block.match(new RegExp(`<(?:\\w+:)?${tag}(\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+  return match ? { attributes: match[1] || '', text: match[2].trim() } : null;
+};
+
+/**
+ * Read the text of the first matching element of a CAMT document
+ * @param {string} block - XML fragment
+ * @param {string} tag - Element name
+ * @returns {string} - Element text, empty when missing
+ */
+const readXmlText = (block, tag) => {
+  const element = readXmlElement(block, tag);
+  return element ? element.text : '';
+};
+
+/**
+ * Parse a CAMT.053 (ISO 20022 bank to customer statement) document
+ * @param {string} content - File content
+ * @returns {Array<Object>} - Statement lines
+ */
+const parseCamt053 = (content) => {
+  const entries = content.match(/<(?:\w+:)?Ntry>[\s\S]*?<\/(?:\w+:)?Ntry>/g) || [];
+
+  return entries.map((entry, index) => {
+    const amountElement = readXmlElement(entry, 'Amt');
+    const currency = amountElement && amountElement.attributes.match(/Ccy="([A-Z]{3})"/);
+    const amount = amountElement ? parseAmount(amountElement.text) : NaN;
+    const bookingDate = readXmlElement(entry, 'BookgDt') || readXmlElement(entry, 'ValDt');
+    const remittance = (entry.match(/<(?:\w+:)?Ustrd>([\s\S]*?)<\/(?:\w+:)?Ustrd>/g) || [])
+      .map(element => element.replace(/<[^>]+>/g, '').trim())
+      .join(' ');
+
+    return {
+      externalId: readXmlText(entry, 'AcctSvcrRef') || readXmlText(entry, 'NtryRef') || `entry-${index + 1}`,
+      date: bookingDate ? parseDate(readXmlText(bookingDate.text, 'Dt') || readXmlText(bookingDate.text, 'DtTm')) : null,
+      amount: readXmlText(entry, 'CdtDbtInd') === 'DBIT' ? -amount : amount,
+      currency: currency ? currency[1] : null,
+      reference: remittance || readXmlText(entry, 'EndToEndId'),
+      description: readXmlText(entry, 'Nm') || readXmlText(entry, 'AddtlNtryInf')
+    };
+  });
+};
+
+/**
+ * Work out the format of a statement from its name and content
+ * @param {string} fileName - Original file name
+ * @param {string} content - File content
+ * @returns {string} - CSV, OFX or CAMT053
+ */
+const detectFormat = (fileName, content) => {
+  const head = content.slice(0, 2000);
+
+  if (/<(?:\w+:)?BkToCstmrStmt>/.test(head) || /camt\.053/.test(head)) {
+    return 'CAMT053';
+  }
+
+  if (/OFXHEADER|<OFX>/i.test(head)) {
+    return 'OFX';
+  }
+
+  if (/\.(csv|txt)$/i.test(fileName || '') || !head.trim().startsWith('<')) {
+    return 'CSV';
+  }
+
+  throw new Error('Unsupported statement format, expected CSV, OFX or CAMT.053');
+};
+
+const PARSERS = {
+  CSV: parseCsv,
+  OFX: parseOfx,
+  CAMT053: parseCamt053
+};
+
+/**
+ * Parse a bank statement into lines
+ * Lines without a readable date or amount are rejected so nothing is matched on guesses.
+ * @param {string} content - File content
+ * @param {string} format - CSV, OFX or CAMT053
+ * @returns {Array<Object>} - Lines (externalId, date, amount, currency, reference, description)
+ */
+const parseStatement = (content, format) => {
+  if (!PARSERS[format]) {
+    throw new Error('Unsupported statement format, expected CSV, OFX or CAMT.053');
+  }
+
+  const lines = PARSERS[format](content);
+
+  lines.forEach((line, index) => {
+    if (!line.date || Number.isNaN(line.amount)) {
+      throw new Error(`Statement line ${index + 1} has no readable date or amount`);
+    }
+  });
+
+  return lines;
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  detectFormat,
+  parseStatement,
+  parseAmount,
+  parseDate
+};
@@ -0,0 +1,12 @@
+// Amount a contribution document owes in an aggregation pipeline: its amount plus its penalties,
+// less the auction credits settled on it
+const AMOUNT_DUE = {
+  $subtract: [
+    { $add: ['$amount', { $ifNull: ['$penaltyAmount', 0] }] },
+    { $ifNull: ['$creditedAmount', 0] }
+  ]
+};
+
+module.exports = {
+  AMOUNT_DUE
+};
@@ -0,0 +1,43 @@
+/**
+ * Add a number of contribution periods to a date
+ * @param {Date} date - Start date
+ * @param {string} frequency - Group contribution frequency
+ * @param {number} count - Number of periods to add
+ * @returns {Date} - Resulting date
+ */
+const addPeriods = (date, frequency, count) => {
+  const result = new Date(date);
+
+  switch (frequency) {
+    case 'WEEKLY':
+      result.setDate(result.getDate() + 7 * count);
+      break;
+    case 'BIWEEKLY':
+      result.setDate(result.getDate() + 14 * count);
+      break;
+    case 'MONTHLY':
+      result.setMonth(result.getMonth() + count);
+      break;
+    case 'QUARTERLY':
+      result.setMonth(result.getMonth() + 3 * count);
+      break;
+    default:
+      throw new Error('Unsupported contribution frequency');
+  }
+
+  return result;
+};
+
+/**
+ * Get the due date of a cycle from the group settings (cycles are numbered from 1)
+ * @param {Object} settings - Group settings (startDate, contributionFrequency)
+ * @param {number} cycleNumber - Cycle number
+ * @returns {Date} - Due date of the cycle
+ */
+const getCycleDueDate = (settings, cycleNumber) =>
+  addPeriods(settings.startDate, settings.contributionFrequency, cycleNumber - 1);
+
+module.exports = {
+  addPeriods,
+  getCycleDueDate
+};
@@ -0,0 +1,57 @@
+/**
+ * Add a number of days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Number of days, may be negative
+ * @returns {Date} - Resulting date
+ */
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Get the first millisecond of the day of a date
+ * @param {Date} date - Date
+ * @returns {Date} - Start of the day
+ */
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+/**
+ * Get the last millisecond of the day of a date
+ * @param {Date} date - Date
+ * @returns {Date} - End of the day
+ */
+const endOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(23, 59, 59, 999);
+  return result;
+};
+
+/**
+ * Count whole days between two dates
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} - Number of days, negative when to is before from
+ */
+const daysBetween = (from, to) =>
+  Math.floor((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000));
+
+/**
+ * Check whether a date is in the past
+ * @param {Date} date - Date
+ * @returns {boolean}
+ */
+const isPast = (date) => new Date(date) < new Date();
+
+module.exports = {
+  addDays,
+  startOfDay,
+  endOfDay,
+  daysBetween,
+  isPast
+};
@@ -0,0 +1,31 @@
+const CryptoJS = require('crypto-js');
+
+// Key used for data stored encrypted at rest, such as KYC document paths
+const getKey = () => process.env.ENCRYPTION_KEY || 'dev-encryption-key';
+
+/**
+ * Encrypt a string with AES
+ * @param {string} value - Plain text
+ * @returns {string} - Cipher text
+ */
+const encrypt = (value) => CryptoJS.AES.encrypt(String(value), getKey()).toString();
+
+/**
+ * Decrypt a string encrypted with encrypt
+ * @param {string} cipherText - Cipher text
+ * @returns {string} - Plain text
+ */
+const decrypt = (cipherText) => CryptoJS.AES.decrypt(cipherText, getKey()).toString(CryptoJS.enc.Utf8);
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+const hash = (value) => CryptoJS.SHA256(String(value)).toString(CryptoJS.enc.Hex);
+
+module.exports = {
+  encrypt,
+  decrypt,
+  hash
+};
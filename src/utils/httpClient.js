@@ -0,0 +1,78 @@
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Send a request and fail on non-2xx responses
+ * The error of a rejected request carries the response status, if any.
+ * @param {string} method - HTTP method
+ * @param {string} url - Target URL
+ * @param {Object} options - body, headers, timeoutMs
+ * @returns {Promise<Object>} - Response status and body text
+ */
+const request = async (method, url, { body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers,
+    body,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Request to ${new URL(url).host} failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return { status: response.status, text: await response.text() };
+};
+
+/**
+ * POST a raw body and fail on non-2xx responses
+ * @param {string} url - Target URL
+ * @param {string} body - Request body
+ * @param {Object} headers - Request headers
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object>} - Response status and body text
+ */
+const post = (url, body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS) =>
+  request('POST', url, { body, headers, timeoutMs });
+
+/**
+ * POST a JSON body and fail on non-2xx responses
+ * @param {string} url - Target URL
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object|null>} - Parsed JSON response, or null when the body is empty
+ */
+const postJson = async (url, body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS) => {
+  const { text } = await post(
+    url,
+    JSON.stringify(body),
+    { 'Content-Type': 'application/json', ...headers },
+    timeoutMs
+  );
+
+  return text ? JSON.parse(text) : null;
+};
+
+/**
+ * GET a JSON resource and fail on non-2xx responses
+ * @param {string} url - Target URL
+ * @param {Object} headers - Extra headers
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object|null>} - Parsed JSON response, or null when the body is empty
+ */
+const getJson = async (url, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS) => {
+  const { text } = await request('GET', url, {
+    headers: { Accept: 'application/json', ...headers },
+    timeoutMs
+  });
+
+  return text ? JSON.parse(text) : null;
+};
+
+module.exports = {
+  post,
+  postJson,
+  getJson
+};
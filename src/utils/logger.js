@@ -0,0 +1,21 @@
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'tirelire-api' },
+  transports: [
+    new winston.transports.Console({
+      silent: process.env.NODE_ENV === 'test',
+      format: process.env.NODE_ENV === 'production'
+        ? winston.format.json()
+        : winston.format.combine(winston.format.colorize(), winston.format.simple())
+    })
+  ]
+});
+
+module.exports = logger;
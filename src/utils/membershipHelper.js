@@ -0,0 +1,78 @@
+const User = require('../models/User');
+const { ROLE_PERMISSIONS } = require('../config/groupPermissions');
+
+// Group statuses in which new members can still come in
+const JOINABLE_STATUSES = ['RECRUITING', 'ACTIVE'];
+
+/**
+ * Check that a user is allowed to join a group
+ * Applies the same rules as a direct join: group open, capacity, KYC and reliability score.
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - The joining user
+ */
+const assertCanJoin = async (group, userId) => {
+  if (!group.isActive || !JOINABLE_STATUSES.includes(group.status)) {
+    throw new Error('Group is not accepting new members');
+  }
+
+  if (group.isMember(userId)) {
+    throw new Error('User is already a member of this group');
+  }
+
+  if (group.isFull()) {
+    throw new Error('Group has reached maximum number of members');
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (group.settings.requiresKyc && !user.isKycVerified) {
+    throw new Error('KYC verification required to join this group');
+  }
+
+  if (user.reliabilityScore < (group.settings.minReliabilityScore || 0)) {
+    throw new Error('Your reliability score is below the minimum required');
+  }
+
+  return user;
+};
+
+/**
+ * Get the role a user holds in a group
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ * @returns {string|null} - Group role, or null if the user is not an active member
+ */
+const getGroupRole = (group, userId) => {
+  if (group.creator && group.creator.toString() === userId.toString()) {
+    return 'ADMIN';
+  }
+
+  const member = (group.members || []).find(
+    m => m.user.toString() === userId.toString() && m.status === 'ACTIVE'
+  );
+
+  return member ? member.role || 'MEMBER' : null;
+};
+
+/**
+ * Check whether a user's group role grants a permission
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ * @param {string} permission - Permission from GROUP_PERMISSIONS
+ * @returns {boolean} - True if the permission is granted
+ */
+const hasGroupPermission = (group, userId, permission) => {
+  const role = getGroupRole(group, userId);
+  return Boolean(role) && (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  JOINABLE_STATUSES,
+  assertCanJoin,
+  getGroupRole,
+  hasGroupPermission
+};
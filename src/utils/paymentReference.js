@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// Crockford base 32: no I, L, O or U, so references survive being read out or typed by hand
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const PREFIX = 'TRL';
+
+const GROUP_CODE_LENGTH = 5;
+const MEMBER_CODE_LENGTH = 4;
+const CYCLE_LENGTH = 3;
+const MAX_CYCLE_LENGTH = 6;
+
+// TRL, group code, cycle, member code and check character, with or without separators. Cycles
+// past 999 take more digits, so their references are only read with a separator after the cycle.
+const REFERENCE_PATTERN = new RegExp(
+  `${PREFIX}[\\s-]*([0-9A-Z]{${GROUP_CODE_LENGTH}})[\\s-]*` +
+  `([0-9OIL]{${CYCLE_LENGTH + 1},${MAX_CYCLE_LENGTH}}(?=[\\s-])|[0-9OIL]{${CYCLE_LENGTH}})` +
+  `[\\s-]*([0-9A-Z]{${MEMBER_CODE_LENGTH}})[\\s-]*([0-9A-Z])(?![0-9A-Z])`,
+  'gi'
+);
+
+/**
+ * Derive a short base 32 code from an ID
+ * @param {string} id - Document ID
+ * @param {number} length - Code length
+ * @returns {string} - Code
+ */
+const shortCode = (id, length) => {
+  const digest = crypto.createHash('sha256').update(String(id)).digest();
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += ALPHABET[digest[i] % ALPHABET.length];
+  }
+  return code;
+};
+
+/**
+ * Compute the Luhn mod 32 check character of a payload
+ * It catches any single wrong character and most swaps of two neighbours.
+ * @param {string} payload - Characters of the alphabet
+ * @returns {string} - Check character
+ */
+const checkCharacter = (payload) => {
+  const base = ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = payload.length - 1; i >= 0; i--) {
+    const addend = factor * ALPHABET.indexOf(payload[i]);
+    sum += Math.floor(addend / base) + (addend % base);
+    factor = factor === 2 ? 1 : 2;
+  }
+
+  return ALPHABET[(base - (sum % base)) % base];
+};
+
+/**
+ * Fix the characters Crockford base 32 reads as others (O as 0, I and L as 1)
+ * @param {string} code - Code typed by a member
+ * @returns {string} - Code in the alphabet
+ */
+const fixCode = (code) => code.toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1');
+
+/**
+ * Build the payment reference of a member's contribution for a cycle
+ * e.g. TRL-7K2QX-003-9F4C-7
+ * @param {string} groupId - Group ID
+ * @param {number} cycleNumber - Cycle number, up to 999999; contributions outside the schedule use 0
+ * @param {string} userId - Member user ID
+ * @returns {string} - Payment reference
+ */
+const buildPaymentReference = (groupId, cycleNumber, userId) => {
+  const groupCode = shortCode(groupId, GROUP_CODE_LENGTH);
+  const cycle = String(cycleNumber || 0).padStart(CYCLE_LENGTH, '0');
+  const memberCode = shortCode(userId, MEMBER_CODE_LENGTH);
+
+  return [PREFIX, groupCode, cycle, memberCode, checkCharacter(`${groupCode}${cycle}${memberCode}`)].join('-');
+};
+
+/**
+ * Get the payment reference of a contribution
+ * @param {Object} contribution - Contribution (group, cycleNumber, user)
+ * @returns {string} - Payment reference
+ */
+const getContributionReference = (contribution) =>
+  buildPaymentReference(
+    (contribution.group._id || contribution.group).toString(),
+    contribution.cycleNumber,
+    (contribution.user._id || contribution.user).toString()
+  );
+
+/**
+ * Read the payment references quoted in a text, ignoring those with a wrong check character
+ * @param {string} text - Free text, e.g. a transfer description
+ * @returns {Array<string>} - References in their canonical form
+ */
+const findPaymentReferences = (text) => {
+  const references = [];
+
+  for (const match of String(text || '').matchAll(REFERENCE_PATTERN)) {
+    const [groupCode, cycle, memberCode, check] = match.slice(1).map(fixCode);
+
+    if (checkCharacter(`${groupCode}${cycle}${memberCode}`) === check) {
+      references.push([PREFIX, groupCode, cycle, memberCode, check].join('-'));
+    }
+  }
+
+  return references;
+};
+
+/**
+ * Read a payment reference typed by a member
+ * @param {string} text - Reference as typed
+ * @returns {string|null} - Reference in its canonical form, or null if it is not a valid reference
+ */
+const parsePaymentReference = (text) => {
+  const value = String(text || '').trim();
+  const [reference] = findPaymentReferences(value);
+
+  return reference && value.replace(/[\s-]/g, '').length === reference.replace(/-/g, '').length
+    ? reference
+    : null;
+};
+
+module.exports = {
+  buildPaymentReference,
+  getContributionReference,
+  findPaymentReferences,
+  parsePaymentReference
+};
@@ -0,0 +1,43 @@
+const responseHandler = {
+  /**
+   * Send a success response
+   * @param {Object} res - Express response
+   * @param {string} message - Success message
+   * @param {*} data - Response payload
+   * @param {number} statusCode - HTTP status code
+   */
+  success: (res, message, data = null, statusCode = 200) => {
+    return res.status(statusCode).json({
+      success: true,
+      message,
+      data
+    });
+  },
+
+  /**
+   * Send an error response
+   * @param {Object} res - Express response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {Array} errors - Detailed errors
+   * @param {string} code - Machine-readable error code
+   */
+  error: (res, message, statusCode = 500, errors = null, code = null) => {
+    const body = {
+      success: false,
+      message
+    };
+
+    if (code) {
+      body.code = code;
+    }
+
+    if (errors) {
+      body.errors = errors;
+    }
+
+    return res.status(statusCode).json(body);
+  }
+};
+
+module.exports = responseHandler;
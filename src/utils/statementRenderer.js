@@ -0,0 +1,117 @@
+const PDFDocument = require('pdfkit');
+
+const CSV_COLUMNS = [
+  'cycle',
+  'due_date',
+  'member',
+  'amount_due',
+  'amount_paid',
+  'paid_at',
+  'status',
+  'penalties',
+  'payout_beneficiary',
+  'payout_amount'
+];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Escape a CSV field, neutralising values a spreadsheet would run as a formula
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+const escapeCsv = (value) => {
+  let field = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@]/.test(field) && isNaN(Number(field))) {
+    field = `'${field}`;
+  }
+
+  if (/[",\r\n]/.test(field)) {
+    field = `"${field.replace(/"/g, '""')}"`;
+  }
+
+  return field;
+};
+
+/**
+ * Render a group statement as CSV, one line per member and cycle
+ * @param {Object} statement - Statement built by StatementService
+ * @returns {string} - CSV document
+ */
+const toCsv = (statement) => {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const cycle of statement.cycles) {
+    for (const row of cycle.rows) {
+      lines.push([
+        cycle.cycleNumber,
+        formatDate(cycle.dueDate),
+        row.member,
+        row.amountDue,
+        row.amountPaid,
+        formatDate(row.paidAt),
+        row.status,
+        row.penalties,
+        cycle.payout ? cycle.payout.beneficiary : '',
+        cycle.payout ? cycle.payout.amount : ''
+      ].map(escapeCsv).join(','));
+    }
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Render a group statement as a printable PDF
+ * @param {Object} statement - Statement built by StatementService
+ * @returns {Promise<Buffer>} - PDF document
+ */
+const toPdf = (statement) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { group, period, cycles, totals } = statement;
+  const currency = group.currency;
+
+  doc.fontSize(16).text(`${group.name} - Treasury statement`);
+  doc.fontSize(10).text(`Period: ${formatDate(period.from)} to ${formatDate(period.to)}`);
+  doc.text(`Generated on ${formatDate(statement.generatedAt)}`);
+  doc.moveDown();
+
+  for (const cycle of cycles) {
+    doc.fontSize(12).text(`Cycle ${cycle.cycleNumber} - due ${formatDate(cycle.dueDate)}`);
+    doc.fontSize(9);
+
+    for (const row of cycle.rows) {
+      const paidAt = row.paidAt ? ` on ${formatDate(row.paidAt)}` : '';
+      const penalties = row.penalties > 0 ? `, penalties ${row.penalties} ${currency}` : '';
+      doc.text(`${row.member}: paid ${row.amountPaid} / ${row.amountDue} ${currency}${paidAt} (${row.status})${penalties}`);
+    }
+
+    doc.text(`Collected ${cycle.totals.collected} of ${cycle.totals.amountDue} ${currency}`);
+    if (cycle.payout) {
+      doc.text(`Payout: ${cycle.payout.amount} ${currency} to ${cycle.payout.beneficiary} (${cycle.payout.status})`);
+    }
+    doc.moveDown();
+  }
+
+  doc.fontSize(11).text('Totals');
+  doc.fontSize(9)
+    .text(`Due: ${totals.amountDue} ${currency}`)
+    .text(`Collected: ${totals.collected} ${currency}`)
+    .text(`Penalties: ${totals.penalties} ${currency}`)
+    .text(`Paid out: ${totals.paidOut} ${currency}`);
+
+  doc.end();
+});
+
+module.exports = {
+  escapeCsv,
+  toCsv,
+  toPdf
+};
@@ -0,0 +1,109 @@
+const { DEFAULT_LOCALE, getLocale } = require('../locales');
+
+/**
+ * Replace {{name}} placeholders with their parameter; unknown placeholders are kept
+ * @param {string} template - Template string
+ * @param {Object} params - Parameters
+ * @returns {string} - Rendered string
+ */
+const interpolate = (template, params = {}) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    (params[name] === undefined || params[name] === null ? placeholder : String(params[name])));
+
+/**
+ * Escape a string for HTML
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Find the template of a notification type, falling back to the default locale
+ * @param {string} locale - Supported locale
+ * @param {string} type - Notification type
+ * @param {string} variant - Variant of the type, e.g. "overdue" for CONTRIBUTION_REMINDER
+ * @returns {Object|null} - Template (title, message)
+ */
+const findTemplate = (locale, type, variant) => {
+  for (const code of [locale, DEFAULT_LOCALE]) {
+    const entry = getLocale(code).notifications[type];
+    const template = entry && (variant ? entry[variant] : entry);
+    if (template && template.title) {
+      return template;
+    }
+  }
+  return null;
+};
+
+/**
+ * Render the title and message of a notification in a locale
+ * @param {string} locale - Supported locale
+ * @param {Object} notification - Notification (type, variant, params)
+ * @returns {Object|null} - Title and message, or null when the type has no template
+ */
+const renderNotification = (locale, notification) => {
+  const template = findTemplate(locale, notification.type, notification.variant);
+  if (!template) {
+    return null;
+  }
+
+  return {
+    title: interpolate(template.title, notification.params),
+    message: interpolate(template.message, notification.params)
+  };
+};
+
+/**
+ * Render an email in a locale, laid out right-to-left for Arabic
+ * @param {string} locale - Supported locale
+ * @param {Object} email - Email content (firstName, subject, message)
+ * @returns {Object} - Subject, plain text and HTML bodies
+ */
+const renderEmail = (locale, { firstName, subject, message }) => {
+  const strings = getLocale(locale);
+  const direction = strings.direction;
+  const greeting = interpolate(strings.email.greeting, { firstName });
+  const footer = strings.email.footer;
+
+  const paragraph = (text, style = '') =>
+    `<p${style ? ` style="${style}"` : ''}>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+
+  const html = [
+    '<!DOCTYPE html>',
+    `<html lang="${locale}" dir="${direction}">`,
+    `<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>`,
+    `<body style="font-family: Arial, sans-serif; direction: ${direction}; text-align: ${direction === 'rtl' ? 'right' : 'left'};">`,
+    paragraph(greeting),
+    paragraph(message),
+    paragraph(footer, 'color: #777777; font-size: 12px;'),
+    '</body>',
+    '</html>'
+  ].join('\n');
+
+  return {
+    subject,
+    text: `${greeting}\n\n${message}\n\n${footer}\n`,
+    html
+  };
+};
+
+/**
+ * Render the subject of an email digest in a locale
+ * @param {string} locale - Supported locale
+ * @param {number} count - Number of grouped notifications
+ * @returns {string} - Subject
+ */
+const renderDigestSubject = (locale, count) => interpolate(getLocale(locale).email.digestSubject, { count });
+
+module.exports = {
+  interpolate,
+  escapeHtml,
+  renderNotification,
+  renderEmail,
+  renderDigestSubject
+};
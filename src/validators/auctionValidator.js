@@ -0,0 +1,51 @@
+const Joi = require('joi');
+
+const auctionValidation = {
+  /**
+   * Validate the cycle number route parameter
+   */
+  cycleParams: (req, res, next) => {
+    const schema = Joi.object({
+      cycleNumber: Joi.number().integer().min(1).required().messages({
+        'number.base': 'Cycle number must be a number',
+        'number.min': 'Cycle number must be at least 1'
+      })
+    }).unknown(true);
+
+    const { error } = schema.validate(req.params);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate bid data
+   */
+  placeBid: (req, res, next) => {
+    const schema = Joi.object({
+      discount: Joi.number().integer().min(1).required().messages({
+        'number.base': 'Discount must be a number',
+        'number.integer': 'Discount must be a whole amount',
+        'number.min': 'Discount must be at least 1',
+        'any.required': 'Discount is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = auctionValidation;
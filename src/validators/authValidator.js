@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const constants = require('../config/constants');
+const { SUPPORTED_LOCALES } = require('../locales');
 
 /**
  * User registration validation schema
@@ -210,6 +211,13 @@ const updateProfileSchema = Joi.object({
     .allow(null, '')
     .messages({
       'string.pattern.base': 'Please provide a valid phone number'
+    }),
+
+  preferredLanguage: Joi.string()
+    .valid(...SUPPORTED_LOCALES)
+    .optional()
+    .messages({
+      'any.only': `Preferred language must be one of: ${SUPPORTED_LOCALES.join(', ')}`
     })
 });
 
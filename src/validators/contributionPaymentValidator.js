@@ -0,0 +1,26 @@
+const Joi = require('joi');
+
+const contributionPaymentValidation = {
+  /**
+   * Validate the payment applied to a contribution
+   */
+  applyPayment: (req, res, next) => {
+    const schema = Joi.object({
+      paymentId: Joi.string().required().messages({
+        'any.required': 'Payment ID is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = contributionPaymentValidation;
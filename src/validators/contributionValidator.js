@@ -0,0 +1,141 @@
+const Joi = require('joi');
+
+/**
+ * Reply with the Joi validation errors
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+const contributionValidation = {
+  /**
+   * Validate contribution creation data
+   */
+  createContribution: (req, res, next) => {
+    const schema = Joi.object({
+      groupId: Joi.string().required().messages({
+        'any.required': 'Group ID is required'
+      }),
+      amount: Joi.number().positive().required().messages({
+        'number.positive': 'Amount must be positive',
+        'any.required': 'Amount is required'
+      }),
+      dueDate: Joi.date().iso().required().messages({
+        'date.format': 'Due date must be a valid ISO date',
+        'any.required': 'Due date is required'
+      }),
+      description: Joi.string().max(500).allow('').optional().messages({
+        'string.max': 'Description cannot exceed 500 characters'
+      })
+    });
+
+    const { error } = schema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    next();
+  },
+
+  /**
+   * Validate contribution update data
+   */
+  updateContribution: (req, res, next) => {
+    const schema = Joi.object({
+      description: Joi.string().max(500).allow('').optional().messages({
+        'string.max': 'Description cannot exceed 500 characters'
+      }),
+      dueDate: Joi.date().iso().optional().messages({
+        'date.format': 'Due date must be a valid ISO date'
+      })
+    }).min(1).messages({
+      'object.min': 'At least one field must be provided'
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    next();
+  },
+
+  /**
+   * Validate the payment settling a contribution
+   */
+  markAsPaid: (req, res, next) => {
+    const schema = Joi.object({
+      paymentId: Joi.string().required().messages({
+        'any.required': 'Payment ID is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    next();
+  },
+
+  /**
+   * Validate a penalty
+   */
+  addPenalty: (req, res, next) => {
+    const schema = Joi.object({
+      penaltyAmount: Joi.number().positive().required().messages({
+        'number.positive': 'Penalty amount must be positive',
+        'any.required': 'Penalty amount is required'
+      }),
+      penaltyReason: Joi.string().max(500).optional().messages({
+        'string.max': 'Penalty reason cannot exceed 500 characters'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    next();
+  },
+
+  /**
+   * Validate a cancellation
+   */
+  cancelContribution: (req, res, next) => {
+    const schema = Joi.object({
+      reason: Joi.string().max(500).required().messages({
+        'any.required': 'Cancellation reason is required',
+        'string.max': 'Cancellation reason cannot exceed 500 characters'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    next();
+  },
+
+  /**
+   * Validate the period of generated contributions
+   */
+  generateContributions: (req, res, next) => {
+    const schema = Joi.object({
+      startDate: Joi.date().iso().required().messages({
+        'any.required': 'Start date is required'
+      }),
+      endDate: Joi.date().iso().greater(Joi.ref('startDate')).required().messages({
+        'date.greater': 'End date must be after start date',
+        'any.required': 'End date is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    next();
+  }
+};
+
+module.exports = contributionValidation;
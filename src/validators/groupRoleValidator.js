@@ -0,0 +1,28 @@
+const Joi = require('joi');
+const { GROUP_ROLES } = require('../config/groupPermissions');
+
+const groupRoleValidation = {
+  /**
+   * Validate group role assignment data
+   */
+  assignRole: (req, res, next) => {
+    const schema = Joi.object({
+      role: Joi.string().valid(...Object.values(GROUP_ROLES)).required().messages({
+        'any.only': `Role must be one of: ${Object.values(GROUP_ROLES).join(', ')}`,
+        'any.required': 'Role is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = groupRoleValidation;
@@ -0,0 +1,34 @@
+const Joi = require('joi');
+
+const groupStatusValidation = {
+  /**
+   * Validate group status change data
+   */
+  changeStatus: (req, res, next) => {
+    const schema = Joi.object({
+      status: Joi.string()
+        .valid('DRAFT', 'RECRUITING', 'ACTIVE', 'COMPLETED', 'CANCELLED', 'SUSPENDED')
+        .required()
+        .messages({
+          'any.only': 'Status must be one of: DRAFT, RECRUITING, ACTIVE, COMPLETED, CANCELLED, SUSPENDED',
+          'any.required': 'Status is required'
+        }),
+      reason: Joi.string().min(5).max(500).optional().messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 500 characters'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = groupStatusValidation;
@@ -0,0 +1,145 @@
+const Joi = require('joi');
+const { CURRENCIES } = require('../config/constants');
+
+// Fields a new group cannot be created without
+const REQUIRED_GROUP_FIELDS = ['name', 'contributionAmount', 'startDate', 'endDate'];
+const FREQUENCIES = ['WEEKLY', 'BIWEEKLY', 'MONTHLY', 'QUARTERLY'];
+const TONTINE_MODES = ['ROTATING', 'AUCTION'];
+
+const groupValidation = {
+  /**
+   * Validate group creation data
+   */
+  createGroup: (req, res, next) => {
+    const missing = REQUIRED_GROUP_FIELDS.filter(
+      field => req.body[field] === undefined || req.body[field] === null || req.body[field] === ''
+    );
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields',
+        required: missing
+      });
+    }
+
+    const schema = Joi.object({
+      name: Joi.string().min(3).max(100).trim().required().messages({
+        'string.min': 'Group name must be at least 3 characters long',
+        'string.max': 'Group name cannot exceed 100 characters'
+      }),
+      description: Joi.string().max(500).allow('').optional().messages({
+        'string.max': 'Description cannot exceed 500 characters'
+      }),
+      contributionAmount: Joi.number().positive().required().messages({
+        'number.positive': 'Contribution amount must be positive'
+      }),
+      contributionFrequency: Joi.string().valid(...FREQUENCIES).optional().messages({
+        'any.only': `Contribution frequency must be one of: ${FREQUENCIES.join(', ')}`
+      }),
+      currency: Joi.string().valid(...CURRENCIES).optional().messages({
+        'any.only': `Currency must be one of: ${CURRENCIES.join(', ')}`
+      }),
+      tontineMode: Joi.string().valid(...TONTINE_MODES).optional().messages({
+        'any.only': `Tontine mode must be one of: ${TONTINE_MODES.join(', ')}`
+      }),
+      startDate: Joi.date().iso().required().messages({
+        'date.format': 'Start date must be a valid ISO date'
+      }),
+      endDate: Joi.date().iso().greater(Joi.ref('startDate')).required().messages({
+        'date.format': 'End date must be a valid ISO date',
+        'date.greater': 'End date must be after start date'
+      }),
+      maxMembers: Joi.number().integer().min(1).max(100).optional().messages({
+        'number.min': 'A group needs at least one member slot',
+        'number.max': 'A group cannot have more than 100 members'
+      }),
+      isPublic: Joi.boolean().optional(),
+      requiresKyc: Joi.boolean().optional(),
+      minReliabilityScore: Joi.number().min(0).max(100).optional().messages({
+        'number.min': 'Minimum reliability score cannot be negative',
+        'number.max': 'Minimum reliability score cannot exceed 100'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate group update data
+   */
+  updateGroup: (req, res, next) => {
+    const schema = Joi.object({
+      name: Joi.string().min(3).max(100).trim().optional().messages({
+        'string.min': 'Group name must be at least 3 characters long',
+        'string.max': 'Group name cannot exceed 100 characters'
+      }),
+      description: Joi.string().max(500).allow('').optional().messages({
+        'string.max': 'Description cannot exceed 500 characters'
+      }),
+      contributionAmount: Joi.number().positive().optional().messages({
+        'number.positive': 'Contribution amount must be positive'
+      }),
+      contributionFrequency: Joi.string().valid(...FREQUENCIES).optional().messages({
+        'any.only': `Contribution frequency must be one of: ${FREQUENCIES.join(', ')}`
+      }),
+      currency: Joi.string().valid(...CURRENCIES).optional().messages({
+        'any.only': `Currency must be one of: ${CURRENCIES.join(', ')}`
+      }),
+      tontineMode: Joi.string().valid(...TONTINE_MODES).optional().messages({
+        'any.only': `Tontine mode must be one of: ${TONTINE_MODES.join(', ')}`
+      }),
+      startDate: Joi.date().iso().optional(),
+      endDate: Joi.date().iso().optional(),
+      maxMembers: Joi.number().integer().min(1).max(100).optional(),
+      isPublic: Joi.boolean().optional(),
+      requiresKyc: Joi.boolean().optional(),
+      minReliabilityScore: Joi.number().min(0).max(100).optional()
+    }).min(1).messages({
+      'object.min': 'At least one field must be provided'
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate query parameters for listing groups
+   */
+  listGroups: (req, res, next) => {
+    const schema = Joi.object({
+      status: Joi.string().optional(),
+      minReliabilityScore: Joi.number().min(0).max(100).optional(),
+      maxContributionAmount: Joi.number().positive().optional(),
+      page: Joi.number().integer().min(1).optional(),
+      limit: Joi.number().integer().min(1).max(100).optional()
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    req.query = value;
+    next();
+  }
+};
+
+module.exports = groupValidation;
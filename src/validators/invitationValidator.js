@@ -0,0 +1,87 @@
+const Joi = require('joi');
+
+const expiresInHours = Joi.number().integer().min(1).max(720).optional().messages({
+  'number.base': 'Expiry must be a number of hours',
+  'number.min': 'Expiry must be at least 1 hour',
+  'number.max': 'Expiry cannot exceed 720 hours (30 days)'
+});
+
+const invitationValidation = {
+  /**
+   * Validate invite code creation data
+   */
+  createInviteCode: (req, res, next) => {
+    const schema = Joi.object({
+      maxUses: Joi.number().integer().min(1).max(100).optional().messages({
+        'number.base': 'Max uses must be a number',
+        'number.min': 'Max uses must be at least 1',
+        'number.max': 'Max uses cannot exceed 100'
+      }),
+      expiresInHours
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate direct invitation data
+   */
+  inviteUser: (req, res, next) => {
+    const schema = Joi.object({
+      email: Joi.string().email().optional().messages({
+        'string.email': 'Please provide a valid email address'
+      }),
+      phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).optional().messages({
+        'string.pattern.base': 'Please provide a valid phone number'
+      }),
+      expiresInHours
+    }).or('email', 'phone').messages({
+      'object.missing': 'Either email or phone must be provided'
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate join by code data
+   */
+  joinByCode: (req, res, next) => {
+    const schema = Joi.object({
+      code: Joi.string().alphanum().min(6).max(20).required().messages({
+        'string.empty': 'Invite code is required',
+        'string.alphanum': 'Invite code must only contain letters and numbers',
+        'string.min': 'Invite code is invalid',
+        'string.max': 'Invite code is invalid',
+        'any.required': 'Invite code is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = invitationValidation;
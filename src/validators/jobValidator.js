@@ -0,0 +1,36 @@
+const Joi = require('joi');
+
+const jobValidation = {
+  /**
+   * Validate query parameters for listing job runs
+   */
+  listJobRuns: (req, res, next) => {
+    const schema = Joi.object({
+      job: Joi.string().max(100).optional().messages({
+        'string.max': 'Job name cannot exceed 100 characters'
+      }),
+      status: Joi.string().valid('RUNNING', 'SUCCEEDED', 'FAILED').optional().messages({
+        'any.only': 'Status must be one of: RUNNING, SUCCEEDED, FAILED'
+      }),
+      page: Joi.number().integer().min(1).optional().messages({
+        'number.min': 'Page must be at least 1'
+      }),
+      limit: Joi.number().integer().min(1).max(100).optional().messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = jobValidation;
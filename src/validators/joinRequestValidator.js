@@ -0,0 +1,47 @@
+const Joi = require('joi');
+
+const joinRequestValidation = {
+  /**
+   * Validate join request data
+   */
+  requestToJoin: (req, res, next) => {
+    const schema = Joi.object({
+      message: Joi.string().max(500).optional().messages({
+        'string.max': 'Message cannot exceed 500 characters'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate join request rejection data
+   */
+  rejectRequest: (req, res, next) => {
+    const schema = Joi.object({
+      reason: Joi.string().max(500).optional().messages({
+        'string.max': 'Rejection reason cannot exceed 500 characters'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = joinRequestValidation;
@@ -0,0 +1,122 @@
+const Joi = require('joi');
+const constants = require('../config/constants');
+const { validateKYCDocument } = require('../middlewares/kycMiddleware');
+
+const kycValidation = {
+  /**
+   * Validate a KYC submission: either uploaded files or paths of documents already stored
+   */
+  submitKYC: (req, res, next) => {
+    if (req.files && req.files.idCard) {
+      return validateKYCDocument(req, res, next);
+    }
+
+    const schema = Joi.object({
+      idImagePath: Joi.string().required().messages({
+        'string.empty': 'ID image is required',
+        'any.required': 'ID image is required'
+      }),
+      selfieImagePath: Joi.string().required().messages({
+        'string.empty': 'Selfie image is required',
+        'any.required': 'Selfie image is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate a KYC review decision
+   */
+  verifyKYC: (req, res, next) => {
+    const schema = Joi.object({
+      userId: req.params.userId
+        ? Joi.forbidden()
+        : Joi.string().required().messages({
+          'any.required': 'User ID is required'
+        }),
+      status: Joi.string().valid(constants.KYC_STATUS.VERIFIED, constants.KYC_STATUS.REJECTED).required().messages({
+        'any.only': 'Status must be one of: VERIFIED, REJECTED',
+        'any.required': 'Status is required'
+      }),
+      faceMatchScore: Joi.number().min(0).max(100).optional().messages({
+        'number.min': 'Face match score cannot be negative',
+        'number.max': 'Face match score cannot exceed 100'
+      }),
+      rejectionReason: Joi.string().max(500).when('status', {
+        is: constants.KYC_STATUS.REJECTED,
+        then: Joi.required(),
+        otherwise: Joi.optional()
+      }).messages({
+        'string.max': 'Rejection reason cannot exceed 500 characters',
+        'any.required': 'Rejection reason is required when rejecting KYC'
+      }),
+      verifiedBy: Joi.string().optional(),
+      notes: Joi.string().max(500).optional()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate a KYC rejection
+   */
+  rejectKYC: (req, res, next) => {
+    const schema = Joi.object({
+      rejectionReason: Joi.string().max(500).required().messages({
+        'string.max': 'Rejection reason cannot exceed 500 characters',
+        'any.required': 'Rejection reason is required'
+      }),
+      notes: Joi.string().max(500).optional()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate query parameters for listing KYC submissions
+   */
+  listRequests: (req, res, next) => {
+    const schema = Joi.object({
+      status: Joi.string().valid(...Object.values(constants.KYC_STATUS)).optional().messages({
+        'any.only': `Status must be one of: ${Object.values(constants.KYC_STATUS).join(', ')}`
+      })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = kycValidation;
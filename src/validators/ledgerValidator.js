@@ -0,0 +1,34 @@
+const Joi = require('joi');
+
+const ledgerValidation = {
+  /**
+   * Validate query parameters for reading the ledger
+   */
+  getLedger: (req, res, next) => {
+    const schema = Joi.object({
+      memberId: Joi.string().optional(),
+      type: Joi.string().valid('CONTRIBUTION_PAYMENT', 'PENALTY', 'PENALTY_REVERSAL', 'PAYOUT').optional().messages({
+        'any.only': 'Type must be one of: CONTRIBUTION_PAYMENT, PENALTY, PENALTY_REVERSAL, PAYOUT'
+      }),
+      page: Joi.number().integer().min(1).optional().messages({
+        'number.min': 'Page must be at least 1'
+      }),
+      limit: Joi.number().integer().min(1).max(100).optional().messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = ledgerValidation;
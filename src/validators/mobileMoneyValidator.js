@@ -0,0 +1,38 @@
+const Joi = require('joi');
+const { PROVIDER_NAMES } = require('../paymentProviders');
+
+const mobileMoneyValidation = {
+  /**
+   * Validate a mobile money payment request
+   */
+  initiatePayment: (req, res, next) => {
+    const schema = Joi.object({
+      contributionId: Joi.string().required().messages({
+        'any.required': 'Contribution ID is required'
+      }),
+      provider: Joi.string().valid(...PROVIDER_NAMES).required().messages({
+        'any.only': `Provider must be one of: ${PROVIDER_NAMES.join(', ')}`,
+        'any.required': 'Provider is required'
+      }),
+      phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/).required().messages({
+        'string.pattern.base': 'Phone number must contain 8 to 15 digits',
+        'any.required': 'Phone number is required'
+      }),
+      amount: Joi.number().positive().messages({
+        'number.positive': 'Amount must be positive'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = mobileMoneyValidation;
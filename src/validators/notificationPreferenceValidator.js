@@ -0,0 +1,65 @@
+const Joi = require('joi');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS } = require('../config/notificationEvents');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isTimezone = (value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+};
+
+const notificationPreferenceValidation = {
+  /**
+   * Validate notification preferences data
+   */
+  updatePreferences: (req, res, next) => {
+    const schema = Joi.object({
+      channels: Joi.object()
+        .pattern(
+          Joi.string().valid(...Object.keys(NOTIFICATION_EVENTS)),
+          Joi.array().items(Joi.string().valid(...Object.values(NOTIFICATION_CHANNELS))).unique()
+        )
+        .optional()
+        .messages({
+          'object.unknown': 'Unknown notification event',
+          'any.only': `Channels must be among: ${Object.values(NOTIFICATION_CHANNELS).join(', ')}`,
+          'array.unique': 'A channel can only be listed once per event'
+        }),
+      quietHours: Joi.object({
+        enabled: Joi.boolean().required(),
+        start: Joi.string().pattern(TIME_PATTERN).optional().messages({
+          'string.pattern.base': 'Quiet hours start must be in HH:mm format'
+        }),
+        end: Joi.string().pattern(TIME_PATTERN).optional().messages({
+          'string.pattern.base': 'Quiet hours end must be in HH:mm format'
+        }),
+        timezone: Joi.string().custom(isTimezone).optional().messages({
+          'any.invalid': 'Timezone must be a valid IANA timezone, e.g. Africa/Casablanca'
+        })
+      }).optional(),
+      digest: Joi.object({
+        enabled: Joi.boolean().required(),
+        hour: Joi.number().integer().min(0).max(23).optional().messages({
+          'number.min': 'Digest hour must be between 0 and 23',
+          'number.max': 'Digest hour must be between 0 and 23'
+        })
+      }).optional()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = notificationPreferenceValidation;
@@ -0,0 +1,31 @@
+const Joi = require('joi');
+
+const notificationValidation = {
+  /**
+   * Validate notification list filters
+   */
+  listNotifications: (req, res, next) => {
+    const schema = Joi.object({
+      unreadOnly: Joi.string().valid('true', 'false').optional(),
+      page: Joi.number().integer().min(1).optional().messages({
+        'number.min': 'Page must be at least 1'
+      }),
+      limit: Joi.number().integer().min(1).max(100).optional().messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = notificationValidation;
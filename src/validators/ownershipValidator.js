@@ -0,0 +1,30 @@
+const Joi = require('joi');
+
+const ownershipValidation = {
+  /**
+   * Validate ownership transfer data
+   */
+  requestTransfer: (req, res, next) => {
+    const schema = Joi.object({
+      newOwnerId: Joi.string().required().messages({
+        'string.empty': 'New owner ID is required',
+        'any.required': 'New owner ID is required'
+      }),
+      message: Joi.string().max(500).optional().messages({
+        'string.max': 'Message cannot exceed 500 characters'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = ownershipValidation;
@@ -0,0 +1,91 @@
+const Joi = require('joi');
+const constants = require('../config/constants');
+
+/**
+ * Reply with the Joi validation errors
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+const paymentValidation = {
+  /**
+   * Validate a declared bank transfer
+   */
+  createBankTransfer: (req, res, next) => {
+    const schema = Joi.object({
+      contributionId: Joi.string().required().messages({
+        'any.required': 'Contribution ID is required'
+      }),
+      amount: Joi.number().positive().required().messages({
+        'number.positive': 'Amount must be positive',
+        'any.required': 'Amount is required'
+      }),
+      currency: Joi.string().valid(...constants.CURRENCIES).optional().messages({
+        'any.only': `Currency must be one of: ${constants.CURRENCIES.join(', ')}`
+      }),
+      reference: Joi.string().trim().max(100).optional(),
+      bankProofUrl: Joi.string().optional()
+    });
+
+    const { error } = schema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    next();
+  },
+
+  /**
+   * Validate a Stripe payment intent request
+   */
+  createStripeIntent: (req, res, next) => {
+    const schema = Joi.object({
+      contributionId: Joi.string().required().messages({
+        'any.required': 'Contribution ID is required'
+      }),
+      amount: Joi.number().positive().required().messages({
+        'number.positive': 'Amount must be positive',
+        'any.required': 'Amount is required'
+      }),
+      currency: Joi.string().valid(...constants.CURRENCIES).optional().messages({
+        'any.only': `Currency must be one of: ${constants.CURRENCIES.join(', ')}`
+      })
+    });
+
+    const { error } = schema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    next();
+  },
+
+  /**
+   * Validate a bank transfer verification
+   */
+  verifyPayment: (req, res, next) => {
+    const schema = Joi.object({
+      status: Joi.string().valid('VERIFIED', 'REJECTED').default('VERIFIED').messages({
+        'any.only': 'Status must be one of: VERIFIED, REJECTED'
+      }),
+      verificationNotes: Joi.string().max(500).when('status', {
+        is: 'REJECTED',
+        then: Joi.required(),
+        otherwise: Joi.optional()
+      }).messages({
+        'string.max': 'Verification notes cannot exceed 500 characters',
+        'any.required': 'Verification notes are required when rejecting a payment'
+      }),
+      verifiedBy: Joi.string().optional()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    next();
+  }
+};
+
+module.exports = paymentValidation;
@@ -0,0 +1,59 @@
+const Joi = require('joi');
+
+const payoutValidation = {
+  /**
+   * Validate payout creation data
+   */
+  createPayout: (req, res, next) => {
+    const schema = Joi.object({
+      cycleNumber: Joi.number().integer().min(1).required().messages({
+        'number.base': 'Cycle number must be a number',
+        'number.min': 'Cycle number must be at least 1',
+        'any.required': 'Cycle number is required'
+      }),
+      notes: Joi.string().max(500).optional().messages({
+        'string.max': 'Notes cannot exceed 500 characters'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate query parameters for listing payouts
+   */
+  listPayouts: (req, res, next) => {
+    const schema = Joi.object({
+      status: Joi.string().valid('PENDING', 'APPROVED', 'COMPLETED', 'CANCELLED').optional().messages({
+        'any.only': 'Status must be one of: PENDING, APPROVED, COMPLETED, CANCELLED'
+      }),
+      page: Joi.number().integer().min(1).optional().messages({
+        'number.min': 'Page must be at least 1'
+      }),
+      limit: Joi.number().integer().min(1).max(100).optional().messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = payoutValidation;
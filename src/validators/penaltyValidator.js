@@ -0,0 +1,85 @@
+const Joi = require('joi');
+
+const penaltyValidation = {
+  /**
+   * Validate penalty policy data
+   */
+  updatePolicy: (req, res, next) => {
+    const schema = Joi.object({
+      enabled: Joi.boolean().required().messages({
+        'any.required': 'Enabled flag is required'
+      }),
+      flatFee: Joi.number().min(0).optional().messages({
+        'number.min': 'Flat fee cannot be negative'
+      }),
+      dailyRate: Joi.number().min(0).max(100).optional().messages({
+        'number.min': 'Daily rate cannot be negative',
+        'number.max': 'Daily rate cannot exceed 100 percent'
+      }),
+      gracePeriodDays: Joi.number().integer().min(0).max(90).optional().messages({
+        'number.min': 'Grace period cannot be negative',
+        'number.max': 'Grace period cannot exceed 90 days'
+      }),
+      maxPenalty: Joi.number().min(0).optional().messages({
+        'number.min': 'Maximum penalty cannot be negative'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate penalty reversal data
+   */
+  reversePenalty: (req, res, next) => {
+    const schema = Joi.object({
+      reason: Joi.string().min(3).max(500).required().messages({
+        'string.min': 'Reason must be at least 3 characters long',
+        'string.max': 'Reason cannot exceed 500 characters',
+        'any.required': 'Reason is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate query parameters for listing penalties
+   */
+  listPenalties: (req, res, next) => {
+    const schema = Joi.object({
+      contributionId: Joi.string().optional(),
+      status: Joi.string().valid('APPLIED', 'REVERSED').optional().messages({
+        'any.only': 'Status must be one of: APPLIED, REVERSED'
+      })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = penaltyValidation;
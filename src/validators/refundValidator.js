@@ -0,0 +1,39 @@
+const Joi = require('joi');
+
+const refundValidation = {
+  /**
+   * Validate refund data
+   */
+  refundPayment: (req, res, next) => {
+    const schema = Joi.object({
+      type: Joi.string().valid('REFUND', 'REVERSAL').default('REFUND').messages({
+        'any.only': 'Type must be one of: REFUND, REVERSAL'
+      }),
+      amount: Joi.number().positive().when('type', {
+        is: 'REVERSAL',
+        then: Joi.forbidden(),
+        otherwise: Joi.optional()
+      }).messages({
+        'number.positive': 'Amount must be positive',
+        'any.unknown': 'A reversal always undoes the whole payment, amount is not allowed'
+      }),
+      reason: Joi.string().min(3).max(500).required().messages({
+        'string.min': 'Reason must be at least 3 characters long',
+        'string.max': 'Reason cannot exceed 500 characters',
+        'any.required': 'Reason is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = refundValidation;
@@ -0,0 +1,30 @@
+const Joi = require('joi');
+
+const reminderValidation = {
+  /**
+   * Validate reminder schedule data
+   */
+  updateSchedule: (req, res, next) => {
+    const schema = Joi.object({
+      offsets: Joi.array().items(Joi.number().integer().min(-30).max(30)).min(1).max(10).required().messages({
+        'array.min': 'At least one reminder is required',
+        'array.max': 'A group cannot have more than 10 reminders',
+        'number.min': 'Reminders cannot be sent more than 30 days before the due date',
+        'number.max': 'Reminders cannot be sent more than 30 days after the due date',
+        'any.required': 'Reminder offsets are required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = reminderValidation;
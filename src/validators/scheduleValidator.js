@@ -0,0 +1,44 @@
+const Joi = require('joi');
+
+const scheduleValidation = {
+  /**
+   * Validate payout schedule generation data
+   */
+  generateSchedule: (req, res, next) => {
+    const schema = Joi.object({
+      method: Joi.string().valid('JOIN_ORDER', 'RANDOM', 'CUSTOM').required().messages({
+        'any.only': 'Method must be one of: JOIN_ORDER, RANDOM, CUSTOM',
+        'any.required': 'Rotation method is required'
+      }),
+      order: Joi.array().items(Joi.string()).min(2).when('method', {
+        is: 'CUSTOM',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }).messages({
+        'array.min': 'Custom order must contain at least two members',
+        'any.required': 'Custom order is required for the CUSTOM method',
+        'any.unknown': 'Order is only allowed for the CUSTOM method'
+      }),
+      seed: Joi.string().max(128).when('method', {
+        is: 'RANDOM',
+        then: Joi.optional(),
+        otherwise: Joi.forbidden()
+      }).messages({
+        'string.max': 'Seed cannot exceed 128 characters',
+        'any.unknown': 'Seed is only allowed for the RANDOM method'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = scheduleValidation;
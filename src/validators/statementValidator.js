@@ -0,0 +1,33 @@
+const Joi = require('joi');
+
+const statementValidation = {
+  /**
+   * Validate query parameters of a statement export
+   */
+  getStatement: (req, res, next) => {
+    const schema = Joi.object({
+      from: Joi.date().iso().optional().messages({
+        'date.format': 'Start date must be an ISO date'
+      }),
+      to: Joi.date().iso().min(Joi.ref('from')).optional().messages({
+        'date.format': 'End date must be an ISO date',
+        'date.min': 'End date must be after the start date'
+      }),
+      format: Joi.string().valid('json', 'csv', 'pdf').optional().messages({
+        'any.only': 'Format must be one of: json, csv, pdf'
+      })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = statementValidation;
@@ -0,0 +1,78 @@
+const Joi = require('joi');
+
+const swapValidation = {
+  /**
+   * Validate swap proposal data
+   */
+  proposeSwap: (req, res, next) => {
+    const schema = Joi.object({
+      counterpartyId: Joi.string().required().messages({
+        'string.empty': 'Counterparty ID is required',
+        'any.required': 'Counterparty ID is required'
+      }),
+      message: Joi.string().max(500).optional().messages({
+        'string.max': 'Message cannot exceed 500 characters'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate swap rejection data
+   */
+  rejectSwap: (req, res, next) => {
+    const schema = Joi.object({
+      reason: Joi.string().min(5).max(500).required().messages({
+        'string.empty': 'Rejection reason is required',
+        'string.min': 'Rejection reason must be at least 5 characters long',
+        'string.max': 'Rejection reason cannot exceed 500 characters',
+        'any.required': 'Rejection reason is required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate query parameters for listing swaps
+   */
+  listSwaps: (req, res, next) => {
+    const schema = Joi.object({
+      status: Joi.string()
+        .valid('PENDING', 'ACCEPTED', 'DECLINED', 'APPROVED', 'REJECTED', 'CANCELLED')
+        .optional()
+        .messages({
+          'any.only': 'Status must be one of: PENDING, ACCEPTED, DECLINED, APPROVED, REJECTED, CANCELLED'
+        })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = swapValidation;
@@ -0,0 +1,76 @@
+const Joi = require('joi');
+const constants = require('../config/constants');
+
+const userValidation = {
+  /**
+   * Validate user update data (admin)
+   */
+  updateUser: (req, res, next) => {
+    const schema = Joi.object({
+      firstName: Joi.string().min(2).max(50).trim().optional().messages({
+        'string.min': 'First name must be at least 2 characters long',
+        'string.max': 'First name cannot exceed 50 characters'
+      }),
+      lastName: Joi.string().min(2).max(50).trim().optional().messages({
+        'string.min': 'Last name must be at least 2 characters long',
+        'string.max': 'Last name cannot exceed 50 characters'
+      }),
+      email: Joi.string().email().lowercase().trim().optional().messages({
+        'string.email': 'Please provide a valid email address'
+      }),
+      phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).optional().messages({
+        'string.pattern.base': 'Please provide a valid phone number'
+      }),
+      dateOfBirth: Joi.date().max('now').optional().messages({
+        'date.max': 'Date of birth cannot be in the future'
+      }),
+      address: Joi.string().max(200).trim().optional(),
+      city: Joi.string().max(100).trim().optional(),
+      country: Joi.string().max(100).trim().optional(),
+      role: Joi.string().valid(...Object.values(constants.ROLES)).optional().messages({
+        'any.only': `Role must be one of: ${Object.values(constants.ROLES).join(', ')}`
+      })
+    }).min(1).messages({
+      'object.min': 'At least one field must be provided'
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate query parameters for listing users
+   */
+  listUsers: (req, res, next) => {
+    const schema = Joi.object({
+      role: Joi.string().valid(...Object.values(constants.ROLES)).optional().messages({
+        'any.only': `Role must be one of: ${Object.values(constants.ROLES).join(', ')}`
+      }),
+      kycStatus: Joi.string().valid(...Object.values(constants.KYC_STATUS)).optional().messages({
+        'any.only': `KYC status must be one of: ${Object.values(constants.KYC_STATUS).join(', ')}`
+      }),
+      search: Joi.string().max(100).optional(),
+      page: Joi.number().integer().min(1).optional(),
+      limit: Joi.number().integer().min(1).max(100).optional()
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = userValidation;
@@ -0,0 +1,104 @@
+const Joi = require('joi');
+const { WEBHOOK_EVENTS, ALL_EVENTS } = require('../config/webhookEvents');
+
+const EVENT_NAMES = [...Object.values(WEBHOOK_EVENTS), ALL_EVENTS];
+
+const url = Joi.string().uri({ scheme: ['https', 'http'] }).messages({
+  'string.uri': 'URL must be a valid http(s) URL',
+  'string.uriCustomScheme': 'URL must be a valid http(s) URL'
+});
+
+const events = Joi.array().items(Joi.string().valid(...EVENT_NAMES)).min(1).unique().messages({
+  'array.min': 'At least one event is required',
+  'array.unique': 'An event can only be listed once',
+  'any.only': `Events must be among: ${EVENT_NAMES.join(', ')}`
+});
+
+const webhookValidation = {
+  /**
+   * Validate webhook endpoint creation data
+   */
+  createEndpoint: (req, res, next) => {
+    const schema = Joi.object({
+      url: url.required().messages({
+        'any.required': 'URL is required'
+      }),
+      description: Joi.string().max(200).optional().messages({
+        'string.max': 'Description cannot exceed 200 characters'
+      }),
+      events: events.required().messages({
+        'any.required': 'Events are required'
+      })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate webhook endpoint update data
+   */
+  updateEndpoint: (req, res, next) => {
+    const schema = Joi.object({
+      url: url.optional(),
+      description: Joi.string().max(200).allow('').optional().messages({
+        'string.max': 'Description cannot exceed 200 characters'
+      }),
+      events: events.optional(),
+      isActive: Joi.boolean().optional()
+    }).min(1).messages({
+      'object.min': 'At least one field is required'
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  },
+
+  /**
+   * Validate query parameters for listing webhook deliveries
+   */
+  listDeliveries: (req, res, next) => {
+    const schema = Joi.object({
+      endpointId: Joi.string().optional(),
+      event: Joi.string().valid(...Object.values(WEBHOOK_EVENTS)).optional().messages({
+        'any.only': `Event must be one of: ${Object.values(WEBHOOK_EVENTS).join(', ')}`
+      }),
+      status: Joi.string().valid('PENDING', 'SUCCEEDED', 'FAILED').optional().messages({
+        'any.only': 'Status must be one of: PENDING, SUCCEEDED, FAILED'
+      }),
+      page: Joi.number().integer().min(1).optional().messages({
+        'number.min': 'Page must be at least 1'
+      }),
+      limit: Joi.number().integer().min(1).max(100).optional().messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    next();
+  }
+};
+
+module.exports = webhookValidation;
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const { app } = require('../../src/app');
+const AuthService = require('../../src/services/AuthService');
+const { authMiddleware } = require('../../src/middlewares/authMiddleware');
+
+// Mock dependencies
+jest.mock('../../src/services/AuthService');
+jest.mock('../../src/middlewares/authMiddleware', () => ({
+  authMiddleware: jest.fn(),
+  extractDeviceInfo: jest.fn((req, res, next) => {
+    req.deviceInfo = { userAgent: 'test-agent', ipAddress: '127.0.0.1' };
+    next();
+  })
+}));
+jest.mock('../../src/models/User');
+
+describe('Auth Integration Tests', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const mockToken = 'mock-access-token';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Like the real middleware, refuse requests without a Bearer token
+    authMiddleware.mockImplementation((req, res, next) => {
+      if (!req.headers.authorization) {
+        return res.status(401).json({ success: false, message: 'Access token required' });
+      }
+      req.user = { id: userId, _id: userId, role: 'PARTICULIER' };
+      next();
+    });
+  });
+
+  describe('POST /api/auth/register', () => {
+    const registerData = {
+      firstName: 'John',
+      lastName: 'Doe',
+      nationalId: 'AB12345678',
+      email: 'john@example.com',
+      password: 'Password123!',
+      confirmPassword: 'Password123!'
+    };
+
+    it('should register a user successfully', async () => {
+      AuthService.register.mockResolvedValue({
+        _id: userId,
+        firstName: 'John',
+        lastName: 'Doe',
+        email: 'john@example.com'
+      });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registerData)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('User registered successfully');
+      expect(response.body.data.user.email).toBe('john@example.com');
+      expect(AuthService.register).toHaveBeenCalledWith(expect.objectContaining({
+        firstName: 'John',
+        nationalId: 'AB12345678'
+      }));
+    });
+
+    it('should return 400 when the passwords do not match', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...registerData, confirmPassword: 'Different123!' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(AuthService.register).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when the user already exists', async () => {
+      AuthService.register.mockRejectedValue(new Error('User already exists'));
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registerData)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('User already exists');
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should log a user in successfully', async () => {
+      AuthService.login.mockResolvedValue({
+        user: { _id: userId, email: 'john@example.com' },
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token'
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'john@example.com', password: 'Password123!' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.accessToken).toBe('access-token');
+      expect(AuthService.login).toHaveBeenCalledWith({
+        identifier: 'john@example.com',
+        password: 'Password123!',
+        deviceInfo: { userAgent: 'test-agent', ipAddress: '127.0.0.1' }
+      });
+    });
+
+    it('should return 401 for invalid credentials', async () => {
+      AuthService.login.mockRejectedValue(new Error('Invalid credentials'));
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'john@example.com', password: 'WrongPassword1!' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid credentials');
+    });
+
+    it('should return 400 for missing credentials', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(AuthService.login).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/auth/profile', () => {
+    it('should return the profile of the current user', async () => {
+      AuthService.getUserProfile.mockResolvedValue({ _id: userId, firstName: 'John' });
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.user.firstName).toBe('John');
+      expect(AuthService.getUserProfile).toHaveBeenCalledWith(userId);
+    });
+
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(AuthService.getUserProfile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should log the current user out', async () => {
+      AuthService.logout.mockResolvedValue();
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ refreshToken: 'refresh-token' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(AuthService.logout).toHaveBeenCalledWith({ refreshToken: 'refresh-token' });
+    });
+
+    it('should return 400 without the refresh token of the session', async () => {
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(AuthService.logout).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/auth/admin/token-stats', () => {
+    it('should return 403 for non-admin users', async () => {
+      const response = await request(app)
+        .get('/api/auth/admin/token-stats')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
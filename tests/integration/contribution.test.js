@@ -30,6 +30,14 @@ jest.mock('../../src/models/User');
 describe('Contribution Integration Tests', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    // Like the real middleware, refuse requests without a Bearer token
+    authMiddleware.mockImplementation((req, res, next) => {
+      if (!req.headers.authorization) {
+        return res.status(401).json({ success: false, message: 'Access token required' });
+      }
+      req.user = { id: '507f1f77bcf86cd799439013', _id: '507f1f77bcf86cd799439013' };
+      next();
+    });
   });
 
   describe('POST /api/contributions', () => {
@@ -51,14 +59,14 @@ describe('Contribution Integration Tests', () => {
 
       const mockToken = 'mock-access-token';
       authMiddleware.mockImplementation((req, res, next) => {
-        req.user = { _id: '507f1f77bcf86cd799439013' };
+        req.user = { id: '507f1f77bcf86cd799439013', _id: '507f1f77bcf86cd799439013' };
         next();
       });
 
       ContributionService.createContribution.mockResolvedValue({
         success: true,
         message: 'Contribution created successfully',
-        data: mockContribution
+        data: { contribution: mockContribution }
       });
 
       const response = await request(app)
@@ -71,8 +79,8 @@ describe('Contribution Integration Tests', () => {
       expect(response.body.message).toBe('Contribution created successfully');
       expect(response.body.data.contribution).toBeDefined();
       expect(ContributionService.createContribution).toHaveBeenCalledWith(
-        '507f1f77bcf86cd799439013',
-        contributionData
+        { ...contributionData, dueDate: contributionData.dueDate.toISOString() },
+        '507f1f77bcf86cd799439013'
       );
     });
 
@@ -219,8 +227,7 @@ describe('Contribution Integration Tests', () => {
     it('should mark contribution as paid successfully', async () => {
       const contributionId = '507f1f77bcf86cd799439012';
       const paymentData = {
-        paymentMethod: 'BANK_TRANSFER',
-        bankProofUrl: 'uploads/payments/proof_123.jpg'
+        paymentId: '507f1f77bcf86cd799439014'
       };
 
       const mockContribution = {
@@ -24,6 +24,14 @@ describe('Group Integration Tests', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    // Like the real middleware, refuse requests without a Bearer token
+    authMiddleware.mockImplementation((req, res, next) => {
+      if (!req.headers.authorization) {
+        return res.status(401).json({ success: false, message: 'Access token required' });
+      }
+      req.user = { _id: '507f1f77bcf86cd799439013', sub: '507f1f77bcf86cd799439013' };
+      next();
+    });
     
     mockUser = {
       id: '507f1f77bcf86cd799439011',
@@ -0,0 +1,65 @@
+const request = require('supertest');
+const { app } = require('../../src/app');
+const InvitationService = require('../../src/services/InvitationService');
+const { authMiddleware } = require('../../src/middlewares/authMiddleware');
+
+// Mock dependencies
+jest.mock('../../src/services/InvitationService');
+jest.mock('../../src/middlewares/authMiddleware', () => ({
+  authMiddleware: jest.fn(),
+  extractDeviceInfo: jest.fn((req, res, next) => next())
+}));
+
+describe('Invitation Integration Tests', () => {
+  const userId = '507f1f77bcf86cd799439013';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authMiddleware.mockImplementation((req, res, next) => {
+      if (!req.headers.authorization) {
+        return res.status(401).json({ success: false, message: 'Access token required' });
+      }
+      req.user = { id: userId, _id: userId };
+      next();
+    });
+  });
+
+  describe('POST /api/groups/join-by-code', () => {
+    it('should join the group of an invite code', async () => {
+      InvitationService.joinByCode.mockResolvedValue({
+        success: true,
+        message: 'Joined group successfully',
+        data: { group: { _id: '507f1f77bcf86cd799439011' } }
+      });
+
+      const response = await request(app)
+        .post('/api/groups/join-by-code')
+        .set('Authorization', 'Bearer token')
+        .send({ code: 'A1B2C3D4E5' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(InvitationService.joinByCode).toHaveBeenCalledWith('A1B2C3D4E5', userId);
+    });
+
+    it('should return 400 for a malformed code', async () => {
+      const response = await request(app)
+        .post('/api/groups/join-by-code')
+        .set('Authorization', 'Bearer token')
+        .send({ code: 'not a code' })
+        .expect(400);
+
+      expect(response.body.errors).toContain('Invite code must only contain letters and numbers');
+      expect(InvitationService.joinByCode).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 without authentication', async () => {
+      await request(app)
+        .post('/api/groups/join-by-code')
+        .send({ code: 'A1B2C3D4E5' })
+        .expect(401);
+
+      expect(InvitationService.joinByCode).not.toHaveBeenCalled();
+    });
+  });
+});
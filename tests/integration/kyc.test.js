@@ -21,6 +21,14 @@ jest.mock('../../src/models/User');
 describe('KYC Integration Tests', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    // Like the real middleware, refuse requests without a Bearer token
+    authMiddleware.mockImplementation((req, res, next) => {
+      if (!req.headers.authorization) {
+        return res.status(401).json({ success: false, message: 'Access token required' });
+      }
+      req.user = { _id: '507f1f77bcf86cd799439013', sub: '507f1f77bcf86cd799439013' };
+      next();
+    });
   });
 
   describe('POST /api/kyc/submit', () => {
@@ -42,7 +50,7 @@ describe('KYC Integration Tests', () => {
 
       const mockToken = 'mock-access-token';
       authMiddleware.mockImplementation((req, res, next) => {
-        req.user = { _id: '507f1f77bcf86cd799439011' };
+        req.user = { id: '507f1f77bcf86cd799439011', _id: '507f1f77bcf86cd799439011' };
         next();
       });
 
@@ -59,7 +67,8 @@ describe('KYC Integration Tests', () => {
       expect(response.body.data.kyc).toBeDefined();
       expect(KYCService.submitKYCDocuments).toHaveBeenCalledWith(
         '507f1f77bcf86cd799439011',
-        kycData
+        kycData,
+        undefined
       );
     });
 
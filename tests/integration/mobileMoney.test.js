@@ -0,0 +1,90 @@
+const request = require('supertest');
+const { app } = require('../../src/app');
+const MobileMoneyService = require('../../src/services/MobileMoneyService');
+const { authMiddleware } = require('../../src/middlewares/authMiddleware');
+
+// Mock dependencies
+jest.mock('../../src/services/MobileMoneyService');
+jest.mock('../../src/middlewares/authMiddleware', () => ({
+  authMiddleware: jest.fn(),
+  extractDeviceInfo: jest.fn((req, res, next) => next())
+}));
+
+describe('Mobile Money Integration Tests', () => {
+  const userId = '507f1f77bcf86cd799439013';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authMiddleware.mockImplementation((req, res, next) => {
+      if (!req.headers.authorization) {
+        return res.status(401).json({ success: false, message: 'Access token required' });
+      }
+      req.user = { id: userId, _id: userId };
+      next();
+    });
+  });
+
+  describe('POST /api/payments/mobile-money/callbacks/:provider', () => {
+    it('should verify the callback against the bytes the operator sent', async () => {
+      const rawBody = '{ "reference":"SIM-1",  "status":"SUCCEEDED" }';
+      MobileMoneyService.handleCallback.mockResolvedValue({
+        success: true,
+        message: 'Callback processed successfully',
+        data: { payment: { _id: 'p1' } }
+      });
+
+      const response = await request(app)
+        .post('/api/payments/mobile-money/callbacks/simulator')
+        .set('Content-Type', 'application/json')
+        .set('X-Signature', 'abc')
+        .send(rawBody)
+        .expect(200);
+
+      expect(response.body.data.paymentId).toBe('p1');
+      expect(MobileMoneyService.handleCallback).toHaveBeenCalledWith(
+        'simulator',
+        rawBody,
+        expect.objectContaining({ 'x-signature': 'abc' })
+      );
+    });
+
+    it('should return 401 for a callback with an invalid signature', async () => {
+      MobileMoneyService.handleCallback.mockRejectedValue(new Error('Invalid callback signature'));
+
+      const response = await request(app)
+        .post('/api/payments/mobile-money/callbacks/simulator')
+        .set('Content-Type', 'application/json')
+        .set('X-Signature', 'forged')
+        .send('{"reference":"SIM-1"}')
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid callback signature');
+    });
+
+    it('should return 404 for a callback of an unknown provider', async () => {
+      MobileMoneyService.handleCallback.mockRejectedValue(new Error('Mobile money provider not found'));
+
+      await request(app)
+        .post('/api/payments/mobile-money/callbacks/unknown')
+        .set('Content-Type', 'application/json')
+        .send('{"reference":"SIM-1"}')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/payments/mobile-money/:paymentId', () => {
+    it('should reach the mobile money routes before the payment routes', async () => {
+      MobileMoneyService.getPaymentStatus.mockResolvedValue({
+        success: true,
+        data: { payment: { _id: 'p1', status: 'PENDING' } }
+      });
+
+      await request(app)
+        .get('/api/payments/mobile-money/p1')
+        .set('Authorization', 'Bearer token')
+        .expect(200);
+
+      expect(MobileMoneyService.getPaymentStatus).toHaveBeenCalledWith('p1', userId);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const { app } = require('../../src/app');
+const PaymentService = require('../../src/services/PaymentService');
+const RefundService = require('../../src/services/RefundService');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const { authMiddleware } = require('../../src/middlewares/authMiddleware');
+
+// Mock dependencies
+jest.mock('../../src/services/PaymentService');
+jest.mock('../../src/services/RefundService');
+jest.mock('../../src/models/IdempotencyKey');
+jest.mock('../../src/middlewares/authMiddleware', () => ({
+  authMiddleware: jest.fn(),
+  extractDeviceInfo: jest.fn((req, res, next) => next())
+}));
+
+describe('Payment Integration Tests', () => {
+  const userId = '507f1f77bcf86cd799439013';
+  const intentData = { contributionId: '507f1f77bcf86cd799439012', amount: 5000, currency: 'XOF' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authMiddleware.mockImplementation((req, res, next) => {
+      req.user = { id: userId, _id: userId };
+      next();
+    });
+    IdempotencyKey.create.mockImplementation(doc => Promise.resolve({ _id: 'k1', ...doc }));
+    IdempotencyKey.updateOne.mockResolvedValue({});
+  });
+
+  describe('POST /api/payments/stripe', () => {
+    it('should store the response under the Idempotency-Key', async () => {
+      PaymentService.createStripePaymentIntent.mockResolvedValue({ clientSecret: 'pi_secret' });
+
+      await request(app)
+        .post('/api/payments/stripe')
+        .set('Idempotency-Key', 'retry-1')
+        .send(intentData)
+        .expect(201);
+
+      expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+        key: 'retry-1',
+        scope: `user:${userId}`,
+        path: '/api/payments/stripe'
+      }));
+    });
+
+    it('should replay the original response to a retry', async () => {
+      PaymentService.createStripePaymentIntent.mockResolvedValue({ clientSecret: 'pi_secret' });
+      await request(app)
+        .post('/api/payments/stripe')
+        .set('Idempotency-Key', 'retry-1')
+        .send(intentData);
+      const { fingerprint } = IdempotencyKey.create.mock.calls[0][0];
+
+      PaymentService.createStripePaymentIntent.mockClear();
+      IdempotencyKey.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      IdempotencyKey.findOne.mockResolvedValue({
+        fingerprint,
+        status: 'COMPLETED',
+        responseStatus: 201,
+        responseBody: { success: true, data: { clientSecret: 'pi_secret' } }
+      });
+
+      const response = await request(app)
+        .post('/api/payments/stripe')
+        .set('Idempotency-Key', 'retry-1')
+        .send(intentData)
+        .expect(201);
+
+      expect(response.headers['idempotent-replayed']).toBe('true');
+      expect(response.body.data.clientSecret).toBe('pi_secret');
+      expect(PaymentService.createStripePaymentIntent).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a key reused with a different body', async () => {
+      IdempotencyKey.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      IdempotencyKey.findOne.mockResolvedValue({ fingerprint: 'other', status: 'COMPLETED' });
+
+      await request(app)
+        .post('/api/payments/stripe')
+        .set('Idempotency-Key', 'retry-1')
+        .send({ ...intentData, amount: 9000 })
+        .expect(422);
+
+      expect(PaymentService.createStripePaymentIntent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/payments/bank-transfer', () => {
+    it('should fingerprint the fields of the form', async () => {
+      PaymentService.createBankTransferPayment.mockResolvedValue({ _id: 'p1' });
+
+      await request(app)
+        .post('/api/payments/bank-transfer')
+        .set('Idempotency-Key', 'transfer-1')
+        .field('contributionId', intentData.contributionId)
+        .field('amount', '5000');
+      await request(app)
+        .post('/api/payments/bank-transfer')
+        .set('Idempotency-Key', 'transfer-2')
+        .field('contributionId', intentData.contributionId)
+        .field('amount', '9000');
+
+      const [first, second] = IdempotencyKey.create.mock.calls.map(([doc]) => doc.fingerprint);
+      expect(first).not.toBe(second);
+    });
+
+    it('should refuse a bank statement as proof of transfer', async () => {
+      const response = await request(app)
+        .post('/api/payments/bank-transfer')
+        .set('Idempotency-Key', 'transfer-3')
+        .field('contributionId', intentData.contributionId)
+        .attach('proof', Buffer.from('date,amount\n'), { filename: 'proof.csv', contentType: 'text/csv' })
+        .expect(400);
+
+      expect(response.body.message).toBe('File type not allowed: proof.csv');
+      expect(PaymentService.createBankTransferPayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/payments/:id/refund', () => {
+    it('should refund the payment', async () => {
+      RefundService.refundPayment.mockResolvedValue({
+        success: true,
+        message: 'Payment refunded successfully',
+        data: { refund: { _id: 'r1' } }
+      });
+
+      const response = await request(app)
+        .post('/api/payments/507f1f77bcf86cd799439016/refund')
+        .send({ amount: 40, reason: 'Paid twice' })
+        .expect(201);
+
+      expect(response.body.data.refund._id).toBe('r1');
+      expect(RefundService.refundPayment).toHaveBeenCalledWith(
+        '507f1f77bcf86cd799439016',
+        expect.objectContaining({ amount: 40, reason: 'Paid twice' }),
+        expect.objectContaining({ id: userId })
+      );
+    });
+
+    it('should return 404 for an unknown payment', async () => {
+      RefundService.refundPayment.mockRejectedValue(new Error('Payment not found'));
+
+      const response = await request(app)
+        .post('/api/payments/507f1f77bcf86cd799439016/refund')
+        .send({ amount: 40, reason: 'Paid twice' })
+        .expect(404);
+
+      expect(response.body.message).toBe('Payment not found');
+    });
+  });
+});
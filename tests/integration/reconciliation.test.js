@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const request = require('supertest');
+
+// Uploaded statements go to a temporary directory instead of uploads/
+process.env.UPLOAD_DIR = os.tmpdir();
+
+const { app } = require('../../src/app');
+const BankReconciliationService = require('../../src/services/BankReconciliationService');
+const { authMiddleware } = require('../../src/middlewares/authMiddleware');
+
+// Mock dependencies
+jest.mock('../../src/services/BankReconciliationService');
+jest.mock('../../src/middlewares/authMiddleware', () => ({
+  authMiddleware: jest.fn(),
+  extractDeviceInfo: jest.fn((req, res, next) => next())
+}));
+
+describe('Reconciliation Integration Tests', () => {
+  const adminId = '507f1f77bcf86cd799439011';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authMiddleware.mockImplementation((req, res, next) => {
+      req.user = { id: adminId, _id: adminId, role: 'ADMIN' };
+      next();
+    });
+  });
+
+  describe('POST /api/admin/reconciliation/imports', () => {
+    it.each([
+      ['statement.csv', 'text/csv', 'date,amount,reference\n2026-01-05,5000,TL-ABC123\n'],
+      ['statement.ofx', 'application/x-ofx', '<OFX></OFX>'],
+      ['statement.xml', 'application/xml', '<Document></Document>']
+    ])('should accept %s statements', async (filename, contentType, content) => {
+      BankReconciliationService.importStatement.mockResolvedValue({
+        success: true,
+        message: 'Statement imported successfully',
+        data: { import: { _id: 'i1' } }
+      });
+
+      await request(app)
+        .post('/api/admin/reconciliation/imports')
+        .attach('statement', Buffer.from(content), { filename, contentType })
+        .expect(201);
+
+      const [file] = BankReconciliationService.importStatement.mock.calls[0];
+      expect(file.originalName).toBe(filename);
+      expect(fs.readFileSync(file.path, 'utf8')).toBe(content);
+      fs.unlinkSync(file.path);
+    });
+
+    it('should refuse other file types', async () => {
+      const response = await request(app)
+        .post('/api/admin/reconciliation/imports')
+        .attach('statement', Buffer.from('MZ'), { filename: 'statement.exe', contentType: 'application/octet-stream' })
+        .expect(400);
+
+      expect(response.body.message).toBe('File type not allowed: statement.exe');
+      expect(BankReconciliationService.importStatement).not.toHaveBeenCalled();
+    });
+
+    it('should refuse images as statements', async () => {
+      await request(app)
+        .post('/api/admin/reconciliation/imports')
+        .attach('statement', Buffer.from('PNG'), { filename: 'statement.png', contentType: 'image/png' })
+        .expect(400);
+
+      expect(BankReconciliationService.importStatement).not.toHaveBeenCalled();
+    });
+  });
+});
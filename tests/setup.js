@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+process.env.NODE_ENV = 'test';
+
+// Unit tests run without a MongoDB server: saving a document still runs its validation
+// and middleware but writes nothing, and model queries are mocks each test can program.
+mongoose.set('bufferCommands', false);
+
+mongoose.Model.prototype.$__handleSave = function(options, callback) {
+  process.nextTick(() => callback(null, this));
+};
+
+[
+  'find',
+  'findOne',
+  'findById',
+  'create',
+  'countDocuments',
+  'aggregate',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findByIdAndUpdate',
+  'findByIdAndDelete',
+  'deleteOne',
+  'deleteMany',
+  'insertMany',
+  'bulkWrite',
+  'distinct',
+  'exists'
+].forEach((method) => {
+  mongoose.Model[method] = jest.fn();
+});
@@ -0,0 +1,135 @@
+const AuctionController = require('../../../src/controllers/auctionController');
+const AuctionService = require('../../../src/services/AuctionService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/AuctionService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('AuctionController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011', cycleNumber: '2' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('placeBid', () => {
+    it('should place bid successfully', async () => {
+      req.body = { discount: 40 };
+
+      const mockResult = {
+        success: true,
+        message: 'Bid placed successfully',
+        data: { bid: { discount: 40 } }
+      };
+
+      AuctionService.placeBid.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await AuctionController.placeBid(req, res, next);
+
+      expect(AuctionService.placeBid).toHaveBeenCalledWith(req.params.id, 2, req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Bidding is closed for this cycle');
+      AuctionService.placeBid.mockRejectedValue(error);
+
+      await AuctionController.placeBid(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report a bid on a closed cycle as a bad request', async () => {
+      AuctionService.placeBid.mockRejectedValue(new Error('Bidding is closed for this cycle'));
+
+      await AuctionController.placeBid(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid bids from members who already received the pot', async () => {
+      AuctionService.placeBid.mockRejectedValue(new Error('Members who already received the pot cannot bid'));
+
+      await AuctionController.placeBid(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report an unknown cycle as not found', async () => {
+      AuctionService.placeBid.mockRejectedValue(new Error('Cycle not found in payout schedule'));
+
+      await AuctionController.placeBid(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+
+  describe('getBids', () => {
+    it('should get bids successfully', async () => {
+      const mockResult = { success: true, data: { round: null, bids: [] } };
+
+      AuctionService.getBids.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await AuctionController.getBids(req, res, next);
+
+      expect(AuctionService.getBids).toHaveBeenCalledWith(req.params.id, 2, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Bids retrieved successfully', mockResult.data);
+    });
+  });
+
+  describe('closeBidding', () => {
+    it('should close bidding successfully', async () => {
+      const mockResult = {
+        success: true,
+        message: 'Bidding closed successfully',
+        data: { round: { status: 'CLOSED' } }
+      };
+
+      AuctionService.closeBidding.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await AuctionController.closeBidding(req, res, next);
+
+      expect(AuctionService.closeBidding).toHaveBeenCalledWith(req.params.id, 2, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+  });
+
+  describe('pickWinner', () => {
+    it('should pick winner successfully', async () => {
+      const mockResult = {
+        success: true,
+        message: 'Auction winner selected successfully',
+        data: { round: { status: 'AWARDED' } }
+      };
+
+      AuctionService.pickWinner.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await AuctionController.pickWinner(req, res, next);
+
+      expect(AuctionService.pickWinner).toHaveBeenCalledWith(req.params.id, 2, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('No bids were placed for this cycle');
+      AuctionService.pickWinner.mockRejectedValue(error);
+
+      await AuctionController.pickWinner(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const ContributionPaymentController = require('../../../src/controllers/contributionPaymentController');
+const ContributionPaymentService = require('../../../src/services/ContributionPaymentService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/ContributionPaymentService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('ContributionPaymentController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439012' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getPayments', () => {
+    it('should return payments successfully', async () => {
+      const mockResult = { success: true, data: { payments: [], balance: { remaining: 300 } } };
+
+      ContributionPaymentService.getPayments.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await ContributionPaymentController.getPayments(req, res, next);
+
+      expect(ContributionPaymentService.getPayments).toHaveBeenCalledWith(req.params.id, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(
+        res,
+        'Contribution payments retrieved successfully',
+        mockResult.data
+      );
+    });
+  });
+
+  describe('applyPayment', () => {
+    it('should apply a payment successfully', async () => {
+      req.body = { paymentId: '507f1f77bcf86cd799439014' };
+      const mockResult = { success: true, message: 'Partial payment recorded successfully', data: {} };
+
+      ContributionPaymentService.applyPayment.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await ContributionPaymentController.applyPayment(req, res, next);
+
+      expect(ContributionPaymentService.applyPayment).toHaveBeenCalledWith(
+        req.params.id,
+        req.body.paymentId,
+        req.user.id
+      );
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Payment exceeds the remaining balance of this contribution');
+      ContributionPaymentService.applyPayment.mockRejectedValue(error);
+
+      await ContributionPaymentController.applyPayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(error.statusCode).toBe(400);
+    });
+
+    it('should answer 409 for a payment applied before', async () => {
+      const error = new Error('Payment has already been applied');
+      ContributionPaymentService.applyPayment.mockRejectedValue(error);
+
+      await ContributionPaymentController.applyPayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    });
+  });
+});
@@ -120,7 +120,7 @@ describe('GroupController', () => {
       
       await GroupController.getGroupById(mockReq, mockRes, mockNext);
       
-      expect(GroupService.getGroupById).toHaveBeenCalledWith(groupId);
+      expect(GroupService.getGroupById).toHaveBeenCalledWith(groupId, mockReq.user.id);
       expect(responseHandler.success).toHaveBeenCalled();
     });
 
@@ -138,7 +138,7 @@ describe('GroupController', () => {
       
       await GroupController.getGroupById(mockReq, mockRes, mockNext);
       
-      expect(GroupService.getGroupById).toHaveBeenCalledWith(groupId);
+      expect(GroupService.getGroupById).toHaveBeenCalledWith(groupId, mockReq.user.id);
       expect(responseHandler.error).toHaveBeenCalled();
     });
   });
@@ -170,7 +170,7 @@ describe('GroupController', () => {
       
       await GroupController.getUserGroups(mockReq, mockRes, mockNext);
       
-      expect(GroupService.getUserGroups).toHaveBeenCalledWith(mockReq.user.id);
+      expect(GroupService.getUserGroups).toHaveBeenCalledWith(mockReq.user.id, mockReq.query);
       expect(responseHandler.success).toHaveBeenCalled();
     });
 
@@ -185,7 +185,7 @@ describe('GroupController', () => {
       
       await GroupController.getUserGroups(mockReq, mockRes, mockNext);
       
-      expect(GroupService.getUserGroups).toHaveBeenCalledWith(mockReq.user.id);
+      expect(GroupService.getUserGroups).toHaveBeenCalledWith(mockReq.user.id, mockReq.query);
       expect(responseHandler.error).toHaveBeenCalled();
     });
   });
@@ -0,0 +1,103 @@
+const GroupRoleController = require('../../../src/controllers/groupRoleController');
+const GroupRoleService = require('../../../src/services/GroupRoleService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/GroupRoleService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('GroupRoleController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011', memberId: '507f1f77bcf86cd799439015' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getRoles', () => {
+    it('should get roles successfully', async () => {
+      const mockResult = { success: true, data: { myRole: 'ADMIN', members: [] } };
+
+      GroupRoleService.getRoles.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await GroupRoleController.getRoles(req, res, next);
+
+      expect(GroupRoleService.getRoles).toHaveBeenCalledWith(req.params.id, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Group roles retrieved successfully', mockResult.data);
+    });
+
+    it('should forbid users outside the group', async () => {
+      GroupRoleService.getRoles.mockRejectedValue(new Error('Access denied to this group'));
+
+      await GroupRoleController.getRoles(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
+  describe('assignRole', () => {
+    it('should assign role successfully', async () => {
+      req.body = { role: 'TREASURER' };
+
+      const mockResult = {
+        success: true,
+        message: 'Member role updated successfully',
+        data: { member: req.params.memberId, role: 'TREASURER' }
+      };
+
+      GroupRoleService.assignRole.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await GroupRoleController.assignRole(req, res, next);
+
+      expect(GroupRoleService.assignRole).toHaveBeenCalledWith(
+        req.params.id,
+        req.params.memberId,
+        'TREASURER',
+        req.user.id
+      );
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Cannot change the role of the group creator');
+      GroupRoleService.assignRole.mockRejectedValue(error);
+
+      await GroupRoleController.assignRole(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report other errors as bad requests', async () => {
+      GroupRoleService.assignRole.mockRejectedValue(new Error('Invalid role'));
+
+      await GroupRoleController.assignRole(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid changing the role of the creator', async () => {
+      GroupRoleService.assignRole.mockRejectedValue(new Error('Cannot change the role of the group creator'));
+
+      await GroupRoleController.assignRole(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report a member outside the group as not found', async () => {
+      GroupRoleService.assignRole.mockRejectedValue(new Error('User is not a member of this group'));
+
+      await GroupRoleController.assignRole(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
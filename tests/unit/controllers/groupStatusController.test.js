@@ -0,0 +1,90 @@
+const GroupStatusController = require('../../../src/controllers/groupStatusController');
+const GroupLifecycleService = require('../../../src/services/GroupLifecycleService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/GroupLifecycleService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('GroupStatusController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('changeStatus', () => {
+    it('should change status successfully', async () => {
+      req.body = { status: 'SUSPENDED', reason: 'Dispute between members' };
+
+      const mockResult = {
+        success: true,
+        message: 'Group status updated successfully',
+        data: { group: { status: 'SUSPENDED' }, change: {} }
+      };
+
+      GroupLifecycleService.changeStatus.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await GroupStatusController.changeStatus(req, res, next);
+
+      expect(GroupLifecycleService.changeStatus).toHaveBeenCalledWith(req.params.id, req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Cannot change group status from COMPLETED to ACTIVE');
+      GroupLifecycleService.changeStatus.mockRejectedValue(error);
+
+      await GroupStatusController.changeStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report a missing reason as a bad request', async () => {
+      GroupLifecycleService.changeStatus.mockRejectedValue(new Error('A reason is required for this status change'));
+
+      await GroupStatusController.changeStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid status changes from regular members', async () => {
+      GroupLifecycleService.changeStatus.mockRejectedValue(new Error('You are not allowed to change the status of this group'));
+
+      await GroupStatusController.changeStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report an unknown group as not found', async () => {
+      GroupLifecycleService.changeStatus.mockRejectedValue(new Error('Group not found'));
+
+      await GroupStatusController.changeStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+
+  describe('getStatusHistory', () => {
+    it('should get status history successfully', async () => {
+      const mockResult = { success: true, data: { status: 'ACTIVE', allowedTransitions: [], history: [] } };
+
+      GroupLifecycleService.getStatusHistory.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await GroupStatusController.getStatusHistory(req, res, next);
+
+      expect(GroupLifecycleService.getStatusHistory).toHaveBeenCalledWith(req.params.id, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Group status retrieved successfully', mockResult.data);
+    });
+  });
+});
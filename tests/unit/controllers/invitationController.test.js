@@ -0,0 +1,172 @@
+const InvitationController = require('../../../src/controllers/invitationController');
+const InvitationService = require('../../../src/services/InvitationService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/InvitationService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('InvitationController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011', invitationId: '507f1f77bcf86cd799439012' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('createInviteCode', () => {
+    it('should create invite code successfully', async () => {
+      req.body = { maxUses: 5 };
+
+      const mockResult = {
+        success: true,
+        message: 'Invite code created successfully',
+        data: { invitation: { code: 'A1B2C3D4E5' }, link: 'http://localhost:3000/groups/join/A1B2C3D4E5' }
+      };
+
+      InvitationService.createInviteCode.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await InvitationController.createInviteCode(req, res, next);
+
+      expect(InvitationService.createInviteCode).toHaveBeenCalledWith(req.params.id, req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+  });
+
+  describe('inviteUser', () => {
+    it('should handle error', async () => {
+      const error = new Error('This person already has a pending invitation');
+      InvitationService.inviteUser.mockRejectedValue(error);
+
+      await InvitationController.inviteUser(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should forbid invitations from regular members', async () => {
+      InvitationService.inviteUser.mockRejectedValue(new Error('You are not allowed to manage invitations in this group'));
+
+      await InvitationController.inviteUser(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report a second pending invitation as a conflict', async () => {
+      InvitationService.inviteUser.mockRejectedValue(new Error('This person already has a pending invitation'));
+
+      await InvitationController.inviteUser(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    });
+  });
+
+  describe('joinByCode', () => {
+    it('should join by code successfully', async () => {
+      req.body = { code: 'A1B2C3D4E5' };
+
+      const mockResult = {
+        success: true,
+        message: 'Successfully joined the group',
+        data: { group: {} }
+      };
+
+      InvitationService.joinByCode.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await InvitationController.joinByCode(req, res, next);
+
+      expect(InvitationService.joinByCode).toHaveBeenCalledWith('A1B2C3D4E5', req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Invitation is invalid or has expired');
+      InvitationService.joinByCode.mockRejectedValue(error);
+
+      await InvitationController.joinByCode(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report an expired code as a bad request', async () => {
+      InvitationService.joinByCode.mockRejectedValue(new Error('Invitation is invalid or has expired'));
+
+      await InvitationController.joinByCode(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    it('should accept invitation successfully', async () => {
+      const mockResult = {
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: { group: {} }
+      };
+
+      InvitationService.acceptInvitation.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await InvitationController.acceptInvitation(req, res, next);
+
+      expect(InvitationService.acceptInvitation).toHaveBeenCalledWith(req.params.invitationId, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should report an unknown invitation as not found', async () => {
+      InvitationService.acceptInvitation.mockRejectedValue(new Error('Invitation not found'));
+
+      await InvitationController.acceptInvitation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+
+  describe('declineInvitation', () => {
+    it('should decline invitation successfully', async () => {
+      const mockResult = {
+        success: true,
+        message: 'Invitation declined successfully',
+        data: { invitation: { status: 'DECLINED' } }
+      };
+
+      InvitationService.declineInvitation.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await InvitationController.declineInvitation(req, res, next);
+
+      expect(InvitationService.declineInvitation).toHaveBeenCalledWith(req.params.invitationId, req.user.id);
+    });
+
+    it('should forbid declining the invitation of someone else', async () => {
+      InvitationService.declineInvitation.mockRejectedValue(new Error('This invitation is not addressed to you'));
+
+      await InvitationController.declineInvitation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
+  describe('getUserInvitations', () => {
+    it('should get user invitations successfully', async () => {
+      const mockResult = { success: true, data: { invitations: [] } };
+
+      InvitationService.getUserInvitations.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await InvitationController.getUserInvitations(req, res, next);
+
+      expect(InvitationService.getUserInvitations).toHaveBeenCalledWith(req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Invitations retrieved successfully', mockResult.data);
+    });
+  });
+});
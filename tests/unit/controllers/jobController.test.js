@@ -0,0 +1,81 @@
+const JobController = require('../../../src/controllers/jobController');
+const JobRunService = require('../../../src/services/JobRunService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/JobRunService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('JobController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013', role: 'ADMIN' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getJobs', () => {
+    it('should list jobs successfully', async () => {
+      const mockResult = { success: true, data: { jobs: [{ name: 'generate-contributions' }] } };
+
+      JobRunService.getJobs.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await JobController.getJobs(req, res, next);
+
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Jobs retrieved successfully', mockResult.data);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Database unavailable');
+      JobRunService.getJobs.mockRejectedValue(error);
+
+      await JobController.getJobs(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getJobRuns', () => {
+    it('should pass filters and parse pagination', async () => {
+      req.query = { status: 'FAILED', page: '2', limit: '10' };
+      const mockResult = { success: true, data: { runs: [] } };
+
+      JobRunService.getJobRuns.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await JobController.getJobRuns(req, res, next);
+
+      expect(JobRunService.getJobRuns).toHaveBeenCalledWith({
+        job: undefined,
+        status: 'FAILED',
+        page: 2,
+        limit: 10
+      });
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Job runs retrieved successfully', mockResult.data);
+    });
+
+    it('should report an unknown job as not found', async () => {
+      JobRunService.getJobRuns.mockRejectedValue(new Error('Job not found'));
+
+      await JobController.getJobRuns(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    it('should report other errors as bad requests', async () => {
+      JobRunService.getJobRuns.mockRejectedValue(new Error('Invalid status'));
+
+      await JobController.getJobRuns(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const JoinRequestController = require('../../../src/controllers/joinRequestController');
+const JoinRequestService = require('../../../src/services/JoinRequestService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/JoinRequestService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('JoinRequestController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011', requestId: '507f1f77bcf86cd799439012' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('requestToJoin', () => {
+    it('should create join request successfully', async () => {
+      req.body = { message: 'Friend of Awa' };
+
+      const mockResult = {
+        success: true,
+        message: 'Join request sent successfully',
+        data: { joinRequest: { status: 'PENDING' } }
+      };
+
+      JoinRequestService.requestToJoin.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await JoinRequestController.requestToJoin(req, res, next);
+
+      expect(JoinRequestService.requestToJoin).toHaveBeenCalledWith(req.params.id, req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Public groups can be joined directly');
+      JoinRequestService.requestToJoin.mockRejectedValue(error);
+
+      await JoinRequestController.requestToJoin(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report a request to a public group as a bad request', async () => {
+      JoinRequestService.requestToJoin.mockRejectedValue(new Error('Public groups can be joined directly'));
+
+      await JoinRequestController.requestToJoin(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('getPendingRequests', () => {
+    it('should get pending requests successfully', async () => {
+      const mockResult = { success: true, data: { joinRequests: [] } };
+
+      JoinRequestService.getPendingRequests.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await JoinRequestController.getPendingRequests(req, res, next);
+
+      expect(JoinRequestService.getPendingRequests).toHaveBeenCalledWith(req.params.id, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Join requests retrieved successfully', mockResult.data);
+    });
+  });
+
+  describe('approveRequest', () => {
+    it('should approve request successfully', async () => {
+      const mockResult = {
+        success: true,
+        message: 'Join request approved successfully',
+        data: { joinRequest: { status: 'APPROVED' } }
+      };
+
+      JoinRequestService.approveRequest.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await JoinRequestController.approveRequest(req, res, next);
+
+      expect(JoinRequestService.approveRequest).toHaveBeenCalledWith(req.params.id, req.params.requestId, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should forbid reviews from regular members', async () => {
+      JoinRequestService.approveRequest.mockRejectedValue(new Error('You are not allowed to review join requests in this group'));
+
+      await JoinRequestController.approveRequest(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
+  describe('rejectRequest', () => {
+    it('should reject request successfully', async () => {
+      req.body = { reason: 'Group is for colleagues only' };
+
+      const mockResult = {
+        success: true,
+        message: 'Join request rejected successfully',
+        data: { joinRequest: { status: 'REJECTED' } }
+      };
+
+      JoinRequestService.rejectRequest.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await JoinRequestController.rejectRequest(req, res, next);
+
+      expect(JoinRequestService.rejectRequest).toHaveBeenCalledWith(
+        req.params.id,
+        req.params.requestId,
+        'Group is for colleagues only',
+        req.user.id
+      );
+    });
+
+    it('should report an unknown join request as not found', async () => {
+      JoinRequestService.rejectRequest.mockRejectedValue(new Error('Join request not found'));
+
+      await JoinRequestController.rejectRequest(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const LedgerController = require('../../../src/controllers/ledgerController');
+const LedgerService = require('../../../src/services/LedgerService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/LedgerService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('LedgerController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getLedger', () => {
+    it('should return the ledger successfully', async () => {
+      req.query = { type: 'PAYOUT', page: '2' };
+      const mockResult = { success: true, data: { entries: [], balances: { total: 0 } } };
+
+      LedgerService.getLedger.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await LedgerController.getLedger(req, res, next);
+
+      expect(LedgerService.getLedger).toHaveBeenCalledWith(req.params.id, req.user.id, {
+        memberId: undefined,
+        type: 'PAYOUT',
+        page: 2,
+        limit: undefined
+      });
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Ledger retrieved successfully', mockResult.data);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Access denied to this group');
+      LedgerService.getLedger.mockRejectedValue(error);
+
+      await LedgerController.getLedger(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report other errors as bad requests', async () => {
+      LedgerService.getLedger.mockRejectedValue(new Error('Invalid account'));
+
+      await LedgerController.getLedger(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid users outside the group', async () => {
+      LedgerService.getLedger.mockRejectedValue(new Error('Access denied to this group'));
+
+      await LedgerController.getLedger(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report an unknown group as not found', async () => {
+      LedgerService.getLedger.mockRejectedValue(new Error('Group not found'));
+
+      await LedgerController.getLedger(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
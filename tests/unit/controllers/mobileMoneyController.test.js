@@ -0,0 +1,108 @@
+const MobileMoneyController = require('../../../src/controllers/mobileMoneyController');
+const MobileMoneyService = require('../../../src/services/MobileMoneyService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/MobileMoneyService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('MobileMoneyController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      headers: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('initiatePayment', () => {
+    it('should initiate a payment successfully', async () => {
+      req.body = { contributionId: '507f1f77bcf86cd799439012', provider: 'wave', phoneNumber: '+221770000000' };
+      const mockResult = { success: true, message: 'Mobile money payment initiated successfully', data: { payment: {} } };
+
+      MobileMoneyService.initiatePayment.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await MobileMoneyController.initiatePayment(req, res, next);
+
+      expect(MobileMoneyService.initiatePayment).toHaveBeenCalledWith(req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Contribution not found');
+      MobileMoneyService.initiatePayment.mockRejectedValue(error);
+
+      await MobileMoneyController.initiatePayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report an overpayment as a bad request', async () => {
+      MobileMoneyService.initiatePayment.mockRejectedValue(new Error('Payment exceeds the remaining balance of this contribution'));
+
+      await MobileMoneyController.initiatePayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid paying the contribution of someone else', async () => {
+      MobileMoneyService.initiatePayment.mockRejectedValue(new Error('Only the member who owes a contribution can pay it'));
+
+      await MobileMoneyController.initiatePayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
+  describe('getPaymentStatus', () => {
+    it('should get the payment status successfully', async () => {
+      req.params.paymentId = '507f1f77bcf86cd799439014';
+      const mockResult = { success: true, data: { payment: { status: 'PENDING' } } };
+
+      MobileMoneyService.getPaymentStatus.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await MobileMoneyController.getPaymentStatus(req, res, next);
+
+      expect(MobileMoneyService.getPaymentStatus).toHaveBeenCalledWith(req.params.paymentId, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Payment status retrieved successfully', mockResult.data);
+    });
+
+    it('should report an unknown payment as not found', async () => {
+      MobileMoneyService.getPaymentStatus.mockRejectedValue(new Error('Payment not found'));
+
+      await MobileMoneyController.getPaymentStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+
+  describe('handleCallback', () => {
+    it('should verify the raw body of the callback', async () => {
+      req.params.provider = 'simulator';
+      req.rawBody = Buffer.from('{"reference":"SIM-1","status":"SUCCEEDED"}');
+      req.headers = { 'x-signature': 'abc' };
+      const mockResult = { success: true, message: 'Callback processed successfully', data: { payment: { _id: 'p1' } } };
+
+      MobileMoneyService.handleCallback.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await MobileMoneyController.handleCallback(req, res, next);
+
+      expect(MobileMoneyService.handleCallback).toHaveBeenCalledWith(
+        'simulator',
+        '{"reference":"SIM-1","status":"SUCCEEDED"}',
+        req.headers
+      );
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, { paymentId: 'p1' });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const NotificationController = require('../../../src/controllers/notificationController');
+const NotificationService = require('../../../src/services/NotificationService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/NotificationService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('NotificationController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { notificationId: '507f1f77bcf86cd799439020' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getNotifications', () => {
+    it('should list notifications successfully', async () => {
+      req.query = { unreadOnly: 'true', page: '2', limit: '10' };
+      const mockResult = { success: true, data: { notifications: [], unreadCount: 0 } };
+
+      NotificationService.getNotifications.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await NotificationController.getNotifications(req, res, next);
+
+      expect(NotificationService.getNotifications).toHaveBeenCalledWith(req.user.id, {
+        unreadOnly: true,
+        page: 2,
+        limit: 10
+      });
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Notifications retrieved successfully', mockResult.data);
+    });
+  });
+
+  describe('markAsRead', () => {
+    it('should mark the notification as read', async () => {
+      const mockResult = { success: true, message: 'Notification marked as read', data: { unreadCount: 0 } };
+
+      NotificationService.markAsRead.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await NotificationController.markAsRead(req, res, next);
+
+      expect(NotificationService.markAsRead).toHaveBeenCalledWith(req.params.notificationId, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+  });
+
+  describe('deleteNotification', () => {
+    it('should handle errors', async () => {
+      const error = new Error('Notification not found');
+      NotificationService.deleteNotification.mockRejectedValue(error);
+
+      await NotificationController.deleteNotification(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report an unknown notification as not found', async () => {
+      NotificationService.deleteNotification.mockRejectedValue(new Error('Notification not found'));
+
+      await NotificationController.deleteNotification(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    it('should report other errors as bad requests', async () => {
+      NotificationService.deleteNotification.mockRejectedValue(new Error('Invalid notification'));
+
+      await NotificationController.deleteNotification(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const NotificationPreferenceController = require('../../../src/controllers/notificationPreferenceController');
+const NotificationPreferenceService = require('../../../src/services/NotificationPreferenceService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/NotificationPreferenceService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('NotificationPreferenceController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getPreferences', () => {
+    it('should get the preferences successfully', async () => {
+      const mockResult = { success: true, data: { preferences: {} } };
+
+      NotificationPreferenceService.getPreferences.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await NotificationPreferenceController.getPreferences(req, res, next);
+
+      expect(NotificationPreferenceService.getPreferences).toHaveBeenCalledWith(req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Notification preferences retrieved successfully', mockResult.data);
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should update the preferences successfully', async () => {
+      req.body = { digest: { enabled: true, hour: 7 } };
+      const mockResult = { success: true, message: 'Notification preferences updated successfully', data: {} };
+
+      NotificationPreferenceService.updatePreferences.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await NotificationPreferenceController.updatePreferences(req, res, next);
+
+      expect(NotificationPreferenceService.updatePreferences).toHaveBeenCalledWith(req.user.id, req.body);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('User not found');
+      NotificationPreferenceService.updatePreferences.mockRejectedValue(error);
+
+      await NotificationPreferenceController.updatePreferences(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report an unknown user as not found', async () => {
+      NotificationPreferenceService.updatePreferences.mockRejectedValue(new Error('User not found'));
+
+      await NotificationPreferenceController.updatePreferences(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    it('should report other errors as bad requests', async () => {
+      NotificationPreferenceService.updatePreferences.mockRejectedValue(new Error('Invalid channel'));
+
+      await NotificationPreferenceController.updatePreferences(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+});
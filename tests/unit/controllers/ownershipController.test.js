@@ -0,0 +1,122 @@
+const OwnershipController = require('../../../src/controllers/ownershipController');
+const OwnershipTransferService = require('../../../src/services/OwnershipTransferService');
+const MemberObligationService = require('../../../src/services/MemberObligationService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/OwnershipTransferService');
+jest.mock('../../../src/services/MemberObligationService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('OwnershipController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011', transferId: '507f1f77bcf86cd799439012' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('requestTransfer', () => {
+    it('should request transfer successfully', async () => {
+      req.body = { newOwnerId: '507f1f77bcf86cd799439014' };
+
+      const mockResult = {
+        success: true,
+        message: 'Ownership transfer requested successfully',
+        data: { transfer: { status: 'PENDING' } }
+      };
+
+      OwnershipTransferService.requestTransfer.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await OwnershipController.requestTransfer(req, res, next);
+
+      expect(OwnershipTransferService.requestTransfer).toHaveBeenCalledWith(req.params.id, req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Only the group creator can transfer ownership');
+      OwnershipTransferService.requestTransfer.mockRejectedValue(error);
+
+      await OwnershipController.requestTransfer(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report an inactive new owner as a bad request', async () => {
+      OwnershipTransferService.requestTransfer.mockRejectedValue(new Error('New owner must be an active member of the group'));
+
+      await OwnershipController.requestTransfer(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid transfers from other members', async () => {
+      OwnershipTransferService.requestTransfer.mockRejectedValue(new Error('Only the group creator can transfer ownership'));
+
+      await OwnershipController.requestTransfer(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
+  describe('acceptTransfer', () => {
+    it('should accept transfer successfully', async () => {
+      const mockResult = {
+        success: true,
+        message: 'Ownership transfer accepted successfully',
+        data: { transfer: { status: 'ACCEPTED' }, group: {} }
+      };
+
+      OwnershipTransferService.acceptTransfer.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await OwnershipController.acceptTransfer(req, res, next);
+
+      expect(OwnershipTransferService.acceptTransfer).toHaveBeenCalledWith(
+        req.params.id,
+        req.params.transferId,
+        req.user.id
+      );
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should report an unknown transfer as not found', async () => {
+      OwnershipTransferService.acceptTransfer.mockRejectedValue(new Error('Ownership transfer not found'));
+
+      await OwnershipController.acceptTransfer(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+
+  describe('getObligations', () => {
+    it('should get obligations successfully', async () => {
+      const mockResult = { success: true, data: { obligations: { canLeave: true } } };
+
+      MemberObligationService.getObligations.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await OwnershipController.getObligations(req, res, next);
+
+      expect(MemberObligationService.getObligations).toHaveBeenCalledWith(req.params.id, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Obligations retrieved successfully', mockResult.data);
+    });
+
+    it('should forbid users outside the group', async () => {
+      MemberObligationService.getObligations.mockRejectedValue(new Error('User is not a member of this group'));
+
+      await OwnershipController.getObligations(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+});
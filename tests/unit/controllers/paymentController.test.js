@@ -233,10 +233,7 @@ describe('PaymentController', () => {
         status: 'SUCCEEDED'
       };
       
-      PaymentService.getPaymentById.mockResolvedValue({
-        success: true,
-        data: { payment: mockPayment }
-      });
+      PaymentService.getPaymentById.mockResolvedValue(mockPayment);
       
       responseHandler.success.mockReturnValue({
         status: jest.fn().mockReturnThis(),
@@ -245,7 +242,11 @@ describe('PaymentController', () => {
       
       await PaymentController.getPaymentById(mockReq, mockRes, mockNext);
       
-      expect(PaymentService.getPaymentById).toHaveBeenCalledWith(paymentId);
+      expect(PaymentService.getPaymentById).toHaveBeenCalledWith({
+        paymentId,
+        userId: mockReq.user.id,
+        isAdmin: false
+      });
       expect(responseHandler.success).toHaveBeenCalled();
     });
 
@@ -263,7 +264,11 @@ describe('PaymentController', () => {
       
       await PaymentController.getPaymentById(mockReq, mockRes, mockNext);
       
-      expect(PaymentService.getPaymentById).toHaveBeenCalledWith(paymentId);
+      expect(PaymentService.getPaymentById).toHaveBeenCalledWith({
+        paymentId,
+        userId: mockReq.user.id,
+        isAdmin: false
+      });
       expect(responseHandler.error).toHaveBeenCalled();
     });
   });
@@ -0,0 +1,182 @@
+const PayoutController = require('../../../src/controllers/payoutController');
+const PayoutService = require('../../../src/services/PayoutService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/PayoutService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('PayoutController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011', payoutId: '507f1f77bcf86cd799439012' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('createPayout', () => {
+    it('should create payout successfully', async () => {
+      req.body = { cycleNumber: 2 };
+
+      const mockResult = {
+        success: true,
+        message: 'Payout created successfully',
+        data: { payout: { _id: req.params.payoutId } }
+      };
+
+      PayoutService.createPayout.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await PayoutController.createPayout(req, res, next);
+
+      expect(PayoutService.createPayout).toHaveBeenCalledWith(req.params.id, req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Payout is not due for this cycle');
+      PayoutService.createPayout.mockRejectedValue(error);
+
+      await PayoutController.createPayout(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report a payout that is not due as a bad request', async () => {
+      PayoutService.createPayout.mockRejectedValue(new Error('Payout is not due for this cycle'));
+
+      await PayoutController.createPayout(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid payouts from regular members', async () => {
+      PayoutService.createPayout.mockRejectedValue(new Error('You are not allowed to manage payouts in this group'));
+
+      await PayoutController.createPayout(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report a second payout for a cycle as a conflict', async () => {
+      PayoutService.createPayout.mockRejectedValue(new Error('A payout already exists for this cycle'));
+
+      await PayoutController.createPayout(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    });
+  });
+
+  describe('getGroupPayouts', () => {
+    it('should list payouts successfully', async () => {
+      req.query = { status: 'COMPLETED', page: '2', limit: '10' };
+
+      const mockResult = {
+        success: true,
+        data: { payouts: [], pagination: { page: 2, limit: 10, total: 0 } }
+      };
+
+      PayoutService.getGroupPayouts.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await PayoutController.getGroupPayouts(req, res, next);
+
+      expect(PayoutService.getGroupPayouts).toHaveBeenCalledWith(
+        req.params.id,
+        req.user.id,
+        { status: 'COMPLETED', page: 2, limit: 10 }
+      );
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Payouts retrieved successfully', mockResult.data);
+    });
+  });
+
+  describe('approvePayout', () => {
+    it('should approve payout successfully', async () => {
+      const mockResult = {
+        success: true,
+        message: 'Payout approved successfully',
+        data: { payout: { status: 'APPROVED' } }
+      };
+
+      PayoutService.approvePayout.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await PayoutController.approvePayout(req, res, next);
+
+      expect(PayoutService.approvePayout).toHaveBeenCalledWith(req.params.id, req.params.payoutId, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should report an unknown payout as not found', async () => {
+      PayoutService.approvePayout.mockRejectedValue(new Error('Payout not found'));
+
+      await PayoutController.approvePayout(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+
+  describe('confirmPayout', () => {
+    it('should confirm payout with the uploaded proof', async () => {
+      req.file = { path: 'uploads/payouts/proof_123.jpg' };
+
+      const mockResult = {
+        success: true,
+        message: 'Payout confirmed successfully',
+        data: { payout: { status: 'COMPLETED' } }
+      };
+
+      PayoutService.confirmPayout.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await PayoutController.confirmPayout(req, res, next);
+
+      expect(PayoutService.confirmPayout).toHaveBeenCalledWith(
+        req.params.id,
+        req.params.payoutId,
+        { proofUrl: 'uploads/payouts/proof_123.jpg' },
+        req.user.id
+      );
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Disbursement proof is required');
+      PayoutService.confirmPayout.mockRejectedValue(error);
+
+      await PayoutController.confirmPayout(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getCycleReconciliation', () => {
+    it('should get cycle reconciliation successfully', async () => {
+      req.params.cycleNumber = '2';
+
+      const mockResult = {
+        success: true,
+        data: { reconciliation: { collected: 300, disbursed: 300, balance: 0 } }
+      };
+
+      PayoutService.getCycleReconciliation.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await PayoutController.getCycleReconciliation(req, res, next);
+
+      expect(PayoutService.getCycleReconciliation).toHaveBeenCalledWith(req.params.id, '2', req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(
+        res,
+        'Cycle reconciliation retrieved successfully',
+        mockResult.data
+      );
+    });
+  });
+});
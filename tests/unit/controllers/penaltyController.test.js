@@ -0,0 +1,117 @@
+const PenaltyController = require('../../../src/controllers/penaltyController');
+const PenaltyService = require('../../../src/services/PenaltyService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/PenaltyService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('PenaltyController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011', penaltyId: '507f1f77bcf86cd799439012' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getPenalties', () => {
+    it('should list penalties successfully', async () => {
+      req.query = { status: 'APPLIED' };
+      const mockResult = { success: true, data: { penalties: [], total: 0 } };
+
+      PenaltyService.getPenalties.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await PenaltyController.getPenalties(req, res, next);
+
+      expect(PenaltyService.getPenalties).toHaveBeenCalledWith(req.params.id, req.user.id, {
+        contributionId: undefined,
+        status: 'APPLIED'
+      });
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Penalties retrieved successfully', mockResult.data);
+    });
+  });
+
+  describe('reversePenalty', () => {
+    it('should reverse a penalty successfully', async () => {
+      req.body = { reason: 'Bank outage' };
+      const mockResult = { success: true, message: 'Penalty reversed successfully', data: { penalty: {} } };
+
+      PenaltyService.reversePenalty.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await PenaltyController.reversePenalty(req, res, next);
+
+      expect(PenaltyService.reversePenalty).toHaveBeenCalledWith(
+        req.params.id,
+        req.params.penaltyId,
+        'Bank outage',
+        req.user.id
+      );
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Penalty has already been reversed');
+      PenaltyService.reversePenalty.mockRejectedValue(error);
+
+      await PenaltyController.reversePenalty(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report a missing reason as a bad request', async () => {
+      PenaltyService.reversePenalty.mockRejectedValue(new Error('A reason is required to reverse a penalty'));
+
+      await PenaltyController.reversePenalty(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid reversals from regular members', async () => {
+      PenaltyService.reversePenalty.mockRejectedValue(new Error('You are not allowed to manage penalties in this group'));
+
+      await PenaltyController.reversePenalty(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report an unknown penalty as not found', async () => {
+      PenaltyService.reversePenalty.mockRejectedValue(new Error('Penalty not found'));
+
+      await PenaltyController.reversePenalty(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    it('should report a second reversal as a conflict', async () => {
+      PenaltyService.reversePenalty.mockRejectedValue(new Error('Penalty has already been reversed'));
+
+      await PenaltyController.reversePenalty(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    });
+  });
+
+  describe('updatePolicy', () => {
+    it('should update the policy successfully', async () => {
+      req.body = { enabled: true, flatFee: 10 };
+      const mockResult = { success: true, message: 'Penalty policy updated successfully', data: { policy: req.body } };
+
+      PenaltyService.updatePolicy.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await PenaltyController.updatePolicy(req, res, next);
+
+      expect(PenaltyService.updatePolicy).toHaveBeenCalledWith(req.params.id, req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const ReconciliationController = require('../../../src/controllers/reconciliationController');
+const BankReconciliationService = require('../../../src/services/BankReconciliationService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/BankReconciliationService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('ReconciliationController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('importStatement', () => {
+    it('should import the uploaded statement', async () => {
+      req.file = { path: 'uploads/abc123', originalname: 'january.ofx' };
+      const mockResult = { success: true, message: 'Bank statement imported successfully', data: { summary: {} } };
+
+      BankReconciliationService.importStatement.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await ReconciliationController.importStatement(req, res, next);
+
+      expect(BankReconciliationService.importStatement).toHaveBeenCalledWith(
+        { path: 'uploads/abc123', originalName: 'january.ofx' },
+        req.user.id
+      );
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Statement file is required');
+      BankReconciliationService.importStatement.mockRejectedValue(error);
+
+      await ReconciliationController.importStatement(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(error.statusCode).toBe(400);
+    });
+
+    it('should report a statement imported twice as a conflict', async () => {
+      BankReconciliationService.importStatement.mockRejectedValue(new Error('This statement has already been imported'));
+
+      await ReconciliationController.importStatement(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    });
+  });
+
+  describe('confirmMatch', () => {
+    it('should confirm a match successfully', async () => {
+      req.params = { importId: 'i1', lineId: 'l1' };
+      req.body = { paymentId: 'p2' };
+      const mockResult = { success: true, message: 'Bank transfer verified from statement', data: { line: {} } };
+
+      BankReconciliationService.confirmMatch.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await ReconciliationController.confirmMatch(req, res, next);
+
+      expect(BankReconciliationService.confirmMatch).toHaveBeenCalledWith('i1', 'l1', 'p2', req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+  });
+
+  describe('rejectMatch', () => {
+    it('should reject a match successfully', async () => {
+      req.params = { importId: 'i1', lineId: 'l1' };
+      const mockResult = { success: true, message: 'Statement match rejected', data: { line: {} } };
+
+      BankReconciliationService.rejectMatch.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await ReconciliationController.rejectMatch(req, res, next);
+
+      expect(BankReconciliationService.rejectMatch).toHaveBeenCalledWith('i1', 'l1', req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+  });
+});
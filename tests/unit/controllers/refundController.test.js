@@ -0,0 +1,71 @@
+const RefundController = require('../../../src/controllers/refundController');
+const RefundService = require('../../../src/services/RefundService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/RefundService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('RefundController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439016' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439014', role: 'PARTICULIER' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('refundPayment', () => {
+    it('should refund a payment successfully', async () => {
+      req.body = { amount: 40, reason: 'Paid twice' };
+      const mockResult = { success: true, message: 'Payment refunded successfully', data: { refund: {} } };
+
+      RefundService.refundPayment.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await RefundController.refundPayment(req, res, next);
+
+      expect(RefundService.refundPayment).toHaveBeenCalledWith(req.params.id, req.body, req.user);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Only verified payments can be refunded');
+      RefundService.refundPayment.mockRejectedValue(error);
+
+      await RefundController.refundPayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(error.statusCode).toBe(400);
+    });
+
+    it('should report a refund from someone outside the group as forbidden', async () => {
+      const error = new Error('You are not allowed to refund this payment');
+      RefundService.refundPayment.mockRejectedValue(error);
+
+      await RefundController.refundPayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
+  describe('getRefunds', () => {
+    it('should list refunds successfully', async () => {
+      const mockResult = { success: true, data: { refunds: [] } };
+
+      RefundService.getRefunds.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await RefundController.getRefunds(req, res, next);
+
+      expect(RefundService.getRefunds).toHaveBeenCalledWith(req.params.id, req.user);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Payment refunds retrieved successfully', mockResult.data);
+    });
+  });
+});
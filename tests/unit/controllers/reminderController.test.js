@@ -0,0 +1,88 @@
+const ReminderController = require('../../../src/controllers/reminderController');
+const ReminderService = require('../../../src/services/ReminderService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/ReminderService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('ReminderController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getReminders', () => {
+    it('should list reminders successfully', async () => {
+      const mockResult = { success: true, data: { offsets: [-3, 0, 1], reminders: [] } };
+
+      ReminderService.getReminders.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await ReminderController.getReminders(req, res, next);
+
+      expect(ReminderService.getReminders).toHaveBeenCalledWith(req.params.id, req.user.id, {
+        page: undefined,
+        limit: undefined
+      });
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Reminders retrieved successfully', mockResult.data);
+    });
+  });
+
+  describe('updateSchedule', () => {
+    it('should update the schedule successfully', async () => {
+      req.body = { offsets: [-1, 0] };
+      const mockResult = { success: true, message: 'Reminder schedule updated successfully', data: { offsets: [-1, 0] } };
+
+      ReminderService.updateSchedule.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await ReminderController.updateSchedule(req, res, next);
+
+      expect(ReminderService.updateSchedule).toHaveBeenCalledWith(req.params.id, [-1, 0], req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Group not found');
+      ReminderService.updateSchedule.mockRejectedValue(error);
+
+      await ReminderController.updateSchedule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report other errors as bad requests', async () => {
+      ReminderService.updateSchedule.mockRejectedValue(new Error('Invalid reminder offset'));
+
+      await ReminderController.updateSchedule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid regular members', async () => {
+      ReminderService.updateSchedule.mockRejectedValue(new Error('You are not allowed to manage reminders in this group'));
+
+      await ReminderController.updateSchedule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report an unknown group as not found', async () => {
+      ReminderService.updateSchedule.mockRejectedValue(new Error('Group not found'));
+
+      await ReminderController.updateSchedule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
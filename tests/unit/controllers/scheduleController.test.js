@@ -0,0 +1,115 @@
+const ScheduleController = require('../../../src/controllers/scheduleController');
+const PayoutScheduleService = require('../../../src/services/PayoutScheduleService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/PayoutScheduleService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('ScheduleController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('generateSchedule', () => {
+    it('should generate schedule successfully', async () => {
+      req.body = { method: 'RANDOM', seed: 'draw-2030' };
+
+      const mockResult = {
+        success: true,
+        message: 'Payout schedule generated successfully',
+        data: { schedule: { cycles: [] } }
+      };
+
+      PayoutScheduleService.generateSchedule.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await ScheduleController.generateSchedule(req, res, next);
+
+      expect(PayoutScheduleService.generateSchedule).toHaveBeenCalledWith(
+        req.params.id,
+        req.body,
+        req.user.id
+      );
+      expect(responseHandler.success).toHaveBeenCalledWith(
+        res,
+        mockResult.message,
+        mockResult.data,
+        201
+      );
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Only group admins can manage the payout schedule');
+      PayoutScheduleService.generateSchedule.mockRejectedValue(error);
+
+      await ScheduleController.generateSchedule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report an incomplete custom order as a bad request', async () => {
+      PayoutScheduleService.generateSchedule.mockRejectedValue(new Error('Custom order must list every active member exactly once'));
+
+      await ScheduleController.generateSchedule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid regular members', async () => {
+      PayoutScheduleService.generateSchedule.mockRejectedValue(new Error('You are not allowed to manage the payout schedule of this group'));
+
+      await ScheduleController.generateSchedule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
+  describe('getSchedule', () => {
+    it('should get schedule successfully', async () => {
+      const mockResult = {
+        success: true,
+        data: { schedule: { cycles: [] } }
+      };
+
+      PayoutScheduleService.getSchedule.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await ScheduleController.getSchedule(req, res, next);
+
+      expect(PayoutScheduleService.getSchedule).toHaveBeenCalledWith(req.params.id, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(
+        res,
+        'Payout schedule retrieved successfully',
+        mockResult.data
+      );
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Payout schedule not found');
+      PayoutScheduleService.getSchedule.mockRejectedValue(error);
+
+      await ScheduleController.getSchedule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report a missing schedule as not found', async () => {
+      PayoutScheduleService.getSchedule.mockRejectedValue(new Error('Payout schedule not found'));
+
+      await ScheduleController.getSchedule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
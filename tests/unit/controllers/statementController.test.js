@@ -0,0 +1,113 @@
+const StatementController = require('../../../src/controllers/statementController');
+const StatementService = require('../../../src/services/StatementService');
+const statementRenderer = require('../../../src/utils/statementRenderer');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/StatementService');
+jest.mock('../../../src/utils/statementRenderer');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('StatementController', () => {
+  let req, res, next;
+
+  const mockResult = {
+    success: true,
+    data: {
+      statement: {
+        period: { from: new Date('2025-01-01'), to: new Date('2025-01-31') },
+        cycles: []
+      }
+    }
+  };
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011' },
+      query: { from: '2025-01-01', to: '2025-01-31' },
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {
+      setHeader: jest.fn(),
+      send: jest.fn()
+    };
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getStatement', () => {
+    it('should return the statement as JSON by default', async () => {
+      StatementService.buildStatement.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await StatementController.getStatement(req, res, next);
+
+      expect(StatementService.buildStatement).toHaveBeenCalledWith(req.params.id, req.user.id, {
+        from: '2025-01-01',
+        to: '2025-01-31'
+      });
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Statement retrieved successfully', mockResult.data);
+    });
+
+    it('should download the statement as CSV', async () => {
+      req.query.format = 'csv';
+      StatementService.buildStatement.mockResolvedValue(mockResult);
+      statementRenderer.toCsv.mockReturnValue('cycle\r\n');
+
+      await StatementController.getStatement(req, res, next);
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+      expect(res.setHeader).toHaveBeenCalledWith(
+        'Content-Disposition',
+        `attachment; filename="statement-${req.params.id}-2025-01-01-2025-01-31.csv"`
+      );
+      expect(res.send).toHaveBeenCalledWith('cycle\r\n');
+    });
+
+    it('should download the statement as PDF', async () => {
+      const pdf = Buffer.from('%PDF-');
+      req.query.format = 'pdf';
+      StatementService.buildStatement.mockResolvedValue(mockResult);
+      statementRenderer.toPdf.mockResolvedValue(pdf);
+
+      await StatementController.getStatement(req, res, next);
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/pdf');
+      expect(res.send).toHaveBeenCalledWith(pdf);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('You are not allowed to view the statements of this group');
+      StatementService.buildStatement.mockRejectedValue(error);
+
+      await StatementController.getStatement(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report an inverted period as a bad request', async () => {
+      StatementService.buildStatement.mockRejectedValue(new Error('Statement start date must be before its end date'));
+
+      await StatementController.getStatement(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should forbid regular members', async () => {
+      StatementService.buildStatement.mockRejectedValue(new Error('You are not allowed to view the statements of this group'));
+
+      await StatementController.getStatement(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report an unknown group as not found', async () => {
+      StatementService.buildStatement.mockRejectedValue(new Error('Group not found'));
+
+      await StatementController.getStatement(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const SwapController = require('../../../src/controllers/swapController');
+const SwapService = require('../../../src/services/SwapService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/SwapService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('SwapController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: { id: '507f1f77bcf86cd799439011', swapId: '507f1f77bcf86cd799439012' },
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('proposeSwap', () => {
+    it('should propose swap successfully', async () => {
+      req.body = { counterpartyId: '507f1f77bcf86cd799439015' };
+
+      const mockResult = {
+        success: true,
+        message: 'Swap request created successfully',
+        data: { swap: { status: 'PENDING' } }
+      };
+
+      SwapService.proposeSwap.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await SwapController.proposeSwap(req, res, next);
+
+      expect(SwapService.proposeSwap).toHaveBeenCalledWith(req.params.id, req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Cannot swap turns with yourself');
+      SwapService.proposeSwap.mockRejectedValue(error);
+
+      await SwapController.proposeSwap(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report a swap with oneself as a bad request', async () => {
+      SwapService.proposeSwap.mockRejectedValue(new Error('Cannot swap turns with yourself'));
+
+      await SwapController.proposeSwap(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('getGroupSwaps', () => {
+    it('should get swaps successfully', async () => {
+      req.query = { status: 'PENDING' };
+      const mockResult = { success: true, data: { swaps: [] } };
+
+      SwapService.getGroupSwaps.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await SwapController.getGroupSwaps(req, res, next);
+
+      expect(SwapService.getGroupSwaps).toHaveBeenCalledWith(req.params.id, req.user.id, { status: 'PENDING' });
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Swap requests retrieved successfully', mockResult.data);
+    });
+  });
+
+  describe('acceptSwap', () => {
+    it('should accept swap successfully', async () => {
+      const mockResult = {
+        success: true,
+        message: 'Swap request accepted successfully',
+        data: { swap: { status: 'ACCEPTED' } }
+      };
+
+      SwapService.acceptSwap.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await SwapController.acceptSwap(req, res, next);
+
+      expect(SwapService.acceptSwap).toHaveBeenCalledWith(req.params.id, req.params.swapId, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should forbid answers from other members', async () => {
+      SwapService.acceptSwap.mockRejectedValue(new Error('Only the requested member can respond to this swap'));
+
+      await SwapController.acceptSwap(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
+  describe('approveSwap', () => {
+    it('should approve swap successfully', async () => {
+      const mockResult = {
+        success: true,
+        message: 'Swap request approved successfully',
+        data: { swap: { status: 'APPROVED' }, schedule: {} }
+      };
+
+      SwapService.approveSwap.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await SwapController.approveSwap(req, res, next);
+
+      expect(SwapService.approveSwap).toHaveBeenCalledWith(req.params.id, req.params.swapId, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle error', async () => {
+      const error = new Error('Payout rotation changed since the swap was proposed');
+      SwapService.approveSwap.mockRejectedValue(error);
+
+      await SwapController.approveSwap(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report an unknown swap request as not found', async () => {
+      SwapService.approveSwap.mockRejectedValue(new Error('Swap request not found'));
+
+      await SwapController.approveSwap(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    it('should report a rotation changed in the meantime as a conflict', async () => {
+      SwapService.approveSwap.mockRejectedValue(new Error('Payout rotation changed since the swap was proposed'));
+
+      await SwapController.approveSwap(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    });
+  });
+
+  describe('rejectSwap', () => {
+    it('should reject swap successfully', async () => {
+      req.body = { reason: 'Cycle already announced' };
+      const mockResult = {
+        success: true,
+        message: 'Swap request rejected successfully',
+        data: { swap: { status: 'REJECTED' } }
+      };
+
+      SwapService.rejectSwap.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await SwapController.rejectSwap(req, res, next);
+
+      expect(SwapService.rejectSwap).toHaveBeenCalledWith(
+        req.params.id,
+        req.params.swapId,
+        'Cycle already announced',
+        req.user.id
+      );
+    });
+  });
+});
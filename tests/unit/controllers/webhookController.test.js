@@ -0,0 +1,99 @@
+const WebhookController = require('../../../src/controllers/webhookController');
+const WebhookService = require('../../../src/services/WebhookService');
+const responseHandler = require('../../../src/utils/responseHandler');
+
+// Mock dependencies
+jest.mock('../../../src/services/WebhookService');
+jest.mock('../../../src/utils/responseHandler');
+
+describe('WebhookController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: '507f1f77bcf86cd799439013' }
+    };
+    res = {};
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('createEndpoint', () => {
+    it('should create an endpoint successfully', async () => {
+      req.body = { url: 'https://erp.example.com/hooks', events: ['payment.verified'] };
+      const mockResult = { success: true, message: 'Webhook endpoint created successfully', data: { secret: 'whsec_1' } };
+
+      WebhookService.createEndpoint.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await WebhookController.createEndpoint(req, res, next);
+
+      expect(WebhookService.createEndpoint).toHaveBeenCalledWith(req.body, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data, 201);
+    });
+
+    it('should report other errors as bad requests', async () => {
+      WebhookService.createEndpoint.mockRejectedValue(new Error('Invalid endpoint URL'));
+
+      await WebhookController.createEndpoint(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('getDeliveries', () => {
+    it('should list deliveries successfully', async () => {
+      req.query = { status: 'FAILED', page: '2' };
+      const mockResult = { success: true, data: { deliveries: [] } };
+
+      WebhookService.getDeliveries.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await WebhookController.getDeliveries(req, res, next);
+
+      expect(WebhookService.getDeliveries).toHaveBeenCalledWith({
+        endpointId: undefined,
+        event: undefined,
+        status: 'FAILED',
+        page: 2,
+        limit: undefined
+      });
+      expect(responseHandler.success).toHaveBeenCalledWith(res, 'Webhook deliveries retrieved successfully', mockResult.data);
+    });
+  });
+
+  describe('redeliver', () => {
+    it('should redeliver successfully', async () => {
+      req.params.deliveryId = '507f1f77bcf86cd799439031';
+      const mockResult = { success: true, message: 'Webhook redelivered successfully', data: { delivery: {} } };
+
+      WebhookService.redeliver.mockResolvedValue(mockResult);
+      responseHandler.success.mockReturnValue();
+
+      await WebhookController.redeliver(req, res, next);
+
+      expect(WebhookService.redeliver).toHaveBeenCalledWith(req.params.deliveryId, req.user.id);
+      expect(responseHandler.success).toHaveBeenCalledWith(res, mockResult.message, mockResult.data);
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Webhook delivery not found');
+      WebhookService.redeliver.mockRejectedValue(error);
+
+      await WebhookController.redeliver(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should report an unknown delivery as not found', async () => {
+      WebhookService.redeliver.mockRejectedValue(new Error('Webhook delivery not found'));
+
+      await WebhookController.redeliver(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
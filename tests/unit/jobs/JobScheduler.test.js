@@ -0,0 +1,80 @@
+const JobScheduler = require('../../../src/jobs/JobScheduler');
+const JobRun = require('../../../src/models/JobRun');
+
+// Mock dependencies
+jest.mock('../../../src/models/JobRun');
+jest.mock('../../../src/utils/logger');
+
+describe('JobScheduler', () => {
+  const now = new Date('2025-01-20T10:30:00Z');
+  const handler = jest.fn();
+
+  beforeAll(() => {
+    JobScheduler.register({ name: 'test-job', intervalMs: 60 * 60 * 1000, handler });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('register', () => {
+    it('should refuse a job registered twice', () => {
+      expect(() => JobScheduler.register({ name: 'test-job', intervalMs: 1000, handler }))
+        .toThrow('Job already registered: test-job');
+    });
+  });
+
+  describe('run', () => {
+    it('should claim the period and record the result', async () => {
+      const mockRun = { finish: jest.fn().mockResolvedValue() };
+      JobRun.create.mockResolvedValue(mockRun);
+      handler.mockResolvedValue({ success: true, data: { created: 3, failures: [] } });
+
+      const run = await JobScheduler.run('test-job', now);
+
+      expect(run).toBe(mockRun);
+      expect(JobRun.create).toHaveBeenCalledWith({
+        job: 'test-job',
+        key: 'test-job:2025-01-20T10:00:00.000Z',
+        startedAt: now
+      });
+      expect(handler).toHaveBeenCalledWith(now);
+      expect(mockRun.finish).toHaveBeenCalledWith(null, { created: 3, failures: [] });
+    });
+
+    it('should skip a period that already ran', async () => {
+      JobRun.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const run = await JobScheduler.run('test-job', now);
+
+      expect(run).toBeNull();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should mark the run as failed when the handler throws', async () => {
+      const mockRun = { finish: jest.fn().mockResolvedValue() };
+      const error = new Error('Database unavailable');
+      JobRun.create.mockResolvedValue(mockRun);
+      handler.mockRejectedValue(error);
+
+      await JobScheduler.run('test-job', now);
+
+      expect(mockRun.finish).toHaveBeenCalledWith(error);
+    });
+
+    it('should mark the run as failed when some items failed', async () => {
+      const mockRun = { finish: jest.fn().mockResolvedValue() };
+      const data = { created: 1, failures: [{ group: 'g1', error: 'Write conflict' }] };
+      JobRun.create.mockResolvedValue(mockRun);
+      handler.mockResolvedValue({ success: true, data });
+
+      await JobScheduler.run('test-job', now);
+
+      expect(mockRun.finish).toHaveBeenCalledWith(expect.objectContaining({ message: '1 item(s) failed' }), data);
+    });
+
+    it('should throw error for an unknown job', async () => {
+      await expect(JobScheduler.run('missing-job', now)).rejects.toThrow('Unknown job: missing-job');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const Group = require('../../../src/models/Group');
+const { requireGroupPermission, requireGroupMembership } = require('../../../src/middlewares/groupRoleMiddleware');
+const { GROUP_PERMISSIONS } = require('../../../src/config/groupPermissions');
+
+// Mock dependencies
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/utils/logger');
+
+describe('groupRoleMiddleware', () => {
+  const creatorId = '507f1f77bcf86cd799439013';
+  const treasurerId = '507f1f77bcf86cd799439014';
+  const memberId = '507f1f77bcf86cd799439015';
+
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  const mockGroup = {
+    _id: '507f1f77bcf86cd799439011',
+    creator: { toString: () => creatorId },
+    members: [
+      { user: { toString: () => creatorId }, role: 'ADMIN', status: 'ACTIVE' },
+      { user: { toString: () => treasurerId }, role: 'TREASURER', status: 'ACTIVE' },
+      { user: { toString: () => memberId }, role: 'MEMBER', status: 'ACTIVE' }
+    ]
+  };
+
+  beforeEach(() => {
+    mockReq = {
+      params: { id: '507f1f77bcf86cd799439011' },
+      user: { id: creatorId }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    mockNext = jest.fn();
+
+    jest.clearAllMocks();
+  });
+
+  describe('requireGroupPermission', () => {
+    it('should call next() for the group creator', async () => {
+      Group.findById.mockResolvedValue(mockGroup);
+
+      const middleware = requireGroupPermission(GROUP_PERMISSIONS.UPDATE_SETTINGS);
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(Group.findById).toHaveBeenCalledWith(mockReq.params.id);
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.group).toBe(mockGroup);
+      expect(mockReq.groupRole).toBe('ADMIN');
+    });
+
+    it('should call next() when the member role grants the permission', async () => {
+      mockReq.user.id = treasurerId;
+      Group.findById.mockResolvedValue(mockGroup);
+
+      const middleware = requireGroupPermission(GROUP_PERMISSIONS.VERIFY_PAYMENTS);
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.groupRole).toBe('TREASURER');
+    });
+
+    it('should return 403 error when the member role lacks the permission', async () => {
+      mockReq.user.id = treasurerId;
+      Group.findById.mockResolvedValue(mockGroup);
+
+      const middleware = requireGroupPermission(GROUP_PERMISSIONS.MODERATE_CHAT);
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Insufficient group permissions'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 error for users outside the group', async () => {
+      mockReq.user.id = '507f1f77bcf86cd799439099';
+      Group.findById.mockResolvedValue(mockGroup);
+
+      const middleware = requireGroupPermission(GROUP_PERMISSIONS.APPROVE_JOINS);
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 error when group does not exist', async () => {
+      Group.findById.mockResolvedValue(null);
+
+      const middleware = requireGroupPermission(GROUP_PERMISSIONS.APPROVE_JOINS);
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Group not found'
+      });
+    });
+
+    it('should return 500 error when the lookup fails', async () => {
+      Group.findById.mockRejectedValue(new Error('Database error'));
+
+      const middleware = requireGroupPermission(GROUP_PERMISSIONS.APPROVE_JOINS);
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Internal server error'
+      });
+    });
+  });
+
+  describe('requireGroupMembership', () => {
+    it('should call next() for an active member of the group in the route parameter', async () => {
+      mockReq.params = { groupId: '507f1f77bcf86cd799439011' };
+      mockReq.user.id = memberId;
+      Group.findById.mockResolvedValue(mockGroup);
+
+      const middleware = requireGroupMembership('groupId');
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(Group.findById).toHaveBeenCalledWith(mockReq.params.groupId);
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.groupRole).toBe('MEMBER');
+    });
+
+    it('should return 403 error for users outside the group', async () => {
+      mockReq.user.id = '507f1f77bcf86cd799439099';
+      Group.findById.mockResolvedValue(mockGroup);
+
+      const middleware = requireGroupMembership();
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Access denied to this group'
+      });
+    });
+
+    it('should return 404 error when group does not exist', async () => {
+      Group.findById.mockResolvedValue(null);
+
+      const middleware = requireGroupMembership();
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const EventEmitter = require('events');
+const IdempotencyKey = require('../../../src/models/IdempotencyKey');
+const { idempotent } = require('../../../src/middlewares/idempotencyMiddleware');
+
+// Mock dependencies
+jest.mock('../../../src/models/IdempotencyKey');
+jest.mock('../../../src/utils/logger');
+
+describe('idempotencyMiddleware', () => {
+  const userId = '507f1f77bcf86cd799439013';
+  const recordId = '507f1f77bcf86cd799439040';
+
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  const buildRes = () => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.status = jest.fn().mockImplementation(code => {
+      res.statusCode = code;
+      return res;
+    });
+    res.json = jest.fn().mockReturnValue(res);
+    res.set = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  // Run a first request through the middleware and return the stored fingerprint
+  const firstFingerprint = async () => {
+    IdempotencyKey.create.mockImplementation(doc => Promise.resolve({ _id: recordId, ...doc }));
+    await idempotent()(mockReq, mockRes, mockNext);
+    return IdempotencyKey.create.mock.calls[0][0].fingerprint;
+  };
+
+  beforeEach(() => {
+    mockReq = {
+      method: 'POST',
+      baseUrl: '/api/payments/mobile-money',
+      path: '/',
+      headers: { 'idempotency-key': 'retry-123' },
+      body: { contributionId: '507f1f77bcf86cd799439012', provider: 'wave', phoneNumber: '+221770000000' },
+      user: { id: userId }
+    };
+
+    mockRes = buildRes();
+
+    mockNext = jest.fn();
+
+    jest.clearAllMocks();
+  });
+
+  it('should process requests without a key normally', async () => {
+    delete mockReq.headers['idempotency-key'];
+
+    await idempotent()(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalled();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject keys that are too long', async () => {
+    mockReq.headers['idempotency-key'] = 'k'.repeat(256);
+
+    await idempotent()(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockNext).not.toHaveBeenCalled();
+  });
+
+  it('should store the response of the first request', async () => {
+    await firstFingerprint();
+
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+      key: 'retry-123',
+      scope: `user:${userId}`,
+      method: 'POST',
+      path: '/api/payments/mobile-money/'
+    }));
+    expect(mockNext).toHaveBeenCalled();
+
+    mockRes.status(201).json({ success: true, data: { payment: { _id: 'p1' } } });
+    mockRes.emit('finish');
+    await flush();
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: recordId },
+      { $set: { status: 'COMPLETED', responseStatus: 201, responseBody: { success: true, data: { payment: { _id: 'p1' } } } } }
+    );
+  });
+
+  it('should release the key after a server error', async () => {
+    await firstFingerprint();
+
+    mockRes.status(500).json({ success: false });
+    mockRes.emit('finish');
+    await flush();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: recordId });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should release the key after a rejected callback', async () => {
+    delete mockReq.user;
+    mockReq.path = '/callbacks/wave';
+
+    await firstFingerprint();
+    expect(IdempotencyKey.create.mock.calls[0][0].scope).toBe('route:/api/payments/mobile-money/callbacks/wave');
+
+    mockRes.status(400).json({ success: false, message: 'Invalid callback signature' });
+    mockRes.emit('finish');
+    await flush();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: recordId });
+  });
+
+  it('should replay the stored response for the same request', async () => {
+    const fingerprint = await firstFingerprint();
+    jest.clearAllMocks();
+    mockRes = buildRes();
+
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      _id: recordId,
+      fingerprint,
+      status: 'COMPLETED',
+      responseStatus: 201,
+      responseBody: { success: true, data: { payment: { _id: 'p1' } } }
+    });
+
+    await idempotent()(mockReq, mockRes, mockNext);
+
+    expect(mockNext).not.toHaveBeenCalled();
+    expect(mockRes.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(mockRes.status).toHaveBeenCalledWith(201);
+    expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: { payment: { _id: 'p1' } } });
+  });
+
+  it('should report a conflict when the key is reused with another body', async () => {
+    const fingerprint = await firstFingerprint();
+    jest.clearAllMocks();
+    mockRes = buildRes();
+
+    mockReq.body = { ...mockReq.body, amount: 1000 };
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({ _id: recordId, fingerprint, status: 'COMPLETED' });
+
+    await idempotent()(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(422);
+    expect(mockRes.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Idempotency-Key was already used with a different request'
+    });
+  });
+
+  it('should report a conflict while the first request is in progress', async () => {
+    const fingerprint = await firstFingerprint();
+    jest.clearAllMocks();
+    mockRes = buildRes();
+
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({ _id: recordId, fingerprint, status: 'IN_PROGRESS', createdAt: new Date() });
+
+    await idempotent()(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(409);
+    expect(IdempotencyKey.deleteOne).not.toHaveBeenCalled();
+  });
+});
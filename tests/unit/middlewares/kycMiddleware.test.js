@@ -28,13 +28,8 @@ describe('kycMiddleware', () => {
   describe('requireKYC', () => {
     it('should call next() when user has verified KYC', async () => {
       KYCService.getKYCStatus.mockResolvedValue({
-        success: true,
-        data: {
-          kyc: {
-            status: 'VERIFIED',
-            verifiedAt: new Date()
-          }
-        }
+        status: 'VERIFIED',
+        verifiedAt: new Date()
       });
       
       await requireKYC(mockReq, mockRes, mockNext);
@@ -46,13 +41,8 @@ describe('kycMiddleware', () => {
 
     it('should return 403 error when user KYC is not verified', async () => {
       KYCService.getKYCStatus.mockResolvedValue({
-        success: true,
-        data: {
-          kyc: {
-            status: 'PENDING',
-            verifiedAt: null
-          }
-        }
+        status: 'PENDING',
+        verifiedAt: null
       });
       
       await requireKYC(mockReq, mockRes, mockNext);
@@ -68,13 +58,8 @@ describe('kycMiddleware', () => {
 
     it('should return 403 error when user KYC is rejected', async () => {
       KYCService.getKYCStatus.mockResolvedValue({
-        success: true,
-        data: {
-          kyc: {
-            status: 'REJECTED',
-            verifiedAt: null
-          }
-        }
+        status: 'REJECTED',
+        verifiedAt: null
       });
       
       await requireKYC(mockReq, mockRes, mockNext);
@@ -126,6 +126,15 @@ describe('Group Model', () => {
         expect(member.role).toBe(newRole);
       });
 
+      it('should accept the in-group roles', async () => {
+        group.updateMemberRole('507f1f77bcf86cd799439013', 'TREASURER');
+
+        await expect(group.validate()).resolves.toBeUndefined();
+
+        group.updateMemberRole('507f1f77bcf86cd799439013', 'OWNER');
+        await expect(group.validate()).rejects.toThrow();
+      });
+
       it('should throw error if user is not a member', () => {
         const userId = '507f1f77bcf86cd799439014';
         const newRole = 'ADMIN';
@@ -195,6 +204,23 @@ describe('Group Model', () => {
       expect(group.settings.startDate).toBeDefined();
       expect(group.settings.endDate).toBeDefined();
     });
+
+    it('should default to a recruiting rotating tontine in XOF and reject unknown currencies', async () => {
+      const settings = {
+        contributionAmount: 100,
+        contributionFrequency: 'MONTHLY',
+        maxMembers: 10,
+        startDate: new Date()
+      };
+      const group = new Group({ name: 'Test Group', creator: '507f1f77bcf86cd799439013', settings });
+
+      expect(group.settings.currency).toBe('XOF');
+      expect(group.settings.tontineMode).toBe('ROTATING');
+      expect(group.status).toBe('RECRUITING');
+
+      group.settings.currency = 'GBP';
+      await expect(group.validate()).rejects.toThrow();
+    });
   });
 
   describe('static methods', () => {
@@ -235,6 +235,20 @@ describe('User Model', () => {
 
       await expect(user.validate()).rejects.toThrow();
     });
+
+    it('should reject an unknown notification channel', async () => {
+      const user = new User({
+        firstName: 'John',
+        lastName: 'Doe',
+        email: 'john@example.com',
+        password: 'password123',
+        phone: '+212612345678',
+        nationalId: 'CN12345678',
+        notificationPreferences: { channels: { PAYMENT_VERIFIED: ['FAX'] } }
+      });
+
+      await expect(user.validate()).rejects.toThrow();
+    });
   });
 
   describe('static methods', () => {
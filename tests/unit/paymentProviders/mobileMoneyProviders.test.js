@@ -0,0 +1,174 @@
+const { getProvider, getProviderNames, resetProviders } = require('../../../src/paymentProviders');
+const MobileMoneyProvider = require('../../../src/paymentProviders/MobileMoneyProvider');
+const MobileMoneyGatewayProvider = require('../../../src/paymentProviders/MobileMoneyGatewayProvider');
+const SimulatorProvider = require('../../../src/paymentProviders/SimulatorProvider');
+
+describe('mobile money providers', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    resetProviders();
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe('getProvider', () => {
+    it('should build operator adapters from the environment', () => {
+      process.env.WAVE_URL = 'https://wave.example.com';
+      process.env.WAVE_CURRENCIES = 'XOF,GNF';
+
+      const provider = getProvider('wave');
+
+      expect(provider).toBeInstanceOf(MobileMoneyGatewayProvider);
+      expect(provider.supportsCurrency('GNF')).toBe(true);
+      expect(provider.supportsCurrency('EUR')).toBe(false);
+      expect(getProvider('wave')).toBe(provider);
+    });
+
+    it('should keep the simulator off unless it is enabled explicitly', () => {
+      delete process.env.MOBILE_MONEY_SIMULATOR;
+      process.env.NODE_ENV = 'development';
+
+      expect(getProviderNames()).toEqual(['orange-money', 'wave', 'mpesa']);
+      expect(() => getProvider('simulator')).toThrow('Unsupported mobile money provider: simulator');
+
+      process.env.MOBILE_MONEY_SIMULATOR = 'true';
+      process.env.MOBILE_MONEY_SIMULATOR_SECRET = 'configured-secret';
+      expect(getProvider('simulator')).toBeInstanceOf(SimulatorProvider);
+    });
+
+    it('should refuse to run the simulator without a callback secret', () => {
+      process.env.MOBILE_MONEY_SIMULATOR = 'true';
+      delete process.env.MOBILE_MONEY_SIMULATOR_SECRET;
+
+      expect(() => getProvider('simulator')).toThrow('MOBILE_MONEY_SIMULATOR_SECRET is required to run the simulator');
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => getProvider('carrier-pigeon')).toThrow('Unsupported mobile money provider: carrier-pigeon');
+    });
+  });
+
+  describe('normalizeStatus', () => {
+    it('should map operator statuses to payment statuses', () => {
+      expect(MobileMoneyProvider.normalizeStatus('successful')).toBe('SUCCEEDED');
+      expect(MobileMoneyProvider.normalizeStatus('EXPIRED')).toBe('FAILED');
+      expect(MobileMoneyProvider.normalizeStatus('processing')).toBe('PENDING');
+      expect(MobileMoneyProvider.normalizeStatus(undefined)).toBe('PENDING');
+    });
+  });
+
+  describe('SimulatorProvider', () => {
+    beforeEach(() => {
+      process.env.MOBILE_MONEY_SIMULATOR = 'true';
+      process.env.MOBILE_MONEY_SIMULATOR_SECRET = 'test-secret';
+    });
+
+    it('should keep payments pending until they are settled', async () => {
+      const simulator = getProvider('simulator');
+
+      const { providerReference, status, instructions } = await simulator.initiate({
+        reference: 'pay-1',
+        amount: 5000,
+        currency: 'XOF',
+        phoneNumber: '+221770000000'
+      });
+
+      expect(status).toBe('PENDING');
+      expect(instructions).toBe('Confirm the payment of 5000 XOF on +221770000000');
+
+      simulator.settle(providerReference, 'FAILED', 'Insufficient balance');
+
+      await expect(simulator.getStatus(providerReference)).resolves.toEqual({
+        providerReference,
+        status: 'FAILED',
+        failureReason: 'Insufficient balance'
+      });
+    });
+
+    it('should produce callbacks that pass verification', async () => {
+      const simulator = getProvider('simulator');
+      const { providerReference } = await simulator.initiate({ reference: 'pay-1', amount: 5000, currency: 'XOF' });
+
+      const { rawBody, headers } = simulator.settle(providerReference);
+
+      expect(simulator.verifyCallback(rawBody, headers)).toEqual({
+        providerReference,
+        status: 'SUCCEEDED',
+        failureReason: null
+      });
+    });
+
+    it('should reject tampered callbacks', async () => {
+      const simulator = getProvider('simulator');
+      const { providerReference } = await simulator.initiate({ reference: 'pay-1', amount: 5000, currency: 'XOF' });
+
+      const { rawBody, headers } = simulator.settle(providerReference);
+
+      expect(() => simulator.verifyCallback(rawBody.replace('5000', '50000'), headers))
+        .toThrow('Invalid callback signature');
+      expect(() => simulator.verifyCallback(rawBody, {})).toThrow('Invalid callback signature');
+    });
+
+    it('should fail on unknown transactions', async () => {
+      await expect(getProvider('simulator').getStatus('SIM-unknown')).rejects.toThrow('Transaction not found');
+    });
+  });
+
+  describe('MobileMoneyGatewayProvider', () => {
+    const provider = new MobileMoneyGatewayProvider({
+      name: 'orange-money',
+      url: 'https://om.example.com/',
+      apiKey: 'key',
+      callbackSecret: 'secret'
+    });
+
+    it('should initiate payments through the gateway', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        text: jest.fn().mockResolvedValue('{"id":"OM-1","status":"INITIATED","instructions":"Dial #144#"}')
+      });
+
+      const result = await provider.initiate({
+        reference: 'pay-1',
+        amount: 5000,
+        currency: 'XOF',
+        phoneNumber: '+221770000000',
+        callbackUrl: 'https://api.example.com/callback'
+      });
+
+      expect(result).toEqual({
+        providerReference: 'OM-1',
+        status: 'PENDING',
+        failureReason: null,
+        instructions: 'Dial #144#'
+      });
+      expect(fetch).toHaveBeenCalledWith('https://om.example.com/payments', expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ Authorization: 'Bearer key' })
+      }));
+    });
+
+    it('should read the payment status from the gateway', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        text: jest.fn().mockResolvedValue('{"status":"SUCCESS"}')
+      });
+
+      await expect(provider.getStatus('OM-1')).resolves.toEqual({
+        providerReference: 'OM-1',
+        status: 'SUCCEEDED',
+        failureReason: null
+      });
+      expect(fetch).toHaveBeenCalledWith('https://om.example.com/payments/OM-1', expect.objectContaining({ method: 'GET' }));
+    });
+
+    it('should fail when not configured', async () => {
+      await expect(new MobileMoneyGatewayProvider({ name: 'mpesa' }).getStatus('MP-1'))
+        .rejects.toThrow('mpesa is not configured');
+    });
+  });
+});
@@ -0,0 +1,319 @@
+const AuctionService = require('../../../src/services/AuctionService');
+const AuctionRound = require('../../../src/models/AuctionRound');
+const Bid = require('../../../src/models/Bid');
+const PayoutSchedule = require('../../../src/models/PayoutSchedule');
+const Group = require('../../../src/models/Group');
+const ContributionPaymentService = require('../../../src/services/ContributionPaymentService');
+
+// Mock dependencies
+jest.mock('../../../src/models/AuctionRound');
+jest.mock('../../../src/models/Bid');
+jest.mock('../../../src/models/PayoutSchedule');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/services/ContributionPaymentService');
+jest.mock('../../../src/utils/logger');
+
+describe('AuctionService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const adminId = '507f1f77bcf86cd799439013';
+  const memberIds = [
+    '507f1f77bcf86cd799439013',
+    '507f1f77bcf86cd799439014',
+    '507f1f77bcf86cd799439015',
+    '507f1f77bcf86cd799439016'
+  ];
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    creator: { toString: () => adminId },
+    members: memberIds.map(id => ({ user: { toString: () => id }, status: 'ACTIVE' })),
+    settings: { contributionAmount: 100, tontineMode: 'AUCTION' },
+    isMember: jest.fn().mockReturnValue(true),
+    ...overrides
+  });
+
+  const buildSchedule = (cycleStatus = 'SCHEDULED') => {
+    const cycles = memberIds.map((id, index) => ({
+      cycleNumber: index + 1,
+      beneficiary: id,
+      status: index === 0 ? 'PAID_OUT' : cycleStatus
+    }));
+
+    return {
+      cycles,
+      getCycle: jest.fn(number => cycles.find(cycle => cycle.cycleNumber === Number(number))),
+      getCycleForUser: jest.fn(userId => cycles.find(cycle => cycle.beneficiary.toString() === userId)),
+      save: jest.fn().mockResolvedValue()
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('placeBid', () => {
+    it('should place a bid successfully', async () => {
+      const mockBid = { _id: 'bid1', discount: 40 };
+
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule());
+      AuctionRound.hasWon.mockResolvedValue(null);
+      AuctionRound.findOneAndUpdate.mockResolvedValue({ status: 'OPEN' });
+      Bid.findOneAndUpdate.mockResolvedValue(mockBid);
+
+      const result = await AuctionService.placeBid(groupId, 2, { discount: 40 }, memberIds[2]);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Bid placed successfully');
+      expect(AuctionRound.findOneAndUpdate).toHaveBeenCalledWith(
+        { group: groupId, cycleNumber: 2 },
+        { $setOnInsert: { potAmount: 400, status: 'OPEN' } },
+        { new: true, upsert: true }
+      );
+      expect(Bid.findOneAndUpdate).toHaveBeenCalledWith(
+        { group: groupId, cycleNumber: 2, bidder: memberIds[2] },
+        { discount: 40, status: 'ACTIVE', placedAt: expect.any(Date) },
+        { new: true, upsert: true, runValidators: true }
+      );
+    });
+
+    it('should throw error if group is not in auction mode', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ settings: { contributionAmount: 100, tontineMode: 'ROTATING' } }));
+
+      await expect(AuctionService.placeBid(groupId, 2, { discount: 40 }, memberIds[2]))
+        .rejects.toThrow('Group does not run in auction mode');
+    });
+
+    it('should throw error if member already received the pot', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule());
+
+      await expect(AuctionService.placeBid(groupId, 2, { discount: 40 }, memberIds[0]))
+        .rejects.toThrow('Members who already received the pot cannot bid');
+    });
+
+    it('should throw error if member already won an auction', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule());
+      AuctionRound.hasWon.mockResolvedValue({ _id: 'round1' });
+
+      await expect(AuctionService.placeBid(groupId, 2, { discount: 40 }, memberIds[2]))
+        .rejects.toThrow('Members who already received the pot cannot bid');
+    });
+
+    it('should throw error if discount is not lower than the pot', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule());
+      AuctionRound.hasWon.mockResolvedValue(null);
+
+      await expect(AuctionService.placeBid(groupId, 2, { discount: 400 }, memberIds[2]))
+        .rejects.toThrow('Discount must be lower than the pot amount');
+    });
+
+    it('should throw error if bidding is closed', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule());
+      AuctionRound.hasWon.mockResolvedValue(null);
+      AuctionRound.findOneAndUpdate.mockResolvedValue({ status: 'CLOSED' });
+
+      await expect(AuctionService.placeBid(groupId, 2, { discount: 40 }, memberIds[2]))
+        .rejects.toThrow('Bidding is closed for this cycle');
+    });
+  });
+
+  describe('getBids', () => {
+    it('should only show own bids to members while bidding is open', async () => {
+      const bids = [
+        { bidder: { _id: { toString: () => memberIds[1] } }, discount: 50 },
+        { bidder: { _id: { toString: () => memberIds[2] } }, discount: 40 }
+      ];
+
+      Group.findById.mockResolvedValue(buildGroup());
+      AuctionRound.findForCycle.mockResolvedValue({ status: 'OPEN' });
+      Bid.findForCycle.mockReturnValue({ populate: jest.fn().mockResolvedValue(bids) });
+
+      const result = await AuctionService.getBids(groupId, 2, memberIds[2]);
+
+      expect(result.data.bids).toEqual([bids[1]]);
+    });
+
+    it('should show all bids once bidding is closed', async () => {
+      const bids = [
+        { bidder: { _id: { toString: () => memberIds[1] } }, discount: 50 },
+        { bidder: { _id: { toString: () => memberIds[2] } }, discount: 40 }
+      ];
+
+      Group.findById.mockResolvedValue(buildGroup());
+      AuctionRound.findForCycle.mockResolvedValue({ status: 'CLOSED' });
+      Bid.findForCycle.mockReturnValue({ populate: jest.fn().mockResolvedValue(bids) });
+
+      const result = await AuctionService.getBids(groupId, 2, memberIds[2]);
+
+      expect(result.data.bids).toEqual(bids);
+    });
+  });
+
+  describe('closeBidding', () => {
+    it('should close bidding successfully', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      AuctionRound.findOneAndUpdate.mockResolvedValue({ status: 'CLOSED' });
+
+      const result = await AuctionService.closeBidding(groupId, 2, adminId);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Bidding closed successfully');
+    });
+
+    it('should throw error if no bidding is open', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      AuctionRound.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(AuctionService.closeBidding(groupId, 2, adminId))
+        .rejects.toThrow('No open bidding for this cycle');
+    });
+
+    it('should throw error if user is not admin', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(AuctionService.closeBidding(groupId, 2, memberIds[1]))
+        .rejects.toThrow('You are not allowed to manage auctions in this group');
+    });
+  });
+
+  describe('pickWinner', () => {
+    it('should award the highest discount and share it with the other members', async () => {
+      const mockRound = { status: 'CLOSED', save: jest.fn().mockResolvedValue() };
+      const winningBid = { _id: 'bid1', bidder: { toString: () => memberIds[3] }, discount: 100 };
+      const schedule = buildSchedule();
+
+      Group.findById.mockResolvedValue(buildGroup());
+      AuctionRound.findForCycle.mockResolvedValue(mockRound);
+      Bid.findForCycle.mockResolvedValue([winningBid, { _id: 'bid2', discount: 50 }]);
+      PayoutSchedule.findByGroup.mockResolvedValue(schedule);
+      AuctionRound.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      ContributionPaymentService.applyCredit.mockResolvedValue(null);
+
+      const result = await AuctionService.pickWinner(groupId, 2, adminId);
+
+      expect(result.success).toBe(true);
+      expect(Bid.updateOne).toHaveBeenCalledWith({ _id: 'bid1' }, { status: 'WON' });
+      expect(Bid.updateMany).toHaveBeenCalledWith(
+        { group: groupId, cycleNumber: 2, _id: { $ne: 'bid1' } },
+        { status: 'LOST' }
+      );
+      expect(schedule.cycles[1].beneficiary).toBe(memberIds[3]);
+      expect(schedule.cycles[3].beneficiary).toBe(memberIds[1]);
+      expect(schedule.save).toHaveBeenCalled();
+      expect(mockRound.status).toBe('AWARDED');
+      expect(mockRound.discount).toBe(100);
+      expect(mockRound.credits).toEqual([
+        { user: memberIds[0], amount: 34, applied: false },
+        { user: memberIds[1], amount: 33, applied: false },
+        { user: memberIds[2], amount: 33, applied: false }
+      ]);
+      expect(mockRound.save).toHaveBeenCalled();
+    });
+
+    it('should credit next cycle contributions that already exist', async () => {
+      const mockRound = { _id: 'round1', status: 'CLOSED', save: jest.fn().mockResolvedValue() };
+      const winningBid = { _id: 'bid1', bidder: { toString: () => memberIds[3] }, discount: 90 };
+
+      Group.findById.mockResolvedValue(buildGroup());
+      AuctionRound.findForCycle.mockResolvedValue(mockRound);
+      Bid.findForCycle.mockResolvedValue([winningBid]);
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule());
+      AuctionRound.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      ContributionPaymentService.applyCredit.mockResolvedValue({ _id: 'contribution1' });
+
+      await AuctionService.pickWinner(groupId, 2, adminId);
+
+      expect(AuctionRound.findForCycle).toHaveBeenLastCalledWith(groupId, 2);
+      expect(ContributionPaymentService.applyCredit).toHaveBeenCalledTimes(3);
+      expect(ContributionPaymentService.applyCredit).toHaveBeenCalledWith(
+        { group: groupId, cycleNumber: 3, user: memberIds[0] },
+        30
+      );
+    });
+
+    it('should throw error if bidding is still open', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      AuctionRound.findForCycle.mockResolvedValue({ status: 'OPEN' });
+
+      await expect(AuctionService.pickWinner(groupId, 2, adminId))
+        .rejects.toThrow('Bidding must be closed before picking a winner');
+    });
+
+    it('should throw error if no bids were placed', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      AuctionRound.findForCycle.mockResolvedValue({ status: 'CLOSED' });
+      Bid.findForCycle.mockResolvedValue([]);
+
+      await expect(AuctionService.pickWinner(groupId, 2, adminId))
+        .rejects.toThrow('No bids were placed for this cycle');
+    });
+  });
+
+  describe('applyDiscountCredits', () => {
+    const buildRound = () => ({
+      _id: 'round1',
+      status: 'AWARDED',
+      credits: [
+        { user: memberIds[0], amount: 34, applied: false },
+        { user: memberIds[1], amount: 33, applied: true }
+      ]
+    });
+
+    it('should claim each pending credit and settle it on the contribution', async () => {
+      AuctionRound.findForCycle.mockResolvedValue(buildRound());
+      AuctionRound.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      ContributionPaymentService.applyCredit.mockResolvedValue({ _id: 'contribution1' });
+
+      const applied = await AuctionService.applyDiscountCredits(groupId, 3);
+
+      expect(applied).toBe(1);
+      expect(AuctionRound.findForCycle).toHaveBeenCalledWith(groupId, 2);
+      expect(AuctionRound.updateOne).toHaveBeenCalledTimes(1);
+      expect(AuctionRound.updateOne).toHaveBeenCalledWith(
+        { _id: 'round1', credits: { $elemMatch: { user: memberIds[0], applied: false } } },
+        { $set: { 'credits.$.applied': true } }
+      );
+      expect(ContributionPaymentService.applyCredit).toHaveBeenCalledWith(
+        { group: groupId, cycleNumber: 3, user: memberIds[0] },
+        34
+      );
+    });
+
+    it('should release the credit when the contribution does not exist yet', async () => {
+      AuctionRound.findForCycle.mockResolvedValue(buildRound());
+      AuctionRound.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      ContributionPaymentService.applyCredit.mockResolvedValue(null);
+
+      const applied = await AuctionService.applyDiscountCredits(groupId, 3);
+
+      expect(applied).toBe(0);
+      expect(AuctionRound.updateOne).toHaveBeenLastCalledWith(
+        { _id: 'round1', 'credits.user': memberIds[0] },
+        { $set: { 'credits.$.applied': false } }
+      );
+    });
+
+    it('should skip a credit another run already claimed', async () => {
+      AuctionRound.findForCycle.mockResolvedValue(buildRound());
+      AuctionRound.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const applied = await AuctionService.applyDiscountCredits(groupId, 3);
+
+      expect(applied).toBe(0);
+      expect(ContributionPaymentService.applyCredit).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when the previous cycle was not auctioned', async () => {
+      AuctionRound.findForCycle.mockResolvedValue(null);
+
+      const applied = await AuctionService.applyDiscountCredits(groupId, 3);
+
+      expect(applied).toBe(0);
+      expect(ContributionPaymentService.applyCredit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -207,6 +207,27 @@ describe('AuthService', () => {
 
       await expect(AuthService.login(identifier, password, deviceInfo)).rejects.toThrow('Account is temporarily locked');
     });
+
+    it('should take the login form as a whole', async () => {
+      const deviceInfo = { userAgent: 'test-agent', ipAddress: '127.0.0.1' };
+      const mockUser = {
+        _id: '507f1f77bcf86cd799439011',
+        role: constants.ROLES.PARTICULIER,
+        isActive: true,
+        comparePassword: jest.fn().mockResolvedValue(true),
+        resetLoginAttempts: jest.fn(),
+        updateOne: jest.fn().mockResolvedValue()
+      };
+
+      User.findByEmailOrPhone.mockResolvedValue(mockUser);
+      RefreshToken.createToken.mockResolvedValue();
+
+      const result = await AuthService.login({ identifier: 'john@example.com', password: 'password123', deviceInfo });
+
+      expect(User.findByEmailOrPhone).toHaveBeenCalledWith('john@example.com');
+      expect(mockUser.comparePassword).toHaveBeenCalledWith('password123');
+      expect(RefreshToken.createToken).toHaveBeenCalledWith(mockUser._id, deviceInfo, result.refreshToken);
+    });
   });
 
   describe('refreshAccessToken', () => {
@@ -267,6 +288,27 @@ describe('AuthService', () => {
       expect(result).toBe(true);
       expect(RefreshToken.revokeAllUserTokens).toHaveBeenCalledWith(userId, userId, 'logout');
     });
+
+    it('should close the session of the token given in the logout form', async () => {
+      const refreshToken = 'valid.refresh.token';
+      const userId = '507f1f77bcf86cd799439011';
+
+      RefreshToken.findValidToken.mockResolvedValue({ token: refreshToken, userId: { _id: userId } });
+      RefreshToken.revokeToken.mockResolvedValue();
+
+      const result = await AuthService.logout({ refreshToken });
+
+      expect(result).toBe(true);
+      expect(RefreshToken.revokeToken).toHaveBeenCalledWith(refreshToken, userId, 'logout');
+      expect(RefreshToken.revokeAllUserTokens).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a logout form with an unknown token', async () => {
+      RefreshToken.findValidToken.mockResolvedValue(null);
+
+      await expect(AuthService.logout({ refreshToken: 'unknown.token' }))
+        .rejects.toThrow('Invalid or expired refresh token');
+    });
   });
 
   describe('getUserProfile', () => {
@@ -329,6 +371,21 @@ describe('AuthService', () => {
       expect(result).toBeDefined();
       expect(result.firstName).toBe('Jane');
     });
+
+    it('should let the user change their preferred language', async () => {
+      const userId = '507f1f77bcf86cd799439011';
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: userId, preferredLanguage: 'en' })
+      });
+
+      await AuthService.updateUserProfile(userId, { preferredLanguage: 'en', role: 'ADMIN' });
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        userId,
+        { $set: { preferredLanguage: 'en' } },
+        { new: true, runValidators: true }
+      );
+    });
   });
 
   describe('changePassword', () => {
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BankReconciliationService = require('../../../src/services/BankReconciliationService');
+const PaymentService = require('../../../src/services/PaymentService');
+const BankStatementImport = require('../../../src/models/BankStatementImport');
+const Payment = require('../../../src/models/Payment');
+const { buildPaymentReference } = require('../../../src/utils/paymentReference');
+
+// Mock dependencies
+jest.mock('../../../src/models/BankStatementImport');
+jest.mock('../../../src/models/Payment');
+jest.mock('../../../src/services/PaymentService');
+jest.mock('../../../src/utils/logger');
+
+describe('BankReconciliationService', () => {
+  const adminId = '507f1f77bcf86cd799439013';
+  const importId = '507f1f77bcf86cd799439050';
+  const lineId = '507f1f77bcf86cd799439051';
+
+  const buildPayment = (_id, overrides = {}) => ({
+    _id,
+    method: 'BANK_TRANSFER',
+    status: 'PENDING',
+    amount: 1500,
+    currency: 'XOF',
+    reference: null,
+    createdAt: new Date('2025-01-18T10:00:00Z'),
+    ...overrides
+  });
+
+  const buildLine = (overrides = {}) => ({
+    date: new Date('2025-01-20T00:00:00Z'),
+    amount: 1500,
+    currency: 'XOF',
+    reference: '',
+    description: '',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('matchLines', () => {
+    it('should propose the payment whose reference the line quotes', () => {
+      const payments = [
+        buildPayment('p1', { reference: 'TRL-ABC-3' }),
+        buildPayment('p2', { reference: 'TRL-XYZ-7' })
+      ];
+
+      const [line] = BankReconciliationService.matchLines([buildLine({ reference: 'VIR trl abc 3' })], payments);
+
+      expect(line).toEqual(expect.objectContaining({
+        status: 'PROPOSED',
+        payment: 'p1',
+        matchedOn: ['AMOUNT', 'DATE', 'REFERENCE']
+      }));
+    });
+
+    it('should recognise contribution references without separators', () => {
+      const contribution = { group: '507f1f77bcf86cd799439011', cycleNumber: 3, user: '507f1f77bcf86cd799439015' };
+      const reference = buildPaymentReference(contribution.group, 3, contribution.user);
+      const payments = [
+        buildPayment('p1', { contribution }),
+        buildPayment('p2', { contribution: { ...contribution, cycleNumber: 4 } })
+      ];
+
+      const [line] = BankReconciliationService.matchLines(
+        [buildLine({ description: `VIR DIOP ${reference.replace(/-/g, '')}` })],
+        payments
+      );
+
+      expect(line).toEqual(expect.objectContaining({ status: 'PROPOSED', payment: 'p1', matchedOn: ['AMOUNT', 'DATE', 'REFERENCE'] }));
+    });
+
+    it('should propose the only payment that fits amount and date', () => {
+      const payments = [
+        buildPayment('p1'),
+        buildPayment('p2', { amount: 2000 }),
+        buildPayment('p3', { createdAt: new Date('2024-12-01T00:00:00Z') })
+      ];
+
+      const [line] = BankReconciliationService.matchLines([buildLine()], payments);
+
+      expect(line).toEqual(expect.objectContaining({ status: 'PROPOSED', payment: 'p1', matchedOn: ['AMOUNT', 'DATE'] }));
+    });
+
+    it('should flag lines that fit several payments as ambiguous', () => {
+      const [line] = BankReconciliationService.matchLines([buildLine()], [buildPayment('p1'), buildPayment('p2')]);
+
+      expect(line).toEqual(expect.objectContaining({ status: 'AMBIGUOUS', payment: null, candidates: ['p1', 'p2'] }));
+    });
+
+    it('should propose each payment to one line only', () => {
+      const payments = [buildPayment('p1', { reference: 'TRL-ABC-3' }), buildPayment('p2')];
+
+      const lines = BankReconciliationService.matchLines([
+        buildLine({ description: 'DIOP' }),
+        buildLine({ reference: 'TRL-ABC-3' })
+      ], payments);
+
+      expect(lines[0]).toEqual(expect.objectContaining({ status: 'PROPOSED', payment: 'p2' }));
+      expect(lines[1]).toEqual(expect.objectContaining({ status: 'PROPOSED', payment: 'p1' }));
+    });
+
+    it('should leave lines without a fitting payment unmatched', () => {
+      const [line] = BankReconciliationService.matchLines(
+        [buildLine({ currency: 'EUR' })],
+        [buildPayment('p1')]
+      );
+
+      expect(line.status).toBe('UNMATCHED');
+    });
+  });
+
+  describe('importStatement', () => {
+    let file;
+
+    beforeEach(() => {
+      file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'statement-')), 'upload');
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it('should store the incoming transfers with their proposals', async () => {
+      fs.writeFileSync(file, 'Date,Reference,Amount\n2025-01-20,TRL-ABC-3,1500\n2025-01-21,Bank fees,-250\n');
+
+      BankStatementImport.exists.mockResolvedValue(null);
+      Payment.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          populate: jest.fn().mockResolvedValue([buildPayment('p1', { reference: 'TRL-ABC-3' })])
+        })
+      });
+      BankStatementImport.create.mockImplementation(doc => Promise.resolve({ _id: importId, ...doc }));
+
+      const result = await BankReconciliationService.importStatement({ path: file, originalName: 'january.csv' }, adminId);
+
+      expect(BankStatementImport.create).toHaveBeenCalledWith(expect.objectContaining({
+        fileName: 'january.csv',
+        format: 'CSV',
+        checksum: expect.stringMatching(/^[a-f0-9]{64}$/),
+        importedBy: adminId,
+        lines: [expect.objectContaining({ amount: 1500, status: 'PROPOSED', payment: 'p1' })]
+      }));
+      expect(result.data.summary).toEqual({ PROPOSED: 1, AMBIGUOUS: 0, UNMATCHED: 0, CONFIRMED: 0, REJECTED: 0 });
+      expect(fs.existsSync(file)).toBe(false);
+    });
+
+    it('should throw error if the statement was already imported', async () => {
+      fs.writeFileSync(file, 'Date,Amount\n2025-01-20,1500\n');
+      BankStatementImport.exists.mockResolvedValue({ _id: importId });
+
+      await expect(BankReconciliationService.importStatement({ path: file, originalName: 'january.csv' }, adminId))
+        .rejects.toThrow('This statement has already been imported');
+    });
+
+    it('should throw error if the statement has no incoming transfers', async () => {
+      fs.writeFileSync(file, 'Date,Amount\n2025-01-20,-1500\n');
+      BankStatementImport.exists.mockResolvedValue(null);
+
+      await expect(BankReconciliationService.importStatement({ path: file, originalName: 'january.csv' }, adminId))
+        .rejects.toThrow('The statement has no incoming transfers');
+    });
+  });
+
+  describe('confirmMatch', () => {
+    const mockImport = (line) => {
+      BankStatementImport.findById.mockResolvedValue({
+        _id: importId,
+        lines: { id: jest.fn().mockReturnValue(line) }
+      });
+    };
+
+    it('should verify the proposed payment', async () => {
+      const line = buildLine({ _id: lineId, status: 'PROPOSED', payment: 'p1' });
+      mockImport(line);
+      Payment.findById.mockResolvedValue(buildPayment('p1'));
+      BankStatementImport.findOneAndUpdate.mockResolvedValue({
+        lines: { id: jest.fn().mockReturnValue({ ...line, status: 'CONFIRMED' }) }
+      });
+
+      const result = await BankReconciliationService.confirmMatch(importId, lineId, undefined, adminId);
+
+      expect(BankStatementImport.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: importId, lines: { $elemMatch: { _id: lineId, status: 'PROPOSED' } } },
+        { $set: expect.objectContaining({ 'lines.$.status': 'CONFIRMED', 'lines.$.payment': 'p1' }) },
+        { new: true }
+      );
+      expect(PaymentService.verifyBankTransfer).toHaveBeenCalledWith({ paymentId: 'p1', adminUserId: adminId });
+      expect(result.data.line.status).toBe('CONFIRMED');
+    });
+
+    it('should release the line if the verification fails', async () => {
+      const line = buildLine({ _id: lineId, status: 'AMBIGUOUS', payment: null });
+      mockImport(line);
+      Payment.findById.mockResolvedValue(buildPayment('p2'));
+      BankStatementImport.findOneAndUpdate.mockResolvedValue({ lines: { id: jest.fn() } });
+      PaymentService.verifyBankTransfer.mockRejectedValue(new Error('Not a bank transfer'));
+
+      await expect(BankReconciliationService.confirmMatch(importId, lineId, 'p2', adminId))
+        .rejects.toThrow('Not a bank transfer');
+      expect(BankStatementImport.updateOne).toHaveBeenCalledWith(
+        { _id: importId, 'lines._id': lineId },
+        { $set: expect.objectContaining({ 'lines.$.status': 'AMBIGUOUS', 'lines.$.payment': null }) }
+      );
+    });
+
+    it('should throw error if the amounts differ', async () => {
+      mockImport(buildLine({ _id: lineId, status: 'UNMATCHED', payment: null }));
+      Payment.findById.mockResolvedValue(buildPayment('p3', { amount: 1000 }));
+
+      await expect(BankReconciliationService.confirmMatch(importId, lineId, 'p3', adminId))
+        .rejects.toThrow('Payment amount does not match the statement line');
+    });
+
+    it('should throw error if the line was already resolved', async () => {
+      mockImport(buildLine({ _id: lineId, status: 'CONFIRMED', payment: 'p1' }));
+
+      await expect(BankReconciliationService.confirmMatch(importId, lineId, undefined, adminId))
+        .rejects.toThrow('Statement line has already been resolved');
+    });
+
+    it('should throw error if an unmatched line is confirmed without a payment', async () => {
+      mockImport(buildLine({ _id: lineId, status: 'UNMATCHED', payment: null }));
+
+      await expect(BankReconciliationService.confirmMatch(importId, lineId, undefined, adminId))
+        .rejects.toThrow('Payment ID is required for a line without a proposal');
+    });
+  });
+
+  describe('rejectMatch', () => {
+    it('should reject a proposed match', async () => {
+      BankStatementImport.findOneAndUpdate.mockResolvedValue({
+        lines: { id: jest.fn().mockReturnValue({ _id: lineId, status: 'REJECTED' }) }
+      });
+
+      const result = await BankReconciliationService.rejectMatch(importId, lineId, adminId);
+
+      expect(result.data.line.status).toBe('REJECTED');
+    });
+
+    it('should throw error if the line is not a proposal', async () => {
+      BankStatementImport.findOneAndUpdate.mockResolvedValue(null);
+      BankStatementImport.findById.mockResolvedValue({
+        lines: { id: jest.fn().mockReturnValue({ _id: lineId, status: 'CONFIRMED' }) }
+      });
+
+      await expect(BankReconciliationService.rejectMatch(importId, lineId, adminId))
+        .rejects.toThrow('Only proposed or ambiguous matches can be rejected');
+    });
+  });
+});
@@ -0,0 +1,340 @@
+const ContributionPaymentService = require('../../../src/services/ContributionPaymentService');
+const Contribution = require('../../../src/models/Contribution');
+const Payment = require('../../../src/models/Payment');
+const Group = require('../../../src/models/Group');
+const LedgerService = require('../../../src/services/LedgerService');
+const PayoutScheduleService = require('../../../src/services/PayoutScheduleService');
+const WebhookService = require('../../../src/services/WebhookService');
+const { buildPaymentReference } = require('../../../src/utils/paymentReference');
+
+// Mock dependencies
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/models/Payment');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/services/LedgerService');
+jest.mock('../../../src/services/PayoutScheduleService');
+jest.mock('../../../src/services/WebhookService');
+jest.mock('../../../src/utils/logger');
+
+describe('ContributionPaymentService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const contributionId = '507f1f77bcf86cd799439012';
+  const userId = '507f1f77bcf86cd799439013';
+  const paymentId = '507f1f77bcf86cd799439014';
+  const treasurerId = '507f1f77bcf86cd799439015';
+
+  const buildContribution = (overrides = {}) => ({
+    _id: contributionId,
+    group: groupId,
+    user: { toString: () => userId },
+    amount: 300,
+    amountPaid: 0,
+    payments: [],
+    status: 'PENDING',
+    ...overrides
+  });
+
+  const buildPayment = (overrides = {}) => ({
+    _id: paymentId,
+    user: { toString: () => userId },
+    contribution: contributionId,
+    amount: 100,
+    status: 'SUCCEEDED',
+    ...overrides
+  });
+
+  const appliedAt = new Date('2025-01-15T10:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Payment.findOneAndUpdate.mockResolvedValue({ _id: paymentId, contribution: contributionId, appliedAt });
+  });
+
+  describe('getBalance', () => {
+    it('should compute the remaining balance', () => {
+      expect(ContributionPaymentService.getBalance({ amount: 300, amountPaid: 120.5 })).toEqual({
+        amountDue: 300,
+        penaltyAmount: 0,
+        creditedAmount: 0,
+        amountPaid: 120.5,
+        remaining: 179.5
+      });
+    });
+
+    it('should add the late penalties to the amount due', () => {
+      expect(ContributionPaymentService.getBalance({ amount: 300, penaltyAmount: 25, amountPaid: 300 })).toEqual({
+        amountDue: 325,
+        penaltyAmount: 25,
+        creditedAmount: 0,
+        amountPaid: 300,
+        remaining: 25
+      });
+    });
+
+    it('should treat a contribution without payments as unpaid', () => {
+      expect(ContributionPaymentService.getBalance({ amount: 300 }).remaining).toBe(300);
+    });
+
+    it('should take the auction credits off the amount due', () => {
+      expect(ContributionPaymentService.getBalance({ amount: 300, creditedAmount: 40, amountPaid: 100 })).toEqual({
+        amountDue: 260,
+        penaltyAmount: 0,
+        creditedAmount: 40,
+        amountPaid: 100,
+        remaining: 160
+      });
+    });
+  });
+
+  describe('applyPayment', () => {
+    it('should record a partial payment', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findOneAndUpdate.mockResolvedValue(buildContribution({
+        amountPaid: 100,
+        payments: [paymentId],
+        status: 'PARTIALLY_PAID'
+      }));
+
+      const result = await ContributionPaymentService.applyPayment(contributionId, paymentId, userId);
+
+      expect(result.message).toBe('Partial payment recorded successfully');
+      expect(result.data.balance).toEqual({ amountDue: 300, penaltyAmount: 0, creditedAmount: 0, amountPaid: 100, remaining: 200 });
+
+      const [filter, pipeline] = Contribution.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual(expect.objectContaining({
+        _id: contributionId,
+        status: { $nin: ['PAID', 'CANCELLED'] },
+        payments: { $ne: paymentId }
+      }));
+      expect(pipeline).toHaveLength(2);
+      expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: paymentId, contribution: { $in: [null, contributionId] }, appliedAt: null },
+        { $set: { contribution: contributionId, appliedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(LedgerService.recordContributionPayment).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'PARTIALLY_PAID' }),
+        expect.objectContaining({ _id: paymentId }),
+        userId
+      );
+      expect(WebhookService.emit).not.toHaveBeenCalled();
+    });
+
+    it('should report a contribution paid in full', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution({ amountPaid: 200, status: 'PARTIALLY_PAID' }));
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findOneAndUpdate.mockResolvedValue(buildContribution({ amountPaid: 300, status: 'PAID' }));
+
+      const result = await ContributionPaymentService.applyPayment(contributionId, paymentId, userId);
+
+      expect(result.message).toBe('Contribution paid in full');
+      expect(result.data.balance.remaining).toBe(0);
+      expect(WebhookService.emit).toHaveBeenCalledWith('contribution.paid', expect.objectContaining({
+        contributionId,
+        amount: 300
+      }));
+    });
+
+    it('should refresh the payout cycle once the contribution is paid', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution({ cycleNumber: 2, amountPaid: 200 }));
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findOneAndUpdate.mockResolvedValue(buildContribution({ cycleNumber: 2, amountPaid: 300, status: 'PAID' }));
+
+      await ContributionPaymentService.applyPayment(contributionId, paymentId, userId);
+
+      expect(PayoutScheduleService.refreshCycleStatus).toHaveBeenCalledWith(groupId, 2);
+    });
+
+    it('should not refresh the payout cycle after a partial payment', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution({ cycleNumber: 2 }));
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findOneAndUpdate.mockResolvedValue(buildContribution({ cycleNumber: 2, amountPaid: 100, status: 'PARTIALLY_PAID' }));
+
+      await ContributionPaymentService.applyPayment(contributionId, paymentId, userId);
+
+      expect(PayoutScheduleService.refreshCycleStatus).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if payment was made by another member', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Payment.findById.mockResolvedValue(buildPayment({ user: { toString: () => treasurerId }, contribution: undefined }));
+
+      await expect(ContributionPaymentService.applyPayment(contributionId, paymentId, userId))
+        .rejects.toThrow('Payment does not belong to the contributor');
+      expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if payment was claimed by another contribution meanwhile', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Payment.findById.mockResolvedValue(buildPayment({ contribution: undefined }));
+      Payment.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(ContributionPaymentService.applyPayment(contributionId, paymentId, userId))
+        .rejects.toThrow('Payment has already been applied');
+      expect(Contribution.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should release the payment if the contribution cannot be credited', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution({ amountPaid: 250, status: 'PARTIALLY_PAID' }));
+      Payment.findById.mockResolvedValue(buildPayment({ contribution: undefined }));
+      Contribution.findOneAndUpdate.mockRejectedValue(new Error('Write conflict'));
+
+      await expect(ContributionPaymentService.applyPayment(contributionId, paymentId, userId))
+        .rejects.toThrow('Write conflict');
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: paymentId, appliedAt },
+        { $set: { contribution: null, appliedAt: null } }
+      );
+    });
+
+    it('should let a treasurer apply a payment for a member', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Group.findById.mockResolvedValue({
+        creator: { toString: () => '507f1f77bcf86cd799439099' },
+        members: [{ user: treasurerId, role: 'TREASURER', status: 'ACTIVE' }]
+      });
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findOneAndUpdate.mockResolvedValue(buildContribution({ amountPaid: 100, status: 'PARTIALLY_PAID' }));
+
+      const result = await ContributionPaymentService.applyPayment(contributionId, paymentId, treasurerId);
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should throw error if payment has not succeeded', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Payment.findById.mockResolvedValue(buildPayment({ status: 'PENDING' }));
+
+      await expect(ContributionPaymentService.applyPayment(contributionId, paymentId, userId))
+        .rejects.toThrow('Only succeeded payments can be applied to a contribution');
+    });
+
+    it('should throw error if payment belongs to another contribution', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Payment.findById.mockResolvedValue(buildPayment({ contribution: '507f1f77bcf86cd799439099' }));
+
+      await expect(ContributionPaymentService.applyPayment(contributionId, paymentId, userId))
+        .rejects.toThrow('Payment belongs to another contribution');
+    });
+
+    it('should throw error if payment was already applied', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution({ payments: [paymentId], status: 'PARTIALLY_PAID' }));
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(ContributionPaymentService.applyPayment(contributionId, paymentId, userId))
+        .rejects.toThrow('Payment has already been applied to this contribution');
+    });
+
+    it('should throw error if payment exceeds the balance', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution({ amountPaid: 250, status: 'PARTIALLY_PAID' }));
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(ContributionPaymentService.applyPayment(contributionId, paymentId, userId))
+        .rejects.toThrow('Payment exceeds the remaining balance of this contribution');
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: paymentId, appliedAt },
+        { $set: { contribution: contributionId, appliedAt: null } }
+      );
+    });
+
+    it('should throw error if contribution is already paid', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution({ status: 'PAID' }));
+
+      await expect(ContributionPaymentService.applyPayment(contributionId, paymentId, userId))
+        .rejects.toThrow('Contribution is not awaiting payment');
+    });
+
+    it('should throw error if user cannot access the contribution', async () => {
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Group.findById.mockResolvedValue({
+        creator: { toString: () => '507f1f77bcf86cd799439099' },
+        members: []
+      });
+
+      await expect(ContributionPaymentService.applyPayment(contributionId, paymentId, treasurerId))
+        .rejects.toThrow('Access denied to this contribution');
+    });
+  });
+
+  describe('applyCredit', () => {
+    const filter = { group: groupId, cycleNumber: 2, user: userId };
+
+    it('should settle the credit on any unpaid contribution without touching its amount', async () => {
+      const updated = buildContribution({ cycleNumber: 2, status: 'PARTIALLY_PAID', amountPaid: 100, creditedAmount: 40 });
+      Contribution.findOneAndUpdate.mockResolvedValue(updated);
+
+      const result = await ContributionPaymentService.applyCredit(filter, 40);
+
+      expect(result).toBe(updated);
+      const [query, pipeline] = Contribution.findOneAndUpdate.mock.calls[0];
+      expect(query).toEqual({ ...filter, status: { $in: ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'] } });
+      expect(Object.keys(pipeline[0].$set)).toEqual(['creditedAmount']);
+      expect(PayoutScheduleService.refreshCycleStatus).not.toHaveBeenCalled();
+    });
+
+    it('should refresh the payout cycle when the credit settles the contribution', async () => {
+      const updated = buildContribution({ cycleNumber: 2, status: 'PAID', amountPaid: 260, creditedAmount: 40 });
+      Contribution.findOneAndUpdate.mockResolvedValue(updated);
+
+      await ContributionPaymentService.applyCredit(filter, 40);
+
+      expect(PayoutScheduleService.refreshCycleStatus).toHaveBeenCalledWith(groupId, 2);
+      expect(WebhookService.emit).toHaveBeenCalledWith('contribution.paid', expect.objectContaining({
+        contributionId,
+        amount: 300
+      }));
+    });
+
+    it('should return null when no contribution is awaiting payment', async () => {
+      Contribution.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await ContributionPaymentService.applyCredit(filter, 40);
+
+      expect(result).toBeNull();
+      expect(PayoutScheduleService.refreshCycleStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPayments', () => {
+    it('should return the payments, balance and payment reference', async () => {
+      const payments = [{ _id: paymentId, amount: 100 }];
+
+      Contribution.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(buildContribution({ cycleNumber: 2, amountPaid: 100, payments }))
+      });
+
+      const result = await ContributionPaymentService.getPayments(contributionId, userId);
+
+      expect(result.data.payments).toEqual(payments);
+      expect(result.data.balance.remaining).toBe(200);
+      expect(result.data.paymentReference).toBe(buildPaymentReference(groupId, 2, userId));
+    });
+  });
+
+  describe('assertPaymentReference', () => {
+    const contribution = () => buildContribution({ cycleNumber: 2 });
+
+    it('should accept the reference of the contribution as typed by a member', () => {
+      const reference = buildPaymentReference(groupId, 2, userId);
+
+      expect(ContributionPaymentService.assertPaymentReference(contribution(), ` ${reference.toLowerCase()} `))
+        .toBe(reference);
+    });
+
+    it('should reject a reference with a typo', () => {
+      const reference = buildPaymentReference(groupId, 2, userId);
+      const typo = reference.slice(0, -1) + (reference.endsWith('A') ? 'B' : 'A');
+
+      expect(() => ContributionPaymentService.assertPaymentReference(contribution(), typo))
+        .toThrow('Payment reference is invalid, please check it');
+    });
+
+    it('should reject the reference of another cycle', () => {
+      expect(() => ContributionPaymentService.assertPaymentReference(contribution(), buildPaymentReference(groupId, 3, userId)))
+        .toThrow('Payment reference does not belong to this contribution');
+    });
+  });
+});
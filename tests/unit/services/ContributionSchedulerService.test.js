@@ -0,0 +1,178 @@
+const ContributionSchedulerService = require('../../../src/services/ContributionSchedulerService');
+const Group = require('../../../src/models/Group');
+const Contribution = require('../../../src/models/Contribution');
+const PayoutSchedule = require('../../../src/models/PayoutSchedule');
+const AuctionService = require('../../../src/services/AuctionService');
+const WebhookService = require('../../../src/services/WebhookService');
+
+// Mock dependencies
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/models/PayoutSchedule');
+jest.mock('../../../src/services/AuctionService');
+jest.mock('../../../src/services/WebhookService');
+jest.mock('../../../src/utils/logger');
+
+describe('ContributionSchedulerService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const memberA = '507f1f77bcf86cd799439013';
+  const memberB = '507f1f77bcf86cd799439014';
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    members: [
+      { user: memberA, status: 'ACTIVE' },
+      { user: memberB, status: 'ACTIVE' },
+      { user: '507f1f77bcf86cd799439015', status: 'LEFT' }
+    ],
+    settings: {
+      contributionAmount: 100,
+      contributionFrequency: 'MONTHLY',
+      startDate: new Date('2025-01-10T00:00:00Z')
+    },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateDueContributions', () => {
+    it('should upsert contributions of due cycles for active members only', async () => {
+      Group.find.mockResolvedValue([buildGroup()]);
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+      Contribution.bulkWrite.mockResolvedValue({ upsertedCount: 2 });
+
+      const result = await ContributionSchedulerService.generateDueContributions(new Date('2025-01-20T00:00:00Z'));
+
+      expect(result.data).toEqual({ groups: 1, created: 2, failures: [] });
+
+      const operations = Contribution.bulkWrite.mock.calls[0][0];
+      expect(operations).toHaveLength(2);
+      expect(operations[0].updateOne.filter).toEqual({ group: groupId, cycleNumber: 1, user: memberA });
+      expect(operations[0].updateOne.upsert).toBe(true);
+      expect(operations[0].updateOne.update.$setOnInsert).toEqual(expect.objectContaining({
+        amount: 100,
+        status: 'PENDING',
+        dueDate: new Date('2025-01-10T00:00:00Z')
+      }));
+    });
+
+    it('should include the next cycle once it enters the lead window', async () => {
+      Group.find.mockResolvedValue([buildGroup()]);
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+      Contribution.bulkWrite.mockResolvedValue({ upsertedCount: 2 });
+
+      await ContributionSchedulerService.generateDueContributions(new Date('2025-02-08T00:00:00Z'));
+
+      const cycles = Contribution.bulkWrite.mock.calls[0][0].map(op => op.updateOne.filter.cycleNumber);
+      expect(cycles).toEqual([1, 1, 2, 2]);
+    });
+
+    it('should stop at the last cycle of the payout schedule', async () => {
+      Group.find.mockResolvedValue([buildGroup()]);
+      PayoutSchedule.findByGroup.mockResolvedValue({ cycles: [{ cycleNumber: 1 }] });
+      Contribution.bulkWrite.mockResolvedValue({ upsertedCount: 0 });
+
+      await ContributionSchedulerService.generateDueContributions(new Date('2025-06-01T00:00:00Z'));
+
+      expect(Contribution.bulkWrite.mock.calls[0][0]).toHaveLength(2);
+    });
+
+    it('should record a failing group and keep going', async () => {
+      const otherGroup = buildGroup({ _id: '507f1f77bcf86cd799439099' });
+
+      Group.find.mockResolvedValue([buildGroup(), otherGroup]);
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+      Contribution.bulkWrite
+        .mockRejectedValueOnce(new Error('Write conflict'))
+        .mockResolvedValueOnce({ upsertedCount: 2 });
+
+      const result = await ContributionSchedulerService.generateDueContributions(new Date('2025-01-20T00:00:00Z'));
+
+      expect(result.data.created).toBe(2);
+      expect(result.data.failures).toEqual([{ group: groupId, error: 'Write conflict' }]);
+    });
+
+    it('should apply auction discount credits to the cycles it created', async () => {
+      const group = buildGroup();
+      group.settings.tontineMode = 'AUCTION';
+
+      Group.find.mockResolvedValue([group]);
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+      // Cycle 1 already existed, cycle 2 was just created
+      Contribution.bulkWrite.mockResolvedValue({ upsertedCount: 2, upsertedIds: { 2: 'c3', 3: 'c4' } });
+
+      await ContributionSchedulerService.generateDueContributions(new Date('2025-02-08T00:00:00Z'));
+
+      expect(AuctionService.applyDiscountCredits).toHaveBeenCalledTimes(1);
+      expect(AuctionService.applyDiscountCredits).toHaveBeenCalledWith(groupId, 2);
+    });
+
+    it('should not look for discount credits in rotating groups', async () => {
+      Group.find.mockResolvedValue([buildGroup()]);
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+      Contribution.bulkWrite.mockResolvedValue({ upsertedCount: 2, upsertedIds: { 0: 'c1', 1: 'c2' } });
+
+      await ContributionSchedulerService.generateDueContributions(new Date('2025-01-20T00:00:00Z'));
+
+      expect(AuctionService.applyDiscountCredits).not.toHaveBeenCalled();
+    });
+
+    it('should skip groups with nothing due yet', async () => {
+      Group.find.mockResolvedValue([buildGroup()]);
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+
+      const result = await ContributionSchedulerService.generateDueContributions(new Date('2025-01-01T00:00:00Z'));
+
+      expect(result.data.created).toBe(0);
+      expect(Contribution.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markOverdueContributions', () => {
+    const now = new Date('2025-02-12T00:00:00Z');
+
+    it('should also look at partly paid contributions', async () => {
+      Contribution.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      await ContributionSchedulerService.markOverdueContributions(now);
+
+      expect(Contribution.find).toHaveBeenCalledWith({
+        status: { $in: ['PENDING', 'PARTIALLY_PAID'] },
+        dueDate: { $lt: now }
+      });
+    });
+
+    it('should flag late pending contributions once and emit contribution.overdue', async () => {
+      const overdue = {
+        _id: 'c1',
+        group: groupId,
+        user: memberA,
+        cycleNumber: 1,
+        amount: 100,
+        dueDate: new Date('2025-02-10T00:00:00Z')
+      };
+
+      Contribution.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'c1' }, { _id: 'c2' }]) });
+      Contribution.findOneAndUpdate
+        .mockResolvedValueOnce(overdue)
+        .mockResolvedValueOnce(null);
+
+      const result = await ContributionSchedulerService.markOverdueContributions(now);
+
+      expect(result.data.flagged).toBe(1);
+      expect(Contribution.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'c1', status: { $in: ['PENDING', 'PARTIALLY_PAID'] }, dueDate: { $lt: now } },
+        { $set: { status: 'OVERDUE' } },
+        { new: true }
+      );
+      expect(WebhookService.emit).toHaveBeenCalledTimes(1);
+      expect(WebhookService.emit).toHaveBeenCalledWith('contribution.overdue', expect.objectContaining({
+        contributionId: 'c1',
+        userId: memberA,
+        amountPaid: 0
+      }));
+    });
+  });
+});
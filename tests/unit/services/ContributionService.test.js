@@ -2,13 +2,20 @@ const ContributionService = require('../../../src/services/ContributionService')
 const Contribution = require('../../../src/models/Contribution');
 const Group = require('../../../src/models/Group');
 const User = require('../../../src/models/User');
-const Payment = require('../../../src/models/Payment');
+const ContributionPaymentService = require('../../../src/services/ContributionPaymentService');
+const NotificationService = require('../../../src/services/NotificationService');
+const AuctionService = require('../../../src/services/AuctionService');
+const PenaltyService = require('../../../src/services/PenaltyService');
+const { buildPaymentReference } = require('../../../src/utils/paymentReference');
 
 // Mock dependencies
 jest.mock('../../../src/models/Contribution');
 jest.mock('../../../src/models/Group');
 jest.mock('../../../src/models/User');
-jest.mock('../../../src/models/Payment');
+jest.mock('../../../src/services/ContributionPaymentService');
+jest.mock('../../../src/services/NotificationService');
+jest.mock('../../../src/services/AuctionService');
+jest.mock('../../../src/services/PenaltyService');
 
 describe('ContributionService', () => {
   beforeEach(() => {
@@ -149,6 +156,7 @@ describe('ContributionService', () => {
         _id: contributionId,
         user: { _id: userId, toString: () => userId },
         group: { _id: '507f1f77bcf86cd799439011' },
+        cycleNumber: 2,
         amount: 100,
         status: 'PENDING'
       };
@@ -161,10 +169,14 @@ describe('ContributionService', () => {
         })
       });
 
+      ContributionPaymentService.getBalance.mockReturnValue({ amountDue: 100, amountPaid: 0, remaining: 100 });
+
       const result = await ContributionService.getContributionById(contributionId, userId);
 
       expect(result.success).toBe(true);
-      expect(result.data).toBeDefined();
+      expect(result.data.contribution).toBe(mockContribution);
+      expect(result.data.balance.remaining).toBe(100);
+      expect(result.data.paymentReference).toBe(buildPaymentReference('507f1f77bcf86cd799439011', 2, userId));
     });
 
     it('should throw error if contribution not found', async () => {
@@ -185,42 +197,29 @@ describe('ContributionService', () => {
   });
 
   describe('markAsPaid', () => {
-    it('should mark contribution as paid successfully', async () => {
+    it('should apply the payment to the contribution', async () => {
       const contributionId = '507f1f77bcf86cd799439012';
       const paymentId = '507f1f77bcf86cd799439014';
       const userId = '507f1f77bcf86cd799439013';
 
-      const mockContribution = {
-        _id: contributionId,
-        user: userId,
-        group: '507f1f77bcf86cd799439011',
-        status: 'PENDING',
-        markAsPaid: jest.fn().mockResolvedValue()
-      };
-
-      const mockPayment = {
-        _id: paymentId,
-        user: userId,
-        status: 'SUCCEEDED'
-      };
-
-      Contribution.findById.mockResolvedValue(mockContribution);
-      Payment.findById.mockResolvedValue(mockPayment);
+      ContributionPaymentService.applyPayment.mockResolvedValue({
+        success: true,
+        message: 'Contribution paid in full',
+        data: { contribution: { _id: contributionId, status: 'PAID' }, balance: { remaining: 0 } }
+      });
 
       const result = await ContributionService.markAsPaid(contributionId, paymentId, userId);
 
+      expect(ContributionPaymentService.applyPayment).toHaveBeenCalledWith(contributionId, paymentId, userId);
       expect(result.success).toBe(true);
-      expect(mockContribution.markAsPaid).toHaveBeenCalledWith(paymentId);
+      expect(result.message).toBe('Contribution paid in full');
+      expect(result.data.balance.remaining).toBe(0);
     });
 
-    it('should throw error if contribution not found', async () => {
-      const contributionId = '507f1f77bcf86cd799439012';
-      const paymentId = '507f1f77bcf86cd799439014';
-      const userId = '507f1f77bcf86cd799439013';
-
-      Contribution.findById.mockResolvedValue(null);
+    it('should throw error if the payment cannot be applied', async () => {
+      ContributionPaymentService.applyPayment.mockRejectedValue(new Error('Contribution not found'));
 
-      await expect(ContributionService.markAsPaid(contributionId, paymentId, userId))
+      await expect(ContributionService.markAsPaid('507f1f77bcf86cd799439012', '507f1f77bcf86cd799439014', '507f1f77bcf86cd799439013'))
         .rejects.toThrow('Contribution not found');
     });
   });
@@ -307,21 +306,92 @@ describe('ContributionService', () => {
         _id: contributionId,
         user: userId,
         group: '507f1f77bcf86cd799439011',
-        addPenalty: jest.fn().mockResolvedValue()
+        status: 'OVERDUE'
       };
+      const updatedContribution = { ...mockContribution, penaltyAmount: 10 };
+      const mockPenalty = { _id: '507f1f77bcf86cd799439016', type: 'MANUAL', amount: 10 };
 
       const mockGroup = {
         _id: '507f1f77bcf86cd799439011',
-        isAdmin: jest.fn().mockReturnValue(true)
+        name: 'Tontine',
+        settings: { currency: 'XOF' },
+        creator: '507f1f77bcf86cd799439013'
       };
 
-      Contribution.findById.mockResolvedValue(mockContribution);
+      Contribution.findById
+        .mockResolvedValueOnce(mockContribution)
+        .mockResolvedValueOnce(updatedContribution);
       Group.findById.mockResolvedValue(mockGroup);
+      PenaltyService.addManualPenalty.mockResolvedValue(mockPenalty);
 
       const result = await ContributionService.addPenalty(contributionId, penaltyAmount, penaltyReason, userId);
 
       expect(result.success).toBe(true);
-      expect(mockContribution.addPenalty).toHaveBeenCalledWith(penaltyAmount, penaltyReason);
+      expect(PenaltyService.addManualPenalty).toHaveBeenCalledWith(mockContribution, penaltyAmount, penaltyReason, userId);
+      expect(result.data).toEqual({ contribution: updatedContribution, penalty: mockPenalty });
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(userId, expect.objectContaining({
+        type: 'CONTRIBUTION_PENALTY',
+        params: { amount: penaltyAmount, currency: 'XOF', groupName: 'Tontine' }
+      }));
+    });
+
+    it('should keep the penalty when the contributor cannot be notified', async () => {
+      const mockContribution = {
+        _id: '507f1f77bcf86cd799439012',
+        user: '507f1f77bcf86cd799439013',
+        group: '507f1f77bcf86cd799439011',
+        status: 'PENDING'
+      };
+
+      Contribution.findById.mockResolvedValue(mockContribution);
+      Group.findById.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439011',
+        name: 'Tontine',
+        settings: { currency: 'XOF' },
+        creator: '507f1f77bcf86cd799439013'
+      });
+      PenaltyService.addManualPenalty.mockResolvedValue({ amount: 10 });
+      NotificationService.notifyUser.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const result = await ContributionService.addPenalty(mockContribution._id, 10, 'Late payment', mockContribution.user);
+
+      expect(result.success).toBe(true);
+      expect(PenaltyService.addManualPenalty).toHaveBeenCalledWith(mockContribution, 10, 'Late payment', mockContribution.user);
+    });
+
+    it('should throw error if the contribution is already paid', async () => {
+      Contribution.findById.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439012',
+        user: '507f1f77bcf86cd799439015',
+        group: '507f1f77bcf86cd799439011',
+        status: 'PAID'
+      });
+      Group.findById.mockResolvedValue({ _id: '507f1f77bcf86cd799439011', creator: '507f1f77bcf86cd799439013' });
+
+      await expect(ContributionService.addPenalty('507f1f77bcf86cd799439012', 10, 'Late payment', '507f1f77bcf86cd799439013'))
+        .rejects.toThrow('Penalties can only be added to unpaid contributions');
+      expect(PenaltyService.addManualPenalty).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if the role of the user does not manage penalties', async () => {
+      const treasurerId = '507f1f77bcf86cd799439014';
+      const mockContribution = {
+        _id: '507f1f77bcf86cd799439012',
+        user: '507f1f77bcf86cd799439015',
+        group: '507f1f77bcf86cd799439011',
+        status: 'OVERDUE'
+      };
+
+      Contribution.findById.mockResolvedValue(mockContribution);
+      Group.findById.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439011',
+        creator: '507f1f77bcf86cd799439013',
+        members: [{ user: treasurerId, status: 'ACTIVE', role: 'TREASURER' }]
+      });
+
+      await expect(ContributionService.addPenalty(mockContribution._id, 10, 'Late payment', treasurerId))
+        .rejects.toThrow('You are not allowed to manage this contribution');
+      expect(PenaltyService.addManualPenalty).not.toHaveBeenCalled();
     });
   });
 
@@ -340,7 +410,9 @@ describe('ContributionService', () => {
 
       const mockGroup = {
         _id: '507f1f77bcf86cd799439011',
-        isAdmin: jest.fn().mockReturnValue(true)
+        name: 'Tontine',
+        settings: { currency: 'XOF' },
+        creator: '507f1f77bcf86cd799439013'
       };
 
       Contribution.findById.mockResolvedValue(mockContribution);
@@ -350,6 +422,35 @@ describe('ContributionService', () => {
 
       expect(result.success).toBe(true);
       expect(mockContribution.cancel).toHaveBeenCalledWith(reason);
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(userId, expect.objectContaining({
+        type: 'CONTRIBUTION_CANCELLED',
+        data: expect.objectContaining({ reason })
+      }));
+    });
+
+    it('should let a treasurer of the group cancel a contribution', async () => {
+      const treasurerId = '507f1f77bcf86cd799439014';
+      const mockContribution = {
+        _id: '507f1f77bcf86cd799439012',
+        user: '507f1f77bcf86cd799439015',
+        group: '507f1f77bcf86cd799439011',
+        status: 'PENDING',
+        cancel: jest.fn().mockResolvedValue()
+      };
+
+      Contribution.findById.mockResolvedValue(mockContribution);
+      Group.findById.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439011',
+        name: 'Tontine',
+        settings: { currency: 'XOF' },
+        creator: '507f1f77bcf86cd799439013',
+        members: [{ user: treasurerId, status: 'ACTIVE', role: 'TREASURER' }]
+      });
+
+      const result = await ContributionService.cancelContribution(mockContribution._id, 'Duplicate', treasurerId);
+
+      expect(result.success).toBe(true);
+      expect(mockContribution.cancel).toHaveBeenCalledWith('Duplicate');
     });
   });
 
@@ -402,20 +503,23 @@ describe('ContributionService', () => {
   });
 
   describe('generateContributions', () => {
+    const groupId = '507f1f77bcf86cd799439011';
+    const userId = '507f1f77bcf86cd799439013';
+    const otherMemberId = '507f1f77bcf86cd799439014';
+
     it('should generate contributions successfully', async () => {
-      const groupId = '507f1f77bcf86cd799439011';
       const startDate = new Date();
       const endDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-      const userId = '507f1f77bcf86cd799439013';
 
       const mockGroup = {
         _id: groupId,
         members: ['507f1f77bcf86cd799439013', '507f1f77bcf86cd799439014'],
         settings: {
           contributionAmount: 100,
-          contributionFrequency: 'MONTHLY'
+          contributionFrequency: 'MONTHLY',
+          startDate
         },
-        isAdmin: jest.fn().mockReturnValue(true)
+        creator: '507f1f77bcf86cd799439013'
       };
 
       const mockContributions = [
@@ -428,6 +532,7 @@ describe('ContributionService', () => {
       ];
 
       Group.findById.mockResolvedValue(mockGroup);
+      Contribution.find.mockResolvedValue([]);
       Contribution.insertMany.mockResolvedValue(mockContributions);
 
       const result = await ContributionService.generateContributions(groupId, startDate, endDate, userId);
@@ -435,5 +540,89 @@ describe('ContributionService', () => {
       expect(result.success).toBe(true);
       expect(result.data.contributions).toBeDefined();
     });
+
+    it('should number the contributions after the payout cycles of the group', async () => {
+      const mockGroup = {
+        _id: groupId,
+        members: [{ user: userId, status: 'ACTIVE' }, { user: otherMemberId, status: 'ACTIVE' }],
+        settings: {
+          contributionAmount: 100,
+          contributionFrequency: 'MONTHLY',
+          startDate: new Date('2026-01-01T00:00:00Z')
+        },
+        creator: '507f1f77bcf86cd799439013'
+      };
+
+      Group.findById.mockResolvedValue(mockGroup);
+      Contribution.find.mockResolvedValue([]);
+      Contribution.insertMany.mockImplementation(documents => Promise.resolve(documents));
+
+      // Cycle 1 is due on January 1st and is left out of the range
+      const result = await ContributionService.generateContributions(
+        groupId, new Date('2026-01-15T00:00:00Z'), new Date('2026-03-15T00:00:00Z'), userId
+      );
+
+      expect(Contribution.find).toHaveBeenCalledWith(
+        { group: groupId, cycleNumber: { $in: [2, 3] } },
+        'user cycleNumber'
+      );
+      expect(result.data.contributions).toHaveLength(4);
+      expect(result.data.contributions.map(contribution => contribution.cycleNumber)).toEqual([2, 2, 3, 3]);
+      expect(result.data.contributions[0]).toEqual(expect.objectContaining({
+        user: userId,
+        cycleNumber: 2,
+        amount: 100,
+        dueDate: new Date('2026-02-01T00:00:00Z')
+      }));
+      expect(AuctionService.applyDiscountCredits).not.toHaveBeenCalled();
+    });
+
+    it('should skip the contributions a cycle already has and apply auction credits', async () => {
+      const mockGroup = {
+        _id: groupId,
+        members: [{ user: userId, status: 'ACTIVE' }, { user: otherMemberId, status: 'ACTIVE' }],
+        settings: {
+          contributionAmount: 100,
+          contributionFrequency: 'MONTHLY',
+          tontineMode: 'AUCTION',
+          startDate: new Date('2026-01-01T00:00:00Z')
+        },
+        creator: '507f1f77bcf86cd799439013'
+      };
+
+      Group.findById.mockResolvedValue(mockGroup);
+      Contribution.find.mockResolvedValue([{ user: userId, cycleNumber: 2 }]);
+      Contribution.insertMany.mockImplementation(documents => Promise.resolve(documents));
+
+      const result = await ContributionService.generateContributions(
+        groupId, new Date('2026-02-01T00:00:00Z'), new Date('2026-02-15T00:00:00Z'), userId
+      );
+
+      expect(result.data.contributions).toEqual([
+        expect.objectContaining({ user: otherMemberId, cycleNumber: 2 })
+      ]);
+      expect(AuctionService.applyDiscountCredits).toHaveBeenCalledWith(groupId, 2);
+    });
+
+    it('should not write anything when every contribution exists', async () => {
+      Group.findById.mockResolvedValue({
+        _id: groupId,
+        members: [{ user: userId, status: 'ACTIVE' }],
+        settings: {
+          contributionAmount: 100,
+          contributionFrequency: 'MONTHLY',
+          startDate: new Date('2026-01-01T00:00:00Z')
+        },
+        creator: '507f1f77bcf86cd799439013'
+      });
+      Contribution.find.mockResolvedValue([{ user: userId, cycleNumber: 1 }]);
+
+      const result = await ContributionService.generateContributions(
+        groupId, new Date('2026-01-01T00:00:00Z'), new Date('2026-01-15T00:00:00Z'), userId
+      );
+
+      expect(result.data.contributions).toEqual([]);
+      expect(Contribution.insertMany).not.toHaveBeenCalled();
+    });
   });
 });
@@ -0,0 +1,207 @@
+const GroupLifecycleService = require('../../../src/services/GroupLifecycleService');
+const Group = require('../../../src/models/Group');
+const GroupStatusChange = require('../../../src/models/GroupStatusChange');
+const PayoutSchedule = require('../../../src/models/PayoutSchedule');
+const WebhookService = require('../../../src/services/WebhookService');
+
+// Mock dependencies
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/GroupStatusChange');
+jest.mock('../../../src/models/PayoutSchedule');
+jest.mock('../../../src/services/WebhookService');
+jest.mock('../../../src/utils/logger');
+
+describe('GroupLifecycleService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const adminId = '507f1f77bcf86cd799439013';
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    status: 'RECRUITING',
+    creator: { toString: () => adminId },
+    settings: { maxMembers: 3, startDate: new Date('2030-01-01') },
+    members: [
+      { user: adminId, status: 'ACTIVE' },
+      { user: '507f1f77bcf86cd799439014', status: 'ACTIVE' },
+      { user: '507f1f77bcf86cd799439015', status: 'ACTIVE' }
+    ],
+    isMember: jest.fn().mockReturnValue(true),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('canTransition', () => {
+    it('should allow transitions listed in the lifecycle', () => {
+      expect(GroupLifecycleService.canTransition('DRAFT', 'RECRUITING')).toBe(true);
+      expect(GroupLifecycleService.canTransition('ACTIVE', 'SUSPENDED')).toBe(true);
+      expect(GroupLifecycleService.canTransition('SUSPENDED', 'ACTIVE')).toBe(true);
+    });
+
+    it('should reject skipped and final-state transitions', () => {
+      expect(GroupLifecycleService.canTransition('DRAFT', 'ACTIVE')).toBe(false);
+      expect(GroupLifecycleService.canTransition('COMPLETED', 'ACTIVE')).toBe(false);
+      expect(GroupLifecycleService.canTransition('CANCELLED', 'RECRUITING')).toBe(false);
+    });
+  });
+
+  describe('changeStatus', () => {
+    it('should apply a guarded transition and record it', async () => {
+      const updatedGroup = { _id: groupId, status: 'ACTIVE' };
+
+      Group.findById.mockResolvedValue(buildGroup());
+      Group.findOneAndUpdate.mockResolvedValue(updatedGroup);
+      GroupStatusChange.create.mockImplementation(data => Promise.resolve(data));
+
+      const result = await GroupLifecycleService.changeStatus(groupId, { status: 'ACTIVE' }, adminId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.group).toBe(updatedGroup);
+      expect(Group.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: groupId, status: 'RECRUITING' },
+        { $set: { status: 'ACTIVE' } },
+        { new: true }
+      );
+      expect(GroupStatusChange.create).toHaveBeenCalledWith({
+        group: groupId,
+        fromStatus: 'RECRUITING',
+        toStatus: 'ACTIVE',
+        changedBy: adminId,
+        automatic: false,
+        reason: undefined
+      });
+      expect(WebhookService.emit).toHaveBeenCalledWith('group.started', expect.objectContaining({
+        groupId,
+        fromStatus: 'RECRUITING',
+        toStatus: 'ACTIVE'
+      }));
+    });
+
+    it('should not report a resumed group as started', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ status: 'SUSPENDED' }));
+      Group.findOneAndUpdate.mockResolvedValue({ _id: groupId, status: 'ACTIVE' });
+      GroupStatusChange.create.mockResolvedValue({});
+
+      await GroupLifecycleService.changeStatus(groupId, { status: 'ACTIVE' }, adminId);
+
+      expect(WebhookService.emit).not.toHaveBeenCalled();
+    });
+
+    it('should report the cancellation of a suspended group', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ status: 'SUSPENDED' }));
+      Group.findOneAndUpdate.mockResolvedValue({ _id: groupId, status: 'CANCELLED' });
+      GroupStatusChange.create.mockResolvedValue({});
+
+      await GroupLifecycleService.changeStatus(groupId, { status: 'CANCELLED', reason: 'Never resumed' }, adminId);
+
+      expect(WebhookService.emit).toHaveBeenCalledWith('group.cancelled', expect.objectContaining({
+        groupId,
+        fromStatus: 'SUSPENDED',
+        toStatus: 'CANCELLED'
+      }));
+    });
+
+    it('should deactivate the group when cancelling', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ status: 'ACTIVE' }));
+      Group.findOneAndUpdate.mockResolvedValue({ _id: groupId, status: 'CANCELLED' });
+      GroupStatusChange.create.mockResolvedValue({});
+
+      await GroupLifecycleService.changeStatus(groupId, { status: 'CANCELLED', reason: 'Members left' }, adminId);
+
+      expect(Group.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: groupId, status: 'ACTIVE' },
+        { $set: { status: 'CANCELLED', isActive: false } },
+        { new: true }
+      );
+    });
+
+    it('should throw error for a transition outside the lifecycle', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ status: 'DRAFT' }));
+
+      await expect(GroupLifecycleService.changeStatus(groupId, { status: 'ACTIVE' }, adminId))
+        .rejects.toThrow('Cannot change group status from DRAFT to ACTIVE');
+      expect(Group.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should require a reason to suspend a group', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ status: 'ACTIVE' }));
+
+      await expect(GroupLifecycleService.changeStatus(groupId, { status: 'SUSPENDED' }, adminId))
+        .rejects.toThrow('A reason is required for this status change');
+    });
+
+    it('should not complete a group with cycles left to pay out', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ status: 'ACTIVE' }));
+      PayoutSchedule.findByGroup.mockResolvedValue({
+        cycles: [{ status: 'PAID_OUT' }, { status: 'DUE' }]
+      });
+
+      await expect(GroupLifecycleService.changeStatus(groupId, { status: 'COMPLETED' }, adminId))
+        .rejects.toThrow('Group cannot be completed before every cycle has been paid out');
+    });
+
+    it('should throw error if the status changed concurrently', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Group.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(GroupLifecycleService.changeStatus(groupId, { status: 'ACTIVE' }, adminId))
+        .rejects.toThrow('Group status was changed by another request');
+      expect(GroupStatusChange.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if user is not admin', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(GroupLifecycleService.changeStatus(groupId, { status: 'ACTIVE' }, '507f1f77bcf86cd799439014'))
+        .rejects.toThrow('You are not allowed to change the status of this group');
+    });
+  });
+
+  describe('startDueGroups', () => {
+    it('should only start groups that are full', async () => {
+      const fullGroup = buildGroup();
+      const partialGroup = buildGroup({
+        _id: '507f1f77bcf86cd799439099',
+        members: [{ user: adminId, status: 'ACTIVE' }]
+      });
+      const now = new Date('2030-01-02');
+
+      Group.find.mockResolvedValue([fullGroup, partialGroup]);
+      Group.findOneAndUpdate.mockResolvedValue({ _id: groupId, status: 'ACTIVE' });
+      GroupStatusChange.create.mockResolvedValue({});
+
+      const result = await GroupLifecycleService.startDueGroups(now);
+
+      expect(Group.find).toHaveBeenCalledWith({
+        status: 'RECRUITING',
+        isActive: true,
+        'settings.startDate': { $lte: now }
+      });
+      expect(result.data.started).toEqual([groupId]);
+      expect(GroupStatusChange.create).toHaveBeenCalledWith(expect.objectContaining({
+        toStatus: 'ACTIVE',
+        automatic: true,
+        changedBy: undefined
+      }));
+    });
+  });
+
+  describe('getStatusHistory', () => {
+    it('should return status, allowed transitions and history', async () => {
+      const mockHistory = [{ fromStatus: 'RECRUITING', toStatus: 'ACTIVE' }];
+
+      Group.findById.mockResolvedValue(buildGroup({ status: 'ACTIVE' }));
+      GroupStatusChange.findByGroup.mockResolvedValue(mockHistory);
+
+      const result = await GroupLifecycleService.getStatusHistory(groupId, adminId);
+
+      expect(result.data).toEqual({
+        status: 'ACTIVE',
+        allowedTransitions: ['COMPLETED', 'SUSPENDED', 'CANCELLED'],
+        history: mockHistory
+      });
+    });
+  });
+});
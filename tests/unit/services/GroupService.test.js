@@ -1,11 +1,19 @@
 const GroupService = require('../../../src/services/GroupService');
 const Group = require('../../../src/models/Group');
 const User = require('../../../src/models/User');
+const MemberObligationService = require('../../../src/services/MemberObligationService');
+const GroupLifecycleService = require('../../../src/services/GroupLifecycleService');
+const PayoutScheduleService = require('../../../src/services/PayoutScheduleService');
+const NotificationService = require('../../../src/services/NotificationService');
 const constants = require('../../../src/config/constants');
 
 // Mock dependencies
 jest.mock('../../../src/models/Group');
 jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/MemberObligationService');
+jest.mock('../../../src/services/GroupLifecycleService');
+jest.mock('../../../src/services/PayoutScheduleService');
+jest.mock('../../../src/services/NotificationService');
 jest.mock('../../../src/utils/logger');
 
 describe('GroupService', () => {
@@ -247,6 +255,9 @@ describe('GroupService', () => {
 
       expect(result.success).toBe(true);
       expect(result.data.groups).toEqual(mockGroups);
+      expect(Group.find).toHaveBeenCalledWith(expect.objectContaining({
+        status: { $in: ['RECRUITING', 'ACTIVE'] }
+      }));
     });
   });
 
@@ -258,7 +269,7 @@ describe('GroupService', () => {
 
       const mockGroup = {
         _id: groupId,
-        isAdmin: jest.fn().mockReturnValue(true),
+        creator: userId,
         settings: {
           startDate: new Date('2024-02-01'),
           endDate: new Date('2024-12-31')
@@ -295,7 +306,8 @@ describe('GroupService', () => {
 
       const mockGroup = {
         _id: groupId,
-        isAdmin: jest.fn().mockReturnValue(false)
+        creator: '507f1f77bcf86cd799439013',
+        members: [{ user: userId, status: 'ACTIVE', role: 'TREASURER' }]
       };
 
       Group.findById.mockResolvedValue(mockGroup);
@@ -312,6 +324,7 @@ describe('GroupService', () => {
       const mockGroup = {
         _id: groupId,
         name: 'Test Group',
+        creator: '507f1f77bcf86cd799439099',
         isActive: true,
         status: 'ACTIVE',
         isMember: jest.fn().mockReturnValue(false),
@@ -337,6 +350,36 @@ describe('GroupService', () => {
       expect(result.success).toBe(true);
       expect(result.message).toBe('Successfully joined the group');
       expect(mockGroup.addMember).toHaveBeenCalledWith(userId);
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith('507f1f77bcf86cd799439099', expect.objectContaining({
+        type: 'GROUP_MEMBER_JOINED',
+        params: { groupName: 'Test Group' }
+      }));
+    });
+
+    it('should still join the group when the creator cannot be notified', async () => {
+      const groupId = '507f1f77bcf86cd799439012';
+      const userId = '507f1f77bcf86cd799439011';
+
+      const mockGroup = {
+        _id: groupId,
+        name: 'Test Group',
+        creator: '507f1f77bcf86cd799439099',
+        isActive: true,
+        status: 'ACTIVE',
+        isMember: jest.fn().mockReturnValue(false),
+        isFull: jest.fn().mockReturnValue(false),
+        settings: { requiresKyc: false, minReliabilityScore: 0 },
+        addMember: jest.fn().mockResolvedValue()
+      };
+
+      Group.findById.mockResolvedValue(mockGroup);
+      User.findById.mockResolvedValue({ _id: userId, isKycVerified: true, reliabilityScore: 80 });
+      NotificationService.notifyUser.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const result = await GroupService.joinGroup(groupId, userId);
+
+      expect(result.success).toBe(true);
+      expect(mockGroup.addMember).toHaveBeenCalledWith(userId);
     });
 
     it('should throw error if group not found', async () => {
@@ -455,7 +498,53 @@ describe('GroupService', () => {
 
       expect(result.success).toBe(true);
       expect(result.message).toBe('Successfully left the group');
+      expect(MemberObligationService.assertCanLeave).toHaveBeenCalledWith(groupId, userId);
+      expect(PayoutScheduleService.removeBeneficiary).toHaveBeenCalledWith(groupId, userId);
       expect(mockGroup.removeMember).toHaveBeenCalledWith(userId);
+      expect(MemberObligationService.releaseFutureContributions).toHaveBeenCalledWith(groupId, userId);
+    });
+
+    it('should keep a member whose payout is due', async () => {
+      const groupId = '507f1f77bcf86cd799439012';
+      const userId = '507f1f77bcf86cd799439011';
+
+      const mockGroup = {
+        _id: groupId,
+        creator: { toString: () => '507f1f77bcf86cd799439013' },
+        isMember: jest.fn().mockReturnValue(true),
+        removeMember: jest.fn().mockResolvedValue()
+      };
+
+      Group.findById.mockResolvedValue(mockGroup);
+      PayoutScheduleService.removeBeneficiary.mockRejectedValue(
+        new Error('You cannot leave the group while your payout is due')
+      );
+
+      await expect(GroupService.leaveGroup(groupId, userId))
+        .rejects.toThrow('You cannot leave the group while your payout is due');
+      expect(mockGroup.removeMember).not.toHaveBeenCalled();
+      expect(MemberObligationService.releaseFutureContributions).not.toHaveBeenCalled();
+    });
+
+    it('should keep a member who still owes contributions', async () => {
+      const groupId = '507f1f77bcf86cd799439012';
+      const userId = '507f1f77bcf86cd799439011';
+
+      const mockGroup = {
+        _id: groupId,
+        creator: { toString: () => '507f1f77bcf86cd799439013' },
+        isMember: jest.fn().mockReturnValue(true),
+        removeMember: jest.fn().mockResolvedValue()
+      };
+
+      Group.findById.mockResolvedValue(mockGroup);
+      MemberObligationService.assertCanLeave.mockRejectedValue(
+        new Error('You must pay your due contributions before leaving the group')
+      );
+
+      await expect(GroupService.leaveGroup(groupId, userId))
+        .rejects.toThrow('You must pay your due contributions before leaving the group');
+      expect(mockGroup.removeMember).not.toHaveBeenCalled();
     });
 
     it('should throw error if user is not a member', async () => {
@@ -503,14 +592,33 @@ describe('GroupService', () => {
       };
 
       Group.findById.mockResolvedValue(mockGroup);
+      GroupLifecycleService.changeStatus.mockResolvedValue({ success: true });
 
       const result = await GroupService.deleteGroup(groupId, userId);
 
       expect(result.success).toBe(true);
       expect(result.message).toBe('Group deleted successfully');
-      expect(mockGroup.isActive).toBe(false);
-      expect(mockGroup.status).toBe('CANCELLED');
-      expect(mockGroup.save).toHaveBeenCalled();
+      expect(GroupLifecycleService.changeStatus).toHaveBeenCalledWith(
+        groupId,
+        { status: 'CANCELLED', reason: 'Group deleted by its creator' },
+        userId
+      );
+      expect(mockGroup.save).not.toHaveBeenCalled();
+    });
+
+    it('should not delete a group that can no longer be cancelled', async () => {
+      const groupId = '507f1f77bcf86cd799439012';
+      const userId = '507f1f77bcf86cd799439011';
+
+      Group.findById.mockResolvedValue({
+        _id: groupId,
+        creator: { toString: () => userId },
+        status: 'COMPLETED'
+      });
+      GroupLifecycleService.changeStatus.mockRejectedValue(new Error('Cannot change group status from COMPLETED to CANCELLED'));
+
+      await expect(GroupService.deleteGroup(groupId, userId))
+        .rejects.toThrow('Cannot change group status from COMPLETED to CANCELLED');
     });
 
     it('should throw error if group not found', async () => {
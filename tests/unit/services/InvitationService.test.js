@@ -0,0 +1,307 @@
+const InvitationService = require('../../../src/services/InvitationService');
+const GroupInvitation = require('../../../src/models/GroupInvitation');
+const Group = require('../../../src/models/Group');
+const User = require('../../../src/models/User');
+const NotificationService = require('../../../src/services/NotificationService');
+
+// Mock dependencies
+jest.mock('../../../src/models/GroupInvitation');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/NotificationService');
+jest.mock('../../../src/utils/logger');
+
+describe('InvitationService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const invitationId = '507f1f77bcf86cd799439012';
+  const adminId = '507f1f77bcf86cd799439013';
+  const userId = '507f1f77bcf86cd799439014';
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    creator: { toString: () => adminId },
+    isActive: true,
+    status: 'RECRUITING',
+    settings: { requiresKyc: false, minReliabilityScore: 0 },
+    isMember: jest.fn().mockReturnValue(false),
+    isFull: jest.fn().mockReturnValue(false),
+    addMember: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  const buildInvitation = (overrides = {}) => ({
+    _id: invitationId,
+    group: groupId,
+    type: 'CODE',
+    code: 'A1B2C3D4E5',
+    maxUses: 5,
+    uses: 1,
+    status: 'ACTIVE',
+    isUsable: jest.fn().mockReturnValue(true),
+    isAddressedTo: jest.fn().mockReturnValue(true),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  const mockUser = {
+    _id: userId,
+    email: 'awa@example.com',
+    phone: '+221770000000',
+    isKycVerified: true,
+    reliabilityScore: 80
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createInviteCode', () => {
+    it('should create an expiring, usage-limited code', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      GroupInvitation.generateCode.mockReturnValue('A1B2C3D4E5');
+      GroupInvitation.create.mockImplementation(data => Promise.resolve({ _id: invitationId, ...data }));
+
+      const result = await InvitationService.createInviteCode(groupId, { maxUses: 5, expiresInHours: 24 }, adminId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.link).toMatch(/\/groups\/join\/A1B2C3D4E5$/);
+      const created = GroupInvitation.create.mock.calls[0][0];
+      expect(created).toEqual(expect.objectContaining({
+        group: groupId,
+        type: 'CODE',
+        code: 'A1B2C3D4E5',
+        invitedBy: adminId,
+        maxUses: 5
+      }));
+      expect(created.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    });
+
+    it('should throw error if user is not admin', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(InvitationService.createInviteCode(groupId, {}, userId))
+        .rejects.toThrow('You are not allowed to manage invitations in this group');
+    });
+  });
+
+  describe('inviteUser', () => {
+    it('should invite a registered user by email', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      User.findOne.mockResolvedValue(mockUser);
+      GroupInvitation.findOne.mockResolvedValue(null);
+      GroupInvitation.create.mockImplementation(data => Promise.resolve(data));
+
+      const result = await InvitationService.inviteUser(groupId, { email: 'Awa@example.com' }, adminId);
+
+      expect(result.message).toBe('Invitation sent successfully');
+      expect(User.findOne).toHaveBeenCalledWith({ $or: [{ email: 'awa@example.com' }] });
+      expect(GroupInvitation.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'DIRECT',
+        invitee: userId,
+        maxUses: 1
+      }));
+    });
+
+    it('should notify the invited user', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ name: 'Tontine Dakar' }));
+      User.findOne.mockResolvedValue(mockUser);
+      GroupInvitation.findOne.mockResolvedValue(null);
+      GroupInvitation.create.mockImplementation(data => Promise.resolve({ _id: invitationId, ...data }));
+
+      await InvitationService.inviteUser(groupId, { email: 'awa@example.com' }, adminId);
+
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(userId, {
+        type: 'GROUP_INVITATION_RECEIVED',
+        params: { groupName: 'Tontine Dakar' },
+        data: { groupId, invitationId }
+      });
+    });
+
+    it('should not notify a contact without an account', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      User.findOne.mockResolvedValue(null);
+      GroupInvitation.findOne.mockResolvedValue(null);
+      GroupInvitation.create.mockImplementation(data => Promise.resolve({ _id: invitationId, ...data }));
+
+      const result = await InvitationService.inviteUser(groupId, { phone: '+221770000001' }, adminId);
+
+      expect(result.success).toBe(true);
+      expect(NotificationService.notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('should still create the invitation if the notification fails', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      User.findOne.mockResolvedValue(mockUser);
+      GroupInvitation.findOne.mockResolvedValue(null);
+      GroupInvitation.create.mockImplementation(data => Promise.resolve({ _id: invitationId, ...data }));
+      NotificationService.notifyUser.mockRejectedValue(new Error('SMTP unavailable'));
+
+      const result = await InvitationService.inviteUser(groupId, { email: 'awa@example.com' }, adminId);
+
+      expect(result.message).toBe('Invitation sent successfully');
+    });
+
+    it('should throw error if an invitation is already pending', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      User.findOne.mockResolvedValue(null);
+      GroupInvitation.findOne.mockResolvedValue(buildInvitation({ type: 'DIRECT' }));
+
+      await expect(InvitationService.inviteUser(groupId, { phone: '+221770000000' }, adminId))
+        .rejects.toThrow('This person already has a pending invitation');
+    });
+  });
+
+  describe('joinByCode', () => {
+    it('should claim a use and add the member', async () => {
+      const mockGroup = buildGroup();
+
+      GroupInvitation.findByCode.mockResolvedValue(buildInvitation());
+      Group.findById.mockResolvedValue(mockGroup);
+      User.findById.mockResolvedValue(mockUser);
+      GroupInvitation.findOneAndUpdate.mockResolvedValue(buildInvitation({ uses: 2 }));
+
+      const result = await InvitationService.joinByCode('a1b2c3d4e5', userId);
+
+      expect(result.message).toBe('Successfully joined the group');
+      expect(GroupInvitation.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: invitationId, status: 'ACTIVE', uses: { $lt: 5 } }),
+        expect.objectContaining({ $inc: { uses: 1 } }),
+        { new: true }
+      );
+      expect(mockGroup.addMember).toHaveBeenCalledWith(userId);
+    });
+
+    it('should throw error for an expired code', async () => {
+      GroupInvitation.findByCode.mockResolvedValue(buildInvitation({ isUsable: jest.fn().mockReturnValue(false) }));
+
+      await expect(InvitationService.joinByCode('A1B2C3D4E5', userId))
+        .rejects.toThrow('Invitation is invalid or has expired');
+    });
+
+    it('should enforce the KYC requirement of the group', async () => {
+      GroupInvitation.findByCode.mockResolvedValue(buildInvitation());
+      Group.findById.mockResolvedValue(buildGroup({ settings: { requiresKyc: true } }));
+      User.findById.mockResolvedValue({ ...mockUser, isKycVerified: false });
+
+      await expect(InvitationService.joinByCode('A1B2C3D4E5', userId))
+        .rejects.toThrow('KYC verification required to join this group');
+      expect(GroupInvitation.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the minimum reliability score of the group', async () => {
+      GroupInvitation.findByCode.mockResolvedValue(buildInvitation());
+      Group.findById.mockResolvedValue(buildGroup({ settings: { requiresKyc: false, minReliabilityScore: 90 } }));
+      User.findById.mockResolvedValue(mockUser);
+
+      await expect(InvitationService.joinByCode('A1B2C3D4E5', userId))
+        .rejects.toThrow('Your reliability score is below the minimum required');
+    });
+
+    it('should throw error when the last use was taken concurrently', async () => {
+      GroupInvitation.findByCode.mockResolvedValue(buildInvitation());
+      Group.findById.mockResolvedValue(buildGroup());
+      User.findById.mockResolvedValue(mockUser);
+      GroupInvitation.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(InvitationService.joinByCode('A1B2C3D4E5', userId))
+        .rejects.toThrow('Invitation is invalid or has expired');
+    });
+
+    it('should release the claimed use if joining fails', async () => {
+      const error = new Error('Group has reached maximum number of members');
+
+      GroupInvitation.findByCode.mockResolvedValue(buildInvitation());
+      Group.findById.mockResolvedValue(buildGroup({ addMember: jest.fn().mockRejectedValue(error) }));
+      User.findById.mockResolvedValue(mockUser);
+      GroupInvitation.findOneAndUpdate.mockResolvedValue(buildInvitation({ uses: 2 }));
+
+      await expect(InvitationService.joinByCode('A1B2C3D4E5', userId)).rejects.toThrow(error.message);
+      expect(GroupInvitation.updateOne).toHaveBeenCalledWith(
+        { _id: invitationId },
+        { $inc: { uses: -1 }, $pull: { usedBy: { user: userId } }, $set: { status: 'ACTIVE' } }
+      );
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    it('should accept a direct invitation and mark it as accepted', async () => {
+      GroupInvitation.findOne.mockResolvedValue(buildInvitation({ type: 'DIRECT', maxUses: 1, uses: 0 }));
+      User.findById.mockResolvedValue(mockUser);
+      Group.findById.mockResolvedValue(buildGroup());
+      GroupInvitation.findOneAndUpdate.mockResolvedValue({});
+
+      const result = await InvitationService.acceptInvitation(invitationId, userId);
+
+      expect(result.message).toBe('Invitation accepted successfully');
+      expect(GroupInvitation.findOneAndUpdate.mock.calls[0][1].$set.status).toBe('ACCEPTED');
+    });
+
+    it('should throw error if invitation is addressed to someone else', async () => {
+      GroupInvitation.findOne.mockResolvedValue(buildInvitation({
+        type: 'DIRECT',
+        isAddressedTo: jest.fn().mockReturnValue(false)
+      }));
+      User.findById.mockResolvedValue(mockUser);
+
+      await expect(InvitationService.acceptInvitation(invitationId, userId))
+        .rejects.toThrow('This invitation is not addressed to you');
+    });
+  });
+
+  describe('getUserInvitations', () => {
+    const mockFind = (invitations) => {
+      GroupInvitation.find.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          populate: jest.fn().mockReturnValue({
+            sort: jest.fn().mockResolvedValue(invitations)
+          })
+        })
+      });
+    };
+
+    it('should match invitations by user, email and phone', async () => {
+      User.findById.mockResolvedValue(mockUser);
+      mockFind([]);
+
+      await InvitationService.getUserInvitations(userId);
+
+      expect(GroupInvitation.find.mock.calls[0][0].$or).toEqual([
+        { invitee: userId },
+        { inviteeEmail: 'awa@example.com' },
+        { inviteePhone: '+221770000000' }
+      ]);
+    });
+
+    it('should not match on the contact details the user does not have', async () => {
+      User.findById.mockResolvedValue({ ...mockUser, email: undefined, phone: '' });
+      mockFind([]);
+
+      await InvitationService.getUserInvitations(userId);
+
+      expect(GroupInvitation.find.mock.calls[0][0].$or).toEqual([{ invitee: userId }]);
+    });
+  });
+
+  describe('declineInvitation', () => {
+    it('should decline a direct invitation', async () => {
+      const mockInvitation = buildInvitation({ type: 'DIRECT' });
+      GroupInvitation.findOne.mockResolvedValue(mockInvitation);
+      User.findById.mockResolvedValue(mockUser);
+
+      await InvitationService.declineInvitation(invitationId, userId);
+
+      expect(mockInvitation.status).toBe('DECLINED');
+      expect(mockInvitation.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeInvitation', () => {
+    it('should throw error if invitation is no longer active', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      GroupInvitation.findOne.mockResolvedValue(buildInvitation({ status: 'ACCEPTED' }));
+
+      await expect(InvitationService.revokeInvitation(groupId, invitationId, adminId))
+        .rejects.toThrow('Only active invitations can be revoked');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const JobRunService = require('../../../src/services/JobRunService');
+const JobRun = require('../../../src/models/JobRun');
+const JobScheduler = require('../../../src/jobs');
+
+// Mock dependencies
+jest.mock('../../../src/models/JobRun');
+jest.mock('../../../src/jobs');
+jest.mock('../../../src/utils/logger');
+
+describe('JobRunService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getJobs', () => {
+    it('should attach the latest run and failure to each job', async () => {
+      const lastRun = { status: 'SUCCEEDED' };
+      const lastFailure = { status: 'FAILED' };
+
+      JobScheduler.getJobs.mockReturnValue([{ name: 'generate-contributions', intervalMs: 3600000 }]);
+      JobRun.findLatest.mockImplementation((job, status) => Promise.resolve(status ? lastFailure : lastRun));
+
+      const result = await JobRunService.getJobs();
+
+      expect(result.data.jobs).toEqual([{
+        name: 'generate-contributions',
+        intervalMs: 3600000,
+        lastRun,
+        lastFailure
+      }]);
+      expect(JobRun.findLatest).toHaveBeenCalledWith('generate-contributions', 'FAILED');
+    });
+  });
+
+  describe('getJobRuns', () => {
+    it('should list runs with filters and pagination', async () => {
+      const mockRuns = [{ job: 'generate-contributions', status: 'FAILED' }];
+
+      JobRun.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          skip: jest.fn().mockReturnValue({
+            limit: jest.fn().mockResolvedValue(mockRuns)
+          })
+        })
+      });
+      JobRun.countDocuments.mockResolvedValue(1);
+
+      const result = await JobRunService.getJobRuns({ status: 'FAILED' });
+
+      expect(JobRun.find).toHaveBeenCalledWith({ status: 'FAILED' });
+      expect(result.data.runs).toEqual(mockRuns);
+      expect(result.data.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+    });
+
+    it('should throw error for a job that is not registered', async () => {
+      JobScheduler.getJobs.mockReturnValue([{ name: 'generate-contributions', intervalMs: 3600000 }]);
+
+      await expect(JobRunService.getJobRuns({ job: 'unknown-job' })).rejects.toThrow('Job not found');
+      expect(JobRun.find).not.toHaveBeenCalled();
+    });
+  });
+});
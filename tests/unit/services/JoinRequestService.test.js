@@ -0,0 +1,187 @@
+const JoinRequestService = require('../../../src/services/JoinRequestService');
+const JoinRequest = require('../../../src/models/JoinRequest');
+const Group = require('../../../src/models/Group');
+const User = require('../../../src/models/User');
+const NotificationService = require('../../../src/services/NotificationService');
+
+// Mock dependencies
+jest.mock('../../../src/models/JoinRequest');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/NotificationService');
+jest.mock('../../../src/utils/logger');
+
+describe('JoinRequestService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const requestId = '507f1f77bcf86cd799439012';
+  const adminId = '507f1f77bcf86cd799439013';
+  const userId = '507f1f77bcf86cd799439014';
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    creator: { toString: () => adminId },
+    name: 'Tontine Bureau',
+    isActive: true,
+    status: 'RECRUITING',
+    settings: { isPublic: false, requiresKyc: false, minReliabilityScore: 0 },
+    isMember: jest.fn().mockReturnValue(false),
+    isFull: jest.fn().mockReturnValue(false),
+    addMember: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  const buildRequest = (overrides = {}) => ({
+    _id: requestId,
+    group: groupId,
+    user: { toString: () => userId },
+    status: 'PENDING',
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  const mockUser = { _id: userId, isKycVerified: true, reliabilityScore: 70 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requestToJoin', () => {
+    it('should queue a request for a private group', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      User.findById.mockResolvedValue(mockUser);
+      JoinRequest.findOne.mockResolvedValue(null);
+      JoinRequest.create.mockImplementation(data => Promise.resolve({ _id: requestId, ...data }));
+
+      const result = await JoinRequestService.requestToJoin(groupId, { message: 'Hello' }, userId);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Join request sent successfully');
+      expect(JoinRequest.create).toHaveBeenCalledWith({ group: groupId, user: userId, message: 'Hello' });
+    });
+
+    it('should throw error for a public group', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ settings: { isPublic: true } }));
+
+      await expect(JoinRequestService.requestToJoin(groupId, {}, userId))
+        .rejects.toThrow('Public groups can be joined directly');
+    });
+
+    it('should throw error if user is not eligible', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ settings: { isPublic: false, requiresKyc: true } }));
+      User.findById.mockResolvedValue({ ...mockUser, isKycVerified: false });
+
+      await expect(JoinRequestService.requestToJoin(groupId, {}, userId))
+        .rejects.toThrow('KYC verification required to join this group');
+    });
+
+    it('should throw error if a request is already pending', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      User.findById.mockResolvedValue(mockUser);
+      JoinRequest.findOne.mockResolvedValue(buildRequest());
+
+      await expect(JoinRequestService.requestToJoin(groupId, {}, userId))
+        .rejects.toThrow('You already have a pending request for this group');
+    });
+  });
+
+  describe('getPendingRequests', () => {
+    it('should return the pending queue to admins', async () => {
+      const mockRequests = [buildRequest()];
+
+      Group.findById.mockResolvedValue(buildGroup());
+      JoinRequest.findPendingByGroup.mockResolvedValue(mockRequests);
+
+      const result = await JoinRequestService.getPendingRequests(groupId, adminId);
+
+      expect(result.data.joinRequests).toEqual(mockRequests);
+    });
+
+    it('should throw error if user is not admin', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(JoinRequestService.getPendingRequests(groupId, userId))
+        .rejects.toThrow('You are not allowed to review join requests in this group');
+    });
+  });
+
+  describe('approveRequest', () => {
+    it('should add the member and notify the requester', async () => {
+      const mockGroup = buildGroup();
+      const approved = buildRequest({ status: 'APPROVED' });
+
+      Group.findById.mockResolvedValue(mockGroup);
+      JoinRequest.findOne.mockResolvedValue(buildRequest());
+      User.findById.mockResolvedValue(mockUser);
+      JoinRequest.findOneAndUpdate.mockResolvedValue(approved);
+      NotificationService.notifyUser.mockResolvedValue();
+
+      const result = await JoinRequestService.approveRequest(groupId, requestId, adminId);
+
+      expect(result.data.joinRequest).toBe(approved);
+      expect(mockGroup.addMember).toHaveBeenCalledWith(userId);
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(userId, expect.objectContaining({
+        type: 'JOIN_REQUEST_APPROVED'
+      }));
+    });
+
+    it('should approve the request even if the notification fails', async () => {
+      const mockGroup = buildGroup();
+      const approved = buildRequest({ status: 'APPROVED' });
+
+      Group.findById.mockResolvedValue(mockGroup);
+      JoinRequest.findOne.mockResolvedValue(buildRequest());
+      User.findById.mockResolvedValue(mockUser);
+      JoinRequest.findOneAndUpdate.mockResolvedValue(approved);
+      NotificationService.notifyUser.mockRejectedValue(new Error('SMTP unavailable'));
+
+      const result = await JoinRequestService.approveRequest(groupId, requestId, adminId);
+
+      expect(result.success).toBe(true);
+      expect(mockGroup.addMember).toHaveBeenCalledWith(userId);
+      expect(JoinRequest.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should put the request back in the queue if adding the member fails', async () => {
+      const error = new Error('Group has reached maximum number of members');
+
+      Group.findById.mockResolvedValue(buildGroup({ addMember: jest.fn().mockRejectedValue(error) }));
+      JoinRequest.findOne.mockResolvedValue(buildRequest());
+      User.findById.mockResolvedValue(mockUser);
+      JoinRequest.findOneAndUpdate.mockResolvedValue(buildRequest({ status: 'APPROVED' }));
+
+      await expect(JoinRequestService.approveRequest(groupId, requestId, adminId)).rejects.toThrow(error.message);
+      expect(JoinRequest.updateOne).toHaveBeenCalledWith(
+        { _id: requestId },
+        { $set: { status: 'PENDING' }, $unset: { reviewedBy: '', reviewedAt: '' } }
+      );
+      expect(NotificationService.notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if request was already reviewed', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      JoinRequest.findOne.mockResolvedValue(buildRequest({ status: 'REJECTED' }));
+
+      await expect(JoinRequestService.approveRequest(groupId, requestId, adminId))
+        .rejects.toThrow('Join request has already been reviewed');
+    });
+  });
+
+  describe('rejectRequest', () => {
+    it('should reject the request and notify the requester', async () => {
+      const mockRequest = buildRequest();
+
+      Group.findById.mockResolvedValue(buildGroup());
+      JoinRequest.findOne.mockResolvedValue(mockRequest);
+      NotificationService.notifyUser.mockResolvedValue();
+
+      await JoinRequestService.rejectRequest(groupId, requestId, 'Colleagues only', adminId);
+
+      expect(mockRequest.status).toBe('REJECTED');
+      expect(mockRequest.rejectionReason).toBe('Colleagues only');
+      expect(mockRequest.save).toHaveBeenCalled();
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(userId, expect.objectContaining({
+        type: 'JOIN_REQUEST_REJECTED'
+      }));
+    });
+  });
+});
@@ -1,9 +1,13 @@
 const KYCService = require('../../../src/services/KYCService');
 const User = require('../../../src/models/User');
+const NotificationService = require('../../../src/services/NotificationService');
+const WebhookService = require('../../../src/services/WebhookService');
 const constants = require('../../../src/config/constants');
 
 // Mock dependencies
 jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/NotificationService');
+jest.mock('../../../src/services/WebhookService');
 jest.mock('../../../src/utils/logger');
 
 describe('KYCService', () => {
@@ -78,6 +82,13 @@ describe('KYCService', () => {
       
       expect(result).toBeDefined();
       expect(result.kyc.status).toBe(constants.KYC_STATUS.VERIFIED);
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(userId, expect.objectContaining({
+        type: 'KYC_VERIFIED'
+      }));
+      expect(WebhookService.emit).toHaveBeenCalledWith('kyc.verified', expect.objectContaining({
+        userId,
+        status: constants.KYC_STATUS.VERIFIED
+      }));
     });
 
     it('should reject KYC successfully', async () => {
@@ -102,6 +113,27 @@ describe('KYCService', () => {
       
       expect(result).toBeDefined();
       expect(result.kyc.status).toBe(constants.KYC_STATUS.REJECTED);
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(userId, expect.objectContaining({
+        type: 'KYC_REJECTED',
+        data: { reason: 'Poor image quality' }
+      }));
+      expect(WebhookService.emit).toHaveBeenCalledWith('kyc.rejected', expect.objectContaining({
+        userId,
+        rejectionReason: 'Poor image quality'
+      }));
+    });
+
+    it('should keep the review when the user cannot be notified', async () => {
+      const userId = '507f1f77bcf86cd799439011';
+      const mockUser = { _id: userId, kyc: {}, save: jest.fn().mockResolvedValue() };
+
+      User.findById.mockResolvedValue(mockUser);
+      NotificationService.notifyUser.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const result = await KYCService.verifyKYC(userId, { status: constants.KYC_STATUS.VERIFIED });
+
+      expect(result.kyc.status).toBe(constants.KYC_STATUS.VERIFIED);
+      expect(mockUser.save).toHaveBeenCalled();
     });
   });
 
@@ -0,0 +1,216 @@
+const LedgerService = require('../../../src/services/LedgerService');
+const JournalEntry = require('../../../src/models/JournalEntry');
+const Group = require('../../../src/models/Group');
+
+// Mock dependencies
+jest.mock('../../../src/models/JournalEntry');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/utils/logger');
+
+describe('LedgerService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const adminId = '507f1f77bcf86cd799439013';
+  const memberId = '507f1f77bcf86cd799439014';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('postEntry', () => {
+    it('should return the existing entry when the key was already posted', async () => {
+      const existing = { key: 'payment:p1' };
+
+      JournalEntry.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      JournalEntry.findOne.mockResolvedValue(existing);
+
+      const entry = await LedgerService.postEntry({ key: 'payment:p1' });
+
+      expect(entry).toBe(existing);
+      expect(JournalEntry.findOne).toHaveBeenCalledWith({ key: 'payment:p1' });
+    });
+
+    it('should rethrow other errors', async () => {
+      JournalEntry.create.mockRejectedValue(new Error('Journal entry debits and credits must balance'));
+
+      await expect(LedgerService.postEntry({ key: 'payment:p1' }))
+        .rejects.toThrow('Journal entry debits and credits must balance');
+    });
+  });
+
+  describe('recordContributionPayment', () => {
+    it('should move the payment from the member to the group pool', async () => {
+      JournalEntry.create.mockImplementation(entry => Promise.resolve(entry));
+
+      const entry = await LedgerService.recordContributionPayment(
+        { group: groupId, user: memberId, cycleNumber: 2 },
+        { _id: 'p1', amount: 100 },
+        memberId
+      );
+
+      expect(entry.key).toBe('payment:p1');
+      expect(entry.lines).toEqual([
+        { account: 'GROUP_POOL', debit: 100 },
+        { account: 'MEMBER', member: memberId, credit: 100 }
+      ]);
+    });
+  });
+
+  describe('recordPaymentRefund', () => {
+    it('should move the refund from the group pool back to the member', async () => {
+      JournalEntry.create.mockImplementation(entry => Promise.resolve(entry));
+
+      const entry = await LedgerService.recordPaymentRefund(
+        { _id: 'r1', group: groupId, user: memberId, type: 'REFUND', amount: 40, reason: 'Paid twice' },
+        adminId
+      );
+
+      expect(entry.key).toBe('refund:r1');
+      expect(entry.type).toBe('PAYMENT_REFUND');
+      expect(entry.description).toBe('Payment refund: Paid twice');
+      expect(entry.lines).toEqual([
+        { account: 'MEMBER', member: memberId, debit: 40 },
+        { account: 'GROUP_POOL', credit: 40 }
+      ]);
+    });
+  });
+
+  describe('recordPenaltyCharge', () => {
+    it('should charge the member and credit penalty income', async () => {
+      JournalEntry.create.mockImplementation(entry => Promise.resolve(entry));
+
+      const entry = await LedgerService.recordPenaltyCharge({
+        group: groupId,
+        member: memberId,
+        contribution: 'c1',
+        type: 'DAILY_RATE',
+        daysLate: 3,
+        amount: 30,
+        total: 30
+      });
+
+      expect(entry.key).toBe('penalty:c1:DAILY_RATE:3:30');
+      expect(entry.lines).toEqual([
+        { account: 'MEMBER', member: memberId, debit: 30 },
+        { account: 'PENALTY_INCOME', credit: 30 }
+      ]);
+    });
+
+    it('should post the opposite entry for a decrease', async () => {
+      JournalEntry.create.mockImplementation(entry => Promise.resolve(entry));
+
+      const entry = await LedgerService.recordPenaltyCharge({
+        group: groupId,
+        member: memberId,
+        contribution: 'c1',
+        type: 'FLAT_FEE',
+        daysLate: 5,
+        amount: -5,
+        total: 10
+      });
+
+      expect(entry.lines).toEqual([
+        { account: 'MEMBER', member: memberId, credit: 5 },
+        { account: 'PENALTY_INCOME', debit: 5 }
+      ]);
+    });
+  });
+
+  describe('recordManualPenalty', () => {
+    it('should charge the member once per penalty item', async () => {
+      JournalEntry.create.mockImplementation(entry => Promise.resolve(entry));
+
+      const entry = await LedgerService.recordManualPenalty({
+        _id: 'p1',
+        group: groupId,
+        user: memberId,
+        type: 'MANUAL',
+        amount: 25,
+        reason: 'Missed meeting'
+      }, 'admin-id');
+
+      expect(entry).toEqual(expect.objectContaining({
+        type: 'PENALTY',
+        key: 'penalty:p1',
+        description: 'Penalty: Missed meeting',
+        postedBy: 'admin-id'
+      }));
+      expect(entry.lines).toEqual([
+        { account: 'MEMBER', member: memberId, debit: 25 },
+        { account: 'PENALTY_INCOME', credit: 25 }
+      ]);
+    });
+  });
+
+  describe('recordPayout', () => {
+    it('should move the pot from the group pool to the beneficiary', async () => {
+      JournalEntry.create.mockImplementation(entry => Promise.resolve(entry));
+
+      const entry = await LedgerService.recordPayout(
+        { _id: 'po1', group: groupId, beneficiary: memberId, cycleNumber: 1, amount: 300 },
+        adminId
+      );
+
+      expect(entry.key).toBe('payout:po1');
+      expect(entry.lines).toEqual([
+        { account: 'MEMBER', member: memberId, debit: 300 },
+        { account: 'GROUP_POOL', credit: 300 }
+      ]);
+    });
+  });
+
+  describe('getBalances', () => {
+    it('should compute account balances that reconcile to zero', async () => {
+      JournalEntry.getBalances.mockResolvedValue([
+        { _id: { account: 'GROUP_POOL' }, debit: 300, credit: 300 },
+        { _id: { account: 'PENALTY_INCOME' }, debit: 0, credit: 10 },
+        { _id: { account: 'MEMBER', member: memberId }, debit: 310, credit: 100 },
+        { _id: { account: 'MEMBER', member: adminId }, debit: 0, credit: 200 }
+      ]);
+
+      const balances = await LedgerService.getBalances(groupId);
+
+      expect(balances).toEqual({
+        pool: 0,
+        penaltyIncome: 10,
+        members: [
+          { member: memberId, balance: -210 },
+          { member: adminId, balance: 200 }
+        ],
+        total: 0
+      });
+    });
+  });
+
+  describe('getLedger', () => {
+    it('should return entries and balances to a member', async () => {
+      const mockEntries = [{ key: 'payment:p1' }];
+
+      Group.findById.mockResolvedValue({
+        creator: { toString: () => adminId },
+        members: [{ user: memberId, role: 'MEMBER', status: 'ACTIVE' }]
+      });
+      JournalEntry.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          skip: jest.fn().mockReturnValue({
+            limit: jest.fn().mockResolvedValue(mockEntries)
+          })
+        })
+      });
+      JournalEntry.countDocuments.mockResolvedValue(1);
+      JournalEntry.getBalances.mockResolvedValue([]);
+
+      const result = await LedgerService.getLedger(groupId, memberId, { memberId });
+
+      expect(JournalEntry.find).toHaveBeenCalledWith({ group: groupId, 'lines.member': memberId });
+      expect(result.data.entries).toEqual(mockEntries);
+      expect(result.data.balances.total).toBe(0);
+    });
+
+    it('should throw error if user is not a member', async () => {
+      Group.findById.mockResolvedValue({ creator: { toString: () => adminId }, members: [] });
+
+      await expect(LedgerService.getLedger(groupId, memberId))
+        .rejects.toThrow('Access denied to this group');
+    });
+  });
+});
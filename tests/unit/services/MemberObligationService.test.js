@@ -0,0 +1,195 @@
+const MemberObligationService = require('../../../src/services/MemberObligationService');
+const Group = require('../../../src/models/Group');
+const Contribution = require('../../../src/models/Contribution');
+const Payout = require('../../../src/models/Payout');
+const PayoutSchedule = require('../../../src/models/PayoutSchedule');
+const PayoutScheduleService = require('../../../src/services/PayoutScheduleService');
+
+// Mock dependencies
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/models/Payout');
+jest.mock('../../../src/models/PayoutSchedule');
+jest.mock('../../../src/services/PayoutScheduleService');
+jest.mock('../../../src/utils/logger');
+
+describe('MemberObligationService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const userId = '507f1f77bcf86cd799439014';
+
+  const mockContributionQuery = (contributions) => {
+    Contribution.find.mockReturnValue({
+      sort: jest.fn().mockResolvedValue(contributions)
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PayoutSchedule.findByGroup.mockResolvedValue(null);
+  });
+
+  describe('computeObligations', () => {
+    it('should only count due contributions for members who have not collected', async () => {
+      Payout.findOne.mockResolvedValue(null);
+      mockContributionQuery([{ amount: 100, status: 'OVERDUE' }]);
+
+      const obligations = await MemberObligationService.computeObligations(groupId, userId);
+
+      const query = Contribution.find.mock.calls[0][0];
+      expect(query.status).toEqual({ $nin: ['PAID', 'CANCELLED'] });
+      expect(query.dueDate.$lte).toBeInstanceOf(Date);
+      expect(obligations).toEqual(expect.objectContaining({
+        canLeave: false,
+        hasReceivedPayout: false,
+        outstandingAmount: 100
+      }));
+    });
+
+    it('should count the late penalties charged on due contributions', async () => {
+      Payout.findOne.mockResolvedValue(null);
+      mockContributionQuery([{ amount: 100, penaltyAmount: 15, amountPaid: 50, status: 'OVERDUE' }]);
+
+      const obligations = await MemberObligationService.computeObligations(groupId, userId);
+
+      expect(obligations.outstandingAmount).toBe(65);
+    });
+
+    it('should count every remaining contribution once the pot was received', async () => {
+      Payout.findOne.mockResolvedValue({ cycleNumber: 1, status: 'COMPLETED' });
+      mockContributionQuery([{ amount: 100 }, { amount: 100 }, { amount: 100 }]);
+
+      const obligations = await MemberObligationService.computeObligations(groupId, userId);
+
+      expect(Contribution.find.mock.calls[0][0].dueDate).toBeUndefined();
+      expect(obligations.hasReceivedPayout).toBe(true);
+      expect(obligations.payoutCycle).toBe(1);
+      expect(obligations.outstandingAmount).toBe(300);
+    });
+
+    it('should count the schedule cycles whose contributions are not generated yet', async () => {
+      Payout.findOne.mockResolvedValue({ cycleNumber: 1, status: 'COMPLETED' });
+      mockContributionQuery([{ amount: 100, cycleNumber: 2 }]);
+      Group.findById.mockResolvedValue({ settings: { contributionAmount: 100 } });
+      PayoutSchedule.findByGroup.mockResolvedValue({
+        cycles: [1, 2, 3, 4, 5].map(cycleNumber => ({ cycleNumber }))
+      });
+      Contribution.distinct.mockResolvedValue([1, 2]);
+
+      const obligations = await MemberObligationService.computeObligations(groupId, userId);
+
+      expect(Contribution.distinct).toHaveBeenCalledWith('cycleNumber', { group: groupId, user: userId });
+      expect(obligations.upcomingCycles).toBe(3);
+      expect(obligations.outstandingAmount).toBe(400);
+      expect(obligations.canLeave).toBe(false);
+    });
+
+    it('should not count upcoming cycles for members who have not collected', async () => {
+      Payout.findOne.mockResolvedValue(null);
+      mockContributionQuery([]);
+
+      const obligations = await MemberObligationService.computeObligations(groupId, userId);
+
+      expect(PayoutSchedule.findByGroup).not.toHaveBeenCalled();
+      expect(obligations.upcomingCycles).toBe(0);
+      expect(obligations.canLeave).toBe(true);
+    });
+
+    it('should only count the unpaid part of partially paid contributions', async () => {
+      Payout.findOne.mockResolvedValue(null);
+      mockContributionQuery([{ amount: 100, amountPaid: 60, status: 'PARTIALLY_PAID' }]);
+
+      const obligations = await MemberObligationService.computeObligations(groupId, userId);
+
+      expect(obligations.outstandingAmount).toBe(40);
+    });
+  });
+
+  describe('getObligations', () => {
+    it('should return obligations of a member', async () => {
+      Group.findById.mockResolvedValue({ isMember: jest.fn().mockReturnValue(true) });
+      Payout.findOne.mockResolvedValue(null);
+      mockContributionQuery([]);
+
+      const result = await MemberObligationService.getObligations(groupId, userId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.obligations.canLeave).toBe(true);
+    });
+
+    it('should throw error if user is not a member', async () => {
+      Group.findById.mockResolvedValue({ isMember: jest.fn().mockReturnValue(false) });
+
+      await expect(MemberObligationService.getObligations(groupId, userId))
+        .rejects.toThrow('User is not a member of this group');
+    });
+  });
+
+  describe('assertCanLeave', () => {
+    it('should allow leaving with nothing outstanding', async () => {
+      Payout.findOne.mockResolvedValue(null);
+      mockContributionQuery([]);
+
+      await expect(MemberObligationService.assertCanLeave(groupId, userId)).resolves.toBeUndefined();
+    });
+
+    it('should block a member who collected the pot and still owes contributions', async () => {
+      Payout.findOne.mockResolvedValue({ cycleNumber: 1, status: 'COMPLETED' });
+      mockContributionQuery([{ amount: 100 }]);
+
+      await expect(MemberObligationService.assertCanLeave(groupId, userId))
+        .rejects.toThrow('You have received the pot and must pay your remaining contributions before leaving');
+    });
+
+    it('should block a member with overdue contributions', async () => {
+      Payout.findOne.mockResolvedValue(null);
+      mockContributionQuery([{ amount: 100 }]);
+
+      await expect(MemberObligationService.assertCanLeave(groupId, userId))
+        .rejects.toThrow('You must pay your due contributions before leaving the group');
+    });
+  });
+
+  describe('releaseFutureContributions', () => {
+    it('should cancel pending and partly paid contributions of later cycles', async () => {
+      Contribution.find.mockResolvedValue([
+        { _id: 'c3', cycleNumber: 3, status: 'PENDING' },
+        { _id: 'c4', cycleNumber: 4, status: 'PARTIALLY_PAID', amountPaid: 40 }
+      ]);
+      Contribution.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const count = await MemberObligationService.releaseFutureContributions(groupId, userId);
+
+      expect(count).toBe(2);
+      expect(Contribution.find).toHaveBeenCalledWith(
+        expect.objectContaining({ group: groupId, user: userId, status: { $in: ['PENDING', 'PARTIALLY_PAID'] } }),
+        expect.any(String)
+      );
+      expect(Contribution.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['c3', 'c4'] }, status: { $in: ['PENDING', 'PARTIALLY_PAID'] } },
+        { $set: { status: 'CANCELLED' } }
+      );
+    });
+
+    it('should refresh the cycles the member no longer contributes to', async () => {
+      Contribution.find.mockResolvedValue([
+        { _id: 'c3', cycleNumber: 3, status: 'PENDING' },
+        { _id: 'c4', cycleNumber: 4, status: 'PENDING' }
+      ]);
+      Contribution.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      await MemberObligationService.releaseFutureContributions(groupId, userId);
+
+      expect(PayoutScheduleService.refreshCycleStatus).toHaveBeenCalledWith(groupId, 3);
+      expect(PayoutScheduleService.refreshCycleStatus).toHaveBeenCalledWith(groupId, 4);
+    });
+
+    it('should not write anything when there is nothing to release', async () => {
+      Contribution.find.mockResolvedValue([]);
+
+      const count = await MemberObligationService.releaseFutureContributions(groupId, userId);
+
+      expect(count).toBe(0);
+      expect(Contribution.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
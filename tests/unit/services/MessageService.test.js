@@ -106,6 +106,39 @@ describe('MessageService', () => {
     });
   });
 
+  describe('sendSystemMessage', () => {
+    it('should post a system message without sender in the group', async () => {
+      const messageData = {
+        groupId: '507f1f77bcf86cd799439011',
+        action: 'TURN_SWAPPED',
+        data: { swapId: '507f1f77bcf86cd799439016' },
+        content: 'Payout turns swapped'
+      };
+
+      Group.findById.mockResolvedValue({ _id: messageData.groupId });
+      Message.create.mockResolvedValue({ _id: '507f1f77bcf86cd799439015', ...messageData, isSystem: true });
+
+      const result = await MessageService.sendSystemMessage(messageData);
+
+      expect(result.success).toBe(true);
+      expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({
+        group: messageData.groupId,
+        isSystem: true,
+        action: 'TURN_SWAPPED',
+        data: messageData.data,
+        content: 'Payout turns swapped'
+      }));
+      expect(Message.create.mock.calls[0][0].sender).toBeUndefined();
+    });
+
+    it('should throw error if group not found', async () => {
+      Group.findById.mockResolvedValue(null);
+
+      await expect(MessageService.sendSystemMessage({ groupId: '507f1f77bcf86cd799439011', action: 'TURN_SWAPPED', content: 'x' }))
+        .rejects.toThrow('Group not found');
+    });
+  });
+
   describe('sendGroupMessage', () => {
     it('should send group message successfully', async () => {
       const messageData = {
@@ -321,6 +354,54 @@ describe('MessageService', () => {
       await expect(MessageService.deleteMessage(messageId, userId))
         .rejects.toThrow('Only the sender can delete this message');
     });
+
+    it('should let a chat moderator delete a group message', async () => {
+      const messageId = '507f1f77bcf86cd799439015';
+      const moderatorId = '507f1f77bcf86cd799439013';
+      const groupId = '507f1f77bcf86cd799439011';
+
+      const mockMessage = {
+        _id: messageId,
+        sender: '507f1f77bcf86cd799439014',
+        group: groupId,
+        delete: jest.fn().mockResolvedValue()
+      };
+
+      Message.findById.mockResolvedValue(mockMessage);
+      Group.findById.mockResolvedValue({
+        _id: groupId,
+        creator: '507f1f77bcf86cd799439016',
+        members: [{ user: moderatorId, status: 'ACTIVE', role: 'MODERATOR' }]
+      });
+
+      const result = await MessageService.deleteMessage(messageId, moderatorId);
+
+      expect(result.success).toBe(true);
+      expect(Group.findById).toHaveBeenCalledWith(groupId);
+      expect(mockMessage.delete).toHaveBeenCalled();
+    });
+
+    it('should not let a plain member delete a group message of someone else', async () => {
+      const messageId = '507f1f77bcf86cd799439015';
+      const memberId = '507f1f77bcf86cd799439013';
+
+      const mockMessage = {
+        _id: messageId,
+        sender: '507f1f77bcf86cd799439014',
+        group: '507f1f77bcf86cd799439011',
+        delete: jest.fn()
+      };
+
+      Message.findById.mockResolvedValue(mockMessage);
+      Group.findById.mockResolvedValue({
+        creator: '507f1f77bcf86cd799439016',
+        members: [{ user: memberId, status: 'ACTIVE', role: 'MEMBER' }]
+      });
+
+      await expect(MessageService.deleteMessage(messageId, memberId))
+        .rejects.toThrow('Only the sender can delete this message');
+      expect(mockMessage.delete).not.toHaveBeenCalled();
+    });
   });
 
   describe('getUnreadCount', () => {
@@ -0,0 +1,255 @@
+const MobileMoneyService = require('../../../src/services/MobileMoneyService');
+const ContributionPaymentService = require('../../../src/services/ContributionPaymentService');
+const WebhookService = require('../../../src/services/WebhookService');
+const Payment = require('../../../src/models/Payment');
+const Contribution = require('../../../src/models/Contribution');
+const Group = require('../../../src/models/Group');
+const { getProvider, resetProviders } = require('../../../src/paymentProviders');
+
+// Mock dependencies
+jest.mock('../../../src/models/Payment');
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/services/ContributionPaymentService');
+jest.mock('../../../src/services/WebhookService');
+jest.mock('../../../src/utils/logger');
+
+describe('MobileMoneyService', () => {
+  const userId = '507f1f77bcf86cd799439013';
+  const contributionId = '507f1f77bcf86cd799439012';
+  const paymentId = '507f1f77bcf86cd799439014';
+  const now = new Date('2025-01-20T12:00:00Z');
+
+  const buildPayment = (overrides = {}) => {
+    const payment = {
+      _id: paymentId,
+      user: userId,
+      contribution: contributionId,
+      amount: 5000,
+      currency: 'XOF',
+      method: 'MOBILE_MONEY',
+      status: 'PENDING',
+      mobileMoney: { provider: 'simulator', phoneNumber: '+221770000000', providerReference: null },
+      ...overrides
+    };
+    payment.save = jest.fn().mockResolvedValue(payment);
+    return payment;
+  };
+
+  const mockSettlement = (payment) => {
+    Payment.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({
+      ...payment,
+      status: update.$set.status,
+      failureReason: update.$set.failureReason
+    }));
+  };
+
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.MOBILE_MONEY_SIMULATOR = 'true';
+    process.env.MOBILE_MONEY_SIMULATOR_SECRET = 'test-secret';
+    resetProviders();
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe('initiatePayment', () => {
+    const paymentData = { contributionId, provider: 'simulator', phoneNumber: '+221770000000' };
+
+    beforeEach(() => {
+      Contribution.findById.mockResolvedValue({ _id: contributionId, user: userId, group: 'g1', status: 'PENDING', amount: 5000 });
+      Group.findById.mockResolvedValue({ settings: { currency: 'XOF' } });
+      ContributionPaymentService.getBalance.mockReturnValue({ amountDue: 5000, amountPaid: 0, remaining: 5000 });
+      Payment.find.mockResolvedValue([]);
+    });
+
+    it('should create a pending payment for the remaining balance', async () => {
+      const payment = buildPayment();
+      Payment.create.mockResolvedValue(payment);
+
+      const result = await MobileMoneyService.initiatePayment(paymentData, userId);
+
+      expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 5000,
+        currency: 'XOF',
+        method: 'MOBILE_MONEY',
+        status: 'PENDING',
+        mobileMoney: { provider: 'simulator', phoneNumber: '+221770000000' }
+      }));
+      expect(payment.mobileMoney.providerReference).toMatch(/^SIM-/);
+      expect(payment.mobileMoney.instructions).toBe('Confirm the payment of 5000 XOF on +221770000000');
+      expect(result.data.payment.status).toBe('PENDING');
+    });
+
+    it('should throw error if the amount exceeds the remaining balance', async () => {
+      await expect(MobileMoneyService.initiatePayment({ ...paymentData, amount: 6000 }, userId))
+        .rejects.toThrow('Payment exceeds the remaining balance of this contribution');
+    });
+
+    it('should only offer what is not already awaiting confirmation', async () => {
+      const payment = buildPayment({ amount: 3000 });
+      Payment.create.mockResolvedValue(payment);
+      Payment.find.mockResolvedValue([{ amount: 2000 }]);
+
+      await MobileMoneyService.initiatePayment(paymentData, userId);
+
+      expect(Payment.find).toHaveBeenCalledWith({ contribution: contributionId, status: 'PENDING' }, 'amount');
+      expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 3000 }));
+    });
+
+    it('should throw error if the amount exceeds what is not already pending', async () => {
+      Payment.find.mockResolvedValue([{ amount: 2000 }]);
+
+      await expect(MobileMoneyService.initiatePayment({ ...paymentData, amount: 4000 }, userId))
+        .rejects.toThrow('Payment exceeds the remaining balance of this contribution');
+      expect(Payment.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if the whole balance is already pending', async () => {
+      Payment.find.mockResolvedValue([{ amount: 5000 }]);
+
+      await expect(MobileMoneyService.initiatePayment(paymentData, userId))
+        .rejects.toThrow('The remaining balance of this contribution is already awaiting confirmation');
+      expect(Payment.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if the user does not owe the contribution', async () => {
+      await expect(MobileMoneyService.initiatePayment(paymentData, '507f1f77bcf86cd799439099'))
+        .rejects.toThrow('Only the member who owes a contribution can pay it');
+    });
+
+    it('should throw error if the provider does not support the group currency', async () => {
+      Group.findById.mockResolvedValue({ settings: { currency: 'EUR' } });
+
+      await expect(MobileMoneyService.initiatePayment(paymentData, userId))
+        .rejects.toThrow('simulator does not support EUR');
+    });
+
+    it('should fail the payment if the operator rejects it', async () => {
+      const payment = buildPayment();
+      Payment.create.mockResolvedValue(payment);
+      jest.spyOn(getProvider('simulator'), 'initiate').mockRejectedValue(new Error('Operator unavailable'));
+
+      await expect(MobileMoneyService.initiatePayment(paymentData, userId))
+        .rejects.toThrow('Mobile money payment could not be initiated');
+      expect(payment.status).toBe('FAILED');
+      expect(payment.failureReason).toBe('Operator unavailable');
+    });
+  });
+
+  describe('handleCallback', () => {
+    it('should settle the payment and apply it to the contribution', async () => {
+      const simulator = getProvider('simulator');
+      const { providerReference } = await simulator.initiate({ reference: paymentId, amount: 5000, currency: 'XOF' });
+      const payment = buildPayment({ mobileMoney: { provider: 'simulator', providerReference } });
+      const { rawBody, headers } = simulator.settle(providerReference);
+
+      Payment.findOne.mockResolvedValue(payment);
+      mockSettlement(payment);
+
+      const result = await MobileMoneyService.handleCallback('simulator', rawBody, headers);
+
+      expect(Payment.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        'mobileMoney.providerReference': providerReference
+      }));
+      expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: paymentId, status: 'PENDING' },
+        expect.anything(),
+        { new: true }
+      );
+      expect(ContributionPaymentService.applyPayment).toHaveBeenCalledWith(contributionId, paymentId, userId);
+      expect(WebhookService.emit).toHaveBeenCalledWith('payment.verified', expect.objectContaining({ paymentId }));
+      expect(result.data.payment.status).toBe('SUCCEEDED');
+    });
+
+    it('should not apply a payment twice when the callback is replayed', async () => {
+      const simulator = getProvider('simulator');
+      const { providerReference } = await simulator.initiate({ reference: paymentId, amount: 5000, currency: 'XOF' });
+      const { rawBody, headers } = simulator.settle(providerReference);
+
+      Payment.findOne.mockResolvedValue(buildPayment());
+      Payment.findOneAndUpdate.mockResolvedValue(null);
+      Payment.findById.mockResolvedValue(buildPayment({ status: 'SUCCEEDED' }));
+
+      const result = await MobileMoneyService.handleCallback('simulator', rawBody, headers);
+
+      expect(ContributionPaymentService.applyPayment).not.toHaveBeenCalled();
+      expect(result.data.payment.status).toBe('SUCCEEDED');
+    });
+
+    it('should reject callbacks with an invalid signature', async () => {
+      await expect(MobileMoneyService.handleCallback('simulator', '{"reference":"SIM-1"}', { 'x-signature': 'forged' }))
+        .rejects.toThrow('Invalid callback signature');
+      expect(Payment.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject callbacks for a provider that is not enabled', async () => {
+      process.env.MOBILE_MONEY_SIMULATOR = 'false';
+
+      await expect(MobileMoneyService.handleCallback('simulator', '{"reference":"SIM-1"}', {}))
+        .rejects.toThrow('Mobile money provider not found');
+      await expect(MobileMoneyService.handleCallback('unknown', '{"reference":"SIM-1"}', {}))
+        .rejects.toThrow('Mobile money provider not found');
+    });
+  });
+
+  describe('getPaymentStatus', () => {
+    it('should poll the operator while the payment is pending', async () => {
+      const simulator = getProvider('simulator');
+      const { providerReference } = await simulator.initiate({ reference: paymentId, amount: 5000, currency: 'XOF' });
+      simulator.settle(providerReference, 'FAILED', 'Declined by payer');
+      const payment = buildPayment({ mobileMoney: { provider: 'simulator', providerReference } });
+
+      Payment.findById.mockResolvedValue(payment);
+      mockSettlement(payment);
+
+      const result = await MobileMoneyService.getPaymentStatus(paymentId, userId);
+
+      expect(result.data.payment.status).toBe('FAILED');
+      expect(result.data.payment.failureReason).toBe('Declined by payer');
+      expect(ContributionPaymentService.applyPayment).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if the payment belongs to another user', async () => {
+      Payment.findById.mockResolvedValue(buildPayment());
+
+      await expect(MobileMoneyService.getPaymentStatus(paymentId, '507f1f77bcf86cd799439099'))
+        .rejects.toThrow('Access denied to this payment');
+    });
+  });
+
+  describe('pollPendingPayments', () => {
+    it('should settle confirmed payments and time out stale ones', async () => {
+      const simulator = getProvider('simulator');
+      const confirmed = await simulator.initiate({ reference: 'p1', amount: 5000, currency: 'XOF' });
+      const stale = await simulator.initiate({ reference: 'p2', amount: 5000, currency: 'XOF' });
+      simulator.settle(confirmed.providerReference);
+
+      const payments = [
+        buildPayment({ _id: 'p1', createdAt: new Date('2025-01-20T11:55:00Z'), mobileMoney: { provider: 'simulator', providerReference: confirmed.providerReference } }),
+        buildPayment({ _id: 'p2', createdAt: new Date('2025-01-20T11:00:00Z'), mobileMoney: { provider: 'simulator', providerReference: stale.providerReference } })
+      ];
+      Payment.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue(payments)
+      });
+      Payment.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({
+        ...payments.find(payment => payment._id === filter._id),
+        ...update.$set
+      }));
+
+      const result = await MobileMoneyService.pollPendingPayments(now);
+
+      expect(result.data).toEqual({ checked: 2, succeeded: 1, failed: 1, failures: [] });
+      expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'p2', status: 'PENDING' },
+        { $set: expect.objectContaining({ status: 'FAILED', failureReason: 'Payment was not confirmed in time' }) },
+        { new: true }
+      );
+    });
+  });
+});
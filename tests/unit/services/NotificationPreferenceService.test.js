@@ -0,0 +1,99 @@
+const NotificationPreferenceService = require('../../../src/services/NotificationPreferenceService');
+const User = require('../../../src/models/User');
+
+// Mock dependencies
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/utils/logger');
+
+describe('NotificationPreferenceService', () => {
+  const userId = '507f1f77bcf86cd799439013';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getChannels', () => {
+    it('should use the default channels of an event the user has not configured', () => {
+      const preferences = NotificationPreferenceService.resolve();
+
+      expect(NotificationPreferenceService.getChannels(preferences, 'CONTRIBUTION_REMINDER')).toEqual(['IN_APP', 'EMAIL']);
+      expect(NotificationPreferenceService.getChannels(preferences, 'UNKNOWN_EVENT')).toEqual(['IN_APP']);
+    });
+
+    it('should use the channels chosen by the user', () => {
+      const preferences = NotificationPreferenceService.resolve({
+        channels: new Map([['CONTRIBUTION_REMINDER', ['SMS']], ['JOIN_REQUEST_APPROVED', []]])
+      });
+
+      expect(NotificationPreferenceService.getChannels(preferences, 'CONTRIBUTION_REMINDER')).toEqual(['SMS']);
+      expect(NotificationPreferenceService.getChannels(preferences, 'JOIN_REQUEST_APPROVED')).toEqual([]);
+    });
+  });
+
+  describe('isQuietTime', () => {
+    const overnight = NotificationPreferenceService.resolve({
+      quietHours: { enabled: true, start: '22:00', end: '07:00', timezone: 'UTC' }
+    });
+
+    it('should handle quiet hours spanning midnight', () => {
+      expect(NotificationPreferenceService.isQuietTime(overnight, new Date('2025-01-20T23:30:00Z'))).toBe(true);
+      expect(NotificationPreferenceService.isQuietTime(overnight, new Date('2025-01-20T06:59:00Z'))).toBe(true);
+      expect(NotificationPreferenceService.isQuietTime(overnight, new Date('2025-01-20T07:00:00Z'))).toBe(false);
+    });
+
+    it('should use the timezone of the user', () => {
+      const paris = NotificationPreferenceService.resolve({
+        quietHours: { enabled: true, start: '22:00', end: '07:00', timezone: 'Europe/Paris' }
+      });
+
+      expect(NotificationPreferenceService.isQuietTime(paris, new Date('2025-01-20T21:30:00Z'))).toBe(true);
+    });
+
+    it('should never be quiet when quiet hours are off', () => {
+      const preferences = NotificationPreferenceService.resolve();
+
+      expect(NotificationPreferenceService.isQuietTime(preferences, new Date('2025-01-20T23:30:00Z'))).toBe(false);
+    });
+  });
+
+  describe('getPreferences', () => {
+    it('should return the preferences with their defaults', async () => {
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ notificationPreferences: { digest: { enabled: true } } })
+      });
+
+      const result = await NotificationPreferenceService.getPreferences(userId);
+
+      expect(result.data.preferences).toEqual({
+        channels: {},
+        quietHours: { enabled: false, start: '22:00', end: '07:00', timezone: 'UTC' },
+        digest: { enabled: true, hour: 8 }
+      });
+      expect(result.data.defaults.CONTRIBUTION_REMINDER).toEqual(['IN_APP', 'EMAIL']);
+    });
+
+    it('should throw error if user not found', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      await expect(NotificationPreferenceService.getPreferences(userId)).rejects.toThrow('User not found');
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should replace the preferences of the user', async () => {
+      const preferences = { channels: { CONTRIBUTION_REMINDER: ['EMAIL'] } };
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ notificationPreferences: preferences })
+      });
+
+      const result = await NotificationPreferenceService.updatePreferences(userId, preferences);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        userId,
+        { $set: { notificationPreferences: preferences } },
+        { new: true, runValidators: true }
+      );
+      expect(result.data.preferences.channels).toEqual({ CONTRIBUTION_REMINDER: ['EMAIL'] });
+    });
+  });
+});
@@ -0,0 +1,362 @@
+const NotificationService = require('../../../src/services/NotificationService');
+const Notification = require('../../../src/models/Notification');
+const User = require('../../../src/models/User');
+const { getSink } = require('../../../src/transports');
+
+// Mock dependencies
+jest.mock('../../../src/models/Notification');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/utils/logger');
+
+describe('NotificationService', () => {
+  const userId = '507f1f77bcf86cd799439013';
+  const notificationId = '507f1f77bcf86cd799439020';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NotificationService.setSocketServer(null);
+    getSink().clear();
+  });
+
+  const mockUser = (notificationPreferences, preferredLanguage = 'en') => {
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        _id: userId,
+        firstName: 'Alice',
+        email: 'alice@example.com',
+        preferredLanguage,
+        notificationPreferences
+      })
+    });
+  };
+
+  describe('notifyUser', () => {
+    const now = new Date('2025-01-20T12:00:00Z');
+    const payload = {
+      type: 'CONTRIBUTION_REMINDER',
+      variant: 'today',
+      params: { amount: 100, currency: 'XOF', groupName: 'Tontine Quartier', days: 0, dueDate: '2025-01-20' },
+      data: { groupId: '507f1f77bcf86cd799439011' }
+    };
+    const message = 'Your contribution of 100 XOF to Tontine Quartier is due today (2025-01-20).';
+
+    beforeEach(() => {
+      Notification.create.mockImplementation(doc => Promise.resolve({ ...doc, toJSON: jest.fn() }));
+    });
+
+    it('should store the notification and deliver the default channels', async () => {
+      const mockNotification = { _id: notificationId, toJSON: jest.fn() };
+      mockUser();
+      Notification.create.mockResolvedValue(mockNotification);
+
+      const result = await NotificationService.notifyUser(userId, payload, now);
+
+      expect(Notification.create).toHaveBeenCalledWith({
+        user: userId,
+        type: 'CONTRIBUTION_REMINDER',
+        locale: 'en',
+        title: 'Contribution reminder',
+        message,
+        data: payload.data,
+        channels: ['IN_APP', 'EMAIL'],
+        deferredChannels: []
+      });
+      expect(result).toEqual({
+        notification: mockNotification,
+        delivered: ['IN_APP', 'EMAIL'],
+        failed: [],
+        deferred: []
+      });
+    });
+
+    it('should render the notification in the language of the user', async () => {
+      mockUser(undefined, 'fr');
+
+      await NotificationService.notifyUser(userId, payload, now);
+
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        locale: 'fr',
+        title: 'Rappel de cotisation',
+        message: 'Votre cotisation de 100 XOF à la tontine Tontine Quartier est due aujourd\'hui (2025-01-20).'
+      }));
+      expect(getSink().getMessages({ channel: 'EMAIL' })).toEqual([expect.objectContaining({
+        to: 'alice@example.com',
+        subject: 'Rappel de cotisation',
+        text: expect.stringMatching(/^Bonjour Alice,/)
+      })]);
+    });
+
+    it('should lay out Arabic emails right-to-left', async () => {
+      mockUser(undefined, 'ar');
+
+      await NotificationService.notifyUser(userId, payload, now);
+
+      const [email] = getSink().getMessages({ channel: 'EMAIL' });
+      expect(email.subject).toBe('تذكير بالمساهمة');
+      expect(email.html).toContain('<html lang="ar" dir="rtl">');
+      expect(email.html).toContain('text-align: right;');
+    });
+
+    it('should use the text of the caller for events without a template', async () => {
+      mockUser({ channels: { GROUP_ANNOUNCEMENT: ['IN_APP'] } });
+
+      await NotificationService.notifyUser(userId, {
+        type: 'GROUP_ANNOUNCEMENT',
+        title: 'Meeting moved',
+        message: 'The meeting is now on Friday.'
+      }, now);
+
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'Meeting moved',
+        message: 'The meeting is now on Friday.'
+      }));
+    });
+
+    it('should send nothing when the user turned the event off', async () => {
+      mockUser({ channels: new Map([['CONTRIBUTION_REMINDER', []]]) });
+
+      const result = await NotificationService.notifyUser(userId, payload, now);
+
+      expect(Notification.create).not.toHaveBeenCalled();
+      expect(result.notification).toBeNull();
+    });
+
+    it('should hold back email and live push during quiet hours', async () => {
+      const emit = jest.fn();
+      NotificationService.setSocketServer({ to: jest.fn().mockReturnValue({ emit }) });
+      mockUser({ quietHours: { enabled: true, start: '11:00', end: '13:00', timezone: 'UTC' } });
+      Notification.create.mockResolvedValue({ toJSON: jest.fn() });
+
+      const result = await NotificationService.notifyUser(userId, payload, now);
+
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ deferredChannels: ['EMAIL'] }));
+      expect(getSink().getMessages()).toHaveLength(0);
+      expect(emit).not.toHaveBeenCalled();
+      expect(result.deferred).toEqual(['EMAIL']);
+    });
+
+    it('should hold back email for the digest', async () => {
+      mockUser({ digest: { enabled: true, hour: 8 } });
+      Notification.create.mockResolvedValue({ toJSON: jest.fn() });
+
+      const result = await NotificationService.notifyUser(userId, payload, now);
+
+      expect(getSink().getMessages()).toHaveLength(0);
+      expect(result.delivered).toEqual(['IN_APP']);
+      expect(result.deferred).toEqual(['EMAIL']);
+    });
+
+    it('should push the notification to the connected user', async () => {
+      const emit = jest.fn();
+      const io = { to: jest.fn().mockReturnValue({ emit }) };
+      mockUser({ channels: { CONTRIBUTION_REMINDER: ['IN_APP'] } });
+      Notification.create.mockResolvedValue({ toJSON: () => ({ _id: notificationId }) });
+      NotificationService.setSocketServer(io);
+
+      await NotificationService.notifyUser(userId, payload, now);
+
+      expect(io.to).toHaveBeenCalledWith(`user:${userId}`);
+      expect(emit).toHaveBeenCalledWith('notification', { _id: notificationId });
+    });
+
+    it('should send text and push messages through their transports', async () => {
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: userId,
+          firstName: 'Alice',
+          phone: '+212600000000',
+          preferredLanguage: 'en',
+          notificationPreferences: { channels: { CONTRIBUTION_REMINDER: ['SMS', 'PUSH'] } }
+        })
+      });
+
+      const result = await NotificationService.notifyUser(userId, payload, now);
+
+      expect(result.delivered).toEqual(['SMS', 'PUSH']);
+      expect(getSink().getMessages({ channel: 'SMS' })).toEqual([expect.objectContaining({
+        to: '+212600000000',
+        text: `Contribution reminder: ${message}`
+      })]);
+      expect(getSink().getMessages({ channel: 'PUSH' })).toEqual([expect.objectContaining({
+        to: userId,
+        data: payload.data
+      })]);
+    });
+
+    it('should report the channels that failed', async () => {
+      mockUser({ channels: { CONTRIBUTION_REMINDER: ['EMAIL', 'SMS'] } });
+      Notification.create.mockResolvedValue({ toJSON: jest.fn() });
+      jest.spyOn(getSink(), 'send').mockRejectedValueOnce(new Error('Connection refused'));
+
+      const result = await NotificationService.notifyUser(userId, payload, now);
+
+      expect(result.delivered).toEqual([]);
+      expect(result.failed).toEqual(['EMAIL', 'SMS']);
+    });
+
+    it('should keep the notification if the push fails', async () => {
+      const mockNotification = { toJSON: jest.fn() };
+      mockUser({ channels: { CONTRIBUTION_REMINDER: ['IN_APP'] } });
+      Notification.create.mockResolvedValue(mockNotification);
+      NotificationService.setSocketServer({
+        to: jest.fn(() => {
+          throw new Error('Adapter unavailable');
+        })
+      });
+
+      const result = await NotificationService.notifyUser(userId, payload, now);
+
+      expect(result.notification).toBe(mockNotification);
+    });
+  });
+
+  describe('deliverDeferred', () => {
+    const buildPending = (id, title) => ({
+      _id: id,
+      user: { toString: () => userId },
+      title,
+      message: `${title} message`,
+      deferredChannels: ['EMAIL']
+    });
+
+    const mockPending = (notifications) => {
+      Notification.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(notifications) });
+    };
+
+    it('should send held emails once quiet hours are over', async () => {
+      mockPending([buildPending('n1', 'First'), buildPending('n2', 'Second')]);
+      mockUser({ quietHours: { enabled: true, start: '22:00', end: '07:00', timezone: 'UTC' } });
+      Notification.updateMany.mockResolvedValue({});
+
+      const result = await NotificationService.deliverDeferred(new Date('2025-01-20T08:00:00Z'));
+
+      expect(getSink().getMessages({ channel: 'EMAIL' })).toHaveLength(2);
+      expect(Notification.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['n1', 'n2'] } },
+        { $pull: { deferredChannels: 'EMAIL' } }
+      );
+      expect(result.data).toEqual({ users: 1, sent: 2, failures: [] });
+    });
+
+    it('should wait while the user is in quiet hours', async () => {
+      mockPending([buildPending('n1', 'First')]);
+      mockUser({ quietHours: { enabled: true, start: '22:00', end: '07:00', timezone: 'UTC' } });
+
+      const result = await NotificationService.deliverDeferred(new Date('2025-01-20T23:30:00Z'));
+
+      expect(getSink().getMessages()).toHaveLength(0);
+      expect(Notification.updateMany).not.toHaveBeenCalled();
+      expect(result.data.sent).toBe(0);
+    });
+
+    it('should group held emails into one digest at the digest hour', async () => {
+      mockPending([buildPending('n1', 'First'), buildPending('n2', 'Second')]);
+      mockUser({ digest: { enabled: true, hour: 8 } });
+      Notification.updateMany.mockResolvedValue({});
+
+      const result = await NotificationService.deliverDeferred(new Date('2025-01-20T08:15:00Z'));
+
+      expect(getSink().getMessages()).toEqual([expect.objectContaining({
+        subject: 'Your Tirelire digest: 2 notification(s)',
+        text: expect.stringContaining('- Second: Second message')
+      })]);
+      expect(result.data.sent).toBe(1);
+    });
+
+    it('should keep digest emails until the digest hour', async () => {
+      mockPending([buildPending('n1', 'First')]);
+      mockUser({ digest: { enabled: true, hour: 8 } });
+
+      await NotificationService.deliverDeferred(new Date('2025-01-20T15:00:00Z'));
+
+      expect(getSink().getMessages()).toHaveLength(0);
+      expect(Notification.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getNotifications', () => {
+    it('should list unread notifications with the unread count', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([{ _id: notificationId }])
+      };
+      Notification.find.mockReturnValue(mockQuery);
+      Notification.countDocuments.mockResolvedValue(1);
+      Notification.countUnread.mockResolvedValue(1);
+
+      const result = await NotificationService.getNotifications(userId, { unreadOnly: true });
+
+      expect(Notification.find).toHaveBeenCalledWith({ user: userId, channels: 'IN_APP', readAt: null });
+      expect(result.data.unreadCount).toBe(1);
+      expect(result.data.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+    });
+  });
+
+  describe('markAsRead', () => {
+    it('should mark the notification as read', async () => {
+      const mockNotification = { readAt: null, save: jest.fn().mockResolvedValue() };
+      Notification.findOne.mockResolvedValue(mockNotification);
+      Notification.countUnread.mockResolvedValue(0);
+
+      const result = await NotificationService.markAsRead(notificationId, userId);
+
+      expect(Notification.findOne).toHaveBeenCalledWith({ _id: notificationId, user: userId });
+      expect(mockNotification.readAt).toBeInstanceOf(Date);
+      expect(mockNotification.save).toHaveBeenCalled();
+      expect(result.data.unreadCount).toBe(0);
+    });
+
+    it('should not update a notification already read', async () => {
+      const readAt = new Date('2025-01-01');
+      const mockNotification = { readAt, save: jest.fn() };
+      Notification.findOne.mockResolvedValue(mockNotification);
+      Notification.countUnread.mockResolvedValue(2);
+
+      await NotificationService.markAsRead(notificationId, userId);
+
+      expect(mockNotification.readAt).toBe(readAt);
+      expect(mockNotification.save).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if notification belongs to another user', async () => {
+      Notification.findOne.mockResolvedValue(null);
+
+      await expect(NotificationService.markAsRead(notificationId, userId))
+        .rejects.toThrow('Notification not found');
+    });
+  });
+
+  describe('markAllAsRead', () => {
+    it('should mark every unread notification as read', async () => {
+      Notification.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      const result = await NotificationService.markAllAsRead(userId);
+
+      expect(Notification.updateMany).toHaveBeenCalledWith(
+        { user: userId, channels: 'IN_APP', readAt: null },
+        { $set: { readAt: expect.any(Date) } }
+      );
+      expect(result.data).toEqual({ updated: 3, unreadCount: 0 });
+    });
+  });
+
+  describe('deleteNotification', () => {
+    it('should delete the notification', async () => {
+      Notification.findOneAndDelete.mockResolvedValue({ _id: notificationId });
+      Notification.countUnread.mockResolvedValue(4);
+
+      const result = await NotificationService.deleteNotification(notificationId, userId);
+
+      expect(Notification.findOneAndDelete).toHaveBeenCalledWith({ _id: notificationId, user: userId });
+      expect(result.data.unreadCount).toBe(4);
+    });
+
+    it('should throw error if notification not found', async () => {
+      Notification.findOneAndDelete.mockResolvedValue(null);
+
+      await expect(NotificationService.deleteNotification(notificationId, userId))
+        .rejects.toThrow('Notification not found');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const OwnershipTransferService = require('../../../src/services/OwnershipTransferService');
+const OwnershipTransfer = require('../../../src/models/OwnershipTransfer');
+const Group = require('../../../src/models/Group');
+const NotificationService = require('../../../src/services/NotificationService');
+
+// Mock dependencies
+jest.mock('../../../src/models/OwnershipTransfer');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/services/NotificationService');
+jest.mock('../../../src/utils/logger');
+
+describe('OwnershipTransferService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const transferId = '507f1f77bcf86cd799439012';
+  const creatorId = '507f1f77bcf86cd799439013';
+  const newOwnerId = '507f1f77bcf86cd799439014';
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    name: 'Tontine Quartier',
+    creator: { toString: () => creatorId },
+    members: [
+      { user: creatorId, role: 'ADMIN', status: 'ACTIVE' },
+      { user: newOwnerId, role: 'MEMBER', status: 'ACTIVE' }
+    ],
+    ...overrides
+  });
+
+  const buildTransfer = (overrides = {}) => ({
+    _id: transferId,
+    group: groupId,
+    fromUser: { toString: () => creatorId },
+    toUser: { toString: () => newOwnerId },
+    status: 'PENDING',
+    isExpired: jest.fn().mockReturnValue(false),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requestTransfer', () => {
+    it('should create a transfer and notify the new owner', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      OwnershipTransfer.findPendingByGroup.mockResolvedValue(null);
+      OwnershipTransfer.create.mockImplementation(data => Promise.resolve({ _id: transferId, ...data }));
+      NotificationService.notifyUser.mockResolvedValue();
+
+      const result = await OwnershipTransferService.requestTransfer(groupId, { newOwnerId }, creatorId);
+
+      expect(result.message).toBe('Ownership transfer requested successfully');
+      expect(OwnershipTransfer.create).toHaveBeenCalledWith(expect.objectContaining({
+        group: groupId,
+        fromUser: creatorId,
+        toUser: newOwnerId
+      }));
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(newOwnerId, expect.objectContaining({
+        type: 'OWNERSHIP_TRANSFER_REQUESTED'
+      }));
+    });
+
+    it('should replace an expired pending transfer', async () => {
+      const expired = buildTransfer({ isExpired: jest.fn().mockReturnValue(true) });
+
+      Group.findById.mockResolvedValue(buildGroup());
+      OwnershipTransfer.findPendingByGroup.mockResolvedValue(expired);
+      OwnershipTransfer.create.mockResolvedValue({ _id: transferId });
+
+      await OwnershipTransferService.requestTransfer(groupId, { newOwnerId }, creatorId);
+
+      expect(expired.status).toBe('CANCELLED');
+      expect(expired.save).toHaveBeenCalled();
+      expect(OwnershipTransfer.create).toHaveBeenCalled();
+    });
+
+    it('should throw error if user is not the creator', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(OwnershipTransferService.requestTransfer(groupId, { newOwnerId: creatorId }, newOwnerId))
+        .rejects.toThrow('Only the group creator can transfer ownership');
+    });
+
+    it('should throw error if new owner is not an active member', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(OwnershipTransferService.requestTransfer(
+        groupId,
+        { newOwnerId: '507f1f77bcf86cd799439099' },
+        creatorId
+      )).rejects.toThrow('New owner must be an active member of the group');
+    });
+
+    it('should throw error if a transfer is already pending', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      OwnershipTransfer.findPendingByGroup.mockResolvedValue(buildTransfer());
+
+      await expect(OwnershipTransferService.requestTransfer(groupId, { newOwnerId }, creatorId))
+        .rejects.toThrow('An ownership transfer is already pending for this group');
+    });
+  });
+
+  describe('acceptTransfer', () => {
+    it('should move the creator and make the new owner admin', async () => {
+      const mockTransfer = buildTransfer();
+      const updatedGroup = buildGroup({ creator: newOwnerId });
+
+      OwnershipTransfer.findOne.mockResolvedValue(mockTransfer);
+      Group.findOneAndUpdate.mockResolvedValue(updatedGroup);
+      NotificationService.notifyUser.mockResolvedValue();
+
+      const result = await OwnershipTransferService.acceptTransfer(groupId, transferId, newOwnerId);
+
+      expect(result.data.group).toBe(updatedGroup);
+      expect(mockTransfer.status).toBe('ACCEPTED');
+      expect(Group.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: groupId,
+          creator: mockTransfer.fromUser,
+          members: { $elemMatch: { user: mockTransfer.toUser, status: 'ACTIVE' } }
+        },
+        { $set: { creator: mockTransfer.toUser, 'members.$[newOwner].role': 'ADMIN' } },
+        { arrayFilters: [{ 'newOwner.user': mockTransfer.toUser }], new: true }
+      );
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(creatorId, expect.objectContaining({
+        type: 'OWNERSHIP_TRANSFER_ACCEPTED'
+      }));
+    });
+
+    it('should throw error if ownership changed meanwhile', async () => {
+      const mockTransfer = buildTransfer();
+
+      OwnershipTransfer.findOne.mockResolvedValue(mockTransfer);
+      Group.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(OwnershipTransferService.acceptTransfer(groupId, transferId, newOwnerId))
+        .rejects.toThrow('Group ownership changed since the transfer was requested');
+      expect(mockTransfer.save).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if someone else tries to accept', async () => {
+      OwnershipTransfer.findOne.mockResolvedValue(buildTransfer());
+
+      await expect(OwnershipTransferService.acceptTransfer(groupId, transferId, creatorId))
+        .rejects.toThrow('Only the designated member can accept this transfer');
+    });
+
+    it('should throw error if transfer has expired', async () => {
+      OwnershipTransfer.findOne.mockResolvedValue(buildTransfer({ isExpired: jest.fn().mockReturnValue(true) }));
+
+      await expect(OwnershipTransferService.acceptTransfer(groupId, transferId, newOwnerId))
+        .rejects.toThrow('Ownership transfer is no longer pending');
+    });
+  });
+
+  describe('declineTransfer', () => {
+    it('should decline the transfer and notify the creator', async () => {
+      const mockTransfer = buildTransfer();
+      OwnershipTransfer.findOne.mockResolvedValue(mockTransfer);
+      NotificationService.notifyUser.mockResolvedValue();
+
+      await OwnershipTransferService.declineTransfer(groupId, transferId, newOwnerId);
+
+      expect(mockTransfer.status).toBe('DECLINED');
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(creatorId, expect.objectContaining({
+        type: 'OWNERSHIP_TRANSFER_DECLINED'
+      }));
+    });
+
+    it('should decline the transfer even if the creator cannot be notified', async () => {
+      const mockTransfer = buildTransfer();
+      OwnershipTransfer.findOne.mockResolvedValue(mockTransfer);
+      NotificationService.notifyUser.mockRejectedValue(new Error('Push service unavailable'));
+
+      const result = await OwnershipTransferService.declineTransfer(groupId, transferId, newOwnerId);
+
+      expect(result.success).toBe(true);
+      expect(mockTransfer.status).toBe('DECLINED');
+    });
+  });
+
+  describe('cancelTransfer', () => {
+    it('should throw error if user is not the creator', async () => {
+      OwnershipTransfer.findOne.mockResolvedValue(buildTransfer());
+
+      await expect(OwnershipTransferService.cancelTransfer(groupId, transferId, newOwnerId))
+        .rejects.toThrow('Only the group creator can cancel this transfer');
+    });
+  });
+});
@@ -2,11 +2,18 @@ const PaymentService = require('../../../src/services/PaymentService');
 const Payment = require('../../../src/models/Payment');
 const Contribution = require('../../../src/models/Contribution');
 const User = require('../../../src/models/User');
+const ContributionPaymentService = require('../../../src/services/ContributionPaymentService');
+const NotificationService = require('../../../src/services/NotificationService');
+const WebhookService = require('../../../src/services/WebhookService');
+const { buildPaymentReference } = require('../../../src/utils/paymentReference');
 
 // Mock dependencies
 jest.mock('../../../src/models/Payment');
 jest.mock('../../../src/models/Contribution');
 jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/ContributionPaymentService');
+jest.mock('../../../src/services/NotificationService');
+jest.mock('../../../src/services/WebhookService');
 
 describe('PaymentService', () => {
   beforeEach(() => {
@@ -14,6 +21,17 @@ describe('PaymentService', () => {
   });
 
   describe('createBankTransferPayment', () => {
+    const mockContribution = {
+      _id: '507f1f77bcf86cd799439012',
+      group: '507f1f77bcf86cd799439011',
+      cycleNumber: 2,
+      user: '507f1f77bcf86cd799439013'
+    };
+
+    beforeEach(() => {
+      Contribution.findById.mockResolvedValue(mockContribution);
+    });
+
     it('should create bank transfer payment successfully', async () => {
       const paymentData = {
         userId: '507f1f77bcf86cd799439013',
@@ -38,7 +56,64 @@ describe('PaymentService', () => {
 
       expect(result).toBeDefined();
       expect(result._id).toBe(mockPayment._id);
-      expect(Payment.create).toHaveBeenCalled();
+      expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({
+        reference: buildPaymentReference(mockContribution.group, 2, mockContribution.user)
+      }));
+    });
+
+    it('should store the reference the member gave in its canonical form', async () => {
+      const canonical = buildPaymentReference(mockContribution.group, 2, mockContribution.user);
+      User.findById.mockResolvedValue({ _id: mockContribution.user });
+      ContributionPaymentService.assertPaymentReference.mockReturnValue(canonical);
+      Payment.create.mockImplementation(doc => Promise.resolve(doc));
+
+      const result = await PaymentService.createBankTransferPayment({
+        userId: mockContribution.user,
+        contributionId: mockContribution._id,
+        amount: 100,
+        reference: canonical.toLowerCase().replace(/-/g, ' ')
+      });
+
+      expect(ContributionPaymentService.assertPaymentReference)
+        .toHaveBeenCalledWith(mockContribution, canonical.toLowerCase().replace(/-/g, ' '));
+      expect(result.reference).toBe(canonical);
+    });
+
+    it('should refuse a reference that belongs to another contribution', async () => {
+      User.findById.mockResolvedValue({ _id: mockContribution.user });
+      ContributionPaymentService.assertPaymentReference.mockImplementation(() => {
+        throw new Error('Payment reference does not belong to this contribution');
+      });
+
+      await expect(PaymentService.createBankTransferPayment({
+        userId: mockContribution.user,
+        contributionId: mockContribution._id,
+        amount: 100,
+        reference: buildPaymentReference(mockContribution.group, 3, mockContribution.user)
+      })).rejects.toThrow('Payment reference does not belong to this contribution');
+      expect(Payment.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if the user does not owe the contribution', async () => {
+      User.findById.mockResolvedValue({ _id: '507f1f77bcf86cd799439099' });
+
+      await expect(PaymentService.createBankTransferPayment({
+        userId: '507f1f77bcf86cd799439099',
+        contributionId: mockContribution._id,
+        amount: 100
+      })).rejects.toThrow('Only the member who owes a contribution can pay it');
+      expect(Payment.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if contribution not found', async () => {
+      User.findById.mockResolvedValue({ _id: mockContribution.user });
+      Contribution.findById.mockResolvedValue(null);
+
+      await expect(PaymentService.createBankTransferPayment({
+        userId: mockContribution.user,
+        contributionId: mockContribution._id,
+        amount: 100
+      })).rejects.toThrow('Contribution not found');
     });
 
     it('should throw error if user not found', async () => {
@@ -132,6 +207,21 @@ describe('PaymentService', () => {
     });
   });
 
+  describe('getUserPayments', () => {
+    it('should list all the payments of the user, most recent first', async () => {
+      const userId = '507f1f77bcf86cd799439013';
+      const mockPayments = [{ _id: '507f1f77bcf86cd799439014', user: userId, amount: 100 }];
+      const sort = jest.fn().mockResolvedValue(mockPayments);
+      Payment.find.mockReturnValue({ sort });
+
+      const result = await PaymentService.getUserPayments(userId);
+
+      expect(Payment.find).toHaveBeenCalledWith({ user: userId });
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(result.data.payments).toEqual(mockPayments);
+    });
+  });
+
   describe('getPaymentById', () => {
     it('should get payment by ID successfully', async () => {
       const paymentId = '507f1f77bcf86cd799439014';
@@ -200,6 +290,62 @@ describe('PaymentService', () => {
       expect(result).toBeDefined();
       expect(mockPayment.status).toBe('SUCCEEDED');
       expect(mockPayment.save).toHaveBeenCalled();
+      expect(ContributionPaymentService.applyPayment).not.toHaveBeenCalled();
+    });
+
+    it('should apply the verified transfer to its contribution', async () => {
+      const paymentId = '507f1f77bcf86cd799439014';
+      const adminUserId = '507f1f77bcf86cd799439013';
+      const contributionId = '507f1f77bcf86cd799439012';
+      const payerId = '507f1f77bcf86cd799439015';
+
+      const mockPayment = {
+        _id: paymentId,
+        user: payerId,
+        contribution: contributionId,
+        method: 'BANK_TRANSFER',
+        status: 'PENDING',
+        save: jest.fn().mockResolvedValue()
+      };
+
+      Payment.findById.mockResolvedValue(mockPayment);
+      ContributionPaymentService.applyPayment.mockResolvedValue({ success: true });
+
+      await PaymentService.verifyBankTransfer({ paymentId, adminUserId });
+
+      expect(ContributionPaymentService.applyPayment).toHaveBeenCalledWith(contributionId, paymentId, payerId);
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(payerId, expect.objectContaining({
+        type: 'PAYMENT_VERIFIED'
+      }));
+      expect(WebhookService.emit).toHaveBeenCalledWith('payment.verified', expect.objectContaining({
+        paymentId,
+        contributionId,
+        userId: payerId,
+        method: 'BANK_TRANSFER'
+      }));
+    });
+
+    it('should keep the transfer verified if it cannot be applied', async () => {
+      const mockPayment = {
+        _id: '507f1f77bcf86cd799439014',
+        user: '507f1f77bcf86cd799439015',
+        contribution: '507f1f77bcf86cd799439012',
+        method: 'BANK_TRANSFER',
+        status: 'PENDING',
+        save: jest.fn().mockResolvedValue()
+      };
+
+      Payment.findById.mockResolvedValue(mockPayment);
+      ContributionPaymentService.applyPayment.mockRejectedValue(
+        new Error('Payment exceeds the remaining balance of this contribution')
+      );
+
+      const result = await PaymentService.verifyBankTransfer({
+        paymentId: mockPayment._id,
+        adminUserId: '507f1f77bcf86cd799439013'
+      });
+
+      expect(result.status).toBe('SUCCEEDED');
     });
 
     it('should throw error if payment not found', async () => {
@@ -228,4 +374,57 @@ describe('PaymentService', () => {
         .rejects.toThrow('Not a bank transfer');
     });
   });
+
+  describe('rejectBankTransfer', () => {
+    it('should reject the transfer and tell the payer why', async () => {
+      const payerId = '507f1f77bcf86cd799439015';
+      const mockPayment = {
+        _id: '507f1f77bcf86cd799439014',
+        user: payerId,
+        amount: 100,
+        currency: 'XOF',
+        method: 'BANK_TRANSFER',
+        status: 'PENDING',
+        save: jest.fn().mockResolvedValue()
+      };
+
+      Payment.findById.mockResolvedValue(mockPayment);
+
+      const result = await PaymentService.rejectBankTransfer({
+        paymentId: mockPayment._id,
+        adminUserId: '507f1f77bcf86cd799439013',
+        reason: 'Unreadable proof'
+      });
+
+      expect(result.status).toBe('FAILED');
+      expect(WebhookService.emit).not.toHaveBeenCalled();
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(payerId, expect.objectContaining({
+        type: 'PAYMENT_REJECTED',
+        params: { amount: 100, currency: 'XOF' },
+        data: expect.objectContaining({ reason: 'Unreadable proof' })
+      }));
+    });
+
+    it('should keep the rejection when the payer cannot be notified', async () => {
+      const mockPayment = {
+        _id: '507f1f77bcf86cd799439014',
+        user: '507f1f77bcf86cd799439015',
+        method: 'BANK_TRANSFER',
+        status: 'PENDING',
+        save: jest.fn().mockResolvedValue()
+      };
+
+      Payment.findById.mockResolvedValue(mockPayment);
+      NotificationService.notifyUser.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const result = await PaymentService.rejectBankTransfer({
+        paymentId: mockPayment._id,
+        adminUserId: '507f1f77bcf86cd799439013',
+        reason: 'Unreadable proof'
+      });
+
+      expect(result.status).toBe('FAILED');
+      expect(mockPayment.save).toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,326 @@
+const PayoutScheduleService = require('../../../src/services/PayoutScheduleService');
+const PayoutSchedule = require('../../../src/models/PayoutSchedule');
+const Group = require('../../../src/models/Group');
+const Contribution = require('../../../src/models/Contribution');
+const Payout = require('../../../src/models/Payout');
+
+// Mock dependencies
+jest.mock('../../../src/models/PayoutSchedule');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/models/Payout');
+jest.mock('../../../src/utils/logger');
+
+describe('PayoutScheduleService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const adminId = '507f1f77bcf86cd799439013';
+  const memberIds = [
+    '507f1f77bcf86cd799439013',
+    '507f1f77bcf86cd799439014',
+    '507f1f77bcf86cd799439015'
+  ];
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    creator: { toString: () => adminId },
+    members: memberIds.map((id, index) => ({
+      user: { toString: () => id },
+      role: index === 0 ? 'ADMIN' : 'MEMBER',
+      status: 'ACTIVE',
+      joinedAt: new Date(2030, 0, index + 1)
+    })),
+    settings: {
+      contributionAmount: 100,
+      contributionFrequency: 'MONTHLY',
+      startDate: new Date('2030-02-01T00:00:00.000Z')
+    },
+    isMember: jest.fn().mockReturnValue(true),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateSchedule', () => {
+    it('should generate a join order schedule successfully', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+      PayoutSchedule.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(update));
+
+      const result = await PayoutScheduleService.generateSchedule(groupId, { method: 'JOIN_ORDER' }, adminId);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Payout schedule generated successfully');
+      const { cycles } = result.data.schedule;
+      expect(cycles.map(cycle => cycle.beneficiary)).toEqual(memberIds);
+      expect(cycles.map(cycle => cycle.cycleNumber)).toEqual([1, 2, 3]);
+      expect(cycles[1].dueDate.getMonth()).toBe(2);
+    });
+
+    it('should produce the same random order for the same seed', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+      PayoutSchedule.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(update));
+
+      const first = await PayoutScheduleService.generateSchedule(groupId, { method: 'RANDOM', seed: 'draw-2030' }, adminId);
+      const second = await PayoutScheduleService.generateSchedule(groupId, { method: 'RANDOM', seed: 'draw-2030' }, adminId);
+
+      expect(first.data.schedule.seed).toBe('draw-2030');
+      expect(first.data.schedule.cycles.map(cycle => cycle.beneficiary))
+        .toEqual(second.data.schedule.cycles.map(cycle => cycle.beneficiary));
+      expect([...first.data.schedule.cycles.map(cycle => cycle.beneficiary)].sort()).toEqual(memberIds);
+    });
+
+    it('should store a generated seed when none is provided', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+      PayoutSchedule.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(update));
+
+      const result = await PayoutScheduleService.generateSchedule(groupId, { method: 'RANDOM' }, adminId);
+
+      expect(result.data.schedule.seed).toEqual(expect.any(String));
+    });
+
+    it('should use the admin defined order', async () => {
+      const order = [memberIds[2], memberIds[0], memberIds[1]];
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+      PayoutSchedule.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(update));
+
+      const result = await PayoutScheduleService.generateSchedule(groupId, { method: 'CUSTOM', order }, adminId);
+
+      expect(result.data.schedule.cycles.map(cycle => cycle.beneficiary)).toEqual(order);
+    });
+
+    it('should throw error if custom order is not a permutation of members', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+
+      await expect(PayoutScheduleService.generateSchedule(
+        groupId,
+        { method: 'CUSTOM', order: [memberIds[0], memberIds[0], memberIds[1]] },
+        adminId
+      )).rejects.toThrow('Custom order must list every active member exactly once');
+    });
+
+    it('should throw error if group not found', async () => {
+      Group.findById.mockResolvedValue(null);
+
+      await expect(PayoutScheduleService.generateSchedule(groupId, { method: 'JOIN_ORDER' }, adminId))
+        .rejects.toThrow('Group not found');
+    });
+
+    it('should throw error if user is not admin', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(PayoutScheduleService.generateSchedule(groupId, { method: 'JOIN_ORDER' }, memberIds[1]))
+        .rejects.toThrow('You are not allowed to manage the payout schedule of this group');
+    });
+
+    it('should throw error if payouts have already started', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue({ hasStarted: jest.fn().mockReturnValue(true) });
+
+      await expect(PayoutScheduleService.generateSchedule(groupId, { method: 'JOIN_ORDER' }, adminId))
+        .rejects.toThrow('Payout schedule cannot be changed once payouts have started');
+    });
+  });
+
+  describe('getSchedule', () => {
+    it('should get schedule successfully', async () => {
+      const mockSchedule = {
+        group: groupId,
+        cycles: [
+          { cycleNumber: 1, status: 'SCHEDULED', dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000) }
+        ]
+      };
+
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup
+        .mockResolvedValueOnce(mockSchedule)
+        .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(mockSchedule) });
+
+      const result = await PayoutScheduleService.getSchedule(groupId, memberIds[1]);
+
+      expect(result.success).toBe(true);
+      expect(result.data.schedule).toBe(mockSchedule);
+      expect(Contribution.countDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should refresh cycles whose due date has passed', async () => {
+      const mockSchedule = {
+        group: groupId,
+        cycles: [
+          { cycleNumber: 1, status: 'SCHEDULED', dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+        ]
+      };
+
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup
+        .mockResolvedValueOnce(mockSchedule)
+        .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(mockSchedule) });
+      Contribution.countDocuments.mockResolvedValueOnce(3).mockResolvedValueOnce(0);
+      PayoutSchedule.findOneAndUpdate.mockResolvedValue(mockSchedule);
+
+      await PayoutScheduleService.getSchedule(groupId, memberIds[1]);
+
+      expect(PayoutSchedule.findOneAndUpdate).toHaveBeenCalled();
+    });
+
+    it('should throw error if user has no access', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ isMember: jest.fn().mockReturnValue(false) }));
+
+      await expect(PayoutScheduleService.getSchedule(groupId, '507f1f77bcf86cd799439099'))
+        .rejects.toThrow('Access denied to this group');
+    });
+
+    it('should throw error if schedule has not been generated', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+
+      await expect(PayoutScheduleService.getSchedule(groupId, memberIds[1]))
+        .rejects.toThrow('Payout schedule not found');
+    });
+  });
+
+  describe('refreshCycleStatus', () => {
+    it('should mark cycle as due when all contributions are paid', async () => {
+      Contribution.countDocuments.mockResolvedValueOnce(3).mockResolvedValueOnce(0);
+      PayoutSchedule.findOneAndUpdate.mockResolvedValue({ _id: 'schedule' });
+
+      const result = await PayoutScheduleService.refreshCycleStatus(groupId, 2);
+
+      expect(result).toBe(true);
+      expect(PayoutSchedule.findOneAndUpdate).toHaveBeenCalledWith(
+        { group: groupId, cycles: { $elemMatch: { cycleNumber: 2, status: 'SCHEDULED' } } },
+        { $set: { 'cycles.$.status': 'DUE', 'cycles.$.dueAt': expect.any(Date) } },
+        { new: true }
+      );
+    });
+
+    it('should not mark cycle as due while contributions are unpaid', async () => {
+      Contribution.countDocuments.mockResolvedValueOnce(3).mockResolvedValueOnce(1);
+
+      const result = await PayoutScheduleService.refreshCycleStatus(groupId, 2);
+
+      expect(result).toBe(false);
+      expect(PayoutSchedule.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should put a due cycle back on schedule when a contribution is reopened', async () => {
+      Contribution.countDocuments.mockResolvedValueOnce(3).mockResolvedValueOnce(1);
+      Payout.findActiveForCycle.mockResolvedValue(null);
+
+      await PayoutScheduleService.refreshCycleStatus(groupId, 2);
+
+      expect(PayoutSchedule.updateOne).toHaveBeenCalledWith(
+        { group: groupId, cycles: { $elemMatch: { cycleNumber: 2, status: 'DUE' } } },
+        { $set: { 'cycles.$.status': 'SCHEDULED' }, $unset: { 'cycles.$.dueAt': '' } }
+      );
+    });
+
+    it('should keep a cycle due once its payout is under way', async () => {
+      Contribution.countDocuments.mockResolvedValueOnce(3).mockResolvedValueOnce(1);
+      Payout.findActiveForCycle.mockResolvedValue({ _id: 'payout', status: 'APPROVED' });
+
+      await PayoutScheduleService.refreshCycleStatus(groupId, 2);
+
+      expect(PayoutSchedule.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should not mark cycle as due when no contributions were generated', async () => {
+      Contribution.countDocuments.mockResolvedValueOnce(0);
+
+      const result = await PayoutScheduleService.refreshCycleStatus(groupId, 2);
+
+      expect(result).toBe(false);
+      expect(PayoutSchedule.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeBeneficiary', () => {
+    const [firstId, secondId, thirdId] = memberIds;
+    const fourthId = '507f1f77bcf86cd799439016';
+    const updatedAt = new Date('2030-01-15T00:00:00.000Z');
+
+    const buildSchedule = (statuses) => {
+      const cycles = [firstId, secondId, thirdId, fourthId].map((beneficiary, index) => ({
+        cycleNumber: index + 1,
+        beneficiary,
+        dueDate: new Date(Date.UTC(2030, 1 + index, 1)),
+        status: statuses[index]
+      }));
+      return {
+        _id: 'schedule-id',
+        updatedAt,
+        cycles,
+        getCycleForUser: userId => cycles.find(cycle => cycle.beneficiary === userId)
+      };
+    };
+
+    it('should move the later beneficiaries up and drop the last cycle', async () => {
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule(['PAID_OUT', 'SCHEDULED', 'SCHEDULED', 'SCHEDULED']));
+      PayoutSchedule.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(update.$set));
+      Contribution.updateMany.mockResolvedValue({ modifiedCount: 0 });
+
+      const schedule = await PayoutScheduleService.removeBeneficiary(groupId, secondId);
+
+      expect(PayoutSchedule.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'schedule-id', updatedAt },
+        expect.any(Object),
+        expect.objectContaining({ new: true })
+      );
+      expect(schedule.cycles.map(cycle => [cycle.cycleNumber, cycle.beneficiary])).toEqual([
+        [1, firstId],
+        [2, thirdId],
+        [3, fourthId]
+      ]);
+      expect(schedule.cycles[1].dueDate).toEqual(new Date(Date.UTC(2030, 2, 1)));
+      expect(Contribution.updateMany).toHaveBeenCalledWith(
+        { group: groupId, cycleNumber: 4, status: 'PENDING' },
+        { $set: { status: 'CANCELLED' } }
+      );
+    });
+
+    it('should leave the cycles that are already due with their beneficiary', async () => {
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule(['SCHEDULED', 'DUE', 'SCHEDULED', 'SCHEDULED']));
+      PayoutSchedule.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(update.$set));
+      Contribution.updateMany.mockResolvedValue({ modifiedCount: 0 });
+
+      const schedule = await PayoutScheduleService.removeBeneficiary(groupId, firstId);
+
+      expect(schedule.cycles.map(cycle => [cycle.cycleNumber, cycle.beneficiary, cycle.status])).toEqual([
+        [1, thirdId, 'SCHEDULED'],
+        [2, secondId, 'DUE'],
+        [3, fourthId, 'SCHEDULED']
+      ]);
+    });
+
+    it('should not change the schedule of a member without a cycle left', async () => {
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule(['PAID_OUT', 'SCHEDULED', 'SCHEDULED', 'SCHEDULED']));
+
+      const schedule = await PayoutScheduleService.removeBeneficiary(groupId, firstId);
+
+      expect(schedule).toBeNull();
+      expect(PayoutSchedule.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if the payout of the member is due', async () => {
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule(['PAID_OUT', 'DUE', 'SCHEDULED', 'SCHEDULED']));
+
+      await expect(PayoutScheduleService.removeBeneficiary(groupId, secondId))
+        .rejects.toThrow('You cannot leave the group while your payout is due');
+      expect(PayoutSchedule.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if the schedule changed meanwhile', async () => {
+      PayoutSchedule.findByGroup.mockResolvedValue(buildSchedule(['SCHEDULED', 'SCHEDULED', 'SCHEDULED', 'SCHEDULED']));
+      PayoutSchedule.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(PayoutScheduleService.removeBeneficiary(groupId, thirdId))
+        .rejects.toThrow('Payout schedule has changed, please try again');
+      expect(Contribution.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,470 @@
+const PayoutService = require('../../../src/services/PayoutService');
+const Payout = require('../../../src/models/Payout');
+const PayoutSchedule = require('../../../src/models/PayoutSchedule');
+const AuctionRound = require('../../../src/models/AuctionRound');
+const Group = require('../../../src/models/Group');
+const Contribution = require('../../../src/models/Contribution');
+const Payment = require('../../../src/models/Payment');
+const AuctionService = require('../../../src/services/AuctionService');
+const ContributionPaymentService = require('../../../src/services/ContributionPaymentService');
+const LedgerService = require('../../../src/services/LedgerService');
+const WebhookService = require('../../../src/services/WebhookService');
+
+// Mock dependencies
+jest.mock('../../../src/models/Payout');
+jest.mock('../../../src/models/PayoutSchedule');
+jest.mock('../../../src/models/AuctionRound');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/models/Payment');
+jest.mock('../../../src/services/LedgerService');
+jest.mock('../../../src/services/WebhookService');
+jest.mock('../../../src/utils/logger');
+
+describe('PayoutService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const payoutId = '507f1f77bcf86cd799439012';
+  const adminId = '507f1f77bcf86cd799439013';
+  const beneficiaryId = '507f1f77bcf86cd799439014';
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    creator: { toString: () => adminId },
+    settings: { contributionAmount: 100 },
+    isMember: jest.fn().mockReturnValue(true),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createPayout', () => {
+    it('should create a payout from the paid contributions of the cycle', async () => {
+      const mockSchedule = {
+        getCycle: jest.fn().mockReturnValue({ cycleNumber: 2, beneficiary: beneficiaryId, status: 'DUE' })
+      };
+      const mockContributions = [
+        { _id: 'c1', amount: 100 },
+        { _id: 'c2', amount: 100 },
+        { _id: 'c3', amount: 100 }
+      ];
+
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(mockSchedule);
+      Payout.findActiveForCycle.mockResolvedValue(null);
+      Contribution.find.mockResolvedValue(mockContributions);
+      Payout.create.mockImplementation(data => Promise.resolve({ _id: payoutId, ...data }));
+
+      const result = await PayoutService.createPayout(groupId, { cycleNumber: 2 }, adminId);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Payout created successfully');
+      expect(Contribution.find).toHaveBeenCalledWith({ group: groupId, cycleNumber: 2, status: 'PAID' });
+      expect(Payout.create).toHaveBeenCalledWith(expect.objectContaining({
+        group: groupId,
+        cycleNumber: 2,
+        beneficiary: beneficiaryId,
+        amount: 300,
+        currency: 'XOF',
+        contributions: ['c1', 'c2', 'c3'],
+        requestedBy: adminId
+      }));
+    });
+
+    it('should deduct the winning discount in auction mode', async () => {
+      Group.findById.mockResolvedValue(buildGroup({
+        settings: { contributionAmount: 100, tontineMode: 'AUCTION' }
+      }));
+      PayoutSchedule.findByGroup.mockResolvedValue({
+        getCycle: jest.fn().mockReturnValue({ cycleNumber: 2, beneficiary: beneficiaryId, status: 'DUE' })
+      });
+      Payout.findActiveForCycle.mockResolvedValue(null);
+      Contribution.find.mockResolvedValue([{ _id: 'c1', amount: 100 }, { _id: 'c2', amount: 100 }]);
+      AuctionRound.findForCycle.mockResolvedValue({ status: 'AWARDED', discount: 30 });
+      Payout.create.mockImplementation(data => Promise.resolve({ _id: payoutId, ...data }));
+
+      await PayoutService.createPayout(groupId, { cycleNumber: 2 }, adminId);
+
+      expect(Payout.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 170 }));
+    });
+
+    it('should throw error if user is not admin', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(PayoutService.createPayout(groupId, { cycleNumber: 2 }, beneficiaryId))
+        .rejects.toThrow('You are not allowed to manage payouts in this group');
+    });
+
+    it('should throw error if payout is not due yet', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue({
+        getCycle: jest.fn().mockReturnValue({ cycleNumber: 2, beneficiary: beneficiaryId, status: 'SCHEDULED' })
+      });
+
+      await expect(PayoutService.createPayout(groupId, { cycleNumber: 2 }, adminId))
+        .rejects.toThrow('Payout is not due for this cycle');
+    });
+
+    it('should throw error if a payout already exists for the cycle', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue({
+        getCycle: jest.fn().mockReturnValue({ cycleNumber: 2, beneficiary: beneficiaryId, status: 'DUE' })
+      });
+      Payout.findActiveForCycle.mockResolvedValue({ _id: payoutId });
+
+      await expect(PayoutService.createPayout(groupId, { cycleNumber: 2 }, adminId))
+        .rejects.toThrow('A payout already exists for this cycle');
+    });
+
+    it('should throw error if schedule not found', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue(null);
+
+      await expect(PayoutService.createPayout(groupId, { cycleNumber: 2 }, adminId))
+        .rejects.toThrow('Payout schedule not found');
+    });
+  });
+
+  describe('approvePayout', () => {
+    it('should approve a pending payout', async () => {
+      const mockPayout = {
+        _id: payoutId,
+        status: 'PENDING',
+        approve: jest.fn().mockResolvedValue()
+      };
+
+      Group.findById.mockResolvedValue(buildGroup());
+      Payout.findOne.mockResolvedValue(mockPayout);
+
+      const result = await PayoutService.approvePayout(groupId, payoutId, adminId);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Payout approved successfully');
+      expect(mockPayout.approve).toHaveBeenCalledWith(adminId);
+    });
+
+    it('should let a treasurer approve a payout', async () => {
+      const treasurerId = '507f1f77bcf86cd799439015';
+      const mockPayout = {
+        _id: payoutId,
+        status: 'PENDING',
+        approve: jest.fn().mockResolvedValue()
+      };
+
+      Group.findById.mockResolvedValue(buildGroup({
+        members: [{ user: treasurerId, role: 'TREASURER', status: 'ACTIVE' }]
+      }));
+      Payout.findOne.mockResolvedValue(mockPayout);
+
+      await PayoutService.approvePayout(groupId, payoutId, treasurerId);
+
+      expect(mockPayout.approve).toHaveBeenCalledWith(treasurerId);
+    });
+
+    it('should throw error if payout is not pending', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Payout.findOne.mockResolvedValue({ _id: payoutId, status: 'COMPLETED' });
+
+      await expect(PayoutService.approvePayout(groupId, payoutId, adminId))
+        .rejects.toThrow('Only pending payouts can be approved');
+    });
+
+    it('should throw error if payout not found', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Payout.findOne.mockResolvedValue(null);
+
+      await expect(PayoutService.approvePayout(groupId, payoutId, adminId))
+        .rejects.toThrow('Payout not found');
+    });
+  });
+
+  describe('confirmPayout', () => {
+    it('should confirm an approved payout and close the cycle', async () => {
+      const confirmedAt = new Date();
+      const mockPayout = {
+        _id: payoutId,
+        cycleNumber: 2,
+        status: 'APPROVED',
+        confirmedAt,
+        confirm: jest.fn().mockResolvedValue()
+      };
+
+      Group.findById.mockResolvedValue(buildGroup());
+      Payout.findOne.mockResolvedValue(mockPayout);
+      PayoutSchedule.findOneAndUpdate.mockResolvedValue({});
+
+      const result = await PayoutService.confirmPayout(
+        groupId,
+        payoutId,
+        { proofUrl: 'uploads/payouts/proof_123.jpg' },
+        adminId
+      );
+
+      expect(result.success).toBe(true);
+      expect(mockPayout.confirm).toHaveBeenCalledWith(adminId, 'uploads/payouts/proof_123.jpg');
+      expect(PayoutSchedule.findOneAndUpdate).toHaveBeenCalledWith(
+        { group: groupId, cycles: { $elemMatch: { cycleNumber: 2, status: 'DUE' } } },
+        { $set: { 'cycles.$.status': 'PAID_OUT', 'cycles.$.paidOutAt': confirmedAt } }
+      );
+      expect(LedgerService.recordPayout).toHaveBeenCalledWith(mockPayout, adminId);
+      expect(WebhookService.emit).toHaveBeenCalledWith('payout.completed', expect.objectContaining({
+        payoutId,
+        cycleNumber: 2,
+        confirmedAt
+      }));
+    });
+
+    it('should throw error if proof is missing', async () => {
+      await expect(PayoutService.confirmPayout(groupId, payoutId, {}, adminId))
+        .rejects.toThrow('Disbursement proof is required');
+    });
+
+    it('should throw error if payout is not approved', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Payout.findOne.mockResolvedValue({ _id: payoutId, status: 'PENDING' });
+
+      await expect(PayoutService.confirmPayout(
+        groupId,
+        payoutId,
+        { proofUrl: 'uploads/payouts/proof_123.jpg' },
+        adminId
+      )).rejects.toThrow('Only approved payouts can be confirmed');
+    });
+  });
+
+  describe('getGroupPayouts', () => {
+    it('should list payouts successfully', async () => {
+      const mockPayouts = [{ _id: payoutId, cycleNumber: 1 }];
+
+      Group.findById.mockResolvedValue(buildGroup());
+      Payout.find.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          sort: jest.fn().mockReturnValue({
+            skip: jest.fn().mockReturnValue({
+              limit: jest.fn().mockResolvedValue(mockPayouts)
+            })
+          })
+        })
+      });
+      Payout.countDocuments.mockResolvedValue(1);
+
+      const result = await PayoutService.getGroupPayouts(groupId, beneficiaryId, { status: 'COMPLETED' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.payouts).toEqual(mockPayouts);
+      expect(result.data.pagination.total).toBe(1);
+      expect(Payout.find).toHaveBeenCalledWith({ group: groupId, status: 'COMPLETED' });
+    });
+
+    it('should throw error if user has no access', async () => {
+      Group.findById.mockResolvedValue(buildGroup({ isMember: jest.fn().mockReturnValue(false) }));
+
+      await expect(PayoutService.getGroupPayouts(groupId, '507f1f77bcf86cd799439099'))
+        .rejects.toThrow('Access denied to this group');
+    });
+  });
+
+  describe('getCycleReconciliation', () => {
+    it('should compare collected contributions with the disbursed payout', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Contribution.aggregate.mockResolvedValue([{ _id: null, total: 300, count: 3 }]);
+      Payout.findActiveForCycle.mockResolvedValue({ status: 'COMPLETED', amount: 300 });
+
+      const result = await PayoutService.getCycleReconciliation(groupId, '2', adminId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.reconciliation).toEqual({
+        cycleNumber: 2,
+        collected: 300,
+        paidContributions: 3,
+        disbursed: 300,
+        payoutStatus: 'COMPLETED',
+        balance: 0
+      });
+    });
+
+    it('should report undisbursed funds while the payout is pending', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Contribution.aggregate.mockResolvedValue([{ _id: null, total: 300, count: 3 }]);
+      Payout.findActiveForCycle.mockResolvedValue({ status: 'APPROVED', amount: 300 });
+
+      const result = await PayoutService.getCycleReconciliation(groupId, 2, adminId);
+
+      expect(result.data.reconciliation.disbursed).toBe(0);
+      expect(result.data.reconciliation.balance).toBe(300);
+    });
+  });
+
+  describe('auction pot across cycles', () => {
+    // Just enough of MongoDB to run the contribution updates of the services on plain objects
+    const evaluate = (expression, doc) => {
+      if (expression === '$$NOW') {
+        return new Date();
+      }
+      if (typeof expression === 'string' && expression.startsWith('$')) {
+        return doc[expression.slice(1)];
+      }
+      if (Array.isArray(expression)) {
+        return expression.map(item => evaluate(item, doc));
+      }
+      if (!expression || typeof expression !== 'object') {
+        return expression;
+      }
+
+      const [operator] = Object.keys(expression);
+      const args = [].concat(expression[operator]).map(arg => evaluate(arg, doc));
+      switch (operator) {
+        case '$add': return args.reduce((sum, value) => sum + value, 0);
+        case '$subtract': return args[0] - args[1];
+        case '$ifNull': return args[0] === undefined || args[0] === null ? args[1] : args[0];
+        case '$max': return Math.max(...args);
+        case '$min': return Math.min(...args);
+        case '$gte': return args[0] >= args[1];
+        case '$lte': return args[0] <= args[1];
+        case '$cond': return args[0] ? args[1] : args[2];
+        case '$concatArrays': return args.flat();
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    };
+
+    const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+      if (key === '$expr') {
+        return evaluate(condition, doc);
+      }
+      const value = doc[key];
+      if (condition && typeof condition === 'object') {
+        if (condition.$in) {
+          return condition.$in.includes(value);
+        }
+        if (condition.$nin) {
+          return !condition.$nin.includes(value);
+        }
+        if ('$ne' in condition) {
+          return Array.isArray(value) ? !value.includes(condition.$ne) : value !== condition.$ne;
+        }
+      }
+      return value === condition;
+    });
+
+    const members = ['member-a', 'member-b', 'member-c'];
+    let contributions;
+    let payments;
+
+    const generateCycle = (cycleNumber) => {
+      for (const user of members) {
+        contributions.push({
+          _id: `c${cycleNumber}-${user}`,
+          group: groupId,
+          cycleNumber,
+          user,
+          amount: 100,
+          amountPaid: 0,
+          penaltyAmount: 0,
+          creditedAmount: 0,
+          payments: [],
+          status: 'PENDING'
+        });
+      }
+    };
+
+    const pay = (cycleNumber, user, amount) => {
+      const payment = { _id: `p${payments.length + 1}`, user, amount, status: 'SUCCEEDED', appliedAt: null };
+      payments.push(payment);
+      return ContributionPaymentService.applyPayment(`c${cycleNumber}-${user}`, payment._id, user);
+    };
+
+    const contributionOf = (cycleNumber, user) => contributions.find(item => item._id === `c${cycleNumber}-${user}`);
+
+    beforeEach(() => {
+      contributions = [];
+      payments = [];
+
+      Contribution.findById.mockImplementation(id => Promise.resolve(contributions.find(item => item._id === id)));
+      Contribution.find.mockImplementation(filter => Promise.resolve(contributions.filter(item => matches(item, filter))));
+      Contribution.countDocuments.mockImplementation(filter =>
+        Promise.resolve(contributions.filter(item => matches(item, filter)).length));
+      Contribution.findOneAndUpdate.mockImplementation((filter, pipeline) => {
+        const doc = contributions.find(item => matches(item, filter));
+        if (!doc) {
+          return Promise.resolve(null);
+        }
+        for (const { $set } of pipeline) {
+          const values = Object.entries($set).map(([field, expression]) => [field, evaluate(expression, doc)]);
+          Object.assign(doc, Object.fromEntries(values));
+        }
+        return Promise.resolve({ ...doc });
+      });
+
+      Payment.findById.mockImplementation(id => Promise.resolve(payments.find(item => item._id === id)));
+      Payment.findOneAndUpdate.mockImplementation(({ _id }, { $set }) => {
+        const payment = payments.find(item => item._id === _id);
+        Object.assign(payment, $set);
+        return Promise.resolve({ ...payment });
+      });
+
+      AuctionRound.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      PayoutSchedule.findOneAndUpdate.mockResolvedValue(null);
+      Payout.findActiveForCycle.mockResolvedValue(null);
+      Payout.create.mockImplementation(data => Promise.resolve({ _id: payoutId, ...data }));
+      Group.findById.mockResolvedValue(buildGroup({
+        members: members.map(user => ({ user: { toString: () => user }, status: 'ACTIVE' })),
+        creator: { toString: () => adminId },
+        settings: { contributionAmount: 100, tontineMode: 'AUCTION' }
+      }));
+    });
+
+    it('should pay the next beneficiary the whole pot once the discount credits are settled', async () => {
+      const round1 = {
+        _id: 'round1',
+        cycleNumber: 1,
+        status: 'AWARDED',
+        discount: 60,
+        credits: [
+          { user: 'member-a', amount: 30, applied: false },
+          { user: 'member-b', amount: 30, applied: false }
+        ]
+      };
+      const round2 = { _id: 'round2', cycleNumber: 2, status: 'AWARDED', discount: 45, credits: [] };
+      AuctionRound.findForCycle.mockImplementation((group, cycleNumber) =>
+        Promise.resolve([round1, round2].find(round => round.cycleNumber === cycleNumber) || null));
+      PayoutSchedule.findByGroup.mockResolvedValue({
+        getCycle: cycleNumber => ({ cycleNumber, beneficiary: cycleNumber === 1 ? 'member-c' : 'member-a', status: 'DUE' })
+      });
+
+      // Cycle 1: everybody pays in full and member C wins the pot with a discount of 60
+      generateCycle(1);
+      for (const user of members) {
+        await pay(1, user, 100);
+      }
+      const { data: { payout: payout1 } } = await PayoutService.createPayout(groupId, { cycleNumber: 1 }, adminId);
+      expect(payout1.amount).toBe(240);
+
+      // Cycle 2: member A already paid part of their contribution when the credits come in
+      generateCycle(2);
+      await pay(2, 'member-a', 50);
+      expect(contributionOf(2, 'member-a').status).toBe('PARTIALLY_PAID');
+
+      const applied = await AuctionService.applyDiscountCredits(groupId, 2);
+
+      expect(applied).toBe(2);
+      expect(ContributionPaymentService.getBalance(contributionOf(2, 'member-a')).remaining).toBe(20);
+      expect(ContributionPaymentService.getBalance(contributionOf(2, 'member-b')).remaining).toBe(70);
+
+      await pay(2, 'member-a', 20);
+      await pay(2, 'member-b', 70);
+      await pay(2, 'member-c', 100);
+
+      for (const user of members) {
+        expect(contributionOf(2, user)).toEqual(expect.objectContaining({ amount: 100, status: 'PAID' }));
+      }
+
+      const { data: { payout: payout2 } } = await PayoutService.createPayout(groupId, { cycleNumber: 2 }, adminId);
+      expect(payout2.amount).toBe(300 - 45);
+
+      // The pool only keeps the discount of cycle 2, owed to the members on cycle 3
+      const paidIn = payments.reduce((sum, payment) => sum + payment.amount, 0);
+      expect(paidIn - payout1.amount - payout2.amount).toBe(round2.discount);
+    });
+  });
+});
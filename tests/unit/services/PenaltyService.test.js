@@ -0,0 +1,318 @@
+const PenaltyService = require('../../../src/services/PenaltyService');
+const Penalty = require('../../../src/models/Penalty');
+const Group = require('../../../src/models/Group');
+const Contribution = require('../../../src/models/Contribution');
+const LedgerService = require('../../../src/services/LedgerService');
+
+// Mock dependencies
+jest.mock('../../../src/models/Penalty');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/services/LedgerService');
+jest.mock('../../../src/utils/logger');
+
+describe('PenaltyService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const penaltyId = '507f1f77bcf86cd799439012';
+  const adminId = '507f1f77bcf86cd799439013';
+  const memberId = '507f1f77bcf86cd799439014';
+  const contributionId = '507f1f77bcf86cd799439015';
+  const now = new Date('2025-01-20T12:00:00Z');
+
+  const policy = {
+    enabled: true,
+    flatFee: 10,
+    dailyRate: 1,
+    gracePeriodDays: 2
+  };
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    creator: { toString: () => adminId },
+    members: [{ user: memberId, role: 'MEMBER', status: 'ACTIVE' }],
+    settings: { contributionAmount: 1000, penaltyPolicy: policy },
+    ...overrides
+  });
+
+  const contribution = {
+    _id: contributionId,
+    user: memberId,
+    amount: 1000,
+    dueDate: new Date('2025-01-10T12:00:00Z')
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('computeLatePenalty', () => {
+    it('should charge the flat fee and the daily rate after the grace period', () => {
+      expect(PenaltyService.computeLatePenalty(contribution, policy, now)).toEqual({
+        daysLate: 8,
+        flatFee: 10,
+        dailyAmount: 80
+      });
+    });
+
+    it('should charge nothing within the grace period', () => {
+      const dueYesterday = { ...contribution, dueDate: new Date('2025-01-19T12:00:00Z') };
+
+      expect(PenaltyService.computeLatePenalty(dueYesterday, policy, now)).toEqual({
+        daysLate: 0,
+        flatFee: 0,
+        dailyAmount: 0
+      });
+    });
+
+    it('should cap the total penalty', () => {
+      const capped = PenaltyService.computeLatePenalty(contribution, { ...policy, maxPenalty: 50 }, now);
+
+      expect(capped.flatFee + capped.dailyAmount).toBe(50);
+      expect(capped.dailyAmount).toBe(40);
+    });
+  });
+
+  describe('applyLatePenalties', () => {
+    it('should create missing items and update the daily accrual', async () => {
+      Penalty.find.mockResolvedValue([
+        { _id: penaltyId, contribution: contributionId, type: 'DAILY_RATE', status: 'APPLIED', amount: 70 }
+      ]);
+      Penalty.bulkWrite.mockResolvedValue({ upsertedCount: 1, upsertedIds: { 0: 'p1' } });
+      Penalty.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const count = await PenaltyService.applyLatePenalties(buildGroup(), [contribution], now);
+
+      expect(count).toBe(2);
+      const [insertFlat] = Penalty.bulkWrite.mock.calls[0][0];
+      expect(Penalty.bulkWrite.mock.calls[0][0]).toHaveLength(1);
+      expect(insertFlat.updateOne.filter).toEqual({ contribution: contributionId, type: 'FLAT_FEE' });
+      expect(insertFlat.updateOne.upsert).toBe(true);
+      expect(insertFlat.updateOne.update.$setOnInsert).toEqual(expect.objectContaining({
+        group: groupId,
+        user: memberId,
+        amount: 10
+      }));
+      expect(Penalty.updateOne).toHaveBeenCalledWith(
+        { _id: penaltyId, status: 'APPLIED', amount: 70 },
+        { $set: { amount: 80, daysLate: 8 } }
+      );
+      expect(LedgerService.recordPenaltyCharge).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'FLAT_FEE',
+        amount: 10,
+        total: 10
+      }));
+      expect(LedgerService.recordPenaltyCharge).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'DAILY_RATE',
+        amount: 10,
+        total: 80
+      }));
+      expect(Contribution.updateOne).toHaveBeenCalledWith({ _id: contributionId }, { $inc: { penaltyAmount: 10 } });
+      expect(Contribution.updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not charge items another run wrote first', async () => {
+      Penalty.find.mockResolvedValue([
+        { _id: penaltyId, contribution: contributionId, type: 'DAILY_RATE', status: 'APPLIED', amount: 70 }
+      ]);
+      // The flat fee upsert matched an existing item and the accrual was already updated
+      Penalty.bulkWrite.mockResolvedValue({ upsertedCount: 0, upsertedIds: {} });
+      Penalty.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const count = await PenaltyService.applyLatePenalties(buildGroup(), [contribution], now);
+
+      expect(count).toBe(0);
+      expect(LedgerService.recordPenaltyCharge).not.toHaveBeenCalled();
+      expect(Contribution.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should charge the items written before a bulk write error and rethrow it', async () => {
+      const other = { ...contribution, _id: '507f1f77bcf86cd799439016' };
+      const error = new Error('E11000 duplicate key error');
+      error.result = { upsertedIds: { 0: 'p1' } };
+
+      Penalty.find.mockResolvedValue([]);
+      Penalty.bulkWrite.mockRejectedValue(error);
+
+      await expect(PenaltyService.applyLatePenalties(buildGroup(), [contribution, other], now))
+        .rejects.toThrow('E11000 duplicate key error');
+
+      expect(LedgerService.recordPenaltyCharge).toHaveBeenCalledTimes(1);
+      expect(LedgerService.recordPenaltyCharge).toHaveBeenCalledWith(expect.objectContaining({
+        contribution: contributionId,
+        type: 'FLAT_FEE'
+      }));
+    });
+
+    it('should never charge a reversed item again', async () => {
+      Penalty.find.mockResolvedValue([
+        { contribution: contributionId, type: 'FLAT_FEE', status: 'REVERSED', amount: 10 },
+        { contribution: contributionId, type: 'DAILY_RATE', status: 'REVERSED', amount: 70 }
+      ]);
+
+      const count = await PenaltyService.applyLatePenalties(buildGroup(), [contribution], now);
+
+      expect(count).toBe(0);
+      expect(Penalty.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when the policy is disabled', async () => {
+      const group = buildGroup({ settings: { penaltyPolicy: { ...policy, enabled: false } } });
+
+      const count = await PenaltyService.applyLatePenalties(group, [contribution], now);
+
+      expect(count).toBe(0);
+      expect(Penalty.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addManualPenalty', () => {
+    it('should create the item, add it to what the contribution owes and post it', async () => {
+      const penalty = { _id: penaltyId, group: groupId, user: memberId, type: 'MANUAL', amount: 25 };
+      Penalty.create.mockResolvedValue(penalty);
+
+      const result = await PenaltyService.addManualPenalty(
+        { ...contribution, group: groupId }, 25, 'Missed meeting', adminId
+      );
+
+      expect(result).toBe(penalty);
+      expect(Penalty.create).toHaveBeenCalledWith({
+        contribution: contributionId,
+        group: groupId,
+        user: memberId,
+        type: 'MANUAL',
+        amount: 25,
+        reason: 'Missed meeting',
+        appliedBy: adminId
+      });
+      expect(Contribution.updateOne).toHaveBeenCalledWith({ _id: contributionId }, { $inc: { penaltyAmount: 25 } });
+      expect(LedgerService.recordManualPenalty).toHaveBeenCalledWith(penalty, adminId);
+    });
+  });
+
+  describe('applyDuePenalties', () => {
+    it('should apply penalties to the overdue contributions of each group', async () => {
+      Group.find.mockResolvedValue([buildGroup()]);
+      Contribution.find.mockResolvedValue([contribution]);
+      Penalty.find.mockResolvedValue([]);
+      Penalty.bulkWrite.mockResolvedValue({ upsertedCount: 2, upsertedIds: { 0: 'p1', 1: 'p2' } });
+
+      const result = await PenaltyService.applyDuePenalties(now);
+
+      expect(Contribution.find).toHaveBeenCalledWith({
+        group: groupId,
+        status: { $nin: ['PAID', 'CANCELLED'] },
+        dueDate: { $lt: now }
+      });
+      expect(result.data).toEqual({ groups: 1, charged: 2, failures: [] });
+    });
+  });
+
+  describe('getPenalties', () => {
+    const mockPenaltyQuery = (penalties) => {
+      Penalty.find.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          sort: jest.fn().mockResolvedValue(penalties)
+        })
+      });
+    };
+
+    it('should restrict members to their own penalties', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      mockPenaltyQuery([{ amount: 10, status: 'APPLIED' }, { amount: 40, status: 'REVERSED' }]);
+
+      const result = await PenaltyService.getPenalties(groupId, memberId);
+
+      expect(Penalty.find).toHaveBeenCalledWith({ group: groupId, user: memberId });
+      expect(result.data.total).toBe(10);
+    });
+
+    it('should list every penalty for an admin', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      mockPenaltyQuery([]);
+
+      await PenaltyService.getPenalties(groupId, adminId, { status: 'APPLIED' });
+
+      expect(Penalty.find).toHaveBeenCalledWith({ group: groupId, status: 'APPLIED' });
+    });
+  });
+
+  describe('reversePenalty', () => {
+    it('should reverse an applied penalty', async () => {
+      const mockPenalty = {
+        _id: penaltyId,
+        contribution: contributionId,
+        amount: 80,
+        status: 'APPLIED'
+      };
+      const reversedPenalty = { ...mockPenalty, status: 'REVERSED' };
+
+      Group.findById.mockResolvedValue(buildGroup());
+      Penalty.findOne.mockResolvedValue(mockPenalty);
+      Penalty.claimReversal.mockResolvedValue(reversedPenalty);
+
+      const result = await PenaltyService.reversePenalty(groupId, penaltyId, 'Bank outage', adminId);
+
+      expect(result.message).toBe('Penalty reversed successfully');
+      expect(Penalty.claimReversal).toHaveBeenCalledWith(penaltyId, adminId, 'Bank outage');
+      expect(Contribution.updateOne).toHaveBeenCalledWith({ _id: contributionId }, { $inc: { penaltyAmount: -80 } });
+      expect(LedgerService.recordPenaltyReversal).toHaveBeenCalledWith(reversedPenalty, adminId);
+      expect(result.data.penalty).toBe(reversedPenalty);
+    });
+
+    it('should not take the penalty off twice when it was reversed concurrently', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Penalty.findOne.mockResolvedValue({ _id: penaltyId, contribution: contributionId, amount: 80, status: 'APPLIED' });
+      Penalty.claimReversal.mockResolvedValue(null);
+
+      await expect(PenaltyService.reversePenalty(groupId, penaltyId, 'Bank outage', adminId))
+        .rejects.toThrow('Penalty has already been reversed');
+      expect(Contribution.updateOne).not.toHaveBeenCalled();
+      expect(LedgerService.recordPenaltyReversal).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if user is not allowed', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(PenaltyService.reversePenalty(groupId, penaltyId, 'Bank outage', memberId))
+        .rejects.toThrow('You are not allowed to manage penalties in this group');
+    });
+
+    it('should throw error if reason is missing', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(PenaltyService.reversePenalty(groupId, penaltyId, undefined, adminId))
+        .rejects.toThrow('A reason is required to reverse a penalty');
+    });
+
+    it('should throw error if penalty is already reversed', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Penalty.findOne.mockResolvedValue({ _id: penaltyId, status: 'REVERSED' });
+
+      await expect(PenaltyService.reversePenalty(groupId, penaltyId, 'Bank outage', adminId))
+        .rejects.toThrow('Penalty has already been reversed');
+    });
+  });
+
+  describe('updatePolicy', () => {
+    it('should replace the penalty policy of the group', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Group.findByIdAndUpdate.mockResolvedValue(buildGroup());
+
+      const result = await PenaltyService.updatePolicy(groupId, policy, adminId);
+
+      expect(Group.findByIdAndUpdate).toHaveBeenCalledWith(
+        groupId,
+        { $set: { 'settings.penaltyPolicy': policy } },
+        { new: true, runValidators: true }
+      );
+      expect(result.data.policy).toEqual(policy);
+    });
+
+    it('should throw error if user is not allowed', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(PenaltyService.updatePolicy(groupId, policy, memberId))
+        .rejects.toThrow('You are not allowed to update the settings of this group');
+    });
+  });
+});
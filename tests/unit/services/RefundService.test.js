@@ -0,0 +1,233 @@
+const RefundService = require('../../../src/services/RefundService');
+const LedgerService = require('../../../src/services/LedgerService');
+const PayoutScheduleService = require('../../../src/services/PayoutScheduleService');
+const WebhookService = require('../../../src/services/WebhookService');
+const Payment = require('../../../src/models/Payment');
+const Contribution = require('../../../src/models/Contribution');
+const Group = require('../../../src/models/Group');
+const Refund = require('../../../src/models/Refund');
+const { AMOUNT_DUE } = require('../../../src/utils/contributionBalance');
+
+// Mock dependencies
+jest.mock('../../../src/models/Payment');
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/Refund');
+jest.mock('../../../src/services/LedgerService');
+jest.mock('../../../src/services/PayoutScheduleService');
+jest.mock('../../../src/services/WebhookService');
+jest.mock('../../../src/utils/logger');
+
+describe('RefundService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const contributionId = '507f1f77bcf86cd799439012';
+  const creatorId = '507f1f77bcf86cd799439013';
+  const treasurerId = '507f1f77bcf86cd799439014';
+  const memberId = '507f1f77bcf86cd799439015';
+  const paymentId = '507f1f77bcf86cd799439016';
+
+  const treasurer = { id: treasurerId, role: 'PARTICULIER' };
+
+  const mockGroup = {
+    _id: groupId,
+    creator: { toString: () => creatorId },
+    members: [
+      { user: { toString: () => creatorId }, role: 'ADMIN', status: 'ACTIVE' },
+      { user: { toString: () => treasurerId }, role: 'TREASURER', status: 'ACTIVE' },
+      { user: { toString: () => memberId }, role: 'MEMBER', status: 'ACTIVE' }
+    ]
+  };
+
+  const buildPayment = (overrides = {}) => ({
+    _id: paymentId,
+    user: memberId,
+    contribution: contributionId,
+    amount: 100,
+    currency: 'XOF',
+    status: 'SUCCEEDED',
+    refundedAmount: 0,
+    ...overrides
+  });
+
+  const buildContribution = (overrides = {}) => ({
+    _id: contributionId,
+    group: groupId,
+    user: memberId,
+    amount: 100,
+    amountPaid: 100,
+    status: 'PAID',
+    payments: [paymentId],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Group.findById.mockResolvedValue(mockGroup);
+    Refund.create.mockImplementation(doc => Promise.resolve({ _id: 'r1', ...doc }));
+  });
+
+  describe('refundPayment', () => {
+    it('should refund part of a payment and reopen the contribution', async () => {
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Payment.findOneAndUpdate.mockResolvedValue(buildPayment({ refundedAmount: 40, status: 'PARTIALLY_REFUNDED' }));
+      Contribution.findOneAndUpdate.mockResolvedValue(buildContribution({ amountPaid: 60, status: 'PARTIALLY_PAID' }));
+
+      const result = await RefundService.refundPayment(paymentId, { amount: 40, reason: 'Paid twice' }, treasurer);
+
+      const [filter, pipeline] = Payment.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual(expect.objectContaining({
+        _id: paymentId,
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, 40] }, '$amount'] }
+      }));
+      expect(pipeline[1].$set.status.$cond).toEqual([{ $gte: ['$refundedAmount', '$amount'] }, 'REFUNDED', 'PARTIALLY_REFUNDED']);
+
+      expect(Refund.create).toHaveBeenCalledWith(expect.objectContaining({
+        payment: paymentId,
+        group: groupId,
+        user: memberId,
+        type: 'REFUND',
+        amount: 40,
+        reason: 'Paid twice',
+        initiatedBy: treasurerId
+      }));
+      expect(Contribution.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: contributionId },
+        expect.any(Array),
+        { new: true }
+      );
+      expect(LedgerService.recordPaymentRefund).toHaveBeenCalledWith(expect.objectContaining({ _id: 'r1' }), treasurerId);
+      expect(WebhookService.emit).toHaveBeenCalledWith('payment.refunded', expect.objectContaining({
+        paymentId,
+        amount: 40,
+        paymentStatus: 'PARTIALLY_REFUNDED'
+      }));
+      expect(result.message).toBe('Payment refunded successfully');
+      expect(result.data.contribution.status).toBe('PARTIALLY_PAID');
+    });
+
+    it('should reverse the whole payment', async () => {
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Payment.findOneAndUpdate.mockResolvedValue(buildPayment({ refundedAmount: 100, status: 'REVERSED' }));
+      Contribution.findOneAndUpdate.mockResolvedValue(buildContribution({ amountPaid: 0, status: 'OVERDUE' }));
+
+      const result = await RefundService.refundPayment(
+        paymentId,
+        { type: 'REVERSAL', reason: 'Bank transfer bounced' },
+        { id: creatorId, role: 'PARTICULIER' }
+      );
+
+      expect(Payment.findOneAndUpdate.mock.calls[0][1][1].$set.status).toBe('REVERSED');
+      expect(Refund.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'REVERSAL', amount: 100 }));
+      expect(result.message).toBe('Payment reversed successfully');
+    });
+
+    it('should let a platform admin refund a payment of any group', async () => {
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Payment.findOneAndUpdate.mockResolvedValue(buildPayment({ refundedAmount: 100, status: 'REFUNDED' }));
+      Contribution.findOneAndUpdate.mockResolvedValue(buildContribution({ amountPaid: 0, status: 'PENDING' }));
+
+      await RefundService.refundPayment(paymentId, { reason: 'Member left' }, { id: 'platform-admin', role: 'ADMIN' });
+
+      expect(Group.findById).not.toHaveBeenCalled();
+      expect(Refund.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 100 }));
+    });
+
+    it('should reopen a paid contribution that carries a penalty', async () => {
+      Payment.findById.mockResolvedValue(buildPayment({ amount: 180 }));
+      Contribution.findById.mockResolvedValue(buildContribution({ amountPaid: 180, penaltyAmount: 80, cycleNumber: 3 }));
+      Payment.findOneAndUpdate.mockResolvedValue(buildPayment({ amount: 180, refundedAmount: 50, status: 'PARTIALLY_REFUNDED' }));
+      Contribution.findOneAndUpdate.mockResolvedValue(buildContribution({
+        amountPaid: 130,
+        penaltyAmount: 80,
+        cycleNumber: 3,
+        status: 'PARTIALLY_PAID'
+      }));
+
+      const result = await RefundService.refundPayment(paymentId, { amount: 50, reason: 'Penalty disputed' }, treasurer);
+
+      // 130 paid covers the amount of 100 but not the 80 penalty on top of it
+      const { $set } = Contribution.findOneAndUpdate.mock.calls[0][1][1];
+      expect($set.status.$switch.branches[1]).toEqual({ case: { $gte: ['$amountPaid', AMOUNT_DUE] }, then: 'PAID' });
+      expect($set.paidAt.$cond[0]).toEqual({ $gte: ['$amountPaid', AMOUNT_DUE] });
+      expect(PayoutScheduleService.refreshCycleStatus).toHaveBeenCalledWith(groupId, 3);
+      expect(result.data.contribution.status).toBe('PARTIALLY_PAID');
+    });
+
+    it('should leave the contribution alone when the payment was never applied', async () => {
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findById.mockResolvedValue(buildContribution({ payments: [], amountPaid: 0, status: 'PENDING' }));
+      Payment.findOneAndUpdate.mockResolvedValue(buildPayment({ refundedAmount: 100, status: 'REFUNDED' }));
+
+      await RefundService.refundPayment(paymentId, { reason: 'Wrong group' }, treasurer);
+
+      expect(Contribution.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if user is not allowed to refund', async () => {
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findById.mockResolvedValue(buildContribution());
+
+      await expect(RefundService.refundPayment(paymentId, { reason: 'Please' }, { id: memberId, role: 'PARTICULIER' }))
+        .rejects.toThrow('You are not allowed to refund this payment');
+      expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if the amount exceeds what is left to refund', async () => {
+      Payment.findById.mockResolvedValue(buildPayment({ refundedAmount: 70, status: 'PARTIALLY_REFUNDED' }));
+      Contribution.findById.mockResolvedValue(buildContribution());
+
+      await expect(RefundService.refundPayment(paymentId, { amount: 40, reason: 'Paid twice' }, treasurer))
+        .rejects.toThrow('Refund amount must be between 0 and 30');
+    });
+
+    it('should throw error if the payment is not verified', async () => {
+      Payment.findById.mockResolvedValue(buildPayment({ status: 'PENDING' }));
+      Contribution.findById.mockResolvedValue(buildContribution());
+
+      await expect(RefundService.refundPayment(paymentId, { reason: 'Paid twice' }, treasurer))
+        .rejects.toThrow('Only verified payments can be refunded');
+    });
+
+    it('should throw error if the payment changed concurrently', async () => {
+      Payment.findById.mockResolvedValue(buildPayment());
+      Contribution.findById.mockResolvedValue(buildContribution());
+      Payment.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(RefundService.refundPayment(paymentId, { reason: 'Paid twice' }, treasurer))
+        .rejects.toThrow('Payment has changed, please try again');
+      expect(Refund.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if reason is missing', async () => {
+      await expect(RefundService.refundPayment(paymentId, {}, treasurer))
+        .rejects.toThrow('A reason is required to refund a payment');
+    });
+  });
+
+  describe('getRefunds', () => {
+    it('should list the refunds of a payment to its payer', async () => {
+      const refunds = [{ _id: 'r1', amount: 40 }];
+      Payment.findById.mockResolvedValue(buildPayment({ refundedAmount: 40, status: 'PARTIALLY_REFUNDED' }));
+      Refund.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          populate: jest.fn().mockResolvedValue(refunds)
+        })
+      });
+
+      const result = await RefundService.getRefunds(paymentId, { id: memberId, role: 'PARTICULIER' });
+
+      expect(Refund.find).toHaveBeenCalledWith({ payment: paymentId });
+      expect(result.data.refunds).toBe(refunds);
+      expect(result.data.refundable).toBe(60);
+    });
+
+    it('should throw error if payment not found', async () => {
+      Payment.findById.mockResolvedValue(null);
+
+      await expect(RefundService.getRefunds(paymentId, treasurer)).rejects.toThrow('Payment not found');
+    });
+  });
+});
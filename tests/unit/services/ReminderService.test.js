@@ -0,0 +1,183 @@
+const ReminderService = require('../../../src/services/ReminderService');
+const ReminderLog = require('../../../src/models/ReminderLog');
+const Group = require('../../../src/models/Group');
+const Contribution = require('../../../src/models/Contribution');
+const NotificationService = require('../../../src/services/NotificationService');
+
+// Mock dependencies
+jest.mock('../../../src/models/ReminderLog');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/services/NotificationService');
+jest.mock('../../../src/utils/logger');
+
+describe('ReminderService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const adminId = '507f1f77bcf86cd799439013';
+  const memberId = '507f1f77bcf86cd799439014';
+  const now = new Date('2025-01-20T09:00:00Z');
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    name: 'Tontine Quartier',
+    creator: { toString: () => adminId },
+    members: [{ user: memberId, role: 'MEMBER', status: 'ACTIVE' }],
+    settings: { currency: 'XOF' },
+    ...overrides
+  });
+
+  const buildContribution = (dueDate) => ({
+    _id: '507f1f77bcf86cd799439012',
+    amount: 100,
+    dueDate: new Date(dueDate),
+    user: { toString: () => memberId }
+  });
+
+  const mockContributions = (contributions) => {
+    Contribution.find.mockResolvedValue(contributions);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getOffsets', () => {
+    it('should fall back to the default schedule', () => {
+      expect(ReminderService.getOffsets(buildGroup())).toEqual([-3, 0, 1]);
+    });
+
+    it('should sort the schedule of the group', () => {
+      expect(ReminderService.getOffsets(buildGroup({ settings: { reminderOffsets: [2, -7] } }))).toEqual([-7, 2]);
+    });
+  });
+
+  describe('sendDueReminders', () => {
+    it('should send the reminder of the step reached in the last day', async () => {
+      const mockLog = { save: jest.fn().mockResolvedValue() };
+
+      Group.find.mockResolvedValue([buildGroup()]);
+      mockContributions([buildContribution('2025-01-23T06:00:00Z')]);
+      ReminderLog.create.mockResolvedValue(mockLog);
+      NotificationService.notifyUser.mockResolvedValue({ delivered: ['IN_APP', 'EMAIL'], failed: [], deferred: [] });
+
+      const result = await ReminderService.sendDueReminders(now);
+
+      expect(result.data).toEqual({ groups: 1, sent: 1, failures: [] });
+      expect(ReminderLog.create).toHaveBeenCalledWith(expect.objectContaining({ offsetDays: -3 }));
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(memberId, expect.objectContaining({
+        type: 'CONTRIBUTION_REMINDER',
+        variant: 'before',
+        params: {
+          amount: 100,
+          currency: 'XOF',
+          groupName: 'Tontine Quartier',
+          days: 3,
+          dueDate: '2025-01-23'
+        }
+      }));
+      expect(mockLog.channels).toEqual(['IN_APP', 'EMAIL']);
+    });
+
+    it('should send the overdue reminder after the due date', async () => {
+      Group.find.mockResolvedValue([buildGroup()]);
+      mockContributions([buildContribution('2025-01-19T06:00:00Z')]);
+      ReminderLog.create.mockResolvedValue({ save: jest.fn().mockResolvedValue() });
+      NotificationService.notifyUser.mockResolvedValue({ delivered: ['IN_APP'], failed: [], deferred: [] });
+
+      await ReminderService.sendDueReminders(now);
+
+      expect(ReminderLog.create).toHaveBeenCalledWith(expect.objectContaining({ offsetDays: 1 }));
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(memberId, expect.objectContaining({
+        variant: 'overdue'
+      }));
+    });
+
+    it('should not send a reminder twice', async () => {
+      Group.find.mockResolvedValue([buildGroup()]);
+      mockContributions([buildContribution('2025-01-20T06:00:00Z')]);
+      ReminderLog.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const result = await ReminderService.sendDueReminders(now);
+
+      expect(result.data.sent).toBe(0);
+      expect(NotificationService.notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('should skip contributions between two steps', async () => {
+      Group.find.mockResolvedValue([buildGroup()]);
+      mockContributions([buildContribution('2025-01-22T06:00:00Z')]);
+
+      const result = await ReminderService.sendDueReminders(now);
+
+      expect(result.data.sent).toBe(0);
+      expect(ReminderLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should log the channels that failed or were deferred', async () => {
+      const mockLog = { save: jest.fn().mockResolvedValue() };
+
+      Group.find.mockResolvedValue([buildGroup()]);
+      mockContributions([buildContribution('2025-01-20T06:00:00Z')]);
+      ReminderLog.create.mockResolvedValue(mockLog);
+      NotificationService.notifyUser.mockResolvedValue({ delivered: ['IN_APP'], failed: ['SMS'], deferred: ['EMAIL'] });
+
+      await ReminderService.sendDueReminders(now);
+
+      expect(mockLog.channels).toEqual(['IN_APP', 'EMAIL']);
+      expect(mockLog.failedChannels).toEqual(['SMS']);
+      expect(mockLog.save).toHaveBeenCalled();
+    });
+
+    it('should drop the log so the next run retries a reminder that could not be sent', async () => {
+      const mockLog = { _id: 'log1', save: jest.fn().mockResolvedValue() };
+
+      Group.find.mockResolvedValue([buildGroup()]);
+      mockContributions([buildContribution('2025-01-20T06:00:00Z')]);
+      ReminderLog.create.mockResolvedValue(mockLog);
+      NotificationService.notifyUser.mockRejectedValue(new Error('User not found'));
+
+      const result = await ReminderService.sendDueReminders(now);
+
+      expect(result.data.sent).toBe(0);
+      expect(ReminderLog.deleteOne).toHaveBeenCalledWith({ _id: 'log1' });
+      expect(mockLog.save).not.toHaveBeenCalled();
+    });
+
+    it('should retry a reminder that failed on every channel', async () => {
+      const mockLog = { _id: 'log1', save: jest.fn().mockResolvedValue() };
+
+      Group.find.mockResolvedValue([buildGroup()]);
+      mockContributions([buildContribution('2025-01-20T06:00:00Z')]);
+      ReminderLog.create.mockResolvedValue(mockLog);
+      NotificationService.notifyUser.mockResolvedValue({ delivered: [], failed: ['EMAIL', 'SMS'], deferred: [] });
+
+      const sent = await ReminderService.sendReminder(buildGroup(), buildContribution('2025-01-20T06:00:00Z'), 0);
+
+      expect(sent).toBe(false);
+      expect(ReminderLog.deleteOne).toHaveBeenCalledWith({ _id: 'log1' });
+    });
+  });
+
+  describe('updateSchedule', () => {
+    it('should store a sorted schedule without duplicates', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      Group.findByIdAndUpdate.mockResolvedValue({});
+
+      const result = await ReminderService.updateSchedule(groupId, [1, -3, 0, 1], adminId);
+
+      expect(result.data.offsets).toEqual([-3, 0, 1]);
+      expect(Group.findByIdAndUpdate).toHaveBeenCalledWith(
+        groupId,
+        { $set: { 'settings.reminderOffsets': [-3, 0, 1] } },
+        { runValidators: true }
+      );
+    });
+
+    it('should throw error if user is not allowed', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(ReminderService.updateSchedule(groupId, [0], memberId))
+        .rejects.toThrow('You are not allowed to manage reminders in this group');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const StatementService = require('../../../src/services/StatementService');
+const Group = require('../../../src/models/Group');
+const Contribution = require('../../../src/models/Contribution');
+const Penalty = require('../../../src/models/Penalty');
+const Payout = require('../../../src/models/Payout');
+const { endOfDay } = require('../../../src/utils/dateHelper');
+
+// Mock dependencies
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/models/Contribution');
+jest.mock('../../../src/models/Penalty');
+jest.mock('../../../src/models/Payout');
+jest.mock('../../../src/utils/logger');
+
+describe('StatementService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const adminId = '507f1f77bcf86cd799439013';
+  const treasurerId = '507f1f77bcf86cd799439014';
+  const memberId = '507f1f77bcf86cd799439015';
+
+  const alice = { firstName: 'Alice', lastName: 'Diallo' };
+  const bakary = { firstName: 'Bakary', lastName: 'Traore' };
+
+  const buildGroup = () => ({
+    _id: groupId,
+    name: 'Tontine Quartier',
+    creator: { toString: () => adminId },
+    members: [
+      { user: treasurerId, role: 'TREASURER', status: 'ACTIVE' },
+      { user: memberId, role: 'MEMBER', status: 'ACTIVE' }
+    ],
+    settings: { startDate: new Date('2025-01-01'), currency: 'XOF' }
+  });
+
+  const mockContributions = (contributions) => {
+    Contribution.find.mockReturnValue({
+      populate: jest.fn().mockReturnValue({
+        sort: jest.fn().mockResolvedValue(contributions)
+      })
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildStatement', () => {
+    it('should build a per-cycle statement with penalties and payouts', async () => {
+      const paidAt = new Date('2025-01-05');
+
+      Group.findById.mockResolvedValue(buildGroup());
+      mockContributions([
+        { _id: 'c1', cycleNumber: 1, dueDate: new Date('2025-01-01'), user: alice, amount: 100, amountPaid: 100, status: 'PAID', paidAt },
+        { _id: 'c2', cycleNumber: 1, dueDate: new Date('2025-01-01'), user: bakary, amount: 100, amountPaid: 40, status: 'PARTIALLY_PAID' },
+        { _id: 'c3', cycleNumber: 2, dueDate: new Date('2025-02-01'), user: alice, amount: 100, status: 'PENDING' }
+      ]);
+      Penalty.find.mockResolvedValue([
+        { contribution: 'c2', amount: 10 },
+        { contribution: 'c2', amount: 2.5 }
+      ]);
+      Payout.find.mockReturnValue({
+        populate: jest.fn().mockResolvedValue([
+          { cycleNumber: 1, beneficiary: alice, amount: 140, status: 'COMPLETED', confirmedAt: paidAt }
+        ])
+      });
+
+      const result = await StatementService.buildStatement(groupId, treasurerId, {
+        from: '2025-01-01',
+        to: '2025-02-28'
+      });
+
+      const { statement } = result.data;
+      expect(statement.cycles).toHaveLength(2);
+      expect(statement.cycles[0].rows[1]).toEqual({
+        member: 'Bakary Traore',
+        amountDue: 100,
+        amountPaid: 40,
+        paidAt: null,
+        status: 'PARTIALLY_PAID',
+        penalties: 12.5
+      });
+      expect(statement.cycles[0].totals).toEqual({ amountDue: 200, collected: 140, penalties: 12.5 });
+      expect(statement.cycles[0].payout).toEqual(expect.objectContaining({
+        beneficiary: 'Alice Diallo',
+        amount: 140
+      }));
+      expect(statement.cycles[1].payout).toBeNull();
+      expect(statement.totals).toEqual({ amountDue: 300, collected: 140, penalties: 12.5, paidOut: 140 });
+      expect(Penalty.find).toHaveBeenCalledWith({ contribution: { $in: ['c1', 'c2', 'c3'] }, status: 'APPLIED' });
+    });
+
+    it('should cover the whole last day of the period', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      mockContributions([]);
+      Penalty.find.mockResolvedValue([]);
+      Payout.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+
+      await StatementService.buildStatement(groupId, treasurerId, { from: '2025-01-01', to: '2025-02-28' });
+
+      const { dueDate } = Contribution.find.mock.calls[0][0];
+      expect(dueDate.$lte).toEqual(endOfDay(new Date('2025-02-28')));
+      expect(dueDate.$lte.getTime()).toBeGreaterThan(new Date('2025-02-28').getTime());
+    });
+
+    it('should throw error if user cannot view statements', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(StatementService.buildStatement(groupId, memberId))
+        .rejects.toThrow('You are not allowed to view the statements of this group');
+    });
+
+    it('should throw error if the period is inverted', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(StatementService.buildStatement(groupId, adminId, { from: '2025-03-01', to: '2025-01-01' }))
+        .rejects.toThrow('Statement start date must be before its end date');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const SwapService = require('../../../src/services/SwapService');
+const SwapRequest = require('../../../src/models/SwapRequest');
+const PayoutSchedule = require('../../../src/models/PayoutSchedule');
+const Group = require('../../../src/models/Group');
+const MessageService = require('../../../src/services/MessageService');
+
+// Mock dependencies
+jest.mock('../../../src/models/SwapRequest');
+jest.mock('../../../src/models/PayoutSchedule');
+jest.mock('../../../src/models/Group');
+jest.mock('../../../src/services/MessageService');
+jest.mock('../../../src/utils/logger');
+
+describe('SwapService', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const swapId = '507f1f77bcf86cd799439012';
+  const adminId = '507f1f77bcf86cd799439013';
+  const requesterId = '507f1f77bcf86cd799439014';
+  const counterpartyId = '507f1f77bcf86cd799439015';
+
+  const buildGroup = (overrides = {}) => ({
+    _id: groupId,
+    name: 'Tontine Famille',
+    creator: { toString: () => adminId },
+    isMember: jest.fn().mockReturnValue(true),
+    ...overrides
+  });
+
+  const buildSwap = (overrides = {}) => ({
+    _id: swapId,
+    group: groupId,
+    requester: { toString: () => requesterId },
+    counterparty: { toString: () => counterpartyId },
+    requesterCycle: 5,
+    counterpartyCycle: 2,
+    status: 'PENDING',
+    isOpen: jest.fn().mockReturnValue(true),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('proposeSwap', () => {
+    it('should create a swap request between two scheduled turns', async () => {
+      const getCycleForUser = jest.fn(userId => (
+        userId === requesterId
+          ? { cycleNumber: 5, status: 'SCHEDULED' }
+          : { cycleNumber: 2, status: 'SCHEDULED' }
+      ));
+
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue({ getCycleForUser });
+      SwapRequest.findOpenForMembers.mockResolvedValue(null);
+      SwapRequest.create.mockImplementation(data => Promise.resolve({ _id: swapId, ...data }));
+
+      const result = await SwapService.proposeSwap(groupId, { counterpartyId, message: 'Need it sooner' }, requesterId);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Swap request created successfully');
+      expect(SwapRequest.create).toHaveBeenCalledWith({
+        group: groupId,
+        requester: requesterId,
+        counterparty: counterpartyId,
+        requesterCycle: 5,
+        counterpartyCycle: 2,
+        message: 'Need it sooner'
+      });
+    });
+
+    it('should throw error when swapping with yourself', async () => {
+      await expect(SwapService.proposeSwap(groupId, { counterpartyId: requesterId }, requesterId))
+        .rejects.toThrow('Cannot swap turns with yourself');
+    });
+
+    it('should throw error if a turn has already been paid out', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue({
+        getCycleForUser: jest.fn().mockReturnValue({ cycleNumber: 1, status: 'PAID_OUT' })
+      });
+
+      await expect(SwapService.proposeSwap(groupId, { counterpartyId }, requesterId))
+        .rejects.toThrow('Only turns that have not been paid out can be swapped');
+    });
+
+    it('should throw error if a member already has an open swap', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      PayoutSchedule.findByGroup.mockResolvedValue({
+        getCycleForUser: jest.fn().mockReturnValue({ cycleNumber: 3, status: 'SCHEDULED' })
+      });
+      SwapRequest.findOpenForMembers.mockResolvedValue(buildSwap());
+
+      await expect(SwapService.proposeSwap(groupId, { counterpartyId }, requesterId))
+        .rejects.toThrow('One of these members already has an open swap request');
+    });
+  });
+
+  describe('acceptSwap', () => {
+    it('should let the counterparty accept a pending swap', async () => {
+      const mockSwap = buildSwap();
+      SwapRequest.findOne.mockResolvedValue(mockSwap);
+
+      const result = await SwapService.acceptSwap(groupId, swapId, counterpartyId);
+
+      expect(result.message).toBe('Swap request accepted successfully');
+      expect(mockSwap.status).toBe('ACCEPTED');
+      expect(mockSwap.respondedAt).toBeInstanceOf(Date);
+      expect(mockSwap.save).toHaveBeenCalled();
+    });
+
+    it('should throw error if user is not the counterparty', async () => {
+      SwapRequest.findOne.mockResolvedValue(buildSwap());
+
+      await expect(SwapService.acceptSwap(groupId, swapId, requesterId))
+        .rejects.toThrow('Only the requested member can respond to this swap');
+    });
+  });
+
+  describe('declineSwap', () => {
+    it('should throw error if swap was already answered', async () => {
+      SwapRequest.findOne.mockResolvedValue(buildSwap({ status: 'ACCEPTED' }));
+
+      await expect(SwapService.declineSwap(groupId, swapId, counterpartyId))
+        .rejects.toThrow('Swap request has already been answered');
+    });
+  });
+
+  describe('approveSwap', () => {
+    it('should exchange both turns in one update and post a system message', async () => {
+      const mockSwap = buildSwap({ status: 'ACCEPTED' });
+      const mockSchedule = { group: groupId };
+
+      Group.findById.mockResolvedValue(buildGroup());
+      SwapRequest.findOne.mockResolvedValue(mockSwap);
+      PayoutSchedule.findOneAndUpdate.mockResolvedValue(mockSchedule);
+      MessageService.sendSystemMessage.mockResolvedValue({});
+
+      const result = await SwapService.approveSwap(groupId, swapId, adminId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.schedule).toBe(mockSchedule);
+      expect(mockSwap.status).toBe('APPROVED');
+      expect(mockSwap.reviewedBy).toBe(adminId);
+
+      const [filter, update, options] = PayoutSchedule.findOneAndUpdate.mock.calls[0];
+      expect(filter.cycles.$all).toHaveLength(2);
+      expect(update.$set).toEqual({
+        'cycles.$[requesterTurn].beneficiary': mockSwap.counterparty,
+        'cycles.$[counterpartyTurn].beneficiary': mockSwap.requester
+      });
+      expect(options.arrayFilters).toEqual([
+        { 'requesterTurn.cycleNumber': 5 },
+        { 'counterpartyTurn.cycleNumber': 2 }
+      ]);
+      expect(MessageService.sendSystemMessage).toHaveBeenCalledWith(expect.objectContaining({
+        groupId,
+        action: 'TURN_SWAPPED'
+      }));
+    });
+
+    it('should throw error if the rotation changed in the meantime', async () => {
+      const mockSwap = buildSwap({ status: 'ACCEPTED' });
+
+      Group.findById.mockResolvedValue(buildGroup());
+      SwapRequest.findOne.mockResolvedValue(mockSwap);
+      PayoutSchedule.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(SwapService.approveSwap(groupId, swapId, adminId))
+        .rejects.toThrow('Payout rotation changed since the swap was proposed');
+      expect(mockSwap.save).not.toHaveBeenCalled();
+      expect(MessageService.sendSystemMessage).not.toHaveBeenCalled();
+    });
+
+    it('should throw error if swap has not been accepted', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+      SwapRequest.findOne.mockResolvedValue(buildSwap());
+
+      await expect(SwapService.approveSwap(groupId, swapId, adminId))
+        .rejects.toThrow('Only accepted swap requests can be approved');
+    });
+
+    it('should throw error if user is not admin', async () => {
+      Group.findById.mockResolvedValue(buildGroup());
+
+      await expect(SwapService.approveSwap(groupId, swapId, requesterId))
+        .rejects.toThrow('You are not allowed to review swap requests in this group');
+    });
+  });
+
+  describe('rejectSwap', () => {
+    it('should reject an open swap with a reason', async () => {
+      const mockSwap = buildSwap({ status: 'ACCEPTED' });
+
+      Group.findById.mockResolvedValue(buildGroup());
+      SwapRequest.findOne.mockResolvedValue(mockSwap);
+
+      await SwapService.rejectSwap(groupId, swapId, 'Beneficiary already notified', adminId);
+
+      expect(mockSwap.status).toBe('REJECTED');
+      expect(mockSwap.rejectionReason).toBe('Beneficiary already notified');
+    });
+  });
+
+  describe('cancelSwap', () => {
+    it('should throw error if user is not the requester', async () => {
+      SwapRequest.findOne.mockResolvedValue(buildSwap());
+
+      await expect(SwapService.cancelSwap(groupId, swapId, counterpartyId))
+        .rejects.toThrow('Only the requester can cancel this swap request');
+    });
+  });
+
+  describe('getGroupSwaps', () => {
+    it('should only list own swaps for regular members', async () => {
+      const mockSwaps = [buildSwap()];
+
+      Group.findById.mockResolvedValue(buildGroup());
+      SwapRequest.find.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          populate: jest.fn().mockReturnValue({
+            sort: jest.fn().mockResolvedValue(mockSwaps)
+          })
+        })
+      });
+
+      const result = await SwapService.getGroupSwaps(groupId, requesterId);
+
+      expect(result.data.swaps).toEqual(mockSwaps);
+      expect(SwapRequest.find).toHaveBeenCalledWith({
+        group: groupId,
+        $or: [{ requester: requesterId }, { counterparty: requesterId }]
+      });
+    });
+  });
+});
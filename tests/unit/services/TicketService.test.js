@@ -1,10 +1,12 @@
 const TicketService = require('../../../src/services/TicketService');
 const Ticket = require('../../../src/models/Ticket');
 const User = require('../../../src/models/User');
+const NotificationService = require('../../../src/services/NotificationService');
 
 // Mock dependencies
 jest.mock('../../../src/models/Ticket');
 jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/NotificationService');
 
 describe('TicketService', () => {
   beforeEach(() => {
@@ -287,6 +289,8 @@ describe('TicketService', () => {
 
       const mockTicket = {
         _id: ticketId,
+        title: 'Payment issue',
+        creator: '507f1f77bcf86cd799439011',
         responses: [],
         addResponse: jest.fn().mockResolvedValue()
       };
@@ -297,6 +301,35 @@ describe('TicketService', () => {
 
       expect(result.success).toBe(true);
       expect(mockTicket.addResponse).toHaveBeenCalledWith(responseData);
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith('507f1f77bcf86cd799439011', {
+        type: 'TICKET_RESPONSE',
+        params: { title: 'Payment issue' },
+        data: { ticketId }
+      });
+    });
+
+    it('should not notify the creator of an internal note or of their own response', async () => {
+      const mockTicket = {
+        _id: '507f1f77bcf86cd799439015',
+        creator: '507f1f77bcf86cd799439011',
+        responses: [],
+        addResponse: jest.fn().mockResolvedValue()
+      };
+
+      Ticket.findById.mockResolvedValue(mockTicket);
+
+      await TicketService.addResponse(mockTicket._id, {
+        content: 'Checked the bank statement',
+        responderId: '507f1f77bcf86cd799439013',
+        isInternal: true
+      });
+      await TicketService.addResponse(mockTicket._id, {
+        content: 'Any news?',
+        responderId: '507f1f77bcf86cd799439011',
+        isInternal: false
+      });
+
+      expect(NotificationService.notifyUser).not.toHaveBeenCalled();
     });
 
     it('should throw error if ticket not found', async () => {
@@ -321,6 +354,8 @@ describe('TicketService', () => {
 
       const mockTicket = {
         _id: ticketId,
+        title: 'Payment issue',
+        creator: '507f1f77bcf86cd799439011',
         status: 'IN_PROGRESS',
         close: jest.fn().mockResolvedValue()
       };
@@ -331,6 +366,26 @@ describe('TicketService', () => {
 
       expect(result.success).toBe(true);
       expect(mockTicket.close).toHaveBeenCalledWith(reason);
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith('507f1f77bcf86cd799439011', expect.objectContaining({
+        type: 'TICKET_CLOSED'
+      }));
+    });
+
+    it('should keep the ticket closed when the creator cannot be notified', async () => {
+      const mockTicket = {
+        _id: '507f1f77bcf86cd799439015',
+        creator: '507f1f77bcf86cd799439011',
+        status: 'IN_PROGRESS',
+        close: jest.fn().mockResolvedValue()
+      };
+
+      Ticket.findById.mockResolvedValue(mockTicket);
+      NotificationService.notifyUser.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const result = await TicketService.closeTicket(mockTicket._id, '507f1f77bcf86cd799439013', 'Issue resolved');
+
+      expect(result.success).toBe(true);
+      expect(mockTicket.close).toHaveBeenCalled();
     });
   });
 
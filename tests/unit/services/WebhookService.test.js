@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const WebhookService = require('../../../src/services/WebhookService');
+const WebhookEndpoint = require('../../../src/models/WebhookEndpoint');
+const WebhookDelivery = require('../../../src/models/WebhookDelivery');
+const { post } = require('../../../src/utils/httpClient');
+
+// Mock dependencies
+jest.mock('../../../src/models/WebhookEndpoint');
+jest.mock('../../../src/models/WebhookDelivery');
+jest.mock('../../../src/utils/httpClient');
+jest.mock('../../../src/utils/logger');
+
+describe('WebhookService', () => {
+  const adminId = '507f1f77bcf86cd799439013';
+  const endpointId = '507f1f77bcf86cd799439030';
+  const deliveryId = '507f1f77bcf86cd799439031';
+  const now = new Date('2025-01-20T12:00:00Z');
+
+  const buildEndpoint = (overrides = {}) => ({
+    _id: endpointId,
+    url: 'https://erp.example.com/hooks/tirelire',
+    secret: 'whsec_test',
+    isActive: true,
+    ...overrides
+  });
+
+  const buildDelivery = (overrides = {}) => {
+    const delivery = {
+      _id: deliveryId,
+      endpoint: endpointId,
+      event: 'payout.completed',
+      payload: { id: 'evt_1', event: 'payout.completed', data: { amount: 500 } },
+      status: 'PENDING',
+      attempts: 0,
+      ...overrides
+    };
+    delivery.save = jest.fn().mockResolvedValue(delivery);
+    return delivery;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('emit', () => {
+    it('should queue one delivery per subscribed endpoint', async () => {
+      WebhookEndpoint.findSubscribed.mockResolvedValue([buildEndpoint(), buildEndpoint({ _id: 'e2' })]);
+      WebhookDelivery.insertMany.mockResolvedValue([]);
+
+      const queued = await WebhookService.emit('payout.completed', { amount: 500 });
+
+      expect(queued).toBe(2);
+      const [deliveries] = WebhookDelivery.insertMany.mock.calls[0];
+      expect(deliveries.map(delivery => delivery.endpoint)).toEqual([endpointId, 'e2']);
+      expect(deliveries[0].payload).toBe(deliveries[1].payload);
+      expect(deliveries[0].payload).toEqual(expect.objectContaining({
+        id: expect.stringMatching(/^evt_/),
+        event: 'payout.completed',
+        data: { amount: 500 }
+      }));
+    });
+
+    it('should never fail the caller', async () => {
+      WebhookEndpoint.findSubscribed.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(WebhookService.emit('group.completed', {})).resolves.toBe(0);
+    });
+  });
+
+  describe('sign', () => {
+    it('should sign the timestamp and body with HMAC-SHA256', () => {
+      const expected = crypto.createHmac('sha256', 'whsec_test').update('1737374400.{"a":1}').digest('hex');
+
+      expect(WebhookService.sign('whsec_test', 1737374400, '{"a":1}')).toBe(`t=1737374400,v1=${expected}`);
+    });
+  });
+
+  describe('attemptDelivery', () => {
+    it('should post the signed payload and mark the delivery as succeeded', async () => {
+      const delivery = buildDelivery();
+      post.mockResolvedValue({ status: 200, text: '' });
+
+      await WebhookService.attemptDelivery(delivery, buildEndpoint(), now);
+
+      const body = JSON.stringify(delivery.payload);
+      expect(post).toHaveBeenCalledWith('https://erp.example.com/hooks/tirelire', body, expect.objectContaining({
+        'X-Tirelire-Event': 'payout.completed',
+        'X-Tirelire-Delivery': deliveryId,
+        'X-Tirelire-Signature': WebhookService.sign('whsec_test', 1737374400, body)
+      }));
+      expect(delivery.status).toBe('SUCCEEDED');
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.deliveredAt).toBe(now);
+    });
+
+    it('should schedule a retry with exponential backoff', async () => {
+      const delivery = buildDelivery({ attempts: 2 });
+      post.mockRejectedValue(Object.assign(new Error('Request failed with status 503'), { status: 503 }));
+
+      await WebhookService.attemptDelivery(delivery, buildEndpoint(), now);
+
+      expect(delivery.status).toBe('PENDING');
+      expect(delivery.responseStatus).toBe(503);
+      expect(delivery.nextAttemptAt).toEqual(new Date(now.getTime() + 4 * 60 * 1000));
+    });
+
+    it('should give up after the last attempt', async () => {
+      const delivery = buildDelivery({ attempts: 7 });
+      post.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await WebhookService.attemptDelivery(delivery, buildEndpoint(), now);
+
+      expect(delivery.status).toBe('FAILED');
+      expect(delivery.lastError).toBe('ECONNREFUSED');
+    });
+
+    it('should fail deliveries of a disabled endpoint without posting', async () => {
+      const delivery = buildDelivery();
+
+      await WebhookService.attemptDelivery(delivery, buildEndpoint({ isActive: false }), now);
+
+      expect(post).not.toHaveBeenCalled();
+      expect(delivery.status).toBe('FAILED');
+    });
+  });
+
+  describe('deliverDue', () => {
+    const mockDue = (ids) => {
+      WebhookDelivery.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        select: jest.fn().mockResolvedValue(ids.map(_id => ({ _id })))
+      });
+    };
+
+    it('should claim each due delivery before sending it', async () => {
+      mockDue([deliveryId, 'd2']);
+      WebhookDelivery.findOneAndUpdate
+        .mockResolvedValueOnce(buildDelivery())
+        .mockResolvedValueOnce(null);
+      WebhookEndpoint.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(buildEndpoint()) });
+      post.mockResolvedValue({ status: 204, text: '' });
+
+      const result = await WebhookService.deliverDue(now);
+
+      expect(WebhookDelivery.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: deliveryId, status: 'PENDING', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + 5 * 60 * 1000) } },
+        { new: true }
+      );
+      expect(post).toHaveBeenCalledTimes(1);
+      expect(result.data).toEqual({ attempted: 1, succeeded: 1, retrying: 0, failed: 0 });
+    });
+  });
+
+  describe('createEndpoint', () => {
+    it('should create an endpoint and return its secret once', async () => {
+      WebhookEndpoint.generateSecret.mockReturnValue('whsec_new');
+      WebhookEndpoint.create.mockImplementation(data => Promise.resolve({ _id: endpointId, ...data }));
+
+      const result = await WebhookService.createEndpoint({
+        url: 'https://erp.example.com/hooks/tirelire',
+        events: ['payment.verified']
+      }, adminId);
+
+      expect(WebhookEndpoint.create).toHaveBeenCalledWith(expect.objectContaining({
+        secret: 'whsec_new',
+        createdBy: adminId
+      }));
+      expect(result.data.secret).toBe('whsec_new');
+    });
+  });
+
+  describe('deleteEndpoint', () => {
+    it('should abandon the pending deliveries of the endpoint', async () => {
+      WebhookEndpoint.findByIdAndDelete.mockResolvedValue(buildEndpoint());
+      WebhookDelivery.updateMany.mockResolvedValue({});
+
+      await WebhookService.deleteEndpoint(endpointId);
+
+      expect(WebhookDelivery.updateMany).toHaveBeenCalledWith(
+        { endpoint: endpointId, status: 'PENDING' },
+        { $set: { status: 'FAILED', lastError: 'Endpoint is deleted or disabled' } }
+      );
+    });
+
+    it('should throw error if endpoint not found', async () => {
+      WebhookEndpoint.findByIdAndDelete.mockResolvedValue(null);
+
+      await expect(WebhookService.deleteEndpoint(endpointId)).rejects.toThrow('Webhook endpoint not found');
+    });
+  });
+
+  describe('redeliver', () => {
+    it('should send the same payload again as a new delivery', async () => {
+      const original = buildDelivery({ status: 'FAILED', attempts: 8 });
+      const copy = buildDelivery({ _id: 'd2' });
+
+      WebhookDelivery.findById.mockResolvedValue(original);
+      WebhookEndpoint.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(buildEndpoint()) });
+      WebhookDelivery.create.mockResolvedValue(copy);
+      post.mockResolvedValue({ status: 200, text: '' });
+
+      const result = await WebhookService.redeliver(deliveryId, adminId);
+
+      expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        payload: original.payload,
+        redeliveryOf: deliveryId,
+        requestedBy: adminId
+      }));
+      expect(result.message).toBe('Webhook redelivered successfully');
+      expect(result.data.delivery.status).toBe('SUCCEEDED');
+    });
+
+    it('should throw error if delivery not found', async () => {
+      WebhookDelivery.findById.mockResolvedValue(null);
+
+      await expect(WebhookService.redeliver(deliveryId, adminId)).rejects.toThrow('Webhook delivery not found');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getTransport, getSink, resetTransports } = require('../../../src/transports');
+const SmtpTransport = require('../../../src/transports/SmtpTransport');
+const WebhookTransport = require('../../../src/transports/WebhookTransport');
+const SmsGatewayTransport = require('../../../src/transports/SmsGatewayTransport');
+
+describe('transports', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    resetTransports();
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe('getTransport', () => {
+    it('should use the sink under test', () => {
+      expect(getTransport('EMAIL')).toBe(getSink());
+      expect(getTransport('SMS')).toBe(getSink());
+    });
+
+    it('should use the transport configured for the channel', () => {
+      process.env.EMAIL_TRANSPORT = 'smtp';
+      process.env.PUSH_TRANSPORT = 'webhook';
+
+      expect(getTransport('EMAIL')).toBeInstanceOf(SmtpTransport);
+      expect(getTransport('PUSH')).toBeInstanceOf(WebhookTransport);
+    });
+
+    it('should reject unknown transports and channels', () => {
+      process.env.SMS_TRANSPORT = 'pigeon';
+
+      expect(() => getTransport('SMS')).toThrow('Unknown transport: pigeon');
+      expect(() => getTransport('IN_APP')).toThrow('No transport for channel: IN_APP');
+    });
+  });
+
+  describe('SinkTransport', () => {
+    it('should record messages and filter them', async () => {
+      const sink = getSink();
+
+      await sink.send({ channel: 'EMAIL', to: 'alice@example.com', subject: 'Hello' });
+      await sink.send({ channel: 'SMS', to: '+212600000000', text: 'Hello' });
+
+      expect(sink.getMessages()).toHaveLength(2);
+      expect(sink.getMessages({ channel: 'SMS' })).toEqual([expect.objectContaining({ to: '+212600000000' })]);
+
+      sink.clear();
+      expect(sink.getMessages()).toEqual([]);
+    });
+
+    it('should append messages to the sink file', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sink-')), 'messages.jsonl');
+      process.env.NOTIFICATION_SINK_FILE = file;
+
+      const { id } = await getSink().send({ channel: 'EMAIL', to: 'alice@example.com' });
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([expect.objectContaining({ id, channel: 'EMAIL', to: 'alice@example.com' })]);
+
+      fs.rmSync(path.dirname(file), { recursive: true });
+    });
+  });
+
+  describe('HTTP transports', () => {
+    it('should post SMS to the gateway', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        text: jest.fn().mockResolvedValue('{"id":"sms-1"}')
+      });
+      const transport = new SmsGatewayTransport({ url: 'https://sms.example.com/send', apiKey: 'key', sender: 'Tirelire' });
+
+      const result = await transport.send({ to: '+212600000000', text: 'Hello' });
+
+      expect(result).toEqual({ id: 'sms-1' });
+      expect(fetch).toHaveBeenCalledWith('https://sms.example.com/send', expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ Authorization: 'Bearer key' }),
+        body: JSON.stringify({ from: 'Tirelire', to: '+212600000000', text: 'Hello' })
+      }));
+    });
+
+    it('should fail on error responses', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+      const transport = new WebhookTransport({ url: 'https://hooks.example.com/notify' });
+
+      await expect(transport.send({ channel: 'EMAIL' }))
+        .rejects.toThrow('Request to hooks.example.com failed with status 503');
+    });
+
+    it('should fail when not configured', async () => {
+      await expect(new SmtpTransport().send({ to: 'alice@example.com' })).rejects.toThrow('SMTP is not configured');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { detectFormat, parseStatement, parseAmount, parseDate } = require('../../../src/utils/bankStatementParser');
+
+describe('bankStatementParser', () => {
+  const ofx = [
+    'OFXHEADER:100',
+    '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>XOF<BANKTRANLIST>',
+    '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250120120000<TRNAMT>1500.00<FITID>F1<NAME>DIOP AWA<MEMO>TRL-ABC-3',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250121<TRNAMT>-250<FITID>F2<NAME>FEES',
+    '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+  ].join('\n');
+
+  const camt = `<?xml version="1.0"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02"><BkToCstmrStmt><Stmt>
+  <Ntry>
+    <Amt Ccy="XOF">1500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd>
+    <BookgDt><Dt>2025-01-20</Dt></BookgDt><AcctSvcrRef>B1</AcctSvcrRef>
+    <NtryDtls><TxDtls><RltdPties><Dbtr><Nm>Awa Diop</Nm></Dbtr></RltdPties>
+    <RmtInf><Ustrd>TRL-ABC-3</Ustrd></RmtInf></TxDtls></NtryDtls>
+  </Ntry>
+  <Ntry>
+    <Amt Ccy="XOF">250</Amt><CdtDbtInd>DBIT</CdtDbtInd>
+    <BookgDt><DtTm>2025-01-21T08:00:00</DtTm></BookgDt>
+  </Ntry>
+</Stmt></BkToCstmrStmt></Document>`;
+
+  describe('parseAmount', () => {
+    it('should read amounts in common notations', () => {
+      expect(parseAmount('1500')).toBe(1500);
+      expect(parseAmount('1 500,50')).toBe(1500.5);
+      expect(parseAmount('1.500,50')).toBe(1500.5);
+      expect(parseAmount('1,500.50')).toBe(1500.5);
+      expect(parseAmount('-250')).toBe(-250);
+      expect(parseAmount('')).toBeNaN();
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should read ISO, French and compact dates', () => {
+      const expected = new Date('2025-01-20T00:00:00Z');
+
+      expect(parseDate('2025-01-20')).toEqual(expected);
+      expect(parseDate('20/01/2025')).toEqual(expected);
+      expect(parseDate('20250120120000')).toEqual(expected);
+      expect(parseDate('tomorrow')).toBeNull();
+    });
+  });
+
+  describe('detectFormat', () => {
+    it('should recognise each format from its content', () => {
+      expect(detectFormat('statement.xml', camt)).toBe('CAMT053');
+      expect(detectFormat('statement.ofx', ofx)).toBe('OFX');
+      expect(detectFormat('statement.csv', 'Date,Amount\n')).toBe('CSV');
+    });
+
+    it('should reject other XML documents', () => {
+      expect(() => detectFormat('invoice.xml', '<Invoice></Invoice>'))
+        .toThrow('Unsupported statement format, expected CSV, OFX or CAMT.053');
+    });
+  });
+
+  describe('parseStatement', () => {
+    it('should parse a French CSV export', () => {
+      const csv = 'Date;Libellé;Référence;Montant\n20/01/2025;VIR DIOP;"TRL-ABC-3";"1 500,00"\n21/01/2025;FRAIS;;-250\n';
+
+      expect(parseStatement(csv, 'CSV')).toEqual([
+        {
+          externalId: 'row-2',
+          date: new Date('2025-01-20T00:00:00Z'),
+          amount: 1500,
+          currency: null,
+          reference: 'TRL-ABC-3',
+          description: 'VIR DIOP'
+        },
+        expect.objectContaining({ amount: -250, description: 'FRAIS' })
+      ]);
+    });
+
+    it('should combine credit and debit columns', () => {
+      const csv = 'Booking Date,Description,Debit,Credit,Currency\n2025-01-20,"DIOP, AWA",,1500,xof\n2025-01-21,FEES,250,,XOF\n';
+
+      expect(parseStatement(csv, 'CSV')).toEqual([
+        expect.objectContaining({ amount: 1500, currency: 'XOF', description: 'DIOP, AWA' }),
+        expect.objectContaining({ amount: -250 })
+      ]);
+    });
+
+    it('should parse OFX transactions', () => {
+      expect(parseStatement(ofx, 'OFX')).toEqual([
+        {
+          externalId: 'F1',
+          date: new Date('2025-01-20T00:00:00Z'),
+          amount: 1500,
+          currency: 'XOF',
+          reference: 'TRL-ABC-3',
+          description: 'DIOP AWA'
+        },
+        expect.objectContaining({ externalId: 'F2', amount: -250 })
+      ]);
+    });
+
+    it('should parse CAMT.053 entries', () => {
+      expect(parseStatement(camt, 'CAMT053')).toEqual([
+        {
+          externalId: 'B1',
+          date: new Date('2025-01-20T00:00:00Z'),
+          amount: 1500,
+          currency: 'XOF',
+          reference: 'TRL-ABC-3',
+          description: 'Awa Diop'
+        },
+        expect.objectContaining({ amount: -250, date: new Date('2025-01-21T00:00:00Z') })
+      ]);
+    });
+
+    it('should reject lines without a readable amount', () => {
+      expect(() => parseStatement('Date,Amount\n2025-01-20,abc\n', 'CSV'))
+        .toThrow('Statement line 1 has no readable date or amount');
+    });
+
+    it('should reject CSV files without the needed columns', () => {
+      expect(() => parseStatement('Name,Comment\nAwa,Hello\n', 'CSV'))
+        .toThrow('The CSV statement needs a date column and an amount or credit column');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const {
+  buildPaymentReference,
+  getContributionReference,
+  findPaymentReferences,
+  parsePaymentReference
+} = require('../../../src/utils/paymentReference');
+
+describe('paymentReference', () => {
+  const groupId = '507f1f77bcf86cd799439011';
+  const userId = '507f1f77bcf86cd799439013';
+
+  const reference = buildPaymentReference(groupId, 3, userId);
+  const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+  describe('buildPaymentReference', () => {
+    it('should build a readable reference from the group, cycle and member', () => {
+      expect(reference).toMatch(/^TRL-[0-9A-Z]{5}-003-[0-9A-Z]{4}-[0-9A-Z]$/);
+      expect(buildPaymentReference(groupId, 3, userId)).toBe(reference);
+    });
+
+    it('should differ between cycles and members', () => {
+      expect(buildPaymentReference(groupId, 4, userId)).not.toBe(reference);
+      expect(buildPaymentReference(groupId, 3, '507f1f77bcf86cd799439014')).not.toBe(reference);
+    });
+
+    it('should match the reference of the contribution', () => {
+      expect(getContributionReference({ group: { _id: groupId }, cycleNumber: 3, user: userId })).toBe(reference);
+    });
+
+    it('should give contributions outside the schedule a valid reference', () => {
+      const unscheduled = getContributionReference({ group: groupId, user: userId });
+
+      expect(unscheduled).toMatch(/^TRL-[0-9A-Z]{5}-000-[0-9A-Z]{4}-[0-9A-Z]$/);
+      expect(parsePaymentReference(unscheduled)).toBe(unscheduled);
+    });
+  });
+
+  describe('cycles past 999', () => {
+    const longReference = buildPaymentReference(groupId, 1042, userId);
+
+    it('should give the cycle more digits', () => {
+      expect(longReference).toMatch(/^TRL-[0-9A-Z]{5}-1042-[0-9A-Z]{4}-[0-9A-Z]$/);
+    });
+
+    it('should read the reference with its separators', () => {
+      expect(parsePaymentReference(longReference)).toBe(longReference);
+      expect(parsePaymentReference(longReference.replace(/-/g, ' '))).toBe(longReference);
+      expect(findPaymentReferences(`VIR ${longReference} MERCI`)).toEqual([longReference]);
+    });
+
+    it('should still split a three-digit cycle typed without separators', () => {
+      const compact = buildPaymentReference(groupId, 104, userId);
+
+      expect(parsePaymentReference(compact.replace(/-/g, ''))).toBe(compact);
+      expect(parsePaymentReference(compact)).toBe(compact);
+    });
+  });
+
+  describe('parsePaymentReference', () => {
+    it('should accept references typed without care', () => {
+      expect(parsePaymentReference(reference.toLowerCase())).toBe(reference);
+      expect(parsePaymentReference(reference.replace(/-/g, ' '))).toBe(reference);
+      expect(parsePaymentReference(reference.replace(/-/g, ''))).toBe(reference);
+    });
+
+    it('should read O as 0 and I or L as 1 in the codes', () => {
+      const typed = reference.slice(0, 4) + reference.slice(4).replace(/0/g, 'O').replace(/1/g, 'I');
+
+      expect(parsePaymentReference(typed)).toBe(reference);
+    });
+
+    it('should catch any single wrong character', () => {
+      const codes = [4, 5, 6, 7, 8, 14, 15, 16, 17, 19];
+
+      for (const position of codes) {
+        for (const character of alphabet) {
+          if (character !== reference[position]) {
+            const typo = reference.slice(0, position) + character + reference.slice(position + 1);
+            expect(parsePaymentReference(typo)).toBeNull();
+          }
+        }
+      }
+    });
+
+    it('should reject text around the reference', () => {
+      expect(parsePaymentReference(`${reference}X`)).toBeNull();
+      expect(parsePaymentReference('')).toBeNull();
+    });
+  });
+
+  describe('findPaymentReferences', () => {
+    it('should find valid references in a transfer description', () => {
+      const other = buildPaymentReference(groupId, 4, userId);
+      const typo = other.slice(0, -1) + (other.endsWith('A') ? 'B' : 'A');
+
+      expect(findPaymentReferences(`VIR DIOP AWA ${reference.replace(/-/g, '')} ${typo} MERCI`)).toEqual([reference]);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { escapeCsv, toCsv, toPdf } = require('../../../src/utils/statementRenderer');
+
+describe('statementRenderer', () => {
+  const statement = {
+    group: { name: 'Tontine Quartier', currency: 'XOF' },
+    period: { from: new Date('2025-01-01'), to: new Date('2025-01-31') },
+    generatedAt: new Date('2025-02-01'),
+    cycles: [{
+      cycleNumber: 1,
+      dueDate: new Date('2025-01-10'),
+      rows: [
+        { member: 'Alice Diallo', amountDue: 100, amountPaid: 100, paidAt: new Date('2025-01-08'), status: 'PAID', penalties: 0 },
+        { member: 'Traore, Bakary', amountDue: 100, amountPaid: 40, paidAt: null, status: 'PARTIALLY_PAID', penalties: 12.5 }
+      ],
+      totals: { amountDue: 200, collected: 140, penalties: 12.5 },
+      payout: { beneficiary: 'Alice Diallo', amount: 140, status: 'COMPLETED' }
+    }],
+    totals: { amountDue: 200, collected: 140, penalties: 12.5, paidOut: 140 }
+  };
+
+  describe('escapeCsv', () => {
+    it('should quote fields with separators and quotes', () => {
+      expect(escapeCsv('Traore, "Baka"')).toBe('"Traore, ""Baka"""');
+    });
+
+    it('should neutralise spreadsheet formulas', () => {
+      expect(escapeCsv('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsv(-5)).toBe('-5');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should render one line per member and cycle', () => {
+      const lines = toCsv(statement).trim().split('\r\n');
+
+      expect(lines[0]).toBe('cycle,due_date,member,amount_due,amount_paid,paid_at,status,penalties,payout_beneficiary,payout_amount');
+      expect(lines[1]).toBe('1,2025-01-10,Alice Diallo,100,100,2025-01-08,PAID,0,Alice Diallo,140');
+      expect(lines[2]).toBe('1,2025-01-10,"Traore, Bakary",100,40,,PARTIALLY_PAID,12.5,Alice Diallo,140');
+    });
+  });
+
+  describe('toPdf', () => {
+    it('should render a PDF document', async () => {
+      const pdf = await toPdf(statement);
+
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
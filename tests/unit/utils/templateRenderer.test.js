@@ -0,0 +1,72 @@
+const {
+  interpolate,
+  renderNotification,
+  renderEmail,
+  renderDigestSubject
+} = require('../../../src/utils/templateRenderer');
+const { resolveLocale } = require('../../../src/locales');
+
+describe('templateRenderer', () => {
+  describe('resolveLocale', () => {
+    it('should match supported languages and fall back to French', () => {
+      expect(resolveLocale('ar')).toBe('ar');
+      expect(resolveLocale('en-GB')).toBe('en');
+      expect(resolveLocale('es')).toBe('fr');
+      expect(resolveLocale(undefined)).toBe('fr');
+    });
+  });
+
+  describe('interpolate', () => {
+    it('should replace known placeholders and keep unknown ones', () => {
+      expect(interpolate('{{ groupName }} - {{amount}} {{missing}}', { groupName: 'Tontine', amount: 0 }))
+        .toBe('Tontine - 0 {{missing}}');
+    });
+  });
+
+  describe('renderNotification', () => {
+    it('should render a template variant', () => {
+      expect(renderNotification('en', {
+        type: 'CONTRIBUTION_REMINDER',
+        variant: 'overdue',
+        params: { amount: 100, currency: 'MAD', groupName: 'Dar Lwalidin', days: 2, dueDate: '2025-01-18' }
+      })).toEqual({
+        title: 'Contribution overdue',
+        message: 'Your contribution of 100 MAD to Dar Lwalidin is 2 day(s) overdue (2025-01-18).'
+      });
+    });
+
+    it('should have the same templates in every locale', () => {
+      const locales = ['fr', 'en', 'ar'].map(locale => require(`../../../src/locales/${locale}`));
+      const keys = (strings) => Object.entries(strings.notifications)
+        .flatMap(([type, entry]) => (entry.title ? [type] : Object.keys(entry).map(variant => `${type}.${variant}`)))
+        .sort();
+
+      expect(keys(locales[0])).toEqual(keys(locales[1]));
+      expect(keys(locales[2])).toEqual(keys(locales[1]));
+    });
+
+    it('should return null for types without a template', () => {
+      expect(renderNotification('en', { type: 'UNKNOWN_EVENT' })).toBeNull();
+    });
+  });
+
+  describe('renderEmail', () => {
+    it('should escape HTML in the message', () => {
+      const email = renderEmail('en', {
+        firstName: 'Alice',
+        subject: 'Hello',
+        message: 'Group <script>alert(1)</script>'
+      });
+
+      expect(email.html).toContain('Group &lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(email.html).toContain('<html lang="en" dir="ltr">');
+      expect(email.text).toMatch(/^Hello Alice,\n\nGroup <script>/);
+    });
+  });
+
+  describe('renderDigestSubject', () => {
+    it('should render the digest subject in the locale', () => {
+      expect(renderDigestSubject('fr', 3)).toBe('Votre récapitulatif Tirelire : 3 notification(s)');
+    });
+  });
+});
@@ -195,6 +195,17 @@ describe('Auth Validator', () => {
       expect(error).toBeDefined();
       expect(error.details[0].message).toContain('phone');
     });
+
+    it('should accept a supported preferred language', () => {
+      const { error } = authValidator.updateProfileSchema.validate({ preferredLanguage: 'ar' });
+      expect(error).toBeUndefined();
+    });
+
+    it('should reject an unsupported preferred language', () => {
+      const { error } = authValidator.updateProfileSchema.validate({ preferredLanguage: 'de' });
+      expect(error).toBeDefined();
+      expect(error.details[0].message).toContain('Preferred language');
+    });
   });
 
   describe('changePassword', () => {